@@ -0,0 +1,224 @@
+import { connectToDatabase } from '../lib/mongo.js'
+import { AttendanceRegister, Student } from '../models.js'
+import { authorize, advisesClass, canAccessClass, forbid } from '../lib/permissions.js'
+import { auditActor, recordMarksheetAuditMany } from '../lib/marksheetAudit.js'
+import { guardSave, isSaveConflict, isStale, rejectStale, setVersionHeader, versionOf } from '../lib/concurrency.js'
+import {
+  alignSheetRows,
+  applyAttendanceToMarksheets,
+  applyStatuses,
+  attendanceRange,
+  classAttendance,
+  classRoster,
+  loadReconciliation,
+  loadSheet,
+  readClass,
+  readSheetKey,
+  sheetFilter
+} from '../lib/attendance.js'
+import { DAY_PERIOD } from '../shared/attendance.js'
+import { dayKey } from '../shared/leave.js'
+import { invalidatePdfCache } from './generate-pdf.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const MAX_RANGE_DAYS = 366
+
+const sheetView = (sheet, rows, markedPeriods) => {
+  const { rows: stored, ...summary } = sheet?.toObject ? sheet.toObject() : sheet || {}
+  return { ...summary, rows: rows || stored || [], markedPeriods, version: versionOf(summary) }
+}
+
+// A class is marked either for the whole day or period by period, never both on one day
+const mixedDayError = (period, markedPeriods) => {
+  if (period === DAY_PERIOD && markedPeriods.some((p) => p !== DAY_PERIOD)) {
+    return 'This day is already marked period by period. Mark the remaining periods instead.'
+  }
+  if (period !== DAY_PERIOD && markedPeriods.includes(DAY_PERIOD)) {
+    return 'This day is already marked for the whole day. Edit that sheet instead.'
+  }
+  return null
+}
+
+// Class and range of a summary request; answers the error and returns null when invalid
+const readSummaryTarget = async (req, res) => {
+  if (req.user.role === 'student') {
+    const student = await Student.findById(req.user.id).select('_id department year section').lean()
+    if (!student) {
+      res.status(404).json({ success: false, error: 'Student not found' })
+      return null
+    }
+    const { classInfo, error } = readClass(student)
+    if (error) {
+      res.status(400).json({ success: false, error: 'Your profile has no class yet' })
+      return null
+    }
+    return { classInfo, studentId: String(student._id) }
+  }
+  const { classInfo, error } = readClass(req.query)
+  if (error) {
+    res.status(400).json({ success: false, error })
+    return null
+  }
+  if (!canAccessClass(req.user, classInfo)) {
+    forbid(res, 'Not authorized to view this class')
+    return null
+  }
+  return { classInfo }
+}
+
+const readRange = async (department, source, res) => {
+  const range = await attendanceRange(department, { from: source.from, to: source.to })
+  if (range.error) {
+    res.status(400).json({ success: false, error: range.error })
+    return null
+  }
+  if ((Date.parse(range.to) - Date.parse(range.from)) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+    res.status(400).json({ success: false, error: `Attendance covers at most ${MAX_RANGE_DAYS} days` })
+    return null
+  }
+  return range
+}
+
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end()
+
+  try {
+    await connectToDatabase()
+  } catch (dbErr) {
+    console.error('DB connect error in attendance API:', dbErr.message)
+    return res.status(503).json({ success: false, error: 'Database connection failed' })
+  }
+
+  try {
+    const { action } = req.query
+
+    if (req.method === 'GET') {
+      if (action === 'register') {
+        if (!authorize(req, res, 'attendance', 'register')) return
+        const { sheet: key, error } = readSheetKey(req.query)
+        if (error) {
+          return res.status(400).json({ success: false, error })
+        }
+        if (!canAccessClass(req.user, key)) {
+          return forbid(res, 'Not authorized to view this class')
+        }
+        const { sheet, rows, markedPeriods } = await loadSheet(key)
+        setVersionHeader(res, sheet)
+        return res.status(200).json({ success: true, sheet: sheetView(sheet, rows, markedPeriods) })
+      }
+
+      if (action === 'summary') {
+        if (!authorize(req, res, 'attendance', 'summary')) return
+        const target = await readSummaryTarget(req, res)
+        if (!target) return
+        const range = await readRange(target.classInfo.department, req.query, res)
+        if (!range) return
+        const summary = await classAttendance(target.classInfo, range)
+        if (target.studentId) {
+          summary.students = summary.students.filter((student) => String(student.studentId) === target.studentId)
+        }
+        return res.status(200).json({ success: true, class: target.classInfo, ...summary })
+      }
+
+      return res.status(400).json({ success: false, error: 'Invalid action' })
+    }
+
+    if (req.method === 'POST') {
+      if (action === 'save') {
+        if (!authorize(req, res, 'attendance', 'save')) return
+        const { sheet: key, error } = readSheetKey(req.body)
+        if (error) {
+          return res.status(400).json({ success: false, error })
+        }
+        if (!canAccessClass(req.user, key)) {
+          return forbid(res, 'You can only mark attendance for your own classes')
+        }
+        if (!Array.isArray(req.body.statuses)) {
+          return res.status(400).json({ success: false, error: 'statuses must be a list' })
+        }
+
+        const [existing, sameDay] = await Promise.all([
+          AttendanceRegister.findOne(sheetFilter(key)),
+          AttendanceRegister.find({ department: key.department, year: key.year, section: key.section, date: key.date }).select('period').lean()
+        ])
+        const mixed = mixedDayError(key.period, sameDay.map((s) => s.period))
+        if (mixed) {
+          return res.status(409).json({ success: false, error: mixed })
+        }
+        if (existing && isStale(existing, req)) {
+          return rejectStale(res, existing, 'attendance sheet')
+        }
+
+        const day = dayKey(key.date)
+        const [students, reconciliation] = await Promise.all([classRoster(key), loadReconciliation(key, day, day)])
+        const { rows, errors } = applyStatuses(alignSheetRows(existing?.rows, students, reconciliation, day), req.body.statuses)
+        if (errors) {
+          return res.status(400).json({ success: false, error: `${errors.length} row(s) could not be saved`, rowErrors: errors })
+        }
+
+        try {
+          const sheet = existing ? guardSave(existing) : new AttendanceRegister(key)
+          sheet.rows = rows
+          sheet.subjectCode = (req.body.subjectCode || sheet.subjectCode || '').toString().trim() || undefined
+          sheet.subjectName = (req.body.subjectName || sheet.subjectName || '').toString().trim() || undefined
+          sheet.staffId = req.user.id
+          sheet.staffName = req.user.name
+          await sheet.save()
+          const periods = [...new Set([...sameDay.map((s) => s.period), key.period])].sort((a, b) => a - b)
+          setVersionHeader(res, sheet)
+          return res.status(200).json({ success: true, sheet: sheetView(sheet, alignSheetRows(sheet.rows, students, reconciliation, day), periods) })
+        } catch (saveErr) {
+          if (saveErr.code === 11000) {
+            return res.status(409).json({ success: false, error: 'Someone else marked this sheet at the same time. Reload it.' })
+          }
+          if (isSaveConflict(saveErr)) {
+            return rejectStale(res, await AttendanceRegister.findOne(sheetFilter(key)).lean(), 'attendance sheet')
+          }
+          throw saveErr
+        }
+      }
+
+      if (action === 'apply-marksheets') {
+        if (!authorize(req, res, 'attendance', 'apply-marksheets')) return
+        const { classInfo, error } = readClass(req.body)
+        if (error) {
+          return res.status(400).json({ success: false, error })
+        }
+        const examinationName = (req.body.examinationName || '').toString().trim()
+        if (!examinationName) {
+          return res.status(400).json({ success: false, error: 'examinationName is required' })
+        }
+        if (!advisesClass(req.user, classInfo)) {
+          return forbid(res, 'Only the class advisor can update the attendance on marksheets')
+        }
+        const range = await readRange(classInfo.department, req.body, res)
+        if (!range) return
+
+        const plan = await applyAttendanceToMarksheets(classInfo, examinationName, range)
+        await recordMarksheetAuditMany(plan.auditEvents, auditActor(req.user))
+        for (const result of plan.results) {
+          if (result.status === 'updated') {
+            try { invalidatePdfCache(result.marksheetId.toString()) } catch (e) {}
+          }
+        }
+        const count = (status) => plan.results.filter((result) => result.status === status).length
+        return res.status(200).json({
+          success: true,
+          from: range.from,
+          to: range.to,
+          updated: count('updated'),
+          unchanged: count('unchanged'),
+          skipped: plan.results.filter((result) => result.status === 'skipped'),
+          results: plan.results
+        })
+      }
+
+      return res.status(400).json({ success: false, error: 'Invalid action' })
+    }
+
+    return res.status(405).json({ success: false, error: 'Method not allowed' })
+  } catch (error) {
+    console.error('Attendance API error:', error)
+    return res.status(500).json({ success: false, error: 'Internal server error' })
+  }
+}
@@ -1,6 +1,8 @@
 import { connectToDatabase } from '../lib/mongo.js'
 import { User, Student, StaffApprovalRequest, AccessPolicy } from '../models.js'
 import bcrypt from 'bcryptjs'
+import { issueSessionTokens, verifyToken } from '../lib/authTokens.js'
+import { loadPrincipal } from '../lib/authMiddleware.js'
 
 const DEFAULT_STUDENT_PASSWORD = process.env.DEFAULT_STUDENT_PASSWORD || 'msec@123'
 const DEFAULT_START_MINUTES = 8 * 60 + 30
@@ -31,6 +33,57 @@ const getLoginWindowPolicy = async () => {
   }
 }
 
+const getCurrentISTMinutes = () => {
+  const nowIST = new Intl.DateTimeFormat('en-GB', {
+    timeZone: 'Asia/Kolkata',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date())
+  const hour = Number(nowIST.find(p => p.type === 'hour')?.value || '0')
+  const minute = Number(nowIST.find(p => p.type === 'minute')?.value || '0')
+  return hour * 60 + minute
+}
+
+const getLoginWindowError = (accessPolicy) =>
+  `Login is allowed only between ${minutesToDisplay(accessPolicy.startMinutes)} and ${minutesToDisplay(accessPolicy.endMinutes)} IST for staff and HOD accounts.`
+
+// Exchange a refresh token for a new access/refresh pair
+const handleRefresh = async (req, res) => {
+  const { refreshToken } = req.body || {}
+  if (!refreshToken) {
+    return res.status(400).json({ success: false, error: 'refreshToken is required' })
+  }
+
+  const result = verifyToken(refreshToken, 'refresh')
+  if (!result.valid) {
+    return res.status(401).json({
+      success: false,
+      code: result.code,
+      error: result.code === 'TOKEN_EXPIRED' ? 'Session expired. Please sign in again.' : 'Invalid refresh token'
+    })
+  }
+
+  const principal = await loadPrincipal(result.payload)
+  if (!principal) {
+    return res.status(401).json({ success: false, code: 'INVALID_TOKEN', error: 'Session is no longer valid' })
+  }
+
+  if (principal.role === 'staff' || principal.role === 'hod') {
+    const accessPolicy = await getLoginWindowPolicy()
+    const nowMinutes = getCurrentISTMinutes()
+    const withinWindow = nowMinutes >= accessPolicy.startMinutes && nowMinutes <= accessPolicy.endMinutes
+    if (accessPolicy.enforceForStaffHod && !withinWindow) {
+      return res.status(403).json({ success: false, code: 'LOGIN_WINDOW_CLOSED', error: getLoginWindowError(accessPolicy) })
+    }
+  }
+
+  return res.status(200).json({
+    success: true,
+    ...issueSessionTokens({ _id: principal.id, role: principal.role, tokenVersion: result.payload.ver }, principal.kind)
+  })
+}
+
 export default async function handler(req, res) {
   // CORS is already handled by the cors middleware in server.js
 
@@ -53,20 +106,16 @@ export default async function handler(req, res) {
         })
       }
 
+      if (req.query?.action === 'refresh') {
+        return await handleRefresh(req, res)
+      }
+
       const { email, password, regNumber, loginType } = req.body
       console.log('🔐 [AUTH] Request body:', { email, password: password ? '***' : 'none', regNumber, loginType })
 
       // Site policy: enforce IST time window (8:30 AM - 5:00 PM)
       const isStudent = loginType === 'student' || (!!regNumber && !email)
-      const nowIST = new Intl.DateTimeFormat('en-GB', {
-        timeZone: 'Asia/Kolkata',
-        hour: '2-digit',
-        minute: '2-digit',
-        hourCycle: 'h23'
-      }).formatToParts(new Date())
-      const hour = Number(nowIST.find(p => p.type === 'hour')?.value || '0')
-      const minute = Number(nowIST.find(p => p.type === 'minute')?.value || '0')
-      const nowMinutes = hour * 60 + minute
+      const nowMinutes = getCurrentISTMinutes()
       const accessPolicy = await getLoginWindowPolicy()
       const withinWindow = nowMinutes >= accessPolicy.startMinutes && nowMinutes <= accessPolicy.endMinutes
 
@@ -116,6 +165,7 @@ export default async function handler(req, res) {
 
         return res.status(200).json({
           success: true,
+          ...issueSessionTokens(student, 'student'),
           user: {
             id: student._id,
             name: student.name,
@@ -192,12 +242,13 @@ export default async function handler(req, res) {
       if (!withinWindow && shouldEnforce) {
         return res.status(403).json({
           success: false,
-          error: `Login is allowed only between ${minutesToDisplay(accessPolicy.startMinutes)} and ${minutesToDisplay(accessPolicy.endMinutes)} IST for staff and HOD accounts.`
+          error: getLoginWindowError(accessPolicy)
         })
       }
 
       return res.status(200).json({
         success: true,
+        ...issueSessionTokens(user, 'user'),
         user: {
           id: user._id,
           email: user.email,
@@ -0,0 +1,135 @@
+import { connectToDatabase } from '../lib/mongo.js'
+import { AcademicCalendarEvent } from '../models.js'
+import { authorize } from '../lib/permissions.js'
+import { ALL_DEPARTMENTS, clearCalendarCache, parseICal, resolveCalendar, toICal, validateCalendarEvent } from '../lib/academicCalendar.js'
+import { normalizeDepartment } from '../shared/subjectCatalog.js'
+
+// Admins look at any department's calendar ('ALL' for the institution's own events); everyone else at their own
+const calendarDepartment = (req) => {
+  if (req.user.role !== 'admin') return normalizeDepartment(req.user.department || '') || ALL_DEPARTMENTS
+  const requested = (req.query.department || '').toString().trim()
+  if (!requested) return null
+  return requested === ALL_DEPARTMENTS ? ALL_DEPARTMENTS : normalizeDepartment(requested)
+}
+
+// Events of the department with the institution-wide ones; null lists every department's
+const departmentFilter = (department) => {
+  if (!department) return {}
+  return { department: { $in: department === ALL_DEPARTMENTS ? [ALL_DEPARTMENTS] : [department, ALL_DEPARTMENTS] } }
+}
+
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end()
+
+  try {
+    await connectToDatabase()
+  } catch (dbErr) {
+    console.error('DB connect error in calendar API:', dbErr.message)
+    return res.status(503).json({ success: false, error: 'Database connection failed' })
+  }
+
+  try {
+    const { action } = req.query
+
+    if (req.method === 'GET' && req.query.format === 'ics') {
+      if (!authorize(req, res, 'calendar', 'export')) return
+      const department = calendarDepartment(req)
+      const events = await AcademicCalendarEvent.find(departmentFilter(department)).sort({ startDate: 1 }).lean()
+      const name = `Academic Calendar${department && department !== ALL_DEPARTMENTS ? ` - ${department}` : ''}`
+      res.setHeader('Content-Type', 'text/calendar; charset=utf-8')
+      res.setHeader('Content-Disposition', `attachment; filename="academic-calendar-${(department || 'all').toLowerCase()}.ics"`)
+      return res.status(200).send(toICal(events, { name }))
+    }
+
+    if (req.method === 'GET') {
+      if (!authorize(req, res, 'calendar', 'list')) return
+      const department = calendarDepartment(req)
+      const filter = departmentFilter(department)
+      // Events overlapping from..to
+      if (req.query.from) filter.endDate = { $gte: new Date(req.query.from) }
+      if (req.query.to) filter.startDate = { $lte: new Date(req.query.to) }
+      const events = await AcademicCalendarEvent.find(filter).sort({ startDate: 1, kind: 1 }).lean()
+      return res.status(200).json({
+        success: true,
+        department,
+        events,
+        // Working days as the department sees them, exceptions applied
+        ...(department ? { calendar: await resolveCalendar(department === ALL_DEPARTMENTS ? '' : department) } : {})
+      })
+    }
+
+    if (req.method === 'POST' && action === 'import') {
+      if (!authorize(req, res, 'calendar', 'import')) return
+      const { ics, department } = req.body || {}
+      if (!ics) return res.status(400).json({ success: false, error: 'ics is required' })
+      // Stored like calendarDepartment() reads it, so the imported events show up for that department
+      const { events, errors } = parseICal(ics, { department: normalizeDepartment(department || '') || ALL_DEPARTMENTS })
+      if (events.length === 0) {
+        return res.status(400).json({ success: false, error: errors[0] || 'The file has no events', errors })
+      }
+
+      // Events already imported from the file (same department and UID) are updated in place
+      const result = await AcademicCalendarEvent.bulkWrite(events.map(event => ({
+        updateOne: {
+          filter: { department: event.department, uid: event.uid },
+          update: {
+            $set: { ...event, updatedBy: req.user.id, updatedAt: new Date() },
+            $setOnInsert: { createdBy: req.user.id, createdAt: new Date() }
+          },
+          upsert: true
+        }
+      })), { ordered: false })
+      clearCalendarCache()
+      return res.status(200).json({
+        success: true,
+        created: result.upsertedCount || 0,
+        updated: result.modifiedCount || 0,
+        unchanged: events.length - (result.upsertedCount || 0) - (result.modifiedCount || 0),
+        errors
+      })
+    }
+
+    if (req.method === 'POST') {
+      if (!authorize(req, res, 'calendar', 'create')) return
+      const { error, event } = validateCalendarEvent(req.body || {})
+      if (error) return res.status(400).json({ success: false, error })
+      const created = await AcademicCalendarEvent.create({ ...event, createdBy: req.user.id, updatedBy: req.user.id })
+      clearCalendarCache()
+      return res.status(201).json({ success: true, event: created })
+    }
+
+    if (req.method === 'PUT') {
+      if (!authorize(req, res, 'calendar', 'update')) return
+      const { id } = req.query
+      if (!id) return res.status(400).json({ success: false, error: 'id is required' })
+      const existing = await AcademicCalendarEvent.findById(id)
+      if (!existing) return res.status(404).json({ success: false, error: 'Calendar event not found' })
+
+      // The UID stays, so the event still matches its copy in exported files
+      const { error, event } = validateCalendarEvent({ ...(req.body || {}), uid: existing.uid })
+      if (error) return res.status(400).json({ success: false, error })
+      Object.assign(existing, event, { updatedBy: req.user.id })
+      await existing.save()
+      clearCalendarCache()
+      return res.status(200).json({ success: true, event: existing })
+    }
+
+    if (req.method === 'DELETE') {
+      if (!authorize(req, res, 'calendar', 'delete')) return
+      const id = (req.body || {}).id || req.query.id
+      if (!id) return res.status(400).json({ success: false, error: 'id is required' })
+      const deleted = await AcademicCalendarEvent.findByIdAndDelete(id).lean()
+      if (!deleted) return res.status(404).json({ success: false, error: 'Calendar event not found' })
+      clearCalendarCache()
+      return res.status(200).json({ success: true })
+    }
+
+    return res.status(405).json({ success: false, error: 'Method not allowed' })
+  } catch (error) {
+    if (error?.code === 11000) {
+      return res.status(409).json({ success: false, error: 'This department already has an event with the same UID' })
+    }
+    console.error('Calendar API error:', error)
+    return res.status(500).json({ success: false, error: 'Internal server error' })
+  }
+}
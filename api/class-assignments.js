@@ -0,0 +1,111 @@
+import { connectToDatabase } from '../lib/mongo.js'
+import { ClassAssignment, User } from '../models.js'
+import { authorize, forbid, canAccessClass, scopeFilter, withScope } from '../lib/permissions.js'
+import { currentAcademicYear, syncAdvisedClass, validateAssignment } from '../lib/classAssignments.js'
+import { getYearAliases, normalizeDepartment } from '../shared/subjectCatalog.js'
+
+const clean = (value) => (value ?? '').toString().trim()
+
+const label = ({ year, section, role, subjectCode, subjectName }) =>
+  `${year} ${section}${role === 'subject_teacher' ? ` (${subjectCode || subjectName})` : ' (class advisor)'}`
+
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end()
+
+  try {
+    await connectToDatabase()
+  } catch (dbErr) {
+    console.error('DB connect error in class assignments API:', dbErr.message)
+    return res.status(503).json({ success: false, error: 'Database connection failed' })
+  }
+
+  try {
+    if (req.method === 'GET') {
+      if (!authorize(req, res, 'class-assignments', 'list')) return
+      const filter = { active: true }
+      const department = normalizeDepartment(clean(req.query.department))
+      if (department) filter.department = department
+      if (req.query.year) filter.year = { $in: getYearAliases(clean(req.query.year)) }
+      if (req.query.section) filter.section = clean(req.query.section).toUpperCase()
+      if (req.query.staffId) filter.staffId = req.query.staffId
+      // Staff see the assignments of the classes they teach, HODs those of their department's classes
+      const assignments = await ClassAssignment.find(withScope(filter, scopeFilter(req.user, { prefix: '', ownerField: 'staffId' })))
+        .sort({ department: 1, year: 1, section: 1, role: 1 })
+        .lean()
+      const staff = await User.find({ _id: { $in: [...new Set(assignments.map((item) => String(item.staffId)))] } })
+        .select('name email department')
+        .lean()
+      const staffById = new Map(staff.map((member) => [String(member._id), member]))
+      return res.status(200).json({
+        success: true,
+        academicYear: currentAcademicYear(),
+        assignments: assignments.map((item) => ({
+          ...item,
+          staffName: staffById.get(String(item.staffId))?.name || 'Unknown staff',
+          staffDepartment: staffById.get(String(item.staffId))?.department || null
+        }))
+      })
+    }
+
+    if (req.method === 'POST') {
+      if (!authorize(req, res, 'class-assignments', 'create')) return
+      const { assignment, error } = validateAssignment(req.body)
+      if (error) {
+        return res.status(400).json({ success: false, error })
+      }
+      if (!canAccessClass(req.user, assignment)) {
+        return forbid(res, 'You can only assign staff to classes of your department')
+      }
+      const staff = await User.findOne({ _id: req.body?.staffId, role: 'staff' }).select('_id name').lean()
+      if (!staff) {
+        return res.status(404).json({ success: false, error: 'Staff member not found' })
+      }
+      if (assignment.role === 'class_advisor') {
+        const advised = await ClassAssignment.findOne({ staffId: staff._id, role: 'class_advisor', active: true }).lean()
+        if (advised) {
+          return res.status(409).json({ success: false, error: `${staff.name} already advises ${advised.department} ${label(advised)}. Remove that assignment first.` })
+        }
+      }
+
+      try {
+        const created = await ClassAssignment.create({ ...assignment, staffId: staff._id, createdBy: req.user.id })
+        if (assignment.role === 'class_advisor') await syncAdvisedClass(staff._id)
+        return res.status(201).json({ success: true, assignment: { ...created.toObject(), staffName: staff.name } })
+      } catch (createErr) {
+        if (createErr.code === 11000) {
+          // The advisor index is keyed on the staff member alone
+          const advising = assignment.role === 'class_advisor' && !createErr.keyPattern?.department
+          return res.status(409).json({
+            success: false,
+            error: advising ? `${staff.name} already advises a class. Remove that assignment first.` : `${staff.name} already has this assignment`
+          })
+        }
+        throw createErr
+      }
+    }
+
+    if (req.method === 'DELETE') {
+      if (!authorize(req, res, 'class-assignments', 'delete')) return
+      const id = clean(req.query.id || req.body?.id)
+      if (!id) {
+        return res.status(400).json({ success: false, error: 'id is required' })
+      }
+      const assignment = await ClassAssignment.findOne({ _id: id, active: true }).lean()
+      if (!assignment) {
+        return res.status(404).json({ success: false, error: 'Assignment not found' })
+      }
+      if (!canAccessClass(req.user, assignment)) {
+        return forbid(res, 'You can only change assignments of your department')
+      }
+      // Ended rather than deleted so past years show who taught what
+      await ClassAssignment.updateOne({ _id: assignment._id }, { $set: { active: false, endedAt: new Date(), updatedAt: new Date() } })
+      if (assignment.role === 'class_advisor') await syncAdvisedClass(assignment.staffId)
+      return res.status(200).json({ success: true })
+    }
+
+    return res.status(405).json({ success: false, error: 'Method not allowed' })
+  } catch (error) {
+    console.error('Class assignments API error:', error)
+    return res.status(500).json({ success: false, error: 'Internal server error' })
+  }
+}
@@ -0,0 +1,272 @@
+import multer from 'multer'
+import XLSX from 'xlsx'
+import { connectToDatabase } from '../lib/mongo.js'
+import { ElectiveChoice, Student } from '../models.js'
+import { authorize, forbid, canAccessClass } from '../lib/permissions.js'
+import { getSubjectCatalog } from '../lib/subjectCatalog.js'
+import { regNumberKey, resolveElectiveCourse, validateElectiveChoices } from '../lib/electiveChoices.js'
+import {
+  getElectiveSlots,
+  getYearAliases,
+  normalizeDepartment,
+  normalizeSemester,
+  normalizeSubjectKey,
+  normalizeYear
+} from '../shared/subjectCatalog.js'
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = [
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.ms-excel',
+      'text/csv'
+    ]
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true)
+    } else {
+      cb(new Error('Only Excel files (.xlsx, .xls) and CSV files are allowed'))
+    }
+  }
+})
+
+const REG_NUMBER_COLUMNS = ['regnumber', 'register', 'regno', 'rollno', 'registernumber', 'registrationnumber']
+const NAME_COLUMNS = ['name', 'studentname', 'student']
+
+const clean = (value) => (value ?? '').toString().trim()
+
+// Class and semester the request is about; staff default to their own class
+const readClass = (source = {}, user) => ({
+  department: normalizeDepartment(clean(source.department) || user.department || ''),
+  year: normalizeYear(clean(source.year) || (user.role === 'staff' ? user.year || '' : '')),
+  section: clean(source.section || (user.role === 'staff' ? user.section : '')).toUpperCase(),
+  semester: normalizeSemester(clean(source.semester))
+})
+
+const loadSlots = async ({ department, year, semester }, regulation) => {
+  const catalog = await getSubjectCatalog({ regulation })
+  return getElectiveSlots(department, year, semester, catalog)
+}
+
+// Upsert (or clear, when a student has no choices left) one class's elective choices
+const saveEntries = async (classInfo, entries, userId) => {
+  const regNumbers = entries.map((entry) => entry.regNumber)
+  const students = await Student.find({ regNumber: { $in: regNumbers } }).select('regNumber name').lean()
+  const studentsByReg = new Map(students.map((student) => [regNumberKey(student.regNumber), student]))
+  const now = new Date()
+
+  const operations = entries.map((entry) => {
+    const filter = { regNumber: entry.regNumber, semester: classInfo.semester }
+    if (entry.choices.length === 0) return { deleteOne: { filter } }
+    const student = studentsByReg.get(regNumberKey(entry.regNumber))
+    return {
+      updateOne: {
+        filter,
+        update: {
+          $set: {
+            ...classInfo,
+            studentId: student?._id,
+            studentName: entry.studentName || student?.name || '',
+            choices: entry.choices,
+            updatedBy: userId,
+            updatedAt: now
+          },
+          $setOnInsert: { createdAt: now }
+        },
+        upsert: true
+      }
+    }
+  })
+  if (operations.length > 0) await ElectiveChoice.bulkWrite(operations, { ordered: false })
+  return {
+    saved: entries.filter((entry) => entry.choices.length > 0).length,
+    cleared: entries.filter((entry) => entry.choices.length === 0).length
+  }
+}
+
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end()
+
+  try {
+    await connectToDatabase()
+  } catch (dbErr) {
+    console.error('DB connect error in elective choices API:', dbErr.message)
+    return res.status(503).json({ success: false, error: 'Database connection failed' })
+  }
+
+  try {
+    if (req.method === 'GET') {
+      if (!authorize(req, res, 'elective-choices', 'list')) return
+      const classInfo = readClass(req.query, req.user)
+      if (!classInfo.department || !classInfo.year || !classInfo.section || !classInfo.semester) {
+        return res.status(400).json({ success: false, error: 'department, year, section and semester are required' })
+      }
+      if (!canAccessClass(req.user, classInfo)) {
+        return forbid(res, 'You can only manage electives for your own class')
+      }
+
+      const slots = await loadSlots(classInfo, req.query.regulation)
+      const [students, stored] = await Promise.all([
+        Student.find({
+          department: classInfo.department,
+          year: { $in: getYearAliases(classInfo.year) },
+          section: classInfo.section
+        }).select('regNumber name').sort({ regNumber: 1 }).lean(),
+        ElectiveChoice.find({
+          department: classInfo.department,
+          year: classInfo.year,
+          section: classInfo.section,
+          semester: classInfo.semester
+        }).lean()
+      ])
+
+      // Every student of the class, plus choices uploaded for students not imported yet
+      const storedByReg = new Map(stored.map((doc) => [regNumberKey(doc.regNumber), doc]))
+      const rows = students.map((student) => {
+        const doc = storedByReg.get(regNumberKey(student.regNumber))
+        storedByReg.delete(regNumberKey(student.regNumber))
+        return { regNumber: student.regNumber, name: student.name, choices: doc?.choices || [], updatedAt: doc?.updatedAt || null }
+      })
+      for (const doc of storedByReg.values()) {
+        rows.push({ regNumber: doc.regNumber, name: doc.studentName || '', choices: doc.choices || [], updatedAt: doc.updatedAt })
+      }
+      rows.sort((a, b) => a.regNumber.localeCompare(b.regNumber))
+
+      return res.status(200).json({ success: true, ...classInfo, slots, students: rows })
+    }
+
+    if (req.method === 'PUT') {
+      if (!authorize(req, res, 'elective-choices', 'save')) return
+      const classInfo = readClass(req.body, req.user)
+      if (!classInfo.department || !classInfo.year || !classInfo.section || !classInfo.semester) {
+        return res.status(400).json({ success: false, error: 'department, year, section and semester are required' })
+      }
+      if (!canAccessClass(req.user, classInfo)) {
+        return forbid(res, 'You can only manage electives for your own class')
+      }
+      const { entries } = req.body || {}
+      if (!Array.isArray(entries) || entries.length === 0) {
+        return res.status(400).json({ success: false, error: 'entries are required' })
+      }
+
+      const slots = await loadSlots(classInfo, req.body.regulation)
+      if (slots.length === 0) {
+        return res.status(400).json({ success: false, error: 'This semester has no elective slots' })
+      }
+      const normalized = []
+      for (const entry of entries) {
+        const regNumber = clean(entry?.regNumber)
+        if (!regNumber) return res.status(400).json({ success: false, error: 'Every entry needs a register number' })
+        const { choices, error } = validateElectiveChoices(entry.choices || [], slots)
+        if (error) return res.status(400).json({ success: false, error: `${regNumber}: ${error}` })
+        normalized.push({ regNumber, studentName: clean(entry.name), choices })
+      }
+
+      const summary = await saveEntries(classInfo, normalized, req.user.id)
+      return res.status(200).json({ success: true, ...summary })
+    }
+
+    if (req.method === 'POST') {
+      const { action } = req.query
+      if (action !== 'upload') {
+        return res.status(400).json({ success: false, error: 'Invalid action' })
+      }
+      if (!authorize(req, res, 'elective-choices', 'upload')) return
+
+      upload.single('choicesFile')(req, res, async (err) => {
+        if (err) {
+          return res.status(400).json({ success: false, error: err.message })
+        }
+        if (!req.file) {
+          return res.status(400).json({ success: false, error: 'No file uploaded' })
+        }
+
+        try {
+          const classInfo = readClass(req.body, req.user)
+          if (!classInfo.department || !classInfo.year || !classInfo.section || !classInfo.semester) {
+            return res.status(400).json({ success: false, error: 'department, year, section and semester are required' })
+          }
+          if (!canAccessClass(req.user, classInfo)) {
+            return forbid(res, 'You can only manage electives for your own class')
+          }
+
+          const slots = await loadSlots(classInfo, req.body.regulation)
+          if (slots.length === 0) {
+            return res.status(400).json({ success: false, error: 'This semester has no elective slots' })
+          }
+
+          const workbook = XLSX.read(req.file.buffer, { type: 'buffer' })
+          const rows = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]])
+          if (rows.length === 0) {
+            return res.status(400).json({ success: false, error: 'Excel file is empty' })
+          }
+
+          // One column per elective slot, headed with the slot name ("Professional Elective I")
+          const headers = Object.keys(rows[0])
+          const headerKey = (header) => header.toLowerCase().replace(/\s+/g, '')
+          const regColumn = headers.find((header) => REG_NUMBER_COLUMNS.includes(headerKey(header)))
+          const nameColumn = headers.find((header) => NAME_COLUMNS.includes(headerKey(header)))
+          const slotColumns = headers
+            .map((header) => ({ header, slot: slots.find((slot) => normalizeSubjectKey(slot.slot) === normalizeSubjectKey(header)) }))
+            .filter((column) => column.slot)
+          if (!regColumn) {
+            return res.status(400).json({ success: false, error: 'Missing a RegNumber column' })
+          }
+          if (slotColumns.length === 0) {
+            return res.status(400).json({
+              success: false,
+              error: `No elective columns found. Expected columns named: ${slots.map((slot) => slot.slot).join(', ')}`
+            })
+          }
+
+          const entries = []
+          const errorMessages = []
+          const seen = new Set()
+          rows.forEach((row, index) => {
+            const rowNum = index + 2
+            const regNumber = clean(row[regColumn])
+            if (!regNumber) {
+              errorMessages.push(`Row ${rowNum}: Missing register number`)
+              return
+            }
+            if (seen.has(regNumberKey(regNumber))) {
+              errorMessages.push(`Row ${rowNum}: ${regNumber} appears more than once`)
+              return
+            }
+            seen.add(regNumberKey(regNumber))
+
+            const choices = []
+            for (const { header, slot } of slotColumns) {
+              const { choice, error } = resolveElectiveCourse(slot, row[header])
+              if (error) errorMessages.push(`Row ${rowNum}, Column "${header}": ${error}`)
+              else if (choice) choices.push(choice)
+            }
+            entries.push({ regNumber, studentName: nameColumn ? clean(row[nameColumn]) : '', choices })
+          })
+
+          if (errorMessages.length > 0) {
+            return res.status(400).json({
+              success: false,
+              error: `The file contains ${errorMessages.length} error(s). Nothing was saved.`,
+              errorMessages,
+              errorCount: errorMessages.length
+            })
+          }
+
+          const summary = await saveEntries(classInfo, entries, req.user.id)
+          return res.status(200).json({ success: true, ...summary })
+        } catch (uploadErr) {
+          console.error('Elective choices upload error:', uploadErr)
+          return res.status(400).json({ success: false, error: `Failed to read the file: ${uploadErr.message}` })
+        }
+      })
+      return // multer handles the response
+    }
+
+    return res.status(405).json({ success: false, error: 'Method not allowed' })
+  } catch (error) {
+    console.error('Elective choices API error:', error)
+    return res.status(500).json({ success: false, error: 'Internal server error' })
+  }
+}
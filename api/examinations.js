@@ -1,6 +1,11 @@
 import { connectToDatabase } from '../lib/mongo.js'
-import { User, Marksheet, Student } from '../models.js'
+import { User, Marksheet } from '../models.js'
 import mongoose from 'mongoose'
+import { authorize, forbid, hodCoversClass, scopeFilter, withScope } from '../lib/permissions.js'
+import { auditActor, recordMarksheetAuditMany } from '../lib/marksheetAudit.js'
+import { resolveCalendar } from '../lib/academicCalendar.js'
+import { examWindowsBetween } from '../shared/calendar.js'
+import { isArchived } from '../lib/promotion.js'
 
 // Examination Schema
 const ExaminationSchema = new mongoose.Schema({
@@ -26,6 +31,21 @@ ExaminationSchema.index({ staffId: 1, department: 1, status: 1 })
 // Create the model
 const Examination = mongoose.models.Examination || mongoose.model('Examination', ExaminationSchema)
 
+/**
+ * Warning for an examination month that none of the department's exam
+ * windows in the academic calendar touches. Null when it does, or when
+ * the calendar has no exam windows at all.
+ */
+async function examMonthWarning(department, month, year) {
+  const calendar = await resolveCalendar(department)
+  if (!calendar.exams.length || !Number(month) || !Number(year)) return null
+  const first = new Date(Date.UTC(Number(year), Number(month) - 1, 1))
+  const last = new Date(Date.UTC(Number(year), Number(month), 0))
+  if (examWindowsBetween(calendar, first, last).length > 0) return null
+  const label = first.toLocaleDateString('en-GB', { month: 'long', year: 'numeric', timeZone: 'UTC' })
+  return `The academic calendar has no exam window in ${label}`
+}
+
 export default async function handler(req, res) {
   if (req.method === 'OPTIONS') return res.status(200).end()
 
@@ -38,18 +58,19 @@ export default async function handler(req, res) {
 
   try {
     if (req.method === 'POST') {
+      if (!authorize(req, res, 'examinations', 'create')) return
       const { 
         examinationName, 
         year, 
         semester, 
         academicYear, 
         examinationMonth, 
-        examinationYear,
-        staffId 
+        examinationYear
       } = req.body
+      const staffId = req.user.id
 
       // Validate required fields
-      if (!examinationName || !year || !semester || !academicYear || !examinationMonth || !examinationYear || !staffId) {
+      if (!examinationName || !year || !semester || !academicYear || !examinationMonth || !examinationYear) {
         return res.status(400).json({ 
           success: false, 
           error: 'All examination details are required' 
@@ -76,10 +97,12 @@ export default async function handler(req, res) {
       })
 
       await examination.save()
+      const calendarWarning = await examMonthWarning(staff.department, examinationMonth, examinationYear)
 
       return res.status(201).json({
         success: true,
         message: 'Examination created successfully',
+        ...(calendarWarning ? { calendarWarning } : {}),
         examination: {
           _id: examination._id,
           examinationName: examination.examinationName,
@@ -97,6 +120,7 @@ export default async function handler(req, res) {
     }
 
     if (req.method === 'GET') {
+      if (!authorize(req, res, 'examinations', 'list')) return
       const { staffId, department } = req.query
 
       // Build query
@@ -108,6 +132,13 @@ export default async function handler(req, res) {
         query.department = department
       }
 
+      // HODs see their department's examinations, staff only their own
+      if (req.user.role === 'staff') {
+        query = withScope(query, { staffId: req.user.id })
+      } else {
+        query = withScope(query, scopeFilter(req.user, { prefix: '' }))
+      }
+
       // Get examinations - optimized with lean() and no populate
       const examinations = await Examination.find(query)
         .select('-__v') // Exclude version field
@@ -133,22 +164,22 @@ export default async function handler(req, res) {
     }
 
     if (req.method === 'DELETE') {
-      const { examinationId, staffId } = req.body || {}
+      if (!authorize(req, res, 'examinations', 'delete')) return
+      const { examinationId } = req.body || {}
       if (!examinationId) {
         return res.status(400).json({ success: false, error: 'examinationId is required' })
       }
-      if (!staffId) {
-        return res.status(400).json({ success: false, error: 'staffId is required' })
-      }
 
       const exam = await Examination.findById(examinationId).lean()
       if (!exam) {
         return res.status(404).json({ success: false, error: 'Examination not found' })
       }
 
-      // Ensure only the owner can delete
-      if (exam.staffId && exam.staffId.toString() !== staffId) {
-        return res.status(403).json({ success: false, error: 'Not authorized to delete this examination' })
+      // Staff may delete only their own examinations; HODs those of their department
+      const isOwner = exam.staffId && exam.staffId.toString() === req.user.id
+      const isDepartmentHod = req.user.role === 'hod' && hodCoversClass(req.user.department, exam)
+      if (!isOwner && !isDepartmentHod && req.user.role !== 'admin') {
+        return forbid(res, 'Not authorized to delete this examination')
       }
 
       // Build date range for the examination month/year
@@ -174,61 +205,39 @@ export default async function handler(req, res) {
       }
 
       const marksheetsToDelete = await Marksheet.find(marksheetFilter)
-        .select('_id studentId')
+        .select('_id studentId status archivedAt')
         .lean()
+      // Marks parents received or a closed year holds stay, and so does their examination
+      const kept = marksheetsToDelete.filter((item) => item.status === 'dispatched' || isArchived(item))
+      if (kept.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: `${kept.length} marksheet(s) of this examination were dispatched to parents or archived, so the examination cannot be deleted`
+        })
+      }
 
       const marksheetIdsToDelete = marksheetsToDelete.map((item) => item._id)
-      const studentIdsFromDeletedMarksheets = Array.from(
-        new Set(
-          marksheetsToDelete
-            .map((item) => item.studentId?.toString())
-            .filter(Boolean)
-        )
-      ).map((id) => new mongoose.Types.ObjectId(id))
 
       let marksheetDeleteResult = { deletedCount: 0 }
       if (marksheetIdsToDelete.length > 0) {
         marksheetDeleteResult = await Marksheet.deleteMany({ _id: { $in: marksheetIdsToDelete } })
+        await recordMarksheetAuditMany(marksheetsToDelete.map((item) => ({
+          marksheetId: item._id,
+          action: 'deleted',
+          fromStatus: item.status,
+          comments: 'Deleted together with its examination'
+        })), auditActor(req.user))
       }
 
-      // Delete only students that no longer have any marksheets after this deletion
-      let studentDeleteResult = { deletedCount: 0 }
-      if (studentIdsFromDeletedMarksheets.length > 0) {
-        const remainingByStudent = await Marksheet.aggregate([
-          { $match: { studentId: { $in: studentIdsFromDeletedMarksheets } } },
-          { $group: { _id: '$studentId', count: { $sum: 1 } } }
-        ])
-
-        const studentsWithRemainingMarksheets = new Set(
-          remainingByStudent.map((entry) => entry._id?.toString()).filter(Boolean)
-        )
-
-        const deletableStudentIds = studentIdsFromDeletedMarksheets.filter(
-          (studentId) => !studentsWithRemainingMarksheets.has(studentId.toString())
-        )
-
-        if (deletableStudentIds.length > 0) {
-          const studentFilter = {
-            _id: { $in: deletableStudentIds },
-            examinationName: exam.examinationName,
-            department: exam.department
-          }
-          if (startDate && endDate) {
-            studentFilter.examinationDate = { $gte: startDate, $lt: endDate }
-          }
-          studentDeleteResult = await Student.deleteMany(studentFilter)
-        }
-      }
-
+      // Students stay on the roster (api/students.js); only their marks for this exam go
       // Finally remove the examination document
       await Examination.findByIdAndDelete(examinationId)
 
       return res.status(200).json({
         success: true,
-        message: 'Examination and associated marksheets/students deleted',
+        message: 'Examination and associated marksheets deleted',
         deleted: {
-          marksheets: marksheetDeleteResult.deletedCount || 0,
-          students: studentDeleteResult.deletedCount || 0
+          marksheets: marksheetDeleteResult.deletedCount || 0
         }
       })
     }
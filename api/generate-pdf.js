@@ -1,6 +1,11 @@
 import { connectToDatabase } from '../lib/mongo.js'
-import { Marksheet, LeaveRequest } from '../models.js'
+import { Marksheet, MarksheetRevision, LeaveRequest } from '../models.js'
 import { applyResultNormalization } from './utils/resultUtils.js'
+import { formatComponentMarks, getComponentBreakdown, gradeSubject, getOverallResult, isAttendanceSubject, normalizeResultToken } from '../shared/grading.js'
+import { authorize, forbid, canAccessLeave, canAccessMarksheet } from '../lib/permissions.js'
+import { signedPdfPath, verifyPdfToken } from '../lib/pdfLinks.js'
+import { findElectiveChoices } from '../lib/electiveChoices.js'
+import { applyElectiveChoice } from '../shared/subjectCatalog.js'
 import PDFDocument from 'pdfkit'
 import ExcelJS from 'exceljs'
 import fs from 'fs'
@@ -17,6 +22,36 @@ const getCacheKey = (marksheetId) => {
   return `pdf_${marksheetId}`
 }
 
+const formatPdfDate = (date) => new Date(date).toLocaleDateString('en-IN', { dateStyle: 'medium' })
+
+/**
+ * Watermark and footer note for a marksheet revision. Marksheets revised by an
+ * approved correction request say so; `supersededBy` marks an older snapshot.
+ */
+const getRevisionMarking = (marksheet, supersededBy = null) => {
+  const revision = Number(marksheet?.revision) || 0
+  const version = revision > 0 ? `Revision ${revision}` : 'Original marksheet'
+  if (supersededBy) {
+    return { watermark: 'SUPERSEDED', note: `${version} - superseded by revision ${supersededBy}` }
+  }
+  if (revision > 0) {
+    return { watermark: 'REVISED', note: `Revision ${revision}${marksheet.revisedAt ? ` - revised on ${formatPdfDate(marksheet.revisedAt)}` : ''}` }
+  }
+  return { watermark: null, note: null }
+}
+
+// Large diagonal text across the page, faint enough to keep the marks readable
+const drawWatermark = (doc, text) => {
+  const centerX = doc.page.width / 2
+  const centerY = doc.page.height / 2
+  doc.save()
+  doc.rotate(-35, { origin: [centerX, centerY] })
+  doc.fillColor('#b91c1c').fillOpacity(0.12)
+  setFontForText(doc, text, 96, true)
+    .text(text, centerX - 400, centerY - 48, { width: 800, align: 'center', lineBreak: false })
+  doc.restore()
+}
+
 
 const LOGO_PATH = (() => {
   const logoPath = path.resolve(process.cwd(), 'public', 'images', 'mseclogo.png')
@@ -152,26 +187,49 @@ const generateLeavePDF = (leave) => {
         doc.y += infoLineGap
       })
 
+      // Leaves raised before approval chains were signed by the HOD alone
+      const approved = (leave.approvals || []).filter((step) => step.status === 'approved')
+      const signers = approved.length > 0
+        ? approved
+        : [{ label: 'HOD', name: leave.hodName, signature: leave.hodSignature }]
+
       doc.moveDown(2)
-      const approvalText = 'This is to certify that the above student\'s leave request has been reviewed and approved by the Head of the Department.'
+      const approvalText = `This is to certify that the above student's leave request has been reviewed and approved by the ${signers.map((step) => step.label).join(', ').replace(/, ([^,]*)$/, ' and $1')}.`
       setFontForText(doc, approvalText, 10.5, false)
-        .text(approvalText, {
+        .text(approvalText, doc.page.margins.left, doc.y, {
+          width: contentWidth,
           align: 'left'
         })
 
-      const signatureY = doc.page.height - doc.page.margins.bottom - 70
-      const signatureRightX = doc.page.width - doc.page.margins.right - 180
-      const signatureWidth = 170
-      
-      const imageBuffer = decodeBase64Image(leave.hodSignature)
-      if (imageBuffer) {
-        doc.image(imageBuffer, signatureRightX, signatureY - 35, { fit: [signatureWidth - 10, 35], align: 'center' })
+      if (approved.length > 0) {
+        doc.moveDown(1)
+        setFontForText(doc, 'Approval Trail', 10, true).text('Approval Trail', doc.page.margins.left, doc.y, { width: contentWidth })
+        doc.moveDown(0.3)
+        approved.forEach((step) => {
+          const actedOn = step.actedAt ? new Date(step.actedAt).toLocaleDateString('en-GB', { day: '2-digit', month: '2-digit', year: 'numeric' }) : ''
+          const line = `${step.label}: ${step.name || ''}${actedOn ? ` on ${actedOn}` : ''}${step.comments ? ` - "${step.comments}"` : ''}`
+          setFontForText(doc, line, 9.5, false).text(line, doc.page.margins.left, doc.y, { width: contentWidth, align: 'left' })
+          doc.moveDown(0.2)
+        })
       }
-      
-      doc.lineWidth(0.5).moveTo(signatureRightX, signatureY).lineTo(signatureRightX + signatureWidth, signatureY).stroke()
-      const hodLabel = 'Signature of HOD'
-      setFontForText(doc, hodLabel, 8.5, false).text(hodLabel, signatureRightX, signatureY + 4, { width: signatureWidth, align: 'center' })
-      setFontForText(doc, leave.hodName || 'HOD Name', 9, true).text(leave.hodName || 'HOD Name', signatureRightX, signatureY + 15, { width: signatureWidth, align: 'center' })
+
+      // One signature block per approver, side by side along the bottom, last approver on the right
+      const signatureY = doc.page.height - doc.page.margins.bottom - 70
+      const signatureGap = 10
+      const signatureWidth = Math.min(170, (contentWidth - signatureGap * (signers.length - 1)) / signers.length)
+      signers.forEach((step, index) => {
+        const signatureX = doc.page.width - doc.page.margins.right - (signers.length - index) * signatureWidth - (signers.length - index - 1) * signatureGap
+        const imageBuffer = decodeBase64Image(step.signature)
+        if (imageBuffer) {
+          doc.image(imageBuffer, signatureX + 5, signatureY - 35, { fit: [signatureWidth - 10, 35], align: 'center' })
+        }
+
+        doc.lineWidth(0.5).moveTo(signatureX, signatureY).lineTo(signatureX + signatureWidth, signatureY).stroke()
+        const signatureLabel = `Signature of ${step.label}`
+        setFontForText(doc, signatureLabel, 8.5, false).text(signatureLabel, signatureX, signatureY + 4, { width: signatureWidth, align: 'center' })
+        const signerName = step.name || `${step.label} Name`
+        setFontForText(doc, signerName, 9, true).text(signerName, signatureX, signatureY + 15, { width: signatureWidth, align: 'center' })
+      })
 
       const leaveFooter = `Generated on ${new Date().toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' })}`
       doc.fillColor('#666666')
@@ -187,7 +245,8 @@ const generateLeavePDF = (leave) => {
 }
 
 // Function to generate PDF using PDFKit
-const generateMarksheetPDF = (marksheet, staffSignature, hodSignature, staffName, hodName) => {
+// `electiveChoices` names the courses behind elective slot placeholders on marksheets imported before the student's choices were recorded
+const generateMarksheetPDF = (marksheet, staffSignature, hodSignature, staffName, hodName, { supersededBy = null, electiveChoices = [] } = {}) => {
   return new Promise((resolve, reject) => {
     try {
       const doc = new PDFDocument({ size: 'A4', margin: 50 })
@@ -255,11 +314,6 @@ const generateMarksheetPDF = (marksheet, staffSignature, hodSignature, staffName
 
       doc.y = headerBottom + 22
 
-      const isAttendanceSubject = (subjectName = '') => {
-        const normalized = String(subjectName).trim().toUpperCase().replace(/\s+/g, '')
-        return normalized.startsWith('ATTENDANCE')
-      }
-
       const formatAttendance = (value) => {
         if (value === undefined || value === null) return '—'
         const raw = String(value).trim()
@@ -331,30 +385,12 @@ const generateMarksheetPDF = (marksheet, staffSignature, hodSignature, staffName
       const columnPaddingX = 10
       const columnPaddingY = 8
 
-      const deriveSubjectResult = (subject = {}) => {
-        const resultToken = (subject.result || '').toString().trim().toLowerCase()
-        if (resultToken === 'pass' || resultToken === 'fail' || resultToken === 'absent') {
-          return resultToken[0].toUpperCase() + resultToken.slice(1)
-        }
-
-        const marks = Number(subject.marks)
-        if (!Number.isNaN(marks)) {
-          return marks >= 50 ? 'Pass' : 'Fail'
-        }
-
-        return 'Pass'
-      }
-
-      const deriveOverallFromSubjects = (subjectList = []) => {
-        if (!subjectList.length) return marksheet.overallResult || '—'
-        let hasFail = false
-        for (const subject of subjectList) {
-          const result = deriveSubjectResult(subject)
-          if (result === 'Absent') return 'Absent'
-          if (result === 'Fail') hasFail = true
-        }
-        return hasFail ? 'Fail' : 'Pass'
-      }
+      // Results and grades were computed by shared/grading.js when the marksheet was saved
+      const deriveSubjectResult = (subject = {}) => normalizeResultToken(subject.result) || gradeSubject(subject).result
+      const overallResultText = subjects.length
+        ? getOverallResult(subjects.map(subject => ({ ...subject, result: deriveSubjectResult(subject) })))
+        : (marksheet.overallResult || '—')
+      const showGrades = subjects.some(subject => subject.grade)
 
       const getResultColor = (value) => {
         const normalized = (value || '').toString().toLowerCase()
@@ -364,12 +400,20 @@ const generateMarksheetPDF = (marksheet, staffSignature, hodSignature, staffName
         return '#111111'
       }
 
-      const columns = [
-        { key: 'sno', label: 'S.No', width: 55, align: 'center' },
-        { key: 'course', label: 'Course', width: contentWidth - 225, align: 'left' },
-        { key: 'mark', label: 'Marks', width: 85, align: 'center' },
-        { key: 'result', label: 'Result', width: 85, align: 'center' }
-      ]
+      const columns = showGrades
+        ? [
+            { key: 'sno', label: 'S.No', width: 50, align: 'center' },
+            { key: 'course', label: 'Course', width: contentWidth - 260, align: 'left' },
+            { key: 'mark', label: 'Marks', width: 75, align: 'center' },
+            { key: 'grade', label: 'Grade', width: 65, align: 'center' },
+            { key: 'result', label: 'Result', width: 70, align: 'center' }
+          ]
+        : [
+            { key: 'sno', label: 'S.No', width: 55, align: 'center' },
+            { key: 'course', label: 'Course', width: contentWidth - 225, align: 'left' },
+            { key: 'mark', label: 'Marks', width: 85, align: 'center' },
+            { key: 'result', label: 'Result', width: 85, align: 'center' }
+          ]
 
       let currentX = doc.page.margins.left
       columns.forEach((col) => {
@@ -440,8 +484,9 @@ const generateMarksheetPDF = (marksheet, staffSignature, hodSignature, staffName
       subjects.forEach((subject, index) => {
         const rowValues = {
           sno: index + 1,
-          course: subject.subjectName,
+          course: applyElectiveChoice(subject, electiveChoices).subjectName,
           mark: subject.marks,
+          grade: subject.grade || '—',
           result: deriveSubjectResult(subject)
         }
 
@@ -486,7 +531,6 @@ const generateMarksheetPDF = (marksheet, staffSignature, hodSignature, staffName
       
       // Overall result and total subjects with better spacing
       doc.moveDown(0.5)
-      const overallResultText = deriveOverallFromSubjects(subjects)
       setFontForText(doc, 'Overall Result: ', 11, true)
         .fillColor('#000000')
         .text('Overall Result: ', doc.page.margins.left, tableBottom, {
@@ -499,13 +543,64 @@ const generateMarksheetPDF = (marksheet, staffSignature, hodSignature, staffName
           continued: false
         })
       doc.fillColor('#000000')
-      const totalSubjectsText = `Total Subjects: ${subjects.length}`
+      const totalSubjectsText = typeof marksheet.sgpa === 'number'
+        ? `SGPA: ${marksheet.sgpa.toFixed(2)}  |  Total Subjects: ${subjects.length}`
+        : `Total Subjects: ${subjects.length}`
       setFontForText(doc, totalSubjectsText, 11, false)
         .text(totalSubjectsText, doc.page.margins.left + contentWidth / 2, tableBottom, {
           width: contentWidth / 2,
           align: 'right'
         })
 
+      // Internal assessment breakdown for subjects made of components (CIA1, Model...)
+      const breakdown = getComponentBreakdown(subjects)
+      if (breakdown.rows.length > 0) {
+        const breakdownFontSize = 8.5
+        const breakdownRowHeight = 20
+        const totalWidth = 60
+        const courseWidth = Math.max(150, contentWidth - totalWidth - breakdown.columns.length * 60)
+        const componentWidth = (contentWidth - courseWidth - totalWidth) / breakdown.columns.length
+        const breakdownColumns = [
+          { label: 'Course', width: courseWidth, align: 'left', value: (row) => applyElectiveChoice(row.subject, electiveChoices).subjectName },
+          ...breakdown.columns.map((name) => ({ label: name, width: componentWidth, align: 'center', value: (row) => formatComponentMarks(row.cells[name]) })),
+          { label: 'Total', width: totalWidth, align: 'center', value: (row) => (row.subject.result === 'Absent' ? 'AB' : row.subject.marks ?? '—') }
+        ]
+
+        let breakdownY = tableBottom + 28
+        const neededHeight = 18 + breakdownRowHeight * (breakdown.rows.length + 1)
+        // The signatures sit at the foot of the last page; start a new page when the table would reach them
+        if (breakdownY + neededHeight > doc.page.height - doc.page.margins.bottom - 140) {
+          doc.addPage()
+          breakdownY = doc.page.margins.top
+        }
+
+        setFontForText(doc, 'Assessment Breakdown', 10, true)
+          .fillColor('#000000')
+          .text('Assessment Breakdown', doc.page.margins.left, breakdownY)
+        breakdownY += 16
+
+        const drawBreakdownRow = (cells, isHeader) => {
+          if (isHeader) {
+            doc.fillColor('#f0f0f0').rect(doc.page.margins.left, breakdownY, contentWidth, breakdownRowHeight).fill()
+            doc.fillColor('#000000')
+          }
+          doc.lineWidth(0.5).rect(doc.page.margins.left, breakdownY, contentWidth, breakdownRowHeight).stroke()
+          let cellX = doc.page.margins.left
+          breakdownColumns.forEach((col, index) => {
+            if (index > 0) doc.moveTo(cellX, breakdownY).lineTo(cellX, breakdownY + breakdownRowHeight).stroke()
+            const text = `${cells[index] ?? ''}`
+            setFontForText(doc, text, breakdownFontSize, isHeader)
+              .text(text, cellX + 5, breakdownY + 6, { width: col.width - 10, align: col.align, lineBreak: false, ellipsis: true })
+            cellX += col.width
+          })
+          doc.lineWidth(1)
+          breakdownY += breakdownRowHeight
+        }
+
+        drawBreakdownRow(breakdownColumns.map((col) => col.label), true)
+        breakdown.rows.forEach((row) => drawBreakdownRow(breakdownColumns.map((col) => col.value(row)), false))
+      }
+
       // Signature section with more spacing from content
       const signatureY = doc.page.height - doc.page.margins.bottom - 70
       const slotWidth = contentWidth / 2
@@ -552,8 +647,12 @@ const generateMarksheetPDF = (marksheet, staffSignature, hodSignature, staffName
           })
       })
 
+      const revisionMarking = getRevisionMarking(marksheet, supersededBy)
+      if (revisionMarking.watermark) drawWatermark(doc, revisionMarking.watermark)
+
       // Footer timestamp
-      const marksheetFooter = `Generated on ${new Date().toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' })}`
+      const generatedOn = `Generated on ${new Date().toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' })}`
+      const marksheetFooter = revisionMarking.note ? `${revisionMarking.note} | ${generatedOn}` : generatedOn
       doc.fillColor('#666666')
       setFontForText(doc, marksheetFooter, 7.5, false)
         .text(marksheetFooter, doc.page.margins.left, doc.page.height - doc.page.margins.bottom - 18, {
@@ -1122,6 +1221,24 @@ export default async function handler(req, res) {
     if (req.method === 'GET') {
       const { marksheetId, leaveId, type, format } = req.query
       const outputFormat = (format || 'pdf').toLowerCase()
+      const target = type === 'leave' ? { leaveId } : { marksheetId }
+
+      // Signed download link for a document the caller may open, for new tabs and downloads
+      if (req.query.action === 'link') {
+        if (!authorize(req, res, 'generate-pdf', 'render')) return
+        const allowed = type === 'leave'
+          ? canAccessLeave(req.user, leaveId && await LeaveRequest.findById(leaveId).select('studentId studentDetails').lean())
+          : canAccessMarksheet(req.user, marksheetId && await Marksheet.findById(marksheetId).select('studentId staffId studentDetails').lean())
+        if (!allowed) return forbid(res, 'Not authorized to access this document')
+        return res.status(200).json({ success: true, url: signedPdfPath({ ...target, revision: req.query.revision, format }) })
+      }
+
+      // A signed link stands in for a session (WhatsApp gateway, parents, browser tabs)
+      const signed = Boolean(req.query.token) && verifyPdfToken(req.query.token, target)
+      if (req.query.token && !signed) {
+        return res.status(401).json({ success: false, code: 'INVALID_LINK', error: 'This download link is invalid or has expired' })
+      }
+      if (!signed && !authorize(req, res, 'generate-pdf', 'render')) return
 
       if (type === 'leave') {
         if (!leaveId) {
@@ -1129,6 +1246,9 @@ export default async function handler(req, res) {
         }
         const leave = await LeaveRequest.findById(leaveId).lean()
         if (!leave) return res.status(404).json({ success: false, error: 'Leave request not found' })
+        if (!signed && !canAccessLeave(req.user, leave)) {
+          return forbid(res, 'Not authorized to access this leave letter')
+        }
         try {
           const pdfBuffer = await generateLeavePDF(leave)
           if (outputFormat === 'jpeg' || outputFormat === 'jpg' || outputFormat === 'image') {
@@ -1163,14 +1283,32 @@ export default async function handler(req, res) {
         .populate('staffId')
         .populate('hodId')
         .lean()
-      const marksheet = marksheetRaw ? applyResultNormalization(marksheetRaw) : null
+      let marksheet = marksheetRaw ? applyResultNormalization(marksheetRaw) : null
       if (!marksheet) {
         return res.status(404).json({ success: false, error: 'Marksheet not found' })
       }
+      if (!signed && !canAccessMarksheet(req.user, marksheet)) {
+        return forbid(res, 'Not authorized to access this marksheet')
+      }
 
-      // Check cache first
+      // ?revision=N renders an earlier version kept when a correction was approved (0 = original)
+      let supersededBy = null
+      if (req.query.revision !== undefined && Number(req.query.revision) !== (marksheet.revision || 0)) {
+        const revision = Number(req.query.revision)
+        const stored = Number.isInteger(revision)
+          ? await MarksheetRevision.findOne({ marksheetId: marksheet._id, revision }).lean()
+          : null
+        if (!stored) {
+          return res.status(404).json({ success: false, error: 'Marksheet revision not found' })
+        }
+        supersededBy = revision + 1
+        // Signatures fall back to the current profiles below, as for live marksheets
+        marksheet = applyResultNormalization({ ...stored.snapshot, staffId: marksheet.staffId, hodId: stored.snapshot.hodId ? marksheet.hodId : null })
+      }
+
+      // Check cache first (earlier revisions are rarely requested and never cached)
       const cacheKey = getCacheKey(marksheetId)
-      const cached = pdfCache.get(cacheKey)
+      const cached = supersededBy ? null : pdfCache.get(cacheKey)
       
       if (cached && (Date.now() - cached.timestamp < CACHE_TTL)) {
         console.log('Serving cached PDF for:', marksheetId)
@@ -1218,17 +1356,20 @@ export default async function handler(req, res) {
 
       try {
         // Generate PDF using PDFKit
-        const pdfBuffer = await generateMarksheetPDF(marksheet, staffSignature, hodSignature, staffName, hodName)
+        const electiveChoices = await findElectiveChoices({ regNumber: marksheet.studentDetails?.regNumber, semester: marksheet.semester })
+        const pdfBuffer = await generateMarksheetPDF(marksheet, staffSignature, hodSignature, staffName, hodName, { supersededBy, electiveChoices })
 
         // Cache the PDF
-        if (pdfCache.size >= CACHE_MAX_SIZE) {
-          const firstKey = pdfCache.keys().next().value
-          pdfCache.delete(firstKey)
+        if (!supersededBy) {
+          if (pdfCache.size >= CACHE_MAX_SIZE) {
+            const firstKey = pdfCache.keys().next().value
+            pdfCache.delete(firstKey)
+          }
+          pdfCache.set(cacheKey, {
+            buffer: pdfBuffer,
+            timestamp: Date.now()
+          })
         }
-        pdfCache.set(cacheKey, {
-          buffer: pdfBuffer,
-          timestamp: Date.now()
-        })
 
         if (outputFormat === 'jpeg' || outputFormat === 'jpg' || outputFormat === 'image') {
           try {
@@ -1272,8 +1413,10 @@ export default async function handler(req, res) {
     if (req.method === 'POST') {
       // Report export (previously /api/export-reports)
       if (req.body && req.body.type && req.body.format && req.body.data) {
+        if (!authorize(req, res, 'generate-pdf', 'export')) return
         return await handleReportExport(req, res)
       }
+      if (!authorize(req, res, 'generate-pdf', 'render')) return
 
       const { marksheetId, returnType = 'base64' } = req.body
 
@@ -1286,6 +1429,9 @@ export default async function handler(req, res) {
       if (!marksheet) {
         return res.status(404).json({ success: false, error: 'Marksheet not found' })
       }
+      if (!canAccessMarksheet(req.user, marksheet)) {
+        return forbid(res, 'Not authorized to access this marksheet')
+      }
 
       const staffData = marksheet.staffId
       const staffSignature = (marksheet.staffSignature && marksheet.staffSignature.length > 0)
@@ -1300,7 +1446,8 @@ export default async function handler(req, res) {
       const principalSignature = process.env.PRINCIPAL_SIGNATURE_URL || null
 
       try {
-        const pdfBuffer = await generateMarksheetPDF(marksheet, staffSignature, hodSignature, staffName, hodName)
+        const electiveChoices = await findElectiveChoices({ regNumber: marksheet.studentDetails?.regNumber, semester: marksheet.semester })
+        const pdfBuffer = await generateMarksheetPDF(marksheet, staffSignature, hodSignature, staffName, hodName, { electiveChoices })
 
         if (returnType === 'base64') {
           const base64Pdf = pdfBuffer.toString('base64')
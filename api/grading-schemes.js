@@ -0,0 +1,117 @@
+import mongoose from 'mongoose'
+import { connectToDatabase } from '../lib/mongo.js'
+import { GradingScheme } from '../models.js'
+import { authorize, forbid } from '../lib/permissions.js'
+import { ALL_DEPARTMENTS, clearGradingSchemeCache, resolveGradingScheme, validateGradingScheme } from '../lib/gradingSchemes.js'
+import { DEFAULT_GRADING_SCHEME } from '../shared/grading.js'
+import { normalizeDepartment } from '../shared/subjectCatalog.js'
+
+// Admins manage every scheme; HODs only their own department's
+const canManageScheme = (user, department) => (
+  user.role === 'admin'
+  || (user.role === 'hod' && department !== ALL_DEPARTMENTS && department === normalizeDepartment(user.department || ''))
+)
+
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end()
+
+  try {
+    await connectToDatabase()
+  } catch (dbErr) {
+    console.error('DB connect error in grading schemes API:', dbErr.message)
+    return res.status(503).json({ success: false, error: 'Database connection failed' })
+  }
+
+  try {
+    const { action } = req.query
+
+    if (req.method === 'GET' && action === 'resolve') {
+      if (!authorize(req, res, 'grading-schemes', 'resolve')) return
+      const department = req.query.department || req.user.department
+      const scheme = await resolveGradingScheme({ department, regulation: req.query.regulation })
+      return res.status(200).json({ success: true, scheme, isDefault: scheme === DEFAULT_GRADING_SCHEME })
+    }
+
+    if (req.method === 'GET') {
+      if (!authorize(req, res, 'grading-schemes', 'list')) return
+      const filter = req.user.role === 'admin'
+        ? {}
+        : { department: { $in: [normalizeDepartment(req.user.department || ''), ALL_DEPARTMENTS] } }
+      const schemes = await GradingScheme.find(filter).sort({ department: 1, regulation: -1 }).lean()
+      return res.status(200).json({ success: true, schemes, defaultScheme: DEFAULT_GRADING_SCHEME })
+    }
+
+    if (req.method === 'POST') {
+      if (!authorize(req, res, 'grading-schemes', 'create')) return
+      const { error, scheme } = validateGradingScheme(req.body || {})
+      if (error) return res.status(400).json({ success: false, error })
+      if (!canManageScheme(req.user, scheme.department)) {
+        return forbid(res, 'HODs can only create grading schemes for their own department')
+      }
+
+      const existing = await GradingScheme.findOne({ department: scheme.department, regulation: scheme.regulation }).select('_id').lean()
+      if (existing) {
+        return res.status(409).json({ success: false, error: `A grading scheme for ${scheme.department} ${scheme.regulation} already exists` })
+      }
+
+      const created = await GradingScheme.create({ ...scheme, createdBy: req.user.id })
+      clearGradingSchemeCache()
+      return res.status(201).json({ success: true, scheme: created })
+    }
+
+    if (req.method === 'PUT') {
+      if (!authorize(req, res, 'grading-schemes', 'update')) return
+      const { schemeId, ...changes } = req.body || {}
+      if (!schemeId || !mongoose.isValidObjectId(schemeId)) {
+        return res.status(400).json({ success: false, error: 'schemeId is required' })
+      }
+
+      const current = await GradingScheme.findById(schemeId)
+      if (!current) {
+        return res.status(404).json({ success: false, error: 'Grading scheme not found' })
+      }
+      if (!canManageScheme(req.user, current.department)) {
+        return forbid(res, 'Not authorized to change this grading scheme')
+      }
+
+      // Department and regulation identify the scheme and cannot be moved
+      const { error, scheme } = validateGradingScheme({
+        ...current.toObject(),
+        ...changes,
+        department: current.department,
+        regulation: current.regulation
+      })
+      if (error) return res.status(400).json({ success: false, error })
+
+      current.set(scheme)
+      await current.save()
+      clearGradingSchemeCache()
+      return res.status(200).json({ success: true, scheme: current })
+    }
+
+    if (req.method === 'DELETE') {
+      if (!authorize(req, res, 'grading-schemes', 'delete')) return
+      const { schemeId } = req.body || {}
+      if (!schemeId || !mongoose.isValidObjectId(schemeId)) {
+        return res.status(400).json({ success: false, error: 'schemeId is required' })
+      }
+
+      const current = await GradingScheme.findById(schemeId).lean()
+      if (!current) {
+        return res.status(404).json({ success: false, error: 'Grading scheme not found' })
+      }
+      if (!canManageScheme(req.user, current.department)) {
+        return forbid(res, 'Not authorized to delete this grading scheme')
+      }
+
+      await GradingScheme.deleteOne({ _id: schemeId })
+      clearGradingSchemeCache()
+      return res.status(200).json({ success: true })
+    }
+
+    return res.status(405).json({ success: false, error: 'Method not allowed' })
+  } catch (error) {
+    console.error('Grading schemes API error:', error)
+    return res.status(500).json({ success: false, error: 'Internal server error' })
+  }
+}
@@ -1,8 +1,19 @@
-import { connectToDatabase } from '../lib/mongo.js'
-import { ImportSession, Student, Marksheet, User } from '../models.js'
+import { TRANSACTIONS_UNSUPPORTED, connectToDatabase } from '../lib/mongo.js'
+import { ImportSession, ImportTemplate, User } from '../models.js'
 import multer from 'multer'
-import XLSX from 'xlsx'
-import { normalizeSubject } from '../shared/subjectCatalog.js'
+import { applyElectiveChoice, normalizeSubject } from '../shared/subjectCatalog.js'
+import { authorize, forbid, canAccessClass, staffClasses } from '../lib/permissions.js'
+import { auditActor } from '../lib/marksheetAudit.js'
+import { gradeMarksheetSubjects } from '../lib/gradingSchemes.js'
+import { getSubjectCatalog } from '../lib/subjectCatalog.js'
+import { getElectiveChoiceMap, regNumberKey } from '../lib/electiveChoices.js'
+import { IMPORT_ACTIONS, buildImportDiff, toImportPreviewRow } from '../lib/importDiff.js'
+import { IMPORT_CONFLICT, chosenImportAction, claimImportSession, commitImportPlan, planImportConfirm, releaseImportSession } from '../lib/importConfirm.js'
+import { IMPORT_FIELDS, extractRecords, groupSubjectCells, normalizeLayout, readSheetGrid, readWorkbook, resolveSheetMapping, sampleRows, scaleMarks, validateMapping } from '../lib/importMapping.js'
+import { buildRejectedRowsWorkbook, collectRejectedRows } from '../lib/importErrorWorkbook.js'
+import { normalizePhone } from '../lib/roster.js'
+import { invalidatePdfCache } from './generate-pdf.js'
+import { computeComponentTotal, isAbsentValue } from '../shared/grading.js'
 
 // Configure multer for file uploads
 const upload = multer({ 
@@ -22,32 +33,111 @@ const upload = multer({
   }
 })
 
-const PASS_MARK_THRESHOLD = 50
-const ABSENT_TOKENS = ['AB', 'ABS', 'ABSENT']
+// Form fields from the mapping step (layout, mapping) arrive as JSON strings
+const parseJsonField = (value, label) => {
+  if (value === undefined || value === null || value === '') return undefined
+  try {
+    return JSON.parse(value)
+  } catch (e) {
+    throw new Error(`${label} is not valid JSON`)
+  }
+}
 
-// Case-insensitive column matching function
-const findColumnKey = (row, possibleNames) => {
-  const rowKeys = Object.keys(row)
-  // First try exact match
-  for (const possibleName of possibleNames) {
-    if (rowKeys.includes(possibleName)) return possibleName
+const TEMPLATE_NAME_MAX = 80
+
+/**
+ * Read the uploaded sheet and work out its column mapping. Without a sheet
+ * name, the sheet of the most recently used template is preferred when the
+ * workbook has it. A template that does not fit the headers is not applied.
+ */
+const readMappedSheet = (req, templates = []) => {
+  // An explicit templateId ('' for none) replaces the automatic choice
+  if (req.body.templateId !== undefined) {
+    templates = templates.filter((template) => String(template._id) === req.body.templateId)
   }
-  // Then try case-insensitive match
-  const normalizedPossible = possibleNames.map(name => name.toLowerCase().trim().replace(/\s+/g, ''))
-  for (const rowKey of rowKeys) {
-    const normalizedRowKey = rowKey.toLowerCase().trim().replace(/\s+/g, '')
-    if (normalizedPossible.includes(normalizedRowKey)) {
-      return rowKey
-    }
+  const workbook = readWorkbook(req.file.buffer)
+  const recent = [...templates]
+    .sort((a, b) => new Date(b.lastUsedAt || b.updatedAt || 0) - new Date(a.lastUsedAt || a.updatedAt || 0))
+    .find((template) => template.sheetName && workbook.SheetNames.includes(template.sheetName))
+  const { sheetName, grid } = readSheetGrid(workbook, req.body.sheetName || recent?.sheetName)
+  const layout = parseJsonField(req.body.layout, 'layout')
+  const resolved = resolveSheetMapping(grid, {
+    layout: layout ? normalizeLayout(layout) : undefined,
+    mapping: parseJsonField(req.body.mapping, 'mapping'),
+    templates,
+    examinationName: req.body.examinationName
+  })
+  return { ...resolved, grid, sheetName, sheets: workbook.SheetNames }
+}
+
+const templateSummary = (template) => template && { _id: template._id, name: template.name }
+
+// What the mapping step shows: detected layout and headers, the mapping in effect and a few data rows
+const mappingResponse = (sheet) => ({
+  sheets: sheet.sheets,
+  sheetName: sheet.sheetName,
+  layout: sheet.layout,
+  headers: sheet.headers,
+  mapping: sheet.mapping,
+  fields: IMPORT_FIELDS.map(({ key, label, required }) => ({ key, label, required })),
+  template: templateSummary(sheet.template),
+  sampleRows: sampleRows(sheet.grid, sheet.layout, sheet.headers)
+})
+
+/**
+ * Save the mapping as a named template for the department, or mark the
+ * template that was applied automatically as just used.
+ */
+async function rememberTemplate({ name, department, examinationName, sheet, mapping, userId }) {
+  if (!name) {
+    if (sheet.template) await ImportTemplate.updateOne({ _id: sheet.template._id }, { lastUsedAt: new Date() })
+    return templateSummary(sheet.template)
   }
-  return null
+  const saved = await ImportTemplate.findOneAndUpdate(
+    { department, name },
+    {
+      $set: {
+        examinationName,
+        sheetName: sheet.sheetName,
+        layout: sheet.layout,
+        fields: mapping.fields,
+        subjects: mapping.subjects,
+        lastUsedAt: new Date(),
+        updatedAt: new Date()
+      },
+      $setOnInsert: { createdBy: userId, createdAt: new Date() }
+    },
+    { upsert: true, new: true, runValidators: true }
+  ).lean()
+  return templateSummary(saved)
 }
 
-const normalizePhone = (value) => {
-  if (!value) return ''
-  const cleaned = value.toString().trim().replace(/[^0-9+]/g, '')
-  if (cleaned.startsWith('+')) return cleaned
-  return cleaned.startsWith('91') ? `+${cleaned}` : `+91${cleaned}`
+// Prefer department configured on the staff profile (authoritative). Fall back to client value.
+async function resolveImportDepartment(req, department) {
+  let resolvedDepartment = department || null
+  try {
+    const staffRec = await User.findById(req.user.id).select('department').lean()
+    if (staffRec && staffRec.department) resolvedDepartment = staffRec.department
+  } catch (e) {
+    console.error('[ImportExcel] staff lookup failed:', e && e.message)
+  }
+  return resolvedDepartment
+}
+
+const isBlankCell = (value) => value === undefined || value === null || value === ''
+
+// One marks cell: 'AB' for absent, otherwise a number from 0 to the column's max marks
+const parseMarksCell = (rawValue, maxMarks = 100) => {
+  if (isAbsentValue(rawValue)) return { absent: true }
+  // Check if value looks like a formula (Excel formulas start with =)
+  const valueStr = rawValue.toString().trim()
+  if (valueStr.startsWith('=')) {
+    return { error: 'Contains Excel formula instead of value. Please convert formulas to values before importing.' }
+  }
+  const marks = parseFloat(valueStr)
+  if (isNaN(marks)) return { error: `Invalid marks value "${rawValue}". Expected a number.` }
+  if (marks < 0 || marks > maxMarks) return { error: `Marks ${marks} out of valid range (0-${maxMarks})` }
+  return { marks }
 }
 
 const normalizeAttendance = (value) => {
@@ -77,33 +167,6 @@ const normalizeAttendance = (value) => {
   return raw
 }
 
-const isAbsentValue = (value) => {
-  if (value === undefined || value === null) return false
-  if (typeof value === 'string') {
-    const normalized = value.trim().toUpperCase()
-    return ABSENT_TOKENS.includes(normalized)
-  }
-  return false
-}
-
-const getResultFromMarks = (marks) => (Number(marks) >= PASS_MARK_THRESHOLD ? 'Pass' : 'Fail')
-const isAttendanceColumn = (value) => {
-  if (!value) return false
-  const normalized = value.toString().trim().toUpperCase().replace(/\s+/g, '')
-  return normalized.startsWith('ATTENDANCE')
-}
-
-const getOverallResult = (subjects = []) => {
-  const academicSubjects = subjects.filter((subject) => !isAttendanceColumn(subject?.subjectName))
-  if (!academicSubjects.length) return 'Pass'
-  let hasFail = false
-  for (const subject of academicSubjects) {
-    if (subject.result === 'Absent') return 'Absent'
-    if (subject.result === 'Fail') hasFail = true
-  }
-  return hasFail ? 'Fail' : 'Pass'
-}
-
 export default async function handler(req, res) {
   if (req.method === 'OPTIONS') return res.status(200).end()
 
@@ -117,6 +180,29 @@ export default async function handler(req, res) {
   try {
     if (req.method === 'POST') {
       const { action } = req.query
+      if (['inspect', 'upload', 'confirm'].includes(action) && !authorize(req, res, 'import-excel', action)) return
+
+      if (action === 'inspect') {
+        // Mapping step: read the sheet without importing anything
+        upload.single('excelFile')(req, res, async (err) => {
+          if (err) {
+            return res.status(400).json({ success: false, error: err.message })
+          }
+          if (!req.file) {
+            return res.status(400).json({ success: false, error: 'No file uploaded' })
+          }
+          try {
+            const department = await resolveImportDepartment(req, req.body.department)
+            const templates = department ? await ImportTemplate.find({ department }).lean() : []
+            const sheet = readMappedSheet(req, templates)
+            return res.status(200).json({ success: true, ...mappingResponse(sheet) })
+          } catch (inspectErr) {
+            console.error('Excel inspect error:', inspectErr)
+            return res.status(400).json({ success: false, error: `Parse error: ${inspectErr.message}` })
+          }
+        })
+        return // multer handles the response
+      }
 
       if (action === 'upload') {
         // Handle file upload with multer
@@ -130,154 +216,199 @@ export default async function handler(req, res) {
           }
 
           // Accept optional examinationName and examinationDate in form; they can also be present in the Excel
-          const { staffId, examinationDate, examinationName, department, year: yearParam, semester } = req.body
+          const { examinationDate, examinationName, department, year: yearParam, semester } = req.body
+          const staffId = req.user.id
+          // Import the valid rows and hold back the others instead of rejecting the file
+          const allowPartial = req.body.partial === 'true'
 
-          if (!staffId || !yearParam) {
-            return res.status(400).json({ success: false, error: 'staffId and year are required' })
+          if (!yearParam) {
+            return res.status(400).json({ success: false, error: 'year is required' })
           }
 
-          // Prefer department configured on the staff profile (authoritative). Fall back to client value.
-          let resolvedDepartment = department || null
-          try {
-            const staffRec = await User.findById(staffId).select('department').lean()
-            if (staffRec && staffRec.department) resolvedDepartment = staffRec.department
-          } catch (e) {
-            console.error('[ImportExcel] staff lookup failed:', e && e.message)
-          }
+          const resolvedDepartment = await resolveImportDepartment(req, department)
 
           if (!resolvedDepartment) {
             return res.status(400).json({ success: false, error: 'department is required (either in form or configured on staff profile)' })
           }
 
+          // Rows are checked section by section below; here the staff member needs some class of this year
+          const sectionParam = (req.body.section || '').toString().trim()
+          if (!staffClasses(req.user).some((assigned) => canAccessClass(req.user, { department: resolvedDepartment, year: yearParam, section: sectionParam || assigned.section }))) {
+            return forbid(res, 'You can only import marks for your own class')
+          }
+
+          const templateName = (req.body.templateName || '').toString().trim()
+          if (templateName.length > TEMPLATE_NAME_MAX) {
+            return res.status(400).json({ success: false, error: `Template name must be at most ${TEMPLATE_NAME_MAX} characters` })
+          }
+
           try {
-            // Parse Excel file
-            const workbook = XLSX.read(req.file.buffer, { type: 'buffer' })
-            const sheetName = workbook.SheetNames[0]
-            const worksheet = workbook.Sheets[sheetName]
-            const jsonData = XLSX.utils.sheet_to_json(worksheet)
+            const templates = await ImportTemplate.find({ department: resolvedDepartment }).lean()
+            let sheet
+            try {
+              sheet = readMappedSheet(req, templates)
+            } catch (mappingErr) {
+              return res.status(400).json({ success: false, error: mappingErr.message })
+            }
+            const { grid, layout, headers } = sheet
+            const checked = validateMapping(sheet.mapping, headers)
+            if (checked.error) {
+              // The client opens the mapping step with what was detected
+              return res.status(400).json({
+                success: false,
+                error: checked.error,
+                needsMapping: true,
+                ...mappingResponse(sheet)
+              })
+            }
+            const mapping = checked.mapping
+            const records = extractRecords(grid, layout, headers, mapping)
 
-            if (jsonData.length === 0) {
+            if (records.length === 0) {
               return res.status(400).json({ success: false, error: 'Excel file is empty' })
             }
 
-            // Derive examination name/date for the session from req.body or first row
-            const firstRow = jsonData[0] || {}
-            const derivedExamName = examinationName || (firstRow.ExaminationName ? firstRow.ExaminationName.toString().trim() : '')
-            const derivedExamDate = firstRow.ExaminationDate ? new Date(firstRow.ExaminationDate) : (examinationDate ? new Date(examinationDate) : null)
+            // Derive examination name/date for the session from req.body or the first data row
+            const firstFields = records[0].fields
+            const derivedExamName = examinationName || (firstFields.examinationName ? firstFields.examinationName.toString().trim() : '')
+            const derivedExamDate = firstFields.examinationDate ? new Date(firstFields.examinationDate) : (examinationDate ? new Date(examinationDate) : null)
             if (!derivedExamDate) {
               return res.status(400).json({ success: false, error: 'Examination date is required either as a form field or in the Excel file (ExaminationDate column).' })
             }
 
-            // Validate and process data
+            // Validate and process data. Each problem is tied to its row (and cell) so a
+            // partial import can hold the row back and annotate it in the error workbook.
             const studentsData = []
             const errorMessages = []
+            const rejectedRows = new Map()
+            const rejectRow = (record, message, column = null) => {
+              errorMessages.push(column ? `Row ${record.rowNum}, Column "${column}": ${message}` : `Row ${record.rowNum}: ${message}`)
+              if (!rejectedRows.has(record.rowNum)) rejectedRows.set(record.rowNum, { rowNum: record.rowNum, errors: [] })
+              rejectedRows.get(record.rowNum).errors.push({ column, message })
+            }
+            const seenRegNumbers = new Set()
+            const catalog = await getSubjectCatalog()
+            // Elective slot columns ("Professional Elective I") become the course each student chose
+            const electiveChoices = await getElectiveChoiceMap({ department: resolvedDepartment, semester })
 
-            for (let i = 0; i < jsonData.length; i++) {
-              const row = jsonData[i]
-              const rowNum = i + 2 // Excel row number (1-indexed + header)
+            for (const record of records) {
+              const { rowNum } = record
 
               try {
-                // Use case-insensitive column matching
-                const nameKey = findColumnKey(row, ['Name', 'StudentName', 'Student'])
-                const regNumberKey = findColumnKey(row, ['RegNumber', 'Register', 'RegNo', 'RollNo', 'RegistrationNumber'])
-                const sectionKey = findColumnKey(row, ['Section', 'Sec', 'Class'])
-                const attendanceKey = findColumnKey(row, ['Attendance', 'Attendance%', 'AttendancePercentage'])
-                const parentPhoneKey = findColumnKey(row, ['ParentPhone', 'ParentPhoneNumber', 'Phone', 'PhoneNumber', 'Mobile', 'MobileNumber'])
-
-                const nameRaw = nameKey ? row[nameKey] : undefined
-                const regNumberRaw = regNumberKey ? row[regNumberKey] : undefined
-                const sectionRaw = sectionKey ? row[sectionKey] : undefined
-                const attendanceRaw = attendanceKey ? row[attendanceKey] : undefined
-                const parentPhoneRaw = parentPhoneKey ? row[parentPhoneKey] : undefined
+                const {
+                  name: nameRaw,
+                  regNumber: regNumberRaw,
+                  section: sectionRaw,
+                  attendance: attendanceRaw,
+                  parentPhone: parentPhoneRaw
+                } = record.fields
 
                 // Required fields validation with specific error messages
                 if (!nameRaw || nameRaw === '') {
-                  errorMessages.push(`Row ${rowNum}: Missing required field "Name"`)
+                  rejectRow(record, 'Missing required field "Name"', mapping.fields.name)
                   continue
                 }
                 if (!regNumberRaw || regNumberRaw === '') {
-                  errorMessages.push(`Row ${rowNum}: Missing required field "Registration Number" (Columns: RegNumber, Register, RegNo, RollNo)`)
+                  rejectRow(record, 'Missing required field "Registration Number"', mapping.fields.regNumber)
+                  continue
+                }
+                if (seenRegNumbers.has(regNumberKey(regNumberRaw))) {
+                  rejectRow(record, `Registration number "${regNumberRaw}" appears more than once`, mapping.fields.regNumber)
                   continue
                 }
+                seenRegNumbers.add(regNumberKey(regNumberRaw))
                 if (!sectionRaw || sectionRaw === '') {
-                  errorMessages.push(`Row ${rowNum}: Missing required field "Section"`)
+                  rejectRow(record, 'Missing required field "Section"', mapping.fields.section)
+                  continue
+                }
+                if (!canAccessClass(req.user, { department: resolvedDepartment, year: yearParam, section: sectionRaw.toString() })) {
+                  rejectRow(record, `Section "${sectionRaw}" is not assigned to you`, mapping.fields.section)
                   continue
                 }
                 if (!parentPhoneRaw || parentPhoneRaw === '') {
-                  errorMessages.push(`Row ${rowNum}: Missing required field "Parent Phone" (Columns: ParentPhone, ParentPhoneNumber, Phone, Mobile)`)
+                  rejectRow(record, 'Missing required field "Parent Phone"', mapping.fields.parentPhone)
                   continue
                 }
                 if (attendanceRaw === undefined || attendanceRaw === null || attendanceRaw === '') {
-                  errorMessages.push(`Row ${rowNum}: Missing required field "Attendance" or "Attendance%"`)
+                  rejectRow(record, 'Missing required field "Attendance"', mapping.fields.attendance)
                   continue
                 }
 
-                // Extract subject marks (all columns that aren't basic student info)
-                const knownColumnsNormalized = [
-                  'name', 'studentname', 'student',
-                  'regnumber', 'register', 'regno', 'rollno', 'registernumber',
-                  'year', 'section', 'sec', 'class',
-                  'parentphone', 'parentphonenumber', 'phone', 'phonenumber', 'mobile', 'mobilenumber',
-                  'attendance', 'attendance%', 'attendancepercentage',
-                  'examinationname', 'examname', 'exam',
-                  'examinationdate', 'examdate', 'date'
-                ]
-                
                 const subjects = []
-                const subjectFields = Object.keys(row).filter(key => {
-                  const normalizedKey = key.toLowerCase().trim().replace(/\s+/g, '')
-                  return !knownColumnsNormalized.includes(normalizedKey) && !normalizedKey.startsWith('attendance')
-                })
+                const studentElectives = electiveChoices.get(regNumberKey(regNumberRaw)) || []
 
-                for (const subjectName of subjectFields) {
-                  const rawValue = row[subjectName]
-                  
+                for (const group of groupSubjectCells(record.subjects)) {
+                  const cells = group.components || [group]
                   // Skip empty cells
-                  if (rawValue === undefined || rawValue === null || rawValue === '') {
+                  if (cells.every(cell => isBlankCell(cell.value))) {
                     continue
                   }
 
-                  const normalizedSubject = normalizeSubject(subjectName, resolvedDepartment, yearParam, semester)
-                  
-                  if (isAbsentValue(rawValue)) {
+                  const normalizedSubject = applyElectiveChoice(
+                    normalizeSubject(group.subjectName, resolvedDepartment, yearParam, semester, catalog),
+                    studentElectives
+                  )
+
+                  const parsed = []
+                  for (const cell of cells) {
+                    if (isBlankCell(cell.value)) {
+                      rejectRow(record, `Missing ${cell.component} marks for "${group.subjectName}"`, cell.column)
+                      continue
+                    }
+                    const outcome = parseMarksCell(cell.value, cell.maxMarks || 100)
+                    if (outcome.error) {
+                      rejectRow(record, outcome.error, cell.column)
+                      continue
+                    }
+                    parsed.push({ cell, ...outcome })
+                  }
+                  if (parsed.length < cells.length) continue
+
+                  if (group.components) {
+                    // Component marks are kept as entered; the subject total is converted to 100
+                    const components = parsed.map(({ cell, marks, absent }) => ({
+                      name: cell.component,
+                      marks: absent ? null : marks,
+                      maxMarks: cell.maxMarks || 100,
+                      weight: cell.weight || undefined,
+                      absent: !!absent
+                    }))
+                    const total = computeComponentTotal(components)
                     subjects.push({
                       ...normalizedSubject,
-                      marks: null,
-                      result: 'Absent'
+                      marks: total.marks,
+                      ...(total.absent ? { result: 'Absent' } : {}),
+                      components
                     })
                     continue
                   }
 
-                  // Check if value looks like a formula (Excel formulas start with =)
-                  const valueStr = rawValue.toString().trim()
-                  if (valueStr.startsWith('=')) {
-                    errorMessages.push(`Row ${rowNum}, Column "${subjectName}": Contains Excel formula instead of value. Please convert formulas to values before importing.`)
-                    continue
-                  }
-
-                  const marks = parseFloat(valueStr)
-                  if (isNaN(marks)) {
-                    errorMessages.push(`Row ${rowNum}, Column "${subjectName}": Invalid marks value "${rawValue}". Expected a number.`)
-                    continue
-                  }
-                  if (marks < 0 || marks > 100) {
-                    errorMessages.push(`Row ${rowNum}, Column "${subjectName}": Marks ${marks} out of valid range (0-100)`)
+                  const [{ cell, marks, absent }] = parsed
+                  if (absent) {
+                    subjects.push({
+                      ...normalizedSubject,
+                      marks: null,
+                      result: 'Absent'
+                    })
                     continue
                   }
-                  
                   subjects.push({
                     ...normalizedSubject,
-                    marks,
-                    result: getResultFromMarks(marks)
+                    marks: scaleMarks(marks, cell.maxMarks || 100)
                   })
                 }
 
+                if (rejectedRows.has(rowNum)) continue
                 if (subjects.length === 0) {
-                  errorMessages.push(`Row ${rowNum}: No valid subject marks found. Please check that subject columns contain numeric values or 'AB' for absent.`)
+                  rejectRow(record, 'No valid subject marks found. Please check that subject columns contain numeric values or \'AB\' for absent.')
                   continue
                 }
 
+                // Graded here for the preview; confirm grades again with the scheme current at that time
+                const graded = await gradeMarksheetSubjects(subjects, { department: resolvedDepartment })
+
                 studentsData.push({
+                  rowNum,
                   name: nameRaw.toString().trim(),
                   regNumber: regNumberRaw.toString().trim(),
                   year: yearParam,
@@ -286,20 +417,26 @@ export default async function handler(req, res) {
                   attendance: normalizeAttendance(attendanceRaw),
                   examinationName: derivedExamName,
                   examinationDate: derivedExamDate,
-                  subjects
+                  subjects: graded.subjects,
+                  overallResult: graded.overallResult,
+                  sgpa: graded.sgpa
                 })
               } catch (rowErr) {
-                errorMessages.push(`Row ${rowNum}: Error processing row - ${rowErr.message}`)
+                rejectRow(record, `Error processing row - ${rowErr.message}`)
                 continue
               }
             }
 
-            if (errorMessages.length > 0) {
+            // Without allowPartial any problem rejects the whole file, as before
+            if (errorMessages.length > 0 && (!allowPartial || studentsData.length === 0)) {
               return res.status(400).json({ 
                 success: false, 
-                error: `Excel file contains ${errorMessages.length} validation error(s). Please review and fix the following issues:`,
+                error: studentsData.length === 0 && allowPartial
+                  ? 'No row of the file is valid. Please review and fix the following issues:'
+                  : `Excel file contains ${errorMessages.length} validation error(s). Please review and fix the following issues:`,
                 errorMessages,
-                errorCount: errorMessages.length
+                errorCount: errorMessages.length,
+                rejectedCount: rejectedRows.size
               })
             }
 
@@ -311,6 +448,21 @@ export default async function handler(req, res) {
               })
             }
 
+            // Dry run: compare each row with the marksheet already imported for this examination
+            const diffs = await buildImportDiff(studentsData, { examinationName: derivedExamName, semester })
+            const preview = studentsData.map((row, index) => {
+              const diff = diffs[index]
+              Object.assign(row, {
+                existingMarksheetId: diff.existingMarksheetId,
+                diffStatus: diff.diffStatus,
+                defaultAction: diff.defaultAction,
+                locked: diff.locked
+              })
+              return toImportPreviewRow(row, diff)
+            })
+            const summary = { new: 0, unchanged: 0, 'marks-changed': 0, 'phone-changed': 0 }
+            for (const row of preview) summary[row.diffStatus] += 1
+
             // Create import session
             const importSession = new ImportSession({
               staffId,
@@ -321,17 +473,32 @@ export default async function handler(req, res) {
               examinationDate: derivedExamDate,
               studentsData,
               status: 'pending',
-              errorMessages: errorMessages.length > 0 ? errorMessages : []
+              errorMessages,
+              rejected: rejectedRows.size > 0 ? collectRejectedRows(sheet, rejectedRows) : undefined
             })
 
             await importSession.save()
 
+            const savedTemplate = await rememberTemplate({
+              name: templateName,
+              department: resolvedDepartment,
+              examinationName: derivedExamName,
+              sheet,
+              mapping,
+              userId: staffId
+            })
+
             return res.status(200).json({ 
               success: true, 
               sessionId: importSession.sessionId,
               studentsCount: studentsData.length,
-              errorMessages: [],
-              hasErrors: false
+              summary,
+              preview,
+              sheetName: sheet.sheetName,
+              template: savedTemplate,
+              errorMessages,
+              hasErrors: errorMessages.length > 0,
+              rejectedCount: rejectedRows.size
             })
 
           } catch (parseErr) {
@@ -358,7 +525,9 @@ export default async function handler(req, res) {
       }
 
       if (action === 'confirm') {
-        const { sessionId } = req.body
+        const { sessionId, actions } = req.body
+        // A retried confirm (double click, network retry) sends the same key and gets the first answer
+        const idempotencyKey = (req.get('Idempotency-Key') || req.body.idempotencyKey || '').toString().trim() || null
 
         if (!sessionId) {
           return res.status(400).json({ success: false, error: 'sessionId is required' })
@@ -368,101 +537,150 @@ export default async function handler(req, res) {
         if (!session) {
           return res.status(404).json({ success: false, error: 'Import session not found' })
         }
+        if (String(session.staffId) !== req.user.id) {
+          return forbid(res, 'This import session belongs to another staff member')
+        }
 
+        if (idempotencyKey && session.idempotencyKey === idempotencyKey) {
+          if (session.status === 'processed') {
+            return res.status(200).json({ ...session.confirmResult, replayed: true })
+          }
+          if (session.status === 'processing') {
+            return res.status(409).json({ success: false, error: 'This import is still being confirmed. Try again in a moment.' })
+          }
+        }
         if (session.status === 'processed') {
           return res.status(400).json({ success: false, error: 'Session already processed' })
         }
 
+        for (const studentData of session.studentsData) {
+          const rowAction = chosenImportAction(studentData, actions)
+          if (!IMPORT_ACTIONS.includes(rowAction)) {
+            return res.status(400).json({ success: false, error: `Invalid action "${rowAction}" for ${studentData.regNumber}` })
+          }
+          if (rowAction === 'update' && !studentData.existingMarksheetId) {
+            return res.status(400).json({ success: false, error: `${studentData.regNumber} has no existing marksheet to update` })
+          }
+        }
+
         const staff = await User.findById(session.staffId)
         if (!staff) {
           return res.status(404).json({ success: false, error: 'Staff not found' })
         }
 
-        const createdMarksheets = []
-
-        // Process each student
-        for (const studentData of session.studentsData) {
-          try {
-            // Create or update student record
-            let student = await Student.findOne({ regNumber: studentData.regNumber })
-            if (!student) {
-              student = new Student({
-                name: studentData.name,
-                regNumber: studentData.regNumber,
-                year: studentData.year,
-                section: studentData.section,
-                department: session.department,
-                parentPhoneNumber: studentData.parentPhoneNumber,
-                attendance: studentData.attendance,
-                examinationName: studentData.examinationName,
-                examinationDate: studentData.examinationDate
-              })
-              await student.save()
-            } else {
-              // Update existing student data
-              student.name = studentData.name
-              student.year = studentData.year
-              student.section = studentData.section
-              student.parentPhoneNumber = studentData.parentPhoneNumber
-              student.attendance = studentData.attendance
-              student.examinationName = studentData.examinationName
-              student.examinationDate = studentData.examinationDate
-              await student.save()
-            }
+        const claimed = await claimImportSession(sessionId, idempotencyKey)
+        if (!claimed) {
+          return res.status(409).json({ success: false, error: 'This import is already being confirmed' })
+        }
 
-            const overallResult = getOverallResult(studentData.subjects)
-
-            // Create marksheet
-            const marksheet = new Marksheet({
-              studentId: student._id,
-              studentDetails: {
-                name: student.name,
-                regNumber: student.regNumber,
-                year: student.year,
-                section: student.section,
-                // Use the import session's department for this marksheet so it belongs
-                // to the importing staff's department even if the Student record
-                // has a different department.
-                department: session.department || student.department,
-                parentPhoneNumber: student.parentPhoneNumber,
-                attendance: student.attendance,
-                examinationName: student.examinationName,
-                examinationDate: student.examinationDate
-              },
-              examinationName: student.examinationName,
-              examinationDate: student.examinationDate,
-              semester: session.semester,
-              subjects: studentData.subjects,
-              overallResult,
-              staffId: session.staffId,
-              staffName: staff.name,
-              staffSignature: staff.eSignature
-            })
+        let plan
+        let response
+        try {
+          plan = await planImportConfirm(claimed, { actions, user: req.user, staff })
+          const count = (status) => plan.results.filter((result) => result.status === status).length
+          const createdCount = count('created')
+          const updatedCount = count('updated')
+          const failedCount = count('failed')
+          const savedCount = createdCount + updatedCount
+          response = {
+            success: failedCount === 0,
+            partial: failedCount > 0 && savedCount > 0,
+            message: failedCount === 0
+              ? 'Import completed successfully'
+              : `Import finished with ${failedCount} failed row(s)`,
+            error: failedCount > 0 && savedCount === 0 ? 'No row could be imported' : undefined,
+            createdCount,
+            updatedCount,
+            skippedCount: count('skipped'),
+            failedCount,
+            results: plan.results,
+            errorMessages: plan.results.filter((result) => result.error).map((result) => `${result.regNumber}: ${result.error}`)
+          }
 
-            await marksheet.save()
-            createdMarksheets.push(marksheet)
+          // Every attempted row failed: nothing to write, and the session can be confirmed again
+          if (failedCount > 0 && savedCount === 0) {
+            await releaseImportSession(claimed, response.error)
+            return res.status(200).json(response)
+          }
 
-          } catch (studentErr) {
-            console.error(`Error processing student ${studentData.regNumber}:`, studentErr)
+          await commitImportPlan(plan, { session: claimed, response, actor: auditActor(req.user) })
+        } catch (commitErr) {
+          await releaseImportSession(claimed, commitErr.message)
+          if (commitErr.code === IMPORT_CONFLICT || commitErr.code === TRANSACTIONS_UNSUPPORTED) {
+            return res.status(commitErr.status || 409).json({ success: false, code: commitErr.code, error: commitErr.message })
           }
+          console.error(`Import confirm failed for session ${sessionId}:`, commitErr)
+          return res.status(500).json({ success: false, error: 'The import failed and nothing was saved. Please confirm again.' })
         }
 
-        // Update session status
-        session.status = 'processed'
-        await session.save()
+        for (const result of plan.results) {
+          if (result.status === 'updated') {
+            try { invalidatePdfCache(result.marksheetId.toString()) } catch (e) {}
+          }
+        }
 
-        return res.status(200).json({ 
-          success: true, 
-          message: 'Import completed successfully',
-          createdCount: createdMarksheets.length,
-          marksheets: createdMarksheets
-        })
+        return res.status(200).json(response)
       }
 
       return res.status(400).json({ success: false, error: 'Invalid action' })
     }
 
+    if (req.method === 'GET' && req.query.action === 'rejected-rows') {
+      if (!authorize(req, res, 'import-excel', 'rejected-rows')) return
+      const { sessionId } = req.query
+      if (!sessionId) {
+        return res.status(400).json({ success: false, error: 'sessionId is required' })
+      }
+      const session = await ImportSession.findOne({ sessionId }).select('staffId rejected').lean()
+      if (!session) {
+        return res.status(404).json({ success: false, error: 'Import session not found' })
+      }
+      if (String(session.staffId) !== req.user.id) {
+        return forbid(res, 'This import session belongs to another staff member')
+      }
+      if (!session.rejected?.rows?.length) {
+        return res.status(404).json({ success: false, error: 'This import has no rejected rows' })
+      }
+
+      const workbook = buildRejectedRowsWorkbook(session.rejected)
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
+      res.setHeader('Content-Disposition', `attachment; filename="rejected-rows-${sessionId}.xlsx"`)
+      await workbook.xlsx.write(res)
+      return res.end()
+    }
+
+    if (req.method === 'GET' && req.query.action === 'templates') {
+      if (!authorize(req, res, 'import-excel', 'templates')) return
+      const department = await resolveImportDepartment(req, req.query.department)
+      if (!department) {
+        return res.status(400).json({ success: false, error: 'department is required' })
+      }
+      const templates = await ImportTemplate.find({ department })
+        .sort({ lastUsedAt: -1, updatedAt: -1 })
+        .lean()
+      return res.status(200).json({ success: true, templates })
+    }
+
+    if (req.method === 'DELETE') {
+      if (!authorize(req, res, 'import-excel', 'delete-template')) return
+      const { templateId } = req.query
+      if (!templateId) {
+        return res.status(400).json({ success: false, error: 'templateId is required' })
+      }
+      const template = await ImportTemplate.findById(templateId).lean()
+      if (!template) {
+        return res.status(404).json({ success: false, error: 'Import template not found' })
+      }
+      const department = await resolveImportDepartment(req)
+      if (template.department !== department) {
+        return forbid(res, 'This import template belongs to another department')
+      }
+      await ImportTemplate.deleteOne({ _id: template._id })
+      return res.status(200).json({ success: true })
+    }
+
     if (req.method === 'GET') {
+      if (!authorize(req, res, 'import-excel', 'session')) return
       const { sessionId } = req.query
 
       if (!sessionId) {
@@ -473,6 +691,9 @@ export default async function handler(req, res) {
       if (!session) {
         return res.status(404).json({ success: false, error: 'Import session not found' })
       }
+      if (String(session.staffId) !== req.user.id) {
+        return forbid(res, 'This import session belongs to another staff member')
+      }
 
       return res.status(200).json({ success: true, session })
     }
@@ -0,0 +1,94 @@
+import { connectToDatabase } from '../lib/mongo.js'
+import { LeaveRequest } from '../models.js'
+import { authorize, canAccessClass, forbid } from '../lib/permissions.js'
+import { resolveLeavePolicy } from '../lib/leavePolicies.js'
+import { LATE_REPORT_PERIODS, RECORDED_LATE_FILTER, lateAlertsOf, lateReportCSV, lateReportWorkbook, summarizeLates } from '../lib/lateArrivals.js'
+import { campusDayKey, campusDayStart } from '../shared/calendar.js'
+import { dayKey } from '../shared/leave.js'
+import { getYearAliases, normalizeDepartment } from '../shared/subjectCatalog.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+// Without a range the report covers the last 12 weeks
+const DEFAULT_RANGE_DAYS = 84
+const MAX_RANGE_DAYS = 366
+
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end()
+
+  try {
+    await connectToDatabase()
+  } catch (dbErr) {
+    console.error('DB connect error in late arrivals API:', dbErr.message)
+    return res.status(503).json({ success: false, error: 'Database connection failed' })
+  }
+
+  try {
+    if (req.method !== 'GET') return res.status(405).json({ success: false, error: 'Method not allowed' })
+
+    const format = (req.query.format || '').toString()
+    if (format && !['csv', 'xlsx'].includes(format)) return res.status(400).json({ success: false, error: 'format must be csv or xlsx' })
+    if (!authorize(req, res, 'late-arrivals', format ? 'export' : 'report')) return
+
+    // The report is per class; staff default to the class on their profile
+    const isStaff = req.user.role === 'staff'
+    const classInfo = {
+      department: normalizeDepartment((req.query.department || req.user.department || '').toString()),
+      year: (req.query.year || (isStaff ? req.user.year : '') || '').toString().trim(),
+      section: (req.query.section || (isStaff ? req.user.section : '') || '').toString().trim().toUpperCase()
+    }
+    if (!classInfo.department || !classInfo.year || !classInfo.section) {
+      return res.status(400).json({ success: false, error: 'department, year and section are required' })
+    }
+    if (!canAccessClass(req.user, classInfo)) return forbid(res, 'Not authorized to view this class')
+
+    const period = (req.query.period || 'week').toString()
+    if (!LATE_REPORT_PERIODS.includes(period)) return res.status(400).json({ success: false, error: `period must be one of: ${LATE_REPORT_PERIODS.join(', ')}` })
+
+    const now = new Date()
+    const to = req.query.to ? dayKey(req.query.to) : campusDayKey(now)
+    const from = req.query.from ? dayKey(req.query.from) : dayKey(new Date(Date.parse(`${to}T00:00:00.000Z`) - (DEFAULT_RANGE_DAYS - 1) * DAY_MS))
+    if (!from || !to) return res.status(400).json({ success: false, error: 'from and to must be dates' })
+    if (from > to) return res.status(400).json({ success: false, error: 'from must not be after to' })
+    if ((Date.parse(to) - Date.parse(from)) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+      return res.status(400).json({ success: false, error: `The report covers at most ${MAX_RANGE_DAYS} days` })
+    }
+
+    const policy = await resolveLeavePolicy(classInfo.department)
+    const thresholds = lateAlertsOf(policy)
+    // Thresholds are checked as of the last day of the report; lates before the range still count towards them
+    const asOf = to === campusDayKey(now) ? now : new Date(campusDayStart(to).getTime() + DAY_MS / 2)
+    const longest = Math.max(0, ...thresholds.map((t) => t.days))
+    const since = new Date(Math.min(campusDayStart(from).getTime(), campusDayStart(to).getTime() - longest * DAY_MS))
+    const lates = await LeaveRequest.find({
+      type: 'late',
+      ...RECORDED_LATE_FILTER,
+      'studentDetails.department': classInfo.department,
+      'studentDetails.year': { $in: getYearAliases(classInfo.year) },
+      'studentDetails.section': classInfo.section,
+      expectedArrivalTime: { $gte: since, $lt: new Date(campusDayStart(to).getTime() + DAY_MS) }
+    }).select('studentId studentDetails.name studentDetails.regNumber expectedArrivalTime createdAt arrivalConfirmedAt recordedAt arrivalRecordedAt repeatAlerts')
+      .sort({ expectedArrivalTime: 1 })
+      .lean()
+
+    const report = summarizeLates(lates, { period, from, to, thresholds, now: asOf })
+
+    if (format) {
+      const title = `Late Arrivals - ${classInfo.department} ${classInfo.year} ${classInfo.section} (${from} to ${to})`
+      const filename = `late-arrivals-${classInfo.department}-${classInfo.year}-${classInfo.section}-${from}-${to}`.toLowerCase()
+      if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv')
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`)
+        return res.status(200).send(lateReportCSV(report, { title }))
+      }
+      const buffer = await lateReportWorkbook(report, { title })
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`)
+      return res.status(200).send(Buffer.from(buffer))
+    }
+
+    return res.status(200).json({ success: true, class: classInfo, from, to, ...report })
+  } catch (error) {
+    console.error('Late arrivals API error:', error)
+    return res.status(500).json({ success: false, error: 'Internal server error' })
+  }
+}
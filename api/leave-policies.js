@@ -0,0 +1,75 @@
+import { connectToDatabase } from '../lib/mongo.js'
+import { LeavePolicy } from '../models.js'
+import { authorize, forbid } from '../lib/permissions.js'
+import { ALL_DEPARTMENTS, clearLeavePolicyCache, resolveLeavePolicy, validateLeavePolicy } from '../lib/leavePolicies.js'
+import { DEFAULT_LEAVE_POLICY } from '../shared/leave.js'
+import { normalizeDepartment } from '../shared/subjectCatalog.js'
+
+// Admins manage every policy; HODs only their own department's
+const canManagePolicy = (user, department) => (
+  user.role === 'admin'
+  || (user.role === 'hod' && department !== ALL_DEPARTMENTS && department === normalizeDepartment(user.department || ''))
+)
+
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end()
+
+  try {
+    await connectToDatabase()
+  } catch (dbErr) {
+    console.error('DB connect error in leave policies API:', dbErr.message)
+    return res.status(503).json({ success: false, error: 'Database connection failed' })
+  }
+
+  try {
+    if (req.method === 'GET') {
+      if (!authorize(req, res, 'leave-policies', 'view')) return
+      // Students and staff read their own department's policy
+      const department = req.user.role === 'admin' && req.query.department ? req.query.department : req.user.department
+      const policy = await resolveLeavePolicy(department)
+      return res.status(200).json({
+        success: true,
+        policy,
+        isDefault: policy === DEFAULT_LEAVE_POLICY,
+        inherited: policy !== DEFAULT_LEAVE_POLICY && policy.department !== normalizeDepartment(department || '')
+      })
+    }
+
+    if (req.method === 'PUT') {
+      if (!authorize(req, res, 'leave-policies', 'save')) return
+      const { error, policy } = validateLeavePolicy(req.body || {})
+      if (error) return res.status(400).json({ success: false, error })
+      if (!canManagePolicy(req.user, policy.department)) {
+        return forbid(res, 'HODs can only set the leave policy of their own department')
+      }
+
+      const saved = await LeavePolicy.findOneAndUpdate(
+        { department: policy.department },
+        { $set: { ...policy, updatedBy: req.user.id, updatedAt: new Date() }, $setOnInsert: { createdAt: new Date() } },
+        { new: true, upsert: true, runValidators: true }
+      ).lean()
+      clearLeavePolicyCache()
+      return res.status(200).json({ success: true, policy: saved })
+    }
+
+    if (req.method === 'DELETE') {
+      if (!authorize(req, res, 'leave-policies', 'delete')) return
+      const department = normalizeDepartment((req.body || {}).department || req.query.department || '')
+      if (!department) return res.status(400).json({ success: false, error: 'department is required' })
+      if (!canManagePolicy(req.user, department)) {
+        return forbid(res, 'Not authorized to delete this leave policy')
+      }
+
+      // The department falls back to the institution-wide or built-in policy
+      const { deletedCount } = await LeavePolicy.deleteOne({ department })
+      if (deletedCount === 0) return res.status(404).json({ success: false, error: 'Leave policy not found' })
+      clearLeavePolicyCache()
+      return res.status(200).json({ success: true })
+    }
+
+    return res.status(405).json({ success: false, error: 'Method not allowed' })
+  } catch (error) {
+    console.error('Leave policies API error:', error)
+    return res.status(500).json({ success: false, error: 'Internal server error' })
+  }
+}
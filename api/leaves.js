@@ -5,6 +5,19 @@ import { sendBroadcastNotification } from '../lib/broadcastNotification.js'
 import evolutionApi, { getEvolutionApiForStaff } from '../lib/evolutionApiService.js'
 import axios from 'axios'
 import { generateLeavePDF } from './generate-pdf.js'
+import { DISPATCH_LINK_TTL_SECONDS, signedPdfPath } from '../lib/pdfLinks.js'
+import { authorize, forbid, canAccessLeave, canAccessStudent, scopeFilter, withScope } from '../lib/permissions.js'
+import { isArchived, rejectArchived } from '../lib/promotion.js'
+import { guardSave, isSaveConflict, isStale, rejectStale } from '../lib/concurrency.js'
+import { findClassAdvisor, findClassStaff } from '../lib/classAssignments.js'
+import { LEAVE_QUOTA_EXCEEDED, attachLeaveBalances, loadLeaveBalance, resolveLeaveCalendar, resolveLeavePolicy } from '../lib/leavePolicies.js'
+import { resolveCalendar } from '../lib/academicCalendar.js'
+import { campusDayKey, holidayOn, isWorkingDay } from '../shared/calendar.js'
+import { buildApprovalChain, checkLeaveQuota, countLeaveDays, leaveCategoryOf } from '../shared/leave.js'
+import { awaitingFilter, canActOnStep, currentStep, recordDecision } from '../lib/leaveApprovals.js'
+import { alertRepeatLates } from '../lib/lateArrivals.js'
+
+const PATCH_ACTIONS = ['approve', 'reject', 'acknowledge', 'confirm-arrival']
 
 // Check Evolution API configuration (global)
 if (evolutionApi.isConfigured()) {
@@ -54,6 +67,38 @@ const getBaseUrl = (req) => {
   return ''
 }
 
+/**
+ * Tell whoever decides the request's current approval step that it is
+ * waiting for them: the class advisors, the department's HOD or the admins.
+ */
+async function notifyLeaveApprovers(request) {
+  const details = request.studentDetails
+  let approvers = []
+  if (request.pendingRole === 'class_advisor') approvers = await findClassStaff(details, { roles: ['class_advisor'] })
+  if (request.pendingRole === 'hod') approvers = await User.find({ role: 'hod', department: details.department }).lean()
+  if (request.pendingRole === 'admin') approvers = await User.find({ role: 'admin' }).lean()
+  approvers = approvers.filter((user) => user.email)
+  if (approvers.length === 0) return
+
+  const previous = [...(request.approvals || [])].reverse().find((step) => step.status === 'approved')
+  const body = previous
+    ? `${details.name} (${details.regNumber})'s leave was recommended by ${previous.name} (${previous.label}) and awaits your approval`
+    : `${details.name} (${details.regNumber}) requested leave`
+  for (const approver of approvers) {
+    await storeNotification({
+      userEmail: approver.email,
+      title: previous ? 'Leave Awaiting Approval' : 'New Leave Request',
+      body,
+      data: { leaveId: request._id.toString(), type: 'leave' }
+    })
+  }
+  try {
+    await sendBroadcastNotification('🔔 New Leave Request', body, { type: 'leave_request', leaveId: request._id.toString(), department: details.department })
+  } catch (bErr) {
+    /* ignore broadcast errors */
+  }
+}
+
 export default async function handler(req, res) {
   if (req.method === 'OPTIONS') return res.status(200).end()
 
@@ -68,8 +113,9 @@ export default async function handler(req, res) {
       if (action !== 'create') {
         return res.status(400).json({ success: false, error: 'Invalid action' })
       }
+      if (!authorize(req, res, 'leaves', 'create')) return
 
-      const { type, regNumber, phoneNumber, reason, attachmentData, startDate, endDate, expectedArrivalTime } = req.body
+      const { type, reason, attachmentData, startDate, endDate, expectedArrivalTime, category } = req.body
       if (!type || !reason) {
         return res.status(400).json({ success: false, error: 'type and reason are required' })
       }
@@ -77,15 +123,17 @@ export default async function handler(req, res) {
         return res.status(400).json({ success: false, error: 'type must be leave or late' })
       }
 
-      // Find student by regNumber or phone
-      let student = null
-      if (regNumber) student = await Student.findOne({ regNumber: regNumber })
-      if (!student && phoneNumber) {
-        student = await Student.findOne({ $or: [ { parentPhoneNumber: phoneNumber }, { studentPhoneNumber: phoneNumber } ] })
-      }
+      // Requests are always raised for the signed-in student
+      const student = await Student.findById(req.user.id)
       if (!student) {
         return res.status(404).json({ success: false, error: 'Student not found' })
       }
+      if ((student.status || 'active') !== 'active') {
+        return forbid(res, `Leave requests are closed for ${student.status} students`)
+      }
+
+      // Set when a leave goes over its quota under a 'warn' policy
+      let quotaWarning = null
 
       console.log('[leaves] Creating request for student:', { name: student.name, regNumber: student.regNumber, department: student.department, type })
       const doc = new LeaveRequest({
@@ -108,41 +156,63 @@ export default async function handler(req, res) {
         }
         doc.startDate = new Date(startDate)
         doc.endDate = new Date(endDate)
+        if (Number.isNaN(doc.startDate.getTime()) || Number.isNaN(doc.endDate.getTime()) || doc.endDate < doc.startDate) {
+          return res.status(400).json({ success: false, error: 'endDate must be on or after startDate' })
+        }
+
+        const policy = await resolveLeavePolicy(student.department)
+        const leaveCategory = policy.categories.find((c) => c.key === category)
+        if (!leaveCategory) {
+          return res.status(400).json({ success: false, error: `category must be one of: ${policy.categories.map((c) => c.key).join(', ')}` })
+        }
+        if (leaveCategory.requiresAttachment && !attachmentData) {
+          return res.status(400).json({ success: false, error: `${leaveCategory.label} leave needs a proof attachment` })
+        }
+        doc.category = leaveCategory.key
+        const calendar = await resolveLeaveCalendar(student.department, policy)
+        doc.leaveDays = countLeaveDays(doc.startDate, doc.endDate, calendar.holidays, calendar.workingDays)
+        if (doc.leaveDays === 0) {
+          return res.status(400).json({ success: false, error: 'The selected dates are all weekends or holidays' })
+        }
+
+        const { balance } = await loadLeaveBalance(student._id, policy, { on: doc.startDate, calendar })
+        const quota = checkLeaveQuota(balance, doc.category, doc.leaveDays)
+        if (quota.exceeded && policy.enforcement === 'block') {
+          return res.status(409).json({ success: false, code: LEAVE_QUOTA_EXCEEDED, error: quota.message, balance })
+        }
+        doc.quotaExceeded = quota.exceeded
+        quotaWarning = quota.message
+
+        // Classes without an advisor go straight to the next approver
+        const hasAdvisor = !!(await findClassAdvisor(student))
+        doc.approvals = buildApprovalChain(leaveCategory.approvers, doc.leaveDays, { hasAdvisor })
+        doc.pendingRole = doc.approvals[0].role
       } else {
         if (!expectedArrivalTime) {
           return res.status(400).json({ success: false, error: 'expectedArrivalTime is required for late' })
         }
         doc.expectedArrivalTime = new Date(expectedArrivalTime)
+        // Nobody is late on a day without classes
+        const day = campusDayKey(doc.expectedArrivalTime)
+        const calendar = await resolveCalendar(student.department)
+        if (day && !isWorkingDay(day, calendar)) {
+          const holiday = holidayOn(day, calendar)
+          return res.status(400).json({ success: false, error: `${day} is not a working day${holiday ? ` (${holiday.name})` : ''}` })
+        }
         doc.status = 'waiting_for_arrival_confirmation'
       }
 
       await doc.save()
       console.log('[leaves] Saved request:', { id: doc._id, type: doc.type, status: doc.status, department: doc.studentDetails.department })
 
-      // Notify HOD or Staff
+      // Notify the first approver or the class advisors
       if (type === 'leave') {
-        const hod = await User.findOne({ role: 'hod', department: student.department }).lean()
-        if (hod?.email) {
-          await storeNotification({
-            userEmail: hod.email,
-            title: 'New Leave Request',
-            body: `${student.name} (${student.regNumber}) requested leave`,
-            data: { leaveId: doc._id.toString(), type: 'leave' }
-          })
-          try {
-            await sendBroadcastNotification(
-              '🔔 New Leave Request',
-              `${student.name} (${student.regNumber}) requested leave`,
-              { type: 'leave_request', leaveId: doc._id.toString(), department: student.department }
-            )
-          } catch (bErr) {
-            /* ignore broadcast errors */
-          }
-        }
+        await notifyLeaveApprovers(doc)
       } else {
-        const staff = await User.findOne({ role: 'staff', department: student.department, year: student.year, section: student.section }).lean()
+        // Every advisor of the class is alerted; a class without one falls back to the staff whose profile matches
+        const advisors = (await findClassStaff(student, { roles: ['class_advisor'] })).filter((staff) => staff.email)
         const reasonText = reason ? ` Reason: ${reason}` : ''
-        if (staff?.email) {
+        for (const staff of advisors) {
           await storeNotification({
             userEmail: staff.email,
             type: 'late_request_started',
@@ -158,6 +228,8 @@ export default async function handler(req, res) {
               type: 'late'
             }
           })
+        }
+        if (advisors.length > 0) {
           try {
             await sendBroadcastNotification(
               '🔔 Late Arrival',
@@ -170,12 +242,34 @@ export default async function handler(req, res) {
         }
       }
 
-      return res.status(201).json({ success: true, request: doc })
+      return res.status(201).json({ success: true, request: doc, ...(quotaWarning ? { quotaWarning } : {}) })
+    }
+
+    if (req.method === 'GET' && req.query.action === 'balance') {
+      if (!authorize(req, res, 'leaves', 'balance')) return
+      const student = await Student.findById(req.user.role === 'student' ? req.user.id : req.query.studentId).lean()
+      if (!student) return res.status(404).json({ success: false, error: 'Student not found' })
+      if (!canAccessStudent(req.user, student)) return forbid(res, 'Not authorized to view this student')
+
+      const policy = await resolveLeavePolicy(student.department)
+      const calendar = await resolveLeaveCalendar(student.department, policy)
+      const { semester, balance } = await loadLeaveBalance(student._id, policy, { on: req.query.on ? new Date(req.query.on) : new Date(), calendar })
+      return res.status(200).json({
+        success: true,
+        semester,
+        balance,
+        categories: policy.categories,
+        // The policy's holidays with the academic calendar's, and the calendar's extra working days
+        holidays: calendar.holidays,
+        workingDays: calendar.workingDays,
+        enforcement: policy.enforcement
+      })
     }
 
     if (req.method === 'GET') {
+      if (!authorize(req, res, 'leaves', 'list')) return
       const { studentId, department, type, status } = req.query
-      const filter = {}
+      let filter = {}
       if (studentId) filter.studentId = studentId
       if (department) filter['studentDetails.department'] = department
       if (type) filter.type = type
@@ -187,9 +281,15 @@ export default async function handler(req, res) {
       if (year) filter['studentDetails.year'] = year
       if (section) filter['studentDetails.section'] = section
 
+      filter = withScope(filter, scopeFilter(req.user))
+      // Only the requests whose current approval step is the caller's
+      if (req.query.awaiting === '1') filter = withScope(filter, awaitingFilter(req.user))
+
       console.log('[leaves] GET query:', { filter, queryParams: req.query })
       const requests = await LeaveRequest.find(filter).sort({ createdAt: -1 }).lean()
       console.log('[leaves] Found requests:', requests.length)
+      // Approvers see how much of the category each student has already taken this semester
+      if (req.query.withBalance === '1' && req.user.role !== 'student') await attachLeaveBalances(requests)
       return res.status(200).json({ success: true, requests, filter })
     }
 
@@ -198,8 +298,14 @@ export default async function handler(req, res) {
       console.log('🔍 [PATCH /api/leaves] Called with:', { id, action, body: req.body })
       
       if (!id) return res.status(400).json({ success: false, error: 'id is required' })
+      if (PATCH_ACTIONS.includes(action) && !authorize(req, res, 'leaves', action)) return
       const request = await LeaveRequest.findById(id)
       if (!request) return res.status(404).json({ success: false, error: 'Request not found' })
+      if (!canAccessLeave(req.user, request)) return forbid(res, 'Not authorized to act on this request')
+      if (isArchived(request)) return rejectArchived(res, 'request')
+      if (isStale(request, req)) return rejectStale(res, request, 'request')
+      // A save below fails if someone else acts on the request first
+      guardSave(request)
 
       console.log('🔍 [PATCH /api/leaves] Found request:', { 
         id: request._id, 
@@ -208,19 +314,46 @@ export default async function handler(req, res) {
         parentPhone: request.studentDetails?.parentPhoneNumber 
       })
 
+      if (action === 'approve' || action === 'reject') {
+        if (request.type !== 'leave') return res.status(400).json({ success: false, error: 'Only leave requests are approved' })
+        const step = currentStep(request)
+        if (!step) return res.status(400).json({ success: false, error: `This request has already been ${request.status === 'approved_by_hod' ? 'approved' : 'rejected'}` })
+        if (!canActOnStep(req.user, request, step)) {
+          return forbid(res, `This request is waiting for the ${step.label}`)
+        }
+      }
+
       if (action === 'approve') {
         console.log('🔍 [PATCH /api/leaves] Processing approve action...')
-        const { hodId } = req.body
-        console.log('🔍 HOD ID from body:', hodId)
-        
-        const hod = hodId ? await User.findById(hodId) : null
-        console.log('🔍 Found HOD:', hod ? { id: hod._id, name: hod.name } : 'NOT FOUND')
+        const approver = await User.findById(req.user.id)
+        console.log('🔍 Found approver:', approver ? { id: approver._id, name: approver.name } : 'NOT FOUND')
         
-        if (!hod) return res.status(400).json({ success: false, error: 'Invalid HOD' })
+        if (!approver) return res.status(400).json({ success: false, error: 'Invalid approver' })
+
+        // The quota was checked when the request was raised; other approvals since may have used it up
+        let quotaWarning = null
+        if (request.type === 'leave' && request.startDate) {
+          const policy = await resolveLeavePolicy(request.studentDetails?.department)
+          const calendar = await resolveLeaveCalendar(request.studentDetails?.department, policy)
+          const { balance } = await loadLeaveBalance(request.studentId, policy, { on: request.startDate, excludeId: request._id, calendar })
+          quotaWarning = checkLeaveQuota(balance, leaveCategoryOf(request), request.leaveDays ?? countLeaveDays(request.startDate, request.endDate, calendar.holidays, calendar.workingDays)).message
+        }
+
+        const { done } = recordDecision(request, approver, 'approved', req.body?.comments)
+        if (!done) {
+          // Recommended; the next approver takes it from here
+          await request.save()
+          await notifyLeaveApprovers(request)
+          return res.status(200).json({ success: true, request, ...(quotaWarning ? { quotaWarning } : {}) })
+        }
+
         request.status = 'approved_by_hod'
-        request.hodId = hod._id
-        request.hodName = hod.name
-        request.hodSignature = hod.eSignature || null
+        const hodStep = request.approvals.find((s) => s.role === 'hod' && s.status === 'approved')
+        if (hodStep) {
+          request.hodId = hodStep.userId
+          request.hodName = hodStep.name
+          request.hodSignature = hodStep.signature || null
+        }
         request.approvedAt = new Date()
         await request.save()
 
@@ -243,12 +376,7 @@ export default async function handler(req, res) {
         console.log('🔍 [Leave Approval] Starting WhatsApp dispatch via Evolution API...')
         
         // Find the class teacher (staff) for this student to use their WhatsApp instance
-        const classTeacher = await User.findOne({ 
-          role: 'staff', 
-          department: request.studentDetails.department, 
-          year: request.studentDetails.year, 
-          section: request.studentDetails.section 
-        }).lean()
+        const classTeacher = await findClassAdvisor(request.studentDetails)
         
         // Use Class Teacher's Evolution API instance if available, so message originates from Class Teacher's connected number
         const evo = classTeacher && classTeacher._id ? getEvolutionApiForStaff(String(classTeacher._id)) : evolutionApi
@@ -294,8 +422,9 @@ export default async function handler(req, res) {
               }
             }
 
-            const leavePdfUrl = toAbsolute(`/api/generate-pdf?type=leave&leaveId=${request._id}`)
-            const leaveImageUrl = toAbsolute(`/api/generate-pdf?type=leave&leaveId=${request._id}&format=jpeg`)
+            // Parents open these from the message, possibly long after today
+            const leavePdfUrl = toAbsolute(signedPdfPath({ leaveId: request._id, expiresIn: DISPATCH_LINK_TTL_SECONDS }))
+            const leaveImageUrl = toAbsolute(signedPdfPath({ leaveId: request._id, format: 'jpeg', expiresIn: DISPATCH_LINK_TTL_SECONDS }))
 
             // Format dates
             const startDateStr = new Date(request.startDate).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' })
@@ -472,9 +601,9 @@ MSEC Academics Department`
               console.error('❌ WhatsApp send unexpected failure:', msg)
             }
 
-            // Notify HOD (sender) about the WhatsApp dispatch result, if HOD exists
+            // Notify the final approver about the WhatsApp dispatch result
             try {
-              if (hod?.email) {
+              if (approver?.email) {
                 const title = whatsappResult.sentText || whatsappResult.sentPdf
                   ? '✅ Leave Sent via WhatsApp'
                   : '⚠️ Leave WhatsApp Dispatch Failed'
@@ -485,7 +614,7 @@ MSEC Academics Department`
                 if (whatsappResult.errors.length > 0) bodyLines.push(`Errors: ${whatsappResult.errors.slice(0,3).join(' | ')}`)
 
                 await storeNotification({
-                  userEmail: hod.email,
+                  userEmail: approver.email,
                   title,
                   body: bodyLines.join('\n'),
                   data: { leaveId: request._id.toString(), whatsappResult }
@@ -518,26 +647,22 @@ MSEC Academics Department`
           }
         )
 
-        return res.status(200).json({ success: true, request, whatsappResult })
+        return res.status(200).json({ success: true, request, whatsappResult, ...(quotaWarning ? { quotaWarning } : {}) })
       }
 
       if (action === 'reject') {
-        const { hodId, reason } = req.body || {}
+        const { reason } = req.body || {}
+        const approver = await User.findById(req.user.id).lean()
+        if (!approver) return res.status(400).json({ success: false, error: 'Invalid approver' })
 
-        // Record rejection metadata
+        // Any step can end the chain; the rejection fields keep their old names
+        const { step } = recordDecision(request, approver, 'rejected', reason)
         request.status = 'rejected_by_hod'
         request.rejectionReason = reason || ''
         request.rejectedAt = new Date()
-        if (hodId) {
-          try {
-            const hod = await User.findById(hodId).lean()
-            if (hod) {
-              request.hodId = hod._id
-              request.hodName = hod.name
-            }
-          } catch (hErr) {
-            console.warn('⚠️ Could not fetch HOD for rejection metadata:', hErr && hErr.message)
-          }
+        if (approver.role === 'hod') {
+          request.hodId = approver._id
+          request.hodName = approver.name
         }
 
         await request.save()
@@ -555,18 +680,13 @@ MSEC Academics Department`
 
         // Send only a plain text WhatsApp message to parent with rejection + reason (no attachments)
         try {
-          const classTeacher = await User.findOne({ 
-            role: 'staff', 
-            department: request.studentDetails.department, 
-            year: request.studentDetails.year, 
-            section: request.studentDetails.section 
-          }).lean()
+          const classTeacher = await findClassAdvisor(request.studentDetails)
           const evo = classTeacher && classTeacher._id ? getEvolutionApiForStaff(String(classTeacher._id)) : evolutionApi
           
           if (evo.isConfigured()) {
             const parentPhone = request.studentDetails?.parentPhoneNumber
             if (parentPhone) {
-              const text = `Hello!\n\nYour leave request for ${request.studentDetails.name} (Reg: ${request.studentDetails.regNumber}) has been rejected by the HOD.\n\nReason: ${reason || 'Not specified'}\n\nRegards,\nMSEC Academics Department`
+              const text = `Hello!\n\nYour leave request for ${request.studentDetails.name} (Reg: ${request.studentDetails.regNumber}) has been rejected by the ${step.label}.\n\nReason: ${reason || 'Not specified'}\n\nRegards,\nMSEC Academics Department`
               try {
                 await evo.sendTextMessage(parentPhone, text)
                 console.log('✅ Sent plain-text rejection WhatsApp message to', parentPhone)
@@ -587,12 +707,15 @@ MSEC Academics Department`
       }
 
       if (action === 'acknowledge') {
-        const { staffId } = req.body
-        const staff = staffId ? await User.findById(staffId) : null
+        if (request.type !== 'late') return res.status(400).json({ success: false, error: 'Only late arrivals are recorded' })
+        // A second click must not record the late (and alert on it) again
+        if (request.recordedAt) {
+          return res.status(409).json({ success: false, error: `This late arrival was already recorded by ${request.staffName || 'staff'}` })
+        }
+        const staff = await User.findById(req.user.id)
         if (!staff) return res.status(400).json({ success: false, error: 'Invalid staff' })
         
-        // Step 1: Record button clicked - update status
-        request.status = 'waiting_for_arrival_confirmation'
+        // Step 1: Record button clicked. The late stays waiting for the student's confirmation
         request.staffId = staff._id
         request.staffName = staff.name
         request.recordedAt = new Date()
@@ -611,6 +734,13 @@ MSEC Academics Department`
           }
         )
 
+        // Repeat offenders: the class advisor and the parent hear about it once per threshold window
+        try {
+          await alertRepeatLates(request)
+        } catch (alertErr) {
+          console.warn('⚠️ Failed to check repeat late arrivals:', alertErr?.message)
+        }
+
         return res.status(200).json({ success: true, request })
       }
 
@@ -638,12 +768,7 @@ MSEC Academics Department`
         }
 
         if (staffTargets.length === 0) {
-          const staffList = await User.find({
-            role: 'staff',
-            department: request.studentDetails?.department,
-            year: request.studentDetails?.year,
-            section: request.studentDetails?.section
-          }).lean()
+          const staffList = await findClassStaff(request.studentDetails, { roles: ['class_advisor'] })
           staffTargets.push(...(staffList || []))
         }
 
@@ -755,9 +880,12 @@ MSEC Academics Department`
       console.log('🔍 [DELETE /api/leaves] Called with:', { id, action })
       
       if (!id) return res.status(400).json({ success: false, error: 'id is required' })
+      if (!authorize(req, res, 'leaves', 'delete')) return
       
       const request = await LeaveRequest.findById(id)
       if (!request) return res.status(404).json({ success: false, error: 'Request not found' })
+      if (!canAccessLeave(req.user, request)) return forbid(res, 'Not authorized to delete this request')
+      if (isArchived(request)) return rejectArchived(res, 'request')
 
       if (action === 'delete' || !action) {
         // Only allow deletion of leave requests that are not yet approved
@@ -789,6 +917,10 @@ MSEC Academics Department`
 
     return res.status(405).json({ success: false, error: 'Method not allowed' })
   } catch (err) {
+    if (isSaveConflict(err) && req.query.id) {
+      const current = await LeaveRequest.findById(req.query.id).lean().catch(() => null)
+      if (current) return rejectStale(res, current, 'request')
+    }
     console.error('❌ Leaves API error:', err.message)
     console.error('❌ Error stack:', err.stack)
     return res.status(500).json({ success: false, error: 'Internal server error', details: err.message })
@@ -0,0 +1,285 @@
+import multer from 'multer'
+import { connectToDatabase } from '../lib/mongo.js'
+import { SubjectMarkEntry } from '../models.js'
+import { authorize, forbid, advisesClass, teachesSubject, scopeFilter, withScope } from '../lib/permissions.js'
+import { auditActor, recordMarksheetAuditMany } from '../lib/marksheetAudit.js'
+import { readSheetGrid, readWorkbook } from '../lib/importMapping.js'
+import {
+  alignRows,
+  applyMarks,
+  buildCompleteness,
+  consolidateMarks,
+  entryStudents,
+  examFilter,
+  missingRows,
+  readExam,
+  readMarkRows,
+  readSubject
+} from '../lib/markEntry.js'
+import { invalidatePdfCache } from './generate-pdf.js'
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = [
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.ms-excel',
+      'text/csv'
+    ]
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true)
+    } else {
+      cb(new Error('Only Excel files (.xlsx, .xls) and CSV files are allowed'))
+    }
+  }
+})
+
+// Error code for changes to a subject the teacher has locked
+const ENTRY_LOCKED = 'ENTRY_LOCKED'
+
+const entryView = (entry, rows) => {
+  const { rows: stored, ...summary } = entry?.toObject ? entry.toObject() : entry || {}
+  const current = rows || stored || []
+  return { ...summary, status: summary.status || 'draft', rows: current, missing: missingRows(current).length }
+}
+
+// Exam and subject from the query or body; answers 400 and returns null when either is incomplete
+const readTarget = (source, res) => {
+  const { exam, error } = readExam(source)
+  if (error) {
+    res.status(400).json({ success: false, error })
+    return null
+  }
+  const { subject, error: subjectError } = readSubject(source)
+  if (subjectError) {
+    res.status(400).json({ success: false, error: subjectError })
+    return null
+  }
+  return { exam, subject }
+}
+
+/**
+ * Save the subject teacher's marks as a draft. `input` is [{ regNumber, marks, absent }]
+ * from the grid or an uploaded sheet; nothing is saved if any row is invalid.
+ */
+async function saveDraft(req, res, { exam, subject }, input) {
+  if (!teachesSubject(req.user, exam, subject)) {
+    return forbid(res, 'You can only enter marks for subjects you teach in this class')
+  }
+  const entry = await SubjectMarkEntry.findOne({ ...examFilter(exam), subjectKey: subject.subjectKey })
+  if (entry?.status === 'locked') {
+    return res.status(409).json({ success: false, code: ENTRY_LOCKED, error: 'These marks are locked. Ask the class advisor to unlock them.' })
+  }
+  const examinationDate = req.body.examinationDate ? new Date(req.body.examinationDate) : entry?.examinationDate
+  if (!examinationDate || Number.isNaN(examinationDate.getTime())) {
+    return res.status(400).json({ success: false, error: 'examinationDate is required' })
+  }
+
+  const students = await entryStudents(exam, subject)
+  const { rows, errors } = applyMarks(alignRows(entry?.rows, students), input)
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: `${errors.length} row(s) could not be saved`, rowErrors: errors })
+  }
+
+  try {
+    const saved = entry || new SubjectMarkEntry({ ...exam, ...subject, staffId: req.user.id, staffName: req.user.name })
+    saved.rows = rows
+    saved.examinationDate = examinationDate
+    await saved.save()
+    return res.status(200).json({ success: true, entry: entryView(saved) })
+  } catch (saveErr) {
+    if (saveErr.code === 11000) {
+      return res.status(409).json({ success: false, error: 'Someone else started these marks at the same time. Reload the sheet.' })
+    }
+    throw saveErr
+  }
+}
+
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end()
+
+  try {
+    await connectToDatabase()
+  } catch (dbErr) {
+    console.error('DB connect error in mark entry API:', dbErr.message)
+    return res.status(503).json({ success: false, error: 'Database connection failed' })
+  }
+
+  try {
+    const { action } = req.query
+
+    if (req.method === 'GET') {
+      if (action === 'list') {
+        if (!authorize(req, res, 'mark-entry', 'list')) return
+        // Staff see the entries they own plus those of their classes
+        const entries = await SubjectMarkEntry.find(withScope({}, scopeFilter(req.user, { prefix: '', ownerField: 'staffId' })))
+          .select('-rows')
+          .sort({ updatedAt: -1 })
+          .limit(200)
+          .lean()
+        return res.status(200).json({ success: true, entries })
+      }
+
+      if (action === 'sheet') {
+        if (!authorize(req, res, 'mark-entry', 'sheet')) return
+        const target = readTarget(req.query, res)
+        if (!target) return
+        if (!teachesSubject(req.user, target.exam, target.subject) && !advisesClass(req.user, target.exam)) {
+          return forbid(res, 'You do not teach this subject in this class')
+        }
+        const entry = await SubjectMarkEntry.findOne({ ...examFilter(target.exam), subjectKey: target.subject.subjectKey }).lean()
+        // Locked marks are shown as they were locked; drafts follow the current class list
+        const rows = entry?.status === 'locked' ? entry.rows : alignRows(entry?.rows, await entryStudents(target.exam, target.subject))
+        return res.status(200).json({ success: true, entry: entryView(entry || { ...target.exam, ...target.subject }, rows) })
+      }
+
+      if (action === 'completeness') {
+        if (!authorize(req, res, 'mark-entry', 'completeness')) return
+        const { exam, error } = readExam(req.query)
+        if (error) {
+          return res.status(400).json({ success: false, error })
+        }
+        if (!advisesClass(req.user, exam)) {
+          return forbid(res, 'Only the class advisor can view the completeness of a class')
+        }
+        return res.status(200).json({ success: true, completeness: await buildCompleteness(exam) })
+      }
+
+      return res.status(400).json({ success: false, error: 'Invalid action' })
+    }
+
+    if (req.method === 'POST') {
+      if (action === 'save') {
+        if (!authorize(req, res, 'mark-entry', 'save')) return
+        const target = readTarget(req.body, res)
+        if (!target) return
+        if (!Array.isArray(req.body.marks)) {
+          return res.status(400).json({ success: false, error: 'marks must be a list' })
+        }
+        return saveDraft(req, res, target, req.body.marks)
+      }
+
+      if (action === 'upload') {
+        if (!authorize(req, res, 'mark-entry', 'upload')) return
+        upload.single('marksFile')(req, res, async (err) => {
+          if (err) {
+            return res.status(400).json({ success: false, error: err.message })
+          }
+          if (!req.file) {
+            return res.status(400).json({ success: false, error: 'No file uploaded' })
+          }
+          try {
+            const target = readTarget(req.body, res)
+            if (!target) return
+            const { grid } = readSheetGrid(readWorkbook(req.file.buffer))
+            const { rows, error } = readMarkRows(grid)
+            if (error) {
+              return res.status(400).json({ success: false, error })
+            }
+            if (rows.length === 0) {
+              return res.status(400).json({ success: false, error: 'Excel file is empty' })
+            }
+            return saveDraft(req, res, target, rows)
+          } catch (uploadErr) {
+            console.error('Mark entry upload error:', uploadErr)
+            return res.status(500).json({ success: false, error: 'Internal server error' })
+          }
+        })
+        return // multer handles the response
+      }
+
+      if (action === 'lock') {
+        if (!authorize(req, res, 'mark-entry', 'lock')) return
+        const target = readTarget(req.body, res)
+        if (!target) return
+        if (!teachesSubject(req.user, target.exam, target.subject)) {
+          return forbid(res, 'You can only lock subjects you teach in this class')
+        }
+        const entry = await SubjectMarkEntry.findOne({ ...examFilter(target.exam), subjectKey: target.subject.subjectKey })
+        if (!entry) {
+          return res.status(404).json({ success: false, error: 'Save the marks before locking them' })
+        }
+        if (entry.status === 'locked') {
+          return res.status(200).json({ success: true, entry: entryView(entry) })
+        }
+        // Students who joined the class since the last save must be marked too
+        const rows = alignRows(entry.rows, await entryStudents(target.exam, target.subject))
+        const missing = missingRows(rows)
+        if (missing.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: `Enter marks or mark absent for every student first (${missing.length} missing)`,
+            missing: missing.map((row) => row.regNumber)
+          })
+        }
+        entry.rows = rows
+        entry.status = 'locked'
+        entry.lockedAt = new Date()
+        entry.lockedBy = { userId: req.user.id, name: req.user.name }
+        await entry.save()
+        return res.status(200).json({ success: true, entry: entryView(entry) })
+      }
+
+      if (action === 'unlock') {
+        if (!authorize(req, res, 'mark-entry', 'unlock')) return
+        const target = readTarget(req.body, res)
+        if (!target) return
+        if (!advisesClass(req.user, target.exam)) {
+          return forbid(res, 'Only the class advisor can unlock subject marks')
+        }
+        const entry = await SubjectMarkEntry.findOneAndUpdate(
+          { ...examFilter(target.exam), subjectKey: target.subject.subjectKey, status: 'locked' },
+          { $set: { status: 'draft', updatedAt: new Date() }, $unset: { lockedAt: '', lockedBy: '' } },
+          { new: true }
+        )
+        if (!entry) {
+          return res.status(404).json({ success: false, error: 'No locked marks for this subject' })
+        }
+        return res.status(200).json({ success: true, entry: entryView(entry) })
+      }
+
+      if (action === 'consolidate') {
+        if (!authorize(req, res, 'mark-entry', 'consolidate')) return
+        const { exam, error } = readExam(req.body)
+        if (error) {
+          return res.status(400).json({ success: false, error })
+        }
+        if (!advisesClass(req.user, exam)) {
+          return forbid(res, 'Only the class advisor can consolidate marks')
+        }
+        let plan
+        try {
+          plan = await consolidateMarks(exam, { user: req.user, examinationDate: req.body.examinationDate })
+        } catch (consolidateErr) {
+          if (consolidateErr.status) {
+            return res.status(consolidateErr.status).json({ success: false, code: consolidateErr.code, error: consolidateErr.message })
+          }
+          throw consolidateErr
+        }
+        await recordMarksheetAuditMany(plan.auditEvents, auditActor(req.user))
+        for (const result of plan.results) {
+          if (result.status === 'updated') {
+            try { invalidatePdfCache(result.marksheetId.toString()) } catch (e) {}
+          }
+        }
+        const count = (status) => plan.results.filter((result) => result.status === status).length
+        return res.status(200).json({
+          success: true,
+          created: count('created'),
+          updated: count('updated'),
+          unchanged: count('unchanged'),
+          skipped: plan.results.filter((result) => result.status === 'skipped'),
+          results: plan.results
+        })
+      }
+
+      return res.status(400).json({ success: false, error: 'Invalid action' })
+    }
+
+    return res.status(405).json({ success: false, error: 'Method not allowed' })
+  } catch (error) {
+    console.error('Mark entry API error:', error)
+    return res.status(500).json({ success: false, error: 'Internal server error' })
+  }
+}
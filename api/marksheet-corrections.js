@@ -0,0 +1,454 @@
+import mongoose from 'mongoose'
+import webpush from 'web-push'
+import { connectToDatabase, runInTransaction } from '../lib/mongo.js'
+import { CorrectionRequest, Marksheet, MarksheetAuditEvent, MarksheetRevision, User } from '../models.js'
+import { getUserSubscriptions, storeNotification } from '../lib/notificationService.js'
+import { authorize, forbid, canAccessMarksheet, scopeFilter, withScope } from '../lib/permissions.js'
+import { auditActor, auditEventDocs, diffMarksheet, recordMarksheetAudit } from '../lib/marksheetAudit.js'
+import { VERSION_CONFLICT, unchangedFilter } from '../lib/concurrency.js'
+import { DISPATCHABLE_STATUSES } from '../lib/marksheetDispatch.js'
+import { gradeMarksheetSubjects } from '../lib/gradingSchemes.js'
+import { invalidatePdfCache } from './generate-pdf.js'
+import { isArchived, rejectArchived } from '../lib/promotion.js'
+
+const POST_ACTIONS = ['create', 'respond']
+
+// Configure web-push if VAPID keys are available
+if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+  webpush.setVapidDetails(
+    'mailto:academics@msec.edu',
+    process.env.VAPID_PUBLIC_KEY,
+    process.env.VAPID_PRIVATE_KEY
+  )
+}
+
+async function sendUserNotification(userEmail, title, body, url) {
+  try {
+    const { subscriptions } = await getUserSubscriptions(userEmail)
+    const payload = JSON.stringify({ title, body, url })
+    const activeSubs = (subscriptions || []).filter(s => s.active === true || s.status === 'active')
+    await Promise.all(activeSubs.map(sub => webpush.sendNotification(sub.subscription || sub, payload).catch(() => {})))
+    await storeNotification({ userEmail, title, body, url })
+  } catch (err) {
+    console.error('Correction request notification error:', err.message)
+  }
+}
+
+// First-year marksheets are approved by the HNS HOD, like dispatch requests
+async function findApprovingHod(studentDetails = {}) {
+  const dept = studentDetails.department
+  const isFirstYear = String(studentDetails.year || '').toUpperCase().trim() === 'I'
+  const hod = await User.findOne({ role: 'hod', department: isFirstYear ? 'HNS' : dept }).select('name email').lean()
+  if (hod || !isFirstYear) return hod
+  return User.findOne({ role: 'hod', department: dept }).select('name email').lean()
+}
+
+const subjectKey = (subject) => subject?.subjectCode || subject?.subjectName || ''
+
+/**
+ * Match the requested changes against the marksheet's subjects.
+ * Returns { subjects } or { error } describing the first invalid entry.
+ */
+export function buildRequestedSubjects(marksheetSubjects = [], requested = []) {
+  if (!Array.isArray(requested) || requested.length === 0) {
+    return { error: 'Select at least one subject to correct' }
+  }
+
+  const subjects = []
+  const seen = new Set()
+  for (const entry of requested) {
+    const current = marksheetSubjects.find(s =>
+      (entry.subjectCode && s.subjectCode === entry.subjectCode) ||
+      (!entry.subjectCode && entry.subjectName && s.subjectName === entry.subjectName)
+    )
+    if (!current) {
+      return { error: `Subject ${entry.subjectCode || entry.subjectName || '(unnamed)'} is not on this marksheet` }
+    }
+    if (seen.has(subjectKey(current))) {
+      return { error: `${current.subjectName} is listed more than once` }
+    }
+    seen.add(subjectKey(current))
+
+    const absent = entry.proposedResult === 'Absent'
+    const proposedMarks = absent ? null : Number(entry.proposedMarks)
+    if (!absent && (entry.proposedMarks === '' || entry.proposedMarks === null || entry.proposedMarks === undefined ||
+      !Number.isFinite(proposedMarks) || proposedMarks < 0 || proposedMarks > 100)) {
+      return { error: `Proposed marks for ${current.subjectName} must be between 0 and 100` }
+    }
+    const unchanged = absent
+      ? current.result === 'Absent'
+      : current.result !== 'Absent' && Number(current.marks) === proposedMarks
+    if (unchanged) {
+      return { error: `Proposed marks for ${current.subjectName} are the same as the current marks` }
+    }
+
+    subjects.push({
+      subjectCode: current.subjectCode,
+      subjectName: current.subjectName,
+      currentMarks: current.marks,
+      currentResult: current.result,
+      proposedMarks: absent ? undefined : proposedMarks,
+      proposedResult: absent ? 'Absent' : undefined
+    })
+  }
+  return { subjects }
+}
+
+/**
+ * The marksheet's subjects with an approved request's proposed marks applied.
+ * Corrected subjects lose their stored result so the grading scheme decides it again,
+ * and their assessment components, since the corrected total replaces them
+ * (the previous breakdown stays in the revision snapshot).
+ */
+export function applyCorrection(marksheetSubjects = [], requestedSubjects = []) {
+  const corrections = new Map(requestedSubjects.map(s => [subjectKey(s), s]))
+  return marksheetSubjects.map((subject) => {
+    const correction = corrections.get(subjectKey(subject))
+    if (!correction) return subject
+    const { components, ...corrected } = subject
+    return correction.proposedResult === 'Absent'
+      ? { ...corrected, marks: null, result: 'Absent' }
+      : { ...corrected, marks: correction.proposedMarks, result: undefined }
+  })
+}
+
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end()
+
+  try {
+    await connectToDatabase()
+  } catch (dbErr) {
+    console.error('DB connect error in marksheet corrections API:', dbErr.message)
+    return res.status(503).json({ success: false, error: 'Database connection failed' })
+  }
+
+  try {
+    const { action } = req.query
+
+    if (req.method === 'GET' && action === 'revisions') {
+      if (!authorize(req, res, 'marksheet-corrections', 'revisions')) return
+      const { marksheetId } = req.query
+      if (!marksheetId || !mongoose.isValidObjectId(marksheetId)) {
+        return res.status(400).json({ success: false, error: 'marksheetId is required' })
+      }
+
+      const marksheet = await Marksheet.findById(marksheetId).select('studentId staffId studentDetails revision revisedAt createdAt').lean()
+      if (!marksheet) {
+        return res.status(404).json({ success: false, error: 'Marksheet not found' })
+      }
+      if (!canAccessMarksheet(req.user, marksheet)) {
+        return forbid(res, 'Not authorized to view this marksheet')
+      }
+
+      const revisions = await MarksheetRevision.find({ marksheetId })
+        .select('revision correctionRequestId createdAt')
+        .sort({ revision: 1 })
+        .lean()
+
+      return res.status(200).json({
+        success: true,
+        currentRevision: marksheet.revision || 0,
+        revisedAt: marksheet.revisedAt || null,
+        // createdAt of a stored revision is when it was superseded
+        revisions: revisions.map(r => ({
+          revision: r.revision,
+          correctionRequestId: r.correctionRequestId || null,
+          supersededAt: r.createdAt
+        }))
+      })
+    }
+
+    if (req.method === 'GET') {
+      if (!authorize(req, res, 'marksheet-corrections', 'list')) return
+      const { status, marksheetId } = req.query
+
+      const filter = {}
+      if (status) filter.status = status
+      if (marksheetId) {
+        if (!mongoose.isValidObjectId(marksheetId)) {
+          return res.status(400).json({ success: false, error: 'Invalid marksheetId' })
+        }
+        filter.marksheetId = marksheetId
+      }
+
+      const requests = await CorrectionRequest.find(withScope(filter, scopeFilter(req.user, { ownerField: 'staffId' })))
+        .sort({ createdAt: -1 })
+        .limit(500)
+        .lean()
+
+      return res.status(200).json({ success: true, requests })
+    }
+
+    if (req.method === 'POST') {
+      if (!POST_ACTIONS.includes(action)) {
+        return res.status(400).json({ success: false, error: 'Invalid action' })
+      }
+
+      if (action === 'create') {
+        if (!authorize(req, res, 'marksheet-corrections', 'create')) return
+        const { marksheetId, subjects, reason } = req.body || {}
+        if (!marksheetId || !mongoose.isValidObjectId(marksheetId)) {
+          return res.status(400).json({ success: false, error: 'marksheetId is required' })
+        }
+        const trimmedReason = String(reason || '').trim()
+        if (!trimmedReason) {
+          return res.status(400).json({ success: false, error: 'A reason for the correction is required' })
+        }
+
+        const marksheet = await Marksheet.findById(marksheetId).lean()
+        if (!marksheet) {
+          return res.status(404).json({ success: false, error: 'Marksheet not found' })
+        }
+        if (!canAccessMarksheet(req.user, marksheet)) {
+          return forbid(res, 'Not authorized to request a correction for this marksheet')
+        }
+        if (isArchived(marksheet)) return rejectArchived(res, 'marksheet')
+
+        // Drafts and marksheets still under review are edited directly
+        const correctable = req.user.role === 'student' ? ['dispatched'] : DISPATCHABLE_STATUSES
+        if (!correctable.includes(marksheet.status)) {
+          return res.status(409).json({
+            success: false,
+            error: req.user.role === 'student'
+              ? 'Corrections can only be requested for published marksheets'
+              : 'Only marksheets approved by the HOD need a correction request. Edit this marksheet directly.'
+          })
+        }
+
+        const pending = await CorrectionRequest.exists({ marksheetId, status: 'pending' })
+        if (pending) {
+          return res.status(409).json({ success: false, error: 'A correction request for this marksheet is already awaiting HOD approval' })
+        }
+
+        const built = buildRequestedSubjects(marksheet.subjects, subjects)
+        if (built.error) {
+          return res.status(400).json({ success: false, error: built.error })
+        }
+
+        const hod = await findApprovingHod(marksheet.studentDetails)
+        const request = await CorrectionRequest.create({
+          marksheetId: marksheet._id,
+          studentId: marksheet.studentId,
+          staffId: marksheet.staffId,
+          studentDetails: {
+            name: marksheet.studentDetails?.name,
+            regNumber: marksheet.studentDetails?.regNumber,
+            year: marksheet.studentDetails?.year,
+            section: marksheet.studentDetails?.section,
+            department: marksheet.studentDetails?.department
+          },
+          examinationName: marksheet.examinationName || marksheet.studentDetails?.examinationName,
+          subjects: built.subjects,
+          reason: trimmedReason,
+          requestedBy: { userId: req.user.id, name: req.user.name, role: req.user.role },
+          hodId: hod?._id
+        })
+
+        await recordMarksheetAudit({
+          marksheetId: marksheet._id,
+          action: 'correction_requested',
+          fromStatus: marksheet.status,
+          toStatus: marksheet.status,
+          changes: built.subjects.map(s => ({
+            field: `subjects.${subjectKey(s)}.marks`,
+            label: `${s.subjectName} marks (proposed)`,
+            before: s.currentResult === 'Absent' ? 'Absent' : s.currentMarks,
+            after: s.proposedResult === 'Absent' ? 'Absent' : s.proposedMarks
+          })),
+          comments: trimmedReason,
+          actor: auditActor(req.user)
+        })
+
+        const studentLabel = `${marksheet.studentDetails?.name} (${marksheet.studentDetails?.regNumber})`
+        if (hod?.email) {
+          await sendUserNotification(
+            hod.email,
+            '📝 Marks correction requested',
+            `${req.user.name || 'A user'} requested a correction to ${built.subjects.length} subject(s) for ${studentLabel}.`,
+            '/correction-requests'
+          )
+        }
+        // A student's request also goes to the staff who owns the marksheet
+        if (req.user.role === 'student' && marksheet.staffId) {
+          const staff = await User.findById(marksheet.staffId).select('email').lean()
+          if (staff?.email) {
+            await sendUserNotification(
+              staff.email,
+              '📝 Student requested a marks correction',
+              `${studentLabel} requested a correction. It is awaiting HOD approval.`,
+              '/correction-requests'
+            )
+          }
+        }
+
+        return res.status(201).json({ success: true, request })
+      }
+
+      if (action === 'respond') {
+        if (!authorize(req, res, 'marksheet-corrections', 'respond')) return
+        const { requestId, decision, comments } = req.body || {}
+        if (!requestId || !mongoose.isValidObjectId(requestId)) {
+          return res.status(400).json({ success: false, error: 'requestId is required' })
+        }
+        if (!['approved', 'rejected'].includes(decision)) {
+          return res.status(400).json({ success: false, error: 'decision must be approved or rejected' })
+        }
+        const hodComments = String(comments || '').trim()
+        if (decision === 'rejected' && !hodComments) {
+          return res.status(400).json({ success: false, error: 'Please give a reason for rejecting the request' })
+        }
+
+        const request = await CorrectionRequest.findById(requestId).lean()
+        if (!request) {
+          return res.status(404).json({ success: false, error: 'Correction request not found' })
+        }
+        const marksheet = await Marksheet.findById(request.marksheetId).lean()
+        if (!marksheet) {
+          return res.status(404).json({ success: false, error: 'Marksheet not found' })
+        }
+        if (!canAccessMarksheet(req.user, marksheet)) {
+          return forbid(res, 'This marksheet belongs to another department')
+        }
+        // A pending request can still be turned down after the year is archived
+        if (decision === 'approved' && isArchived(marksheet)) return rejectArchived(res, 'marksheet')
+
+        const hod = await User.findById(req.user.id).select('name eSignature').lean()
+        if (!hod) {
+          return res.status(404).json({ success: false, error: 'HOD not found' })
+        }
+
+        const now = new Date()
+        const answer = { status: decision, hodId: hod._id, hodName: hod.name, hodComments: hodComments || undefined, respondedAt: now, updatedAt: now }
+        const staff = marksheet.staffId ? await User.findById(marksheet.staffId).select('email').lean() : null
+        const studentLabel = `${marksheet.studentDetails?.name} (${marksheet.studentDetails?.regNumber})`
+
+        if (decision === 'rejected') {
+          // Claim the request so two HODs answering at once cannot both answer it
+          const claimed = await CorrectionRequest.findOneAndUpdate({ _id: requestId, status: 'pending' }, { $set: answer }, { new: true }).lean()
+          if (!claimed) {
+            return res.status(409).json({ success: false, error: 'This correction request has already been answered' })
+          }
+          await recordMarksheetAudit({
+            marksheetId: marksheet._id,
+            action: 'correction_rejected',
+            fromStatus: marksheet.status,
+            toStatus: marksheet.status,
+            comments: hodComments,
+            actor: auditActor(req.user)
+          })
+          if (staff?.email) {
+            await sendUserNotification(
+              staff.email,
+              'Correction request rejected',
+              `The marks correction for ${studentLabel} was rejected. Comments: ${hodComments}.`,
+              '/correction-requests'
+            )
+          }
+          return res.status(200).json({ success: true, request: claimed })
+        }
+
+        const graded = await gradeMarksheetSubjects(applyCorrection(marksheet.subjects, request.subjects), {
+          department: marksheet.studentDetails?.department,
+          regulation: marksheet.regulation
+        })
+        const currentRevision = marksheet.revision || 0
+        const revision = currentRevision + 1
+        const update = {
+          ...graded,
+          revision,
+          revisedAt: now,
+          hodId: hod._id,
+          hodName: hod.name,
+          hodSignature: hod.eSignature || marksheet.hodSignature,
+          updatedAt: now
+        }
+
+        // A marksheet parents already received is sent again right away: handing it
+        // to lib/dispatchScheduler.js as due now gives it the same retries and
+        // notifications as any HOD-scheduled dispatch. Marksheets not yet sent keep
+        // their status and go out revised whenever they are dispatched.
+        const redispatch = marksheet.status === 'dispatched'
+        if (redispatch) {
+          Object.assign(update, {
+            status: 'rescheduled_by_hod',
+            'dispatchRequest.status': 'rescheduled',
+            'dispatchRequest.hodResponse': 'rescheduled',
+            'dispatchRequest.hodComments': `Revision ${revision}: ${request.reason}`,
+            'dispatchRequest.respondedAt': now,
+            'dispatchRequest.scheduledDispatchDate': now,
+            'dispatchRequest.preDispatchNotificationSent': true,
+            'dispatchRequest.autoDispatched': false,
+            'dispatchRequest.autoDispatchFailed': false,
+            'dispatchRequest.dispatchError': null,
+            'dispatchRequest.dispatchAttempts': 0,
+            'dispatchRequest.nextDispatchAttemptAt': null,
+            'dispatchStatus.whatsappStatus': 'pending',
+            'dispatchStatus.whatsappError': null
+          })
+        }
+
+        // Claiming the request, keeping the version parents already have, revising
+        // the marksheet and its audit event commit together: if any step fails the
+        // request stays pending and unanswered and the marksheet is untouched.
+        let claimed
+        let updated
+        try {
+          await runInTransaction(async (session) => {
+            claimed = await CorrectionRequest.findOneAndUpdate(
+              { _id: requestId, status: 'pending' },
+              { $set: { ...answer, revision } },
+              { new: true, session }
+            ).lean()
+            if (!claimed) {
+              throw Object.assign(new Error('This correction request has already been answered'), { status: 409 })
+            }
+            // The unique (marksheetId, revision) index rejects a concurrent second approval
+            await MarksheetRevision.create([{
+              marksheetId: marksheet._id,
+              revision: currentRevision,
+              snapshot: marksheet,
+              correctionRequestId: claimed._id
+            }], { session })
+            updated = await Marksheet.findOneAndUpdate(unchangedFilter(marksheet), update, { new: true, session }).lean()
+            if (!updated) {
+              throw Object.assign(new Error('This marksheet was changed while the request was being approved. Please reload and try again.'), { status: 409, code: VERSION_CONFLICT })
+            }
+            const auditDocs = await auditEventDocs([{
+              marksheetId: marksheet._id,
+              action: 'revised',
+              fromStatus: marksheet.status,
+              toStatus: updated.status,
+              changes: diffMarksheet(marksheet, updated),
+              comments: [`Revision ${revision} approved${claimed.requestedBy?.name ? ` (requested by ${claimed.requestedBy.name})` : ''}: ${claimed.reason}`, hodComments]
+                .filter(Boolean).join(' | ')
+            }], auditActor(req.user))
+            await MarksheetAuditEvent.insertMany(auditDocs, { session })
+          })
+        } catch (err) {
+          if (err?.code === 11000) {
+            return res.status(409).json({ success: false, error: 'This marksheet was revised by another request. Please reload and try again.' })
+          }
+          if (err?.status) return res.status(err.status).json({ success: false, code: err.code, error: err.message })
+          throw err
+        }
+        try { invalidatePdfCache(marksheet._id.toString()) } catch (e) {}
+
+        if (staff?.email) {
+          await sendUserNotification(
+            staff.email,
+            '✅ Correction approved',
+            `Marks for ${studentLabel} were revised (revision ${revision}).${redispatch ? ' The revised marksheet is being re-sent to parents.' : ''}`,
+            `/marksheets/${marksheet._id}`
+          )
+        }
+
+        return res.status(200).json({ success: true, request: claimed, marksheet: updated, redispatched: redispatch })
+      }
+    }
+
+    return res.status(405).json({ success: false, error: 'Method not allowed' })
+  } catch (err) {
+    console.error('Marksheet corrections API error:', err)
+    return res.status(500).json({ success: false, error: 'Internal server error' })
+  }
+}
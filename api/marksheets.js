@@ -7,27 +7,15 @@ import webpush from 'web-push'
 import { getUserSubscriptions, storeNotification } from '../lib/notificationService.js'
 import { sendBroadcastNotification } from '../lib/broadcastNotification.js'
 import { normalizeSubject } from '../shared/subjectCatalog.js'
+import { authorize, forbid, canAccessClass, canAccessMarksheet, scopeFilter, withScope } from '../lib/permissions.js'
+import { auditActor, diffMarksheet, recordMarksheetAudit, getMarksheetAuditTrail } from '../lib/marksheetAudit.js'
+import { gradeMarksheetSubjects } from '../lib/gradingSchemes.js'
+import { getSubjectCatalog } from '../lib/subjectCatalog.js'
+import { isArchived, rejectArchived } from '../lib/promotion.js'
+import { isStale, rejectStale, setVersionHeader, unchangedFilter } from '../lib/concurrency.js'
+import { MARKS_CONFLICT, MAX_BATCH_ROWS, commitGridSave, gridColumns, gridRow, gridSchemes, planGridSave, readGridFilter } from '../lib/marksGrid.js'
 
-
-const PASS_MARK_THRESHOLD = 40
-
-const getResultFromMarks = (marks) => (Number(marks) >= PASS_MARK_THRESHOLD ? 'Pass' : 'Fail')
-
-const normalizeSubjectsWithResult = (subjects = []) => {
-  return subjects.map((subject) => {
-    const normalizedResult = ['Pass', 'Fail', 'Absent'].includes(subject?.result)
-      ? subject.result
-      : getResultFromMarks(subject?.marks)
-    return {
-      ...subject,
-      result: normalizedResult
-    }
-  })
-}
-
-const getOverallResult = (subjects = []) => (
-  subjects.length > 0 && subjects.every((sub) => sub.result === 'Pass') ? 'Pass' : 'Fail'
-)
+const POST_ACTIONS = ['create', 'verify', 'mark-visited', 'request-dispatch', 'batch-verify-and-dispatch', 'hod-response', 'batch-update']
 
 // Configure multer for file uploads
 const upload = multer({ 
@@ -89,15 +77,62 @@ export default async function handler(req, res) {
   }
 
   try {
+    if (req.method === 'GET' && req.query.action === 'audit') {
+      if (!authorize(req, res, 'marksheets', 'audit')) return
+      const { marksheetId } = req.query
+      if (!marksheetId || !mongoose.isValidObjectId(marksheetId)) {
+        return res.status(400).json({ success: false, error: 'marksheetId is required' })
+      }
+
+      const target = await Marksheet.findById(marksheetId).select('studentId staffId studentDetails').lean()
+      if (!target) {
+        return res.status(404).json({ success: false, error: 'Marksheet not found' })
+      }
+      if (!canAccessMarksheet(req.user, target)) {
+        return forbid(res, 'Not authorized to view this marksheet')
+      }
+
+      const events = await getMarksheetAuditTrail(marksheetId)
+      return res.status(200).json({ success: true, events })
+    }
+
+    if (req.method === 'GET' && req.query.action === 'grid') {
+      if (!authorize(req, res, 'marksheets', 'grid')) return
+      const { filter, examinationName, error } = readGridFilter(req.query)
+      if (error) {
+        return res.status(400).json({ success: false, error })
+      }
+      const scoped = withScope(filter, scopeFilter(req.user, { ownerField: 'staffId' }))
+      const examinations = (await Marksheet.distinct('examinationName', scoped)).filter(Boolean).sort()
+      if (!examinationName) {
+        return res.status(200).json({ success: true, examinations, columns: [], rows: [], schemes: {} })
+      }
+
+      const marksheets = await Marksheet.find({ ...scoped, examinationName })
+        .select('marksheetId studentDetails.regNumber studentDetails.name studentDetails.section studentDetails.department subjects overallResult regulation status archivedAt updatedAt')
+        .sort({ 'studentDetails.regNumber': 1 })
+        .lean()
+      const rows = marksheets.map(gridRow)
+      return res.status(200).json({
+        success: true,
+        examinations,
+        columns: gridColumns(marksheets),
+        rows,
+        schemes: await gridSchemes(filter['studentDetails.department'], rows)
+      })
+    }
+
     if (req.method === 'GET') {
+      const rawId = req.query.marksheetId || req.query.id
+      if (!authorize(req, res, 'marksheets', rawId ? 'view' : 'list')) return
+
       const { staffId, hodId, department, status, year: yearParam, includeAll, studentId, regNumber, phoneNumber, page = 1, limit = 1000 } = req.query
       const compact = (() => {
         const v = req.query.compact
         if (v === undefined || v === null) return false
         return String(v).toLowerCase() === '1' || String(v).toLowerCase() === 'true'
       })()
-      const rawId = req.query.marksheetId || req.query.id
-      
+
       // Return single marksheet by id if requested
       if (rawId) {
         let one = null
@@ -118,6 +153,10 @@ export default async function handler(req, res) {
         if (!one) {
           return res.status(404).json({ success: false, error: 'Marksheet not found' })
         }
+        if (!canAccessMarksheet(req.user, one)) {
+          return forbid(res, 'Not authorized to view this marksheet')
+        }
+        setVersionHeader(res, one)
         return res.status(200).json({ success: true, marksheet: one })
       }
 
@@ -187,6 +226,9 @@ export default async function handler(req, res) {
         filter['studentDetails.year'] = yearParam
       }
 
+      // Never return marksheets outside the caller's department / class
+      filter = withScope(filter, scopeFilter(req.user, { ownerField: 'staffId' }))
+
       // Pagination parameters - Load all records by default (up to 1000)
       const pageNum = Math.max(1, parseInt(page) || 1)
       const pageSize = Math.max(1, Math.min(1000, parseInt(limit) || 1000)) // Cap at 1000 to load all records
@@ -200,7 +242,7 @@ export default async function handler(req, res) {
       if (compact) {
         // List views only need basic fields + subjects count.
         // Removing large signatures and subject marks/results reduces payload size a lot.
-        selectFields += ' -staffSignature -subjects.marks -subjects.result'
+        selectFields += ' -staffSignature -subjects.marks -subjects.result -subjects.grade -subjects.gradePoints -subjects.credits -subjects.components'
       }
       const marksheets = await Marksheet.find(filter)
         .select(selectFields) // Exclude unnecessary fields and large images
@@ -228,42 +270,88 @@ export default async function handler(req, res) {
 
     if (req.method === 'POST') {
       const { action } = req.query
+      if (POST_ACTIONS.includes(action) && !authorize(req, res, 'marksheets', action)) return
       
+      if (action === 'batch-update') {
+        const { updates } = req.body || {}
+        if (!Array.isArray(updates) || updates.length === 0) {
+          return res.status(400).json({ success: false, error: 'updates must be a non-empty list' })
+        }
+        if (updates.length > MAX_BATCH_ROWS) {
+          return res.status(400).json({ success: false, error: `At most ${MAX_BATCH_ROWS} marksheets can be saved at once` })
+        }
+        if (updates.some((update) => !update?.marksheetId || !update.updatedAt || !Array.isArray(update.cells))) {
+          return res.status(400).json({ success: false, error: 'Each update needs marksheetId, updatedAt and cells' })
+        }
+
+        let plan
+        try {
+          plan = await planGridSave(updates, { user: req.user })
+          // Stale rows are reported before invalid ones so the page can merge them first
+          if (plan.conflicts.length > 0) {
+            return res.status(409).json({
+              success: false,
+              code: MARKS_CONFLICT,
+              error: `${plan.conflicts.length} marksheet(s) were changed by someone else since you loaded them`,
+              conflicts: plan.conflicts
+            })
+          }
+          if (plan.rowErrors.length > 0) {
+            return res.status(400).json({ success: false, error: `${plan.rowErrors.length} cell(s) could not be saved`, rowErrors: plan.rowErrors })
+          }
+          await commitGridSave(plan, { actor: auditActor(req.user) })
+        } catch (gridErr) {
+          if (gridErr.status) {
+            return res.status(gridErr.status).json({ success: false, code: gridErr.code, error: gridErr.message })
+          }
+          throw gridErr
+        }
+
+        for (const id of plan.ids) {
+          try { invalidatePdfCache(id.toString()) } catch (e) {}
+        }
+        const saved = await Marksheet.find({ _id: { $in: plan.ids } }).lean()
+        return res.status(200).json({ success: true, updated: saved.length, rows: saved.map(gridRow) })
+      }
+
       if (action === 'create') {
         const { 
           studentDetails, 
           examinationDate, 
-          subjects, 
-          staffId 
+          subjects
         } = req.body
+        const staffId = req.user.id
 
-        if (!studentDetails || !examinationDate || !subjects || !staffId) {
+        if (!studentDetails || !examinationDate || !subjects) {
           return res.status(400).json({ 
             success: false, 
-            error: 'studentDetails, examinationDate, subjects, and staffId are required' 
+            error: 'studentDetails, examinationDate and subjects are required' 
           })
         }
 
+        if (!canAccessClass(req.user, studentDetails)) {
+          return forbid(res, 'You can only create marksheets for your own class')
+        }
+
         // Get staff information
         const staff = await User.findById(staffId)
         if (!staff) {
           return res.status(404).json({ success: false, error: 'Staff not found' })
         }
 
-        const normalizedSubjects = normalizeSubjectsWithResult(subjects)
-        const overallResult = getOverallResult(normalizedSubjects)
+        const graded = await gradeMarksheetSubjects(subjects, { department: studentDetails.department })
 
         const marksheet = new Marksheet({
           studentDetails,
           examinationDate: new Date(examinationDate),
-          subjects: normalizedSubjects,
-          overallResult,
+          ...graded,
           staffId,
           staffName: staff.name,
           staffSignature: staff.eSignature
         })
 
         await marksheet.save()
+        await recordMarksheetAudit({ marksheetId: marksheet._id, action: 'created', toStatus: marksheet.status, actor: auditActor(req.user) })
         return res.status(201).json({ success: true, marksheet })
       }
 
@@ -278,6 +366,10 @@ export default async function handler(req, res) {
         if (!marksheet) {
           return res.status(404).json({ success: false, error: 'Marksheet not found' })
         }
+        if (!canAccessMarksheet(req.user, marksheet)) {
+          return forbid(res, 'Not authorized to verify this marksheet')
+        }
+        if (isArchived(marksheet)) return rejectArchived(res, 'marksheet')
 
         let staffDoc = null
         if (marksheet.staffId) {
@@ -296,10 +388,19 @@ export default async function handler(req, res) {
           return res.status(400).json({ success: false, error: 'Staff signature not available. Please upload your signature in Settings.' })
         }
 
+        const previousStatus = marksheet.status
         marksheet.status = 'verified_by_staff'
         marksheet.staffSignature = resolvedSignature
         marksheet.updatedAt = new Date()
         await marksheet.save()
+        await recordMarksheetAudit({
+          marksheetId: marksheet._id,
+          action: 'status_changed',
+          fromStatus: previousStatus,
+          toStatus: marksheet.status,
+          comments: 'Verified and signed by staff',
+          actor: auditActor(req.user)
+        })
 
         // Invalidate cached PDF so downloads reflect the new staff signature
         try { invalidatePdfCache(marksheet._id.toString()) } catch (e) {}
@@ -350,6 +451,14 @@ export default async function handler(req, res) {
           return res.status(400).json({ success: false, error: 'marksheetId is required' })
         }
 
+        const target = await Marksheet.findById(marksheetId).select('studentId staffId studentDetails').lean()
+        if (!target) {
+          return res.status(404).json({ success: false, error: 'Marksheet not found' })
+        }
+        if (!canAccessMarksheet(req.user, target)) {
+          return forbid(res, 'Not authorized to access this marksheet')
+        }
+
         const marksheet = await Marksheet.findByIdAndUpdate(
           marksheetId,
           {
@@ -368,9 +477,9 @@ export default async function handler(req, res) {
       }
 
       if (action === 'request-dispatch') {
-        const { marksheetId, staffId } = req.body
+        const { marksheetId } = req.body
 
-        const staff = await User.findById(staffId)
+        const staff = await User.findById(req.user.id)
         if (!staff) {
           return res.status(404).json({ success: false, error: 'Staff not found' })
         }
@@ -380,6 +489,10 @@ export default async function handler(req, res) {
         if (!existing) {
           return res.status(404).json({ success: false, error: 'Marksheet not found' })
         }
+        if (!canAccessMarksheet(req.user, existing)) {
+          return forbid(res, 'Not authorized to request dispatch for this marksheet')
+        }
+        if (isArchived(existing)) return rejectArchived(res, 'marksheet')
 
         const dept = existing.studentDetails?.department
         const year = existing.studentDetails?.year
@@ -405,6 +518,8 @@ export default async function handler(req, res) {
           'dispatchRequest.preDispatchNotificationSent': false,
           'dispatchRequest.autoDispatched': false,
           'dispatchRequest.autoDispatchFailed': false,
+          'dispatchRequest.dispatchAttempts': 0,
+          'dispatchRequest.nextDispatchAttemptAt': null,
           updatedAt: new Date()
         }
 
@@ -418,6 +533,14 @@ export default async function handler(req, res) {
           updatePayload,
           { new: true }
         )
+        await recordMarksheetAudit({
+          marksheetId: existing._id,
+          action: 'status_changed',
+          fromStatus: existing.status,
+          toStatus: 'dispatch_requested',
+          comments: hod ? `Dispatch approval requested from ${hod.name}` : 'Dispatch approval requested',
+          actor: auditActor(req.user)
+        })
 
         // Notify the selected HOD about new dispatch request
         try {
@@ -457,17 +580,13 @@ export default async function handler(req, res) {
       }
 
       if (action === 'batch-verify-and-dispatch') {
-        const { marksheetIds, staffId, staffSignature } = req.body
+        const { marksheetIds, staffSignature } = req.body
 
         if (!marksheetIds || !Array.isArray(marksheetIds) || marksheetIds.length === 0) {
           return res.status(400).json({ success: false, error: 'marksheetIds array is required' })
         }
 
-        if (!staffId) {
-          return res.status(400).json({ success: false, error: 'staffId is required' })
-        }
-
-        const staff = await User.findById(staffId).select('name email department eSignature')
+        const staff = await User.findById(req.user.id).select('name email department eSignature')
         if (!staff) {
           return res.status(404).json({ success: false, error: 'Staff not found' })
         }
@@ -486,6 +605,15 @@ export default async function handler(req, res) {
               continue
             }
 
+            if (!canAccessMarksheet(req.user, marksheet)) {
+              results.push({ id: marksheetId, success: false, error: 'Not authorized for this marksheet' })
+              continue
+            }
+            if (isArchived(marksheet)) {
+              results.push({ id: marksheetId, success: false, error: 'Belongs to a closed academic year' })
+              continue
+            }
+
             // Skip if already verified
             if (marksheet.status === 'verified_by_staff' || marksheet.status.includes('verified_by_hod')) {
               results.push({ id: marksheetId, success: false, error: 'Already verified', verified: true })
@@ -503,11 +631,20 @@ export default async function handler(req, res) {
             }
 
             // Verify the marksheet
+            const previousStatus = marksheet.status
             marksheet.status = 'verified_by_staff'
             marksheet.staffSignature = resolvedSignature
             marksheet.staffName = staff.name
             marksheet.updatedAt = new Date()
             await marksheet.save()
+            await recordMarksheetAudit({
+              marksheetId: marksheet._id,
+              action: 'status_changed',
+              fromStatus: previousStatus,
+              toStatus: 'verified_by_staff',
+              comments: 'Verified and signed by staff (batch)',
+              actor: auditActor(req.user)
+            })
 
             // Invalidate cached PDF
             try { invalidatePdfCache(marksheet._id.toString()) } catch (e) {}
@@ -536,6 +673,8 @@ export default async function handler(req, res) {
               'dispatchRequest.preDispatchNotificationSent': false,
               'dispatchRequest.autoDispatched': false,
               'dispatchRequest.autoDispatchFailed': false,
+              'dispatchRequest.dispatchAttempts': 0,
+              'dispatchRequest.nextDispatchAttemptAt': null,
               updatedAt: new Date()
             }
 
@@ -549,6 +688,14 @@ export default async function handler(req, res) {
               updatePayload,
               { new: true }
             )
+            await recordMarksheetAudit({
+              marksheetId: marksheet._id,
+              action: 'status_changed',
+              fromStatus: 'verified_by_staff',
+              toStatus: 'dispatch_requested',
+              comments: hod ? `Dispatch approval requested from ${hod.name} (batch)` : 'Dispatch approval requested (batch)',
+              actor: auditActor(req.user)
+            })
 
             // Notify HOD (async, don't block)
             try {
@@ -611,22 +758,46 @@ export default async function handler(req, res) {
       }
 
       if (action === 'hod-response') {
-        const { marksheetId, hodId, response, comments } = req.body
+        const { marksheetId, response, comments } = req.body
+        const hodId = req.user.id
         
         const hod = await User.findById(hodId)
         if (!hod) {
           return res.status(404).json({ success: false, error: 'HOD not found' })
         }
 
+        const target = await Marksheet.findById(marksheetId).select('studentId staffId studentDetails status archivedAt updatedAt').lean()
+        if (!target) {
+          return res.status(404).json({ success: false, error: 'Marksheet not found' })
+        }
+        if (!canAccessMarksheet(req.user, target)) {
+          return forbid(res, 'This marksheet belongs to another department')
+        }
+        if (isArchived(target)) return rejectArchived(res, 'marksheet')
+        if (isStale(target, req)) return rejectStale(res, await Marksheet.findById(marksheetId).lean(), 'marksheet')
+
         const normalizedResponse = (response || '').toLowerCase()
-        const allowedResponses = ['approved', 'rejected']
+        const allowedResponses = ['approved', 'rejected', 'rescheduled']
         if (!allowedResponses.includes(normalizedResponse)) {
           return res.status(400).json({ success: false, error: 'Invalid response type' })
         }
 
+        // Rescheduled marksheets are sent automatically by lib/dispatchScheduler.js
+        let scheduledDispatchDate = null
+        if (normalizedResponse === 'rescheduled') {
+          scheduledDispatchDate = new Date(req.body.scheduledDispatchDate)
+          if (!req.body.scheduledDispatchDate || Number.isNaN(scheduledDispatchDate.getTime())) {
+            return res.status(400).json({ success: false, error: 'scheduledDispatchDate is required when rescheduling' })
+          }
+          if (scheduledDispatchDate <= new Date()) {
+            return res.status(400).json({ success: false, error: 'scheduledDispatchDate must be in the future' })
+          }
+        }
+
         let statusUpdate = 'dispatch_requested'
         if (normalizedResponse === 'approved') statusUpdate = 'approved_by_hod'
         if (normalizedResponse === 'rejected') statusUpdate = 'rejected_by_hod'
+        if (normalizedResponse === 'rescheduled') statusUpdate = 'rescheduled_by_hod'
 
         const updateData = {
           status: statusUpdate,
@@ -641,19 +812,35 @@ export default async function handler(req, res) {
           'dispatchRequest.autoDispatched': false,
           'dispatchRequest.autoDispatchFailed': false,
           'dispatchRequest.dispatchError': null,
-          'dispatchRequest.scheduledDispatchDate': null,
+          'dispatchRequest.dispatchAttempts': 0,
+          'dispatchRequest.nextDispatchAttemptAt': null,
+          'dispatchRequest.scheduledDispatchDate': scheduledDispatchDate,
           updatedAt: new Date()
         }
 
-        const marksheet = await Marksheet.findByIdAndUpdate(
-          marksheetId,
+        // Only answer the request as it was when it was read
+        const marksheet = await Marksheet.findOneAndUpdate(
+          unchangedFilter(target),
           updateData,
           { new: true }
         )
 
         if (!marksheet) {
+          const current = await Marksheet.findById(marksheetId).lean()
+          if (current) return rejectStale(res, current, 'marksheet')
           return res.status(404).json({ success: false, error: 'Marksheet not found' })
         }
+        await recordMarksheetAudit({
+          marksheetId: marksheet._id,
+          action: 'status_changed',
+          fromStatus: target.status,
+          toStatus: statusUpdate,
+          changes: scheduledDispatchDate
+            ? [{ field: 'dispatchRequest.scheduledDispatchDate', label: 'Scheduled dispatch', before: null, after: scheduledDispatchDate }]
+            : [],
+          comments,
+          actor: auditActor(req.user)
+        })
         // Invalidate cached PDF so downloads reflect the new HOD signature/status
         try { invalidatePdfCache(marksheet._id.toString()) } catch (e) {}
         // Notify staff about HOD response
@@ -674,13 +861,21 @@ export default async function handler(req, res) {
                 `Your dispatch request for ${marksheet.studentDetails?.name} was rejected. Comments: ${comments || 'N/A'}.`,
                 '/dispatch-requests'
               )
+            } else if (normalizedResponse === 'rescheduled') {
+              await sendUserNotification(
+                staff.email,
+                'Dispatch rescheduled by HOD',
+                `Marksheet for ${marksheet.studentDetails?.name} will be sent automatically on ${scheduledDispatchDate.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}.`,
+                '/dispatch-requests'
+              )
             }
           }
         } catch {}
 
         // Send broadcast notification for HOD response
+        const broadcastTitles = { approved: '✅ Dispatch Approved', rejected: '❌ Dispatch Rejected', rescheduled: '🗓️ Dispatch Rescheduled' }
         await sendBroadcastNotification(
-          normalizedResponse === 'approved' ? '✅ Dispatch Approved' : '❌ Dispatch Rejected',
+          broadcastTitles[normalizedResponse],
           `Dispatch request for ${marksheet.studentDetails?.name} has been ${normalizedResponse}`,
           {
             type: 'marksheet_approval',
@@ -699,21 +894,34 @@ export default async function handler(req, res) {
     if (req.method === 'DELETE') {
       const { marksheetId } = req.body
       
+      if (!authorize(req, res, 'marksheets', 'delete')) return
       if (!marksheetId) {
         return res.status(400).json({ success: false, error: 'marksheetId is required' })
       }
 
+      const target = await Marksheet.findById(marksheetId).select('studentId staffId studentDetails status archivedAt').lean()
+      if (!target) {
+        return res.status(404).json({ success: false, error: 'Marksheet not found' })
+      }
+      if (!canAccessMarksheet(req.user, target)) {
+        return forbid(res, 'Not authorized to delete this marksheet')
+      }
+      if (isArchived(target)) return rejectArchived(res, 'marksheet')
+
       const deleted = await Marksheet.findByIdAndDelete(marksheetId)
       if (!deleted) {
         return res.status(404).json({ success: false, error: 'Marksheet not found' })
       }
+      // The trail outlives the marksheet so deletions stay traceable
+      await recordMarksheetAudit({ marksheetId: deleted._id, action: 'deleted', fromStatus: target.status, actor: auditActor(req.user) })
 
       return res.status(200).json({ success: true, deleted: true })
     }
 
     if (req.method === 'PUT') {
+      if (!authorize(req, res, 'marksheets', 'update')) return
       const { marksheetId, studentDetails, subjects } = req.body
-      const { regenerateSignatures, recomputeResults } = req.body || {}
+      const { regenerateSignatures, recomputeResults, comments } = req.body || {}
 
       if (!marksheetId) {
         return res.status(400).json({ success: false, error: 'marksheetId is required' })
@@ -727,6 +935,23 @@ export default async function handler(req, res) {
       if (!existingMarksheet) {
         return res.status(404).json({ success: false, error: 'Marksheet not found' })
       }
+      if (!canAccessMarksheet(req.user, existingMarksheet)) {
+        return forbid(res, 'Not authorized to edit this marksheet')
+      }
+      if (isArchived(existingMarksheet)) return rejectArchived(res, 'marksheet')
+      if (isStale(existingMarksheet, req)) return rejectStale(res, existingMarksheet, 'marksheet')
+      // Moving a student to another department must stay inside the editor's scope as well
+      if (studentDetails?.department && !canAccessClass(req.user, { ...existingMarksheet.studentDetails, ...studentDetails })) {
+        return forbid(res, 'Cannot move this marksheet outside your department')
+      }
+      // Parents already have these marks; changing them goes through HOD approval and a new revision
+      if (existingMarksheet.status === 'dispatched' && Array.isArray(subjects) && subjects.length > 0) {
+        return res.status(409).json({
+          success: false,
+          code: 'CORRECTION_REQUIRED',
+          error: 'This marksheet has already been dispatched. Raise a correction request to change marks.'
+        })
+      }
 
       const update = { updatedAt: new Date() }
 
@@ -745,20 +970,19 @@ export default async function handler(req, res) {
       const dept = studentDetails?.department || existingMarksheet?.studentDetails?.department || ''
       const year = studentDetails?.year || studentDetails?.class || existingMarksheet?.studentDetails?.year || existingMarksheet?.studentDetails?.class || ''
       const semester = req.body.semester || existingMarksheet?.semester || ''
+      const catalog = await getSubjectCatalog()
 
       if (Array.isArray(subjects) && subjects.length > 0) {
         // Run subjects through standard subject normalizer first to fix typos and standardize codes/names
         const catalogNormalized = subjects.map((sub) => {
-          const norm = normalizeSubject(sub.subjectName || sub.name || '', dept, year, semester)
+          const norm = normalizeSubject(sub.subjectName || sub.name || '', dept, year, semester, catalog)
           return {
             ...sub,
             subjectCode: norm.subjectCode,
             subjectName: norm.subjectName
           }
         })
-        const normalizedSubjects = normalizeSubjectsWithResult(catalogNormalized)
-        update.subjects = normalizedSubjects
-        update.overallResult = getOverallResult(normalizedSubjects)
+        Object.assign(update, await gradeMarksheetSubjects(catalogNormalized, { department: dept, regulation: existingMarksheet.regulation }))
         // If edited, move back to draft until verified again
         update.status = 'draft'
       }
@@ -793,32 +1017,47 @@ export default async function handler(req, res) {
           if (existing && Array.isArray(existing.subjects)) {
             // Re-normalize name and code against subjectCatalog first on recomputation/regeneration
             const catalogNormalized = (existing.subjects || []).map((sub) => {
-              const norm = normalizeSubject(sub.subjectName || sub.name || '', dept, year, semester)
+              const norm = normalizeSubject(sub.subjectName || sub.name || '', dept, year, semester, catalog)
               return {
                 ...sub,
                 subjectCode: norm.subjectCode,
                 subjectName: norm.subjectName
               }
             })
-            const normalized = normalizeSubjectsWithResult(catalogNormalized)
-            update.subjects = normalized
-            update.overallResult = getOverallResult(normalized)
+            Object.assign(update, await gradeMarksheetSubjects(catalogNormalized, { department: dept, regulation: existingMarksheet.regulation }))
           }
         } catch (e) {
           console.error('[Marksheets API] recomputeResults failed:', e && e.message)
         }
       }
 
-      const marksheet = await Marksheet.findByIdAndUpdate(
-        marksheetId,
+      // Applied only if nobody saved the marksheet since it was read above
+      const marksheet = await Marksheet.findOneAndUpdate(
+        unchangedFilter(existingMarksheet),
         update,
         { new: true }
       )
 
       if (!marksheet) {
+        const current = await Marksheet.findById(marksheetId).lean()
+        if (current) return rejectStale(res, current, 'marksheet')
         return res.status(404).json({ success: false, error: 'Marksheet not found' })
       }
 
+      const changes = diffMarksheet(existingMarksheet, marksheet.toObject())
+      if (changes.length > 0 || existingMarksheet.status !== marksheet.status) {
+        const marksChanged = changes.some(c => c.field.startsWith('subjects.') || c.field === 'overallResult' || c.field === 'sgpa')
+        await recordMarksheetAudit({
+          marksheetId: marksheet._id,
+          action: marksChanged ? 'marks_edited' : 'details_edited',
+          fromStatus: existingMarksheet.status,
+          toStatus: marksheet.status,
+          changes,
+          comments,
+          actor: auditActor(req.user)
+        })
+      }
+
       // Keep Student master profile in sync when marksheet student details are edited.
       // Student login/dashboard read phone from Student collection, so without this sync
       // regenerated marksheet changes can show stale numbers.
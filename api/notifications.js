@@ -10,9 +10,26 @@ import {
   getUserNotifications,
   markNotificationAsRead
 } from '../lib/notificationService.js'
+import { authorize } from '../lib/permissions.js'
 
 const router = express.Router()
 
+// Non-admin users may only read or change their own inbox and subscriptions
+const ownsEmail = (req, email) => (
+  req.user?.role === 'admin' ||
+  (!!email && String(email).toLowerCase() === String(req.user?.email || '').toLowerCase())
+)
+
+const forbidOtherInbox = (res) => res.status(403).json({ success: false, message: 'Not authorized for this user' })
+
+const findNotificationOwner = async (id) => {
+  const mongoose = await connectToDatabase()
+  const ObjectId = (await import('mongodb')).ObjectId
+  const doc = await mongoose.connection.db.collection('notifications')
+    .findOne({ _id: new ObjectId(id) }, { projection: { userEmail: 1 } })
+  return doc ? (doc.userEmail || null) : undefined
+}
+
 // VAPID Keys from environment variables
 const VAPID_PUBLIC_KEY = process.env.VAPID_PUBLIC_KEY || 'BI3ZQwdtuxxYpepMvZjy5xkuzLbnsjG8J1jfBkGMi0AzbhWDocIASZkq6ocisfwCTnYCHuogo_O-PJSuyfGWwkU'
 const VAPID_PRIVATE_KEY = process.env.VAPID_PRIVATE_KEY || 'hfn59n2ZF4qdGGl1kiuZ_zglStMTBIqN0CxC49jXUMc'
@@ -27,6 +44,7 @@ webpush.setVapidDetails(
 // Subscribe to push notifications (status -> active)
 router.post('/subscribe', async (req, res) => {
   try {
+    if (!authorize(req, res, 'notifications', 'subscribe')) return
     const { subscription, userEmail } = req.body
 
     if (!subscription || !userEmail) {
@@ -35,6 +53,7 @@ router.post('/subscribe', async (req, res) => {
         message: 'Subscription and userEmail are required'
       })
     }
+    if (!ownsEmail(req, userEmail)) return forbidOtherInbox(res)
 
     const result = await storePushSubscription(subscription, userEmail)
 
@@ -94,11 +113,13 @@ router.post('/deactivate', async (req, res) => {
 // Unsubscribe from push notifications (specific endpoint -> expired)
 router.post('/unsubscribe', async (req, res) => {
   try {
+    if (!authorize(req, res, 'notifications', 'subscribe')) return
     const { endpoint, userEmail } = req.body
 
     if (!endpoint || !userEmail) {
       return res.status(400).json({ success: false, message: 'Endpoint and userEmail are required' })
     }
+    if (!ownsEmail(req, userEmail)) return forbidOtherInbox(res)
 
     await removePushSubscription(endpoint, userEmail)
 
@@ -112,6 +133,7 @@ router.post('/unsubscribe', async (req, res) => {
 // Send notification to specific user (only active status)
 router.post('/send', async (req, res) => {
   try {
+    if (!authorize(req, res, 'notifications', 'send')) return
     const { userEmail, title, body, url, icon, badge } = req.body
 
     if (!userEmail || !title || !body) {
@@ -163,6 +185,7 @@ router.post('/send', async (req, res) => {
 // Broadcast notification to all users (only active status)
 router.post('/broadcast', async (req, res) => {
   try {
+    if (!authorize(req, res, 'notifications', 'broadcast')) return
     const { title, body, url, icon, badge } = req.body
 
     if (!title || !body) {
@@ -211,7 +234,9 @@ router.post('/broadcast', async (req, res) => {
 // Get user's notifications
 router.get('/user/:email', async (req, res) => {
   try {
+    if (!authorize(req, res, 'notifications', 'inbox')) return
     const { email } = req.params
+    if (!ownsEmail(req, email)) return forbidOtherInbox(res)
     const limit = parseInt(req.query.limit) || 50
 
     const result = await getUserNotifications(email, limit)
@@ -239,8 +264,15 @@ router.get('/user/:email', async (req, res) => {
 // Mark notification as read
 router.put('/:id/read', async (req, res) => {
   try {
+    if (!authorize(req, res, 'notifications', 'inbox')) return
     const { id } = req.params
 
+    const owner = await findNotificationOwner(id)
+    if (owner === undefined) {
+      return res.status(404).json({ success: false, message: 'Notification not found' })
+    }
+    if (!ownsEmail(req, owner)) return forbidOtherInbox(res)
+
     const result = await markNotificationAsRead(id)
 
     if (result.success) {
@@ -266,6 +298,7 @@ router.put('/:id/read', async (req, res) => {
 // Delete notification permanently
 router.delete('/:id', async (req, res) => {
   try {
+    if (!authorize(req, res, 'notifications', 'inbox')) return
     const { id } = req.params
 
     if (!id) {
@@ -275,6 +308,12 @@ router.delete('/:id', async (req, res) => {
       })
     }
 
+    const owner = await findNotificationOwner(id)
+    if (owner === undefined) {
+      return res.status(404).json({ success: false, message: 'Notification not found' })
+    }
+    if (!ownsEmail(req, owner)) return forbidOtherInbox(res)
+
     const mongoose = await connectToDatabase()
     const db = mongoose.connection.db
     const ObjectId = (await import('mongodb')).ObjectId
@@ -310,12 +349,14 @@ router.get('/vapid-public-key', (req, res) => {
 // Get notifications for a user (query param)
 router.get('/', async (req, res) => {
   try {
+    if (!authorize(req, res, 'notifications', 'inbox')) return
     const { userEmail } = req.query
     const limit = parseInt(req.query.limit) || 50
 
     if (!userEmail) {
       return res.status(400).json({ success: false, message: 'userEmail is required' })
     }
+    if (!ownsEmail(req, userEmail)) return forbidOtherInbox(res)
 
     const result = await getUserNotifications(userEmail, limit)
 
@@ -342,6 +383,7 @@ router.get('/', async (req, res) => {
 // Approve or reject staff account request
 router.post('/approve-staff', async (req, res) => {
   try {
+    if (!authorize(req, res, 'notifications', 'approve-staff')) return
     const { notificationId, staffId, approved } = req.body
 
     if (!notificationId || !staffId || approved === undefined) {
@@ -362,6 +404,7 @@ router.post('/approve-staff', async (req, res) => {
     if (!hodNotification) {
       return res.status(404).json({ success: false, message: 'Notification not found' })
     }
+    if (!ownsEmail(req, hodNotification.userEmail)) return forbidOtherInbox(res)
 
     const staffEmail = hodNotification.data?.staffEmail
 
@@ -3,12 +3,29 @@ import { User, StaffApprovalRequest } from '../models.js'
 import bcrypt from 'bcryptjs'
 import { storeNotification, getUserSubscriptions, markNotificationTypeAsRead } from '../lib/notificationService.js'
 import webpush from 'web-push'
+import { authorize, forbid } from '../lib/permissions.js'
+import { guardSave, isSaveConflict, isStale, rejectStale, versionOf } from '../lib/concurrency.js'
 
 // Configure web-push VAPID
 const VAPID_PUBLIC_KEY = process.env.VAPID_PUBLIC_KEY || 'BI3ZQwdtuxxYpepMvZjy5xkuzLbnsjG8J1jfBkGMi0AzbhWDocIASZkq6ocisfwCTnYCHuogo_O-PJSuyfGWwkU'
 const VAPID_PRIVATE_KEY = process.env.VAPID_PRIVATE_KEY || 'hfn59n2ZF4qdGGl1kiuZ_zglStMTBIqN0CxC49jXUMc'
 webpush.setVapidDetails('mailto:support@msecconnect.edu', VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY)
 
+// What the HOD sees of a request; the stored password hash never leaves the server
+const requestView = (request) => ({
+  id: request._id.toString(),
+  email: request.email,
+  name: request.name,
+  department: request.department,
+  year: request.year,
+  section: request.section,
+  phoneNumber: request.phoneNumber,
+  status: request.status,
+  createdAt: request.createdAt,
+  updatedAt: request.updatedAt,
+  version: versionOf(request)
+})
+
 export default async function handler(req, res) {
   if (req.method === 'OPTIONS') return res.status(200).end()
 
@@ -22,17 +39,16 @@ export default async function handler(req, res) {
   try {
     // GET - Fetch pending staff approval requests for HOD
     if (req.method === 'GET') {
-      const { action, hodId } = req.query
-      console.log('[staff-approval GET] action:', action, 'hodId:', hodId)
+      const { action } = req.query
+      console.log('[staff-approval GET] action:', action, 'user:', req.user?.id)
 
-      if (action === 'pending' && hodId) {
-        console.log('[staff-approval GET] Searching for pending requests with hodId:', hodId)
+      if (action === 'pending') {
+        if (!authorize(req, res, 'staff-approval', 'pending')) return
         
-        // Get all pending requests for this HOD
-        const requests = await StaffApprovalRequest.find({
-          approvalHodId: hodId, // MongoDB will auto-convert string to ObjectId for comparison
-          status: 'pending'
-        }).sort({ createdAt: -1 }).lean()
+        // HODs see the requests routed to them; admin sees every pending request
+        const pendingFilter = { status: 'pending' }
+        if (req.user.role !== 'admin') pendingFilter.approvalHodId = req.user.id
+        const requests = await StaffApprovalRequest.find(pendingFilter).sort({ createdAt: -1 }).lean()
 
         console.log('[staff-approval GET] Found', requests.length, 'pending requests')
         
@@ -42,39 +58,23 @@ export default async function handler(req, res) {
 
         return res.status(200).json({
           success: true,
-          requests: requests.map(r => ({
-            id: r._id.toString(),
-            email: r.email,
-            name: r.name,
-            department: r.department,
-            year: r.year,
-            section: r.section,
-            phoneNumber: r.phoneNumber,
-            status: r.status,
-            createdAt: r.createdAt
-          }))
+          requests: requests.map(requestView)
         })
       }
 
       if (action === 'details' && req.query.requestId) {
+        if (!authorize(req, res, 'staff-approval', 'details')) return
         const request = await StaffApprovalRequest.findById(req.query.requestId).lean()
         if (!request) {
           return res.status(404).json({ success: false, error: 'Request not found' })
         }
+        if (req.user.role !== 'admin' && String(request.approvalHodId) !== req.user.id) {
+          return forbid(res, 'You are not authorized to view this request')
+        }
 
         return res.status(200).json({
           success: true,
-          request: {
-            id: request._id,
-            email: request.email,
-            name: request.name,
-            department: request.department,
-            year: request.year,
-            section: request.section,
-            phoneNumber: request.phoneNumber,
-            status: request.status,
-            createdAt: request.createdAt
-          }
+          request: requestView(request)
         })
       }
 
@@ -83,15 +83,17 @@ export default async function handler(req, res) {
 
     // PATCH - HOD approves or rejects a staff request
     if (req.method === 'PATCH') {
-      const { requestId, action, hodId, rejectionReason } = req.body
+      const { requestId, action, rejectionReason } = req.body
 
-      if (!requestId || !action || !hodId) {
-        return res.status(400).json({ success: false, error: 'requestId, action, and hodId are required' })
+      if (!requestId || !action) {
+        return res.status(400).json({ success: false, error: 'requestId and action are required' })
       }
 
       if (!['approve', 'reject'].includes(action)) {
         return res.status(400).json({ success: false, error: 'action must be either approve or reject' })
       }
+      if (!authorize(req, res, 'staff-approval', action)) return
+      const hodId = req.user.id
 
       // Verify the HOD is authorized to approve this request
       const approvalRequest = await StaffApprovalRequest.findById(requestId)
@@ -99,8 +101,12 @@ export default async function handler(req, res) {
         return res.status(404).json({ success: false, error: 'Request not found' })
       }
 
-      if (approvalRequest.approvalHodId.toString() !== hodId) {
-        return res.status(403).json({ success: false, error: 'You are not authorized to approve this request' })
+      if (req.user.role !== 'admin' && approvalRequest.approvalHodId.toString() !== hodId) {
+        return forbid(res, 'You are not authorized to approve this request')
+      }
+
+      if (isStale(approvalRequest, req)) {
+        return rejectStale(res, requestView(approvalRequest), 'request')
       }
 
       if (approvalRequest.status !== 'pending') {
@@ -112,7 +118,23 @@ export default async function handler(req, res) {
         return res.status(404).json({ success: false, error: 'HOD not found' })
       }
 
+      // Saving the decision fails if another HOD or an admin decided first
+      guardSave(approvalRequest)
+
       if (action === 'approve') {
+        try {
+          // Take the decision before creating the account, so two approvals can't both create it
+          approvalRequest.status = 'approved'
+          approvalRequest.approvedBy = hod._id
+          approvalRequest.approvedAt = new Date()
+          await approvalRequest.save()
+        } catch (claimErr) {
+          if (isSaveConflict(claimErr)) {
+            return rejectStale(res, await StaffApprovalRequest.findById(requestId).lean().then((current) => current && requestView(current)), 'request')
+          }
+          throw claimErr
+        }
+
         try {
           // Create the staff user account
           const staffUser = new User({
@@ -128,12 +150,6 @@ export default async function handler(req, res) {
 
           await staffUser.save()
 
-          // Update the approval request status
-          approvalRequest.status = 'approved'
-          approvalRequest.approvedBy = hod._id
-          approvalRequest.approvedAt = new Date()
-          await approvalRequest.save()
-
           // Send notification to staff - account approved
           try {
             const staffNotification = {
@@ -183,6 +199,11 @@ export default async function handler(req, res) {
             userId: staffUser._id
           })
         } catch (createErr) {
+          // No account was created, so the request goes back to pending
+          await StaffApprovalRequest.updateOne(
+            { _id: approvalRequest._id, status: 'approved' },
+            { $set: { status: 'pending', updatedAt: new Date() }, $unset: { approvedBy: '', approvedAt: '' } }
+          )
           if (createErr.code === 11000) {
             // Duplicate email
             return res.status(409).json({ success: false, error: 'Email already exists' })
@@ -251,6 +272,9 @@ export default async function handler(req, res) {
             message: `Staff account request for ${approvalRequest.name} has been rejected`
           })
         } catch (rejectErr) {
+          if (isSaveConflict(rejectErr)) {
+            return rejectStale(res, await StaffApprovalRequest.findById(requestId).lean().then((current) => current && requestView(current)), 'request')
+          }
           console.error('Error rejecting staff account:', rejectErr)
           return res.status(500).json({ success: false, error: 'Failed to reject account request' })
         }
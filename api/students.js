@@ -0,0 +1,450 @@
+import multer from 'multer'
+import { TRANSACTIONS_UNSUPPORTED, connectToDatabase, runInTransaction } from '../lib/mongo.js'
+import { LeaveRequest, Marksheet, PromotionRun, Student } from '../models.js'
+import { authorize, forbid, canAccessClass, canAccessStudent, scopeFilter, withScope } from '../lib/permissions.js'
+import { auditActor } from '../lib/marksheetAudit.js'
+import { readSheetGrid, readWorkbook } from '../lib/importMapping.js'
+import { regNumberKey } from '../lib/electiveChoices.js'
+import { applyPromotion, previewPromotion, rollbackPromotion } from '../lib/promotion.js'
+import {
+  ROSTER_STATUSES,
+  classLabel,
+  historyEntry,
+  moveOpenLeaves,
+  readRosterRows,
+  syncRosterDetails,
+  validateStudentInput
+} from '../lib/roster.js'
+import { getYearAliases, normalizeDepartment, normalizeYear } from '../shared/subjectCatalog.js'
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = [
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.ms-excel',
+      'text/csv'
+    ]
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true)
+    } else {
+      cb(new Error('Only Excel files (.xlsx, .xls) and CSV files are allowed'))
+    }
+  }
+})
+
+// Never sent to the roster screen
+const PRIVATE_FIELDS = '-studentPasswordHash -tokenVersion'
+const CONTACT_FIELDS = ['name', 'parentPhoneNumber', 'studentPhoneNumber']
+
+const clean = (value) => (value ?? '').toString().trim()
+
+// Promotion runs cover every year of a department, so only its own HOD (or an admin) may start one
+const ownsDepartment = (user, department) => user.role === 'admin' || normalizeDepartment(user.department || '') === department
+
+const summarizeRun = (run) => {
+  const { students, ...summary } = run.toObject ? run.toObject() : run
+  return { ...summary, studentCount: students?.length || 0, canRollBack: summary.status === 'applied' && new Date(summary.rollbackUntil) > new Date() }
+}
+
+// Class the request is about; staff default to their own class
+const readClass = (source = {}, user) => ({
+  department: normalizeDepartment(clean(source.department) || user.department || ''),
+  year: normalizeYear(clean(source.year) || (user.role === 'staff' ? user.year || '' : '')),
+  section: clean(source.section || (user.role === 'staff' ? user.section : '')).toUpperCase()
+})
+
+const classFilter = ({ department, year, section }) => ({
+  ...(department ? { department } : {}),
+  ...(year ? { year: { $in: getYearAliases(year) } } : {}),
+  ...(section ? { section } : {})
+})
+
+// Students named in a bulk action, each checked against the caller's scope
+async function loadSelectedStudents(req, res) {
+  const ids = Array.isArray(req.body?.studentIds) ? req.body.studentIds.filter(Boolean) : []
+  if (ids.length === 0) {
+    res.status(400).json({ success: false, error: 'studentIds are required' })
+    return null
+  }
+  const students = await Student.find({ _id: { $in: ids } }).select(PRIVATE_FIELDS).lean()
+  if (students.length !== ids.length) {
+    res.status(404).json({ success: false, error: 'Some students were not found' })
+    return null
+  }
+  const outside = students.find((student) => !canAccessStudent(req.user, student))
+  if (outside) {
+    forbid(res, `${outside.regNumber} is not in a class you manage`)
+    return null
+  }
+  return students
+}
+
+const changedContactFields = (before, after) => CONTACT_FIELDS.filter((field) => clean(before[field]) !== clean(after[field]))
+
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end()
+
+  try {
+    await connectToDatabase()
+  } catch (dbErr) {
+    console.error('DB connect error in students API:', dbErr.message)
+    return res.status(503).json({ success: false, error: 'Database connection failed' })
+  }
+
+  try {
+    if (req.method === 'GET' && (req.query.action === 'promotion-preview' || req.query.action === 'promotion-runs')) {
+      const { action } = req.query
+      if (!authorize(req, res, 'students', action)) return
+      const department = normalizeDepartment(clean(req.query.department) || req.user.department || '')
+      if (!department) {
+        return res.status(400).json({ success: false, error: 'department is required' })
+      }
+      if (!ownsDepartment(req.user, department)) {
+        return forbid(res, 'You can only promote students of your department')
+      }
+      if (action === 'promotion-preview') {
+        return res.status(200).json({ success: true, preview: await previewPromotion(department) })
+      }
+      const runs = await PromotionRun.find({ department }).sort({ appliedAt: -1 }).limit(20).lean()
+      return res.status(200).json({ success: true, runs: runs.map(summarizeRun) })
+    }
+
+    if (req.method === 'GET' && req.query.studentId) {
+      if (!authorize(req, res, 'students', 'view')) return
+      const student = await Student.findById(req.query.studentId).select(PRIVATE_FIELDS).lean()
+      if (!student) {
+        return res.status(404).json({ success: false, error: 'Student not found' })
+      }
+      if (!canAccessStudent(req.user, student)) {
+        return forbid(res, 'Not authorized to view this student')
+      }
+      const [marksheets, leaves] = await Promise.all([
+        Marksheet.countDocuments({ studentId: student._id }),
+        LeaveRequest.countDocuments({ studentId: student._id })
+      ])
+      return res.status(200).json({ success: true, student, records: { marksheets, leaves } })
+    }
+
+    if (req.method === 'GET') {
+      if (!authorize(req, res, 'students', 'list')) return
+      const classInfo = readClass(req.query, req.user)
+      const status = clean(req.query.status) || 'active'
+      const filter = classFilter(classInfo)
+      if (status !== 'all') {
+        if (!ROSTER_STATUSES.includes(status)) {
+          return res.status(400).json({ success: false, error: `status must be one of ${ROSTER_STATUSES.join(', ')} or all` })
+        }
+        // Students created before the roster had statuses are active
+        filter.status = status === 'active' ? { $in: ['active', null] } : status
+      }
+      const search = clean(req.query.search)
+      if (search) {
+        const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i')
+        filter.$or = [{ name: pattern }, { regNumber: pattern }]
+      }
+
+      const students = await Student.find(withScope(filter, scopeFilter(req.user, { prefix: '', studentField: '_id' })))
+        .select(`${PRIVATE_FIELDS} -history`)
+        .sort({ year: 1, section: 1, regNumber: 1 })
+        .limit(1000)
+        .lean()
+      return res.status(200).json({ success: true, ...classInfo, status, students })
+    }
+
+    if (req.method === 'PUT') {
+      if (!authorize(req, res, 'students', 'update')) return
+      const { studentId } = req.query
+      if (!studentId) {
+        return res.status(400).json({ success: false, error: 'studentId is required' })
+      }
+      const student = await Student.findById(studentId)
+      if (!student) {
+        return res.status(404).json({ success: false, error: 'Student not found' })
+      }
+      if (!canAccessStudent(req.user, student)) {
+        return forbid(res, 'This student is not in a class you manage')
+      }
+      if (req.body?.regNumber && regNumberKey(req.body.regNumber) !== regNumberKey(student.regNumber)) {
+        return res.status(400).json({ success: false, error: 'The register number cannot be changed' })
+      }
+      // Class changes go through promotion or section transfer
+      const { student: input, error } = validateStudentInput({
+        ...student.toObject(),
+        ...Object.fromEntries(CONTACT_FIELDS.filter((field) => req.body?.[field] !== undefined).map((field) => [field, req.body[field]])),
+        regNumber: student.regNumber
+      })
+      if (error) {
+        return res.status(400).json({ success: false, error })
+      }
+
+      const changed = changedContactFields(student, input)
+      if (changed.length === 0) {
+        return res.status(200).json({ success: true, student: student.toObject(), changed })
+      }
+      for (const field of changed) student[field] = input[field]
+      student.history.push(historyEntry('updated', { to: changed.join(', ') }, req.user))
+      try {
+        await runInTransaction(async (session) => {
+          await student.save({ session })
+          await syncRosterDetails(student, { actor: auditActor(req.user), session })
+        })
+      } catch (saveErr) {
+        if (saveErr.code === TRANSACTIONS_UNSUPPORTED) return res.status(saveErr.status).json({ success: false, code: saveErr.code, error: saveErr.message })
+        throw saveErr
+      }
+      const { studentPasswordHash, tokenVersion, ...saved } = student.toObject()
+      return res.status(200).json({ success: true, student: saved, changed })
+    }
+
+    if (req.method === 'POST') {
+      const action = req.query.action || 'create'
+
+      if (action === 'create') {
+        if (!authorize(req, res, 'students', 'create')) return
+        const { student: input, error } = validateStudentInput(req.body, readClass(req.body, req.user))
+        if (error) {
+          return res.status(400).json({ success: false, error })
+        }
+        if (!canAccessClass(req.user, input)) {
+          return forbid(res, 'You can only add students to a class you manage')
+        }
+        if (await Student.exists({ regNumber: input.regNumber })) {
+          return res.status(409).json({ success: false, error: `${input.regNumber} is already on the roster` })
+        }
+        const student = await Student.create({
+          ...input,
+          status: 'active',
+          history: [historyEntry('created', { to: classLabel(input) }, req.user)]
+        })
+        const { studentPasswordHash, tokenVersion, ...saved } = student.toObject()
+        return res.status(201).json({ success: true, student: saved })
+      }
+
+      if (action === 'upload') {
+        if (!authorize(req, res, 'students', 'upload')) return
+        upload.single('rosterFile')(req, res, async (err) => {
+          if (err) {
+            return res.status(400).json({ success: false, error: err.message })
+          }
+          if (!req.file) {
+            return res.status(400).json({ success: false, error: 'No file uploaded' })
+          }
+
+          try {
+            // Year and section columns are optional when the form names the class
+            const classInfo = readClass(req.body, req.user)
+            const { grid } = readSheetGrid(readWorkbook(req.file.buffer))
+            const { rows, error } = readRosterRows(grid)
+            if (error) {
+              return res.status(400).json({ success: false, error })
+            }
+            if (rows.length === 0) {
+              return res.status(400).json({ success: false, error: 'Excel file is empty' })
+            }
+
+            const existing = await Student.find({ regNumber: { $in: rows.map(({ input }) => clean(input.regNumber).toUpperCase()) } }).lean()
+            const existingByReg = new Map(existing.map((student) => [regNumberKey(student.regNumber), student]))
+            const errorMessages = []
+            const seen = new Set()
+            const operations = []
+            const updatedStudents = []
+            let created = 0
+            let unchanged = 0
+
+            for (const { rowNum, input } of rows) {
+              const { student, error: rowError } = validateStudentInput(input, classInfo)
+              if (rowError) {
+                errorMessages.push(`Row ${rowNum}: ${rowError}`)
+                continue
+              }
+              if (seen.has(student.regNumber)) {
+                errorMessages.push(`Row ${rowNum}: ${student.regNumber} appears more than once`)
+                continue
+              }
+              seen.add(student.regNumber)
+              if (!canAccessClass(req.user, student)) {
+                errorMessages.push(`Row ${rowNum}: ${classLabel(student)} ${student.department} is not a class you manage`)
+                continue
+              }
+
+              const current = existingByReg.get(student.regNumber)
+              if (!current) {
+                created += 1
+                operations.push({
+                  insertOne: {
+                    document: { ...student, status: 'active', history: [historyEntry('created', { to: classLabel(student) }, req.user)] }
+                  }
+                })
+                continue
+              }
+              if (normalizeDepartment(current.department) !== student.department ||
+                normalizeYear(current.year) !== student.year ||
+                clean(current.section).toUpperCase() !== student.section) {
+                errorMessages.push(`Row ${rowNum}: ${student.regNumber} is on the roster in ${current.department} ${classLabel(current)}. Use a section transfer or promotion to move them.`)
+                continue
+              }
+              const changed = changedContactFields(current, student)
+              if (changed.length === 0) {
+                unchanged += 1
+                continue
+              }
+              const update = Object.fromEntries(changed.map((field) => [field, student[field]]))
+              operations.push({
+                updateOne: {
+                  filter: { _id: current._id },
+                  update: { $set: { ...update, updatedAt: new Date() }, $push: { history: historyEntry('updated', { to: changed.join(', ') }, req.user) } }
+                }
+              })
+              updatedStudents.push({ ...current, ...update })
+            }
+
+            if (errorMessages.length > 0) {
+              return res.status(400).json({
+                success: false,
+                error: `The file contains ${errorMessages.length} error(s). Nothing was saved.`,
+                errorMessages,
+                errorCount: errorMessages.length
+              })
+            }
+
+            if (updatedStudents.length > 0) {
+              // Changed names and phones reach the students' records in the same transaction
+              const actor = auditActor(req.user)
+              await runInTransaction(async (session) => {
+                await Student.bulkWrite(operations, { session })
+                for (const student of updatedStudents) await syncRosterDetails(student, { actor, session })
+              })
+            } else if (operations.length > 0) {
+              await Student.bulkWrite(operations, { ordered: false })
+            }
+            return res.status(200).json({ success: true, created, updated: updatedStudents.length, unchanged })
+          } catch (uploadErr) {
+            if (uploadErr.code === TRANSACTIONS_UNSUPPORTED) {
+              return res.status(uploadErr.status).json({ success: false, code: uploadErr.code, error: uploadErr.message })
+            }
+            console.error('Roster upload error:', uploadErr)
+            return res.status(400).json({ success: false, error: `Failed to read the file: ${uploadErr.message}` })
+          }
+        })
+        return // multer handles the response
+      }
+
+      if (action === 'promotion-apply') {
+        if (!authorize(req, res, 'students', 'promotion-apply')) return
+        const department = normalizeDepartment(clean(req.body?.department) || req.user.department || '')
+        const academicYear = clean(req.body?.academicYear)
+        if (!department || !academicYear) {
+          return res.status(400).json({ success: false, error: 'department and academicYear are required' })
+        }
+        if (!ownsDepartment(req.user, department)) {
+          return forbid(res, 'You can only promote students of your department')
+        }
+        try {
+          const run = await applyPromotion({
+            department,
+            academicYear,
+            staffAssignments: Array.isArray(req.body?.staffAssignments) ? req.body.staffAssignments : [],
+            user: req.user
+          })
+          return res.status(200).json({ success: true, run: summarizeRun(run) })
+        } catch (runErr) {
+          if (runErr.code === 11000) {
+            return res.status(409).json({ success: false, error: `${department} has already been promoted for ${academicYear}. Roll that run back first.` })
+          }
+          if (runErr.status) return res.status(runErr.status).json({ success: false, code: runErr.code, error: runErr.message })
+          throw runErr
+        }
+      }
+
+      if (action === 'promotion-rollback') {
+        if (!authorize(req, res, 'students', 'promotion-rollback')) return
+        const runId = clean(req.body?.runId)
+        if (!runId) {
+          return res.status(400).json({ success: false, error: 'runId is required' })
+        }
+        const existing = await PromotionRun.findById(runId).select('department').lean()
+        if (!existing) {
+          return res.status(404).json({ success: false, error: 'Promotion run not found' })
+        }
+        if (!ownsDepartment(req.user, existing.department)) {
+          return forbid(res, 'You can only roll back promotions of your department')
+        }
+        try {
+          const run = await rollbackPromotion(runId, req.user)
+          return res.status(200).json({ success: true, run: summarizeRun(run) })
+        } catch (runErr) {
+          if (runErr.status) return res.status(runErr.status).json({ success: false, code: runErr.code, error: runErr.message })
+          throw runErr
+        }
+      }
+
+      if (action === 'transfer') {
+        if (!authorize(req, res, 'students', 'transfer')) return
+        const section = clean(req.body?.section).toUpperCase()
+        if (!section) {
+          return res.status(400).json({ success: false, error: 'section is required' })
+        }
+        const students = await loadSelectedStudents(req, res)
+        if (!students) return
+        const outside = students.find((student) => !canAccessClass(req.user, { ...student, section }))
+        if (outside) {
+          return forbid(res, `You cannot move ${outside.regNumber} to section ${section}`)
+        }
+
+        const moving = students.filter((student) => clean(student.section).toUpperCase() !== section)
+        const now = new Date()
+        if (moving.length > 0) {
+          await Student.bulkWrite(moving.map((student) => ({
+            updateOne: {
+              filter: { _id: student._id },
+              update: {
+                $set: { section, updatedAt: now },
+                $push: { history: historyEntry('transferred', { from: classLabel(student), to: classLabel({ year: student.year, section }), reason: clean(req.body?.reason) }, req.user) }
+              }
+            }
+          })), { ordered: false })
+          await moveOpenLeaves(moving.map((student) => student._id), { section })
+        }
+        return res.status(200).json({ success: true, transferred: moving.length, unchanged: students.length - moving.length })
+      }
+
+      if (action === 'status') {
+        if (!authorize(req, res, 'students', 'status')) return
+        const status = clean(req.body?.status)
+        const reason = clean(req.body?.reason)
+        if (!ROSTER_STATUSES.includes(status)) {
+          return res.status(400).json({ success: false, error: `status must be one of ${ROSTER_STATUSES.join(', ')}` })
+        }
+        if (status === 'discontinued' && !reason) {
+          return res.status(400).json({ success: false, error: 'A reason is required to mark students discontinued' })
+        }
+        const students = await loadSelectedStudents(req, res)
+        if (!students) return
+
+        const changing = students.filter((student) => (student.status || 'active') !== status)
+        const now = new Date()
+        if (changing.length > 0) {
+          await Student.bulkWrite(changing.map((student) => ({
+            updateOne: {
+              filter: { _id: student._id },
+              update: {
+                $set: { status, statusReason: reason || undefined, statusChangedAt: now, updatedAt: now },
+                $push: { history: historyEntry('status', { from: student.status || 'active', to: status, reason }, req.user) }
+              }
+            }
+          })), { ordered: false })
+        }
+        return res.status(200).json({ success: true, updated: changing.length, unchanged: students.length - changing.length })
+      }
+
+      return res.status(400).json({ success: false, error: 'Invalid action' })
+    }
+
+    return res.status(405).json({ success: false, error: 'Method not allowed' })
+  } catch (error) {
+    console.error('Students API error:', error)
+    return res.status(500).json({ success: false, error: 'Internal server error' })
+  }
+}
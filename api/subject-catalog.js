@@ -0,0 +1,175 @@
+import mongoose from 'mongoose'
+import { connectToDatabase } from '../lib/mongo.js'
+import { SubjectCatalog } from '../models.js'
+import { authorize } from '../lib/permissions.js'
+import { clearSubjectCatalogCache, getSubjectCatalog, seedSubjectCatalog, validateCatalogContent } from '../lib/subjectCatalog.js'
+import { getDefaultSubjects } from '../shared/subjectCatalog.js'
+
+const POST_ACTIONS = ['create-draft', 'publish']
+const REGULATION_PATTERN = /^R20\d{2}$/
+
+const summarize = (catalog) => ({
+  _id: catalog._id,
+  regulation: catalog.regulation,
+  version: catalog.version,
+  status: catalog.status,
+  subjectCount: catalog.subjects?.length || 0,
+  electiveCount: catalog.electives?.length || 0,
+  notes: catalog.notes || '',
+  publishedAt: catalog.publishedAt || null,
+  updatedAt: catalog.updatedAt
+})
+
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return res.status(200).end()
+
+  try {
+    await connectToDatabase()
+  } catch (dbErr) {
+    console.error('DB connect error in subject catalog API:', dbErr.message)
+    return res.status(503).json({ success: false, error: 'Database connection failed' })
+  }
+
+  try {
+    const { action } = req.query
+
+    if (req.method === 'GET' && action === 'subjects') {
+      if (!authorize(req, res, 'subject-catalog', 'subjects')) return
+      const { department, year, semester, regulation } = req.query
+      if (!department || !year || !semester) {
+        return res.status(400).json({ success: false, error: 'department, year and semester are required' })
+      }
+      const catalog = await getSubjectCatalog({ regulation })
+      return res.status(200).json({ success: true, subjects: getDefaultSubjects(department, year, semester, catalog) })
+    }
+
+    if (req.method === 'GET' && action === 'version') {
+      if (!authorize(req, res, 'subject-catalog', 'versions')) return
+      const { catalogId } = req.query
+      if (!catalogId || !mongoose.isValidObjectId(catalogId)) {
+        return res.status(400).json({ success: false, error: 'catalogId is required' })
+      }
+      const catalog = await SubjectCatalog.findById(catalogId).lean()
+      if (!catalog) {
+        return res.status(404).json({ success: false, error: 'Catalog version not found' })
+      }
+      return res.status(200).json({ success: true, catalog })
+    }
+
+    if (req.method === 'GET') {
+      if (!authorize(req, res, 'subject-catalog', 'versions')) return
+      await seedSubjectCatalog()
+      const catalogs = await SubjectCatalog.find({}).sort({ regulation: -1, version: -1 }).lean()
+      return res.status(200).json({ success: true, versions: catalogs.map(summarize) })
+    }
+
+    if (req.method === 'POST') {
+      if (!POST_ACTIONS.includes(action)) {
+        return res.status(400).json({ success: false, error: 'Invalid action' })
+      }
+      if (!authorize(req, res, 'subject-catalog', action)) return
+
+      if (action === 'create-draft') {
+        const regulation = (req.body?.regulation || '').toString().trim().toUpperCase()
+        if (!REGULATION_PATTERN.test(regulation)) {
+          return res.status(400).json({ success: false, error: 'regulation must look like R2024' })
+        }
+        const existingDraft = await SubjectCatalog.findOne({ regulation, status: 'draft' }).select('_id').lean()
+        if (existingDraft) {
+          return res.status(409).json({ success: false, error: `A draft for ${regulation} already exists`, catalogId: existingDraft._id })
+        }
+
+        // A new version starts from the published one; a new regulation starts from another regulation or empty
+        const source = await SubjectCatalog.findOne({ regulation, status: 'published' }).lean()
+          || (req.body?.copyFrom && mongoose.isValidObjectId(req.body.copyFrom)
+            ? await SubjectCatalog.findById(req.body.copyFrom).lean()
+            : null)
+        const latest = await SubjectCatalog.findOne({ regulation }).sort({ version: -1 }).select('version').lean()
+
+        try {
+          const draft = await SubjectCatalog.create({
+            regulation,
+            version: (latest?.version || 0) + 1,
+            status: 'draft',
+            subjects: source?.subjects || [],
+            electives: source?.electives || [],
+            notes: (req.body?.notes || '').toString().trim(),
+            createdBy: req.user.id
+          })
+          return res.status(201).json({ success: true, catalog: draft })
+        } catch (err) {
+          if (err?.code === 11000) {
+            return res.status(409).json({ success: false, error: 'Another version was created at the same time. Please reload.' })
+          }
+          throw err
+        }
+      }
+
+      if (action === 'publish') {
+        const { catalogId } = req.body || {}
+        if (!catalogId || !mongoose.isValidObjectId(catalogId)) {
+          return res.status(400).json({ success: false, error: 'catalogId is required' })
+        }
+        const draft = await SubjectCatalog.findById(catalogId)
+        if (!draft) {
+          return res.status(404).json({ success: false, error: 'Catalog version not found' })
+        }
+        if (draft.status !== 'draft') {
+          return res.status(409).json({ success: false, error: 'Only drafts can be published' })
+        }
+        const { error } = validateCatalogContent(draft.toObject())
+        if (error) return res.status(400).json({ success: false, error })
+
+        await SubjectCatalog.updateMany({ regulation: draft.regulation, status: 'published' }, { $set: { status: 'archived', updatedAt: new Date() } })
+        draft.status = 'published'
+        draft.publishedAt = new Date()
+        draft.publishedBy = req.user.id
+        await draft.save()
+        clearSubjectCatalogCache()
+        return res.status(200).json({ success: true, catalog: summarize(draft) })
+      }
+    }
+
+    if (req.method === 'PUT') {
+      if (!authorize(req, res, 'subject-catalog', 'update-draft')) return
+      const { catalogId, subjects, electives, notes } = req.body || {}
+      if (!catalogId || !mongoose.isValidObjectId(catalogId)) {
+        return res.status(400).json({ success: false, error: 'catalogId is required' })
+      }
+      const draft = await SubjectCatalog.findById(catalogId)
+      if (!draft) {
+        return res.status(404).json({ success: false, error: 'Catalog version not found' })
+      }
+      if (draft.status !== 'draft') {
+        return res.status(409).json({ success: false, error: 'Published versions cannot be edited. Create a new draft instead.' })
+      }
+
+      const content = validateCatalogContent({ subjects, electives })
+      if (content.error) return res.status(400).json({ success: false, error: content.error })
+
+      draft.subjects = content.subjects
+      draft.electives = content.electives
+      if (notes !== undefined) draft.notes = notes.toString().trim()
+      await draft.save()
+      return res.status(200).json({ success: true, catalog: draft })
+    }
+
+    if (req.method === 'DELETE') {
+      if (!authorize(req, res, 'subject-catalog', 'discard-draft')) return
+      const { catalogId } = req.body || {}
+      if (!catalogId || !mongoose.isValidObjectId(catalogId)) {
+        return res.status(400).json({ success: false, error: 'catalogId is required' })
+      }
+      const result = await SubjectCatalog.deleteOne({ _id: catalogId, status: 'draft' })
+      if (result.deletedCount === 0) {
+        return res.status(404).json({ success: false, error: 'Draft not found' })
+      }
+      return res.status(200).json({ success: true })
+    }
+
+    return res.status(405).json({ success: false, error: 'Method not allowed' })
+  } catch (error) {
+    console.error('Subject catalog API error:', error)
+    return res.status(500).json({ success: false, error: 'Internal server error' })
+  }
+}
@@ -3,6 +3,8 @@ import { User, Student, StaffApprovalRequest, AccessPolicy } from '../models.js'
 import bcrypt from 'bcryptjs'
 import { storeNotification, getUserSubscriptions } from '../lib/notificationService.js'
 import webpush from 'web-push'
+import { authorize, forbid, isAllowed, canAccessStudent } from '../lib/permissions.js'
+import { issueSessionTokens } from '../lib/authTokens.js'
 
 const DEFAULT_START_MINUTES = 8 * 60 + 30
 const DEFAULT_END_MINUTES = 17 * 60
@@ -48,6 +50,8 @@ const ensurePolicy = async () => {
   return policy
 }
 
+const POLICY_PATCH_ACTIONS = ['access-policy', 'admin-reset-password', 'update-signature', 'update-profile', 'reset-password']
+
 const toResponsePolicy = (policy) => {
   const start = clampMinute(policy?.staffHodWindowStart, DEFAULT_START_MINUTES)
   const end = clampMinute(policy?.staffHodWindowEnd, DEFAULT_END_MINUTES)
@@ -81,7 +85,7 @@ export default async function handler(req, res) {
 
   try {
     if (req.method === 'GET') {
-      const { action, userId, studentPhoneNumber, regNumber } = req.query
+      const { action, studentPhoneNumber, regNumber } = req.query
 
       if (action === 'access-policy') {
         const policy = await ensurePolicy()
@@ -91,6 +95,7 @@ export default async function handler(req, res) {
       // Get student by reg number or phone number. Prefer regNumber when provided
       // to avoid ambiguous matches when multiple students share a parent phone.
       if (regNumber || studentPhoneNumber) {
+        if (!authorize(req, res, 'users', 'student-lookup')) return
         let student = null
 
         // If regNumber is provided, prefer exact regNumber match
@@ -109,6 +114,9 @@ export default async function handler(req, res) {
         if (!student) {
           return res.status(404).json({ success: false, error: 'Student not found' })
         }
+        if (!canAccessStudent(req.user, student)) {
+          return forbid(res, 'Not authorized to view this student')
+        }
 
         return res.status(200).json({
           success: true,
@@ -127,9 +135,9 @@ export default async function handler(req, res) {
       }
 
       if (action === 'profile') {
-        if (!userId) {
-          return res.status(400).json({ success: false, error: 'userId is required' })
-        }
+        if (!authorize(req, res, 'users', 'profile')) return
+        // Profiles carry the e-signature, so only admin may read someone else's
+        const userId = req.user.role === 'admin' && req.query.userId ? req.query.userId : req.user.id
 
         // Select only needed fields for faster query
         const user = await User.findById(userId).select('_id name email role department year section phoneNumber eSignature').lean()
@@ -153,24 +161,12 @@ export default async function handler(req, res) {
         })
       }
 
-      // list users - ADMIN ONLY
+      // list users - admin sees everyone, HODs their own department
       if (action === 'list') {
-        if (!userId) {
-          return res.status(400).json({ success: false, error: 'userId is required' })
-        }
+        if (!authorize(req, res, 'users', 'list')) return
 
-        // Verify requesting user is an admin
-        const requestingUser = await User.findById(userId).select('_id role').lean()
-        if (!requestingUser) {
-          return res.status(401).json({ success: false, error: 'User not found' })
-        }
-
-        if (String(requestingUser.role || '').toLowerCase() !== 'admin') {
-          return res.status(403).json({ success: false, error: 'Only admin can list users' })
-        }
-
-        // Admin is authorized, fetch all users
-        const users = await User.find().select('_id name email role department year section phoneNumber').sort({ createdAt: -1 }).lean()
+        const listFilter = req.user.role === 'admin' ? {} : { department: req.user.department }
+        const users = await User.find(listFilter).select('_id name email role department year section phoneNumber').sort({ createdAt: -1 }).lean()
         // Remove sensitive fields before sending to client
         const safe = users.map(u => ({
           id: u._id,
@@ -192,7 +188,7 @@ export default async function handler(req, res) {
 
     if (req.method === 'POST') {
       // create academic user
-      const { name, email, password, role, department, year, section, phoneNumber, creatorUserId } = req.body
+      const { name, email, password, role, department, year, section, phoneNumber } = req.body
       if (!name || !email || !password || !role || !department) {
         return res.status(400).json({ success: false, error: 'name, email, password, role and department are required' })
       }
@@ -224,13 +220,11 @@ export default async function handler(req, res) {
         return res.status(409).json({ success: false, error: 'User already exists' })
       }
 
-      let creatorUser = null
-      if (creatorUserId) {
-        try {
-          creatorUser = await User.findById(creatorUserId).select('_id role name').lean()
-        } catch (creatorLookupError) {
-          creatorUser = null
-        }
+      // Sign-up is public, but only staff may self-register (through HOD approval).
+      // HOD accounts and approval-free staff accounts are created by an admin.
+      const creatorUser = isAllowed(req.user, 'users', 'create') ? { _id: req.user.id, role: req.user.role, name: req.user.name } : null
+      if (role === 'hod' && !creatorUser) {
+        return forbid(res, 'HOD accounts can only be created by an admin')
       }
 
       const isAdminCreatingStaff = role === 'staff' && creatorUser?.role === 'admin'
@@ -426,21 +420,9 @@ export default async function handler(req, res) {
     }
 
     if (req.method === 'DELETE') {
-      // Expect JSON body with { userId }
-      const { userId } = req.body || {}
-      if (!userId) return res.status(400).json({ success: false, error: 'userId required' })
+      if (!authorize(req, res, 'users', 'delete')) return
 
       try {
-        // Verify requesting user is an admin
-        const requestingUser = await User.findById(userId).select('_id role').lean()
-        if (!requestingUser) {
-          return res.status(401).json({ success: false, error: 'User not found' })
-        }
-
-        if (String(requestingUser.role || '').toLowerCase() !== 'admin') {
-          return res.status(403).json({ success: false, error: 'Only admin can delete users' })
-        }
-
         // Expect the user to delete in the query params
         const userIdToDelete = req.query?.id
         if (!userIdToDelete) return res.status(400).json({ success: false, error: 'id (user to delete) required' })
@@ -457,20 +439,14 @@ export default async function handler(req, res) {
     // PATCH endpoints for user updates
     if (req.method === 'PATCH') {
       const action = req.query?.action || req.body?.action
-      const userId = req.query?.userId || req.body?.userId
       if (!action) return res.status(400).json({ success: false, error: 'action required' })
+      if (POLICY_PATCH_ACTIONS.includes(action) && !authorize(req, res, 'users', action)) return
+      // Self-service actions always apply to the signed-in user
+      const userId = req.user?.id
 
       if (action === 'access-policy') {
-        const { adminUserId, staffHodWindowStartTime, staffHodWindowEndTime, enforceForStaffHod } = req.body || {}
-
-        if (!adminUserId) {
-          return res.status(400).json({ success: false, error: 'adminUserId is required' })
-        }
-
-        const adminUser = await User.findById(adminUserId).select('_id role').lean()
-        if (!adminUser || String(adminUser.role || '').toLowerCase() !== 'admin') {
-          return res.status(403).json({ success: false, error: 'Only admin can update access policy' })
-        }
+        const { staffHodWindowStartTime, staffHodWindowEndTime, enforceForStaffHod } = req.body || {}
+        const adminUser = { _id: req.user.id }
 
         const startMinutes = timeStringToMinutes(staffHodWindowStartTime, NaN)
         const endMinutes = timeStringToMinutes(staffHodWindowEndTime, NaN)
@@ -498,21 +474,16 @@ export default async function handler(req, res) {
       }
 
       if (action === 'admin-reset-password') {
-        const { adminUserId, targetUserId, newPassword } = req.body || {}
+        const { targetUserId, newPassword } = req.body || {}
 
-        if (!adminUserId || !targetUserId || !newPassword) {
-          return res.status(400).json({ success: false, error: 'adminUserId, targetUserId and newPassword are required' })
+        if (!targetUserId || !newPassword) {
+          return res.status(400).json({ success: false, error: 'targetUserId and newPassword are required' })
         }
 
         if (newPassword.length < 6) {
           return res.status(400).json({ success: false, error: 'New password must be at least 6 characters' })
         }
 
-        const adminUser = await User.findById(adminUserId).select('_id role').lean()
-        if (!adminUser || String(adminUser.role || '').toLowerCase() !== 'admin') {
-          return res.status(403).json({ success: false, error: 'Only admin can change user passwords' })
-        }
-
         const targetUser = await User.findById(targetUserId).select('_id email role').lean()
         if (!targetUser) {
           return res.status(404).json({ success: false, error: 'User not found' })
@@ -526,7 +497,7 @@ export default async function handler(req, res) {
           const hashedPassword = await bcrypt.hash(newPassword, 10)
           const updatedUser = await User.findByIdAndUpdate(
             targetUserId,
-            { password: hashedPassword },
+            { password: hashedPassword, $inc: { tokenVersion: 1 } },
             { new: true }
           ).select('_id email role').lean()
 
@@ -586,11 +557,17 @@ export default async function handler(req, res) {
             return res.status(401).json({ success: false, error: 'Current password is incorrect' })
           }
 
-          // Hash new password and update
+          // Hash new password and update. Bumping tokenVersion signs out every
+          // other session; this one gets fresh tokens so it stays signed in.
           const hashedPassword = await bcrypt.hash(newPassword, 10)
-          const updatedUser = await User.findByIdAndUpdate(userId, { password: hashedPassword }, { new: true }).lean()
+          const updatedUser = await User.findByIdAndUpdate(userId, { password: hashedPassword, $inc: { tokenVersion: 1 } }, { new: true }).lean()
 
-          return res.status(200).json({ success: true, message: 'Password updated successfully', user: { id: updatedUser._id, email: updatedUser.email } })
+          return res.status(200).json({
+            success: true,
+            message: 'Password updated successfully',
+            ...issueSessionTokens(updatedUser, 'user'),
+            user: { id: updatedUser._id, email: updatedUser.email }
+          })
         } catch (error) {
           console.error('Error resetting password:', error)
           return res.status(500).json({ success: false, error: 'Failed to reset password' })
@@ -1,34 +1,23 @@
-const PASS_MARK_THRESHOLD = 50
-const ABSENT_TOKENS = ['AB', 'ABS', 'ABSENT']
+import {
+  ABSENT_TOKENS,
+  DEFAULT_GRADING_SCHEME,
+  gradeSubject,
+  isAbsentValue,
+  normalizeResultToken
+} from '../../shared/grading.js'
 
-const normalizeString = (value) => {
-  if (typeof value === 'number') return value.toString().trim().toUpperCase()
-  if (typeof value === 'string') return value.trim().toUpperCase()
-  return ''
-}
+// Read-side normalization for stored marksheets. Results written by the API
+// were graded against the department's scheme (lib/gradingSchemes.js), so a
+// stored result always wins; the default scheme only fills in gaps.
+const PASS_MARK_THRESHOLD = DEFAULT_GRADING_SCHEME.passMarks
 
-const normalizeResultToken = (value) => {
-  const token = normalizeString(value)
-  if (!token) return null
-  if (ABSENT_TOKENS.includes(token)) return 'Absent'
-  if (token === 'PASS' || token === 'P') return 'Pass'
-  if (token === 'FAIL' || token === 'F') return 'Fail'
-  return null
-}
-
-export const isAbsentValue = (value) => {
-  if (value === undefined || value === null) return false
-  return ABSENT_TOKENS.includes(normalizeString(value))
-}
+export { isAbsentValue }
 
 const deriveResultFromGrade = (grade) => {
   const normalized = normalizeResultToken(grade)
   if (normalized) return normalized
-  const gradeToken = normalizeString(grade)
-  if (!gradeToken) return null
-  if (ABSENT_TOKENS.includes(gradeToken)) return 'Absent'
-  if (gradeToken.includes('F')) return 'Fail'
-  return 'Pass'
+  if (grade === undefined || grade === null || grade === '') return null
+  return gradeSubject({ grade }).result
 }
 
 export const deriveResultFromMarks = (marks) => {
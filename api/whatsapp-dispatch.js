@@ -1,11 +1,25 @@
 import { connectToDatabase } from '../lib/mongo.js'
-import { Marksheet, User, WhatsappInstance } from '../models.js'
+import mongoose from 'mongoose'
+import { Marksheet, User, WhatsappInstance, DispatchJob } from '../models.js'
 import { getUserSubscriptions, storeNotification } from '../lib/notificationService.js'
 import webpush from 'web-push'
 import { applyResultNormalization } from './utils/resultUtils.js'
 import { sendBroadcastNotification } from '../lib/broadcastNotification.js'
 import evolutionApi, { getEvolutionApiForStaff } from '../lib/evolutionApiService.js'
 import QRCode from 'qrcode'
+import { DISPATCHABLE_STATUSES, sendMarksheetWhatsApp, markMarksheetDispatched } from '../lib/marksheetDispatch.js'
+import { authorize, forbid, canAccessMarksheet, scopeFilter, withScope } from '../lib/permissions.js'
+import { auditActor } from '../lib/marksheetAudit.js'
+import { DISPATCH_LINK_TTL_SECONDS, withPdfToken } from '../lib/pdfLinks.js'
+import {
+  OPEN_JOB_STATUSES,
+  MAX_JOB_ITEMS,
+  serializeJob,
+  createDispatchJob,
+  pauseDispatchJob,
+  resumeDispatchJob,
+  cancelDispatchJob
+} from '../lib/dispatchJobWorker.js'
 
 // Temporary in-memory store for the last Evolution error (for debugging)
 let lastEvolutionError = null
@@ -49,6 +63,26 @@ const getBaseUrl = (req) => {
   return host ? `${proto}://${host}` : ''
 }
 
+// Policy action required for each instance-management endpoint
+const INSTANCE_ACTIONS = {
+  qrcode: 'manage-instance',
+  status: 'status',
+  'connection-status': 'status',
+  'last-evolution-error': 'diagnostics',
+  diagnostics: 'diagnostics',
+  'create-instance': 'manage-instance',
+  logout: 'manage-instance',
+  'delete-instance': 'manage-instance',
+  restart: 'manage-instance'
+}
+
+// Staff and HODs can only address their own WhatsApp instance; admin may pick any
+// staff instance or (with no staffId) the global one.
+const resolveInstanceStaffId = (req) => {
+  if (req.user?.role === 'admin') return req.query?.staffId || req.body?.staffId || null
+  return req.user?.id || null
+}
+
 // Check Evolution API configuration on startup (global/default)
 if (evolutionApi.isConfigured()) {
   console.log('✅ Evolution API for WhatsApp is configured and ready (global)')
@@ -56,6 +90,11 @@ if (evolutionApi.isConfigured()) {
   console.warn('⚠️  Evolution API not configured globally. Set EVOLUTION_API_URL and EVOLUTION_API_KEY in .env file')
 }
 
+// Jobs are managed by whoever queued them; admins can manage any job
+function canAccessJob(user, job) {
+  return user?.role === 'admin' || String(job.staffId) === String(user?.id)
+}
+
 export default async function handler(req, res) {
   if (req.method === 'OPTIONS') return res.status(200).end()
 
@@ -73,12 +112,18 @@ export default async function handler(req, res) {
     })
   }
 
+  const instanceAction = INSTANCE_ACTIONS[req.query.action]
+  if (instanceAction) {
+    if (!authorize(req, res, 'whatsapp-dispatch', instanceAction)) return
+    if (instanceAction === 'manage-instance' && !resolveInstanceStaffId(req) && !authorize(req, res, 'whatsapp-dispatch', 'manage-global-instance')) return
+  }
+
   // Evolution API QR Code endpoint
   if (req.method === 'GET' && req.query.action === 'qrcode') {
     try {
       console.log('📱 QR Code request received');
       // Allow staff-scoped instance if staffId is provided
-      const staffIdForInstance = req.query?.staffId || null
+      const staffIdForInstance = resolveInstanceStaffId(req)
 
       // If staff-scoped, check DB for existing instance to avoid creating duplicates
       let evo
@@ -271,7 +316,7 @@ export default async function handler(req, res) {
   // Evolution API instance status endpoint
   if (req.method === 'GET' && req.query.action === 'status') {
     try {
-      const staffIdForInstance = req.query?.staffId || null
+      const staffIdForInstance = resolveInstanceStaffId(req)
       const evo = staffIdForInstance ? getEvolutionApiForStaff(staffIdForInstance) : evolutionApi
 
       const status = await evo.getInstanceStatus()
@@ -302,7 +347,7 @@ export default async function handler(req, res) {
   // Connection status endpoint for UI
   if (req.method === 'GET' && req.query.action === 'connection-status') {
     try {
-      const staffIdForInstance = req.query.staffId || null
+      const staffIdForInstance = resolveInstanceStaffId(req)
       const evo = staffIdForInstance ? getEvolutionApiForStaff(staffIdForInstance) : evolutionApi
 
       const status = await evo.getInstanceStatus()
@@ -355,13 +400,13 @@ export default async function handler(req, res) {
 
   // Return the last Evolution error (debugging only)
   if (req.method === 'GET' && req.query.action === 'last-evolution-error') {
-    res.status(200).json({ success: true, lastEvolutionError })
+    return res.status(200).json({ success: true, lastEvolutionError })
   }
 
   // Connection diagnostics endpoint (for troubleshooting)
   if (req.method === 'GET' && req.query.action === 'diagnostics') {
     try {
-      const staffIdForInstance = req.query?.staffId || null
+      const staffIdForInstance = resolveInstanceStaffId(req)
       const evo = staffIdForInstance ? getEvolutionApiForStaff(staffIdForInstance) : evolutionApi
 
       const diagnostics = await evo.getConnectionDiagnostics()
@@ -382,7 +427,7 @@ export default async function handler(req, res) {
   // Create/Initialize Evolution API instance
   if (req.method === 'POST' && req.query.action === 'create-instance') {
     try {
-      const staffIdForInstance = req.query?.staffId || req.body?.staffId || null
+      const staffIdForInstance = resolveInstanceStaffId(req)
       const evo = staffIdForInstance ? getEvolutionApiForStaff(staffIdForInstance) : evolutionApi
       // If staff-scoped, ensure we only create one instance per staff
       if (staffIdForInstance) {
@@ -441,7 +486,7 @@ export default async function handler(req, res) {
   // Logout/disconnect current WhatsApp number
   if (req.method === 'POST' && req.query.action === 'logout') {
     try {
-      const staffIdForInstance = req.query?.staffId || req.body?.staffId || null
+      const staffIdForInstance = resolveInstanceStaffId(req)
       const evo = staffIdForInstance ? getEvolutionApiForStaff(staffIdForInstance) : evolutionApi
 
       const result = await evo.logout()
@@ -457,7 +502,7 @@ export default async function handler(req, res) {
   // Delete instance (complete fresh start)
   if (req.method === 'DELETE' && req.query.action === 'delete-instance') {
     try {
-      const staffIdForInstance = req.query?.staffId || req.body?.staffId || null
+      const staffIdForInstance = resolveInstanceStaffId(req)
       const confirmGlobal = req.query?.confirmGlobal === '1' || req.body?.confirmGlobal === '1'
 
       // Require explicit staffId to delete a staff-scoped instance. To delete
@@ -503,7 +548,7 @@ export default async function handler(req, res) {
   // Restart instance
   if (req.method === 'POST' && req.query.action === 'restart') {
     try {
-      const staffIdForInstance = req.query?.staffId || req.body?.staffId || null
+      const staffIdForInstance = resolveInstanceStaffId(req)
       const evo = staffIdForInstance ? getEvolutionApiForStaff(staffIdForInstance) : evolutionApi
 
       const result = await evo.restartInstance()
@@ -527,6 +572,8 @@ export default async function handler(req, res) {
     if (req.method === 'POST') {
       const { action } = req.query
 
+      if (['send-marksheet', 'send-bulk'].includes(action) && !authorize(req, res, 'whatsapp-dispatch', action)) return
+
       if (action === 'send-marksheet') {
         const { marksheetId, marksheetPdfUrl, marksheetImageUrl } = req.body
 
@@ -541,11 +588,14 @@ export default async function handler(req, res) {
         if (!marksheet) {
           return res.status(404).json({ success: false, error: 'Marksheet not found' })
         }
+        if (!canAccessMarksheet(req.user, marksheet)) {
+          return forbid(res, 'Not authorized to dispatch this marksheet')
+        }
 
         const normalizedMarksheet = applyResultNormalization(marksheet.toObject ? marksheet.toObject() : { ...marksheet })
 
         // Choose staff-scoped Evolution API instance (marksheet.staffId preferred)
-        const staffIdForInstance = marksheet.staffId || req.query.staffId || req.body.staffId || null
+        const staffIdForInstance = marksheet.staffId || null
         const evo = staffIdForInstance ? getEvolutionApiForStaff(String(staffIdForInstance)) : evolutionApi
 
         // Check if Evolution API is configured for this instance
@@ -562,8 +612,7 @@ export default async function handler(req, res) {
         }
 
         // Allow dispatch if approved, rescheduled by HOD, or already dispatched (for re-sending)
-        const allowedStatuses = ['approved_by_hod', 'rescheduled_by_hod', 'dispatched']
-        if (!allowedStatuses.includes(marksheet.status)) {
+        if (!DISPATCHABLE_STATUSES.includes(marksheet.status)) {
           return res.status(400).json({ 
             success: false, 
             error: 'Marksheet must be approved by HOD before dispatch' 
@@ -626,8 +675,10 @@ export default async function handler(req, res) {
           const examMonth = validExamDate.toLocaleDateString('en-US', { month: 'long' })
           const examYear = validExamDate.getFullYear()
 
-          const pdfUrl = absoluteUrl(marksheetPdfUrl)
-          const imageUrl = absoluteUrl(marksheetImageUrl)
+          // Signed so the gateway and the parent can open them without a session,
+          // for as long as parents keep the message
+          const pdfUrl = absoluteUrl(withPdfToken(marksheetPdfUrl, { marksheetId }, DISPATCH_LINK_TTL_SECONDS))
+          const imageUrl = absoluteUrl(withPdfToken(marksheetImageUrl, { marksheetId }, DISPATCH_LINK_TTL_SECONDS))
 
           // Debug PDF URL
           console.log('📄 PDF URL (resolved):', pdfUrl || marksheetPdfUrl)
@@ -661,13 +712,7 @@ export default async function handler(req, res) {
           console.log('✅ Message sent via Evolution API:', sendResult.messageId)
 
           // Update marksheet dispatch status
-          await Marksheet.findByIdAndUpdate(marksheetId, {
-            status: 'dispatched',
-            'dispatchStatus.dispatched': true,
-            'dispatchStatus.dispatchedAt': new Date(),
-            'dispatchStatus.whatsappStatus': 'sent',
-            updatedAt: new Date()
-          })
+          await markMarksheetDispatched(marksheetId, {}, { actor: auditActor(req.user) })
 
           // Notify staff about successful dispatch
           try {
@@ -834,90 +879,23 @@ export default async function handler(req, res) {
               continue
             }
 
-            const normalizedMarksheet = applyResultNormalization(marksheet.toObject ? marksheet.toObject() : { ...marksheet })
-
-            // Allow dispatch if approved, rescheduled by HOD, or already dispatched (for re-sending)
-            const allowedStatuses = ['approved_by_hod', 'rescheduled_by_hod', 'dispatched']
-            if (!allowedStatuses.includes(marksheet.status)) {
+            if (!canAccessMarksheet(req.user, marksheet)) {
               results.failed++
-              results.errors.push(`Marksheet ${marksheetId} not approved by HOD`)
+              results.errors.push(`Not authorized to dispatch marksheet ${marksheetId}`)
               continue
             }
 
-            // Generate PDF URL for this marksheet
-            const marksheetPdfUrl = `${baseUrl}/api/generate-pdf?marksheetId=${marksheetId}`
-            const marksheetImageUrl = `${baseUrl}/api/generate-pdf?marksheetId=${marksheetId}&format=jpeg`
-            const localHostPattern = /(^https?:\/\/localhost[:\/])|(^https?:\/\/127\.)|(^localhost[:\/])|(^127\.)/i
-            let pdfAccessible = true
-            if (!baseUrl || localHostPattern.test(baseUrl) || localHostPattern.test(marksheetPdfUrl)) {
-              console.warn(`⚠️ Bulk send: PDF URL for ${marksheetId} is not publicly accessible. Falling back to text-only.`)
-              pdfAccessible = false
-            }
-
-            // Format phone number using normalized function
-            let parentNumber = normalizedMarksheet.studentDetails.parentPhoneNumber
-            const phoneNumber = evolutionApi.normalizePhoneNumber(parentNumber)
-            
-            if (!phoneNumber) {
+            if (!DISPATCHABLE_STATUSES.includes(marksheet.status)) {
               results.failed++
-              results.errors.push(`Invalid parent phone number for marksheet ${marksheetId}. Use +91XXXXXXXXXX or 10-digit mobile number`)
+              results.errors.push(`Marksheet ${marksheetId} not approved by HOD`)
               continue
             }
 
-            // Extract examination month and year
-            const examMonth = new Date(normalizedMarksheet.examinationDate).toLocaleDateString('en-US', { month: 'long' })
-            const examYear = new Date(normalizedMarksheet.examinationDate).getFullYear()
-
-            const message = `Hello! 📚
-
-Your child's marksheet for ${normalizedMarksheet.studentDetails.name} (Reg: ${normalizedMarksheet.studentDetails.regNumber}) is ready.
-
-🎓 Year/Sem: ${normalizedMarksheet.studentDetails.year}/${normalizedMarksheet.semester || '—'}
-📅 Examination: ${examMonth} ${examYear}
-📊 Overall Result: ${normalizedMarksheet.overallResult || '—'}
-
-Please find the detailed marksheet attached.
-
-Best regards,
-MSEC Academics Department`
-
-
             // Always send from the marksheet owner's unique staff instance.
             // Never reuse a caller-supplied bulk sender for another staff
             // member's marksheet: that is what can mix account sessions.
-            const marksheetStaffId = normalizedMarksheet.staffId || marksheet.staffId
-            const marksheetEvo = marksheetStaffId
-              ? getEvolutionApiForStaff(String(marksheetStaffId))
-              : evolutionApi
-
-            if (!marksheetEvo.isConfigured()) {
-              throw new Error('Evolution WhatsApp API not configured for this staff instance')
-            }
-
-            // Use staff-scoped Evolution API to send marksheet notification
-            try {
-              await marksheetEvo.sendMarksheetNotification({
-                studentName: normalizedMarksheet.studentDetails.name,
-                registerNumber: normalizedMarksheet.studentDetails.regNumber,
-                parentPhoneNumber: phoneNumber,
-                examName: normalizedMarksheet.examinationName || 'Examination',
-                examMonth,
-                examYear,
-                overallResult: normalizedMarksheet.overallResult || '—',
-                pdfUrl: pdfAccessible ? marksheetPdfUrl : ''
-              });
-            } catch (evoErr) {
-              throw new Error(`Evolution API error: ${evoErr.message}`);
-            }
-
-            // Update marksheet status
-            await Marksheet.findByIdAndUpdate(marksheetId, {
-              status: 'dispatched',
-              'dispatchStatus.dispatched': true,
-              'dispatchStatus.dispatchedAt': new Date(),
-              'dispatchStatus.whatsappStatus': 'sent',
-              updatedAt: new Date()
-            })
+            await sendMarksheetWhatsApp(marksheet, { baseUrl })
+            await markMarksheetDispatched(marksheetId, {}, { actor: auditActor(req.user) })
 
             results.successful++
 
@@ -961,10 +939,109 @@ MSEC Academics Department`
         })
       }
 
+      // Queue a bulk send for the background worker (lib/dispatchJobWorker.js)
+      if (action === 'create-job') {
+        if (!authorize(req, res, 'whatsapp-dispatch', 'create-job')) return
+        const { marksheetIds } = req.body || {}
+
+        if (!Array.isArray(marksheetIds) || marksheetIds.length === 0) {
+          return res.status(400).json({ success: false, error: 'marksheetIds array is required' })
+        }
+        const uniqueIds = [...new Set(marksheetIds.map(String))]
+        if (uniqueIds.length > MAX_JOB_ITEMS) {
+          return res.status(400).json({ success: false, error: `A dispatch job can contain at most ${MAX_JOB_ITEMS} marksheets` })
+        }
+        if (!uniqueIds.every(id => mongoose.isValidObjectId(id))) {
+          return res.status(400).json({ success: false, error: 'Invalid marksheet id' })
+        }
+
+        const existing = await DispatchJob.findOne({ staffId: req.user.id, status: { $in: OPEN_JOB_STATUSES } }).lean()
+        if (existing) {
+          return res.status(409).json({
+            success: false,
+            error: 'A bulk dispatch is already in progress. Finish or cancel it first.',
+            job: serializeJob(existing)
+          })
+        }
+
+        const found = await Marksheet.find({ _id: { $in: uniqueIds } })
+          .select('_id staffId studentId studentDetails status')
+          .lean()
+        const byId = new Map(found.map(m => [String(m._id), m]))
+        const marksheets = []
+        const rejected = []
+        for (const id of uniqueIds) {
+          const marksheet = byId.get(id)
+          if (!marksheet) rejected.push({ marksheetId: id, error: 'Marksheet not found' })
+          else if (!canAccessMarksheet(req.user, marksheet)) rejected.push({ marksheetId: id, error: 'Not authorized to dispatch this marksheet' })
+          else if (!DISPATCHABLE_STATUSES.includes(marksheet.status)) rejected.push({ marksheetId: id, error: 'Marksheet not approved by HOD' })
+          else marksheets.push(marksheet)
+        }
+
+        if (marksheets.length === 0) {
+          return res.status(400).json({ success: false, error: 'None of the selected marksheets can be dispatched', rejected })
+        }
+
+        let job
+        try {
+          job = await createDispatchJob({ staffId: req.user.id, marksheets, baseUrl: getBaseUrl(req) })
+        } catch (createErr) {
+          // Another request queued a job since the check above
+          if (createErr?.code === 11000) {
+            return res.status(409).json({ success: false, error: 'A bulk dispatch is already in progress. Finish or cancel it first.' })
+          }
+          throw createErr
+        }
+        return res.status(201).json({ success: true, job: serializeJob(job), rejected })
+      }
+
+      if (['pause-job', 'resume-job', 'cancel-job'].includes(action)) {
+        if (!authorize(req, res, 'whatsapp-dispatch', 'control-job')) return
+        const { jobId } = req.body || {}
+        if (!jobId || !mongoose.isValidObjectId(jobId)) {
+          return res.status(400).json({ success: false, error: 'jobId is required' })
+        }
+
+        const job = await DispatchJob.findById(jobId).select('staffId status').lean()
+        if (!job) return res.status(404).json({ success: false, error: 'Dispatch job not found' })
+        if (!canAccessJob(req.user, job)) return forbid(res, 'Not authorized to manage this dispatch job')
+
+        const control = { 'pause-job': pauseDispatchJob, 'resume-job': resumeDispatchJob, 'cancel-job': cancelDispatchJob }[action]
+        const updated = await control(jobId)
+        if (!updated) {
+          return res.status(409).json({ success: false, error: `Dispatch job is ${job.status}` })
+        }
+        return res.status(200).json({ success: true, job: serializeJob(updated) })
+      }
+
       return res.status(400).json({ success: false, error: 'Invalid action' })
     }
 
+    if (req.method === 'GET' && req.query.action === 'job') {
+      if (!authorize(req, res, 'whatsapp-dispatch', 'job-status')) return
+      const { jobId } = req.query
+      if (!jobId || !mongoose.isValidObjectId(jobId)) {
+        return res.status(400).json({ success: false, error: 'jobId is required' })
+      }
+      const job = await DispatchJob.findById(jobId).lean()
+      if (!job) return res.status(404).json({ success: false, error: 'Dispatch job not found' })
+      if (!canAccessJob(req.user, job)) return forbid(res, 'Not authorized to view this dispatch job')
+      return res.status(200).json({ success: true, job: serializeJob(job) })
+    }
+
+    // The caller's open job (if any) plus recent history, so the page can reattach after a reload
+    if (req.method === 'GET' && req.query.action === 'jobs') {
+      if (!authorize(req, res, 'whatsapp-dispatch', 'job-status')) return
+      const jobs = await DispatchJob.find({ staffId: req.user.id })
+        .sort({ createdAt: -1 })
+        .limit(10)
+        .lean()
+      const active = jobs.find(job => OPEN_JOB_STATUSES.includes(job.status)) || null
+      return res.status(200).json({ success: true, active: serializeJob(active), jobs: jobs.map(serializeJob) })
+    }
+
     if (req.method === 'GET') {
+      if (!authorize(req, res, 'whatsapp-dispatch', 'dispatch-status')) return
       // Get dispatch status for marksheets
       const { marksheetIds } = req.query
 
@@ -975,7 +1052,7 @@ MSEC Academics Department`
       const ids = Array.isArray(marksheetIds) ? marksheetIds : marksheetIds.split(',')
       
       const marksheets = await Marksheet.find(
-        { _id: { $in: ids } },
+        withScope({ _id: { $in: ids } }, scopeFilter(req.user, { ownerField: 'staffId' })),
         { 
           _id: 1, 
           marksheetId: 1, 
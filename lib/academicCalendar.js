@@ -0,0 +1,193 @@
+import { randomUUID } from 'crypto'
+import { AcademicCalendarEvent } from '../models.js'
+import { ALL_DEPARTMENTS, CALENDAR_EVENT_KINDS, CALENDAR_KIND_LABELS, summarizeCalendar } from '../shared/calendar.js'
+import { dayKey } from '../shared/leave.js'
+import { normalizeDepartment } from '../shared/subjectCatalog.js'
+
+const CACHE_TTL_MS = 60 * 1000
+const calendarCache = new Map()
+
+// Longest event accepted, so a typo in the year can't mark a decade as holidays
+const MAX_EVENT_DAYS = 366
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export { ALL_DEPARTMENTS }
+
+export function clearCalendarCache() {
+  calendarCache.clear()
+}
+
+/**
+ * A department's academic calendar: its own events with the institution-wide
+ * ones, summarized by summarizeCalendar() for working-day checks.
+ */
+export async function resolveCalendar(department) {
+  const dept = normalizeDepartment(department || '')
+  const cached = calendarCache.get(dept)
+  if (cached && cached.expiresAt > Date.now()) return cached.calendar
+
+  const events = await AcademicCalendarEvent.find({ department: { $in: dept ? [dept, ALL_DEPARTMENTS] : [ALL_DEPARTMENTS] } })
+    .select('department kind title startDate endDate')
+    .lean()
+  const calendar = summarizeCalendar(events)
+
+  calendarCache.set(dept, { calendar, expiresAt: Date.now() + CACHE_TTL_MS })
+  return calendar
+}
+
+const toDay = (value) => {
+  // new Date(null) is 1 Jan 1970, not a missing date
+  if (value === null || value === undefined || value === '') return null
+  const key = dayKey(value)
+  return key ? new Date(`${key}T00:00:00.000Z`) : null
+}
+
+/**
+ * Validate a calendar event payload. Returns { error } or { event } with
+ * dates at UTC midnight, ready to save. `uid` is kept for iCal round trips.
+ */
+export function validateCalendarEvent(input = {}) {
+  const title = (input.title || '').toString().trim()
+  if (!title) return { error: 'title is required' }
+  if (!CALENDAR_EVENT_KINDS.includes(input.kind)) return { error: `kind must be one of: ${CALENDAR_EVENT_KINDS.join(', ')}` }
+
+  const department = input.department && input.department !== ALL_DEPARTMENTS ? normalizeDepartment(input.department) : ALL_DEPARTMENTS
+  if (!department) return { error: 'department is not valid' }
+
+  const startDate = toDay(input.startDate)
+  const endDate = input.endDate ? toDay(input.endDate) : startDate
+  if (!startDate || !endDate) return { error: `${title} needs a valid start and end date` }
+  if (endDate < startDate) return { error: `${title} ends before it starts` }
+  if ((endDate - startDate) / DAY_MS + 1 > MAX_EVENT_DAYS) return { error: `${title} is longer than ${MAX_EVENT_DAYS} days` }
+
+  const uid = (input.uid || '').toString().trim() || `${randomUUID()}@msec-academics`
+  return { event: { department, kind: input.kind, title, startDate, endDate, notes: (input.notes || '').toString().trim(), uid } }
+}
+
+// iCal text values escape backslashes, semicolons, commas and newlines (RFC 5545 3.3.11)
+const escapeText = (value = '') => String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n')
+const unescapeText = (value = '') => value.replace(/\\n/gi, '\n').replace(/\\([\\;,])/g, '$1')
+
+const icalDate = (date) => dayKey(date).replace(/-/g, '')
+const icalStamp = (date) => new Date(date || Date.now()).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const parts = []
+  for (let rest = line; rest.length > 0; rest = rest.slice(73)) parts.push(rest.slice(0, 73))
+  return parts.join('\r\n ')
+}
+
+/**
+ * Calendar events as an iCalendar file. Events are all-day (DTEND is the day
+ * after the last one); the kind and department travel in X-MSEC- properties
+ * so an exported file imports back unchanged.
+ */
+export function toICal(events = [], { name = 'Academic Calendar' } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//MSEC Academics//Academic Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ]
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${icalStamp(event.updatedAt)}`,
+      `DTSTART;VALUE=DATE:${icalDate(event.startDate)}`,
+      `DTEND;VALUE=DATE:${icalDate(new Date(new Date(event.endDate).getTime() + DAY_MS))}`,
+      `SUMMARY:${escapeText(event.title)}`,
+      `CATEGORIES:${escapeText(CALENDAR_KIND_LABELS[event.kind] || event.kind)}`,
+      `X-MSEC-KIND:${event.kind}`,
+      `X-MSEC-DEPARTMENT:${event.department}`
+    )
+    if (event.notes) lines.push(`DESCRIPTION:${escapeText(event.notes)}`)
+    lines.push('END:VEVENT')
+  }
+  lines.push('END:VCALENDAR')
+  return lines.map(foldLine).join('\r\n') + '\r\n'
+}
+
+// DATE (20260126) or DATE-TIME (20260126T090000[Z]) value as the calendar day it falls on in India
+const parseICalDay = (value = '', { exclusiveEnd = false } = {}) => {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/)
+  if (!match) return null
+  const [, y, m, d, hh, mm, ss, utc] = match
+  if (!hh) {
+    const day = new Date(Date.UTC(+y, +m - 1, +d))
+    // An all-day DTEND is the day after the event
+    return exclusiveEnd ? new Date(day.getTime() - DAY_MS) : day
+  }
+  let time = Date.UTC(+y, +m - 1, +d, +hh, +mm, +ss)
+  if (utc) time += 330 * 60 * 1000
+  // An event ending at midnight ends on the day before
+  if (exclusiveEnd) time -= 1000
+  return toDay(new Date(time))
+}
+
+// Kind of an event from a calendar made elsewhere: its categories, then its title
+const guessKind = (fields) => {
+  const declared = (fields['X-MSEC-KIND'] || '').trim()
+  if (CALENDAR_EVENT_KINDS.includes(declared)) return declared
+  const text = `${fields.CATEGORIES || ''} ${fields.SUMMARY || ''}`.toLowerCase()
+  if (/\bexam/.test(text)) return 'exam'
+  if (/\bsemester\b|\bterm\b/.test(text)) return 'semester'
+  if (/working day|\bworking\b/.test(text)) return 'working_day'
+  return 'holiday'
+}
+
+/**
+ * Read the events of an iCalendar file. Returns { events, errors } where
+ * events are validateCalendarEvent() payloads; events without a department
+ * of their own go to `department`. Recurring events are read once.
+ */
+export function parseICal(text = '', { department = ALL_DEPARTMENTS } = {}) {
+  // Unfold continuation lines before splitting properties
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/)
+  if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+    return { events: [], errors: ['Not an iCalendar (.ics) file'] }
+  }
+
+  const events = []
+  const errors = []
+  let fields = null
+  for (const line of lines) {
+    const upper = line.trim().toUpperCase()
+    if (upper === 'BEGIN:VEVENT') {
+      fields = {}
+      continue
+    }
+    if (upper === 'END:VEVENT') {
+      if (!fields) continue
+      const title = unescapeText(fields.SUMMARY || '').trim()
+      const startDate = parseICalDay(fields.DTSTART)
+      const endDate = fields.DTEND ? parseICalDay(fields.DTEND, { exclusiveEnd: true }) : startDate
+      const { error, event } = validateCalendarEvent({
+        title,
+        kind: guessKind(fields),
+        department: normalizeDepartment(fields['X-MSEC-DEPARTMENT'] || '') || department,
+        startDate,
+        endDate: endDate && startDate && endDate < startDate ? startDate : endDate,
+        notes: unescapeText(fields.DESCRIPTION || ''),
+        // Events without a UID get one from their day and title, so importing the file again updates them
+        uid: fields.UID || (startDate && title ? `${icalDate(startDate)}-${title.toLowerCase().replace(/[^a-z0-9]+/g, '-')}@msec-academics` : '')
+      })
+      if (error) errors.push(`${title || fields.UID || 'An event'}: ${error}`)
+      else {
+        if (fields.RRULE) errors.push(`${title}: repeats in the file but was imported once (${dayKey(event.startDate)})`)
+        events.push(event)
+      }
+      fields = null
+      continue
+    }
+    if (!fields) continue
+    const colon = line.indexOf(':')
+    if (colon < 0) continue
+    // Parameters (;VALUE=DATE, ;TZID=...) are dropped; the value decides the date form
+    const name = line.slice(0, colon).split(';')[0].trim().toUpperCase()
+    if (!(name in fields)) fields[name] = line.slice(colon + 1).trim()
+  }
+  return { events, errors }
+}
@@ -0,0 +1,321 @@
+import { AttendanceRegister, LeaveRequest, Marksheet, Student } from '../models.js'
+import { ATTENDANCE_STATUSES, DAY_PERIOD, MAX_PERIODS, formatAttendancePercent, reconcileStatus, summarizeStatuses } from '../shared/attendance.js'
+import { campusDayKey, campusDayStart } from '../shared/calendar.js'
+import { USED_LEAVE_STATUSES, dayKey, leaveCategoryOf } from '../shared/leave.js'
+import { getYearAliases, normalizeDepartment, normalizeYear } from '../shared/subjectCatalog.js'
+import { resolveCalendar } from './academicCalendar.js'
+import { leaveSemester, resolveLeavePolicy } from './leavePolicies.js'
+import { isImportLocked } from './importDiff.js'
+
+// Attendance register: staff mark each class per day or per period, students
+// on approved leave or with a recorded late arrival are filled in from their
+// LeaveRequests, and each student's percentage is computed from the sheets
+// instead of being typed in. Advisors copy the percentage onto marksheets.
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const clean = (value) => (value ?? '').toString().trim()
+const dayDate = (day) => new Date(`${day}T00:00:00.000Z`)
+
+/**
+ * Class a request is about. Returns { error } or { classInfo }.
+ */
+export function readClass(source = {}) {
+  const classInfo = {
+    department: normalizeDepartment(clean(source.department)),
+    year: normalizeYear(clean(source.year)),
+    section: clean(source.section).toUpperCase()
+  }
+  if (!classInfo.department || !classInfo.year || !classInfo.section) return { error: 'department, year and section are required' }
+  return { classInfo }
+}
+
+/**
+ * Class, day and period of a register sheet. Returns { error } or { sheet }
+ * with the day at UTC midnight; period 0 is the whole day.
+ */
+export function readSheetKey(source = {}) {
+  const { error, classInfo } = readClass(source)
+  if (error) return { error }
+  const day = clean(source.date) ? dayKey(source.date) : ''
+  if (!day) return { error: 'date is required' }
+  const period = clean(source.period) === '' ? DAY_PERIOD : Number(source.period)
+  if (!Number.isInteger(period) || period < DAY_PERIOD || period > MAX_PERIODS) {
+    return { error: `period must be ${DAY_PERIOD} (whole day) to ${MAX_PERIODS}` }
+  }
+  return { sheet: { ...classInfo, date: dayDate(day), period } }
+}
+
+export const sheetFilter = ({ department, year, section, date, period }) => ({ department, year, section, date, period })
+
+/**
+ * Students on a class's register: active students of the class by register number.
+ */
+export const classRoster = ({ department, year, section }) => Student.find({
+  department,
+  year: { $in: getYearAliases(year) },
+  section,
+  status: { $in: ['active', null] }
+})
+  .select('_id regNumber name')
+  .sort({ regNumber: 1 })
+  .lean()
+
+/**
+ * Approved leaves and recorded late arrivals as studentId -> day -> { leave, late },
+ * for reconcileStatus(). `leave` is the leave's category.
+ */
+export function buildReconciliation(leaves = [], lates = []) {
+  const byStudent = new Map()
+  const entry = (studentId, day) => {
+    const id = String(studentId)
+    if (!byStudent.has(id)) byStudent.set(id, new Map())
+    const days = byStudent.get(id)
+    if (!days.has(day)) days.set(day, { leave: null, late: false })
+    return days.get(day)
+  }
+  for (const leave of leaves) {
+    const last = dayKey(leave.endDate || leave.startDate)
+    for (let day = dayKey(leave.startDate); day && day <= last; day = dayKey(new Date(dayDate(day).getTime() + DAY_MS))) {
+      entry(leave.studentId, day).leave = leaveCategoryOf(leave)
+    }
+  }
+  for (const late of lates) {
+    const day = campusDayKey(late.expectedArrivalTime)
+    if (day) entry(late.studentId, day).late = true
+  }
+  return byStudent
+}
+
+const reconciledOn = (reconciliation, studentId, day) => reconciliation?.get(String(studentId))?.get(day) || { leave: null, late: false }
+
+/**
+ * Approved leaves and recorded late arrivals of a class between two campus days.
+ */
+export async function loadReconciliation({ department, year, section }, from, to) {
+  const classFilter = {
+    'studentDetails.department': department,
+    'studentDetails.year': { $in: getYearAliases(year) },
+    'studentDetails.section': section
+  }
+  const [leaves, lates] = await Promise.all([
+    LeaveRequest.find({
+      ...classFilter,
+      type: 'leave',
+      status: { $in: USED_LEAVE_STATUSES },
+      startDate: { $lte: dayDate(to) },
+      endDate: { $gte: dayDate(from) }
+    }).select('studentId category startDate endDate').lean(),
+    // A late counts once staff recorded the arrival or the student confirmed it
+    LeaveRequest.find({
+      ...classFilter,
+      type: 'late',
+      expectedArrivalTime: { $gte: campusDayStart(from), $lt: new Date(campusDayStart(to).getTime() + DAY_MS) },
+      $or: [{ recordedAt: { $ne: null } }, { arrivalConfirmedAt: { $ne: null } }, { arrivalRecordedAt: { $ne: null } }]
+    }).select('studentId expectedArrivalTime').lean()
+  ])
+  return buildReconciliation(leaves, lates)
+}
+
+/**
+ * Rows of a register sheet for the current class list. Saved statuses stand
+ * unless a leave approved since turns an absence into leave; students not yet
+ * marked get what their leave and late requests suggest. Each row carries
+ * `reconciled` ({ leave, late }) so the page can show why.
+ */
+export function alignSheetRows(saved = [], students = [], reconciliation = new Map(), day = '') {
+  const byId = new Map(saved.map((row) => [String(row.studentId), row]))
+  return students.map((student) => {
+    const stored = byId.get(String(student._id))
+    const reconciled = reconciledOn(reconciliation, student._id, day)
+    return {
+      studentId: student._id,
+      regNumber: student.regNumber,
+      name: student.name,
+      status: reconcileStatus(stored?.status, reconciled),
+      marked: !!stored,
+      reconciled
+    }
+  })
+}
+
+/**
+ * Apply the statuses sent for a sheet ([{ studentId or regNumber, status }])
+ * to its rows. Returns { rows } or { errors }; nothing is applied if any
+ * status is invalid.
+ */
+export function applyStatuses(rows = [], input = []) {
+  const next = rows.map(({ studentId, regNumber, name, status }) => ({ studentId, regNumber, name, status }))
+  const byId = new Map(next.map((row) => [String(row.studentId), row]))
+  const byReg = new Map(next.map((row) => [clean(row.regNumber).toUpperCase(), row]))
+  const errors = []
+  for (const item of input) {
+    const label = clean(item?.regNumber) || clean(item?.studentId) || 'A row'
+    const row = byId.get(clean(item?.studentId)) || byReg.get(clean(item?.regNumber).toUpperCase())
+    if (!row) {
+      errors.push(`${label}: not in this class`)
+      continue
+    }
+    if (!ATTENDANCE_STATUSES.includes(item.status)) {
+      errors.push(`${row.regNumber}: status must be one of ${ATTENDANCE_STATUSES.join(', ')}`)
+      continue
+    }
+    row.status = item.status
+  }
+  return errors.length > 0 ? { errors } : { rows: next }
+}
+
+/**
+ * A register sheet as the page shows it: the saved sheet (or an empty one)
+ * with rows for the current class list, the periods already marked that day
+ * and the sheet's version for a version-checked save.
+ */
+export async function loadSheet(key) {
+  const day = dayKey(key.date)
+  const [saved, students, reconciliation, sameDay] = await Promise.all([
+    AttendanceRegister.findOne(sheetFilter(key)).lean(),
+    classRoster(key),
+    loadReconciliation(key, day, day),
+    AttendanceRegister.find({ department: key.department, year: key.year, section: key.section, date: key.date }).select('period').lean()
+  ])
+  return {
+    sheet: saved || { ...key, rows: [] },
+    rows: alignSheetRows(saved?.rows, students, reconciliation, day),
+    markedPeriods: sameDay.map((s) => s.period).sort((a, b) => a - b)
+  }
+}
+
+/**
+ * Attendance of each student over a set of register sheets, as
+ * studentId -> summarizeStatuses() totals. Leave approved after a sheet was
+ * marked is applied here too.
+ */
+export function tallyAttendance(sheets = [], reconciliation = new Map()) {
+  const statuses = new Map()
+  for (const sheet of sheets) {
+    const day = dayKey(sheet.date)
+    for (const row of sheet.rows || []) {
+      const id = String(row.studentId)
+      if (!statuses.has(id)) statuses.set(id, [])
+      statuses.get(id).push(reconcileStatus(row.status, reconciledOn(reconciliation, id, day)))
+    }
+  }
+  return new Map([...statuses].map(([id, list]) => [id, summarizeStatuses(list)]))
+}
+
+/**
+ * Days an attendance summary covers, as campus days: from..to when given,
+ * else the semester (the academic calendar's, else the leave policy's) up to
+ * `to` or today.
+ */
+export async function attendanceRange(department, { from, to } = {}) {
+  const end = to ? dayKey(to) : campusDayKey()
+  if (!end) return { error: 'to must be a date' }
+  if (from) {
+    const start = dayKey(from)
+    if (!start) return { error: 'from must be a date' }
+    if (start > end) return { error: 'from must not be after to' }
+    return { from: start, to: end }
+  }
+  const [policy, calendar] = await Promise.all([resolveLeavePolicy(department), resolveCalendar(department)])
+  return { from: dayKey(leaveSemester(end, policy, calendar).start), to: end }
+}
+
+/**
+ * Attendance of a class between two campus days: each student on the class
+ * list with their totals, and how many sheets and days were marked.
+ */
+export async function classAttendance(classInfo, { from, to }) {
+  const [students, sheets, reconciliation] = await Promise.all([
+    classRoster(classInfo),
+    AttendanceRegister.find({
+      department: classInfo.department,
+      year: classInfo.year,
+      section: classInfo.section,
+      date: { $gte: dayDate(from), $lte: dayDate(to) }
+    }).select('date period rows.studentId rows.status').lean(),
+    loadReconciliation(classInfo, from, to)
+  ])
+  const tallies = tallyAttendance(sheets, reconciliation)
+  const none = summarizeStatuses([])
+  return {
+    from,
+    to,
+    sheets: sheets.length,
+    days: new Set(sheets.map((sheet) => dayKey(sheet.date))).size,
+    students: students.map((student) => ({
+      studentId: student._id,
+      regNumber: student.regNumber,
+      name: student.name,
+      ...(tallies.get(String(student._id)) || none)
+    }))
+  }
+}
+
+/**
+ * Copy a class's computed attendance onto its marksheets for an examination,
+ * and onto the students so marksheets made later start from it. Dispatched
+ * and archived marksheets, and students with nothing marked, keep theirs.
+ * Each marksheet is written only if it is unchanged since it was read; one
+ * edited meanwhile is skipped rather than overwritten. Returns
+ * { results, auditEvents } with one audit event per marksheet changed.
+ */
+export async function applyAttendanceToMarksheets(classInfo, examinationName, range) {
+  const summary = await classAttendance(classInfo, range)
+  const byStudent = new Map(summary.students.map((student) => [String(student.studentId), student]))
+  const marksheets = await Marksheet.find({
+    'studentDetails.department': classInfo.department,
+    'studentDetails.year': { $in: getYearAliases(classInfo.year) },
+    'studentDetails.section': classInfo.section,
+    examinationName
+  }).select('studentId studentDetails.name studentDetails.regNumber studentDetails.attendance status archivedAt updatedAt').lean()
+
+  const now = new Date()
+  const results = []
+  const auditEvents = []
+  for (const marksheet of marksheets) {
+    const { name, regNumber, attendance: before } = marksheet.studentDetails || {}
+    const totals = byStudent.get(String(marksheet.studentId))
+    if (!totals || totals.percentage === null) {
+      results.push({ regNumber, name, status: 'skipped', marksheetId: marksheet._id, error: 'no attendance marked' })
+      continue
+    }
+    if (isImportLocked(marksheet)) {
+      results.push({ regNumber, name, status: 'skipped', marksheetId: marksheet._id, error: marksheet.archivedAt ? 'the marksheet is archived' : 'the marksheet was already dispatched' })
+      continue
+    }
+    const after = formatAttendancePercent(totals.percentage)
+    const { matchedCount } = await Marksheet.updateOne(
+      { _id: marksheet._id, updatedAt: marksheet.updatedAt ?? null },
+      {
+        $set: {
+          'studentDetails.attendance': after,
+          attendanceRegister: { from: dayDate(range.from), to: dayDate(range.to), conducted: totals.conducted, attended: totals.attended, percentage: totals.percentage, computedAt: now },
+          updatedAt: now
+        }
+      }
+    )
+    if (matchedCount === 0) {
+      results.push({ regNumber, name, status: 'skipped', marksheetId: marksheet._id, error: 'the marksheet was changed while the attendance was applied; apply again to include it' })
+      continue
+    }
+    if (before !== after) {
+      auditEvents.push({
+        marksheetId: marksheet._id,
+        action: 'details_edited',
+        fromStatus: marksheet.status,
+        toStatus: marksheet.status,
+        changes: [{ field: 'studentDetails.attendance', label: 'Attendance', before: before || null, after }],
+        comments: `Attendance register, ${range.from} to ${range.to}`
+      })
+    }
+    results.push({ regNumber, name, status: before === after ? 'unchanged' : 'updated', marksheetId: marksheet._id, attendance: after })
+  }
+
+  const studentOps = summary.students
+    .filter((student) => student.percentage !== null)
+    .map((student) => ({ updateOne: { filter: { _id: student.studentId }, update: { $set: { attendance: formatAttendancePercent(student.percentage) } } } }))
+  if (studentOps.length > 0) await Student.bulkWrite(studentOps, { ordered: false })
+
+  return { summary, results, auditEvents }
+}
@@ -0,0 +1,136 @@
+import { connectToDatabase } from './mongo.js'
+import { User, Student } from '../models.js'
+import { verifyToken } from './authTokens.js'
+import { loadStaffClasses } from './classAssignments.js'
+
+// Routes reachable without a session. Matched on method + path (+ optional action, or a query parameter that must be present).
+const PUBLIC_ROUTES = [
+  { method: 'POST', path: '/api/auth' },
+  { method: 'POST', path: '/api/users' }, // staff/HOD sign-up (goes through HOD approval)
+  { method: 'GET', path: '/api/users', action: 'access-policy' },
+  // Signed download links (lib/pdfLinks.js) for the WhatsApp gateway and new tabs; the handler verifies the token
+  { method: 'GET', path: '/api/generate-pdf', query: 'token' },
+  { method: 'GET', path: '/api/generate-pdf', query: 'health' },
+  { method: 'GET', path: '/api/generate-pdf', query: 'test' },
+  { method: 'GET', path: '/api/whatsapp-dispatch', action: 'health' },
+  { method: 'GET', path: '/api/notifications/vapid-public-key' },
+  { method: 'POST', path: '/api/notifications/deactivate' }, // called during logout after tokens are cleared
+  { method: 'POST', path: '/api/subscription-check' },
+  { method: '*', path: '/api/health' },
+  { method: '*', path: '/api/debug' }
+]
+
+function getRequestPath(req) {
+  return String(req.originalUrl || req.url || '').split('?')[0].replace(/\/+$/, '') || '/'
+}
+
+function isPublicRoute(req) {
+  const path = getRequestPath(req)
+  const action = req.query?.action
+  return PUBLIC_ROUTES.some(route =>
+    (route.method === '*' || route.method === req.method) &&
+    route.path === path &&
+    (!route.action || route.action === action) &&
+    (!route.query || (req.query?.[route.query] ?? '') !== '')
+  )
+}
+
+function readBearerToken(req) {
+  const header = String(req.headers?.authorization || '')
+  const match = header.match(/^Bearer\s+(.+)$/i)
+  return match ? match[1].trim() : null
+}
+
+/**
+ * Load the principal referenced by a verified token payload.
+ * Returns the shape attached to req.user, or null if the account no longer exists
+ * or the token was revoked via tokenVersion.
+ */
+export async function loadPrincipal(payload) {
+  if (payload.kind === 'student') {
+    const student = await Student.findById(payload.sub)
+      .select('_id name regNumber department year section tokenVersion')
+      .lean()
+    if (!student || Number(student.tokenVersion || 0) !== Number(payload.ver || 0)) return null
+    return {
+      id: String(student._id),
+      role: 'student',
+      kind: 'student',
+      name: student.name,
+      regNumber: student.regNumber,
+      department: student.department,
+      year: student.year,
+      section: student.section
+    }
+  }
+
+  const user = await User.findById(payload.sub)
+    .select('_id name email role department year section tokenVersion')
+    .lean()
+  if (!user || Number(user.tokenVersion || 0) !== Number(payload.ver || 0)) return null
+  const role = String(user.role || '').toLowerCase()
+  return {
+    id: String(user._id),
+    role,
+    kind: 'user',
+    name: user.name,
+    email: user.email,
+    department: user.department,
+    year: user.year,
+    section: user.section,
+    // Every class the staff member teaches (lib/classAssignments.js); see staffClasses in lib/permissions.js
+    ...(role === 'staff' ? { classes: await loadStaffClasses(user._id) } : {})
+  }
+}
+
+/**
+ * Verify the bearer access token (if any) and attach the real user to req.user.
+ * Requests without a token pass through with req.user = null; requireAuth decides
+ * whether that is acceptable.
+ */
+export async function authenticate(req, res, next) {
+  req.user = null
+  if (req.method === 'OPTIONS') return next()
+
+  const token = readBearerToken(req)
+  if (!token) return next()
+
+  const result = verifyToken(token, 'access')
+  if (!result.valid) {
+    // A stale token must not block login, refresh or other public endpoints
+    if (isPublicRoute(req)) return next()
+    return res.status(401).json({
+      success: false,
+      code: result.code,
+      error: result.code === 'TOKEN_EXPIRED' ? 'Session expired. Please sign in again.' : 'Invalid session token'
+    })
+  }
+
+  try {
+    await connectToDatabase()
+  } catch (dbError) {
+    console.error('Auth middleware database connection error:', dbError)
+    return res.status(503).json({ success: false, error: 'Database connection failed' })
+  }
+
+  try {
+    const principal = await loadPrincipal(result.payload)
+    if (!principal) {
+      if (isPublicRoute(req)) return next()
+      return res.status(401).json({ success: false, code: 'INVALID_TOKEN', error: 'Session is no longer valid' })
+    }
+    req.user = principal
+    return next()
+  } catch (err) {
+    console.error('Auth middleware error:', err)
+    return res.status(500).json({ success: false, error: 'Internal server error' })
+  }
+}
+
+/**
+ * Reject unauthenticated requests to everything except PUBLIC_ROUTES.
+ */
+export function requireAuth(req, res, next) {
+  if (req.method === 'OPTIONS' || req.user || isPublicRoute(req)) return next()
+  return res.status(401).json({ success: false, code: 'AUTH_REQUIRED', error: 'Authentication required' })
+}
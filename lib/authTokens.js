@@ -0,0 +1,103 @@
+import crypto from 'crypto'
+
+const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60
+const REFRESH_TOKEN_TTL_SECONDS = Number(process.env.REFRESH_TOKEN_TTL_SECONDS) || 7 * 24 * 60 * 60
+
+// Used outside production when no secret is configured; sessions do not survive a restart
+let devSecret = null
+
+function getSecret() {
+  const configured = process.env.AUTH_TOKEN_SECRET || process.env.JWT_SECRET
+  if (configured) return configured
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('AUTH_TOKEN_SECRET (or JWT_SECRET) must be set to sign session tokens')
+  }
+  if (!devSecret) {
+    devSecret = crypto.randomBytes(32).toString('base64url')
+    console.warn('AUTH_TOKEN_SECRET is not set; signing session tokens with a random secret for this process')
+  }
+  return devSecret
+}
+
+/**
+ * Fail fast at startup when tokens could not be signed (no secret in production).
+ */
+export function assertTokenSecret() {
+  getSecret()
+}
+
+function base64UrlEncode(value) {
+  return Buffer.from(value).toString('base64url')
+}
+
+function base64UrlDecode(value) {
+  return Buffer.from(String(value || ''), 'base64url').toString('utf8')
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', getSecret()).update(data).digest('base64url')
+}
+
+/**
+ * Sign a compact HS256 JWT. `expiresIn` is in seconds.
+ */
+export function signToken(payload, expiresIn) {
+  const now = Math.floor(Date.now() / 1000)
+  const header = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))
+  const body = base64UrlEncode(JSON.stringify({ ...payload, iat: now, exp: now + expiresIn }))
+  return `${header}.${body}.${sign(`${header}.${body}`)}`
+}
+
+/**
+ * Verify signature, expiry and token type.
+ * Returns { valid: true, payload } or { valid: false, code } where code is
+ * TOKEN_EXPIRED or INVALID_TOKEN.
+ */
+export function verifyToken(token, expectedType = 'access') {
+  const parts = String(token || '').split('.')
+  if (parts.length !== 3) return { valid: false, code: 'INVALID_TOKEN' }
+
+  const [header, body, signature] = parts
+  const expected = Buffer.from(sign(`${header}.${body}`))
+  const actual = Buffer.from(signature)
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, code: 'INVALID_TOKEN' }
+  }
+
+  let payload
+  try {
+    payload = JSON.parse(base64UrlDecode(body))
+  } catch {
+    return { valid: false, code: 'INVALID_TOKEN' }
+  }
+
+  if (!payload || payload.typ !== expectedType || !payload.sub) {
+    return { valid: false, code: 'INVALID_TOKEN' }
+  }
+  if (!payload.exp || payload.exp * 1000 <= Date.now()) {
+    return { valid: false, code: 'TOKEN_EXPIRED' }
+  }
+
+  return { valid: true, payload }
+}
+
+/**
+ * Issue an access/refresh pair for a User (staff/hod/admin) or Student document.
+ * `tokenVersion` is embedded so password resets can revoke outstanding refresh tokens.
+ */
+export function issueSessionTokens(principal, kind) {
+  const base = {
+    sub: String(principal._id),
+    role: kind === 'student' ? 'student' : String(principal.role || '').toLowerCase(),
+    kind,
+    ver: Number(principal.tokenVersion || 0)
+  }
+  const now = Date.now()
+
+  return {
+    accessToken: signToken({ ...base, typ: 'access' }, ACCESS_TOKEN_TTL_SECONDS),
+    refreshToken: signToken({ ...base, typ: 'refresh' }, REFRESH_TOKEN_TTL_SECONDS),
+    accessTokenExpiresAt: new Date(now + ACCESS_TOKEN_TTL_SECONDS * 1000).toISOString(),
+    refreshTokenExpiresAt: new Date(now + REFRESH_TOKEN_TTL_SECONDS * 1000).toISOString()
+  }
+}
@@ -0,0 +1,105 @@
+import { ClassAssignment, User } from '../models.js'
+import { getYearAliases, normalizeDepartment, normalizeYear } from '../shared/subjectCatalog.js'
+
+// Staff class assignments: a staff member advises at most one class and can teach
+// subjects in any number of classes, across departments (H&S staff teach first
+// years everywhere). Recipients of class-level alerts and the classes a staff
+// member may act on are resolved from the active assignments.
+
+export const ASSIGNMENT_ROLES = ['class_advisor', 'subject_teacher']
+const YEARS = ['I', 'II', 'III', 'IV']
+
+const clean = (value) => (value ?? '').toString().trim()
+
+// Academic years run June to May: '2025-26' until the end of May 2026
+export function currentAcademicYear(date = new Date()) {
+  const start = date.getMonth() >= 5 ? date.getFullYear() : date.getFullYear() - 1
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`
+}
+
+// '2025-26' -> '2026-27'
+export function nextAcademicYear(academicYear) {
+  const start = parseInt(academicYear, 10)
+  if (Number.isNaN(start)) return currentAcademicYear()
+  return `${start + 1}-${String((start + 2) % 100).padStart(2, '0')}`
+}
+
+/**
+ * Validate one assignment from the assignments screen. Returns { error } or
+ * { assignment } with normalized class fields.
+ */
+export function validateAssignment(input = {}) {
+  const assignment = {
+    department: normalizeDepartment(clean(input.department)),
+    year: normalizeYear(clean(input.year)),
+    section: clean(input.section).toUpperCase(),
+    role: clean(input.role),
+    academicYear: clean(input.academicYear) || currentAcademicYear()
+  }
+  if (!ClassAssignment.schema.path('role').enumValues.includes(assignment.role)) {
+    return { error: `Role must be one of ${ASSIGNMENT_ROLES.join(', ')}` }
+  }
+  if (!assignment.department) return { error: 'Department is required' }
+  if (!YEARS.includes(assignment.year)) return { error: `Year must be one of ${YEARS.join(', ')}` }
+  if (!assignment.section) return { error: 'Section is required' }
+  if (assignment.role === 'subject_teacher') {
+    assignment.subjectCode = clean(input.subjectCode).toUpperCase()
+    assignment.subjectName = clean(input.subjectName)
+    if (!assignment.subjectCode && !assignment.subjectName) return { error: 'A subject teacher needs a subject' }
+  }
+  return { assignment }
+}
+
+/**
+ * Active assignments of a staff member, in the shape kept on req.user.classes.
+ */
+export function loadStaffClasses(staffId) {
+  return ClassAssignment.find({ staffId, active: true })
+    .select('-_id department year section role subjectCode subjectName')
+    .lean()
+}
+
+/**
+ * Staff of a class, class advisors first. `roles` narrows the assignment roles.
+ * Classes nobody has been assigned to yet fall back to the staff whose profile
+ * year and section match, as before assignments existed.
+ */
+export async function findClassStaff({ department, year, section } = {}, { roles = ASSIGNMENT_ROLES } = {}) {
+  const classFilter = {
+    department: normalizeDepartment(clean(department)),
+    year: { $in: getYearAliases(clean(year)) },
+    section: clean(section).toUpperCase()
+  }
+  const assignments = await ClassAssignment.find({ ...classFilter, active: true, role: { $in: roles } }).select('staffId role').lean()
+  if (assignments.length === 0) {
+    return User.find({ role: 'staff', ...classFilter }).lean()
+  }
+  const rank = new Map()
+  for (const { staffId, role } of assignments) {
+    const key = String(staffId)
+    rank.set(key, Math.min(rank.get(key) ?? 1, role === 'class_advisor' ? 0 : 1))
+  }
+  const staff = await User.find({ _id: { $in: [...rank.keys()] }, role: 'staff' }).lean()
+  return staff.sort((a, b) => rank.get(String(a._id)) - rank.get(String(b._id)))
+}
+
+/**
+ * The class advisor of a class, or null.
+ */
+export async function findClassAdvisor(classInfo) {
+  const [advisor] = await findClassStaff(classInfo, { roles: ['class_advisor'] })
+  return advisor || null
+}
+
+/**
+ * Keep the profile year and section equal to the class the staff member
+ * advises; code that predates assignments and the staff UI still read them.
+ */
+export async function syncAdvisedClass(staffId, { session } = {}) {
+  const advised = await ClassAssignment.findOne({ staffId, active: true, role: 'class_advisor' }).session(session || null).lean()
+  await User.updateOne(
+    { _id: staffId },
+    advised ? { $set: { year: advised.year, section: advised.section } } : { $unset: { year: '', section: '' } },
+    { session }
+  )
+}
@@ -0,0 +1,67 @@
+// Version-checked updates for records more than one person acts on (marksheets,
+// leave requests, staff approval requests). A record's version is its updatedAt
+// in milliseconds: reads send it as an ETag, and a writer sends it back in an
+// If-Match header (or `version` in the body). The write only goes through while
+// the record still has that version; otherwise the caller gets a 409 with the
+// current record so the page can merge or reload.
+
+// Error code of a write made against an outdated copy of the record
+export const VERSION_CONFLICT = 'VERSION_CONFLICT'
+
+export const versionOf = (doc) => (doc?.updatedAt ? String(new Date(doc.updatedAt).getTime()) : null)
+
+/**
+ * Send the record's version as an ETag.
+ */
+export function setVersionHeader(res, doc) {
+  const version = versionOf(doc)
+  if (version) res.set('ETag', `"${version}"`)
+}
+
+/**
+ * Version the client last saw, from If-Match or the body; null when it sent none.
+ */
+export function requestedVersion(req) {
+  const header = req.get?.('If-Match') || req.headers?.['if-match']
+  if (header && header !== '*') return header.replace(/^W\//, '').replace(/"/g, '').trim()
+  const version = req.body?.version
+  return version === undefined || version === null || version === '' ? null : String(version)
+}
+
+/**
+ * True when the client sent a version and the record has moved on since.
+ */
+export const isStale = (doc, req) => {
+  const expected = requestedVersion(req)
+  return expected !== null && expected !== versionOf(doc)
+}
+
+/**
+ * Filter that matches the record only while it is unchanged since it was read.
+ */
+export const unchangedFilter = (doc) => ({ _id: doc._id, updatedAt: doc.updatedAt ?? null })
+
+/**
+ * Make a loaded mongoose document's next save() fail with a
+ * DocumentNotFoundError if someone else saves the record first.
+ */
+export function guardSave(doc) {
+  doc.$where = { ...doc.$where, updatedAt: doc.updatedAt ?? null }
+  return doc
+}
+
+export const isSaveConflict = (err) => err?.name === 'DocumentNotFoundError'
+
+/**
+ * Send the 409 for a write against an outdated copy, with the current record.
+ */
+export function rejectStale(res, current, what = 'record') {
+  const doc = current?.toObject ? current.toObject() : current
+  return res.status(409).json({
+    success: false,
+    code: VERSION_CONFLICT,
+    error: `This ${what} was changed by someone else after you opened it. Review the latest version and try again.`,
+    current: doc,
+    version: versionOf(doc)
+  })
+}
@@ -0,0 +1,283 @@
+import cron from 'node-cron'
+import webpush from 'web-push'
+import { connectToDatabase } from './mongo.js'
+import { DispatchJob, Marksheet, User } from '../models.js'
+import { getUserSubscriptions, storeNotification } from './notificationService.js'
+import { acquireLease, releaseLease } from './schedulerLock.js'
+import { DISPATCHABLE_STATUSES, sendMarksheetWhatsApp, markMarksheetDispatched } from './marksheetDispatch.js'
+
+const LEASE_KEY = 'bulk-dispatch-jobs'
+const LEASE_TTL_MS = 2 * 60 * 1000
+const JOBS_PER_TICK = 10
+
+export const ACTIVE_JOB_STATUSES = ['queued', 'running']
+export const OPEN_JOB_STATUSES = ['queued', 'running', 'paused']
+export const MAX_JOB_ITEMS = 1000
+
+// Anti-spam pacing for WhatsApp bulk sends
+const MESSAGE_DELAY_MIN_MS = 6000
+const MESSAGE_DELAY_MAX_MS = 9000
+const COOL_DOWN_MIN_MS = 10000
+const COOL_DOWN_MAX_MS = 20000
+const COOL_DOWN_EVERY_MESSAGES = 10
+
+const MAX_ITEM_ATTEMPTS = 3
+const RETRY_BASE_MS = 30 * 1000
+
+if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+  webpush.setVapidDetails('mailto:academics@msec.edu', process.env.VAPID_PUBLIC_KEY, process.env.VAPID_PRIVATE_KEY)
+}
+
+async function sendUserNotification(userEmail, title, body, url) {
+  try {
+    const { subscriptions } = await getUserSubscriptions(userEmail)
+    const payload = JSON.stringify({ title, body, url })
+    const activeSubs = (subscriptions || []).filter(s => s.active === true || s.status === 'active')
+    await Promise.all(activeSubs.map(sub => webpush.sendNotification(sub.subscription || sub, payload).catch(() => {})))
+    await storeNotification({ userEmail, title, body, url })
+  } catch (err) {
+    console.error('Dispatch job notification error:', err.message)
+  }
+}
+
+const randomBetween = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min
+
+/**
+ * Client-facing shape of a job.
+ */
+export function serializeJob(job) {
+  if (!job) return null
+  const items = (job.items || []).map(item => ({
+    marksheetId: String(item.marksheetId),
+    studentName: item.studentName,
+    regNumber: item.regNumber,
+    status: item.status,
+    attempts: item.attempts || 0,
+    error: item.error || null,
+    sentAt: item.sentAt || null
+  }))
+  return {
+    id: String(job._id),
+    staffId: String(job.staffId),
+    status: job.status,
+    pauseReason: job.pauseReason || null,
+    total: job.total,
+    sent: job.sent,
+    failed: job.failed,
+    skipped: job.skipped,
+    processed: job.sent + job.failed + job.skipped,
+    nextRunAt: job.nextRunAt,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    finishedAt: job.finishedAt || null,
+    items
+  }
+}
+
+/**
+ * Queue a bulk send. `marksheets` must already be access-checked by the caller.
+ */
+export async function createDispatchJob({ staffId, marksheets, baseUrl }) {
+  const job = await DispatchJob.create({
+    staffId,
+    baseUrl: baseUrl || undefined,
+    items: marksheets.map(m => ({
+      marksheetId: m._id,
+      studentName: m.studentDetails?.name,
+      regNumber: m.studentDetails?.regNumber
+    })),
+    total: marksheets.length,
+    nextRunAt: new Date()
+  })
+  return job
+}
+
+export function pauseDispatchJob(jobId, reason = 'Paused by user') {
+  return DispatchJob.findOneAndUpdate(
+    { _id: jobId, status: { $in: ACTIVE_JOB_STATUSES } },
+    { $set: { status: 'paused', pauseReason: reason, updatedAt: new Date() } },
+    { new: true }
+  ).lean()
+}
+
+export function resumeDispatchJob(jobId) {
+  return DispatchJob.findOneAndUpdate(
+    { _id: jobId, status: 'paused' },
+    { $set: { status: 'running', pauseReason: null, nextRunAt: new Date(), updatedAt: new Date() } },
+    { new: true }
+  ).lean()
+}
+
+export function cancelDispatchJob(jobId) {
+  return DispatchJob.findOneAndUpdate(
+    { _id: jobId, status: { $in: OPEN_JOB_STATUSES } },
+    { $set: { status: 'cancelled', pauseReason: null, finishedAt: new Date(), updatedAt: new Date() } },
+    { new: true }
+  ).lean()
+}
+
+async function finishJob(job) {
+  const done = await DispatchJob.findOneAndUpdate(
+    { _id: job._id, status: { $in: ACTIVE_JOB_STATUSES } },
+    { $set: { status: 'completed', finishedAt: new Date(), updatedAt: new Date() } },
+    { new: true }
+  ).lean()
+  if (!done) return
+
+  try {
+    const staff = await User.findById(done.staffId).select('email').lean()
+    if (staff?.email) {
+      const successRate = done.total > 0 ? ((done.sent / done.total) * 100).toFixed(0) : '0'
+      await sendUserNotification(
+        staff.email,
+        '📦 Bulk Dispatch Complete',
+        `Dispatched ${done.sent} of ${done.total} marksheets (${successRate}% success rate). ${done.failed > 0 ? `${done.failed} failed.` : ''}`,
+        '/dispatch-requests'
+      )
+    }
+  } catch {}
+}
+
+// Only item fields and counters are written here, never `status`, so a pause or
+// cancel issued through the API while a send is in flight is never overwritten.
+function updateItem(job, item, set, inc = {}) {
+  const $set = { updatedAt: new Date() }
+  for (const [key, value] of Object.entries(set)) {
+    $set[key.startsWith('job.') ? key.slice(4) : `items.$.${key}`] = value
+  }
+  return DispatchJob.updateOne({ _id: job._id, 'items._id': item._id }, { $set, ...(Object.keys(inc).length ? { $inc: inc } : {}) })
+}
+
+/**
+ * Send the next due item of one job and schedule the following one.
+ */
+async function processNextItem(job) {
+  const now = Date.now()
+  const pending = job.items.filter(item => item.status === 'pending')
+  if (pending.length === 0) {
+    await finishJob(job)
+    return
+  }
+
+  const item = pending.find(i => !i.nextAttemptAt || new Date(i.nextAttemptAt).getTime() <= now)
+  if (!item) {
+    // Everything left is waiting for a retry
+    const nextRetry = Math.min(...pending.map(i => new Date(i.nextAttemptAt).getTime()))
+    await DispatchJob.updateOne({ _id: job._id, status: { $in: ACTIVE_JOB_STATUSES } }, { $set: { nextRunAt: new Date(nextRetry) } })
+    return
+  }
+
+  if (job.status === 'queued') {
+    await DispatchJob.updateOne({ _id: job._id, status: 'queued' }, { $set: { status: 'running', startedAt: new Date() } })
+  }
+
+  const marksheet = await Marksheet.findById(item.marksheetId)
+  if (!marksheet || !DISPATCHABLE_STATUSES.includes(marksheet.status)) {
+    await updateItem(job, item, {
+      status: 'skipped',
+      error: marksheet ? 'Marksheet is no longer approved for dispatch' : 'Marksheet not found'
+    }, { skipped: 1 })
+    return
+  }
+
+  // Counted before sending: after a crash mid-send the item is retried, never lost
+  const attempts = (item.attempts || 0) + 1
+  await updateItem(job, item, { attempts })
+
+  let delayMs
+  try {
+    await sendMarksheetWhatsApp(marksheet, { baseUrl: job.baseUrl || undefined })
+    await markMarksheetDispatched(marksheet._id, {}, { actor: { userId: job.staffId }, comments: 'Sent by bulk dispatch' })
+
+    const cooldown = (job.sendsSinceCooldown || 0) + 1 >= COOL_DOWN_EVERY_MESSAGES
+    delayMs = cooldown ? randomBetween(COOL_DOWN_MIN_MS, COOL_DOWN_MAX_MS) : randomBetween(MESSAGE_DELAY_MIN_MS, MESSAGE_DELAY_MAX_MS)
+    await updateItem(job, item, {
+      status: 'sent',
+      sentAt: new Date(),
+      error: null,
+      nextAttemptAt: null,
+      'job.nextRunAt': new Date(Date.now() + delayMs),
+      ...(cooldown ? { 'job.sendsSinceCooldown': 0 } : {})
+    }, { sent: 1, ...(cooldown ? {} : { sendsSinceCooldown: 1 }) })
+    return
+  } catch (err) {
+    const message = err?.message || 'WhatsApp dispatch failed'
+
+    // A logged-out instance fails every item the same way: hold the job until the staff reconnects
+    if (err?.isConnectionError || err?.code === 'DEVICE_REMOVED' || err?.code === 'INSTANCE_NOT_CONNECTED') {
+      await updateItem(job, item, { attempts: attempts - 1, error: message })
+      await pauseDispatchJob(job._id, message)
+      return
+    }
+
+    await Marksheet.findByIdAndUpdate(marksheet._id, {
+      'dispatchStatus.whatsappStatus': 'failed',
+      'dispatchStatus.whatsappError': message,
+      updatedAt: new Date()
+    })
+
+    delayMs = randomBetween(MESSAGE_DELAY_MIN_MS, MESSAGE_DELAY_MAX_MS)
+    if (err?.retryable === false || attempts >= MAX_ITEM_ATTEMPTS) {
+      await updateItem(job, item, { status: 'failed', error: message, nextAttemptAt: null, 'job.nextRunAt': new Date(Date.now() + delayMs) }, { failed: 1 })
+    } else {
+      await updateItem(job, item, {
+        error: message,
+        nextAttemptAt: new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1)),
+        'job.nextRunAt': new Date(Date.now() + delayMs)
+      })
+    }
+  }
+}
+
+let tickRunning = false
+
+/**
+ * One worker pass: advance every due job by one item. Only the lease holder works,
+ * so several server instances never send the same job twice.
+ */
+export async function runDispatchJobTick() {
+  if (tickRunning) return
+  tickRunning = true
+  try {
+    await connectToDatabase()
+    const hasWork = await DispatchJob.exists({ status: { $in: ACTIVE_JOB_STATUSES }, nextRunAt: { $lte: new Date() } })
+    if (!hasWork) return
+    if (!(await acquireLease(LEASE_KEY, LEASE_TTL_MS))) return
+
+    try {
+      const jobs = await DispatchJob.find({ status: { $in: ACTIVE_JOB_STATUSES }, nextRunAt: { $lte: new Date() } })
+        .sort({ nextRunAt: 1 })
+        .limit(JOBS_PER_TICK)
+        .lean()
+
+      for (const job of jobs) {
+        if (!(await acquireLease(LEASE_KEY, LEASE_TTL_MS))) break
+        try {
+          await processNextItem(job)
+        } catch (err) {
+          console.error(`Dispatch job ${job._id} step failed:`, err.message)
+        }
+      }
+    } finally {
+      await releaseLease(LEASE_KEY).catch(() => {})
+    }
+  } catch (err) {
+    console.error('Dispatch job worker run failed:', err.message)
+  } finally {
+    tickRunning = false
+  }
+}
+
+/**
+ * Start polling for queued bulk dispatch jobs (every 2 seconds). Jobs live in Mongo,
+ * so anything interrupted by a restart carries on from its next pending item.
+ */
+export function startDispatchJobWorker() {
+  if (String(process.env.DISPATCH_JOB_WORKER_ENABLED || 'true').toLowerCase() === 'false') {
+    console.log('📦 Bulk dispatch worker disabled (DISPATCH_JOB_WORKER_ENABLED=false)')
+    return null
+  }
+  const task = cron.schedule('*/2 * * * * *', runDispatchJobTick, { name: LEASE_KEY, noOverlap: true })
+  console.log('📦 Bulk dispatch worker running')
+  return task
+}
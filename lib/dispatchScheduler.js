@@ -0,0 +1,302 @@
+import cron from 'node-cron'
+import webpush from 'web-push'
+import { connectToDatabase } from './mongo.js'
+import { Marksheet, User } from '../models.js'
+import { getUserSubscriptions, storeNotification } from './notificationService.js'
+import { acquireLease, releaseLease } from './schedulerLock.js'
+import { sendMarksheetWhatsApp, markMarksheetDispatched } from './marksheetDispatch.js'
+import { resolveCalendar } from './academicCalendar.js'
+import { campusDayKey, holidayOn } from '../shared/calendar.js'
+
+const LEASE_KEY = 'scheduled-marksheet-dispatch'
+const LEASE_TTL_MS = 5 * 60 * 1000
+const BATCH_SIZE = 25
+const SEND_INTERVAL_MS = 1000
+
+const readNumber = (name, fallback) => {
+  const value = Number(process.env[name])
+  return Number.isFinite(value) && value > 0 ? value : fallback
+}
+
+const REMINDER_LEAD_MINUTES = readNumber('DISPATCH_REMINDER_LEAD_MINUTES', 60)
+export const MAX_ATTEMPTS = readNumber('DISPATCH_MAX_ATTEMPTS', 5)
+const RETRY_BASE_SECONDS = readNumber('DISPATCH_RETRY_BASE_SECONDS', 60)
+const RETRY_MAX_SECONDS = readNumber('DISPATCH_RETRY_MAX_SECONDS', 60 * 60)
+
+if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+  webpush.setVapidDetails('mailto:academics@msec.edu', process.env.VAPID_PUBLIC_KEY, process.env.VAPID_PRIVATE_KEY)
+}
+
+async function sendUserNotification(userEmail, title, body, url) {
+  try {
+    const { subscriptions } = await getUserSubscriptions(userEmail)
+    const payload = JSON.stringify({ title, body, url })
+    const activeSubs = (subscriptions || []).filter(s => s.active === true || s.status === 'active')
+    await Promise.all(activeSubs.map(sub => webpush.sendNotification(sub.subscription || sub, payload).catch(() => {})))
+    await storeNotification({ userEmail, title, body, url })
+  } catch (err) {
+    console.error('Scheduler notification error:', err.message)
+  }
+}
+
+const formatIST = (date) => new Date(date).toLocaleString('en-IN', {
+  timeZone: 'Asia/Kolkata',
+  day: '2-digit',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit'
+})
+
+/**
+ * Exponential backoff for the attempt that just failed (1-based), capped at RETRY_MAX_SECONDS.
+ */
+export function getRetryDelayMs(attempt) {
+  const seconds = Math.min(RETRY_MAX_SECONDS, RETRY_BASE_SECONDS * 2 ** Math.max(0, attempt - 1))
+  return seconds * 1000
+}
+
+// Group marksheets by staff/HOD so each person gets one message per run
+async function notifyStaffAndHod(marksheets, buildMessage) {
+  const byUser = new Map()
+  for (const sheet of marksheets) {
+    for (const [userId, url] of [[sheet.staffId, '/dispatch-requests'], [sheet.hodId, '/approval-requests']]) {
+      if (!userId) continue
+      const key = String(userId)
+      if (!byUser.has(key)) byUser.set(key, { url, sheets: [] })
+      byUser.get(key).sheets.push(sheet)
+    }
+  }
+  if (byUser.size === 0) return
+
+  const users = await User.find({ _id: { $in: [...byUser.keys()] } }).select('email').lean()
+  for (const user of users) {
+    if (!user.email) continue
+    const { url, sheets } = byUser.get(String(user._id))
+    const { title, body } = buildMessage(sheets)
+    await sendUserNotification(user.email, title, body, url)
+  }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Move rescheduled marksheets due on a holiday in the department's academic
+ * calendar to the same time on the next day that is not one, and tell staff
+ * and HOD. Runs before the reminders so they name the new time.
+ */
+export async function deferHolidayDispatches(now = new Date()) {
+  const horizon = new Date(now.getTime() + REMINDER_LEAD_MINUTES * 60 * 1000)
+  const upcoming = await Marksheet.find({
+    status: 'rescheduled_by_hod',
+    'dispatchRequest.scheduledDispatchDate': { $ne: null, $lte: horizon },
+    'dispatchRequest.autoDispatched': { $ne: true },
+    'dispatchRequest.autoDispatchFailed': { $ne: true }
+  })
+    .select('_id staffId hodId studentDetails.name studentDetails.department dispatchRequest.scheduledDispatchDate')
+    .lean()
+
+  const deferred = []
+  for (const sheet of upcoming) {
+    const calendar = await resolveCalendar(sheet.studentDetails?.department)
+    const scheduled = new Date(sheet.dispatchRequest.scheduledDispatchDate)
+    const holiday = holidayOn(campusDayKey(scheduled), calendar)
+    if (!holiday) continue
+    let days = 1
+    while (days <= 366 && holidayOn(campusDayKey(new Date(scheduled.getTime() + days * DAY_MS)), calendar)) days++
+    if (days > 366) continue
+    const movedTo = new Date(scheduled.getTime() + days * DAY_MS)
+    await Marksheet.updateOne(
+      { _id: sheet._id, 'dispatchRequest.scheduledDispatchDate': sheet.dispatchRequest.scheduledDispatchDate },
+      { $set: { 'dispatchRequest.scheduledDispatchDate': movedTo, 'dispatchRequest.preDispatchNotificationSent': false, updatedAt: new Date() } }
+    )
+    deferred.push({ ...sheet, holiday, movedTo })
+  }
+  if (deferred.length === 0) return 0
+
+  await notifyStaffAndHod(deferred, (sheets) => ({
+    title: '📅 Scheduled dispatch moved',
+    body: sheets.length === 1
+      ? `${sheets[0].holiday.name || 'A holiday'} falls on the scheduled day, so the marksheet for ${sheets[0].studentDetails?.name || 'a student'} will be sent at ${formatIST(sheets[0].movedTo)} instead.`
+      : `${sheets.length} scheduled marksheets fell on a holiday and were moved to the next day without one.`
+  }))
+  return deferred.length
+}
+
+/**
+ * Remind staff and HOD about rescheduled marksheets going out within the reminder lead time.
+ */
+export async function sendPreDispatchReminders(now = new Date()) {
+  const horizon = new Date(now.getTime() + REMINDER_LEAD_MINUTES * 60 * 1000)
+  const upcoming = await Marksheet.find({
+    status: 'rescheduled_by_hod',
+    'dispatchRequest.scheduledDispatchDate': { $ne: null, $lte: horizon },
+    'dispatchRequest.preDispatchNotificationSent': { $ne: true }
+  })
+    .select('_id staffId hodId studentDetails.name dispatchRequest.scheduledDispatchDate')
+    .lean()
+
+  if (upcoming.length === 0) return 0
+
+  await notifyStaffAndHod(upcoming, (sheets) => {
+    const earliest = sheets.reduce((min, s) => Math.min(min, new Date(s.dispatchRequest.scheduledDispatchDate).getTime()), Infinity)
+    return {
+      title: '⏰ Scheduled dispatch coming up',
+      body: sheets.length === 1
+        ? `Marksheet for ${sheets[0].studentDetails?.name || 'a student'} will be sent to parents via WhatsApp at ${formatIST(earliest)}.`
+        : `${sheets.length} marksheets will be sent to parents via WhatsApp starting ${formatIST(earliest)}.`
+    }
+  })
+
+  await Marksheet.updateMany(
+    { _id: { $in: upcoming.map(s => s._id) } },
+    { $set: { 'dispatchRequest.preDispatchNotificationSent': true, updatedAt: new Date() } }
+  )
+  return upcoming.length
+}
+
+/**
+ * Send every rescheduled marksheet whose scheduled time (and retry time) has arrived.
+ */
+export async function dispatchDueMarksheets(now = new Date()) {
+  const dueFilter = (at) => ({
+    status: 'rescheduled_by_hod',
+    'dispatchRequest.scheduledDispatchDate': { $ne: null, $lte: at },
+    'dispatchRequest.autoDispatched': { $ne: true },
+    'dispatchRequest.autoDispatchFailed': { $ne: true },
+    $or: [
+      { 'dispatchRequest.nextDispatchAttemptAt': null },
+      { 'dispatchRequest.nextDispatchAttemptAt': { $lte: at } }
+    ]
+  })
+
+  const due = await Marksheet.find(dueFilter(now))
+    .select('_id')
+    .sort({ 'dispatchRequest.scheduledDispatchDate': 1 })
+    .limit(BATCH_SIZE)
+    .lean()
+
+  const summary = { dispatched: 0, retrying: 0, failed: 0 }
+  const dispatched = []
+  const failed = []
+
+  for (const { _id } of due) {
+    // Stop if another instance took over the lease (e.g. this one stalled past the TTL)
+    if (!(await acquireLease(LEASE_KEY, LEASE_TTL_MS))) break
+
+    // Claim the attempt; skips marksheets dispatched or re-decided since the query above
+    const marksheet = await Marksheet.findOneAndUpdate(
+      { _id, ...dueFilter(new Date()) },
+      { $inc: { 'dispatchRequest.dispatchAttempts': 1 }, $set: { 'dispatchRequest.lastDispatchAttemptAt': new Date(), updatedAt: new Date() } },
+      { new: true }
+    )
+    if (!marksheet) continue
+
+    const attempt = marksheet.dispatchRequest?.dispatchAttempts || 1
+    try {
+      await sendMarksheetWhatsApp(marksheet)
+      const sentAt = new Date()
+      await markMarksheetDispatched(marksheet._id, {
+        'dispatchRequest.status': 'dispatched',
+        'dispatchRequest.autoDispatched': true,
+        'dispatchRequest.dispatchedAt': sentAt,
+        'dispatchRequest.dispatchError': null,
+        'dispatchRequest.nextDispatchAttemptAt': null
+      }, { comments: 'Sent automatically at the HOD-scheduled time' })
+      summary.dispatched++
+      dispatched.push(marksheet)
+    } catch (err) {
+      const message = err?.message || 'WhatsApp dispatch failed'
+      const giveUp = err?.retryable === false || attempt >= MAX_ATTEMPTS
+      const update = {
+        'dispatchStatus.whatsappStatus': 'failed',
+        'dispatchStatus.whatsappError': message,
+        'dispatchRequest.dispatchError': message,
+        updatedAt: new Date()
+      }
+      if (giveUp) {
+        update['dispatchRequest.autoDispatchFailed'] = true
+        update['dispatchRequest.nextDispatchAttemptAt'] = null
+        summary.failed++
+        failed.push({ ...marksheet.toObject(), dispatchError: message })
+      } else {
+        update['dispatchRequest.nextDispatchAttemptAt'] = new Date(Date.now() + getRetryDelayMs(attempt))
+        summary.retrying++
+      }
+      await Marksheet.updateOne({ _id: marksheet._id }, { $set: update })
+      console.error(`Scheduled dispatch failed for ${marksheet._id} (attempt ${attempt}/${MAX_ATTEMPTS}${giveUp ? ', giving up' : ''}):`, message)
+    }
+
+    await new Promise(resolve => setTimeout(resolve, SEND_INTERVAL_MS))
+  }
+
+  if (dispatched.length > 0) {
+    await notifyStaffAndHod(dispatched, (sheets) => ({
+      title: '📨 Scheduled dispatch complete',
+      body: sheets.length === 1
+        ? `Marksheet for ${sheets[0].studentDetails?.name || 'a student'} was sent to parents via WhatsApp as scheduled.`
+        : `${sheets.length} scheduled marksheets were sent to parents via WhatsApp.`
+    }))
+  }
+  if (failed.length > 0) {
+    await notifyStaffAndHod(failed, (sheets) => ({
+      title: '❌ Scheduled dispatch failed',
+      body: sheets.length === 1
+        ? `Marksheet for ${sheets[0].studentDetails?.name || 'a student'} could not be sent: ${sheets[0].dispatchError}. Please send it manually.`
+        : `${sheets.length} scheduled marksheets could not be sent. Please review them in dispatch requests.`
+    }))
+  }
+
+  return summary
+}
+
+let tickRunning = false
+
+/**
+ * One scheduler run: take the Mongo lease, move sends off holidays, send reminders, dispatch due marksheets.
+ * Safe to call from several server instances; only the lease holder does any work.
+ */
+export async function runDispatchSchedulerTick() {
+  if (tickRunning) return { skipped: 'running' }
+  tickRunning = true
+  try {
+    await connectToDatabase()
+    if (!(await acquireLease(LEASE_KEY, LEASE_TTL_MS))) return { skipped: 'locked' }
+    try {
+      const deferred = await deferHolidayDispatches()
+      const reminders = await sendPreDispatchReminders()
+      const result = await dispatchDueMarksheets()
+      if (deferred || reminders || result.dispatched || result.retrying || result.failed) {
+        console.log('⏱️ Scheduled dispatch run:', { deferred, reminders, ...result })
+      }
+      return { deferred, reminders, ...result }
+    } finally {
+      await releaseLease(LEASE_KEY).catch(() => {})
+    }
+  } catch (err) {
+    console.error('Scheduled dispatch run failed:', err.message)
+    return { error: err.message }
+  } finally {
+    tickRunning = false
+  }
+}
+
+/**
+ * Start the cron job. Disabled with DISPATCH_SCHEDULER_ENABLED=false;
+ * schedule overridable via DISPATCH_SCHEDULER_CRON (default: every minute).
+ */
+export function startDispatchScheduler() {
+  if (String(process.env.DISPATCH_SCHEDULER_ENABLED || 'true').toLowerCase() === 'false') {
+    console.log('⏱️ Scheduled dispatch worker disabled (DISPATCH_SCHEDULER_ENABLED=false)')
+    return null
+  }
+
+  const expression = process.env.DISPATCH_SCHEDULER_CRON || '* * * * *'
+  if (!cron.validate(expression)) {
+    console.error(`❌ Invalid DISPATCH_SCHEDULER_CRON "${expression}"; scheduled dispatch worker not started`)
+    return null
+  }
+
+  const task = cron.schedule(expression, runDispatchSchedulerTick, { name: LEASE_KEY, noOverlap: true })
+  console.log(`⏱️ Scheduled dispatch worker running (${expression})`)
+  return task
+}
@@ -0,0 +1,79 @@
+import { ElectiveChoice } from '../models.js'
+import { normalizeDepartment, normalizeSemester, normalizeSubjectKey, splitSubjectLabel } from '../shared/subjectCatalog.js'
+
+const clean = (value) => (value ?? '').toString().trim()
+
+export const regNumberKey = (regNumber) => clean(regNumber).toUpperCase()
+
+/**
+ * Stored elective choices of one semester, keyed by upper-cased register number.
+ * Used by the Excel import to resolve elective slot columns row by row.
+ */
+export async function getElectiveChoiceMap({ department, semester } = {}) {
+  const semesterKey = normalizeSemester(clean(semester))
+  if (!semesterKey) return new Map()
+  const filter = { semester: semesterKey }
+  if (department) filter.department = normalizeDepartment(department)
+  const docs = await ElectiveChoice.find(filter).select('regNumber choices').lean()
+  return new Map(docs.map((doc) => [regNumberKey(doc.regNumber), doc.choices || []]))
+}
+
+// Choices of one student for a semester (empty when none are recorded)
+export async function findElectiveChoices({ regNumber, semester } = {}) {
+  const semesterKey = normalizeSemester(clean(semester))
+  if (!regNumber || !semesterKey) return []
+  const doc = await ElectiveChoice.findOne({ regNumber: clean(regNumber), semester: semesterKey }).select('choices').lean()
+  return doc?.choices || []
+}
+
+/**
+ * Resolve the course entered for a slot ("CODE - Name", a code or a course name)
+ * against the slot's offerings from getElectiveSlots. Slots without offerings in
+ * the catalog accept any course given as code and name. Returns { choice } or { error }.
+ */
+export function resolveElectiveCourse(slot, value) {
+  const raw = typeof value === 'object' && value !== null
+    ? [clean(value.code), clean(value.name)].filter(Boolean).join(' - ')
+    : clean(value)
+  if (!raw) return { choice: null }
+
+  const parsed = splitSubjectLabel(raw)
+  if (slot.options.length > 0) {
+    const key = normalizeSubjectKey(parsed.name || raw)
+    const option = slot.options.find((offered) => (
+      (parsed.code && offered.code === parsed.code) ||
+      (!!key && normalizeSubjectKey(offered.name) === key)
+    ))
+    if (!option) return { error: `"${raw}" is not offered for ${slot.slot}` }
+    const credits = option.credits ?? slot.credits
+    return { choice: { slot: slot.slot, code: option.code, name: option.name, ...(typeof credits === 'number' ? { credits } : {}) } }
+  }
+
+  if (!parsed.code || !parsed.name) {
+    return { error: `${slot.slot}: enter the course as "CODE - Course name"` }
+  }
+  return {
+    choice: { slot: slot.slot, code: parsed.code, name: parsed.name, ...(typeof slot.credits === 'number' ? { credits: slot.credits } : {}) }
+  }
+}
+
+/**
+ * Validate one student's choices ({ slot, code, name } or { slot, course }) for the
+ * semester's elective slots. Returns { error } or { choices } with blanks dropped.
+ */
+export function validateElectiveChoices(choices, slots = []) {
+  if (!Array.isArray(choices)) return { error: 'choices must be a list' }
+  const resolved = []
+  const seen = new Set()
+  for (const entry of choices) {
+    const key = normalizeSubjectKey(entry?.slot)
+    const slot = slots.find((candidate) => normalizeSubjectKey(candidate.slot) === key)
+    if (!slot) return { error: `"${clean(entry?.slot)}" is not an elective slot of this semester` }
+    if (seen.has(key)) return { error: `${slot.slot} is chosen twice` }
+    seen.add(key)
+    const { choice, error } = resolveElectiveCourse(slot, entry.course ?? { code: entry.code, name: entry.name })
+    if (error) return { error }
+    if (choice) resolved.push(choice)
+  }
+  return { choices: resolved }
+}
@@ -0,0 +1,136 @@
+import { GradingScheme } from '../models.js'
+import { DEFAULT_GRADING_SCHEME, calculateResult } from '../shared/grading.js'
+import { inferRegulation, normalizeDepartment } from '../shared/subjectCatalog.js'
+import { getSubjectCatalog } from './subjectCatalog.js'
+
+const CACHE_TTL_MS = 60 * 1000
+const schemeCache = new Map()
+
+export const ALL_DEPARTMENTS = 'ALL'
+
+export function clearGradingSchemeCache() {
+  schemeCache.clear()
+}
+
+/**
+ * Grading scheme for a department and regulation. Looks for a department
+ * scheme, then the institution-wide ('ALL') scheme for the regulation, and
+ * falls back to the built-in default.
+ */
+export async function resolveGradingScheme({ department, regulation } = {}) {
+  const dept = normalizeDepartment(department || '')
+  const reg = (regulation || DEFAULT_GRADING_SCHEME.regulation).toString().trim().toUpperCase()
+  const cacheKey = `${dept}|${reg}`
+  const cached = schemeCache.get(cacheKey)
+  if (cached && cached.expiresAt > Date.now()) return cached.scheme
+
+  const candidates = await GradingScheme.find({
+    regulation: reg,
+    department: { $in: dept ? [dept, ALL_DEPARTMENTS] : [ALL_DEPARTMENTS] },
+    isActive: true
+  }).lean()
+  const scheme = candidates.find(s => s.department === dept)
+    || candidates.find(s => s.department === ALL_DEPARTMENTS)
+    || DEFAULT_GRADING_SCHEME
+
+  schemeCache.set(cacheKey, { scheme, expiresAt: Date.now() + CACHE_TTL_MS })
+  return scheme
+}
+
+/**
+ * Grade a marksheet's subjects with the scheme for its department/regulation and
+ * return the fields to store on the marksheet. The regulation is read from the
+ * course codes when the caller does not know it.
+ */
+export async function gradeMarksheetSubjects(subjects = [], { department, regulation } = {}) {
+  const reg = regulation || inferRegulation(subjects) || DEFAULT_GRADING_SCHEME.regulation
+  const scheme = await resolveGradingScheme({ department, regulation: reg })
+  const catalog = await getSubjectCatalog({ regulation: reg })
+  const result = calculateResult(subjects, scheme, { catalog })
+  return {
+    subjects: result.subjects,
+    overallResult: result.overallResult,
+    sgpa: result.sgpa,
+    totalCredits: result.totalCredits,
+    earnedCredits: result.earnedCredits,
+    regulation: reg,
+    gradingScheme: {
+      schemeId: scheme._id || null,
+      name: scheme.name,
+      regulation: scheme.regulation,
+      passMarks: scheme.passMarks
+    }
+  }
+}
+
+/**
+ * Validate a grading scheme payload. Returns { error } or { scheme } with
+ * normalized fields ready to save.
+ */
+export function validateGradingScheme(input = {}) {
+  const name = (input.name || '').toString().trim()
+  const department = normalizeDepartment(input.department || '')
+  const regulation = (input.regulation || '').toString().trim().toUpperCase()
+  if (!name || !department || !regulation) {
+    return { error: 'name, department and regulation are required' }
+  }
+
+  const maxMarks = Number(input.maxMarks ?? DEFAULT_GRADING_SCHEME.maxMarks)
+  const passMarks = Number(input.passMarks)
+  if (!Number.isFinite(maxMarks) || maxMarks <= 0) return { error: 'maxMarks must be a positive number' }
+  if (!Number.isFinite(passMarks) || passMarks <= 0 || passMarks > maxMarks) {
+    return { error: `passMarks must be between 1 and ${maxMarks}` }
+  }
+
+  const bands = Array.isArray(input.gradeBands) ? input.gradeBands : []
+  if (bands.length === 0) return { error: 'At least one grade band is required' }
+  const gradeBands = []
+  for (const band of bands) {
+    const grade = (band?.grade || '').toString().trim().toUpperCase()
+    const minMarks = Number(band?.minMarks)
+    const gradePoints = Number(band?.gradePoints)
+    if (!grade || !Number.isFinite(minMarks) || !Number.isFinite(gradePoints)) {
+      return { error: 'Each grade band needs a grade, minMarks and gradePoints' }
+    }
+    if (minMarks < passMarks || minMarks > maxMarks) {
+      return { error: `Grade ${grade} must start between the pass mark (${passMarks}) and ${maxMarks}` }
+    }
+    if (gradePoints < 0 || gradePoints > 10) return { error: `Grade points for ${grade} must be between 0 and 10` }
+    gradeBands.push({ grade, minMarks, gradePoints })
+  }
+  gradeBands.sort((a, b) => b.minMarks - a.minMarks)
+  if (new Set(gradeBands.map(b => b.grade)).size !== gradeBands.length) return { error: 'Grade names must be unique' }
+  if (new Set(gradeBands.map(b => b.minMarks)).size !== gradeBands.length) return { error: 'Grade bands must start at different marks' }
+  if (gradeBands[gradeBands.length - 1].minMarks !== passMarks) {
+    return { error: 'The lowest grade band must start at the pass mark' }
+  }
+
+  const defaultCredits = Number(input.defaultCredits ?? DEFAULT_GRADING_SCHEME.defaultCredits)
+  if (!Number.isFinite(defaultCredits) || defaultCredits < 0) return { error: 'defaultCredits must be zero or more' }
+
+  const subjectCredits = []
+  for (const entry of Array.isArray(input.subjectCredits) ? input.subjectCredits : []) {
+    const subjectCode = (entry?.subjectCode || '').toString().trim().toUpperCase()
+    const credits = Number(entry?.credits)
+    if (!subjectCode || !Number.isFinite(credits) || credits < 0) {
+      return { error: 'Each subject credit needs a subjectCode and credits of zero or more' }
+    }
+    subjectCredits.push({ subjectCode, credits })
+  }
+
+  return {
+    scheme: {
+      name,
+      department,
+      regulation,
+      maxMarks,
+      passMarks,
+      gradeBands,
+      failGrade: (input.failGrade || DEFAULT_GRADING_SCHEME.failGrade).toString().trim().toUpperCase(),
+      absentGrade: (input.absentGrade || DEFAULT_GRADING_SCHEME.absentGrade).toString().trim().toUpperCase(),
+      defaultCredits,
+      subjectCredits,
+      isActive: input.isActive !== false
+    }
+  }
+}
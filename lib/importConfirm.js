@@ -0,0 +1,249 @@
+import { ImportSession, Marksheet, MarksheetAuditEvent, Student } from '../models.js'
+import { auditEventDocs, diffMarksheet } from './marksheetAudit.js'
+import { gradeMarksheetSubjects } from './gradingSchemes.js'
+import { canAccessMarksheet } from './permissions.js'
+import { isImportLocked } from './importDiff.js'
+import { classLabel, historyEntry } from './roster.js'
+import { runInTransaction } from './mongo.js'
+
+// Confirming an import session: every row is checked and validated first, then
+// all Student and Marksheet writes go to MongoDB as bulk operations inside one
+// transaction, together with the audit events and marking the session
+// processed. Either the whole session is imported or nothing is; a standalone
+// mongod, which has no transactions, gets a clear error before any write.
+
+// A confirm that died without finishing (its transaction rolled back) can be claimed again after this long
+export const CONFIRM_STALE_MS = 10 * 60 * 1000
+
+// Error code of a commit that found a marksheet changed since it was planned
+export const IMPORT_CONFLICT = 'IMPORT_CONFLICT'
+
+// Per-row choice from the preview, keyed by register number; rows left out keep the suggested action
+export const chosenImportAction = (row, actions) => actions?.[row.regNumber] || row.defaultAction || 'create'
+
+/**
+ * Take the session for one confirm. Only a pending session, one whose last
+ * confirm failed, or one stuck processing past CONFIRM_STALE_MS can be taken,
+ * so a double click never imports twice. Returns the claimed session or null.
+ */
+export function claimImportSession(sessionId, idempotencyKey) {
+  return ImportSession.findOneAndUpdate(
+    {
+      sessionId,
+      $or: [
+        { status: { $in: ['pending', 'error'] } },
+        { status: 'processing', processingStartedAt: { $lt: new Date(Date.now() - CONFIRM_STALE_MS) } }
+      ]
+    },
+    { $set: { status: 'processing', idempotencyKey: idempotencyKey || null, processingStartedAt: new Date() } },
+    { new: true }
+  )
+}
+
+/**
+ * Release a claimed session after a failed commit so it can be confirmed again.
+ */
+export function releaseImportSession(session, errorMessage) {
+  return ImportSession.updateOne(
+    { _id: session._id, status: 'processing', processingStartedAt: session.processingStartedAt },
+    { $set: { status: 'error' }, $push: { errorMessages: `Confirm failed: ${errorMessage}` } }
+  )
+}
+
+const studentDetailsOf = (row) => ({
+  name: row.name,
+  year: row.year,
+  section: row.section,
+  parentPhoneNumber: row.parentPhoneNumber,
+  attendance: row.attendance,
+  examinationName: row.examinationName,
+  examinationDate: row.examinationDate
+})
+
+/**
+ * Work out the writes for a session without changing anything. Rows that
+ * cannot be applied (marksheet gone, not the user's, dispatched, invalid data)
+ * become failed results; the rest become bulk operations and audit events.
+ */
+export async function planImportConfirm(session, { actions, user, staff }) {
+  const rows = session.studentsData.map((row) => (row.toObject ? row.toObject() : row))
+  const updateIds = rows
+    .filter((row) => chosenImportAction(row, actions) === 'update')
+    .map((row) => row.existingMarksheetId)
+  const [existingMarksheets, students] = await Promise.all([
+    updateIds.length ? Marksheet.find({ _id: { $in: updateIds } }).lean() : [],
+    Student.find({ regNumber: { $in: rows.map((row) => row.regNumber) } }).lean()
+  ])
+  const marksheetsById = new Map(existingMarksheets.map((marksheet) => [String(marksheet._id), marksheet]))
+  const studentsByReg = new Map(students.map((student) => [student.regNumber, student]))
+
+  const plan = { results: [], studentOps: [], newMarksheets: [], marksheetOps: [], auditEvents: [] }
+  const fail = (row, error) => plan.results.push({ rowNum: row.rowNum, regNumber: row.regNumber, name: row.name, status: 'failed', error })
+
+  for (const row of rows) {
+    const rowAction = chosenImportAction(row, actions)
+    if (rowAction === 'skip') {
+      plan.results.push({ rowNum: row.rowNum, regNumber: row.regNumber, name: row.name, status: 'skipped' })
+      continue
+    }
+
+    let existingMarksheet = null
+    if (rowAction === 'update') {
+      existingMarksheet = marksheetsById.get(String(row.existingMarksheetId))
+      if (!existingMarksheet) {
+        fail(row, 'the marksheet to update no longer exists')
+        continue
+      }
+      if (!canAccessMarksheet(user, existingMarksheet)) {
+        fail(row, 'you cannot update this marksheet')
+        continue
+      }
+      if (isImportLocked(existingMarksheet)) {
+        fail(row, existingMarksheet.archivedAt
+          ? 'the marksheet belongs to a closed academic year and is read-only'
+          : 'the marksheet has been dispatched. Raise a correction request instead.')
+        continue
+      }
+    }
+
+    try {
+      // Validated up front so bad data fails its own row instead of the whole transaction
+      const existingStudent = studentsByReg.get(row.regNumber)
+      if (existingStudent && (existingStudent.status || 'active') !== 'active') {
+        fail(row, `the student is ${existingStudent.status} on the roster`)
+        continue
+      }
+      const details = studentDetailsOf(row)
+      // The roster owns a known student's class and contact details; the import only creates new students
+      const studentDoc = existingStudent
+        ? new Student(existingStudent)
+        : new Student({
+          ...details,
+          regNumber: row.regNumber,
+          department: session.department,
+          history: [historyEntry('created', { to: classLabel(details), reason: 'Imported from Excel' }, user)]
+        })
+      await studentDoc.validate()
+      const student = studentDoc.toObject()
+      // The marksheet keeps the class the exam was taken in, from the row
+      const sheetDetails = { ...details, name: student.name, parentPhoneNumber: student.parentPhoneNumber }
+
+      const graded = await gradeMarksheetSubjects(row.subjects, { department: session.department || student.department })
+
+      if (existingMarksheet) {
+        const update = {
+          'studentDetails.name': sheetDetails.name,
+          'studentDetails.year': sheetDetails.year,
+          'studentDetails.section': sheetDetails.section,
+          'studentDetails.parentPhoneNumber': sheetDetails.parentPhoneNumber,
+          'studentDetails.attendance': sheetDetails.attendance,
+          ...graded,
+          updatedAt: new Date()
+        }
+        const changes = diffMarksheet(existingMarksheet, {
+          ...existingMarksheet,
+          studentDetails: { ...existingMarksheet.studentDetails, name: sheetDetails.name, year: sheetDetails.year, section: sheetDetails.section, parentPhoneNumber: sheetDetails.parentPhoneNumber },
+          ...graded
+        })
+        const marksChanged = changes.some(c => c.field.startsWith('subjects.') || c.field === 'overallResult' || c.field === 'sgpa')
+        // Changed marks need verifying again, as with edits from the marksheet page
+        if (marksChanged) update.status = 'draft'
+        const toStatus = update.status || existingMarksheet.status
+
+        pushStudentOp(plan, existingStudent, student, details)
+        // A typed attendance replaces one computed from the attendance register
+        const typedAttendance = existingMarksheet.attendanceRegister && sheetDetails.attendance !== existingMarksheet.studentDetails?.attendance
+        // Matching updatedAt too makes the commit fail if the marksheet was edited after planning
+        plan.marksheetOps.push({
+          updateOne: {
+            filter: { _id: existingMarksheet._id, updatedAt: existingMarksheet.updatedAt ?? null },
+            update: typedAttendance ? { $set: update, $unset: { attendanceRegister: '' } } : { $set: update }
+          }
+        })
+        if (changes.length > 0 || existingMarksheet.status !== toStatus) {
+          plan.auditEvents.push({
+            marksheetId: existingMarksheet._id,
+            action: marksChanged ? 'marks_edited' : 'details_edited',
+            fromStatus: existingMarksheet.status,
+            toStatus,
+            changes,
+            comments: 'Updated from Excel import'
+          })
+        }
+        plan.results.push({ rowNum: row.rowNum, regNumber: row.regNumber, name: row.name, status: 'updated', marksheetId: existingMarksheet._id })
+        continue
+      }
+
+      const marksheet = new Marksheet({
+        studentId: student._id,
+        studentDetails: {
+          name: sheetDetails.name,
+          regNumber: student.regNumber,
+          year: sheetDetails.year,
+          section: sheetDetails.section,
+          // Use the import session's department for this marksheet so it belongs
+          // to the importing staff's department even if the Student record
+          // has a different department.
+          department: session.department || student.department,
+          parentPhoneNumber: sheetDetails.parentPhoneNumber,
+          attendance: sheetDetails.attendance,
+          examinationName: sheetDetails.examinationName,
+          examinationDate: sheetDetails.examinationDate
+        },
+        examinationName: sheetDetails.examinationName,
+        examinationDate: sheetDetails.examinationDate,
+        semester: session.semester,
+        ...graded,
+        staffId: session.staffId,
+        staffName: staff.name,
+        staffSignature: staff.eSignature
+      })
+      await marksheet.validate()
+
+      pushStudentOp(plan, existingStudent, student, details)
+      plan.newMarksheets.push(marksheet.toObject())
+      plan.auditEvents.push({ marksheetId: marksheet._id, action: 'created', toStatus: marksheet.status, comments: 'Imported from Excel' })
+      plan.results.push({ rowNum: row.rowNum, regNumber: row.regNumber, name: row.name, status: 'created', marksheetId: marksheet._id })
+    } catch (rowErr) {
+      fail(row, rowErr.message)
+    }
+  }
+
+  return plan
+}
+
+function pushStudentOp(plan, existingStudent, student, details) {
+  const { attendance, examinationName, examinationDate } = details
+  plan.studentOps.push(existingStudent
+    ? { updateOne: { filter: { _id: existingStudent._id }, update: { $set: { attendance, examinationName, examinationDate } } } }
+    : { insertOne: { document: student } })
+}
+
+/**
+ * Apply a plan in one transaction, with its audit events, and store the
+ * confirm response on the session, so a retry with the same idempotency key
+ * gets the same answer.
+ */
+export async function commitImportPlan(plan, { session, response, actor }) {
+  const auditDocs = await auditEventDocs(plan.auditEvents, actor)
+  await runInTransaction(async (dbSession) => {
+    if (plan.studentOps.length) await Student.bulkWrite(plan.studentOps, { session: dbSession })
+    if (plan.newMarksheets.length) await Marksheet.insertMany(plan.newMarksheets, { session: dbSession })
+    if (plan.marksheetOps.length) {
+      const { matchedCount } = await Marksheet.bulkWrite(plan.marksheetOps, { session: dbSession })
+      if (matchedCount !== plan.marksheetOps.length) {
+        const conflict = new Error('Some marksheets were changed while the import was being confirmed. Upload the file again to review the latest marks.')
+        conflict.code = IMPORT_CONFLICT
+        throw conflict
+      }
+    }
+    if (auditDocs.length) await MarksheetAuditEvent.insertMany(auditDocs, { session: dbSession })
+    // Only the confirm that claimed the session may finish it
+    const { matchedCount } = await ImportSession.updateOne(
+      { _id: session._id, status: 'processing', processingStartedAt: session.processingStartedAt },
+      { $set: { status: 'processed', confirmResult: response, processedAt: new Date() } },
+      { session: dbSession }
+    )
+    if (matchedCount !== 1) throw new Error('The import session was taken over by another confirm')
+  })
+}
@@ -0,0 +1,107 @@
+import { Marksheet, Student } from '../models.js'
+import { diffSubjects } from './marksheetAudit.js'
+
+// What confirm may do with an uploaded row
+export const IMPORT_ACTIONS = ['create', 'update', 'skip']
+
+// Parents already have the marks of a dispatched marksheet; those change only through a correction request.
+// Marksheets archived by a year-end promotion are read-only.
+export const isImportLocked = (marksheet) => marksheet?.status === 'dispatched' || Boolean(marksheet?.archivedAt)
+
+const normalizePhoneValue = (value) => (value ?? '').toString().replace(/[^0-9]/g, '').slice(-10)
+
+const previewSubjects = (subjects = []) => subjects.map(({ subjectCode, subjectName, marks, result }) => ({
+  subjectCode, subjectName, marks: marks ?? null, result
+}))
+
+/**
+ * Compare one uploaded row with the student's existing marksheet for the same
+ * examination. Grade letters are left out so a scheme change alone does not
+ * show up as changed marks.
+ */
+export function diffImportRow(row, { marksheet = null, student = null } = {}) {
+  const previousPhone = marksheet?.studentDetails?.parentPhoneNumber || student?.parentPhoneNumber || ''
+  const phone = previousPhone && normalizePhoneValue(previousPhone) !== normalizePhoneValue(row.parentPhoneNumber)
+    ? { before: previousPhone, after: row.parentPhoneNumber }
+    : null
+
+  if (!marksheet) {
+    return { diffStatus: 'new', defaultAction: 'create', locked: false, existingMarksheetId: null, changes: { marks: [], phone } }
+  }
+
+  const marks = diffSubjects(marksheet.subjects, row.subjects).filter((change) => !change.field.endsWith('.grade'))
+  const diffStatus = marks.length > 0 ? 'marks-changed' : (phone ? 'phone-changed' : 'unchanged')
+  const locked = isImportLocked(marksheet)
+  return {
+    diffStatus,
+    defaultAction: diffStatus === 'unchanged' || locked ? 'skip' : 'update',
+    locked,
+    existingMarksheetId: marksheet._id,
+    changes: { marks, phone }
+  }
+}
+
+/**
+ * Diff every uploaded row against existing marksheets, matched by register
+ * number and examination (name, plus semester when known). When a student has
+ * several marksheets for the exam, the latest one is compared.
+ */
+export async function buildImportDiff(studentsData = [], { examinationName, semester } = {}) {
+  const regNumbers = studentsData.map((row) => row.regNumber)
+  const filter = { 'studentDetails.regNumber': { $in: regNumbers }, examinationName }
+  if (semester) filter.semester = semester
+
+  const [marksheets, students] = await Promise.all([
+    Marksheet.find(filter)
+      .select('marksheetId studentDetails subjects status overallResult sgpa archivedAt createdAt')
+      .sort({ createdAt: -1 })
+      .lean(),
+    Student.find({ regNumber: { $in: regNumbers } }).select('regNumber parentPhoneNumber').lean()
+  ])
+
+  const latestByReg = new Map()
+  for (const marksheet of marksheets) {
+    const key = marksheet.studentDetails?.regNumber
+    if (!latestByReg.has(key)) latestByReg.set(key, marksheet)
+  }
+  const studentsByReg = new Map(students.map((student) => [student.regNumber, student]))
+
+  return studentsData.map((row) => {
+    const marksheet = latestByReg.get(row.regNumber) || null
+    const diff = diffImportRow(row, { marksheet, student: studentsByReg.get(row.regNumber) })
+    return {
+      ...diff,
+      existing: marksheet
+        ? {
+            _id: marksheet._id,
+            marksheetId: marksheet.marksheetId,
+            status: marksheet.status,
+            archived: Boolean(marksheet.archivedAt),
+            parentPhoneNumber: marksheet.studentDetails?.parentPhoneNumber || '',
+            overallResult: marksheet.overallResult,
+            subjects: previewSubjects(marksheet.subjects)
+          }
+        : null
+    }
+  })
+}
+
+/**
+ * Side-by-side preview row returned by the upload step.
+ */
+export function toImportPreviewRow(row, diff) {
+  return {
+    regNumber: row.regNumber,
+    name: row.name,
+    diffStatus: diff.diffStatus,
+    defaultAction: diff.defaultAction,
+    locked: diff.locked,
+    changes: diff.changes,
+    existing: diff.existing,
+    incoming: {
+      parentPhoneNumber: row.parentPhoneNumber,
+      overallResult: row.overallResult,
+      subjects: previewSubjects(row.subjects)
+    }
+  }
+}
@@ -0,0 +1,78 @@
+import ExcelJS from 'exceljs'
+
+// Rows a partial Excel import held back, written as a workbook staff can fix
+// and upload again: the original header (and max-marks) rows, then each
+// rejected row with its problem cells highlighted and explained in a note.
+
+export const ERRORS_COLUMN = 'Errors'
+
+const ERROR_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFC7CE' } }
+const HEADER_FONT = { bold: true }
+
+/**
+ * What the error workbook needs from an uploaded sheet, in a shape that can be
+ * stored on the import session. `rejected` maps an Excel row number to its
+ * problems ({ column, message }); column is a header label or null for the row.
+ */
+export function collectRejectedRows({ sheetName, grid = [], layout, headers = [] }, rejected = new Map()) {
+  const indexByLabel = new Map(headers.map((header) => [header.label, header.index]))
+  const width = Math.max(0, ...headers.map((header) => header.index + 1))
+  const rowValues = (index) => Array.from({ length: width }, (_, c) => grid[index]?.[c] ?? '')
+
+  const headerRows = []
+  for (let r = layout.headerRowIndex; r < layout.headerRowIndex + layout.headerRowCount; r++) headerRows.push(rowValues(r))
+  if (layout.maxMarksRowIndex !== null && layout.maxMarksRowIndex !== undefined) headerRows.push(rowValues(layout.maxMarksRowIndex))
+
+  const rows = [...rejected.values()]
+    .sort((a, b) => a.rowNum - b.rowNum)
+    .map(({ rowNum, errors }) => ({
+      rowNum,
+      values: rowValues(rowNum - 1),
+      issues: errors.map(({ column, message }) => ({
+        column: column || null,
+        columnIndex: column && indexByLabel.has(column) ? indexByLabel.get(column) : null,
+        message
+      }))
+    }))
+
+  return { sheetName, headerRows, rows }
+}
+
+const issueText = ({ column, message }) => (column ? `${column}: ${message}` : message)
+
+/**
+ * ExcelJS workbook for rows stored by collectRejectedRows. The extra "Errors"
+ * column is ignored by the column mapping when the file is uploaded again.
+ */
+export function buildRejectedRowsWorkbook({ sheetName, headerRows = [], rows = [] }) {
+  const workbook = new ExcelJS.Workbook()
+  const worksheet = workbook.addWorksheet((sheetName || 'Rejected rows').slice(0, 31))
+  const width = Math.max(0, ...headerRows.map((row) => row.length), ...rows.map((row) => row.values.length))
+  const errorsColumn = width + 1
+
+  headerRows.forEach((values, index) => {
+    const row = worksheet.addRow(values)
+    row.font = HEADER_FONT
+    if (index === 0) row.getCell(errorsColumn).value = ERRORS_COLUMN
+  })
+
+  for (const rejected of rows) {
+    const row = worksheet.addRow(rejected.values)
+    for (const issue of rejected.issues) {
+      if (issue.columnIndex === null || issue.columnIndex === undefined) continue
+      const cell = row.getCell(issue.columnIndex + 1)
+      cell.fill = ERROR_FILL
+      cell.note = cell.note ? `${cell.note}\n${issue.message}` : issue.message
+    }
+    const summary = row.getCell(errorsColumn)
+    summary.value = `Row ${rejected.rowNum}: ${rejected.issues.map(issueText).join('; ')}`
+    summary.fill = ERROR_FILL
+  }
+
+  worksheet.columns.forEach((column) => {
+    column.width = 16
+  })
+  worksheet.getColumn(errorsColumn).width = 60
+  worksheet.getColumn(errorsColumn).alignment = { wrapText: true, vertical: 'top' }
+  return workbook
+}
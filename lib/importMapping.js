@@ -0,0 +1,360 @@
+import XLSX from 'xlsx'
+
+// Column mapping for Excel marks imports. The upload step reads a sheet into a
+// grid, detects its header rows (and an optional max-marks row), suggests which
+// column holds each student field, and treats the remaining columns as subjects.
+// Staff can adjust the mapping and save it as a template (ImportTemplate).
+
+export const IMPORT_FIELDS = [
+  { key: 'name', label: 'Student name', required: true, aliases: ['Name', 'StudentName', 'Student'] },
+  { key: 'regNumber', label: 'Register number', required: true, aliases: ['RegNumber', 'Register', 'RegNo', 'RollNo', 'RegistrationNumber', 'RegisterNumber'] },
+  { key: 'section', label: 'Section', required: true, aliases: ['Section', 'Sec', 'Class'] },
+  { key: 'parentPhone', label: 'Parent phone', required: true, aliases: ['ParentPhone', 'ParentPhoneNumber', 'Phone', 'PhoneNumber', 'Mobile', 'MobileNumber'] },
+  { key: 'attendance', label: 'Attendance', required: true, aliases: ['Attendance', 'Attendance%', 'AttendancePercentage', 'Att', 'Att%'] },
+  { key: 'examinationName', label: 'Examination name', required: false, aliases: ['ExaminationName', 'ExamName', 'Exam'] },
+  { key: 'examinationDate', label: 'Examination date', required: false, aliases: ['ExaminationDate', 'ExamDate', 'Date'] }
+]
+
+// Columns that are neither a student field nor a subject ("Errors" is added to rejected-row workbooks)
+const IGNORED_HEADERS = ['year', 'sno', 'slno', 'serialno', 'serialnumber', 'errors']
+
+const MAX_HEADER_ROWS = 4
+const MAX_MARKS_PATTERN = /^max(imum)?\.?\s*(marks?)?$/i
+
+// Assessment component names (CIA1, CIA 2, Model, Assignment, ESE...)
+const COMPONENT_NAME = '(?:(?:cia|ia|cat|test)\\s*-?\\s*\\d+|model(?:\\s*exam)?|assignments?\\s*\\d*|quiz\\s*\\d*|ese|end\\s*sem(?:ester)?(?:\\s*exam)?)'
+// Below a subject heading, lab/seminar/project columns are components too
+const COMPONENT_LEAF = new RegExp(`^(?:${COMPONENT_NAME}|lab|practical|seminar|project)$`, 'i')
+// Single-row headers such as "Compiler Design - CIA1" or "U24CS501 Model"
+const COMPONENT_SUFFIX = new RegExp(`^(.+?)[\\s\\-–_/:(]+(${COMPONENT_NAME})\\)?$`, 'i')
+
+const clean = (value) => (value ?? '').toString().trim()
+
+export const normalizeHeader = (value) => clean(value).toLowerCase().replace(/[^a-z0-9%]/g, '')
+
+const FIELD_ALIASES = new Map(IMPORT_FIELDS.map((field) => [field.key, new Set(field.aliases.map(normalizeHeader))]))
+
+const isBlank = (value) => clean(value) === ''
+
+const isNumericCell = (value) => (
+  typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value.trim())))
+)
+
+const isMaxMarksRow = (row = []) => row.some((cell) => typeof cell === 'string' && MAX_MARKS_PATTERN.test(cell.trim()))
+
+const toPositiveNumber = (value) => {
+  const number = Number(value)
+  return isNumericCell(value) && number > 0 ? number : null
+}
+
+export const readWorkbook = (buffer) => XLSX.read(buffer, { type: 'buffer', cellDates: true })
+
+/**
+ * Cell grid of one sheet (the first when the name is unknown). Merged cells
+ * (group headings spanning several subject columns) are copied into every cell
+ * they cover.
+ */
+export function readSheetGrid(workbook, sheetName) {
+  const selected = sheetName && workbook.SheetNames.includes(sheetName) ? sheetName : workbook.SheetNames[0]
+  const worksheet = workbook.Sheets[selected]
+  const grid = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '', blankrows: true })
+  for (const merge of worksheet['!merges'] || []) {
+    const value = grid[merge.s.r]?.[merge.s.c]
+    for (let r = merge.s.r; r <= merge.e.r; r++) {
+      grid[r] ??= []
+      for (let c = merge.s.c; c <= merge.e.c; c++) grid[r][c] = value
+    }
+  }
+  return { sheetName: selected, grid }
+}
+
+/**
+ * Header rows start at the first row with two different labels (skipping merged
+ * titles) and run until a row holds numbers. A row labelled "Max Marks" right
+ * after them gives each subject's maximum.
+ */
+export function detectSheetLayout(grid = []) {
+  const headerRowIndex = grid.findIndex((row) => new Set((row || []).filter((cell) => !isBlank(cell)).map(clean)).size >= 2)
+  if (headerRowIndex === -1) return { headerRowIndex: 0, headerRowCount: 1, maxMarksRowIndex: null }
+
+  let headerRowCount = 1
+  while (headerRowCount < MAX_HEADER_ROWS && headerRowIndex + headerRowCount < grid.length) {
+    const row = grid[headerRowIndex + headerRowCount] || []
+    if (isMaxMarksRow(row) || row.some(isNumericCell) || row.every(isBlank)) break
+    headerRowCount++
+  }
+  const next = headerRowIndex + headerRowCount
+  return { headerRowIndex, headerRowCount, maxMarksRowIndex: isMaxMarksRow(grid[next]) ? next : null }
+}
+
+/**
+ * Layout fields sent by the client, as 0-based grid rows. Invalid values are
+ * dropped so detection fills them in.
+ */
+export function normalizeLayout(layout) {
+  if (!layout || typeof layout !== 'object') return {}
+  const rowIndex = (value) => (value !== '' && value !== null && Number.isInteger(Number(value)) && Number(value) >= 0 ? Number(value) : null)
+  const result = {}
+  if (rowIndex(layout.headerRowIndex) !== null) result.headerRowIndex = rowIndex(layout.headerRowIndex)
+  if (rowIndex(layout.headerRowCount)) result.headerRowCount = Math.min(rowIndex(layout.headerRowCount), MAX_HEADER_ROWS)
+  if ('maxMarksRowIndex' in layout) result.maxMarksRowIndex = rowIndex(layout.maxMarksRowIndex)
+  return result
+}
+
+/**
+ * One entry per non-empty column. `label` joins the header rows top to bottom
+ * and identifies the column in mappings and templates; `leaf` is the lowest
+ * header cell, used as the subject name.
+ */
+export function readHeaders(grid = [], layout) {
+  const headerRows = grid.slice(layout.headerRowIndex, layout.headerRowIndex + layout.headerRowCount)
+  const maxMarksRow = layout.maxMarksRowIndex !== null && layout.maxMarksRowIndex !== undefined ? grid[layout.maxMarksRowIndex] || [] : []
+  const width = Math.max(0, ...headerRows.map((row) => (row || []).length))
+  // A heading written once above several sub-headings (without merging the cells) covers them all
+  const carried = headerRows.map(() => '')
+  const seen = new Map()
+  const headers = []
+  for (let index = 0; index < width; index++) {
+    const parts = []
+    headerRows.forEach((row, level) => {
+      let value = clean(row?.[index])
+      const hasSubHeading = headerRows.slice(level + 1).some((lower) => clean(lower?.[index]))
+      if (value) carried[level] = value
+      else if (hasSubHeading) value = carried[level]
+      if (value && parts[parts.length - 1] !== value) parts.push(value)
+    })
+    if (parts.length === 0) continue
+    let label = parts.join(' / ')
+    const repeat = seen.get(label) || 0
+    seen.set(label, repeat + 1)
+    if (repeat) label = `${label} (${repeat + 1})`
+    headers.push({ index, label, leaf: parts[parts.length - 1], parts, maxMarks: toPositiveNumber(maxMarksRow[index]) })
+  }
+  return headers
+}
+
+const matchesField = (header, key) => {
+  const aliases = FIELD_ALIASES.get(key)
+  return aliases.has(normalizeHeader(header.leaf)) || aliases.has(normalizeHeader(header.label))
+}
+
+const isIgnoredHeader = (header) => {
+  const key = normalizeHeader(header.leaf)
+  return IGNORED_HEADERS.includes(key) || key.startsWith('attendance')
+}
+
+/**
+ * Subject and assessment component a column holds: a component name under a
+ * subject heading ("Compiler Design / CIA1") or at the end of a single header.
+ */
+export function splitComponentHeader(header) {
+  const parts = header.parts || [header.leaf]
+  if (parts.length >= 2 && COMPONENT_LEAF.test(header.leaf)) {
+    return { subjectName: parts[parts.length - 2], component: header.leaf }
+  }
+  const match = header.leaf.match(COMPONENT_SUFFIX)
+  if (match) return { subjectName: match[1].replace(/[\s\-–_/:]+$/, ''), component: match[2] }
+  return { subjectName: header.leaf, component: null }
+}
+
+const subjectEntry = (header) => ({
+  column: header.label,
+  ...splitComponentHeader(header),
+  include: !isIgnoredHeader(header),
+  maxMarks: header.maxMarks,
+  weight: null
+})
+
+/**
+ * Mapping guessed from the header names: { fields: { name: label, ... }, subjects: [...] }.
+ */
+export function suggestMapping(headers = []) {
+  const fields = {}
+  const used = new Set()
+  for (const field of IMPORT_FIELDS) {
+    const match = headers.find((header) => !used.has(header.label) && matchesField(header, field.key))
+    fields[field.key] = match?.label || null
+    if (match) used.add(match.label)
+  }
+  return { fields, subjects: headers.filter((header) => !used.has(header.label)).map(subjectEntry) }
+}
+
+// A template applies when every column it maps a field to is present
+export function templateMatchesHeaders(template, headers = []) {
+  const labels = new Set(headers.map((header) => header.label))
+  const columns = Object.values(template?.fields || {}).filter(Boolean)
+  return columns.length > 0 && columns.every((column) => labels.has(column))
+}
+
+/**
+ * Mapping from a saved template for the current headers. Columns the template
+ * does not know fall back to the suggestion.
+ */
+export function applyTemplateMapping(headers = [], template = {}) {
+  const suggested = suggestMapping(headers)
+  const labels = new Set(headers.map((header) => header.label))
+  const fields = {}
+  for (const field of IMPORT_FIELDS) {
+    const saved = template.fields?.[field.key]
+    fields[field.key] = saved && labels.has(saved) ? saved : suggested.fields[field.key]
+  }
+  const mapped = new Set(Object.values(fields).filter(Boolean))
+  const savedSubjects = new Map((template.subjects || []).map((subject) => [subject.column, subject]))
+  const subjects = headers.filter((header) => !mapped.has(header.label)).map((header) => {
+    const saved = savedSubjects.get(header.label)
+    if (!saved) return subjectEntry(header)
+    return {
+      column: header.label,
+      subjectName: clean(saved.subjectName) || header.leaf,
+      component: clean(saved.component) || null,
+      include: saved.include !== false,
+      maxMarks: toPositiveNumber(saved.maxMarks) || header.maxMarks,
+      weight: toPositiveNumber(saved.weight)
+    }
+  })
+  return { fields, subjects }
+}
+
+/**
+ * Check a mapping sent by the client against the sheet's headers.
+ * Returns { error } or the normalized { mapping }.
+ */
+export function validateMapping(mapping, headers = []) {
+  if (!mapping || typeof mapping !== 'object') return { error: 'Column mapping is missing' }
+  const labels = new Set(headers.map((header) => header.label))
+  const fields = {}
+  const used = new Set()
+  for (const field of IMPORT_FIELDS) {
+    const column = clean(mapping.fields?.[field.key]) || null
+    if (!column) {
+      if (field.required) return { error: `Choose the column that holds "${field.label}"` }
+      fields[field.key] = null
+      continue
+    }
+    if (!labels.has(column)) return { error: `Column "${column}" is not in the sheet` }
+    if (used.has(column)) return { error: `Column "${column}" is mapped to more than one field` }
+    used.add(column)
+    fields[field.key] = column
+  }
+
+  const subjects = []
+  const components = new Set()
+  const hasValue = (value) => value !== undefined && value !== null && value !== ''
+  for (const subject of Array.isArray(mapping.subjects) ? mapping.subjects : []) {
+    const column = clean(subject?.column)
+    if (!labels.has(column)) return { error: `Column "${column}" is not in the sheet` }
+    if (used.has(column)) continue
+    used.add(column)
+    const include = subject.include !== false
+    const maxMarks = hasValue(subject.maxMarks) ? toPositiveNumber(subject.maxMarks) : null
+    if (include && hasValue(subject.maxMarks) && !maxMarks) return { error: `Max marks for "${column}" must be a positive number` }
+    const weight = hasValue(subject.weight) ? toPositiveNumber(subject.weight) : null
+    if (include && hasValue(subject.weight) && !weight) return { error: `Weight for "${column}" must be a positive number` }
+    const subjectName = clean(subject.subjectName) || column
+    const component = clean(subject.component) || null
+    if (include && component) {
+      const key = `${normalizeHeader(subjectName)}|${normalizeHeader(component)}`
+      if (components.has(key)) return { error: `"${subjectName}" has more than one "${component}" column` }
+      components.add(key)
+    }
+    subjects.push({ column, subjectName, component, include, maxMarks, weight })
+  }
+  if (!subjects.some((subject) => subject.include)) return { error: 'Select at least one subject column' }
+  return { mapping: { fields, subjects } }
+}
+
+/**
+ * Data rows below the headers as { rowNum, fields, subjects: [{ subjectName, component, value, maxMarks, weight }] }.
+ * Blank rows and the max-marks row are skipped; rowNum is the Excel row number.
+ */
+export function extractRecords(grid = [], layout, headers = [], mapping) {
+  const indexByLabel = new Map(headers.map((header) => [header.label, header.index]))
+  const cell = (row, column) => (column && indexByLabel.has(column) ? row[indexByLabel.get(column)] : undefined)
+  const includedSubjects = mapping.subjects.filter((subject) => subject.include)
+  const records = []
+  for (let r = layout.headerRowIndex + layout.headerRowCount; r < grid.length; r++) {
+    if (r === layout.maxMarksRowIndex) continue
+    const row = grid[r] || []
+    if (row.every(isBlank)) continue
+    const fields = {}
+    for (const [key, column] of Object.entries(mapping.fields)) fields[key] = cell(row, column)
+    records.push({
+      rowNum: r + 1,
+      fields,
+      subjects: includedSubjects.map((subject) => ({
+        column: subject.column,
+        subjectName: subject.subjectName,
+        component: subject.component || null,
+        value: cell(row, subject.column),
+        maxMarks: subject.maxMarks,
+        weight: subject.weight ?? null
+      }))
+    })
+  }
+  return records
+}
+
+/**
+ * A record's subject cells grouped by subject: plain columns stay as they are,
+ * component columns of one subject become { subjectName, components: [...] }.
+ */
+export function groupSubjectCells(cells = []) {
+  const groups = []
+  const bySubject = new Map()
+  for (const cell of cells) {
+    if (!cell.component) {
+      groups.push(cell)
+      continue
+    }
+    const key = normalizeHeader(cell.subjectName)
+    if (!bySubject.has(key)) {
+      const group = { subjectName: cell.subjectName, components: [] }
+      bySubject.set(key, group)
+      groups.push(group)
+    }
+    bySubject.get(key).components.push(cell)
+  }
+  return groups
+}
+
+// Marks entered out of a column's max marks are stored out of 100
+export const scaleMarks = (marks, maxMarks = 100) => (
+  maxMarks === 100 ? marks : Math.round((marks / maxMarks) * 10000) / 100
+)
+
+// First data rows keyed by header label, shown next to the mapping
+export function sampleRows(grid = [], layout, headers = [], limit = 5) {
+  const rows = []
+  for (let r = layout.headerRowIndex + layout.headerRowCount; r < grid.length && rows.length < limit; r++) {
+    const row = grid[r] || []
+    if (r === layout.maxMarksRowIndex || row.every(isBlank)) continue
+    rows.push(Object.fromEntries(headers.map((header) => [header.label, row[header.index] ?? ''])))
+  }
+  return rows
+}
+
+/**
+ * Sheet layout, headers and mapping for an uploaded file. An explicit layout or
+ * mapping from the client wins; otherwise the best matching template (same
+ * examination first, then most recently used) or the guessed mapping is used.
+ */
+export function resolveSheetMapping(grid, { layout: layoutOverride, mapping: mappingOverride, templates = [], examinationName } = {}) {
+  const template = mappingOverride ? null : pickTemplate(grid, templates, examinationName)
+  const layout = { ...detectSheetLayout(grid), ...(template?.layout || {}), ...(layoutOverride || {}) }
+  const headers = readHeaders(grid, layout)
+  const mapping = mappingOverride || (template ? applyTemplateMapping(headers, template) : suggestMapping(headers))
+  return { layout, headers, mapping, template }
+}
+
+function pickTemplate(grid, templates, examinationName) {
+  const examKey = normalizeHeader(examinationName)
+  const ranked = [...templates].sort((a, b) => {
+    const examMatch = Number(!!examKey && normalizeHeader(b.examinationName) === examKey) - Number(!!examKey && normalizeHeader(a.examinationName) === examKey)
+    if (examMatch !== 0) return examMatch
+    return new Date(b.lastUsedAt || b.updatedAt || 0) - new Date(a.lastUsedAt || a.updatedAt || 0)
+  })
+  return ranked.find((template) => {
+    const layout = { ...detectSheetLayout(grid), ...(template.layout || {}) }
+    return templateMatchesHeaders(template, readHeaders(grid, layout))
+  }) || null
+}
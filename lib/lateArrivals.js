@@ -0,0 +1,267 @@
+import ExcelJS from 'exceljs'
+import { LeaveRequest } from '../models.js'
+import { storeNotification } from './notificationService.js'
+import evolutionApi, { getEvolutionApiForStaff } from './evolutionApiService.js'
+import { findClassStaff } from './classAssignments.js'
+import { resolveLeavePolicy } from './leavePolicies.js'
+import { campusDayKey } from '../shared/calendar.js'
+import { DEFAULT_LEAVE_POLICY, dayKey } from '../shared/leave.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const LATE_REPORT_PERIODS = ['week', 'month']
+
+// Repeat-late thresholds of a leave policy; policies saved before they existed get the default ones
+export const lateAlertsOf = (policy) => policy?.lateAlerts ?? DEFAULT_LEAVE_POLICY.lateAlerts
+
+// Lates that count: ones staff recorded ("Record Arrival"), whether or not the
+// student confirmed since. A late raised but never recorded is not counted.
+export const RECORDED_LATE_FILTER = Object.freeze({ recordedAt: { $ne: null } })
+
+// When the student arrived: their "Reached" confirmation, else the staff's record
+export const arrivalTimeOf = (late) => late?.arrivalConfirmedAt || late?.recordedAt || late?.arrivalRecordedAt || null
+
+/**
+ * Minutes between the expected and the actual arrival of a late request;
+ * negative when the student came earlier than they said, null before arrival.
+ */
+export function lateDelayMinutes(late) {
+  const arrival = arrivalTimeOf(late)
+  if (!arrival || !late?.expectedArrivalTime) return null
+  return Math.round((new Date(arrival) - new Date(late.expectedArrivalTime)) / 60000)
+}
+
+// Campus day (YYYY-MM-DD) a late falls on
+export const lateDayOf = (late) => campusDayKey(late?.expectedArrivalTime || late?.createdAt)
+
+const shortDay = (date) => date.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', timeZone: 'UTC' })
+
+/**
+ * Week or month of a campus day as { key, label }. Weeks are ISO weeks
+ * ('2026-W42', Monday to Sunday); months are '2026-10'.
+ */
+export function periodOf(day, period = 'week') {
+  const date = new Date(`${day}T00:00:00.000Z`)
+  if (period === 'month') {
+    return { key: day.slice(0, 7), label: date.toLocaleDateString('en-GB', { month: 'short', year: 'numeric', timeZone: 'UTC' }) }
+  }
+  const monday = new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS)
+  // The ISO week belongs to the year its Thursday falls in
+  const thursday = new Date(monday.getTime() + 3 * DAY_MS)
+  const week = Math.floor((thursday - Date.UTC(thursday.getUTCFullYear(), 0, 1)) / DAY_MS / 7) + 1
+  return { key: `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`, label: `Week of ${shortDay(monday)}` }
+}
+
+/**
+ * The thresholds ({ count, days }) that a student's lates (campus days) reach
+ * in the `days` days up to `now`, today included, with the lates counted.
+ */
+export function crossedThresholds(days = [], thresholds = [], now = new Date()) {
+  const today = campusDayKey(now)
+  return thresholds
+    .map((threshold) => {
+      const since = dayKey(new Date(Date.parse(`${today}T00:00:00.000Z`) - (threshold.days - 1) * DAY_MS))
+      return { count: threshold.count, days: threshold.days, lates: days.filter((day) => day >= since && day <= today).length }
+    })
+    .filter((threshold) => threshold.lates >= threshold.count)
+}
+
+const average = (values) => (values.length ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null)
+
+/**
+ * Late report of a class: per student, the lates of each week or month
+ * between `from` and `to` (campus days, both included), the average delay
+ * against the expected arrival, and the repeat-late thresholds reached as of
+ * `now`. Lates outside from..to only count towards the thresholds.
+ */
+export function summarizeLates(lates = [], { period = 'week', from = '', to = '', thresholds = [], now = new Date() } = {}) {
+  const periods = new Map()
+  const students = new Map()
+  const delays = []
+  let total = 0
+
+  for (const late of lates) {
+    const day = lateDayOf(late)
+    if (!day) continue
+    const id = String(late.studentId)
+    if (!students.has(id)) {
+      students.set(id, {
+        studentId: id,
+        name: late.studentDetails?.name || '',
+        regNumber: late.studentDetails?.regNumber || '',
+        total: 0,
+        counts: {},
+        delays: [],
+        days: [],
+        lastLateDay: '',
+        alertsSent: 0
+      })
+    }
+    const row = students.get(id)
+    row.days.push(day)
+    if ((from && day < from) || (to && day > to)) continue
+
+    const { key, label } = periodOf(day, period)
+    if (!periods.has(key)) periods.set(key, { key, label })
+    row.total++
+    row.counts[key] = (row.counts[key] || 0) + 1
+    if (day > row.lastLateDay) row.lastLateDay = day
+    row.alertsSent += (late.repeatAlerts || []).length
+    const delay = lateDelayMinutes(late)
+    if (delay !== null) {
+      row.delays.push(delay)
+      delays.push(delay)
+    }
+    total++
+  }
+
+  const rows = [...students.values()]
+    .map(({ delays: own, days, ...row }) => ({ ...row, avgDelayMinutes: average(own), overThresholds: crossedThresholds(days, thresholds, now) }))
+    .filter((row) => row.total > 0 || row.overThresholds.length > 0)
+    .sort((a, b) => b.total - a.total || a.regNumber.localeCompare(b.regNumber))
+
+  return {
+    period,
+    periods: [...periods.values()].sort((a, b) => a.key.localeCompare(b.key)),
+    students: rows,
+    total,
+    avgDelayMinutes: average(delays),
+    thresholds
+  }
+}
+
+/**
+ * Header and rows of a late report, shared by the CSV and XLSX exports.
+ */
+export function lateReportTable(report) {
+  const header = ['Reg No', 'Name', ...report.periods.map((p) => p.label), 'Total Lates', 'Average Delay (min)', 'Last Late', 'Repeat Alerts']
+  const rows = report.students.map((student) => [
+    student.regNumber,
+    student.name,
+    ...report.periods.map((p) => student.counts[p.key] || 0),
+    student.total,
+    student.avgDelayMinutes ?? '',
+    student.lastLateDay,
+    student.overThresholds.map((t) => `${t.lates} in ${t.days} days`).join('; ')
+  ])
+  return { header, rows }
+}
+
+const csvCell = (value) => {
+  const text = String(value ?? '')
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export function lateReportCSV(report, { title = 'Late Arrivals' } = {}) {
+  const { header, rows } = lateReportTable(report)
+  return [[title], [], header, ...rows].map((row) => row.map(csvCell).join(',')).join('\n') + '\n'
+}
+
+export async function lateReportWorkbook(report, { title = 'Late Arrivals' } = {}) {
+  const { header, rows } = lateReportTable(report)
+  const workbook = new ExcelJS.Workbook()
+  const worksheet = workbook.addWorksheet('Late Arrivals')
+  worksheet.addRow([title]).font = { bold: true, size: 14 }
+  worksheet.addRow([])
+  worksheet.addRow(header).font = { bold: true }
+  rows.forEach((row) => worksheet.addRow(row))
+  worksheet.columns.forEach((column, index) => { column.width = index === 1 ? 28 : 14 })
+  return workbook.xlsx.writeBuffer()
+}
+
+const formatDay = (date) => new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric', timeZone: 'Asia/Kolkata' })
+
+const delayText = (late) => {
+  const delay = lateDelayMinutes(late)
+  if (delay === null) return 'arrival not recorded'
+  return delay > 0 ? `${delay} min after the expected time` : 'by the expected time'
+}
+
+function repeatLateMessage(student, lates, days) {
+  const lines = lates.map((late) => `• ${formatDay(late.expectedArrivalTime || late.createdAt)}: ${delayText(late)}${late.reason ? ` (${late.reason})` : ''}`)
+  const avg = average(lates.map(lateDelayMinutes).filter((delay) => delay !== null))
+  return `Hello! 🏫
+
+Your ward *${student.name}* (Reg: ${student.regNumber}) has arrived late *${lates.length} times* in the last ${days} days:
+
+${lines.join('\n')}
+${avg !== null ? `\n⏱️ Average delay: ${avg} min\n` : ''}
+The class advisor has been informed. Please help your ward reach college on time.
+
+Thank you,
+MSEC Academics Department`
+}
+
+/**
+ * After a late is recorded: for the repeat-late thresholds of the department's
+ * leave policy that the student now reaches, counting recorded lates only, notify the class advisors and
+ * send the parent a WhatsApp summary of the lates. A threshold already alerted
+ * by a late in the same window is not sent again. The alerts are stored on the
+ * late and returned.
+ */
+export async function alertRepeatLates(late, { now = new Date() } = {}) {
+  const policy = await resolveLeavePolicy(late.studentDetails?.department)
+  const thresholds = lateAlertsOf(policy)
+  if (thresholds.length === 0) return []
+
+  const longest = Math.max(...thresholds.map((t) => t.days))
+  const history = await LeaveRequest.find({
+    studentId: late.studentId,
+    type: 'late',
+    ...RECORDED_LATE_FILTER,
+    expectedArrivalTime: { $gte: new Date(now.getTime() - (longest + 1) * DAY_MS) }
+  }).select('expectedArrivalTime createdAt arrivalConfirmedAt recordedAt arrivalRecordedAt reason repeatAlerts').sort({ expectedArrivalTime: 1 }).lean()
+
+  const crossed = crossedThresholds(history.map(lateDayOf), thresholds, now)
+  const today = campusDayKey(now)
+  const inWindow = (days) => {
+    const since = dayKey(new Date(Date.parse(`${today}T00:00:00.000Z`) - (days - 1) * DAY_MS))
+    return history.filter((h) => lateDayOf(h) >= since && lateDayOf(h) <= today)
+  }
+  const fresh = crossed.filter((t) => !inWindow(t.days).some((h) => (h.repeatAlerts || []).some((a) => a.count === t.count && a.days === t.days)))
+  if (fresh.length === 0) return []
+
+  // One message for the widest window reached
+  const widest = fresh.reduce((a, b) => (b.days > a.days ? b : a))
+  const lates = inWindow(widest.days)
+  const student = late.studentDetails || {}
+
+  const advisors = (await findClassStaff(student, { roles: ['class_advisor'] })).filter((staff) => staff.email)
+  for (const advisor of advisors) {
+    await storeNotification({
+      userEmail: advisor.email,
+      type: 'late_repeat_alert',
+      title: 'Repeat Late Arrivals',
+      body: `${student.name} (${student.regNumber}) has been late ${widest.lates} times in the last ${widest.days} days.`,
+      data: {
+        leaveId: late._id.toString(),
+        studentId: String(late.studentId),
+        studentName: student.name,
+        regNumber: student.regNumber,
+        lates: widest.lates,
+        days: widest.days,
+        type: 'late'
+      }
+    })
+  }
+
+  let parentNotified = false
+  const evo = late.staffId ? getEvolutionApiForStaff(String(late.staffId)) : evolutionApi
+  if (!student.parentPhoneNumber) {
+    console.warn('⚠️ [late alerts] No parent phone number for', student.regNumber)
+  } else if (!evo.isConfigured()) {
+    console.warn('⚠️ [late alerts] Evolution API not configured; skipping the parent summary')
+  } else {
+    try {
+      await evo.sendTextMessage(student.parentPhoneNumber, repeatLateMessage(student, lates, widest.days))
+      parentNotified = true
+    } catch (err) {
+      console.error('❌ [late alerts] Failed to send the parent summary:', err.message)
+    }
+  }
+
+  const alerts = fresh.map((t) => ({ ...t, advisorsNotified: advisors.length, parentNotified, sentAt: now }))
+  await LeaveRequest.updateOne({ _id: late._id }, { $push: { repeatAlerts: { $each: alerts } } })
+  console.log(`🔔 [late alerts] ${student.regNumber}: ${widest.lates} lates in ${widest.days} days; ${advisors.length} advisor(s) notified, parent ${parentNotified ? 'messaged' : 'not messaged'}`)
+  return alerts
+}
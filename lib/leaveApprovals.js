@@ -0,0 +1,83 @@
+import { getYearAliases } from '../shared/subjectCatalog.js'
+import { buildApprovalChain } from '../shared/leave.js'
+import { advisesClass, canAccessClass, scopeFilter, staffClasses, withScope } from './permissions.js'
+
+// The approval chain of a leave request. Each request carries its steps in
+// `approvals` (built from its category's approvers when it is raised) and the
+// role of the step it waits on in `pendingRole`. The request stays 'requested'
+// until the last step approves it ('approved_by_hod') or any step rejects it
+// ('rejected_by_hod'); the status names predate the chain.
+
+/**
+ * The step waiting for a decision, or null once the request is decided.
+ * Requests raised before chains existed get a single HOD step.
+ */
+export function currentStep(request) {
+  if (request.status !== 'requested') return null
+  if (!request.approvals?.length) request.approvals = buildApprovalChain([{ role: 'hod' }], 0)
+  return request.approvals.find(step => step.status === 'pending') || null
+}
+
+/**
+ * Whether the user may decide the step: the class advisor (or an HOD/admin
+ * over the class, on the advisor's behalf), the HOD over the class, or an
+ * admin signing as the principal.
+ */
+export function canActOnStep(user, request, step) {
+  if (!user || !step) return false
+  const classInfo = request.studentDetails || {}
+  if (step.role === 'class_advisor') return advisesClass(user, classInfo)
+  if (step.role === 'hod') return user.role === 'hod' && canAccessClass(user, classInfo)
+  if (step.role === 'admin') return user.role === 'admin'
+  return false
+}
+
+/**
+ * Record the approver's decision on the current step. `approver` is the
+ * User document, for the name and signature printed on the leave letter.
+ * Returns { step, done } where done means no step is left.
+ */
+export function recordDecision(request, approver, decision, comments = '') {
+  const step = currentStep(request)
+  step.status = decision
+  step.userId = approver._id
+  step.name = approver.name
+  step.signature = decision === 'approved' ? (approver.eSignature || null) : null
+  step.comments = (comments || '').toString().trim()
+  step.actedAt = new Date()
+  if (decision === 'rejected') {
+    // Later steps never run
+    for (const later of request.approvals) if (later.status === 'pending') later.status = 'skipped'
+  }
+  const next = request.approvals.find(later => later.status === 'pending')
+  request.pendingRole = next ? next.role : null
+  if (typeof request.markModified === 'function') request.markModified('approvals')
+  return { step, done: !next }
+}
+
+/**
+ * Filter for the leave requests waiting on the user: an advisor's classes'
+ * requests at the advisor step, the HOD's at the HOD step (and those raised
+ * before chains existed), every request at the principal step for admins.
+ */
+export function awaitingFilter(user) {
+  const base = { type: 'leave', status: 'requested' }
+  if (user.role === 'admin') return { ...base, pendingRole: 'admin' }
+  if (user.role === 'hod') {
+    return withScope({ ...base, pendingRole: { $in: ['hod', null] } }, scopeFilter(user))
+  }
+  if (user.role === 'staff') {
+    const advised = staffClasses(user).filter(assigned => assigned.role === 'class_advisor')
+    if (advised.length === 0) return { _id: null }
+    return {
+      ...base,
+      pendingRole: 'class_advisor',
+      $or: advised.map(assigned => ({
+        'studentDetails.department': assigned.department,
+        'studentDetails.year': { $in: getYearAliases(assigned.year) },
+        'studentDetails.section': assigned.section
+      }))
+    }
+  }
+  return { _id: null }
+}
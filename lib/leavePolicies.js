@@ -0,0 +1,187 @@
+import { LeavePolicy, LeaveRequest } from '../models.js'
+import { APPROVER_LABELS, APPROVER_ROLES, DEFAULT_APPROVAL_CHAIN, DEFAULT_LEAVE_POLICY, PENDING_LEAVE_STATUSES, USED_LEAVE_STATUSES, semesterWindow, summarizeLeaveBalance } from '../shared/leave.js'
+import { calendarSemesterOf } from '../shared/calendar.js'
+import { normalizeDepartment } from '../shared/subjectCatalog.js'
+import { resolveCalendar } from './academicCalendar.js'
+
+const CACHE_TTL_MS = 60 * 1000
+const policyCache = new Map()
+
+export const ALL_DEPARTMENTS = 'ALL'
+
+// Error code of a leave request refused for exceeding its quota
+export const LEAVE_QUOTA_EXCEEDED = 'LEAVE_QUOTA_EXCEEDED'
+
+export function clearLeavePolicyCache() {
+  policyCache.clear()
+}
+
+/**
+ * Leave policy of a department: the department's own policy, then the
+ * institution-wide ('ALL') one, then the built-in default.
+ */
+export async function resolveLeavePolicy(department) {
+  const dept = normalizeDepartment(department || '')
+  const cached = policyCache.get(dept)
+  if (cached && cached.expiresAt > Date.now()) return cached.policy
+
+  const candidates = await LeavePolicy.find({ department: { $in: dept ? [dept, ALL_DEPARTMENTS] : [ALL_DEPARTMENTS] } }).lean()
+  const policy = candidates.find(p => p.department === dept)
+    || candidates.find(p => p.department === ALL_DEPARTMENTS)
+    || DEFAULT_LEAVE_POLICY
+
+  policyCache.set(dept, { policy, expiresAt: Date.now() + CACHE_TTL_MS })
+  return policy
+}
+
+/**
+ * The days a department's leave counts skip or keep: the academic calendar
+ * (lib/academicCalendar.js) with the leave policy's own holidays added.
+ */
+export async function resolveLeaveCalendar(department, policy) {
+  const calendar = await resolveCalendar(department)
+  return { ...calendar, holidays: [...(policy.holidays || []), ...calendar.holidays] }
+}
+
+// The calendar's semester containing the date, else the one the policy's start months give
+export const leaveSemester = (on, policy, calendar) => calendarSemesterOf(on, calendar) || semesterWindow(on, policy.semesterStartMonths)
+
+/**
+ * A student's leave balance for the semester containing `on`.
+ * `excludeId` leaves one request out, for checking that request itself.
+ */
+export async function loadLeaveBalance(studentId, policy, { on = new Date(), excludeId = null, calendar = null } = {}) {
+  const { start, end } = leaveSemester(on, policy, calendar)
+  const requests = await LeaveRequest.find({
+    studentId,
+    type: 'leave',
+    status: { $in: [...USED_LEAVE_STATUSES, ...PENDING_LEAVE_STATUSES] },
+    startDate: { $gte: start, $lt: end }
+  }).select('category startDate endDate leaveDays status').lean()
+  return { semester: { start, end }, balance: summarizeLeaveBalance(requests, policy, { excludeId }) }
+}
+
+/**
+ * Attach each leave request's category balance (without the request itself)
+ * as `balance`, for the HOD screens. One query covers every student listed.
+ */
+export async function attachLeaveBalances(requests = []) {
+  const leaves = requests.filter(r => r.type === 'leave' && r.startDate && r.studentId)
+  if (leaves.length === 0) return requests
+
+  const policies = new Map()
+  const calendars = new Map()
+  for (const leave of leaves) {
+    const dept = leave.studentDetails?.department
+    if (!policies.has(dept)) policies.set(dept, await resolveLeavePolicy(dept))
+    if (!calendars.has(dept)) calendars.set(dept, await resolveCalendar(dept))
+  }
+  const windows = leaves.map(leave => leaveSemester(leave.startDate, policies.get(leave.studentDetails?.department), calendars.get(leave.studentDetails?.department)))
+  const earliest = new Date(Math.min(...windows.map(w => w.start.getTime())))
+  const latest = new Date(Math.max(...windows.map(w => w.end.getTime())))
+  const history = await LeaveRequest.find({
+    studentId: { $in: [...new Set(leaves.map(leave => String(leave.studentId)))] },
+    type: 'leave',
+    status: { $in: [...USED_LEAVE_STATUSES, ...PENDING_LEAVE_STATUSES] },
+    startDate: { $gte: earliest, $lt: latest }
+  }).select('studentId category startDate endDate leaveDays status').lean()
+
+  leaves.forEach((leave, index) => {
+    const { start, end } = windows[index]
+    const sameSemester = history.filter(h => String(h.studentId) === String(leave.studentId) && h.startDate >= start && h.startDate < end)
+    leave.balance = summarizeLeaveBalance(sameSemester, policies.get(leave.studentDetails?.department), { excludeId: leave._id })
+  })
+  return requests
+}
+
+const categoryKey = (value) => (value || '').toString().trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '')
+
+/**
+ * Approval chain of a category ([{ role, aboveDays }]), in APPROVER_ROLES
+ * order. At least one step must apply to every leave. Missing means the
+ * default chain.
+ */
+function validateApprovers(input, label) {
+  if (!Array.isArray(input) || input.length === 0) return { approvers: DEFAULT_APPROVAL_CHAIN.map(step => ({ ...step })) }
+  const approvers = []
+  for (const step of input) {
+    if (!APPROVER_ROLES.includes(step?.role)) return { error: `Approvers for ${label} must be one of: ${APPROVER_ROLES.join(', ')}` }
+    const always = step.aboveDays === null || step.aboveDays === undefined || step.aboveDays === ''
+    const aboveDays = always ? null : Number(step.aboveDays)
+    if (!always && (!Number.isInteger(aboveDays) || aboveDays < 0)) {
+      return { error: `The ${APPROVER_LABELS[step.role]} step for ${label} needs a whole number of days, or none to always apply` }
+    }
+    approvers.push({ role: step.role, aboveDays })
+  }
+  if (new Set(approvers.map(step => step.role)).size !== approvers.length) return { error: `Each approver can sign ${label} leave once` }
+  if (!approvers.some(step => step.aboveDays === null)) return { error: `At least one approver of ${label} leave must sign every request` }
+  approvers.sort((a, b) => APPROVER_ROLES.indexOf(a.role) - APPROVER_ROLES.indexOf(b.role))
+  return { approvers }
+}
+
+/**
+ * Repeat-late thresholds ([{ count, days }]), shortest window first. Missing
+ * means the default ones; an empty list turns the alerts off.
+ */
+function validateLateAlerts(input) {
+  if (input === undefined || input === null) return { lateAlerts: DEFAULT_LEAVE_POLICY.lateAlerts.map(alert => ({ ...alert })) }
+  if (!Array.isArray(input)) return { error: 'lateAlerts must be a list' }
+  const lateAlerts = []
+  for (const alert of input) {
+    const count = Number(alert?.count)
+    const days = Number(alert?.days)
+    if (!Number.isInteger(count) || count < 2 || count > 31) return { error: 'A late alert needs between 2 and 31 lates' }
+    if (!Number.isInteger(days) || days < 1 || days > 180) return { error: 'A late alert needs a window of 1 to 180 days' }
+    if (!lateAlerts.some(a => a.count === count && a.days === days)) lateAlerts.push({ count, days })
+  }
+  lateAlerts.sort((a, b) => a.days - b.days || a.count - b.count)
+  return { lateAlerts }
+}
+
+/**
+ * Validate a leave policy payload. Returns { error } or { policy } with
+ * normalized fields ready to save.
+ */
+export function validateLeavePolicy(input = {}) {
+  const department = normalizeDepartment(input.department || '')
+  if (!department) return { error: 'department is required' }
+
+  const categories = []
+  for (const category of Array.isArray(input.categories) ? input.categories : []) {
+    const label = (category?.label || '').toString().trim()
+    const key = categoryKey(category?.key || label)
+    if (!key || !label) return { error: 'Each category needs a name' }
+    const unlimited = category.quotaDays === null || category.quotaDays === undefined || category.quotaDays === ''
+    const quotaDays = unlimited ? null : Number(category.quotaDays)
+    if (!unlimited && (!Number.isInteger(quotaDays) || quotaDays < 0 || quotaDays > 365)) {
+      return { error: `The quota for ${label} must be a whole number of days between 0 and 365, or empty for no limit` }
+    }
+    const { error, approvers } = validateApprovers(category.approvers, label)
+    if (error) return { error }
+    categories.push({ key, label, quotaDays, requiresAttachment: !!category.requiresAttachment, approvers })
+  }
+  if (categories.length === 0) return { error: 'At least one leave category is required' }
+  if (new Set(categories.map(c => c.key)).size !== categories.length) return { error: 'Category names must be unique' }
+
+  const holidays = []
+  for (const holiday of Array.isArray(input.holidays) ? input.holidays : []) {
+    const date = new Date(holiday?.date)
+    if (Number.isNaN(date.getTime())) return { error: 'Each holiday needs a valid date' }
+    holidays.push({ date: new Date(`${date.toISOString().slice(0, 10)}T00:00:00.000Z`), name: (holiday.name || '').toString().trim() })
+  }
+  holidays.sort((a, b) => a.date - b.date)
+
+  const enforcement = input.enforcement || DEFAULT_LEAVE_POLICY.enforcement
+  if (!['warn', 'block'].includes(enforcement)) return { error: "enforcement must be 'warn' or 'block'" }
+
+  const semesterStartMonths = [...new Set((Array.isArray(input.semesterStartMonths) ? input.semesterStartMonths : DEFAULT_LEAVE_POLICY.semesterStartMonths).map(Number))]
+  if (semesterStartMonths.length === 0 || semesterStartMonths.some(m => !Number.isInteger(m) || m < 1 || m > 12)) {
+    return { error: 'semesterStartMonths must list months between 1 and 12' }
+  }
+  semesterStartMonths.sort((a, b) => a - b)
+
+  const { error: lateAlertsError, lateAlerts } = validateLateAlerts(input.lateAlerts)
+  if (lateAlertsError) return { error: lateAlertsError }
+
+  return { policy: { department, categories, holidays, enforcement, semesterStartMonths, lateAlerts } }
+}
@@ -0,0 +1,379 @@
+import mongoose from 'mongoose'
+import { ClassAssignment, Marksheet, Student, SubjectMarkEntry, User } from '../models.js'
+import {
+  formatSubjectLabel,
+  getDefaultSubjects,
+  getElectiveSlots,
+  getYearAliases,
+  inferRegulation,
+  normalizeDepartment,
+  normalizeSemester,
+  normalizeSubjectKey,
+  normalizeYear
+} from '../shared/subjectCatalog.js'
+import { DEFAULT_GRADING_SCHEME, parseMarkInput } from '../shared/grading.js'
+import { getSubjectCatalog } from './subjectCatalog.js'
+import { getElectiveChoiceMap, regNumberKey } from './electiveChoices.js'
+import { gradeMarksheetSubjects } from './gradingSchemes.js'
+import { diffMarksheet } from './marksheetAudit.js'
+import { isImportLocked } from './importDiff.js'
+import { normalizeHeader } from './importMapping.js'
+import { findClassAdvisor } from './classAssignments.js'
+
+// Subject-wise mark entry: each subject teacher enters (or uploads) the marks of
+// their subject for a class and examination, saves drafts and locks the entry
+// when it is complete. Once every subject of the class is locked, the class
+// advisor consolidates the entries into one Marksheet per student, which then
+// goes through the usual verify and dispatch flow.
+
+// Error code of a consolidation attempted before every subject is locked
+export const MARKS_INCOMPLETE = 'MARKS_INCOMPLETE'
+
+const clean = (value) => (value ?? '').toString().trim()
+
+// Code, or the normalized name for subjects without one
+export const subjectKeyOf = ({ subjectCode, subjectName } = {}) => clean(subjectCode).toUpperCase() || normalizeSubjectKey(clean(subjectName))
+
+/**
+ * Class and examination a request is about. Returns { error } or { exam }.
+ */
+export function readExam(source = {}) {
+  const exam = {
+    department: normalizeDepartment(clean(source.department)),
+    year: normalizeYear(clean(source.year)),
+    section: clean(source.section).toUpperCase(),
+    semester: normalizeSemester(clean(source.semester)),
+    examinationName: clean(source.examinationName)
+  }
+  if (!exam.department || !exam.year || !exam.section) return { error: 'department, year and section are required' }
+  if (!exam.semester) return { error: 'semester is required' }
+  if (!exam.examinationName) return { error: 'examinationName is required' }
+  return { exam }
+}
+
+/**
+ * Subject of an entry. Returns { error } or { subject } with its subjectKey.
+ */
+export function readSubject(source = {}) {
+  const subject = { subjectCode: clean(source.subjectCode).toUpperCase(), subjectName: clean(source.subjectName) }
+  if (!subject.subjectCode && !subject.subjectName) return { error: 'subjectCode or subjectName is required' }
+  if (!subject.subjectName) subject.subjectName = subject.subjectCode
+  return { subject: { ...subject, subjectKey: subjectKeyOf(subject) } }
+}
+
+export const examFilter = ({ department, year, section, semester, examinationName }) => ({ department, year, section, semester, examinationName })
+
+const rosterOf = ({ department, year, section }) => Student.find({
+  department,
+  year: { $in: getYearAliases(year) },
+  section,
+  status: { $in: ['active', null] }
+})
+  .select('_id regNumber name')
+  .sort({ regNumber: 1 })
+  .lean()
+
+// Register numbers of the students who chose the course when it is offered for an
+// elective slot of the semester; null for core subjects, which the whole class takes
+async function electiveTakers({ department, year, semester }, { subjectCode }) {
+  if (!subjectCode) return null
+  const catalog = await getSubjectCatalog({ regulation: inferRegulation([{ subjectCode }]) })
+  const offered = getElectiveSlots(department, year, semester, catalog)
+    .some((slot) => slot.options.some((option) => option.code?.toUpperCase() === subjectCode))
+  if (!offered) return null
+  const choices = await getElectiveChoiceMap({ department, semester })
+  return new Set([...choices]
+    .filter(([, list]) => list.some((choice) => choice.code?.toUpperCase() === subjectCode))
+    .map(([regNumber]) => regNumber))
+}
+
+/**
+ * Students who sit the subject: the active roster of the class, narrowed to the
+ * students who chose the course for elective offerings.
+ */
+export async function entryStudents(exam, subject) {
+  const [students, takers] = await Promise.all([rosterOf(exam), electiveTakers(exam, subject)])
+  return takers ? students.filter((student) => takers.has(regNumberKey(student.regNumber))) : students
+}
+
+/**
+ * Entry rows lined up with the current students: marks already entered are kept,
+ * students who joined since get a blank row, students who left are dropped.
+ */
+export function alignRows(rows = [], students = []) {
+  const byStudent = new Map(rows.map((row) => [String(row.studentId), row]))
+  return students.map((student) => {
+    const row = byStudent.get(String(student._id))
+    return {
+      studentId: student._id,
+      regNumber: student.regNumber,
+      name: student.name,
+      marks: row?.marks ?? null,
+      absent: Boolean(row?.absent)
+    }
+  })
+}
+
+/**
+ * Apply marks from the grid or an upload ([{ regNumber, marks, absent }]) to the
+ * aligned rows. "AB" counts as absent and a blank clears the mark. Returns the
+ * new rows and one error per rejected input row.
+ */
+export function applyMarks(rows = [], input = [], { maxMarks = DEFAULT_GRADING_SCHEME.maxMarks } = {}) {
+  const next = rows.map((row) => ({ ...row }))
+  const byReg = new Map(next.map((row) => [regNumberKey(row.regNumber), row]))
+  const errors = []
+  for (const item of input) {
+    const regNumber = regNumberKey(item?.regNumber)
+    const row = byReg.get(regNumber)
+    if (!row) {
+      errors.push({ regNumber, error: 'Not a student of this class for the subject' })
+      continue
+    }
+    const parsed = item.absent === true ? { marks: null, absent: true } : parseMarkInput(item.marks, maxMarks)
+    if (parsed.error) {
+      errors.push({ regNumber, error: parsed.error })
+      continue
+    }
+    row.marks = parsed.marks
+    row.absent = parsed.absent
+  }
+  return { rows: next, errors }
+}
+
+// Rows still without marks or an absence; an entry can only be locked without any
+export const missingRows = (rows = []) => rows.filter((row) => !row.absent && (row.marks === null || row.marks === undefined))
+
+const MARK_COLUMNS = [
+  { key: 'regNumber', label: 'RegNumber', aliases: ['RegNumber', 'RegNo', 'Register', 'RegisterNumber', 'RegistrationNumber', 'RollNo'] },
+  { key: 'marks', label: 'Marks', aliases: ['Marks', 'Mark', 'Score', 'Total', 'MarksObtained'] }
+]
+
+/**
+ * Register numbers and marks from an uploaded subject sheet (header row first),
+ * or { error } when a column is missing.
+ */
+export function readMarkRows(grid = []) {
+  const headerIndex = grid.findIndex((row) => (row || []).filter((cell) => clean(cell)).length >= 2)
+  if (headerIndex < 0) return { error: 'The sheet has no header row' }
+  const headers = grid[headerIndex].map(normalizeHeader)
+  const columns = {}
+  for (const column of MARK_COLUMNS) {
+    const aliases = column.aliases.map(normalizeHeader)
+    const index = headers.findIndex((header) => aliases.includes(header))
+    if (index < 0) return { error: `Missing a ${column.label} column` }
+    columns[column.key] = index
+  }
+  const rows = []
+  for (let r = headerIndex + 1; r < grid.length; r++) {
+    const row = grid[r] || []
+    if (!clean(row[columns.regNumber])) continue
+    rows.push({ regNumber: clean(row[columns.regNumber]), marks: row[columns.marks] })
+  }
+  return { rows }
+}
+
+/**
+ * Subjects the class sits for the examination: the class's subject teacher
+ * assignments for subjects of the semester, plus any entry already started.
+ */
+async function examSubjects(exam) {
+  const [assignments, entries, catalog] = await Promise.all([
+    ClassAssignment.find({
+      department: exam.department,
+      year: { $in: getYearAliases(exam.year) },
+      section: exam.section,
+      role: 'subject_teacher',
+      active: true
+    }).lean(),
+    SubjectMarkEntry.find(examFilter(exam)).lean(),
+    getSubjectCatalog()
+  ])
+  const semesterCodes = new Set(getDefaultSubjects(exam.department, exam.year, exam.semester, catalog)
+    .flatMap((subject) => [subject.code, ...(subject.options || []).map((option) => option.code)])
+    .filter(Boolean)
+    .map((code) => code.toUpperCase()))
+
+  const subjects = new Map()
+  for (const assignment of assignments) {
+    // Subject teachers of the other semester of the year are not expected
+    if (semesterCodes.size && assignment.subjectCode && !semesterCodes.has(assignment.subjectCode.toUpperCase())) continue
+    const key = subjectKeyOf(assignment)
+    if (!subjects.has(key)) {
+      subjects.set(key, { subjectKey: key, subjectCode: assignment.subjectCode || '', subjectName: assignment.subjectName || assignment.subjectCode, staffId: assignment.staffId, entry: null })
+    }
+  }
+  for (const entry of entries) {
+    subjects.set(entry.subjectKey, { subjectKey: entry.subjectKey, subjectCode: entry.subjectCode || '', subjectName: entry.subjectName, staffId: entry.staffId, entry })
+  }
+
+  const staff = await User.find({ _id: { $in: [...subjects.values()].map((subject) => subject.staffId) } }).select('name').lean()
+  const names = new Map(staff.map((member) => [String(member._id), member.name]))
+  return [...subjects.values()]
+    .map((subject) => ({ ...subject, staffName: subject.entry?.staffName || names.get(String(subject.staffId)) || 'Unassigned' }))
+    .sort((a, b) => a.subjectKey.localeCompare(b.subjectKey))
+}
+
+const cellOf = (entry, studentId) => {
+  if (!entry) return { state: 'missing' }
+  const row = entry.rows.find((item) => String(item.studentId) === String(studentId))
+  if (!row) return { state: 'not_taking' }
+  if (row.absent) return { state: 'absent' }
+  if (row.marks === null || row.marks === undefined) return { state: 'missing' }
+  return { state: 'entered', marks: row.marks }
+}
+
+/**
+ * Subjects x students completeness of a class's examination for the class
+ * advisor, and whether it is ready to consolidate (every subject locked).
+ */
+export async function buildCompleteness(exam) {
+  const [subjects, students, consolidated] = await Promise.all([
+    examSubjects(exam),
+    rosterOf(exam),
+    Marksheet.countDocuments({
+      'studentDetails.department': exam.department,
+      'studentDetails.year': { $in: getYearAliases(exam.year) },
+      'studentDetails.section': exam.section,
+      examinationName: exam.examinationName,
+      semester: exam.semester
+    })
+  ])
+  const summary = subjects.map(({ entry, ...subject }) => {
+    const rows = entry?.rows || []
+    return {
+      ...subject,
+      entryId: entry?._id || null,
+      status: entry?.status || 'not_started',
+      entered: rows.length - missingRows(rows).length,
+      students: rows.length,
+      updatedAt: entry?.updatedAt || null,
+      lockedAt: entry?.lockedAt || null,
+      consolidatedAt: entry?.consolidatedAt || null
+    }
+  })
+  return {
+    exam,
+    subjects: summary,
+    students: students.map((student) => ({
+      studentId: student._id,
+      regNumber: student.regNumber,
+      name: student.name,
+      cells: Object.fromEntries(subjects.map((subject) => [subject.subjectKey, cellOf(subject.entry, student._id)]))
+    })),
+    ready: summary.length > 0 && summary.every((subject) => subject.status === 'locked'),
+    marksheets: consolidated
+  }
+}
+
+/**
+ * Build one Marksheet per student from the locked entries of the examination,
+ * updating the student's existing marksheet for the exam unless it was
+ * dispatched or archived. Runs in one transaction and returns the per-student
+ * results and the audit events to record.
+ */
+export async function consolidateMarks(exam, { user, examinationDate }) {
+  const entries = await SubjectMarkEntry.find(examFilter(exam)).lean()
+  const completeness = await buildCompleteness(exam)
+  if (!completeness.ready) {
+    const pending = completeness.subjects.filter((subject) => subject.status !== 'locked').map((subject) => subject.subjectName)
+    throw Object.assign(new Error(pending.length
+      ? `Every subject must be locked first. Still open: ${pending.join(', ')}`
+      : 'No subject marks have been entered for this examination'), { status: 409, code: MARKS_INCOMPLETE })
+  }
+
+  const students = await rosterOf(exam)
+  const [existing, advisor] = await Promise.all([
+    Marksheet.find({ studentId: { $in: students.map((student) => student._id) }, examinationName: exam.examinationName, semester: exam.semester })
+      .sort({ createdAt: -1 })
+      .lean(),
+    // Marksheets consolidated by an HOD belong to the class advisor when the class has one
+    (user.role === 'staff' ? null : findClassAdvisor(exam)).then((advisor) => advisor || User.findById(user.id).lean())
+  ])
+  const latest = new Map()
+  for (const marksheet of existing) {
+    if (!latest.has(String(marksheet.studentId))) latest.set(String(marksheet.studentId), marksheet)
+  }
+  const fullStudents = new Map((await Student.find({ _id: { $in: students.map((student) => student._id) } }).lean())
+    .map((student) => [String(student._id), student]))
+  const date = examinationDate ? new Date(examinationDate) : entries.map((entry) => entry.examinationDate).sort((a, b) => a - b)[0]
+
+  const plan = { results: [], newMarksheets: [], marksheetOps: [], auditEvents: [] }
+  for (const { _id: studentId, regNumber, name } of students) {
+    const subjects = entries.flatMap((entry) => {
+      const row = entry.rows.find((item) => String(item.studentId) === String(studentId))
+      if (!row) return []
+      return [{
+        subjectCode: entry.subjectCode || '',
+        subjectName: formatSubjectLabel({ code: entry.subjectCode, name: entry.subjectName }),
+        marks: row.absent ? null : row.marks,
+        ...(row.absent ? { result: 'Absent' } : {})
+      }]
+    })
+    if (subjects.length === 0) {
+      plan.results.push({ regNumber, name, status: 'skipped', error: 'no marks in any subject' })
+      continue
+    }
+    const graded = await gradeMarksheetSubjects(subjects, { department: exam.department })
+    const current = latest.get(String(studentId))
+
+    if (current) {
+      if (isImportLocked(current)) {
+        plan.results.push({ regNumber, name, status: 'skipped', marksheetId: current._id, error: current.archivedAt ? 'the marksheet is archived' : 'the marksheet was already dispatched' })
+        continue
+      }
+      const changes = diffMarksheet(current, { ...current, ...graded })
+      if (changes.length === 0) {
+        plan.results.push({ regNumber, name, status: 'unchanged', marksheetId: current._id })
+        continue
+      }
+      // Changed marks need verifying again, as with edits from the marksheet page
+      plan.marksheetOps.push({
+        updateOne: { filter: { _id: current._id, updatedAt: current.updatedAt ?? null }, update: { $set: { ...graded, status: 'draft', updatedAt: new Date() } } }
+      })
+      plan.auditEvents.push({ marksheetId: current._id, action: 'marks_edited', fromStatus: current.status, toStatus: 'draft', changes, comments: 'Consolidated from subject mark entry' })
+      plan.results.push({ regNumber, name, status: 'updated', marksheetId: current._id })
+      continue
+    }
+
+    const student = fullStudents.get(String(studentId))
+    const marksheet = new Marksheet({
+      studentId,
+      studentDetails: {
+        name: student.name,
+        regNumber: student.regNumber,
+        year: exam.year,
+        section: exam.section,
+        department: exam.department,
+        studentPhoneNumber: student.studentPhoneNumber,
+        parentPhoneNumber: student.parentPhoneNumber,
+        attendance: student.attendance,
+        examinationName: exam.examinationName,
+        examinationDate: date
+      },
+      examinationName: exam.examinationName,
+      examinationDate: date,
+      semester: exam.semester,
+      ...graded,
+      staffId: advisor._id,
+      staffName: advisor.name,
+      staffSignature: advisor.eSignature
+    })
+    await marksheet.validate()
+    plan.newMarksheets.push(marksheet.toObject())
+    plan.auditEvents.push({ marksheetId: marksheet._id, action: 'created', toStatus: marksheet.status, comments: 'Consolidated from subject mark entry' })
+    plan.results.push({ regNumber, name, status: 'created', marksheetId: marksheet._id })
+  }
+
+  await mongoose.connection.transaction(async (session) => {
+    if (plan.newMarksheets.length) await Marksheet.insertMany(plan.newMarksheets, { session })
+    if (plan.marksheetOps.length) {
+      const { matchedCount } = await Marksheet.bulkWrite(plan.marksheetOps, { session })
+      if (matchedCount !== plan.marksheetOps.length) {
+        throw Object.assign(new Error('Some marksheets were changed while consolidating. Please try again.'), { status: 409 })
+      }
+    }
+    await SubjectMarkEntry.updateMany({ _id: { $in: entries.map((entry) => entry._id) } }, { $set: { consolidatedAt: new Date() } }, { session })
+  })
+  return plan
+}
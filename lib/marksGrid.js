@@ -0,0 +1,190 @@
+import { Marksheet, MarksheetAuditEvent } from '../models.js'
+import { DEFAULT_GRADING_SCHEME, isAttendanceSubject, parseMarkInput } from '../shared/grading.js'
+import { getYearAliases, inferRegulation, normalizeDepartment, normalizeSemester, normalizeYear } from '../shared/subjectCatalog.js'
+import { auditEventDocs, diffMarksheet } from './marksheetAudit.js'
+import { gradeMarksheetSubjects, resolveGradingScheme } from './gradingSchemes.js'
+import { canAccessMarksheet } from './permissions.js'
+import { isImportLocked } from './importDiff.js'
+import { subjectKeyOf } from './markEntry.js'
+import { runInTransaction } from './mongo.js'
+
+// The marks grid: every marksheet of one class and examination as a students ×
+// subjects table. Changed cells are saved together through one batch request.
+// Each row carries the updatedAt it was loaded with and is only written if the
+// marksheet still has it, so two people editing the same marks can't
+// overwrite each other: the second save gets the current rows back instead.
+
+// Error code of a batch that found marksheets changed since they were loaded
+export const MARKS_CONFLICT = 'MARKS_CONFLICT'
+
+// Upper bound on marksheets per batch; a class is well under this
+export const MAX_BATCH_ROWS = 500
+
+const clean = (value) => (value === undefined || value === null ? '' : String(value).trim())
+
+/**
+ * Class and examination of a grid request. The examination is optional so the
+ * page can first ask which examinations the class has. Returns { error } or { filter }.
+ */
+export function readGridFilter(source = {}) {
+  const department = normalizeDepartment(clean(source.department))
+  const year = normalizeYear(clean(source.year))
+  if (!department || !year) return { error: 'department and year are required' }
+  // Marksheets imported with '2' or 'II' are the same class
+  const filter = { 'studentDetails.department': department, 'studentDetails.year': { $in: getYearAliases(year) }, archivedAt: null }
+  const section = clean(source.section).toUpperCase()
+  if (section) filter['studentDetails.section'] = section
+  const semester = normalizeSemester(clean(source.semester))
+  if (semester) filter.semester = semester
+  return { filter, examinationName: clean(source.examinationName) }
+}
+
+/**
+ * Subject columns of the grid in first-seen order, with the columns whose
+ * marks come from assessment components (those are edited on the marksheet page).
+ */
+export function gridColumns(marksheets = []) {
+  const columns = new Map()
+  for (const marksheet of marksheets) {
+    for (const subject of marksheet.subjects || []) {
+      if (isAttendanceSubject(subject)) continue
+      const key = subjectKeyOf(subject)
+      const column = columns.get(key) || { subjectKey: key, subjectCode: subject.subjectCode || '', subjectName: subject.subjectName, hasComponents: false }
+      if (subject.components?.length) column.hasComponents = true
+      columns.set(key, column)
+    }
+  }
+  return [...columns.values()]
+}
+
+/**
+ * One grid row: the student, the marksheet's version and its subjects keyed by column.
+ */
+export function gridRow(marksheet) {
+  return {
+    _id: marksheet._id,
+    marksheetId: marksheet.marksheetId,
+    regNumber: marksheet.studentDetails?.regNumber || '',
+    name: marksheet.studentDetails?.name || '',
+    section: marksheet.studentDetails?.section || '',
+    status: marksheet.status,
+    regulation: marksheet.regulation || inferRegulation(marksheet.subjects || []) || DEFAULT_GRADING_SCHEME.regulation,
+    overallResult: marksheet.overallResult,
+    locked: isImportLocked(marksheet),
+    updatedAt: marksheet.updatedAt,
+    subjects: (marksheet.subjects || []).filter((subject) => !isAttendanceSubject(subject))
+  }
+}
+
+/**
+ * Grading schemes of the grid's rows keyed by regulation, so the page can
+ * recalculate pass/fail with the same rules the server saves with.
+ */
+export async function gridSchemes(department, rows = []) {
+  const regulations = [...new Set(rows.map((row) => row.regulation))]
+  const schemes = await Promise.all(regulations.map((regulation) => resolveGradingScheme({ department, regulation })))
+  return Object.fromEntries(regulations.map((regulation, index) => {
+    const { _id, name, maxMarks, passMarks, defaultCredits, failGrade, absentGrade, gradeBands, subjectCredits } = schemes[index]
+    return [regulation, { _id, name, regulation, maxMarks, passMarks, defaultCredits, failGrade, absentGrade, gradeBands, subjectCredits }]
+  }))
+}
+
+/**
+ * Apply changed cells ([{ subjectKey, value }]) to a marksheet's subjects.
+ * Typed marks replace the stored result and grade so grading starts afresh;
+ * "AB" stores the subject as absent. Returns { subjects, errors }.
+ */
+export function applyGridCells(subjects = [], cells = [], { maxMarks = DEFAULT_GRADING_SCHEME.maxMarks } = {}) {
+  const next = subjects.map((subject) => ({ ...subject }))
+  const errors = []
+  for (const cell of cells) {
+    const subject = next.find((item) => subjectKeyOf(item) === cell?.subjectKey)
+    if (!subject) {
+      errors.push({ subjectKey: cell?.subjectKey, error: 'This student has no such subject' })
+      continue
+    }
+    if (subject.components?.length) {
+      errors.push({ subjectKey: cell.subjectKey, error: 'Marks come from assessment components; edit them on the marksheet page' })
+      continue
+    }
+    const parsed = parseMarkInput(cell.value, maxMarks)
+    if (parsed.error) {
+      errors.push({ subjectKey: cell.subjectKey, error: parsed.error })
+      continue
+    }
+    if (!parsed.absent && parsed.marks === null) {
+      errors.push({ subjectKey: cell.subjectKey, error: 'Enter marks or AB' })
+      continue
+    }
+    Object.assign(subject, { marks: parsed.marks, result: parsed.absent ? 'Absent' : undefined, grade: undefined, gradePoints: undefined })
+  }
+  return { subjects: next, errors }
+}
+
+/**
+ * Check and grade a batch of grid changes ([{ marksheetId, updatedAt, cells }]).
+ * Nothing is written here. Returns the row errors, the stale rows (with the
+ * marksheet as it is now) and the write plan. Throws { status: 403 } when a
+ * marksheet is outside the user's scope.
+ */
+export async function planGridSave(updates, { user }) {
+  const ids = updates.map((update) => update.marksheetId).filter((id) => mongoose.isValidObjectId(id))
+  const current = new Map((await Marksheet.find({ _id: { $in: ids } }).lean()).map((marksheet) => [String(marksheet._id), marksheet]))
+
+  const plan = { rowErrors: [], conflicts: [], marksheetOps: [], auditEvents: [], ids: [] }
+  for (const update of updates) {
+    const marksheet = current.get(String(update.marksheetId))
+    if (!marksheet) {
+      plan.rowErrors.push({ marksheetId: update.marksheetId, error: 'Marksheet not found' })
+      continue
+    }
+    if (!canAccessMarksheet(user, marksheet)) {
+      throw Object.assign(new Error('Not authorized to edit these marksheets'), { status: 403 })
+    }
+    const regNumber = marksheet.studentDetails?.regNumber
+    if (new Date(update.updatedAt).getTime() !== new Date(marksheet.updatedAt).getTime()) {
+      plan.conflicts.push({ marksheetId: marksheet._id, regNumber, row: gridRow(marksheet) })
+      continue
+    }
+    if (isImportLocked(marksheet)) {
+      plan.rowErrors.push({ marksheetId: marksheet._id, regNumber, error: marksheet.archivedAt ? 'The marksheet is archived' : 'The marksheet was dispatched; raise a correction request' })
+      continue
+    }
+
+    const department = marksheet.studentDetails?.department
+    const scheme = await resolveGradingScheme({ department, regulation: marksheet.regulation || inferRegulation(marksheet.subjects || []) })
+    const { subjects, errors } = applyGridCells(marksheet.subjects, update.cells, { maxMarks: scheme.maxMarks })
+    if (errors.length > 0) {
+      plan.rowErrors.push(...errors.map((error) => ({ marksheetId: marksheet._id, regNumber, ...error })))
+      continue
+    }
+    const graded = await gradeMarksheetSubjects(subjects, { department, regulation: marksheet.regulation })
+    const changes = diffMarksheet(marksheet, { ...marksheet, ...graded })
+    if (changes.length === 0) continue
+
+    // Changed marks need verifying again, as with edits from the marksheet page
+    plan.marksheetOps.push({
+      updateOne: { filter: { _id: marksheet._id, updatedAt: marksheet.updatedAt ?? null }, update: { $set: { ...graded, status: 'draft', updatedAt: new Date() } } }
+    })
+    plan.auditEvents.push({ marksheetId: marksheet._id, action: 'marks_edited', fromStatus: marksheet.status, toStatus: 'draft', changes, comments: 'Edited in the marks grid' })
+    plan.ids.push(marksheet._id)
+  }
+  return plan
+}
+
+/**
+ * Write a checked batch and its audit events in one transaction. A marksheet
+ * changed between the check and the write rolls the whole batch back with
+ * MARKS_CONFLICT; a standalone mongod is refused before anything is written.
+ */
+export async function commitGridSave(plan, { actor } = {}) {
+  if (plan.marksheetOps.length === 0) return
+  const auditDocs = await auditEventDocs(plan.auditEvents, actor)
+  await runInTransaction(async (session) => {
+    const { matchedCount } = await Marksheet.bulkWrite(plan.marksheetOps, { session })
+    if (matchedCount !== plan.marksheetOps.length) {
+      throw Object.assign(new Error('Some marksheets were changed while saving. Reload the grid and try again.'), { status: 409, code: MARKS_CONFLICT })
+    }
+    if (auditDocs.length) await MarksheetAuditEvent.insertMany(auditDocs, { session })
+  })
+}
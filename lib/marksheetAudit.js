@@ -0,0 +1,160 @@
+import { MarksheetAuditEvent, User } from '../models.js'
+
+// Actor recorded for changes made by background workers
+export const SYSTEM_ACTOR = { name: 'System', role: 'system' }
+
+const STUDENT_DETAIL_LABELS = {
+  name: 'Student name',
+  regNumber: 'Register number',
+  year: 'Year',
+  section: 'Section',
+  department: 'Department',
+  parentPhoneNumber: 'Parent phone',
+  studentPhoneNumber: 'Student phone'
+}
+
+/**
+ * Audit actor for an authenticated request principal (req.user).
+ */
+export function auditActor(user) {
+  if (!user) return SYSTEM_ACTOR
+  return { userId: user.id, name: user.name, role: user.role }
+}
+
+const subjectKey = (subject) => subject?.subjectCode || subject?.subjectName || ''
+const normalizeValue = (value) => (value === undefined || value === '' ? null : value)
+
+const componentValue = (component) => (component ? (component.absent ? 'Absent' : normalizeValue(component.marks)) : null)
+
+// Assessment components (CIA1, Model...) are compared by name
+function diffComponents(key, label, before = [], after = []) {
+  const changes = []
+  const beforeByName = new Map((before || []).map(c => [c.name, c]))
+  const afterByName = new Map((after || []).map(c => [c.name, c]))
+  for (const name of new Set([...beforeByName.keys(), ...afterByName.keys()])) {
+    const from = componentValue(beforeByName.get(name))
+    const to = componentValue(afterByName.get(name))
+    if (String(from) !== String(to)) {
+      changes.push({ field: `subjects.${key}.components.${name}`, label: `${label} ${name}`, before: from, after: to })
+    }
+  }
+  return changes
+}
+
+/**
+ * Field-level diff of subject marks/results between two subject arrays.
+ */
+export function diffSubjects(before = [], after = []) {
+  const changes = []
+  const beforeByKey = new Map((before || []).map(s => [subjectKey(s), s]))
+  const afterByKey = new Map((after || []).map(s => [subjectKey(s), s]))
+
+  for (const [key, next] of afterByKey) {
+    const prev = beforeByKey.get(key)
+    const label = next.subjectName || key
+    if (!prev) {
+      changes.push({ field: `subjects.${key}`, label: `${label} added`, before: null, after: { marks: normalizeValue(next.marks), result: next.result } })
+      continue
+    }
+    for (const field of ['marks', 'result', 'grade']) {
+      const from = normalizeValue(prev[field])
+      const to = normalizeValue(next[field])
+      if (String(from) !== String(to)) {
+        changes.push({ field: `subjects.${key}.${field}`, label: `${label} ${field}`, before: from, after: to })
+      }
+    }
+    changes.push(...diffComponents(key, label, prev.components, next.components))
+  }
+  for (const [key, prev] of beforeByKey) {
+    if (!afterByKey.has(key)) {
+      changes.push({ field: `subjects.${key}`, label: `${prev.subjectName || key} removed`, before: { marks: normalizeValue(prev.marks), result: prev.result }, after: null })
+    }
+  }
+  return changes
+}
+
+/**
+ * Diff the audited fields (student details, subjects, overall result, SGPA) of two marksheet versions.
+ */
+export function diffMarksheet(before = {}, after = {}) {
+  const changes = []
+  for (const [key, label] of Object.entries(STUDENT_DETAIL_LABELS)) {
+    const from = normalizeValue(before.studentDetails?.[key])
+    const to = normalizeValue(after.studentDetails?.[key])
+    if (String(from) !== String(to)) changes.push({ field: `studentDetails.${key}`, label, before: from, after: to })
+  }
+  changes.push(...diffSubjects(before.subjects, after.subjects))
+  if (normalizeValue(before.overallResult) !== normalizeValue(after.overallResult)) {
+    changes.push({ field: 'overallResult', label: 'Overall result', before: normalizeValue(before.overallResult), after: normalizeValue(after.overallResult) })
+  }
+  if (normalizeValue(before.sgpa) !== normalizeValue(after.sgpa)) {
+    changes.push({ field: 'sgpa', label: 'SGPA', before: normalizeValue(before.sgpa), after: normalizeValue(after.sgpa) })
+  }
+  return changes
+}
+
+async function resolveActor(actor) {
+  if (!actor) return SYSTEM_ACTOR
+  if (actor.name || !actor.userId) return actor
+  try {
+    const user = await User.findById(actor.userId).select('name role').lean()
+    return { userId: actor.userId, name: user?.name, role: actor.role || user?.role }
+  } catch {
+    return actor
+  }
+}
+
+const toEvent = (event, actor) => ({
+  marksheetId: event.marksheetId,
+  action: event.action,
+  fromStatus: event.fromStatus,
+  toStatus: event.toStatus,
+  changes: event.changes || [],
+  comments: event.comments || undefined,
+  actor
+})
+
+/**
+ * Append one event to a marksheet's audit trail. Never throws: a failed audit
+ * write is logged but does not undo the change it describes.
+ */
+export async function recordMarksheetAudit(event) {
+  try {
+    return await MarksheetAuditEvent.create(toEvent(event, await resolveActor(event.actor)))
+  } catch (err) {
+    console.error(`Failed to record ${event.action} audit event for marksheet ${event.marksheetId}:`, err.message)
+    return null
+  }
+}
+
+/**
+ * Append many events at once (imports, cascading deletes). All events share one actor.
+ */
+export async function recordMarksheetAuditMany(events, actor) {
+  if (!events.length) return
+  try {
+    const resolved = await resolveActor(actor)
+    await MarksheetAuditEvent.insertMany(events.map(event => toEvent(event, resolved)), { ordered: false })
+  } catch (err) {
+    console.error(`Failed to record ${events.length} marksheet audit events:`, err.message)
+  }
+}
+
+/**
+ * Audit documents for events sharing one actor, for callers that insert them
+ * in their own transaction so the trail commits or rolls back with the change.
+ */
+export async function auditEventDocs(events, actor) {
+  const resolved = await resolveActor(actor)
+  return events.map(event => toEvent(event, resolved))
+}
+
+/**
+ * Full audit trail of a marksheet, oldest first.
+ */
+export function getMarksheetAuditTrail(marksheetId) {
+  return MarksheetAuditEvent.find({ marksheetId })
+    .sort({ createdAt: 1, _id: 1 })
+    .select('-__v')
+    .lean()
+}
@@ -0,0 +1,108 @@
+import { Marksheet } from '../models.js'
+import { recordMarksheetAudit, SYSTEM_ACTOR } from './marksheetAudit.js'
+import { applyResultNormalization } from '../api/utils/resultUtils.js'
+import evolutionApi, { getEvolutionApiForStaff } from './evolutionApiService.js'
+import { DISPATCH_LINK_TTL_SECONDS, signedPdfPath } from './pdfLinks.js'
+
+// Statuses from which a marksheet may be sent to parents
+export const DISPATCHABLE_STATUSES = ['approved_by_hod', 'rescheduled_by_hod', 'dispatched']
+
+const LOCAL_HOST_PATTERN = /(^https?:\/\/localhost[:\/])|(^https?:\/\/127\.)|(^localhost[:\/])|(^127\.)/i
+
+/**
+ * Public base URL the WhatsApp gateway can fetch PDFs from.
+ * Background jobs have no request to derive it from, so they rely on PUBLIC_BASE_URL.
+ */
+export function getPublicBaseUrl() {
+  return (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '')
+}
+
+// Signed for as long as parents keep the message, so the gateway and the parent
+// can open it without a session
+export function buildMarksheetPdfUrl(baseUrl, marksheetId) {
+  return baseUrl ? `${baseUrl}${signedPdfPath({ marksheetId, expiresIn: DISPATCH_LINK_TTL_SECONDS })}` : ''
+}
+
+/**
+ * Send one marksheet to the parent over WhatsApp from the owning staff member's
+ * Evolution instance. Throws on failure; errors carry a `code` and
+ * `retryable: false` when retrying cannot help (e.g. a bad phone number).
+ * Returns { messageId, pdfAccessible }. Does not touch the marksheet document.
+ */
+export async function sendMarksheetWhatsApp(marksheet, { baseUrl = getPublicBaseUrl() } = {}) {
+  const normalized = applyResultNormalization(marksheet.toObject ? marksheet.toObject() : { ...marksheet })
+  const studentDetails = normalized.studentDetails || {}
+
+  const phoneNumber = [studentDetails.parentPhoneNumber, studentDetails.studentPhoneNumber]
+    .map((value) => (value === undefined || value === null ? '' : String(value).trim()))
+    .filter(Boolean)
+    .map((value) => evolutionApi.normalizePhoneNumber(value))
+    .find(Boolean)
+
+  if (!phoneNumber) {
+    const error = new Error('Invalid parent phone number. Use +91XXXXXXXXXX or 10-digit mobile number')
+    error.code = 'INVALID_PHONE'
+    error.retryable = false
+    throw error
+  }
+
+  const staffId = normalized.staffId || marksheet.staffId
+  const evo = staffId ? getEvolutionApiForStaff(String(staffId)) : evolutionApi
+  if (!evo.isConfigured()) {
+    const error = new Error('Evolution WhatsApp API not configured for this staff instance')
+    error.code = 'NOT_CONFIGURED'
+    throw error
+  }
+
+  const marksheetPdfUrl = buildMarksheetPdfUrl(baseUrl, marksheet._id)
+  const pdfAccessible = Boolean(marksheetPdfUrl) && !LOCAL_HOST_PATTERN.test(marksheetPdfUrl)
+  if (!pdfAccessible) {
+    console.warn(`⚠️ PDF URL for ${marksheet._id} is not publicly accessible. Falling back to text-only.`)
+  }
+
+  const parsedExamDate = new Date(normalized.examinationDate)
+  const examDate = Number.isNaN(parsedExamDate.getTime()) ? new Date() : parsedExamDate
+
+  const sendResult = await evo.sendMarksheetNotification({
+    studentName: studentDetails.name || 'Student',
+    registerNumber: studentDetails.regNumber || 'N/A',
+    parentPhoneNumber: phoneNumber,
+    examName: `${normalized.examinationName || 'Examination'}${normalized.revision > 0 ? ' (Revised)' : ''}`,
+    examMonth: examDate.toLocaleDateString('en-US', { month: 'long' }),
+    examYear: examDate.getFullYear(),
+    overallResult: normalized.overallResult || '—',
+    pdfUrl: pdfAccessible ? marksheetPdfUrl : ''
+  })
+
+  return { messageId: sendResult?.messageId || null, pdfAccessible }
+}
+
+/**
+ * Record a successful WhatsApp send. `extra` is merged into the $set; `actor` and
+ * `comments` go to the audit trail.
+ */
+export async function markMarksheetDispatched(marksheetId, extra = {}, { actor = SYSTEM_ACTOR, comments } = {}) {
+  const now = new Date()
+  const previous = await Marksheet.findById(marksheetId).select('status').lean()
+  const updated = await Marksheet.findByIdAndUpdate(marksheetId, {
+    status: 'dispatched',
+    'dispatchStatus.dispatched': true,
+    'dispatchStatus.dispatchedAt': now,
+    'dispatchStatus.whatsappStatus': 'sent',
+    'dispatchStatus.whatsappError': null,
+    updatedAt: now,
+    ...extra
+  }, { new: true })
+
+  if (updated) {
+    await recordMarksheetAudit({
+      marksheetId,
+      action: 'dispatched',
+      fromStatus: previous?.status,
+      toStatus: 'dispatched',
+      comments: comments || (previous?.status === 'dispatched' ? 'Re-sent to parent via WhatsApp' : 'Sent to parent via WhatsApp'),
+      actor
+    })
+  }
+  return updated
+}
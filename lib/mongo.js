@@ -58,3 +58,38 @@ export async function connectToDatabase() {
 
   return cached.conn
 }
+
+// Error code when a write needs a transaction but the server cannot run one
+export const TRANSACTIONS_UNSUPPORTED = 'TRANSACTIONS_UNSUPPORTED'
+
+const transactionSupport = new WeakMap()
+
+/**
+ * Whether the connected deployment can run multi-document transactions:
+ * replica sets and sharded clusters can, a standalone mongod cannot.
+ * Checked once per connection.
+ */
+export async function supportsTransactions(connection = mongoose.connection) {
+  const db = connection.db
+  if (!db) return false
+  if (!transactionSupport.has(db)) {
+    const hello = await db.admin().command({ hello: 1 })
+    transactionSupport.set(db, Boolean(hello.setName) || hello.msg === 'isdbgrid')
+  }
+  return transactionSupport.get(db)
+}
+
+/**
+ * Run `work(session)` in a transaction. On a standalone server this throws a
+ * 503 with code TRANSACTIONS_UNSUPPORTED before anything is written, instead
+ * of failing partway through.
+ */
+export async function runInTransaction(work, connection = mongoose.connection) {
+  if (!(await supportsTransactions(connection))) {
+    throw Object.assign(
+      new Error('The database is a standalone MongoDB server, which cannot save this change atomically. Run MongoDB as a replica set (a single node is enough).'),
+      { status: 503, code: TRANSACTIONS_UNSUPPORTED }
+    )
+  }
+  return connection.transaction(work)
+}
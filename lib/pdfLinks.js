@@ -0,0 +1,56 @@
+import { signToken, verifyToken } from './authTokens.js'
+
+// Signed download links for marksheet PDFs and leave letters. The WhatsApp
+// gateway, parents opening the link from the message and browser tabs cannot
+// send a bearer token, so GET /api/generate-pdf accepts `token=` instead: a
+// signed, expiring token naming the one document it opens. Links opened in the
+// app live a day; links sent to parents must still open when the message is
+// read weeks later, so they get DISPATCH_LINK_TTL_SECONDS.
+
+const PDF_LINK_TTL_SECONDS = Number(process.env.PDF_LINK_TTL_SECONDS) || 24 * 60 * 60
+export const DISPATCH_LINK_TTL_SECONDS = Number(process.env.PDF_DISPATCH_LINK_TTL_SECONDS) || 180 * 24 * 60 * 60
+
+const subjectOf = ({ marksheetId, leaveId } = {}) => {
+  if (leaveId) return `leave:${leaveId}`
+  if (marksheetId) return `marksheet:${marksheetId}`
+  return null
+}
+
+/**
+ * Token opening one document ({ marksheetId } or { leaveId }) until it expires.
+ */
+export function signPdfToken(target, expiresIn = PDF_LINK_TTL_SECONDS) {
+  const sub = subjectOf(target)
+  if (!sub) throw new Error('marksheetId or leaveId is required')
+  return signToken({ sub, typ: 'pdf' }, expiresIn)
+}
+
+/**
+ * Whether `token` is a live link for exactly this document.
+ */
+export function verifyPdfToken(token, target) {
+  const sub = subjectOf(target)
+  const result = verifyToken(token, 'pdf')
+  return Boolean(sub) && result.valid && result.payload.sub === sub
+}
+
+/**
+ * Path of a signed link: /api/generate-pdf?marksheetId=...&token=... (plus
+ * revision and format when given). `expiresIn` defaults to the in-app lifetime.
+ */
+export function signedPdfPath({ marksheetId, leaveId, revision, format, expiresIn } = {}) {
+  const params = new URLSearchParams(leaveId ? { type: 'leave', leaveId: String(leaveId) } : { marksheetId: String(marksheetId) })
+  if (revision !== undefined && revision !== null && revision !== '') params.set('revision', String(revision))
+  if (format) params.set('format', format)
+  params.set('token', signPdfToken({ marksheetId, leaveId }, expiresIn))
+  return `/api/generate-pdf?${params}`
+}
+
+/**
+ * Add a signed token to a generate-pdf URL built elsewhere (absolute or not).
+ */
+export function withPdfToken(url, target, expiresIn) {
+  if (!url) return url
+  const token = signPdfToken(target, expiresIn)
+  return `${url}${url.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`
+}
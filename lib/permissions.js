@@ -0,0 +1,341 @@
+import { normalizeDepartment, normalizeYear, getYearAliases, normalizeSubjectKey } from '../shared/subjectCatalog.js'
+
+export const ROLES = ['admin', 'hod', 'staff', 'student']
+
+const ALL = ROLES
+const FACULTY = ['admin', 'hod', 'staff']
+
+// First-year classes of every department report to the Humanities & Science HOD
+const FIRST_YEAR_HOD_DEPARTMENT = 'HNS'
+
+/**
+ * Declarative permission policy: resource -> action -> roles allowed to call it.
+ *
+ * This only answers "may this role perform this action at all". Whether the
+ * caller may act on a particular document (department / class / ownership) is
+ * decided by the can* scope helpers below, which the handlers call once they
+ * have loaded the target.
+ */
+export const POLICY = {
+  marksheets: {
+    list: ALL,
+    view: ALL,
+    create: ['staff'],
+    update: FACULTY,
+    delete: FACULTY,
+    verify: ['staff'],
+    'mark-visited': ALL,
+    'request-dispatch': ['staff'],
+    'batch-verify-and-dispatch': ['staff'],
+    'hod-response': ['hod'],
+    audit: FACULTY,
+    grid: FACULTY,
+    'batch-update': FACULTY
+  },
+  'marksheet-corrections': {
+    list: ALL,
+    revisions: ALL,
+    create: ['staff', 'student'],
+    respond: ['hod']
+  },
+  'grading-schemes': {
+    list: FACULTY,
+    resolve: FACULTY,
+    create: ['admin', 'hod'],
+    update: ['admin', 'hod'],
+    delete: ['admin', 'hod']
+  },
+  'subject-catalog': {
+    subjects: FACULTY,
+    versions: ['admin'],
+    'create-draft': ['admin'],
+    'update-draft': ['admin'],
+    publish: ['admin'],
+    'discard-draft': ['admin']
+  },
+  'elective-choices': {
+    list: FACULTY,
+    save: FACULTY,
+    upload: FACULTY
+  },
+  students: {
+    list: FACULTY,
+    view: FACULTY,
+    create: FACULTY,
+    update: FACULTY,
+    upload: FACULTY,
+    status: FACULTY,
+    transfer: ['admin', 'hod'],
+    'promotion-preview': ['admin', 'hod'],
+    'promotion-runs': ['admin', 'hod'],
+    'promotion-apply': ['admin', 'hod'],
+    'promotion-rollback': ['admin', 'hod']
+  },
+  'class-assignments': {
+    list: FACULTY,
+    create: ['admin', 'hod'],
+    delete: ['admin', 'hod']
+  },
+  'mark-entry': {
+    list: FACULTY,
+    sheet: FACULTY,
+    completeness: FACULTY,
+    save: ['staff'],
+    upload: ['staff'],
+    lock: ['staff'],
+    unlock: FACULTY,
+    consolidate: FACULTY
+  },
+  examinations: {
+    list: FACULTY,
+    create: ['staff'],
+    delete: FACULTY
+  },
+  'import-excel': {
+    inspect: ['staff'],
+    upload: ['staff'],
+    confirm: ['staff'],
+    session: ['staff'],
+    'rejected-rows': ['staff'],
+    templates: ['staff'],
+    'delete-template': ['staff']
+  },
+  leaves: {
+    list: ALL,
+    create: ['student'],
+    approve: ['admin', 'hod', 'staff'],
+    reject: ['admin', 'hod', 'staff'],
+    acknowledge: ['staff'],
+    'confirm-arrival': ['student'],
+    delete: ALL,
+    balance: ALL
+  },
+  'late-arrivals': {
+    report: FACULTY,
+    export: FACULTY
+  },
+  attendance: {
+    register: FACULTY,
+    save: ['staff'],
+    summary: ALL,
+    'apply-marksheets': FACULTY
+  },
+  'leave-policies': {
+    view: ALL,
+    save: ['admin', 'hod'],
+    delete: ['admin', 'hod']
+  },
+  calendar: {
+    list: ALL,
+    export: ALL,
+    create: ['admin'],
+    update: ['admin'],
+    delete: ['admin'],
+    import: ['admin']
+  },
+  users: {
+    'student-lookup': ALL,
+    profile: FACULTY,
+    list: ['admin', 'hod'],
+    create: ['admin'],
+    delete: ['admin'],
+    'access-policy': ['admin'],
+    'admin-reset-password': ['admin'],
+    'update-signature': FACULTY,
+    'update-profile': FACULTY,
+    'reset-password': FACULTY
+  },
+  'staff-approval': {
+    pending: ['admin', 'hod'],
+    details: ['admin', 'hod'],
+    approve: ['admin', 'hod'],
+    reject: ['admin', 'hod']
+  },
+  'whatsapp-dispatch': {
+    status: FACULTY,
+    diagnostics: FACULTY,
+    'manage-instance': FACULTY,
+    'manage-global-instance': ['admin'],
+    'send-marksheet': FACULTY,
+    'send-bulk': FACULTY,
+    'dispatch-status': FACULTY,
+    'create-job': FACULTY,
+    'job-status': FACULTY,
+    'control-job': FACULTY
+  },
+  notifications: {
+    inbox: ALL,
+    subscribe: ALL,
+    send: ['admin', 'hod'],
+    broadcast: ['admin'],
+    'approve-staff': ['admin', 'hod']
+  },
+  'generate-pdf': {
+    export: FACULTY,
+    render: ALL
+  }
+}
+
+export function isAllowed(user, resource, action) {
+  const roles = POLICY[resource]?.[action]
+  if (!user || !roles) return false
+  return roles.includes(String(user.role || '').toLowerCase())
+}
+
+export function forbid(res, error = 'You do not have permission to perform this action') {
+  return res.status(403).json({ success: false, error })
+}
+
+/**
+ * Check the policy for the signed-in user and answer 401/403 when it fails.
+ * Returns true when the handler may continue.
+ */
+export function authorize(req, res, resource, action) {
+  if (!req.user) {
+    res.status(401).json({ success: false, code: 'AUTH_REQUIRED', error: 'Authentication required' })
+    return false
+  }
+  if (!isAllowed(req.user, resource, action)) {
+    forbid(res)
+    return false
+  }
+  return true
+}
+
+const sameDepartment = (a, b) => !!a && !!b && normalizeDepartment(a) === normalizeDepartment(b)
+const sameYear = (a, b) => !!a && !!b && normalizeYear(a) === normalizeYear(b)
+const sameSection = (a, b) => !!a && !!b && String(a).trim().toUpperCase() === String(b).trim().toUpperCase()
+const sameId = (a, b) => !!a && !!b && String(a?._id || a) === String(b?._id || b)
+const sameClass = (assigned, classInfo) => sameDepartment(assigned.department, classInfo.department) &&
+  sameYear(assigned.year, classInfo.year) &&
+  sameSection(assigned.section, classInfo.section)
+
+/**
+ * Whether an HOD of `hodDepartment` oversees the given class.
+ * Department HODs cover their own department; the HNS HOD also covers every first-year class.
+ */
+export function hodCoversClass(hodDepartment, { department, year } = {}) {
+  if (sameDepartment(hodDepartment, department)) return true
+  return sameDepartment(hodDepartment, FIRST_YEAR_HOD_DEPARTMENT) && normalizeYear(year || '') === 'I'
+}
+
+/**
+ * Department / year / section scope: HODs act on their department, staff only on their own class.
+ */
+export function canAccessClass(user, classInfo = {}) {
+  if (!user) return false
+  if (user.role === 'admin') return true
+  if (user.role === 'hod') return hodCoversClass(user.department, classInfo)
+  if (user.role === 'staff') return staffClasses(user).some((assigned) => sameClass(assigned, classInfo))
+  return false
+}
+
+/**
+ * Classes a staff member teaches: their class assignments (loaded onto req.user
+ * by the auth middleware), plus the year/section on their profile while no
+ * advisor assignment has replaced it.
+ */
+export function staffClasses(user) {
+  const classes = Array.isArray(user?.classes) ? user.classes : []
+  if (!user?.year || !user?.section || classes.some((assigned) => assigned.role === 'class_advisor')) return classes
+  return [...classes, { department: user.department, year: user.year, section: user.section, role: 'class_advisor' }]
+}
+
+// Subjects match on code when both have one, otherwise on the name
+const sameSubject = (a = {}, b = {}) => (a.subjectCode && b.subjectCode
+  ? String(a.subjectCode).trim().toUpperCase() === String(b.subjectCode).trim().toUpperCase()
+  : !!a.subjectName && normalizeSubjectKey(a.subjectName) === normalizeSubjectKey(b.subjectName || ''))
+
+/**
+ * Whether the user may act as the class advisor: the class's advisor, or an HOD/admin over the class.
+ */
+export function advisesClass(user, classInfo = {}) {
+  if (!user) return false
+  if (user.role === 'staff') {
+    return staffClasses(user).some((assigned) => assigned.role === 'class_advisor' && sameClass(assigned, classInfo))
+  }
+  return (user.role === 'admin' || user.role === 'hod') && canAccessClass(user, classInfo)
+}
+
+/**
+ * Whether a staff member is assigned to teach `subject` ({ subjectCode, subjectName }) in the class.
+ */
+export function teachesSubject(user, classInfo = {}, subject = {}) {
+  if (!user || user.role !== 'staff') return false
+  return staffClasses(user).some((assigned) => assigned.role === 'subject_teacher' && sameClass(assigned, classInfo) && sameSubject(assigned, subject))
+}
+
+export function canAccessStudent(user, student) {
+  if (!user || !student) return false
+  if (user.role === 'student') {
+    return sameId(user.id, student._id) || (!!user.regNumber && user.regNumber === student.regNumber)
+  }
+  return canAccessClass(user, student)
+}
+
+export function canAccessMarksheet(user, marksheet) {
+  if (!user || !marksheet) return false
+  const details = marksheet.studentDetails || {}
+  if (user.role === 'student') {
+    return sameId(user.id, marksheet.studentId) || (!!user.regNumber && user.regNumber === details.regNumber)
+  }
+  if (user.role === 'staff' && sameId(user.id, marksheet.staffId)) return true
+  return canAccessClass(user, details)
+}
+
+export function canAccessLeave(user, leave) {
+  if (!user || !leave) return false
+  if (user.role === 'student') return sameId(user.id, leave.studentId)
+  return canAccessClass(user, leave.studentDetails || {})
+}
+
+/**
+ * Mongo filter limiting a query to the documents the user may see.
+ * `prefix` is the embedded student details path ('studentDetails' for marksheets
+ * and leaves, '' for Student documents). `ownerField` lets staff also see
+ * documents they own outside their class (e.g. marksheets they imported).
+ */
+export function scopeFilter(user, { prefix = 'studentDetails', ownerField = null, studentField = 'studentId' } = {}) {
+  const path = (field) => (prefix ? `${prefix}.${field}` : field)
+  if (!user) return { _id: null }
+  if (user.role === 'admin') return {}
+  if (user.role === 'student') return { [studentField]: user.id }
+
+  if (user.role === 'hod') {
+    const clauses = [{ [path('department')]: user.department }]
+    if (sameDepartment(user.department, FIRST_YEAR_HOD_DEPARTMENT)) {
+      clauses.push({ [path('year')]: { $in: getYearAliases('I') } })
+    }
+    return clauses.length === 1 ? clauses[0] : { $or: clauses }
+  }
+
+  if (user.role === 'staff') {
+    // A subject teacher in several sections sees each of them; one clause per distinct class
+    const seen = new Set()
+    const clauses = []
+    for (const assigned of staffClasses(user)) {
+      const key = `${normalizeDepartment(assigned.department)}|${normalizeYear(assigned.year)}|${String(assigned.section).toUpperCase()}`
+      if (seen.has(key)) continue
+      seen.add(key)
+      clauses.push({
+        [path('department')]: assigned.department,
+        [path('year')]: { $in: getYearAliases(assigned.year) },
+        [path('section')]: assigned.section
+      })
+    }
+    if (ownerField) clauses.unshift({ [ownerField]: user.id })
+    if (clauses.length === 0) return { _id: null }
+    return clauses.length === 1 ? clauses[0] : { $or: clauses }
+  }
+
+  return { _id: null }
+}
+
+/**
+ * AND a scope filter onto an existing query filter without clobbering its own $or.
+ */
+export function withScope(filter, scope) {
+  if (!scope || Object.keys(scope).length === 0) return filter
+  if (!filter || Object.keys(filter).length === 0) return scope
+  return { $and: [filter, scope] }
+}
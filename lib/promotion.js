@@ -0,0 +1,337 @@
+import { ClassAssignment, LeaveRequest, Marksheet, PromotionRun, Student, User } from '../models.js'
+import { runInTransaction } from './mongo.js'
+import { getYearAliases, normalizeYear } from '../shared/subjectCatalog.js'
+import { OPEN_LEAVE_STATUSES, YEARS, classLabel, historyEntry, moveOpenLeaves, nextYear } from './roster.js'
+import { currentAcademicYear, nextAcademicYear } from './classAssignments.js'
+
+export { currentAcademicYear }
+
+// Year-end promotion of a department: every active student moves up a year, the
+// final year graduates, the year's marksheets and closed leave requests become
+// read-only, and staff get their new class assignments. The year's class
+// assignments end: advisors carry over to the class in the HOD's staff table
+// (or keep their class), subject teachers are assigned afresh. The run records
+// what it changed so it can be undone within PROMOTION_ROLLBACK_DAYS.
+
+export const PROMOTION_ROLLBACK_DAYS = Number(process.env.PROMOTION_ROLLBACK_DAYS || 14)
+
+// Error code for writes to a marksheet or leave request a promotion archived
+export const ARCHIVED = 'ARCHIVED'
+
+export const isArchived = (doc) => Boolean(doc?.archivedAt)
+
+/**
+ * Send the 409 for an attempt to change an archived record.
+ */
+export function rejectArchived(res, what = 'record') {
+  return res.status(409).json({
+    success: false,
+    code: ARCHIVED,
+    error: `This ${what} belongs to a closed academic year and is read-only`
+  })
+}
+
+const actorOf = (user) => ({ userId: user.id, name: user.name })
+
+const activeStudentsOf = (department, session) => Student.find({ department, status: { $in: ['active', null] } })
+  .select('_id regNumber year section status')
+  .session(session || null)
+  .lean()
+
+// Marksheets waiting on the HOD or on a scheduled dispatch. Like open leave
+// requests they are not archived, so they can still be answered and sent.
+export const IN_FLIGHT_MARKSHEET_STATUSES = ['dispatch_requested', 'rescheduled_by_hod']
+
+// Marksheets and closed leave requests of the given students that are still open to edits
+const archiveFilters = (studentIds) => ({
+  marksheets: { studentId: { $in: studentIds }, status: { $nin: IN_FLIGHT_MARKSHEET_STATUSES }, archivedAt: null },
+  leaves: { studentId: { $in: studentIds }, status: { $nin: OPEN_LEAVE_STATUSES }, archivedAt: null }
+})
+
+/**
+ * What a promotion of `department` would do, without changing anything.
+ */
+export async function previewPromotion(department) {
+  const students = await activeStudentsOf(department)
+  const classes = new Map()
+  const unknownYear = []
+  for (const student of students) {
+    const year = normalizeYear(student.year || '')
+    if (!YEARS.includes(year)) {
+      unknownYear.push(student.regNumber)
+      continue
+    }
+    const key = `${year}|${student.section}`
+    if (!classes.has(key)) classes.set(key, { year, section: student.section, toYear: nextYear(year), students: 0 })
+    classes.get(key).students += 1
+  }
+  const classList = [...classes.values()].sort((a, b) => YEARS.indexOf(a.year) - YEARS.indexOf(b.year) || a.section.localeCompare(b.section))
+
+  const filters = archiveFilters(students.map((student) => student._id))
+  const [marksheets, inFlight, leaves, staff, lastRun] = await Promise.all([
+    Marksheet.countDocuments(filters.marksheets),
+    Marksheet.countDocuments({ ...filters.marksheets, status: { $in: IN_FLIGHT_MARKSHEET_STATUSES } }),
+    LeaveRequest.countDocuments(filters.leaves),
+    User.find({ role: 'staff', department }).select('_id name email year section').sort({ year: 1, section: 1, name: 1 }).lean(),
+    PromotionRun.findOne({ department }).sort({ appliedAt: -1 }).select('-students').lean()
+  ])
+
+  return {
+    department,
+    academicYear: currentAcademicYear(),
+    classes: classList,
+    counts: {
+      promoted: classList.filter((item) => item.toYear).reduce((sum, item) => sum + item.students, 0),
+      graduated: classList.filter((item) => !item.toYear).reduce((sum, item) => sum + item.students, 0),
+      marksheetsArchived: marksheets,
+      marksheetsInFlight: inFlight,
+      leavesArchived: leaves
+    },
+    unknownYear,
+    staff: staff.map((member) => ({ userId: member._id, name: member.name, email: member.email, year: member.year || '', section: member.section || '' })),
+    lastRun
+  }
+}
+
+/**
+ * Apply a promotion in one transaction. `staffAssignments` is
+ * [{ userId, year, section }] for department staff whose class changes.
+ * Throws with `status` set for problems the caller should report as-is,
+ * including a 503 TRANSACTIONS_UNSUPPORTED on a standalone server.
+ */
+export async function applyPromotion({ department, academicYear, staffAssignments = [], user }) {
+  const assignments = new Map(staffAssignments.map((item) => [String(item.userId), {
+    year: normalizeYear(item.year || ''),
+    section: (item.section || '').toString().trim().toUpperCase()
+  }]))
+  for (const [userId, target] of assignments) {
+    if (target.year && !YEARS.includes(target.year)) throw Object.assign(new Error(`Unknown year "${target.year}" for staff ${userId}`), { status: 400 })
+  }
+
+  let run
+  await runInTransaction(async (session) => {
+    const students = await activeStudentsOf(department, session)
+    const changes = students
+      .filter((student) => YEARS.includes(normalizeYear(student.year || '')))
+      .map((student) => {
+        const toYear = nextYear(student.year)
+        return {
+          student,
+          studentId: student._id,
+          regNumber: student.regNumber,
+          fromYear: student.year,
+          toYear: toYear || student.year,
+          fromStatus: student.status || 'active',
+          toStatus: toYear ? student.status || 'active' : 'graduated'
+        }
+      })
+    if (changes.length === 0) throw Object.assign(new Error('No active students to promote in this department'), { status: 400 })
+
+    const staff = assignments.size
+      ? await User.find({ _id: { $in: [...assignments.keys()] }, role: 'staff', department }).select('_id name year section').session(session).lean()
+      : []
+    if (staff.length !== assignments.size) throw Object.assign(new Error('Class assignments can only be given to staff of this department'), { status: 400 })
+    const staffChanges = staff
+      .map((member) => ({
+        userId: member._id,
+        name: member.name,
+        from: { year: member.year || '', section: member.section || '' },
+        to: assignments.get(String(member._id))
+      }))
+      .filter(({ from, to }) => normalizeYear(from.year) !== to.year || from.section !== to.section)
+
+    const now = new Date()
+    const [created] = await PromotionRun.create([{
+      department,
+      academicYear,
+      students: changes.map(({ student, ...change }) => change),
+      staff: staffChanges,
+      appliedBy: actorOf(user),
+      appliedAt: now,
+      rollbackUntil: new Date(now.getTime() + PROMOTION_ROLLBACK_DAYS * 24 * 60 * 60 * 1000)
+    }], { session })
+    run = created
+
+    const promoted = changes.filter((change) => change.toStatus !== 'graduated')
+    const graduated = changes.filter((change) => change.toStatus === 'graduated')
+    await Student.bulkWrite(changes.map(({ student, toYear, toStatus }) => ({
+      updateOne: {
+        filter: { _id: student._id },
+        update: toStatus === 'graduated'
+          ? {
+              $set: { status: 'graduated', statusReason: `Completed ${academicYear}`, statusChangedAt: now, updatedAt: now },
+              $push: { history: historyEntry('status', { from: 'active', to: 'graduated', reason: `Year-end promotion ${academicYear}` }, user) }
+            }
+          : {
+              $set: { year: toYear, updatedAt: now },
+              $push: { history: historyEntry('promoted', { from: classLabel(student), to: classLabel({ year: toYear, section: student.section }), reason: `Year-end promotion ${academicYear}` }, user) }
+            }
+      }
+    })), { session })
+
+    // Requests still waiting on someone follow the student into the new year
+    for (const year of YEARS) {
+      const ids = promoted.filter((change) => change.toYear === year).map((change) => change.studentId)
+      if (ids.length) await moveOpenLeaves(ids, { year }, { session })
+    }
+
+    const filters = archiveFilters(changes.map((change) => change.studentId))
+    // updatedAt moves with it, so an edit guarded on the old version is refused
+    const archive = { $set: { archivedAt: now, archiveRunId: run._id, updatedAt: now } }
+    const marksheets = await Marksheet.updateMany(filters.marksheets, archive, { session })
+    const leaves = await LeaveRequest.updateMany(filters.leaves, archive, { session })
+
+    if (staffChanges.length) {
+      await User.bulkWrite(staffChanges.map(({ userId, to }) => ({
+        updateOne: { filter: { _id: userId }, update: { $set: { year: to.year, section: to.section } } }
+      })), { session })
+    }
+
+    const { ended, advisors } = await rollOverAssignments({ department, academicYear, staffChanges, runId: run._id, now, user, session })
+
+    run.counts = {
+      promoted: promoted.length,
+      graduated: graduated.length,
+      marksheetsArchived: marksheets.modifiedCount,
+      leavesArchived: leaves.modifiedCount,
+      assignmentsEnded: ended,
+      advisorsAssigned: advisors
+    }
+    await run.save({ session })
+  })
+  return run
+}
+
+/**
+ * End the department's class assignments for the closing year and give the next
+ * year's advisors: staff in the staff table advise their new class (none for a
+ * blank year), other advisors keep theirs.
+ */
+async function rollOverAssignments({ department, academicYear, staffChanges, runId, now, user, session }) {
+  const current = await ClassAssignment.find({ department, active: true }).session(session).lean()
+  await ClassAssignment.updateMany(
+    { _id: { $in: current.map((item) => item._id) } },
+    { $set: { active: false, endedAt: now, endedByRun: runId, updatedAt: now } },
+    { session }
+  )
+
+  const moved = new Set(staffChanges.map((change) => String(change.userId)))
+  const advisors = [
+    ...current
+      .filter((item) => item.role === 'class_advisor' && !moved.has(String(item.staffId)))
+      .map(({ staffId, year, section }) => ({ staffId, year, section })),
+    ...staffChanges.filter(({ to }) => to.year && to.section).map(({ userId, to }) => ({ staffId: userId, ...to }))
+  ]
+  if (advisors.length) {
+    await ClassAssignment.insertMany(advisors.map((advisor) => ({
+      ...advisor,
+      department,
+      role: 'class_advisor',
+      academicYear: nextAcademicYear(academicYear),
+      createdByRun: runId,
+      createdBy: user.id
+    })), { session })
+  }
+  return { ended: current.length, advisors: advisors.length }
+}
+
+/**
+ * Undo an applied run inside its rollback window. Students, staff and records
+ * changed by someone since the run are left alone and reported in rollbackSkipped.
+ */
+export async function rollbackPromotion(runId, user) {
+  let run
+  await runInTransaction(async (session) => {
+    run = await PromotionRun.findById(runId).session(session)
+    if (!run) throw Object.assign(new Error('Promotion run not found'), { status: 404 })
+    if (run.status !== 'applied') throw Object.assign(new Error('This promotion has already been rolled back'), { status: 409 })
+    if (run.rollbackUntil < new Date()) throw Object.assign(new Error('The rollback window for this promotion has closed'), { status: 409 })
+
+    const current = new Map((await Student.find({ _id: { $in: run.students.map((change) => change.studentId) } })
+      .select('_id year section status')
+      .session(session)
+      .lean()).map((student) => [String(student._id), student]))
+    const now = new Date()
+    const skipped = []
+    const operations = []
+    const restoredYears = new Map()
+    for (const change of run.students) {
+      const student = current.get(String(change.studentId))
+      const status = student?.status || 'active'
+      // Only undo students still exactly as the run left them
+      if (!student || status !== change.toStatus || normalizeYear(student.year || '') !== normalizeYear(change.toYear)) {
+        skipped.push(change.regNumber)
+        continue
+      }
+      const reason = `Promotion ${run.academicYear} rolled back`
+      if (change.toStatus === 'graduated') {
+        operations.push({
+          updateOne: {
+            filter: { _id: student._id },
+            update: {
+              $set: { status: change.fromStatus, statusChangedAt: now, updatedAt: now },
+              $unset: { statusReason: '' },
+              $push: { history: historyEntry('status', { from: 'graduated', to: change.fromStatus, reason }, user) }
+            }
+          }
+        })
+        continue
+      }
+      operations.push({
+        updateOne: {
+          filter: { _id: student._id },
+          update: {
+            $set: { year: change.fromYear, updatedAt: now },
+            $push: { history: historyEntry('promoted', { from: classLabel(student), to: classLabel({ year: change.fromYear, section: student.section }), reason }, user) }
+          }
+        }
+      })
+      const fromYear = normalizeYear(change.fromYear)
+      restoredYears.set(fromYear, [...(restoredYears.get(fromYear) || []), student._id])
+    }
+    if (operations.length) await Student.bulkWrite(operations, { session })
+    for (const [year, ids] of restoredYears) await moveOpenLeaves(ids, { year }, { session })
+
+    const unarchive = { $set: { updatedAt: now }, $unset: { archivedAt: '', archiveRunId: '' } }
+    await Marksheet.updateMany({ archiveRunId: run._id }, unarchive, { session })
+    await LeaveRequest.updateMany({ archiveRunId: run._id }, unarchive, { session })
+
+    for (const change of run.staff) {
+      const { matchedCount } = await User.updateOne(
+        { _id: change.userId, year: { $in: change.to.year ? getYearAliases(change.to.year) : ['', null] }, section: change.to.section || { $in: ['', null] } },
+        { $set: { year: change.from.year, section: change.from.section } },
+        { session }
+      )
+      if (matchedCount === 0) skipped.push(change.name)
+    }
+
+    // Assignments made since the run win over the ones it ended
+    await ClassAssignment.deleteMany({ createdByRun: run._id }, { session })
+    const ended = await ClassAssignment.find({ endedByRun: run._id }).session(session).lean()
+    for (const item of ended) {
+      const clash = await ClassAssignment.exists({
+        staffId: item.staffId,
+        active: true,
+        ...(item.role === 'class_advisor'
+          ? { role: 'class_advisor' }
+          : { department: item.department, year: item.year, section: item.section, role: item.role, subjectCode: item.subjectCode, subjectName: item.subjectName })
+      }).session(session)
+      if (clash) {
+        skipped.push(`${item.department} ${classLabel(item)} ${item.role === 'class_advisor' ? 'advisor' : item.subjectCode || item.subjectName}`)
+        continue
+      }
+      await ClassAssignment.updateOne(
+        { _id: item._id },
+        { $set: { active: true, updatedAt: now }, $unset: { endedAt: '', endedByRun: '' } },
+        { session }
+      )
+    }
+
+    run.status = 'rolled_back'
+    run.rolledBackAt = now
+    run.rolledBackBy = actorOf(user)
+    run.rollbackSkipped = skipped
+    await run.save({ session })
+  })
+  return run
+}
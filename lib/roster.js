@@ -0,0 +1,171 @@
+import { LeaveRequest, Marksheet, MarksheetAuditEvent, Student } from '../models.js'
+import { normalizeDepartment, normalizeYear } from '../shared/subjectCatalog.js'
+import { normalizeHeader } from './importMapping.js'
+import { auditEventDocs, diffMarksheet } from './marksheetAudit.js'
+
+// Student roster: the Student collection is the record of who is in which class.
+// Marksheets and leave requests point at it through studentId; the studentDetails
+// they carry keep the class the record was issued for, while the name and phone
+// numbers follow the roster (syncRosterDetails).
+
+export const ROSTER_STATUSES = ['active', 'discontinued', 'graduated']
+export const YEARS = ['I', 'II', 'III', 'IV']
+export const FINAL_YEAR = 'IV'
+
+// Leave requests still waiting on someone; they move with the student to a new class
+export const OPEN_LEAVE_STATUSES = ['requested', 'waiting_for_arrival_confirmation']
+
+const clean = (value) => (value ?? '').toString().trim()
+
+// Year after `year`, or null after the final year
+export const nextYear = (year) => {
+  const index = YEARS.indexOf(normalizeYear(clean(year)))
+  return index >= 0 && index < YEARS.length - 1 ? YEARS[index + 1] : null
+}
+
+export const normalizePhone = (value) => {
+  if (!value) return ''
+  const cleaned = value.toString().trim().replace(/[^0-9+]/g, '')
+  if (cleaned.startsWith('+')) return cleaned
+  return cleaned.startsWith('91') ? `+${cleaned}` : `+91${cleaned}`
+}
+
+const PHONE_PATTERN = /^\+\d{10,13}$/
+
+// Columns of a roster upload, matched by normalizeHeader
+export const ROSTER_COLUMNS = [
+  { key: 'regNumber', label: 'RegNumber', required: true, aliases: ['RegNumber', 'RegNo', 'Register', 'RegisterNumber', 'RegistrationNumber', 'RollNo'] },
+  { key: 'name', label: 'Name', required: true, aliases: ['Name', 'StudentName', 'Student'] },
+  { key: 'year', label: 'Year', required: false, aliases: ['Year'] },
+  { key: 'section', label: 'Section', required: false, aliases: ['Section', 'Sec', 'Class'] },
+  { key: 'parentPhoneNumber', label: 'ParentPhone', required: true, aliases: ['ParentPhone', 'ParentPhoneNumber', 'ParentMobile', 'Phone', 'Mobile'] },
+  { key: 'studentPhoneNumber', label: 'StudentPhone', required: false, aliases: ['StudentPhone', 'StudentPhoneNumber', 'StudentMobile'] }
+]
+
+/**
+ * Validate a student from the roster form or an upload row. Class fields fall
+ * back to `classInfo`. Returns { error } or { student } with normalized values.
+ */
+export function validateStudentInput(input = {}, classInfo = {}) {
+  const student = {
+    regNumber: clean(input.regNumber).toUpperCase(),
+    name: clean(input.name),
+    department: normalizeDepartment(clean(input.department) || classInfo.department || ''),
+    year: normalizeYear(clean(input.year) || classInfo.year || ''),
+    section: (clean(input.section) || classInfo.section || '').toUpperCase(),
+    parentPhoneNumber: normalizePhone(input.parentPhoneNumber),
+    studentPhoneNumber: normalizePhone(input.studentPhoneNumber)
+  }
+  if (!student.regNumber) return { error: 'Register number is required' }
+  if (!student.name) return { error: 'Name is required' }
+  if (!Student.schema.path('department').enumValues.includes(student.department)) {
+    return { error: `Unknown department "${student.department}"` }
+  }
+  if (!YEARS.includes(student.year)) return { error: `Year must be one of ${YEARS.join(', ')}` }
+  if (!student.section) return { error: 'Section is required' }
+  if (!PHONE_PATTERN.test(student.parentPhoneNumber)) return { error: 'Parent phone must be a 10-digit number' }
+  if (student.studentPhoneNumber && !PHONE_PATTERN.test(student.studentPhoneNumber)) {
+    return { error: 'Student phone must be a 10-digit number' }
+  }
+  if (!student.studentPhoneNumber) delete student.studentPhoneNumber
+  return { student }
+}
+
+/**
+ * Rows of a roster sheet (header row first) as [{ rowNum, input }], or { error }
+ * when a required column is missing.
+ */
+export function readRosterRows(grid = []) {
+  const headerIndex = grid.findIndex((row) => (row || []).filter((cell) => clean(cell)).length >= 2)
+  if (headerIndex < 0) return { error: 'The sheet has no header row' }
+  const headers = grid[headerIndex].map(normalizeHeader)
+  const columns = {}
+  for (const column of ROSTER_COLUMNS) {
+    const aliases = column.aliases.map(normalizeHeader)
+    const index = headers.findIndex((header) => aliases.includes(header))
+    if (index >= 0) columns[column.key] = index
+    else if (column.required) return { error: `Missing a ${column.label} column` }
+  }
+
+  const rows = []
+  for (let r = headerIndex + 1; r < grid.length; r++) {
+    const row = grid[r] || []
+    if (row.every((cell) => !clean(cell))) continue
+    const input = {}
+    for (const [key, index] of Object.entries(columns)) input[key] = row[index]
+    rows.push({ rowNum: r + 1, input })
+  }
+  return { rows }
+}
+
+/**
+ * Roster history entry. `from` and `to` describe the change ("II A" -> "III A",
+ * "active" -> "discontinued").
+ */
+export const historyEntry = (action, { from, to, reason } = {}, user) => ({
+  action,
+  from: from ?? undefined,
+  to: to ?? undefined,
+  reason: reason || undefined,
+  by: user ? { userId: user.id, name: user.name } : undefined,
+  at: new Date()
+})
+
+export const classLabel = ({ year, section }) => `${year} ${section}`.trim()
+
+const prefixed = (fields) => Object.fromEntries(Object.entries(fields).map(([key, value]) => [`studentDetails.${key}`, value]))
+
+/**
+ * Move the open leave requests of promoted or transferred students to their new
+ * class (`{ year }`, `{ section }`) so that class's staff and HOD pick them up.
+ */
+export function moveOpenLeaves(studentIds, classFields, { session } = {}) {
+  return LeaveRequest.updateMany(
+    { studentId: { $in: studentIds }, status: { $in: OPEN_LEAVE_STATUSES } },
+    { $set: prefixed(classFields) },
+    { session }
+  )
+}
+
+/**
+ * Carry a student's name and phone numbers to the records that reference them,
+ * except dispatched marksheets, which parents already have, and archived records.
+ * Runs in the transaction `session` the student itself is saved in, so the
+ * roster, the marksheets, their audit trail and the leave requests change together.
+ */
+export async function syncRosterDetails(student, { actor, session } = {}) {
+  const contact = {
+    name: student.name,
+    parentPhoneNumber: student.parentPhoneNumber,
+    ...(student.studentPhoneNumber ? { studentPhoneNumber: student.studentPhoneNumber } : {})
+  }
+  const marksheets = await Marksheet.find({ studentId: student._id, status: { $ne: 'dispatched' }, archivedAt: null })
+    .select('status studentDetails')
+    .session(session || null)
+    .lean()
+  const edited = marksheets
+    .map((marksheet) => ({
+      marksheet,
+      changes: diffMarksheet(marksheet, { ...marksheet, studentDetails: { ...marksheet.studentDetails, ...contact } })
+    }))
+    .filter(({ changes }) => changes.length > 0)
+  if (edited.length > 0) {
+    await Marksheet.updateMany(
+      { _id: { $in: edited.map(({ marksheet }) => marksheet._id) } },
+      { $set: { ...prefixed(contact), updatedAt: new Date() } },
+      { session }
+    )
+    const auditDocs = await auditEventDocs(edited.map(({ marksheet, changes }) => ({
+      marksheetId: marksheet._id,
+      action: 'details_edited',
+      fromStatus: marksheet.status,
+      toStatus: marksheet.status,
+      changes,
+      comments: 'Updated from the student roster'
+    })), actor)
+    await MarksheetAuditEvent.insertMany(auditDocs, { session })
+  }
+
+  const { studentPhoneNumber, ...leaveContact } = contact
+  await LeaveRequest.updateMany({ studentId: student._id, archivedAt: null }, { $set: prefixed(leaveContact) }, { session })
+}
@@ -0,0 +1,35 @@
+import os from 'os'
+import crypto from 'crypto'
+import { SchedulerLock } from '../models.js'
+
+// Identifies this server process as a lease owner
+export const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`
+
+/**
+ * Take (or renew) the lease `key` for `ttlMs`. Succeeds when the lease is free,
+ * expired, or already held by `owner`. Returns true if this owner now holds it.
+ *
+ * Two instances racing for a missing lease both try to upsert; the unique index
+ * on `key` rejects the loser with a duplicate key error, which counts as "not acquired".
+ */
+export async function acquireLease(key, ttlMs, owner = INSTANCE_ID) {
+  const now = new Date()
+  try {
+    const lock = await SchedulerLock.findOneAndUpdate(
+      { key, $or: [{ lockedUntil: { $lte: now } }, { owner }] },
+      { $set: { owner, lockedUntil: new Date(now.getTime() + ttlMs) }, $setOnInsert: { acquiredAt: now } },
+      { upsert: true, new: true }
+    ).lean()
+    return lock?.owner === owner
+  } catch (err) {
+    if (err?.code === 11000) return false
+    throw err
+  }
+}
+
+/**
+ * Give the lease up early so another instance can pick up the next run immediately.
+ */
+export async function releaseLease(key, owner = INSTANCE_ID) {
+  await SchedulerLock.updateOne({ key, owner }, { $set: { lockedUntil: new Date() } })
+}
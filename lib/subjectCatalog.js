@@ -0,0 +1,156 @@
+import { SubjectCatalog } from '../models.js'
+import {
+  DEFAULT_SUBJECTS,
+  buildCatalogTree,
+  flattenCatalogTree,
+  normalizeDepartment,
+  normalizeSemester,
+  normalizeYear
+} from '../shared/subjectCatalog.js'
+
+// Regulation the DEFAULT_SUBJECTS seed data belongs to
+export const SEED_REGULATION = 'R2024'
+
+const CACHE_TTL_MS = 60 * 1000
+let catalogCache = null
+
+export function clearSubjectCatalogCache() {
+  catalogCache = null
+}
+
+/**
+ * Store DEFAULT_SUBJECTS as version 1 of the seed regulation when the collection
+ * is empty. Concurrent first calls race on the unique (regulation, version) index.
+ */
+export async function seedSubjectCatalog() {
+  if (await SubjectCatalog.exists({})) return false
+  try {
+    await SubjectCatalog.create({
+      regulation: SEED_REGULATION,
+      version: 1,
+      status: 'published',
+      subjects: flattenCatalogTree(DEFAULT_SUBJECTS),
+      electives: [],
+      notes: 'Seeded from DEFAULT_SUBJECTS',
+      publishedAt: new Date()
+    })
+    return true
+  } catch (err) {
+    if (err?.code === 11000) return false
+    throw err
+  }
+}
+
+// Later regulations replace earlier ones semester by semester
+const mergeCatalogTrees = (trees = []) => {
+  const merged = {}
+  for (const tree of trees) {
+    for (const [department, years] of Object.entries(tree)) {
+      merged[department] ??= {}
+      for (const [year, semesters] of Object.entries(years)) {
+        merged[department][year] = { ...merged[department][year], ...semesters }
+      }
+    }
+  }
+  return merged
+}
+
+/**
+ * Published subject catalog as a department -> year -> semester tree for the
+ * shared/subjectCatalog.js helpers. With a regulation, that regulation's tree;
+ * otherwise every published regulation merged, newest winning. Falls back to
+ * DEFAULT_SUBJECTS if the database cannot be read.
+ */
+export async function getSubjectCatalog({ regulation } = {}) {
+  if (!catalogCache || catalogCache.expiresAt <= Date.now()) {
+    const byRegulation = new Map()
+    let merged = DEFAULT_SUBJECTS
+    try {
+      await seedSubjectCatalog()
+      const published = await SubjectCatalog.find({ status: 'published' }).sort({ regulation: 1 }).lean()
+      for (const catalog of published) {
+        byRegulation.set(catalog.regulation, buildCatalogTree(catalog.subjects, catalog.electives))
+      }
+      if (byRegulation.size > 0) merged = mergeCatalogTrees([...byRegulation.values()])
+    } catch (err) {
+      console.error('Subject catalog load failed, using seed data:', err.message)
+    }
+    catalogCache = { byRegulation, merged, expiresAt: Date.now() + CACHE_TTL_MS }
+  }
+
+  const key = (regulation || '').toString().trim().toUpperCase()
+  return catalogCache.byRegulation.get(key) || catalogCache.merged
+}
+
+const clean = (value) => (value ?? '').toString().trim()
+
+/**
+ * Validate the subjects and elective offerings of a catalog draft. Returns
+ * { error } or normalized { subjects, electives } ready to save.
+ */
+export function validateCatalogContent({ subjects, electives } = {}) {
+  if (!Array.isArray(subjects) || subjects.length === 0) return { error: 'The catalog needs at least one subject' }
+
+  const normalizedSubjects = []
+  const seenCodes = new Set()
+  const slotsByDepartment = new Map()
+  for (const [index, row] of subjects.entries()) {
+    const entry = {
+      department: normalizeDepartment(clean(row?.department)),
+      year: normalizeYear(clean(row?.year)),
+      semester: normalizeSemester(clean(row?.semester)),
+      code: clean(row?.code).toUpperCase(),
+      name: clean(row?.name)
+    }
+    const label = `Subject ${index + 1}${entry.name ? ` (${entry.name})` : ''}`
+    if (!entry.department || !entry.year || !entry.semester || !entry.name) {
+      return { error: `${label}: department, year, semester and name are required` }
+    }
+    const slot = clean(row?.electiveSlot)
+    if (slot) {
+      entry.electiveSlot = slot
+      if (!slotsByDepartment.has(entry.department)) slotsByDepartment.set(entry.department, new Set())
+      slotsByDepartment.get(entry.department).add(slot)
+    }
+    if (entry.code) {
+      const key = `${entry.department}|${entry.code}`
+      if (seenCodes.has(key)) return { error: `${label}: ${entry.code} is listed twice for ${entry.department}` }
+      seenCodes.add(key)
+    }
+    if (row?.credits !== undefined && row?.credits !== null && row?.credits !== '') {
+      const credits = Number(row.credits)
+      if (!Number.isFinite(credits) || credits < 0) return { error: `${label}: credits must be zero or more` }
+      entry.credits = credits
+    }
+    normalizedSubjects.push(entry)
+  }
+
+  const normalizedElectives = []
+  const seenOfferings = new Set()
+  for (const [index, row] of (Array.isArray(electives) ? electives : []).entries()) {
+    const entry = {
+      department: normalizeDepartment(clean(row?.department)),
+      slot: clean(row?.slot),
+      code: clean(row?.code).toUpperCase(),
+      name: clean(row?.name)
+    }
+    const label = `Elective ${index + 1}${entry.name ? ` (${entry.name})` : ''}`
+    if (!entry.department || !entry.slot || !entry.code || !entry.name) {
+      return { error: `${label}: department, slot, code and name are required` }
+    }
+    if (!slotsByDepartment.get(entry.department)?.has(entry.slot)) {
+      return { error: `${label}: ${entry.department} has no "${entry.slot}" slot` }
+    }
+    const key = `${entry.department}|${entry.slot}|${entry.code}`
+    if (seenOfferings.has(key)) return { error: `${label}: ${entry.code} is already offered for ${entry.slot}` }
+    seenOfferings.add(key)
+    if (row?.credits !== undefined && row?.credits !== null && row?.credits !== '') {
+      const credits = Number(row.credits)
+      if (!Number.isFinite(credits) || credits < 0) return { error: `${label}: credits must be zero or more` }
+      entry.credits = credits
+    }
+    normalizedElectives.push(entry)
+  }
+
+  return { subjects: normalizedSubjects, electives: normalizedElectives }
+}
@@ -15,6 +15,7 @@ const UserSchema = new mongoose.Schema({
   section: { type: String }, // For staff - which section they handle (A, B, C, etc.)
   eSignature: { type: String }, // Base64 encoded signature image
   phoneNumber: { type: String },
+  tokenVersion: { type: Number, default: 0 }, // Bumped to revoke outstanding refresh tokens
   createdAt: { type: Date, default: Date.now }
 })
 
@@ -27,15 +28,42 @@ const StudentSchema = new mongoose.Schema({
   department: { type: String, enum: ['CSE', 'AI_DS', 'ECE', 'MECH', 'CIVIL', 'EEE', 'IT', 'HNS'], required: true },
   studentPhoneNumber: { type: String },
   studentPasswordHash: { type: String },
+  tokenVersion: { type: Number, default: 0 },
   parentPhoneNumber: { type: String, required: true },
   attendance: { type: String },
   // Optional fields populated from import sessions
   examinationName: { type: String },
   examinationDate: { type: Date },
-  createdAt: { type: Date, default: Date.now }
+  // Roster state (lib/roster.js). Discontinued and graduated students stay on record but leave class lists.
+  status: { type: String, enum: ['active', 'discontinued', 'graduated'], default: 'active' },
+  statusReason: { type: String },
+  statusChangedAt: { type: Date },
+  history: [{
+    _id: false,
+    action: { type: String, enum: ['created', 'updated', 'promoted', 'transferred', 'status'], required: true },
+    from: String,
+    to: String,
+    reason: String,
+    by: { userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, name: String },
+    at: { type: Date, default: Date.now }
+  }],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
 })
 
+StudentSchema.index({ department: 1, year: 1, section: 1, status: 1 })
+
 // Marksheet Schema
+// Assessment component of a subject (CIA1, CIA2, Model, Assignment...). The subject's
+// marks are the components converted to 100 by shared/grading.js computeComponentTotal.
+const SubjectComponentSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  marks: { type: Number }, // null when absent
+  maxMarks: { type: Number, required: true },
+  weight: { type: Number }, // Defaults to maxMarks
+  absent: { type: Boolean, default: false }
+}, { _id: false })
+
 const MarksheetSchema = new mongoose.Schema({
   marksheetId: { type: String, unique: true },
   studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
@@ -51,6 +79,15 @@ const MarksheetSchema = new mongoose.Schema({
     examinationName: String,
     examinationDate: Date
   },
+  // Set when studentDetails.attendance was pulled from the attendance register (lib/attendance.js)
+  attendanceRegister: {
+    from: { type: Date },
+    to: { type: Date },
+    conducted: { type: Number },
+    attended: { type: Number },
+    percentage: { type: Number },
+    computedAt: { type: Date }
+  },
   // Top-level examination fields
   examinationName: { type: String },
   examinationDate: { type: Date, required: true },
@@ -59,9 +96,24 @@ const MarksheetSchema = new mongoose.Schema({
     subjectName: { type: String, required: true },
     subjectCode: { type: String },
     marks: { type: Number },
-    result: { type: String, enum: ['Pass', 'Fail', 'Absent'], required: true }
+    result: { type: String, enum: ['Pass', 'Fail', 'Absent'], required: true },
+    grade: { type: String },
+    gradePoints: { type: Number },
+    credits: { type: Number },
+    components: [SubjectComponentSchema]
   }],
   overallResult: { type: String, enum: ['Pass', 'Fail', 'Absent'] },
+  // Computed by shared/grading.js against the scheme resolved for the department/regulation
+  sgpa: { type: Number },
+  totalCredits: { type: Number },
+  earnedCredits: { type: Number },
+  regulation: { type: String },
+  gradingScheme: {
+    schemeId: { type: mongoose.Schema.Types.ObjectId, ref: 'GradingScheme' },
+    name: String,
+    regulation: String,
+    passMarks: Number
+  },
   staffId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   staffName: { type: String, required: true },
   staffSignature: { type: String }, // Base64 encoded signature
@@ -85,6 +137,10 @@ const MarksheetSchema = new mongoose.Schema({
     autoDispatched: { type: Boolean, default: false },
     autoDispatchFailed: { type: Boolean, default: false },
     dispatchError: String,
+    // Scheduled dispatch retry bookkeeping (see lib/dispatchScheduler.js)
+    dispatchAttempts: { type: Number, default: 0 },
+    lastDispatchAttemptAt: Date,
+    nextDispatchAttemptAt: Date,
     status: { type: String, enum: ['pending', 'approved', 'rejected', 'rescheduled', 'dispatched'], default: 'pending' },
     dispatchedAt: Date
   },
@@ -94,9 +150,15 @@ const MarksheetSchema = new mongoose.Schema({
     whatsappStatus: { type: String, enum: ['pending', 'sent', 'failed'], default: 'pending' },
     whatsappError: String
   },
+  // Bumped each time an approved correction request revises the marks (earlier versions live in MarksheetRevision)
+  revision: { type: Number, default: 0 },
+  revisedAt: { type: Date },
   // Track whether a staff (or reviewer) has "visited" this marksheet UI
   visited: { type: Boolean, default: false },
   visitedAt: { type: Date },
+  // Set when a year-end promotion run archives the marksheet; archived marksheets are read-only
+  archivedAt: { type: Date },
+  archiveRunId: { type: mongoose.Schema.Types.ObjectId, ref: 'PromotionRun' },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 })
@@ -114,6 +176,10 @@ MarksheetSchema.index({ studentId: 1, createdAt: -1 })
 MarksheetSchema.index({ 'studentDetails.regNumber': 1 })
 // Dispatch tracking
 MarksheetSchema.index({ 'dispatchStatus.dispatched': 1, createdAt: -1 })
+// Scheduled dispatch worker: due rescheduled marksheets
+MarksheetSchema.index({ status: 1, 'dispatchRequest.scheduledDispatchDate': 1 })
+// Promotion rollback: marksheets archived by a run
+MarksheetSchema.index({ archiveRunId: 1 }, { sparse: true })
 // Note: marksheetId already has unique: true in schema, no need for separate index
 
 // Excel Import Session Schema - for temporary storage during import
@@ -126,6 +192,7 @@ const ImportSessionSchema = new mongoose.Schema({
   examinationName: { type: String },
   examinationDate: { type: Date, required: true },
   studentsData: [{
+    rowNum: Number, // Excel row the data came from
     name: String,
     regNumber: String,
     year: String,
@@ -139,11 +206,37 @@ const ImportSessionSchema = new mongoose.Schema({
       subjectName: String,
       subjectCode: String,
       marks: Number,
-      result: { type: String, enum: ['Pass', 'Fail', 'Absent'] }
-    }]
+      result: { type: String, enum: ['Pass', 'Fail', 'Absent'] },
+      grade: String,
+      components: [SubjectComponentSchema]
+    }],
+    overallResult: { type: String, enum: ['Pass', 'Fail', 'Absent'] },
+    sgpa: Number,
+    // Dry-run diff against the student's existing marksheet for this examination (lib/importDiff.js)
+    existingMarksheetId: { type: mongoose.Schema.Types.ObjectId, ref: 'Marksheet' },
+    diffStatus: { type: String, enum: ['new', 'unchanged', 'marks-changed', 'phone-changed'] },
+    defaultAction: { type: String, enum: ['create', 'update', 'skip'] },
+    locked: Boolean
   }],
-  status: { type: String, enum: ['pending', 'processed', 'error'], default: 'pending' },
+  status: { type: String, enum: ['pending', 'processing', 'processed', 'error'], default: 'pending' },
   errorMessages: [String],
+  // Confirm bookkeeping (lib/importConfirm.js): the key of the confirm that took the session,
+  // and its response, returned again when a retry sends the same key
+  idempotencyKey: { type: String },
+  processingStartedAt: { type: Date },
+  processedAt: { type: Date },
+  confirmResult: { type: mongoose.Schema.Types.Mixed },
+  // Rows a partial upload held back, for the rejected-rows workbook (lib/importErrorWorkbook.js)
+  rejected: {
+    sheetName: String,
+    headerRows: mongoose.Schema.Types.Mixed,
+    rows: [{
+      _id: false,
+      rowNum: Number,
+      values: mongoose.Schema.Types.Mixed,
+      issues: [{ _id: false, column: String, columnIndex: Number, message: String }]
+    }]
+  },
   createdAt: { type: Date, default: Date.now, expires: '24h' } // Auto-delete after 24 hours
 })
 
@@ -163,10 +256,36 @@ const LeaveRequestSchema = new mongoose.Schema({
   attachmentData: { type: String }, // Base64 encoded proof image
   startDate: { type: Date },
   endDate: { type: Date },
+  category: { type: String }, // Leave category key from the department's leave policy (lib/leavePolicies.js)
+  leaveDays: { type: Number }, // Working days, without weekends and holidays, counted when requested
+  quotaExceeded: { type: Boolean, default: false }, // Raised over the category's quota under a 'warn' policy
+  // Approval chain (lib/leaveApprovals.js): one step per approver, in order
+  approvals: [{
+    _id: false,
+    role: { type: String, enum: ['class_advisor', 'hod', 'admin'], required: true },
+    label: { type: String },
+    status: { type: String, enum: ['pending', 'approved', 'rejected', 'skipped'], default: 'pending' },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: { type: String },
+    signature: { type: String }, // The approver's e-signature when they approved, for the leave letter
+    comments: { type: String },
+    actedAt: { type: Date }
+  }],
+  pendingRole: { type: String }, // Role of the step the request waits on; unset once decided
   expectedArrivalTime: { type: Date },
   recordedAt: { type: Date }, // When staff clicked "Record" button
   arrivalConfirmedAt: { type: Date }, // When student clicked "Reached" button
   arrivalRecordedAt: { type: Date }, // Legacy field
+  // Repeat-late thresholds this late crossed, with who was told (lib/lateArrivals.js)
+  repeatAlerts: [{
+    _id: false,
+    count: { type: Number },
+    days: { type: Number },
+    lates: { type: Number }, // Lates in the window, this one included
+    advisorsNotified: { type: Number, default: 0 },
+    parentNotified: { type: Boolean, default: false },
+    sentAt: { type: Date }
+  }],
   status: { type: String, enum: ['requested', 'waiting_for_arrival_confirmation', 'approved_by_hod', 'rejected_by_hod', 'acknowledged_by_staff'], default: 'requested' },
   hodId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   hodName: { type: String },
@@ -174,6 +293,9 @@ const LeaveRequestSchema = new mongoose.Schema({
   staffId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   staffName: { type: String },
   approvedAt: { type: Date },
+  // Set when a year-end promotion run archives the request; archived requests are read-only
+  archivedAt: { type: Date },
+  archiveRunId: { type: mongoose.Schema.Types.ObjectId, ref: 'PromotionRun' },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 })
@@ -182,12 +304,83 @@ LeaveRequestSchema.index({ 'studentDetails.department': 1, type: 1, status: 1, c
 // Speed up common "late" queries filtered by staff's year/section.
 LeaveRequestSchema.index({ 'studentDetails.department': 1, 'studentDetails.year': 1, 'studentDetails.section': 1, type: 1, status: 1, createdAt: -1 })
 LeaveRequestSchema.index({ studentId: 1, type: 1, createdAt: -1 })
+LeaveRequestSchema.index({ type: 1, status: 1, pendingRole: 1 })
+LeaveRequestSchema.index({ archiveRunId: 1 }, { sparse: true })
 
 LeaveRequestSchema.pre('save', function(next) {
   this.updatedAt = new Date()
   next()
 })
 
+// Leave Policy Schema - leave categories, semester quotas and holidays per department (lib/leavePolicies.js)
+const LeavePolicySchema = new mongoose.Schema({
+  department: { type: String, required: true, unique: true }, // Department code, or 'ALL' for the institution-wide policy
+  categories: [{
+    _id: false,
+    key: { type: String, required: true }, // e.g. medical, on_duty
+    label: { type: String, required: true },
+    quotaDays: { type: Number, default: null }, // Working days per semester; null for no limit
+    requiresAttachment: { type: Boolean, default: false },
+    // Approval chain; a step with aboveDays only applies to longer leaves
+    approvers: [{
+      _id: false,
+      role: { type: String, enum: ['class_advisor', 'hod', 'admin'], required: true },
+      aboveDays: { type: Number, default: null }
+    }]
+  }],
+  holidays: [{
+    _id: false,
+    date: { type: Date, required: true },
+    name: { type: String }
+  }],
+  enforcement: { type: String, enum: ['warn', 'block'], default: 'warn' },
+  semesterStartMonths: { type: [Number], default: [1, 7] },
+  // Repeat-late thresholds (lib/lateArrivals.js); an empty list turns the alerts off
+  lateAlerts: [{
+    _id: false,
+    count: { type: Number, required: true },
+    days: { type: Number, required: true }
+  }],
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+})
+
+LeavePolicySchema.pre('save', function(next) {
+  this.updatedAt = new Date()
+  next()
+})
+
+if (mongoose.models.LeavePolicy) delete mongoose.models.LeavePolicy
+export const LeavePolicy = mongoose.model('LeavePolicy', LeavePolicySchema)
+
+// Academic Calendar Event Schema - holidays, working-day exceptions, semesters and exam
+// windows, institution-wide or per department (lib/academicCalendar.js)
+const AcademicCalendarEventSchema = new mongoose.Schema({
+  department: { type: String, required: true, default: 'ALL' }, // Department code, or 'ALL' for every department
+  kind: { type: String, enum: ['holiday', 'working_day', 'semester', 'exam'], required: true },
+  title: { type: String, required: true },
+  startDate: { type: Date, required: true }, // UTC midnight of the first day
+  endDate: { type: Date, required: true }, // UTC midnight of the last day (included)
+  notes: { type: String },
+  uid: { type: String, required: true }, // iCal UID; re-importing a file updates its events
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+})
+
+AcademicCalendarEventSchema.index({ department: 1, uid: 1 }, { unique: true })
+AcademicCalendarEventSchema.index({ department: 1, startDate: 1 })
+
+AcademicCalendarEventSchema.pre('save', function(next) {
+  this.updatedAt = new Date()
+  next()
+})
+
+if (mongoose.models.AcademicCalendarEvent) delete mongoose.models.AcademicCalendarEvent
+export const AcademicCalendarEvent = mongoose.model('AcademicCalendarEvent', AcademicCalendarEventSchema)
+
 // Staff Approval Request Schema - for pending staff account approvals from HOD
 const StaffApprovalRequestSchema = new mongoose.Schema({
   email: { type: String, required: true },
@@ -241,6 +434,11 @@ AccessPolicySchema.pre('save', function(next) {
   next()
 })
 
+StudentSchema.pre('save', function(next) {
+  this.updatedAt = new Date()
+  next()
+})
+
 // Generate marksheet ID before saving
 MarksheetSchema.pre('save', function(next) {
   if (!this.marksheetId) {
@@ -250,6 +448,17 @@ MarksheetSchema.pre('save', function(next) {
   next()
 })
 
+// Bulk inserts (import confirm) skip save middleware, so they get IDs here
+MarksheetSchema.pre('insertMany', function(next, docs) {
+  for (const doc of docs) {
+    if (!doc.marksheetId) {
+      doc.marksheetId = 'MS' + Date.now() + Math.random().toString(36).substr(2, 4).toUpperCase()
+    }
+    doc.updatedAt = new Date()
+  }
+  next()
+})
+
 // Generate import session ID before saving
 ImportSessionSchema.pre('save', function(next) {
   if (!this.sessionId) {
@@ -299,3 +508,493 @@ WhatsappInstanceSchema.pre('save', function(next) {
 
 if (mongoose.models.WhatsappInstance) delete mongoose.models.WhatsappInstance
 export const WhatsappInstance = mongoose.model('WhatsappInstance', WhatsappInstanceSchema)
+
+// Scheduler Lock Schema - lease so only one server instance runs a background job at a time
+const SchedulerLockSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  owner: { type: String, required: true },
+  lockedUntil: { type: Date, required: true },
+  acquiredAt: { type: Date, default: Date.now }
+})
+
+if (mongoose.models.SchedulerLock) delete mongoose.models.SchedulerLock
+export const SchedulerLock = mongoose.model('SchedulerLock', SchedulerLockSchema)
+
+// Dispatch Job Schema - server-side bulk WhatsApp send, worked through by lib/dispatchJobWorker.js
+const DispatchJobSchema = new mongoose.Schema({
+  staffId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Who started the job
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'paused', 'cancelled', 'completed'],
+    default: 'queued'
+  },
+  pauseReason: { type: String },
+  baseUrl: { type: String }, // Public origin used for PDF links
+  items: [{
+    marksheetId: { type: mongoose.Schema.Types.ObjectId, ref: 'Marksheet', required: true },
+    studentName: String,
+    regNumber: String,
+    status: { type: String, enum: ['pending', 'sent', 'failed', 'skipped'], default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: Date,
+    error: String,
+    sentAt: Date
+  }],
+  total: { type: Number, default: 0 },
+  sent: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+  skipped: { type: Number, default: 0 },
+  sendsSinceCooldown: { type: Number, default: 0 },
+  nextRunAt: { type: Date, default: Date.now }, // Throttle: earliest time the next item may be sent
+  startedAt: Date,
+  finishedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+})
+
+DispatchJobSchema.index({ status: 1, nextRunAt: 1 })
+DispatchJobSchema.index({ staffId: 1, createdAt: -1 })
+// One open job per staff member (OPEN_JOB_STATUSES in lib/dispatchJobWorker.js),
+// so two create-job calls racing past the open-job check cannot both queue
+DispatchJobSchema.index({ staffId: 1 }, { unique: true, partialFilterExpression: { status: { $in: ['queued', 'running', 'paused'] } } })
+
+DispatchJobSchema.pre('save', function(next) {
+  this.updatedAt = new Date()
+  next()
+})
+
+if (mongoose.models.DispatchJob) delete mongoose.models.DispatchJob
+export const DispatchJob = mongoose.model('DispatchJob', DispatchJobSchema)
+
+// Marksheet Audit Event Schema - append-only history of marksheet status changes and edits (lib/marksheetAudit.js)
+const MarksheetAuditEventSchema = new mongoose.Schema({
+  marksheetId: { type: mongoose.Schema.Types.ObjectId, ref: 'Marksheet', required: true },
+  action: {
+    type: String,
+    enum: ['created', 'status_changed', 'marks_edited', 'details_edited', 'dispatched', 'deleted', 'correction_requested', 'correction_rejected', 'revised'],
+    required: true
+  },
+  fromStatus: { type: String },
+  toStatus: { type: String },
+  // Field-level before/after, e.g. { field: 'subjects.CS3401.marks', label: 'Algorithms marks', before: 38, after: 45 }
+  changes: [{
+    _id: false,
+    field: { type: String, required: true },
+    label: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  comments: { type: String },
+  // Who made the change; role 'system' for background workers
+  actor: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: String,
+    role: String
+  },
+  createdAt: { type: Date, default: Date.now, immutable: true }
+})
+
+MarksheetAuditEventSchema.index({ marksheetId: 1, createdAt: 1 })
+
+MarksheetAuditEventSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Marksheet audit events are append-only'))
+  next()
+})
+
+for (const op of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete']) {
+  MarksheetAuditEventSchema.pre(op, function(next) {
+    next(new Error('Marksheet audit events are append-only'))
+  })
+}
+
+if (mongoose.models.MarksheetAuditEvent) delete mongoose.models.MarksheetAuditEvent
+export const MarksheetAuditEvent = mongoose.model('MarksheetAuditEvent', MarksheetAuditEventSchema)
+
+// Correction Request Schema - staff/student request to change marks on an approved or dispatched marksheet
+const CorrectionRequestSchema = new mongoose.Schema({
+  marksheetId: { type: mongoose.Schema.Types.ObjectId, ref: 'Marksheet', required: true },
+  studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Student' },
+  staffId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Marksheet owner
+  // Copied from the marksheet so requests can be scoped like marksheets
+  studentDetails: {
+    name: String,
+    regNumber: String,
+    year: String,
+    section: String,
+    department: String
+  },
+  examinationName: { type: String },
+  subjects: [{
+    _id: false,
+    subjectCode: String,
+    subjectName: { type: String, required: true },
+    currentMarks: Number,
+    currentResult: String,
+    proposedMarks: Number,
+    proposedResult: { type: String, enum: ['Pass', 'Fail', 'Absent'] }
+  }],
+  reason: { type: String, required: true },
+  requestedBy: {
+    userId: { type: mongoose.Schema.Types.ObjectId },
+    name: String,
+    role: { type: String, enum: ['staff', 'student'] }
+  },
+  status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending' },
+  hodId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  hodName: { type: String },
+  hodComments: { type: String },
+  respondedAt: { type: Date },
+  revision: { type: Number }, // Marksheet revision created on approval
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+})
+
+CorrectionRequestSchema.index({ marksheetId: 1, status: 1 })
+CorrectionRequestSchema.index({ 'studentDetails.department': 1, status: 1, createdAt: -1 })
+CorrectionRequestSchema.index({ staffId: 1, createdAt: -1 })
+CorrectionRequestSchema.index({ studentId: 1, createdAt: -1 })
+
+CorrectionRequestSchema.pre('save', function(next) {
+  this.updatedAt = new Date()
+  next()
+})
+
+if (mongoose.models.CorrectionRequest) delete mongoose.models.CorrectionRequest
+export const CorrectionRequest = mongoose.model('CorrectionRequest', CorrectionRequestSchema)
+
+// Marksheet Revision Schema - frozen copy of a marksheet taken just before a correction is applied
+const MarksheetRevisionSchema = new mongoose.Schema({
+  marksheetId: { type: mongoose.Schema.Types.ObjectId, ref: 'Marksheet', required: true },
+  revision: { type: Number, required: true }, // The marksheet's revision number at snapshot time (0 = original)
+  snapshot: { type: mongoose.Schema.Types.Mixed, required: true },
+  correctionRequestId: { type: mongoose.Schema.Types.ObjectId, ref: 'CorrectionRequest' },
+  createdAt: { type: Date, default: Date.now }
+})
+
+MarksheetRevisionSchema.index({ marksheetId: 1, revision: 1 }, { unique: true })
+
+if (mongoose.models.MarksheetRevision) delete mongoose.models.MarksheetRevision
+export const MarksheetRevision = mongoose.model('MarksheetRevision', MarksheetRevisionSchema)
+
+// Grading Scheme Schema - pass mark, grade bands and credits per department/regulation (lib/gradingSchemes.js)
+const GradingSchemeSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  department: { type: String, required: true }, // Department code, or 'ALL' for the institution-wide scheme
+  regulation: { type: String, required: true }, // e.g. R2024
+  maxMarks: { type: Number, default: 100 },
+  passMarks: { type: Number, required: true },
+  gradeBands: [{
+    _id: false,
+    grade: { type: String, required: true },
+    minMarks: { type: Number, required: true },
+    gradePoints: { type: Number, required: true }
+  }],
+  failGrade: { type: String, default: 'U' },
+  absentGrade: { type: String, default: 'AB' },
+  defaultCredits: { type: Number, default: 3 },
+  // Overrides catalog credits for this department/regulation
+  subjectCredits: [{
+    _id: false,
+    subjectCode: { type: String, required: true },
+    credits: { type: Number, required: true }
+  }],
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+})
+
+GradingSchemeSchema.index({ department: 1, regulation: 1 }, { unique: true })
+
+GradingSchemeSchema.pre('save', function(next) {
+  this.updatedAt = new Date()
+  next()
+})
+
+if (mongoose.models.GradingScheme) delete mongoose.models.GradingScheme
+export const GradingScheme = mongoose.model('GradingScheme', GradingSchemeSchema)
+
+// Subject Catalog Schema - one version of a regulation's curriculum (lib/subjectCatalog.js)
+const SubjectCatalogSchema = new mongoose.Schema({
+  regulation: { type: String, required: true }, // e.g. R2024 (course codes U24...)
+  version: { type: Number, required: true },
+  // Only one draft and one published version per regulation; publishing archives the previous one
+  status: { type: String, enum: ['draft', 'published', 'archived'], default: 'draft' },
+  subjects: [{
+    _id: false,
+    department: { type: String, required: true },
+    year: { type: String, required: true },
+    semester: { type: String, required: true },
+    code: { type: String, default: '' },
+    name: { type: String, required: true },
+    credits: { type: Number },
+    electiveSlot: { type: String } // Set on placeholder rows such as 'Professional Elective I'
+  }],
+  // Courses each department offers for its elective slots
+  electives: [{
+    _id: false,
+    department: { type: String, required: true },
+    slot: { type: String, required: true },
+    code: { type: String, required: true },
+    name: { type: String, required: true },
+    credits: { type: Number }
+  }],
+  notes: { type: String },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  publishedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  publishedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+})
+
+SubjectCatalogSchema.index({ regulation: 1, version: 1 }, { unique: true })
+SubjectCatalogSchema.index({ status: 1, regulation: 1 })
+
+SubjectCatalogSchema.pre('save', function(next) {
+  this.updatedAt = new Date()
+  next()
+})
+
+if (mongoose.models.SubjectCatalog) delete mongoose.models.SubjectCatalog
+export const SubjectCatalog = mongoose.model('SubjectCatalog', SubjectCatalogSchema)
+
+// Elective Choice Schema - the course a student takes for each elective slot of a semester (lib/electiveChoices.js)
+const ElectiveChoiceSchema = new mongoose.Schema({
+  regNumber: { type: String, required: true }, // Import sheets identify students by register number
+  studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Student' },
+  studentName: { type: String },
+  department: { type: String, required: true },
+  year: { type: String, required: true },
+  section: { type: String, required: true },
+  semester: { type: String, required: true },
+  choices: [{
+    _id: false,
+    slot: { type: String, required: true }, // e.g. 'Professional Elective I'
+    code: { type: String, required: true },
+    name: { type: String, required: true },
+    credits: { type: Number }
+  }],
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+})
+
+ElectiveChoiceSchema.index({ regNumber: 1, semester: 1 }, { unique: true })
+ElectiveChoiceSchema.index({ department: 1, year: 1, section: 1, semester: 1 })
+
+ElectiveChoiceSchema.pre('save', function(next) {
+  this.updatedAt = new Date()
+  next()
+})
+
+if (mongoose.models.ElectiveChoice) delete mongoose.models.ElectiveChoice
+export const ElectiveChoice = mongoose.model('ElectiveChoice', ElectiveChoiceSchema)
+
+// Import Template Schema - saved Excel column mapping for a department/examination (lib/importMapping.js)
+const ImportTemplateSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  department: { type: String, required: true },
+  examinationName: { type: String }, // Preferred when an upload names the same examination
+  sheetName: { type: String },
+  layout: {
+    _id: false,
+    headerRowIndex: { type: Number, default: 0 }, // 0-based grid row where headers start
+    headerRowCount: { type: Number, default: 1 },
+    maxMarksRowIndex: { type: Number, default: null }
+  },
+  // Header label (rows joined with ' / ') of the column holding each student field
+  fields: {
+    _id: false,
+    name: { type: String },
+    regNumber: { type: String },
+    section: { type: String },
+    parentPhone: { type: String },
+    attendance: { type: String },
+    examinationName: { type: String },
+    examinationDate: { type: String }
+  },
+  subjects: [{
+    _id: false,
+    column: { type: String, required: true },
+    subjectName: { type: String },
+    include: { type: Boolean, default: true },
+    maxMarks: { type: Number },
+    component: { type: String }, // Assessment component of subjectName held in this column
+    weight: { type: Number }
+  }],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  lastUsedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+})
+
+ImportTemplateSchema.index({ department: 1, name: 1 }, { unique: true })
+
+ImportTemplateSchema.pre('save', function(next) {
+  this.updatedAt = new Date()
+  next()
+})
+
+if (mongoose.models.ImportTemplate) delete mongoose.models.ImportTemplate
+export const ImportTemplate = mongoose.model('ImportTemplate', ImportTemplateSchema)
+
+// Promotion Run Schema - a department's year-end promotion (lib/promotion.js), kept so it can be rolled back
+const PromotionRunSchema = new mongoose.Schema({
+  department: { type: String, required: true },
+  academicYear: { type: String, required: true }, // Year being closed, e.g. '2025-26'
+  status: { type: String, enum: ['applied', 'rolled_back'], default: 'applied' },
+  // What each student was before and after, so a rollback restores exactly this
+  students: [{
+    _id: false,
+    studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+    regNumber: String,
+    fromYear: String,
+    toYear: String,
+    fromStatus: String,
+    toStatus: String
+  }],
+  staff: [{
+    _id: false,
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    name: String,
+    from: { year: String, section: String },
+    to: { year: String, section: String }
+  }],
+  counts: {
+    promoted: { type: Number, default: 0 },
+    graduated: { type: Number, default: 0 },
+    marksheetsArchived: { type: Number, default: 0 },
+    leavesArchived: { type: Number, default: 0 },
+    assignmentsEnded: { type: Number, default: 0 },
+    advisorsAssigned: { type: Number, default: 0 }
+  },
+  appliedBy: { userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, name: String },
+  appliedAt: { type: Date, default: Date.now },
+  rollbackUntil: { type: Date, required: true },
+  rolledBackBy: { userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, name: String },
+  rolledBackAt: { type: Date },
+  rollbackSkipped: [{ type: String }] // Register numbers changed since the run, left as they were
+})
+
+// One live run per department and academic year
+PromotionRunSchema.index({ department: 1, academicYear: 1 }, { unique: true, partialFilterExpression: { status: 'applied' } })
+PromotionRunSchema.index({ department: 1, appliedAt: -1 })
+
+if (mongoose.models.PromotionRun) delete mongoose.models.PromotionRun
+export const PromotionRun = mongoose.model('PromotionRun', PromotionRunSchema)
+
+// Class Assignment Schema - which classes a staff member teaches (lib/classAssignments.js).
+// A staff member can advise one class and teach subjects in several; User.year/section mirror the advised class.
+const ClassAssignmentSchema = new mongoose.Schema({
+  staffId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  department: { type: String, required: true }, // Department of the class, not of the staff member
+  year: { type: String, required: true },
+  section: { type: String, required: true },
+  role: { type: String, enum: ['class_advisor', 'subject_teacher'], required: true },
+  subjectCode: { type: String }, // Subject teachers only
+  subjectName: { type: String },
+  academicYear: { type: String, required: true },
+  active: { type: Boolean, default: true },
+  endedAt: { type: Date },
+  // Set by the year-end promotion that ended or carried over the assignment, so a rollback can undo it
+  endedByRun: { type: mongoose.Schema.Types.ObjectId, ref: 'PromotionRun' },
+  createdByRun: { type: mongoose.Schema.Types.ObjectId, ref: 'PromotionRun' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+})
+
+ClassAssignmentSchema.index({ department: 1, year: 1, section: 1, active: 1 })
+ClassAssignmentSchema.index({ staffId: 1, active: 1 })
+// Subjects without a code are told apart by name
+ClassAssignmentSchema.index(
+  { staffId: 1, department: 1, year: 1, section: 1, role: 1, subjectCode: 1, subjectName: 1 },
+  { unique: true, partialFilterExpression: { active: true } }
+)
+// A staff member advises one class at a time
+ClassAssignmentSchema.index({ staffId: 1 }, { unique: true, partialFilterExpression: { role: 'class_advisor', active: true } })
+
+ClassAssignmentSchema.pre('save', function(next) {
+  this.updatedAt = new Date()
+  next()
+})
+
+if (mongoose.models.ClassAssignment) delete mongoose.models.ClassAssignment
+export const ClassAssignment = mongoose.model('ClassAssignment', ClassAssignmentSchema)
+
+// Subject Mark Entry Schema - one subject's marks for a class and examination, entered
+// by the subject teacher (lib/markEntry.js). Once every subject of the class is locked,
+// the class advisor consolidates the entries into Marksheets.
+const SubjectMarkEntrySchema = new mongoose.Schema({
+  department: { type: String, required: true },
+  year: { type: String, required: true },
+  section: { type: String, required: true },
+  semester: { type: String, required: true },
+  examinationName: { type: String, required: true },
+  examinationDate: { type: Date, required: true },
+  subjectCode: { type: String },
+  subjectName: { type: String, required: true },
+  subjectKey: { type: String, required: true }, // Code, or the normalized name for subjects without one
+  staffId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  staffName: { type: String, required: true },
+  rows: [{
+    _id: false,
+    studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+    regNumber: { type: String, required: true },
+    name: String,
+    marks: { type: Number }, // null until entered
+    absent: { type: Boolean, default: false }
+  }],
+  status: { type: String, enum: ['draft', 'locked'], default: 'draft' },
+  lockedAt: { type: Date },
+  lockedBy: { userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, name: String },
+  consolidatedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+})
+
+SubjectMarkEntrySchema.index(
+  { department: 1, year: 1, section: 1, semester: 1, examinationName: 1, subjectKey: 1 },
+  { unique: true }
+)
+SubjectMarkEntrySchema.index({ staffId: 1, updatedAt: -1 })
+
+SubjectMarkEntrySchema.pre('save', function(next) {
+  this.updatedAt = new Date()
+  next()
+})
+
+if (mongoose.models.SubjectMarkEntry) delete mongoose.models.SubjectMarkEntry
+export const SubjectMarkEntry = mongoose.model('SubjectMarkEntry', SubjectMarkEntrySchema)
+
+// Attendance Register Schema - one class's attendance for a day (period 0) or one period of it (lib/attendance.js)
+const AttendanceRegisterSchema = new mongoose.Schema({
+  department: { type: String, required: true },
+  year: { type: String, required: true },
+  section: { type: String, required: true },
+  date: { type: Date, required: true }, // UTC midnight of the campus day
+  period: { type: Number, required: true, default: 0 }, // 0 for the whole day
+  subjectCode: { type: String },
+  subjectName: { type: String },
+  staffId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  staffName: { type: String, required: true },
+  rows: [{
+    _id: false,
+    studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+    regNumber: { type: String, required: true },
+    name: String,
+    status: { type: String, enum: ['present', 'absent', 'late', 'on_duty', 'leave'], required: true }
+  }],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+})
+
+AttendanceRegisterSchema.index({ department: 1, year: 1, section: 1, date: 1, period: 1 }, { unique: true })
+
+AttendanceRegisterSchema.pre('save', function(next) {
+  this.updatedAt = new Date()
+  next()
+})
+
+if (mongoose.models.AttendanceRegister) delete mongoose.models.AttendanceRegister
+export const AttendanceRegister = mongoose.model('AttendanceRegister', AttendanceRegisterSchema)
@@ -30,6 +30,8 @@ async function checkMarksheet() {
     console.log('Auto-Dispatched:', marksheet.dispatchRequest?.autoDispatched)
     console.log('Dispatch Failed:', marksheet.dispatchRequest?.autoDispatchFailed)
     console.log('Dispatch Error:', marksheet.dispatchRequest?.dispatchError)
+    console.log('Dispatch Attempts:', marksheet.dispatchRequest?.dispatchAttempts || 0)
+    console.log('Next Attempt:', marksheet.dispatchRequest?.nextDispatchAttemptAt)
     
     console.log('\n👤 People:')
     console.log('Staff:', marksheet.staffId?.name, '-', marksheet.staffId?.email)
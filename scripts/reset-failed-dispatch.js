@@ -14,7 +14,9 @@ async function resetFailedDispatch() {
       {
         'dispatchRequest.autoDispatched': false,
         'dispatchRequest.autoDispatchFailed': false,
-        'dispatchRequest.dispatchError': null
+        'dispatchRequest.dispatchError': null,
+        'dispatchRequest.dispatchAttempts': 0,
+        'dispatchRequest.nextDispatchAttemptAt': null
       },
       { new: true }
     )
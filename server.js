@@ -45,7 +45,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-User-Id', 'X-User-Role'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'If-Match'],
+  exposedHeaders: ['ETag'],
   maxAge: 86400
 }));
 
@@ -142,7 +143,22 @@ import notificationsRouter from './api/notifications.js';
 import examinationsHandler from './api/examinations.js';
 import subscriptionCheckHandler from './api/subscription-check.js';
 import leavesHandler from './api/leaves.js';
+import leavePoliciesHandler from './api/leave-policies.js';
+import calendarHandler from './api/calendar.js';
+import lateArrivalsHandler from './api/late-arrivals.js';
+import attendanceHandler from './api/attendance.js';
 import staffApprovalHandler from './api/staff-approval.js';
+import marksheetCorrectionsHandler from './api/marksheet-corrections.js';
+import gradingSchemesHandler from './api/grading-schemes.js';
+import subjectCatalogHandler from './api/subject-catalog.js';
+import electiveChoicesHandler from './api/elective-choices.js';
+import studentsHandler from './api/students.js';
+import classAssignmentsHandler from './api/class-assignments.js';
+import markEntryHandler from './api/mark-entry.js';
+import { authenticate, requireAuth } from './lib/authMiddleware.js';
+import { assertTokenSecret } from './lib/authTokens.js';
+import { startDispatchScheduler } from './lib/dispatchScheduler.js';
+import { startDispatchJobWorker } from './lib/dispatchJobWorker.js';
 // Health check endpoint removed; now handled in generate-pdf.js
 
 // Debug endpoint to verify server is updated
@@ -161,9 +177,23 @@ app.get('/api/health', (req, res) => {
   res.json({ ok: true, timestamp: new Date().toISOString(), dbState });
 });
 
+// Verify bearer tokens and attach the signed-in user as req.user.
+// Identity headers sent by the client (X-User-Id / X-User-Role) are never trusted.
+// Refuses to start in production without a token secret.
+assertTokenSecret();
+app.use('/api', authenticate);
+app.use('/api', requireAuth);
+
 app.all('/api/auth', authHandler);
 app.all('/api/users', usersHandler);
 app.all('/api/marksheets', marksheetsHandler);
+app.all('/api/marksheet-corrections', marksheetCorrectionsHandler);
+app.all('/api/grading-schemes', gradingSchemesHandler);
+app.all('/api/subject-catalog', subjectCatalogHandler);
+app.all('/api/elective-choices', electiveChoicesHandler);
+app.all('/api/students', studentsHandler);
+app.all('/api/class-assignments', classAssignmentsHandler);
+app.all('/api/mark-entry', markEntryHandler);
 app.all('/api/import-excel', importExcelHandler);
 app.all('/api/whatsapp-dispatch', whatsappDispatchHandler);
 app.all('/api/generate-pdf', generatePdfHandler);
@@ -171,6 +201,10 @@ app.use('/api/notifications', notificationsRouter);
 app.all('/api/examinations', examinationsHandler);
 app.all('/api/subscription-check', subscriptionCheckHandler);
 app.all('/api/leaves', leavesHandler);
+app.all('/api/leave-policies', leavePoliciesHandler);
+app.all('/api/calendar', calendarHandler);
+app.all('/api/late-arrivals', lateArrivalsHandler);
+app.all('/api/attendance', attendanceHandler);
 app.all('/api/staff-approval', staffApprovalHandler);
 
 // Connect to MongoDB and start server
@@ -189,6 +223,12 @@ connectToDatabase()
     console.error('\n   Server will start anyway, but database operations will fail.\n');
   });
 
+// Background worker for HOD-rescheduled marksheets. Each run connects on its own and
+// takes a Mongo lease, so it is safe with several instances and an initially offline DB.
+startDispatchScheduler();
+// Bulk WhatsApp dispatch jobs queued from the dispatch requests page
+startDispatchJobWorker();
+
 // Start server regardless of MongoDB connection
 // Support optional TLS if certs are provided (useful for testing HTTPS locally or in certain deploys)
 import fs from 'fs'
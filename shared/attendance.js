@@ -0,0 +1,61 @@
+// Attendance register rules shared by the server and the register page.
+// Every register sheet covers one class on one day, either for the whole day
+// (period 0) or for one period. Each sheet is one unit of attendance: a class
+// marked period-wise counts periods, one marked day-wise counts days.
+
+export const ATTENDANCE_STATUSES = ['present', 'absent', 'late', 'on_duty', 'leave']
+
+export const ATTENDANCE_LABELS = Object.freeze({
+  present: 'Present',
+  absent: 'Absent',
+  late: 'Late',
+  on_duty: 'On Duty',
+  leave: 'On Leave'
+})
+
+export const ATTENDANCE_CODES = Object.freeze({ present: 'P', absent: 'A', late: 'L', on_duty: 'OD', leave: 'LV' })
+
+// Period of a sheet that covers the whole day
+export const DAY_PERIOD = 0
+export const MAX_PERIODS = 8
+
+// A late student and one on duty were there; approved leave is excused and left out
+export const countsAsPresent = (status) => status === 'present' || status === 'late' || status === 'on_duty'
+
+/**
+ * Status a student gets on a sheet once their leave and late requests are
+ * taken into account. `reconciled` is { leave: category | null, late } for the
+ * day. Approved leave turns an unmarked or absent student into on duty or on
+ * leave (a leave approved after the register was marked still counts); a
+ * recorded late arrival fills an unmarked student in as late. What staff
+ * marked otherwise stands: a student on leave who came anyway is present, and
+ * a late student absent for the first period stays absent for it.
+ */
+export function reconcileStatus(status, reconciled = {}) {
+  if (reconciled.leave && (!status || status === 'absent')) return reconciled.leave === 'on_duty' ? 'on_duty' : 'leave'
+  if (!status) return reconciled.late ? 'late' : 'present'
+  return status
+}
+
+const round2 = (value) => Math.round(value * 100) / 100
+
+/**
+ * Totals of one student's statuses: { conducted, attended, absent, late,
+ * onDuty, leave, percentage }. The percentage is attended over conducted less
+ * excused leave; null when nothing counts yet.
+ */
+export function summarizeStatuses(statuses = []) {
+  const totals = { conducted: statuses.length, attended: 0, absent: 0, late: 0, onDuty: 0, leave: 0 }
+  for (const status of statuses) {
+    if (countsAsPresent(status)) totals.attended++
+    if (status === 'absent') totals.absent++
+    if (status === 'late') totals.late++
+    if (status === 'on_duty') totals.onDuty++
+    if (status === 'leave') totals.leave++
+  }
+  const counted = totals.conducted - totals.leave
+  return { ...totals, percentage: counted > 0 ? round2((totals.attended / counted) * 100) : null }
+}
+
+// The percentage as marksheets store attendance ('87.5%')
+export const formatAttendancePercent = (percentage) => (percentage === null || percentage === undefined ? '' : `${round2(percentage)}%`)
@@ -0,0 +1,113 @@
+// The academic calendar: holidays, semesters, exam windows and per-department
+// exceptions (lib/academicCalendar.js). Leave day counts, late-arrival logging
+// and scheduled dispatch all ask it whether a day is a working day.
+import { countLeaveDays, dayKey } from './leave.js'
+
+export const CALENDAR_EVENT_KINDS = ['holiday', 'working_day', 'semester', 'exam']
+export const CALENDAR_KIND_LABELS = Object.freeze({
+  holiday: 'Holiday',
+  // A Saturday made a working day, or a holiday a department does not take
+  working_day: 'Working Day',
+  semester: 'Semester',
+  exam: 'Exam Window'
+})
+
+// Department of events that apply to every department
+export const ALL_DEPARTMENTS = 'ALL'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// The calendar day (YYYY-MM-DD) a moment falls on at the institution, in India
+export const campusDayKey = (value = new Date()) => {
+  const date = value instanceof Date ? value : new Date(value)
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' })
+}
+const dayStart = (key) => new Date(`${key}T00:00:00.000Z`)
+
+// The moment a campus day (YYYY-MM-DD) starts; India is UTC+5:30
+export const campusDayStart = (key) => new Date(Date.parse(`${key}T00:00:00.000Z`) - 330 * 60 * 1000)
+
+// Every day an event covers, both ends included, as YYYY-MM-DD
+export function eventDays(event) {
+  const first = dayKey(event?.startDate)
+  const last = dayKey(event?.endDate || event?.startDate)
+  if (!first || !last) return []
+  const days = []
+  for (let time = dayStart(first).getTime(); time <= dayStart(last).getTime(); time += DAY_MS) {
+    days.push(dayKey(new Date(time)))
+  }
+  return days
+}
+
+/**
+ * What a department's events (its own and the institution's) mean for day
+ * counts: { holidays: [{ date, name }], workingDays, semesters, exams }, with
+ * dates as YYYY-MM-DD. When a holiday and a working day fall on the same day,
+ * the department's event beats the institution's, then the working day wins.
+ */
+export function summarizeCalendar(events = []) {
+  const days = new Map()
+  const semesters = []
+  const exams = []
+  for (const event of events) {
+    if (event.kind === 'semester' || event.kind === 'exam') {
+      const span = { title: event.title, start: dayKey(event.startDate), end: dayKey(event.endDate || event.startDate) }
+      ;(event.kind === 'semester' ? semesters : exams).push(span)
+      continue
+    }
+    if (event.kind !== 'holiday' && event.kind !== 'working_day') continue
+    const rank = (event.department && event.department !== ALL_DEPARTMENTS ? 2 : 0) + (event.kind === 'working_day' ? 1 : 0)
+    for (const day of eventDays(event)) {
+      if ((days.get(day)?.rank ?? -1) < rank) days.set(day, { rank, kind: event.kind, name: event.title })
+    }
+  }
+
+  const holidays = []
+  const workingDays = []
+  for (const [day, { kind, name }] of [...days].sort(([a], [b]) => a.localeCompare(b))) {
+    if (kind === 'holiday') holidays.push({ date: day, name })
+    else workingDays.push(day)
+  }
+  const byStart = (a, b) => a.start.localeCompare(b.start)
+  return { holidays, workingDays, semesters: semesters.sort(byStart), exams: exams.sort(byStart) }
+}
+
+// The holiday falling on the date, if any ({ date, name })
+export const holidayOn = (date, calendar = {}) => (calendar.holidays || []).find((holiday) => dayKey(holiday.date) === dayKey(date)) || null
+
+// Whether the date is a working day: not a weekend or holiday, unless the calendar makes it one
+export const isWorkingDay = (date, calendar = {}) => (
+  countLeaveDays(date, date, calendar.holidays || [], calendar.workingDays || []) === 1
+)
+
+/**
+ * The first working day on or after the date (UTC midnight), or null if
+ * none falls within a year.
+ */
+export function nextWorkingDay(date, calendar = {}) {
+  const first = dayKey(date)
+  if (!first) return null
+  for (let offset = 0; offset <= 366; offset += 1) {
+    const day = new Date(dayStart(first).getTime() + offset * DAY_MS)
+    if (isWorkingDay(day, calendar)) return day
+  }
+  return null
+}
+
+/**
+ * The calendar's semester containing the date, as { title, start, end } with
+ * end exclusive like semesterWindow(), or null when no semester is set for it.
+ */
+export function calendarSemesterOf(date, calendar = {}) {
+  const key = dayKey(date)
+  const semester = key && (calendar.semesters || []).find((span) => span.start <= key && key <= span.end)
+  if (!semester) return null
+  return { title: semester.title, start: dayStart(semester.start), end: new Date(dayStart(semester.end).getTime() + DAY_MS) }
+}
+
+// Exam windows overlapping start..end (dates, both included)
+export function examWindowsBetween(calendar = {}, start, end) {
+  const from = dayKey(start)
+  const to = dayKey(end)
+  return (calendar.exams || []).filter((span) => span.start <= to && span.end >= from)
+}
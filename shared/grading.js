@@ -0,0 +1,256 @@
+import { findCatalogSubject } from './subjectCatalog.js'
+
+// The single result calculator. The API, the PDF, the import preview and the
+// frontend all grade subjects through these functions, so a subject never
+// passes on one screen and fails on another.
+
+export const ABSENT_TOKENS = ['AB', 'ABS', 'ABSENT']
+
+/**
+ * Built-in 10-point scheme used when no scheme is configured for a
+ * department/regulation (see lib/gradingSchemes.js).
+ */
+export const DEFAULT_GRADING_SCHEME = Object.freeze({
+  name: 'Default 10-point scheme',
+  department: 'ALL',
+  regulation: 'R2024',
+  maxMarks: 100,
+  passMarks: 50,
+  defaultCredits: 3,
+  failGrade: 'U',
+  absentGrade: 'AB',
+  gradeBands: Object.freeze([
+    { grade: 'O', minMarks: 91, gradePoints: 10 },
+    { grade: 'A+', minMarks: 81, gradePoints: 9 },
+    { grade: 'A', minMarks: 71, gradePoints: 8 },
+    { grade: 'B+', minMarks: 61, gradePoints: 7 },
+    { grade: 'B', minMarks: 56, gradePoints: 6 },
+    { grade: 'C', minMarks: 50, gradePoints: 5 }
+  ]),
+  subjectCredits: Object.freeze([])
+})
+
+const normalizeString = (value) => {
+  if (typeof value === 'number') return value.toString().trim().toUpperCase()
+  if (typeof value === 'string') return value.trim().toUpperCase()
+  return ''
+}
+
+export const normalizeResultToken = (value) => {
+  const token = normalizeString(value)
+  if (!token) return null
+  if (ABSENT_TOKENS.includes(token)) return 'Absent'
+  if (token === 'PASS' || token === 'P') return 'Pass'
+  if (token === 'FAIL' || token === 'F') return 'Fail'
+  return null
+}
+
+export const isAbsentValue = (value) => {
+  if (value === undefined || value === null) return false
+  return ABSENT_TOKENS.includes(normalizeString(value))
+}
+
+/**
+ * Read a typed or pasted mark: "AB" is absent and a blank is no mark.
+ * Returns { marks, absent } or { error } for anything outside 0..maxMarks.
+ */
+export const parseMarkInput = (value, maxMarks = DEFAULT_GRADING_SCHEME.maxMarks) => {
+  if (isAbsentValue(value)) return { marks: null, absent: true }
+  const raw = value === undefined || value === null ? '' : String(value).trim()
+  if (!raw) return { marks: null, absent: false }
+  const marks = Number(raw)
+  if (!Number.isFinite(marks) || marks < 0 || marks > maxMarks) {
+    return { error: `Marks must be between 0 and ${maxMarks}, or AB` }
+  }
+  return { marks, absent: false }
+}
+
+// Attendance is imported as a pseudo-subject column; it is never graded
+export const isAttendanceSubject = (subjectOrName) => {
+  const name = typeof subjectOrName === 'string' ? subjectOrName : subjectOrName?.subjectName
+  return normalizeString(name).replace(/\s+/g, '').startsWith('ATTENDANCE')
+}
+
+const toMarks = (value) => {
+  if (value === undefined || value === null || value === '') return null
+  const marks = Number(value)
+  return Number.isFinite(marks) ? marks : null
+}
+
+const sortedBands = (scheme) => [...(scheme.gradeBands || [])].sort((a, b) => b.minMarks - a.minMarks)
+
+const roundTo2 = (value) => Math.round(value * 100) / 100
+
+/**
+ * Converted mark out of 100 for a subject made of assessment components
+ * (CIA1, CIA2, Model, Assignment...). Each component adds its marks as a share
+ * of its weight; the weight defaults to the component's max marks, so
+ * unweighted components simply add up. A missed component counts as zero and
+ * the subject is absent only when every component was missed.
+ * Returns null when there are no components.
+ */
+export const computeComponentTotal = (components = []) => {
+  const scored = (components || []).filter((component) => Number(component?.maxMarks) > 0)
+  if (scored.length === 0) return null
+  const isMissed = (component) => component.absent || isAbsentValue(component.marks)
+  if (scored.every(isMissed)) return { marks: null, absent: true }
+
+  let weighted = 0
+  let totalWeight = 0
+  for (const component of scored) {
+    const maxMarks = Number(component.maxMarks)
+    const weight = Number(component.weight) > 0 ? Number(component.weight) : maxMarks
+    totalWeight += weight
+    const marks = isMissed(component) ? null : toMarks(component.marks)
+    if (marks !== null) weighted += (Math.min(Math.max(marks, 0), maxMarks) / maxMarks) * weight
+  }
+  return { marks: roundTo2((weighted / totalWeight) * 100), absent: false }
+}
+
+/**
+ * Component breakdown of a marksheet for display: the component names in the
+ * order they first appear, and one row per subject that has components.
+ */
+export const getComponentBreakdown = (subjects = []) => {
+  const columns = []
+  const rows = []
+  for (const subject of subjects || []) {
+    if (!subject?.components?.length) continue
+    const cells = {}
+    for (const component of subject.components) {
+      if (!columns.includes(component.name)) columns.push(component.name)
+      cells[component.name] = component
+    }
+    rows.push({ subject, cells })
+  }
+  return { columns, rows }
+}
+
+// "18/20", or "AB/20" for a missed component
+export const formatComponentMarks = (component) => (
+  component ? `${component.absent || isAbsentValue(component.marks) ? 'AB' : (component.marks ?? '—')}/${component.maxMarks}` : '—'
+)
+
+// A subject with components takes its marks (and absence) from them
+const withComponentTotal = (subject) => {
+  const total = computeComponentTotal(subject.components)
+  if (!total) return subject
+  return { ...subject, marks: total.marks, result: total.absent ? 'Absent' : undefined }
+}
+
+/**
+ * Grade band for a numeric mark: below the pass mark is the fail grade,
+ * otherwise the highest band the mark reaches.
+ */
+export const getGradeForMarks = (marks, scheme = DEFAULT_GRADING_SCHEME) => {
+  if (marks < scheme.passMarks) return { grade: scheme.failGrade, gradePoints: 0 }
+  const bands = sortedBands(scheme)
+  const band = bands.find((b) => marks >= b.minMarks) || bands[bands.length - 1]
+  return band ? { grade: band.grade, gradePoints: band.gradePoints } : { grade: null, gradePoints: null }
+}
+
+/**
+ * Result, grade and grade points of one subject. Marks decide when present;
+ * otherwise a letter grade or a stored Pass/Fail/Absent is used.
+ */
+export const gradeSubject = (subject = {}, scheme = DEFAULT_GRADING_SCHEME) => {
+  if (normalizeResultToken(subject.result) === 'Absent' || isAbsentValue(subject.marks) || isAbsentValue(subject.grade)) {
+    return { result: 'Absent', grade: scheme.absentGrade, gradePoints: 0 }
+  }
+
+  const marks = toMarks(subject.marks)
+  if (marks !== null) {
+    const { grade, gradePoints } = getGradeForMarks(marks, scheme)
+    return { result: marks >= scheme.passMarks ? 'Pass' : 'Fail', grade, gradePoints }
+  }
+
+  const gradeToken = normalizeString(subject.grade)
+  if (gradeToken) {
+    if (gradeToken === normalizeString(scheme.failGrade)) return { result: 'Fail', grade: scheme.failGrade, gradePoints: 0 }
+    const band = (scheme.gradeBands || []).find((b) => normalizeString(b.grade) === gradeToken)
+    if (band) return { result: 'Pass', grade: band.grade, gradePoints: band.gradePoints }
+  }
+
+  return { result: normalizeResultToken(subject.result) || 'Pass', grade: null, gradePoints: null }
+}
+
+/**
+ * Credits for a subject: scheme override, then the catalog, then the scheme default.
+ */
+export const getSubjectCredits = (subject = {}, scheme = DEFAULT_GRADING_SCHEME, catalog) => {
+  const code = normalizeString(subject.subjectCode)
+  if (code) {
+    const override = (scheme.subjectCredits || []).find((entry) => normalizeString(entry.subjectCode) === code)
+    if (override) return override.credits
+    const catalogEntry = findCatalogSubject(code, catalog)
+    if (typeof catalogEntry?.credits === 'number') return catalogEntry.credits
+  }
+  return scheme.defaultCredits
+}
+
+/**
+ * Overall result: Absent if any subject was missed, Fail if any failed, else Pass.
+ */
+export const getOverallResult = (subjects = []) => {
+  const academic = subjects.filter((subject) => !isAttendanceSubject(subject))
+  let hasFail = false
+  for (const subject of academic) {
+    if (subject.result === 'Absent') return 'Absent'
+    if (subject.result === 'Fail') hasFail = true
+  }
+  return hasFail ? 'Fail' : 'Pass'
+}
+
+/**
+ * Grade every subject of a marksheet and compute its overall result and SGPA.
+ * Failed and absent subjects count with zero grade points; non-credit subjects are left out.
+ * `catalog` is the subject tree credits are read from (defaults to the seed catalog).
+ */
+export const calculateResult = (subjects = [], scheme = DEFAULT_GRADING_SCHEME, { catalog } = {}) => {
+  let weightedPoints = 0
+  let totalCredits = 0
+  let earnedCredits = 0
+
+  const graded = subjects.map((entry) => {
+    if (isAttendanceSubject(entry)) return entry
+    const subject = withComponentTotal(entry)
+    const outcome = gradeSubject(subject, scheme)
+    const credits = getSubjectCredits(subject, scheme, catalog)
+    if (credits > 0 && outcome.gradePoints !== null) {
+      weightedPoints += credits * outcome.gradePoints
+      totalCredits += credits
+      if (outcome.result === 'Pass') earnedCredits += credits
+    }
+    return { ...subject, ...outcome, credits }
+  })
+
+  return {
+    subjects: graded,
+    overallResult: getOverallResult(graded),
+    sgpa: totalCredits > 0 ? roundTo2(weightedPoints / totalCredits) : null,
+    totalCredits,
+    earnedCredits
+  }
+}
+
+/**
+ * CGPA across semesters from graded marksheets. Only the latest marksheet of
+ * each semester counts, so re-exams and revisions replace earlier attempts.
+ */
+export const calculateCgpa = (marksheets = []) => {
+  const latestBySemester = new Map()
+  for (const marksheet of marksheets) {
+    if (typeof marksheet?.sgpa !== 'number' || !(marksheet.totalCredits > 0) || !marksheet.semester) continue
+    const key = normalizeString(marksheet.semester)
+    const when = new Date(marksheet.examinationDate || marksheet.createdAt || 0).getTime()
+    const current = latestBySemester.get(key)
+    if (!current || when >= current.when) latestBySemester.set(key, { when, marksheet })
+  }
+
+  const semesters = [...latestBySemester.values()]
+    .map(({ marksheet }) => ({ semester: marksheet.semester, sgpa: marksheet.sgpa, credits: marksheet.totalCredits }))
+  const credits = semesters.reduce((sum, s) => sum + s.credits, 0)
+  const points = semesters.reduce((sum, s) => sum + s.sgpa * s.credits, 0)
+
+  return { cgpa: credits > 0 ? roundTo2(points / credits) : null, credits, semesters }
+}
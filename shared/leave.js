@@ -0,0 +1,156 @@
+// Leave categories, approval chains, day counting and balances. The leaves API checks quotas
+// with these functions and the student and HOD screens show the same numbers,
+// so a request never fits the quota on one screen and exceeds it on another.
+
+// Requests that count against the quota: approved ones are used, requested ones pending
+export const USED_LEAVE_STATUSES = ['approved_by_hod']
+export const PENDING_LEAVE_STATUSES = ['requested']
+
+// Category of requests raised before categories existed
+export const LEGACY_LEAVE_CATEGORY = 'personal'
+
+// Who can sign off a leave, in the order the steps run. 'admin' signs as the principal
+export const APPROVER_ROLES = ['class_advisor', 'hod', 'admin']
+export const APPROVER_LABELS = Object.freeze({ class_advisor: 'Class Advisor', hod: 'HOD', admin: 'Principal' })
+
+/**
+ * Approval chain of categories that don't set their own: the class advisor
+ * recommends, the HOD approves, and leaves of more than 5 days also need the
+ * principal. A step with `aboveDays` only applies to longer leaves.
+ */
+export const DEFAULT_APPROVAL_CHAIN = Object.freeze([
+  { role: 'class_advisor', aboveDays: null },
+  { role: 'hod', aboveDays: null },
+  { role: 'admin', aboveDays: 5 }
+])
+
+/**
+ * Built-in policy used when no policy is configured for a department
+ * (see lib/leavePolicies.js). Quotas are working days per semester;
+ * a null quota means the category is not limited.
+ */
+export const DEFAULT_LEAVE_POLICY = Object.freeze({
+  department: 'ALL',
+  categories: Object.freeze([
+    { key: 'medical', label: 'Medical', quotaDays: 10, requiresAttachment: true },
+    { key: 'on_duty', label: 'On Duty', quotaDays: 15, requiresAttachment: false },
+    { key: 'personal', label: 'Personal', quotaDays: 5, requiresAttachment: false },
+    { key: 'bereavement', label: 'Bereavement', quotaDays: 5, requiresAttachment: false }
+  ]),
+  holidays: Object.freeze([]),
+  // 'warn' lets a request over the quota through with a warning, 'block' refuses it
+  enforcement: 'warn',
+  // Months (1-12) in which a semester starts; balances reset at each
+  semesterStartMonths: Object.freeze([1, 7]),
+  // Repeat late arrivals that alert the class advisor and the parent: `count` lates within `days` days
+  lateAlerts: Object.freeze([{ count: 3, days: 14 }])
+})
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Calendar day of a date as YYYY-MM-DD. Dates are stored at UTC midnight ('2026-03-02')
+export const dayKey = (value) => {
+  const date = value instanceof Date ? value : new Date(value)
+  return Number.isNaN(date.getTime()) ? '' : date.toISOString().slice(0, 10)
+}
+
+const startOfDay = (value) => new Date(`${dayKey(value)}T00:00:00.000Z`)
+
+/**
+ * Working days from start to end, both included: weekends and the
+ * given holidays ([{ date }] or dates) are not counted, except the
+ * `workingDays` (dates) the academic calendar makes working days.
+ */
+export function countLeaveDays(start, end, holidays = [], workingDays = []) {
+  if (!dayKey(start) || !dayKey(end)) return 0
+  const off = new Set(holidays.map((holiday) => dayKey(holiday?.date ?? holiday)))
+  const on = new Set(workingDays.map((day) => dayKey(day)))
+  let days = 0
+  for (let time = startOfDay(start).getTime(); time <= startOfDay(end).getTime(); time += DAY_MS) {
+    const day = new Date(time)
+    if (!on.has(dayKey(day))) {
+      if (day.getUTCDay() === 0 || day.getUTCDay() === 6) continue
+      if (off.has(dayKey(day))) continue
+    }
+    days += 1
+  }
+  return days
+}
+
+/**
+ * The semester a date falls in, as { start, end } (end exclusive).
+ */
+export function semesterWindow(value, startMonths = DEFAULT_LEAVE_POLICY.semesterStartMonths) {
+  const date = startOfDay(value || new Date())
+  const months = [...new Set(startMonths)].map(Number).filter((month) => month >= 1 && month <= 12).sort((a, b) => a - b)
+  if (months.length === 0) months.push(1)
+  const year = date.getUTCFullYear()
+  const month = date.getUTCMonth() + 1
+  const current = [...months].reverse().find((start) => start <= month)
+  const start = current ? Date.UTC(year, current - 1, 1) : Date.UTC(year - 1, months[months.length - 1] - 1, 1)
+  const next = months.find((start) => start > (current ?? 0))
+  const end = current && next ? Date.UTC(year, next - 1, 1) : Date.UTC(current ? year + 1 : year, months[0] - 1, 1)
+  return { start: new Date(start), end: new Date(end) }
+}
+
+export const leaveCategoryOf = (request) => request?.category || LEGACY_LEAVE_CATEGORY
+
+// Days a request takes: the count stored when it was raised, else counted now
+export const leaveDaysOf = (request, holidays = []) => (
+  Number.isFinite(request?.leaveDays) ? request.leaveDays : countLeaveDays(request?.startDate, request?.endDate, holidays)
+)
+
+/**
+ * Per-category balance of a student's leave requests in one semester:
+ * [{ key, label, quotaDays, usedDays, pendingDays, remainingDays }].
+ * `remainingDays` is null for categories without a quota. Pending
+ * requests are reserved against the quota so two can't both fit it.
+ */
+export function summarizeLeaveBalance(requests = [], policy = DEFAULT_LEAVE_POLICY, { excludeId = null } = {}) {
+  const balance = policy.categories.map((category) => ({
+    key: category.key,
+    label: category.label,
+    quotaDays: category.quotaDays ?? null,
+    usedDays: 0,
+    pendingDays: 0,
+    remainingDays: null
+  }))
+  for (const request of requests) {
+    if (request.type && request.type !== 'leave') continue
+    if (excludeId && String(request._id) === String(excludeId)) continue
+    const entry = balance.find((item) => item.key === leaveCategoryOf(request))
+    if (!entry) continue
+    const days = leaveDaysOf(request, policy.holidays)
+    if (USED_LEAVE_STATUSES.includes(request.status)) entry.usedDays += days
+    else if (PENDING_LEAVE_STATUSES.includes(request.status)) entry.pendingDays += days
+  }
+  for (const entry of balance) {
+    if (entry.quotaDays !== null) entry.remainingDays = Math.max(0, entry.quotaDays - entry.usedDays - entry.pendingDays)
+  }
+  return balance
+}
+
+/**
+ * The approval steps a leave of `leaveDays` goes through, each pending.
+ * The advisor step is left out for classes without an advisor, and a chain
+ * with no step left falls back to the HOD.
+ */
+export function buildApprovalChain(approvers, leaveDays, { hasAdvisor = true } = {}) {
+  const steps = (approvers?.length ? approvers : DEFAULT_APPROVAL_CHAIN)
+    .filter((step) => step.aboveDays === null || step.aboveDays === undefined || leaveDays > step.aboveDays)
+    .filter((step) => hasAdvisor || step.role !== 'class_advisor')
+  return (steps.length ? steps : [{ role: 'hod' }]).map((step) => ({ role: step.role, label: APPROVER_LABELS[step.role], status: 'pending' }))
+}
+
+/**
+ * Whether `days` more of a category fit its balance. Returns
+ * { exceeded, message } with message set when it does not fit.
+ */
+export function checkLeaveQuota(balance = [], category, days) {
+  const entry = balance.find((item) => item.key === category)
+  if (!entry || entry.remainingDays === null || days <= entry.remainingDays) return { exceeded: false, message: null }
+  return {
+    exceeded: true,
+    message: `${entry.label} leave of ${days} day${days === 1 ? '' : 's'} exceeds the ${entry.quotaDays}-day semester quota (${entry.remainingDays} left)`
+  }
+}
@@ -1,3 +1,9 @@
+// Seed data for the R2024 (U24) regulation. The live catalog is the published
+// version in the `subjectcatalogs` collection (lib/subjectCatalog.js); this tree
+// seeds it and is the fallback when the database is unavailable.
+// Entries may carry `credits`; subjects without one use the grading scheme's default.
+// Mandatory courses (U24MC...) are non-credit and stay out of SGPA/CGPA.
+// Entries without a code are elective slots; their offered courses live in the catalog.
 export const DEFAULT_SUBJECTS = {
   CSE: {
     I: {
@@ -25,7 +31,7 @@ export const DEFAULT_SUBJECTS = {
         { code: 'U24MA302', name: 'Discrete Mathematics' },
         { code: 'U24CS302', name: 'Data Structures' },
         { code: 'U24CS303', name: 'Object Oriented Programming' },
-        { code: 'U24MC313', name: 'Foreign Language (Japanese / French / German)' },
+        { code: 'U24MC313', name: 'Foreign Language (Japanese / French / German)', credits: 0 },
         { code: 'U24CS301', name: 'Foundations of Data Science' },
         { code: 'U24CS306', name: 'Digital Logic Design' }
       ],
@@ -36,7 +42,7 @@ export const DEFAULT_SUBJECTS = {
         { code: 'U24CS403', name: 'Computer Organization and Computer Architecture' },
         { code: 'U24CS404', name: 'Design and Analysis of Algorithms' },
         { code: 'U24AD401', name: 'Artificial Intelligence' },
-        { code: 'U24MC413', name: 'Indological Studies' }
+        { code: 'U24MC413', name: 'Indological Studies', credits: 0 }
       ]
     },
     III: {
@@ -47,14 +53,14 @@ export const DEFAULT_SUBJECTS = {
         { code: '', name: 'Professional Elective II' },
         { code: '', name: 'Professional Elective III' },
         { code: '', name: 'Open Elective I' },
-        { code: 'U24MC513', name: 'Fitness for Life - Yoga, Food Nutrition' }
+        { code: 'U24MC513', name: 'Fitness for Life - Yoga, Food Nutrition', credits: 0 }
       ],
       VI: [
         { code: '', name: 'Open Elective II' },
         { code: '', name: 'Professional Elective IV' },
         { code: '', name: 'Professional Elective V' },
         { code: 'U24CS603', name: 'Embedded Systems and IoT' },
-        { code: 'U24MC613', name: 'Integrated Disaster Management' },
+        { code: 'U24MC613', name: 'Integrated Disaster Management', credits: 0 },
         { code: 'U24CS602', name: 'Compiler Design' },
         { code: 'U24CS601', name: 'Object Oriented Software Engineering' }
       ]
@@ -65,7 +71,7 @@ export const DEFAULT_SUBJECTS = {
         { code: 'U24MG701', name: 'Engineering Economics and Finance Management' },
         { code: '', name: 'Open Elective III' },
         { code: 'U24CS702', name: 'Distributed Systems' },
-        { code: 'U24MC713', name: 'Constitution of India' },
+        { code: 'U24MC713', name: 'Constitution of India', credits: 0 },
         { code: 'U24CS701', name: 'Cryptography and Cyber Security' }
       ]
     }
@@ -163,7 +169,7 @@ export const DEFAULT_SUBJECTS = {
       III: [
         { code: 'U24MA304', name: 'Transforms and Partial Differential Equations' },
         { code: 'U24EE301', name: 'Electrical Machines I' },
-        { code: 'U24MC313', name: 'Foreign Language (Japanese/French)' },
+        { code: 'U24MC313', name: 'Foreign Language (Japanese/French)', credits: 0 },
         { code: 'U24EE302', name: 'Electron Devices and Circuit' },
         { code: 'U24CS308', name: 'Data Structure' },
         { code: 'U24EE303', name: 'Circuit Analysis' }
@@ -173,7 +179,7 @@ export const DEFAULT_SUBJECTS = {
         { code: 'U24EE401', name: 'Electromagnetic Theory' },
         { code: 'U24EE402', name: 'Digital Logic Circuits' },
         { code: 'U24EE403', name: 'Electrical Machines II' },
-        { code: 'U24MC413', name: 'Indological Studies' },
+        { code: 'U24MC413', name: 'Indological Studies', credits: 0 },
         { code: 'U24EE404', name: 'Integrated Circuits' }
       ]
     },
@@ -192,7 +198,7 @@ export const DEFAULT_SUBJECTS = {
         { code: '', name: 'Open Elective I' },
         { code: '', name: 'Professional Elective III' },
         { code: '', name: 'Professional Elective IV' },
-        { code: 'U24MC613', name: 'Integrated Disaster Management' },
+        { code: 'U24MC613', name: 'Integrated Disaster Management', credits: 0 },
         { code: 'U24EE603', name: 'Power Electronics' }
       ]
     },
@@ -203,7 +209,7 @@ export const DEFAULT_SUBJECTS = {
         { code: '', name: 'Open Elective III' },
         { code: '', name: 'Professional Elective V' },
         { code: '', name: 'Professional Elective VI' },
-        { code: 'U24MC713', name: 'Constitution of India' },
+        { code: 'U24MC713', name: 'Constitution of India', credits: 0 },
         { code: 'U24EE701', name: 'Renewable Energy Systems' },
         { code: 'U24EE702', name: 'Power System Operation and Control' }
       ]
@@ -235,7 +241,7 @@ export const DEFAULT_SUBJECTS = {
         { code: 'U24MA302', name: 'Discrete Mathematics' },
         { code: 'U24CS302', name: 'Data Structures' },
         { code: 'U24CS303', name: 'Object Oriented Programming' },
-        { code: 'U24MC313', name: 'Foreign Language' },
+        { code: 'U24MC313', name: 'Foreign Language', credits: 0 },
         { code: 'U24CS301', name: 'Foundations of Data Science' },
         { code: 'U24EC310', name: 'Digital Principles and Computer Organization' }
       ],
@@ -244,7 +250,7 @@ export const DEFAULT_SUBJECTS = {
         { code: 'U24CS401', name: 'Operating Systems' },
         { code: 'U24CS402', name: 'Database Management Systems' },
         { code: 'U24CS404', name: 'Design and Analysis of Algorithms' },
-        { code: 'U24MC413', name: 'Indological Studies' },
+        { code: 'U24MC413', name: 'Indological Studies', credits: 0 },
         { code: 'U24IT401', name: 'Artificial Intelligence and Machine Learning' }
       ]
     },
@@ -259,7 +265,7 @@ export const DEFAULT_SUBJECTS = {
       ],
       VI: [
         { code: 'U24IT601', name: 'Full Stack Web Development' },
-        { code: 'U24MC613', name: 'Integrated Disaster Management' },
+        { code: 'U24MC613', name: 'Integrated Disaster Management', credits: 0 },
         { code: 'U24CS601', name: 'Object Oriented Software Engineering' },
         { code: 'U24IT603', name: 'Embedded Systems and IoT' },
         { code: '', name: 'Professional Elective III' },
@@ -272,7 +278,7 @@ export const DEFAULT_SUBJECTS = {
         { code: '', name: 'Open Elective II' },
         { code: '', name: 'Open Elective III' },
         { code: 'U24MG701', name: 'Engineering Economics and Finance Management' },
-        { code: 'U24MC713', name: 'Constitution of India' },
+        { code: 'U24MC713', name: 'Constitution of India', credits: 0 },
         { code: '', name: 'Professional Elective V' },
         { code: '', name: 'Professional Elective VI' }
       ]
@@ -306,11 +312,11 @@ export const DEFAULT_SUBJECTS = {
         { code: 'U24ME302', name: 'Engineering Thermodynamics' },
         { code: 'U24ME303', name: 'Manufacturing Processes' },
         { code: 'U24ME304', name: 'Engineering Materials and Metallurgy' },
-        { code: 'U24MC313', name: 'Foreign Language (Japanese / French / German)' },
+        { code: 'U24MC313', name: 'Foreign Language (Japanese / French / German)', credits: 0 },
         { code: 'U24ME305', name: 'Fluid Mechanics and Machinery' }
       ],
       IV: [
-        { code: 'U24MC413', name: 'Indological Studies' },
+        { code: 'U24MC413', name: 'Indological Studies', credits: 0 },
         { code: 'U24ME401', name: 'Manufacturing Technology' },
         { code: 'U24ME402', name: 'Metrology and Measurements' },
         { code: 'U24ME403', name: 'Strength of Materials' },
@@ -333,7 +339,7 @@ export const DEFAULT_SUBJECTS = {
         { code: '', name: 'Professional Elective IV' },
         { code: 'U24ME601', name: 'Design of Transmission System' },
         { code: 'U24MG602', name: 'Project Management' },
-        { code: 'U24MC613', name: 'Integrated Disaster Management' },
+        { code: 'U24MC613', name: 'Integrated Disaster Management', credits: 0 },
         { code: 'U24ME602', name: 'Finite Element Analysis' }
       ]
     },
@@ -344,7 +350,7 @@ export const DEFAULT_SUBJECTS = {
         { code: '', name: 'Professional Elective VI' },
         { code: 'U24MG701', name: 'Engineering Economics and Finance Management' },
         { code: 'U24ME701', name: 'Artificial Intelligence and Robotics Mechanical Systems' },
-        { code: 'U24MC713', name: 'Constitution of India' },
+        { code: 'U24MC713', name: 'Constitution of India', credits: 0 },
         { code: 'U24ME702', name: 'Mechatronics and IoT' }
       ]
     }
@@ -374,7 +380,7 @@ export const DEFAULT_SUBJECTS = {
       III: [
         { code: 'U24MA302', name: 'Discrete Mathematics' },
         { code: 'U24AD301', name: 'Fundamentals of Data Science and Analytics' },
-        { code: 'U24MC313', name: 'Foreign Language (Japanese / French / German)' },
+        { code: 'U24MC313', name: 'Foreign Language (Japanese / French / German)', credits: 0 },
         { code: 'U24AD302', name: 'OOPS and Data Structures Design' },
         { code: 'U24AD303', name: 'Database Design and Management' },
         { code: 'U24EC310', name: 'Digital Principles and Computer Organization' }
@@ -383,7 +389,7 @@ export const DEFAULT_SUBJECTS = {
         { code: 'U24MA402', name: 'Linear Algebra and Numerical Methods' },
         { code: 'U24AD401', name: 'Artificial Intelligence' },
         { code: 'U24AD402', name: 'Machine Learning' },
-        { code: 'U24MC413', name: 'Indological Studies' },
+        { code: 'U24MC413', name: 'Indological Studies', credits: 0 },
         { code: 'U24AD403', name: 'Introduction to Operating Systems' },
         { code: 'U24AD404', name: 'Data Exploration and Visualization' }
       ]
@@ -400,7 +406,7 @@ export const DEFAULT_SUBJECTS = {
       VI: [
         { code: 'U24CS503', name: 'Theory of Computation' },
         { code: '', name: 'Open Elective II' },
-        { code: 'U24MC613', name: 'Integrated Disaster Management' },
+        { code: 'U24MC613', name: 'Integrated Disaster Management', credits: 0 },
         { code: 'U24IT602', name: 'Embedded Systems and IoT' },
         { code: 'U24AD601', name: 'Network Essentials' },
         { code: '', name: 'Professional Elective III' },
@@ -412,7 +418,7 @@ export const DEFAULT_SUBJECTS = {
         { code: 'U24AD701', name: 'Information Security' },
         { code: 'U24MG701', name: 'Engineering Economics and Finance Management' },
         { code: '', name: 'Open Elective III' },
-        { code: 'U24MC713', name: 'Constitution of India' },
+        { code: 'U24MC713', name: 'Constitution of India', credits: 0 },
         { code: '', name: 'Professional Elective V' },
         { code: '', name: 'Professional Elective VI' }
       ]
@@ -545,6 +551,13 @@ export const normalizeYear = (year = '') => {
   return YEAR_ALIASES[key] || key
 }
 
+// All spellings that normalise to the same year, e.g. 'I' -> ['1', '01', 'FIRST', 'I']
+export const getYearAliases = (year = '') => {
+  const normalized = normalizeYear(year)
+  const aliases = Object.keys(YEAR_ALIASES).filter((key) => YEAR_ALIASES[key] === normalized)
+  return aliases.length > 0 ? aliases : [normalized]
+}
+
 export const normalizeSemester = (semester = '') => {
   const key = semester.toString().trim().toUpperCase()
   return SEMESTER_ALIASES[key] || key
@@ -671,20 +684,32 @@ export const splitSubjectLabel = (label = '') => {
   return { code, name }
 }
 
-export const getDefaultSubjects = (department, year, semester) => {
+// `catalog` is a department -> year -> semester tree like DEFAULT_SUBJECTS;
+// the server passes the published catalog from lib/subjectCatalog.js.
+export const getDefaultSubjects = (department, year, semester, catalog = DEFAULT_SUBJECTS) => {
   const deptKey = normalizeDepartment(department)
   const yearKey = normalizeYear(year)
   const semesterKey = normalizeSemester(semester)
-  return DEFAULT_SUBJECTS[deptKey]?.[yearKey]?.[semesterKey] || []
+  return catalog?.[deptKey]?.[yearKey]?.[semesterKey] || []
+}
+
+const matchesCatalogEntry = (parsed, subject) => {
+  if (parsed.code && subject.code?.toUpperCase() === parsed.code) return true
+  return isSubjectMatch(parsed.name, subject.name)
 }
 
-export const normalizeSubject = (subjectName, department, year, semester) => {
+export const normalizeSubject = (subjectName, department, year, semester, catalog = DEFAULT_SUBJECTS) => {
   const parsed = splitSubjectLabel(subjectName)
-  const defaults = getDefaultSubjects(department, year, semester)
-  const matchedDefault = defaults.find((subject) => {
-    if (parsed.code && subject.code?.toUpperCase() === parsed.code) return true
-    return isSubjectMatch(parsed.name, subject.name)
-  })
+  const defaults = getDefaultSubjects(department, year, semester, catalog)
+  // Courses offered for an elective slot resolve to the course, not the placeholder
+  const offered = defaults.flatMap((subject) => subject.options || [])
+  // A code or exact name wins over fuzzy matches, so "Professional Elective II" is not read as "... I"
+  const parsedKey = normalizeSubjectKey(parsed.name)
+  const isExact = (subject) => (parsed.code && subject.code?.toUpperCase() === parsed.code) ||
+    (!!parsedKey && normalizeSubjectKey(subject.name) === parsedKey)
+  const matchedDefault = [...offered, ...defaults].find(isExact)
+    || offered.find((subject) => matchesCatalogEntry(parsed, subject))
+    || defaults.find((subject) => matchesCatalogEntry(parsed, subject))
 
   const code = parsed.code || matchedDefault?.code || ''
   const name = matchedDefault?.name || parsed.name || subjectName.toString().trim()
@@ -695,3 +720,114 @@ export const normalizeSubject = (subjectName, department, year, semester) => {
   }
 }
 
+// Subject catalog entry (or elective offering) for a course code, from any department
+export const findCatalogSubject = (subjectCode = '', catalog = DEFAULT_SUBJECTS) => {
+  const code = subjectCode.toString().trim().toUpperCase()
+  if (!code) return null
+  for (const years of Object.values(catalog || {})) {
+    for (const semesters of Object.values(years)) {
+      for (const subjects of Object.values(semesters)) {
+        for (const subject of subjects) {
+          if (subject.code === code) return subject
+          const option = subject.options?.find((offered) => offered.code === code)
+          if (option) return option
+        }
+      }
+    }
+  }
+  return null
+}
+
+const ELECTIVE_SLOT_PATTERN = /elective/i
+
+// Placeholder entries such as 'Professional Elective I' that stand for a student-chosen course
+export const isElectiveSlot = (subject) => (
+  !!subject && (!!subject.electiveSlot || (!subject.code && ELECTIVE_SLOT_PATTERN.test(subject.name || '')))
+)
+
+// Elective slots of a semester, each with the courses offered for it (`options`, possibly empty)
+export const getElectiveSlots = (department, year, semester, catalog = DEFAULT_SUBJECTS) => (
+  getDefaultSubjects(department, year, semester, catalog)
+    .filter(isElectiveSlot)
+    .map((subject) => ({ slot: subject.electiveSlot || subject.name, credits: subject.credits, options: subject.options || [] }))
+)
+
+/**
+ * Replace an elective slot placeholder subject with the course the student chose
+ * for that slot (`choices` as stored in ElectiveChoice). Other subjects are returned as is.
+ */
+export const applyElectiveChoice = (subject, choices = []) => {
+  if (!subject || subject.subjectCode) return subject
+  const key = normalizeSubjectKey(subject.subjectName)
+  const choice = key && choices.find((entry) => normalizeSubjectKey(entry.slot) === key)
+  if (!choice) return subject
+  return {
+    ...subject,
+    subjectCode: choice.code.toUpperCase(),
+    subjectName: formatSubjectLabel(choice)
+  }
+}
+
+/**
+ * Flat catalog rows ({ department, year, semester, code, name, credits, electiveSlot })
+ * from a department -> year -> semester tree. Used to seed the database from DEFAULT_SUBJECTS.
+ */
+export const flattenCatalogTree = (tree = {}) => {
+  const rows = []
+  for (const [department, years] of Object.entries(tree)) {
+    for (const [year, semesters] of Object.entries(years)) {
+      for (const [semester, subjects] of Object.entries(semesters)) {
+        for (const subject of subjects) {
+          const isSlot = isElectiveSlot(subject)
+          rows.push({
+            department,
+            year,
+            semester,
+            code: subject.code || '',
+            name: subject.name,
+            ...(typeof subject.credits === 'number' ? { credits: subject.credits } : {}),
+            ...(isSlot ? { electiveSlot: subject.electiveSlot || subject.name } : {})
+          })
+        }
+      }
+    }
+  }
+  return rows
+}
+
+/**
+ * Inverse of flattenCatalogTree. Elective offerings ({ department, slot, code, name, credits })
+ * are attached to their slot's entry as `options`.
+ */
+export const buildCatalogTree = (rows = [], electives = []) => {
+  const tree = {}
+  for (const row of rows) {
+    const department = normalizeDepartment(row.department)
+    const year = normalizeYear(row.year)
+    const semester = normalizeSemester(row.semester)
+    const entry = { code: (row.code || '').toUpperCase(), name: row.name }
+    if (typeof row.credits === 'number') entry.credits = row.credits
+    if (row.electiveSlot) {
+      entry.electiveSlot = row.electiveSlot
+      entry.options = electives
+        .filter((offered) => normalizeDepartment(offered.department) === department && offered.slot === row.electiveSlot)
+        .map(({ code, name, credits }) => ({ code: code.toUpperCase(), name, ...(typeof credits === 'number' ? { credits } : {}) }))
+    }
+    tree[department] ??= {}
+    tree[department][year] ??= {}
+    tree[department][year][semester] ??= []
+    tree[department][year][semester].push(entry)
+  }
+  return tree
+}
+
+// Course codes carry the regulation year after the first letter, e.g. U24CS401 -> R2024
+const REGULATION_CODE_PATTERN = /^[A-Z](\d{2})[A-Z]{2}\d/
+
+export const inferRegulation = (subjects = []) => {
+  for (const subject of subjects) {
+    const match = (subject?.subjectCode || '').toString().trim().toUpperCase().match(REGULATION_CODE_PATTERN)
+    if (match) return `R20${match[1]}`
+  }
+  return null
+}
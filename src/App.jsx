@@ -57,6 +57,13 @@ const DispatchRequests = lazy(() => import('./pages/DispatchRequests'))
 const Records = lazy(() => import('./pages/Records'))
 const DepartmentOverview = lazy(() => import('./pages/DepartmentOverview'))
 const ApprovalRequests = lazy(() => import('./pages/ApprovalRequests'))
+const CorrectionRequests = lazy(() => import('./pages/CorrectionRequests'))
+const ElectiveChoices = lazy(() => import('./pages/ElectiveChoices'))
+const Roster = lazy(() => import('./pages/Roster'))
+const YearPromotion = lazy(() => import('./pages/YearPromotion'))
+const ClassAssignments = lazy(() => import('./pages/ClassAssignments'))
+const MarkEntry = lazy(() => import('./pages/MarkEntry'))
+const MarksGrid = lazy(() => import('./pages/MarksGrid'))
 const Reports = lazy(() => import('./pages/Reports'))
 const Login = lazy(() => import('./pages/Login'))
 const SignUp = lazy(() => import('./pages/SignUp'))
@@ -65,6 +72,8 @@ const StudentDashboard = lazy(() => import('./pages/StudentDashboard'))
 const Leave = lazy(() => import('./pages/Leave'))
 const LeaveApprovals = lazy(() => import('./pages/LeaveApprovals'))
 const LateAcknowledgment = lazy(() => import('./pages/LateAcknowledgment'))
+const LateArrivalReport = lazy(() => import('./pages/LateArrivalReport'))
+const AttendanceRegister = lazy(() => import('./pages/AttendanceRegister'))
 const PrivacyPolicy = lazy(() => import('./pages/PrivacyPolicy'))
 const TermsOfService = lazy(() => import('./pages/TermsOfService'))
 const FAQ = lazy(() => import('./pages/FAQ'))
@@ -122,7 +131,7 @@ const ProtectedAdmin = () => {
 }
 
 // Staff or HOD only - redirects students and unauthenticated users
-const ProtectedStaffOrHod = ({ children }) => {
+const ProtectedStaffOrHod = ({ children, allowAdmin = false }) => {
   const parsed = getAuthOrNull()
   if (!parsed) return <Navigate to="/login" replace />
   const blocked = getAccessBlockMeta(parsed.role)
@@ -132,6 +141,8 @@ const ProtectedStaffOrHod = ({ children }) => {
   }
   const normalizedRole = String(parsed.role || '').toLowerCase()
   if (normalizedRole === 'staff' || normalizedRole === 'hod') return children
+  // Admins sign leaves as the principal
+  if (allowAdmin && normalizedRole === 'admin') return children
   return <Navigate to={getDashboardPathForRole(parsed.role)} replace />
 }
 
@@ -234,8 +245,17 @@ function AppContent() {
                 <Route path="/records" element={<Suspense fallback={<RecordsSkeleton />}><ProtectedStaffOrHod><Records /></ProtectedStaffOrHod></Suspense>} />
                 <Route path="/department-overview" element={<Suspense fallback={<DashboardSkeleton />}><ProtectedStaffOrHod><DepartmentOverview /></ProtectedStaffOrHod></Suspense>} />
                 <Route path="/approval-requests" element={<Suspense fallback={<ApprovalRequestsSkeleton />}><ProtectedStaffOrHod><ApprovalRequests /></ProtectedStaffOrHod></Suspense>} />
-                <Route path="/leave-approvals" element={<Suspense fallback={<ApprovalRequestsSkeleton />}><ProtectedStaffOrHod><LeaveApprovals /></ProtectedStaffOrHod></Suspense>} />
+                <Route path="/correction-requests" element={<Suspense fallback={<ApprovalRequestsSkeleton />}><ProtectedStaffOrHod><CorrectionRequests /></ProtectedStaffOrHod></Suspense>} />
+                <Route path="/elective-choices" element={<Suspense fallback={<TableSkeleton />}><ProtectedStaffOrHod><ElectiveChoices /></ProtectedStaffOrHod></Suspense>} />
+                <Route path="/roster" element={<Suspense fallback={<TableSkeleton />}><ProtectedStaffOrHod><Roster /></ProtectedStaffOrHod></Suspense>} />
+                <Route path="/promotion" element={<Suspense fallback={<TableSkeleton />}><ProtectedStaffOrHod><YearPromotion /></ProtectedStaffOrHod></Suspense>} />
+                <Route path="/class-assignments" element={<Suspense fallback={<TableSkeleton />}><ProtectedStaffOrHod><ClassAssignments /></ProtectedStaffOrHod></Suspense>} />
+                <Route path="/mark-entry" element={<Suspense fallback={<TableSkeleton />}><ProtectedStaffOrHod><MarkEntry /></ProtectedStaffOrHod></Suspense>} />
+                <Route path="/marks-grid" element={<Suspense fallback={<TableSkeleton />}><ProtectedStaffOrHod><MarksGrid /></ProtectedStaffOrHod></Suspense>} />
+                <Route path="/leave-approvals" element={<Suspense fallback={<ApprovalRequestsSkeleton />}><ProtectedStaffOrHod allowAdmin><LeaveApprovals /></ProtectedStaffOrHod></Suspense>} />
                 <Route path="/late-acknowledgment" element={<Suspense fallback={<ListSkeleton />}><ProtectedStaffOrHod><LateAcknowledgment /></ProtectedStaffOrHod></Suspense>} />
+                <Route path="/late-arrivals" element={<Suspense fallback={<TableSkeleton />}><ProtectedStaffOrHod allowAdmin><LateArrivalReport /></ProtectedStaffOrHod></Suspense>} />
+                <Route path="/attendance" element={<Suspense fallback={<TableSkeleton />}><ProtectedStaffOrHod allowAdmin><AttendanceRegister /></ProtectedStaffOrHod></Suspense>} />
                 <Route path="/reports" element={<Suspense fallback={<TableSkeleton />}><ProtectedStaffOrHod><Reports /></ProtectedStaffOrHod></Suspense>} />
                 {/* Auth Routes - redirect to dashboard if already logged in */}
                 <Route path="/login" element={<Suspense fallback={<LoginSkeleton />}><RedirectIfAuthenticated><Login /></RedirectIfAuthenticated></Suspense>} />
@@ -0,0 +1,224 @@
+import { useEffect, useRef, useState } from 'react';
+import { CalendarDays, Download, Pencil, Plus, RefreshCw, Trash2, Upload } from 'lucide-react';
+import { useAlert } from './AlertContext';
+import ConfirmDialog from './ConfirmDialog';
+import apiClient from '../utils/apiClient';
+import { getUserFriendlyMessage } from '../utils/apiErrorMessages';
+import { CALENDAR_EVENT_KINDS, CALENDAR_KIND_LABELS, calendarSemesterOf } from '../../shared/calendar';
+
+const DEPARTMENTS = ['CSE', 'AI_DS', 'ECE', 'MECH', 'CIVIL', 'EEE', 'IT', 'HNS'];
+
+const KIND_STYLES = {
+  holiday: 'bg-red-100 text-red-800',
+  working_day: 'bg-green-100 text-green-800',
+  semester: 'bg-blue-100 text-blue-800',
+  exam: 'bg-purple-100 text-purple-800'
+};
+
+const inputClass = 'w-full rounded-lg border border-gray-300 px-2 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-teal-500';
+
+const day = (value) => String(value || '').slice(0, 10);
+const formatDay = (value) => new Date(`${day(value)}T00:00:00Z`).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric', timeZone: 'UTC' });
+
+const emptyForm = (department) => ({ title: '', kind: 'holiday', department, startDate: '', endDate: '', notes: '' });
+
+/**
+ * Admin screen for the academic calendar (api/calendar.js): holidays,
+ * working-day exceptions, semesters and exam windows, institution-wide or
+ * for one department, with iCal import and export.
+ */
+export default function AcademicCalendarManager() {
+  const { showSuccess, showError, showWarning } = useAlert();
+  const [department, setDepartment] = useState('ALL');
+  const [events, setEvents] = useState([]);
+  const [calendar, setCalendar] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [confirmDelete, setConfirmDelete] = useState(null);
+  const fileInput = useRef(null);
+
+  const load = async () => {
+    setLoading(true);
+    try {
+      const data = await apiClient.get(`/api/calendar?department=${encodeURIComponent(department)}`, { cache: false, dedupe: false });
+      if (data?.success) {
+        setEvents(data.events || []);
+        setCalendar(data.calendar || null);
+      } else {
+        showError('Calendar Load Failed', data?.error || 'Could not load the academic calendar.');
+      }
+    } catch (e) {
+      showError('Calendar Load Failed', getUserFriendlyMessage(e, 'Could not load the academic calendar.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => { load(); }, [department]);
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      const body = { ...form, endDate: form.endDate || form.startDate };
+      const data = form._id
+        ? await apiClient.put(`/api/calendar?id=${form._id}`, body)
+        : await apiClient.post('/api/calendar', body);
+      if (data?.success) {
+        showSuccess('Calendar Updated', `${data.event.title} saved`);
+        setForm(null);
+        await load();
+      } else {
+        showError('Save Failed', data?.error || 'Could not save the event.');
+      }
+    } catch (e) {
+      showError('Save Failed', getUserFriendlyMessage(e, 'Could not save the event.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const remove = async () => {
+    const event = confirmDelete;
+    setConfirmDelete(null);
+    try {
+      await apiClient.del('/api/calendar', { body: { id: event._id } });
+      showSuccess('Event Deleted', `${event.title} removed from the calendar`);
+      await load();
+    } catch (e) {
+      showError('Delete Failed', getUserFriendlyMessage(e, 'Could not delete the event.'));
+    }
+  };
+
+  const importFile = async (file) => {
+    if (!file) return;
+    setImporting(true);
+    try {
+      const ics = await file.text();
+      const data = await apiClient.post('/api/calendar?action=import', { ics, department });
+      if (data?.success) {
+        showSuccess('Calendar Imported', `${data.created} added, ${data.updated} updated, ${data.unchanged} unchanged`);
+        if (data.errors?.length) showWarning('Some Events Need Attention', data.errors.slice(0, 3).join('; ') + (data.errors.length > 3 ? ` and ${data.errors.length - 3} more` : ''));
+        await load();
+      } else {
+        showError('Import Failed', data?.error || 'Could not import the file.');
+      }
+    } catch (e) {
+      showError('Import Failed', getUserFriendlyMessage(e, 'Could not import the file.'));
+    } finally {
+      setImporting(false);
+      if (fileInput.current) fileInput.current.value = '';
+    }
+  };
+
+  const exportFile = async () => {
+    try {
+      const blob = await apiClient.get(`/api/calendar?format=ics&department=${encodeURIComponent(department)}`, { responseType: 'blob', cache: false, dedupe: false });
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `academic-calendar-${department.toLowerCase()}.ics`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (e) {
+      showError('Export Failed', getUserFriendlyMessage(e, 'Could not export the calendar.'));
+    }
+  };
+
+  const semester = calendar ? calendarSemesterOf(new Date(), calendar) : null;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <select className={`${inputClass} w-auto`} value={department} onChange={e => setDepartment(e.target.value)}>
+          <option value="ALL">All departments</option>
+          {DEPARTMENTS.map(d => <option key={d} value={d}>{d} (with institution events)</option>)}
+        </select>
+        <button onClick={load} disabled={loading} className="flex items-center gap-1 px-3 py-1.5 text-sm rounded-lg border bg-white hover:bg-gray-50">
+          <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} /> Reload
+        </button>
+        <button onClick={() => setForm(emptyForm(department))} className="flex items-center gap-1 px-3 py-1.5 text-sm rounded-lg bg-teal-600 text-white hover:bg-teal-700">
+          <Plus className="w-4 h-4" /> Add Event
+        </button>
+        <button onClick={() => fileInput.current?.click()} disabled={importing} className="flex items-center gap-1 px-3 py-1.5 text-sm rounded-lg border bg-white hover:bg-gray-50 disabled:opacity-50">
+          <Upload className="w-4 h-4" /> {importing ? 'Importing...' : 'Import .ics'}
+        </button>
+        <button onClick={exportFile} className="flex items-center gap-1 px-3 py-1.5 text-sm rounded-lg border bg-white hover:bg-gray-50">
+          <Download className="w-4 h-4" /> Export .ics
+        </button>
+        <input ref={fileInput} type="file" accept=".ics,text/calendar" className="hidden" onChange={e => importFile(e.target.files?.[0])} />
+      </div>
+
+      {calendar && (
+        <p className="text-xs text-gray-600">
+          {calendar.holidays.length} holiday{calendar.holidays.length === 1 ? '' : 's'}, {calendar.workingDays.length} extra working day{calendar.workingDays.length === 1 ? '' : 's'}
+          {semester ? `; current semester: ${semester.title}` : '; no semester covers today, so leave balances use the leave policy\'s semester months'}
+        </p>
+      )}
+
+      {form && (
+        <div className="p-3 rounded-lg border border-teal-200 bg-teal-50 space-y-2">
+          <div className="grid grid-cols-1 sm:grid-cols-12 gap-2">
+            <input className={`${inputClass} sm:col-span-4`} placeholder="Title" value={form.title} onChange={e => setForm({ ...form, title: e.target.value })} />
+            <select className={`${inputClass} sm:col-span-2`} value={form.kind} onChange={e => setForm({ ...form, kind: e.target.value })}>
+              {CALENDAR_EVENT_KINDS.map(kind => <option key={kind} value={kind}>{CALENDAR_KIND_LABELS[kind]}</option>)}
+            </select>
+            <select className={`${inputClass} sm:col-span-2`} value={form.department} onChange={e => setForm({ ...form, department: e.target.value })}>
+              <option value="ALL">All departments</option>
+              {DEPARTMENTS.map(d => <option key={d} value={d}>{d}</option>)}
+            </select>
+            <input className={`${inputClass} sm:col-span-2`} type="date" value={day(form.startDate)} onChange={e => setForm({ ...form, startDate: e.target.value })} />
+            <input className={`${inputClass} sm:col-span-2`} type="date" value={day(form.endDate)} min={day(form.startDate)} onChange={e => setForm({ ...form, endDate: e.target.value })} />
+          </div>
+          <input className={inputClass} placeholder="Notes (optional)" value={form.notes || ''} onChange={e => setForm({ ...form, notes: e.target.value })} />
+          <div className="flex justify-end gap-2">
+            <button onClick={() => setForm(null)} className="px-3 py-1.5 text-sm rounded-lg border bg-white">Cancel</button>
+            <button onClick={save} disabled={saving || !form.title || !form.startDate} className="px-3 py-1.5 text-sm rounded-lg bg-teal-600 text-white disabled:opacity-50">
+              {saving ? 'Saving...' : 'Save Event'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {events.length === 0 ? (
+        <div className="flex items-center gap-2 text-sm text-gray-500 p-4 border border-dashed rounded-lg">
+          <CalendarDays className="w-4 h-4" /> No events yet. Add holidays one by one or import an .ics file.
+        </div>
+      ) : (
+        <ul className="divide-y border rounded-lg bg-white max-h-96 overflow-y-auto">
+          {events.map(event => (
+            <li key={event._id} className="p-3 flex items-center justify-between gap-3">
+              <div className="min-w-0">
+                <div className="flex items-center gap-2 flex-wrap">
+                  <span className="font-medium text-sm text-gray-900">{event.title}</span>
+                  <span className={`px-2 py-0.5 rounded text-xs font-semibold ${KIND_STYLES[event.kind] || 'bg-gray-100 text-gray-700'}`}>{CALENDAR_KIND_LABELS[event.kind] || event.kind}</span>
+                  {event.department !== 'ALL' && <span className="px-2 py-0.5 rounded text-xs bg-gray-100 text-gray-700">{event.department}</span>}
+                </div>
+                <p className="text-xs text-gray-600">
+                  {formatDay(event.startDate)}{day(event.endDate) !== day(event.startDate) && ` – ${formatDay(event.endDate)}`}
+                  {event.notes && ` · ${event.notes}`}
+                </p>
+              </div>
+              <div className="flex gap-2 flex-shrink-0">
+                <button onClick={() => setForm({ ...event, startDate: day(event.startDate), endDate: day(event.endDate) })} className="text-gray-600 hover:text-teal-700" aria-label="Edit event"><Pencil className="w-4 h-4" /></button>
+                <button onClick={() => setConfirmDelete(event)} className="text-red-600 hover:text-red-700" aria-label="Delete event"><Trash2 className="w-4 h-4" /></button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <ConfirmDialog
+        open={!!confirmDelete}
+        title="Delete this event?"
+        description={confirmDelete ? `${confirmDelete.title} (${formatDay(confirmDelete.startDate)}) will be removed. Leave day counts and scheduled sends stop taking it into account.` : ''}
+        confirmLabel="Delete"
+        onConfirm={remove}
+        onCancel={() => setConfirmDelete(null)}
+      />
+    </div>
+  );
+}
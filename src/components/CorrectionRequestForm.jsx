@@ -0,0 +1,155 @@
+import React, { useState } from 'react'
+import apiClient from '../utils/apiClient'
+import { getUserFriendlyMessage } from '../utils/apiErrorMessages'
+import { isAttendanceSubject } from '../utils/resultUtils'
+
+const subjectKey = (subject) => subject.subjectCode || subject.subjectName
+
+/**
+ * Modal for raising a marks correction request against a published marksheet.
+ * Used by staff on the marksheet page and by students on their dashboard.
+ */
+export default function CorrectionRequestForm({ open, marksheet, onClose, onSubmitted }) {
+  const [proposed, setProposed] = useState({})
+  const [reason, setReason] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState('')
+
+  if (!open || !marksheet) return null
+
+  const subjects = (marksheet.subjects || []).filter((subject) => !isAttendanceSubject(subject))
+  const selected = subjects.filter((subject) => proposed[subjectKey(subject)]?.selected)
+
+  const updateSubject = (key, patch) => {
+    setProposed(prev => ({ ...prev, [key]: { ...prev[key], ...patch } }))
+  }
+
+  const handleClose = () => {
+    setProposed({})
+    setReason('')
+    setError('')
+    onClose()
+  }
+
+  const handleSubmit = async () => {
+    if (selected.length === 0) {
+      setError('Select at least one subject to correct')
+      return
+    }
+    if (!reason.trim()) {
+      setError('Please explain why the marks need to be corrected')
+      return
+    }
+    setSubmitting(true)
+    setError('')
+    try {
+      const data = await apiClient.post('/api/marksheet-corrections?action=create', {
+        marksheetId: marksheet._id,
+        reason: reason.trim(),
+        subjects: selected.map((subject) => {
+          const entry = proposed[subjectKey(subject)]
+          return {
+            subjectCode: subject.subjectCode,
+            subjectName: subject.subjectName,
+            ...(entry.absent ? { proposedResult: 'Absent' } : { proposedMarks: entry.marks })
+          }
+        })
+      })
+      if (!data?.success) {
+        setError(data?.error || 'Could not submit the request')
+        return
+      }
+      setProposed({})
+      setReason('')
+      onSubmitted?.(data.request)
+    } catch (e) {
+      setError(getUserFriendlyMessage(e, 'Could not submit the request'))
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      <div className="fixed inset-0 bg-black/40 backdrop-blur-sm" onClick={handleClose}></div>
+      <div className="bg-white dark:bg-slate-800 rounded-xl shadow-xl w-full max-w-lg mx-4 z-50 overflow-hidden max-h-[90vh] flex flex-col">
+        <div className="p-6 overflow-y-auto">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100">Request Marks Correction</h3>
+          <p className="mt-2 text-sm text-gray-600 dark:text-gray-300">
+            Select the subjects to correct and enter the proposed marks. The HOD reviews the request; once approved a revised marksheet is issued and the original stays on record.
+          </p>
+
+          <div className="mt-4 space-y-2">
+            {subjects.map((subject) => {
+              const key = subjectKey(subject)
+              const entry = proposed[key] || {}
+              return (
+                <div key={key} className={`rounded-lg border p-3 ${entry.selected ? 'border-blue-300 bg-blue-50/50' : 'border-gray-200'}`}>
+                  <label className="flex items-start gap-2 text-sm text-gray-800 dark:text-gray-100">
+                    <input
+                      type="checkbox"
+                      className="mt-0.5"
+                      checked={!!entry.selected}
+                      onChange={e => updateSubject(key, { selected: e.target.checked })}
+                    />
+                    <span className="flex-1 min-w-0 break-words">{subject.subjectName}</span>
+                    <span className="text-gray-500 whitespace-nowrap">
+                      {subject.result === 'Absent' ? 'Absent' : (subject.marks ?? '—')}
+                    </span>
+                  </label>
+                  {entry.selected && (
+                    <div className="mt-2 flex items-center gap-3 pl-6">
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        disabled={entry.absent}
+                        value={entry.marks ?? ''}
+                        onChange={e => updateSubject(key, { marks: e.target.value })}
+                        placeholder="Proposed marks"
+                        className="w-36 border rounded-lg px-3 py-1.5 text-sm disabled:bg-gray-100"
+                      />
+                      <label className="flex items-center gap-1 text-xs text-gray-600">
+                        <input type="checkbox" checked={!!entry.absent} onChange={e => updateSubject(key, { absent: e.target.checked })} />
+                        Absent
+                      </label>
+                    </div>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+
+          <div className="mt-4">
+            <label className="block text-sm text-gray-600 dark:text-gray-300 mb-1">Reason</label>
+            <textarea
+              value={reason}
+              onChange={e => setReason(e.target.value)}
+              rows={3}
+              className="w-full border rounded-lg px-3 py-2 text-sm"
+              placeholder="e.g., Revaluation result, totalling error in answer script"
+            />
+          </div>
+
+          {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+
+          <div className="mt-6 flex justify-end gap-3">
+            <button
+              onClick={handleClose}
+              className="px-4 py-2 rounded-lg bg-white border border-gray-200 text-sm text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSubmit}
+              disabled={submitting}
+              className={`px-4 py-2 rounded-lg text-sm text-white ${submitting ? 'bg-blue-300' : 'bg-blue-600 hover:bg-blue-700'}`}
+            >
+              {submitting ? 'Submitting...' : 'Submit Request'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
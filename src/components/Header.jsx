@@ -216,8 +216,8 @@ function Header() {
           const opts = force ? { cache: false, dedupe: false } : {}
           const [staffData, leaveData] = await Promise.all([
             apiClient.get(`/api/staff-approval?action=pending&hodId=${hodId}`, opts),
-            // Only pending leave requests should contribute to the unread badge.
-            apiClient.get(`/api/leaves?department=${department}&type=leave&status=requested`, opts)
+            // Only leave requests waiting on the HOD should contribute to the unread badge.
+            apiClient.get(`/api/leaves?department=${department}&type=leave&status=requested&awaiting=1`, opts)
           ])
           
           let staffCount = 0
@@ -498,11 +498,16 @@ function Header() {
             {isLoggedIn && userRole === 'staff' && (
               <>
                 <Link className={getLinkClassName('/marksheets')} to="/marksheets" title="Marksheets">Marksheets</Link>
+                <Link className={getLinkClassName('/mark-entry')} to="/mark-entry" title="Subject Mark Entry">Mark Entry</Link>
+                <Link className={getLinkClassName('/attendance')} to="/attendance" title="Attendance Register">Attendance</Link>
                 <Link className={getLinkClassName('/dispatch-requests')} to="/dispatch-requests" title="Dispatch Requests">
                   <span className="hidden xl:inline">Dispatch Requests</span>
                   <span className="xl:hidden">Dispatch</span>
                 </Link>
+                <Link className={getLinkClassName('/leave-approvals')} to="/leave-approvals" title="Leave Approvals">Leaves</Link>
                 <Link className={getLinkClassName('/records')} to="/records" title="Records">Records</Link>
+                <Link className={getLinkClassName('/roster')} to="/roster" title="Student Roster">Roster</Link>
+                <Link className={getLinkClassName('/correction-requests')} to="/correction-requests" title="Correction Requests">Corrections</Link>
               </>
             )}
             {isLoggedIn && userRole === 'hod' && (
@@ -515,6 +520,9 @@ function Header() {
                   <span className="hidden xl:inline">Approval Requests</span>
                   <span className="xl:hidden">Approvals</span>
                 </Link>
+                <Link className={getLinkClassName('/leave-approvals')} to="/leave-approvals" title="Leave Approvals">Leaves</Link>
+                <Link className={getLinkClassName('/roster')} to="/roster" title="Student Roster">Roster</Link>
+                <Link className={getLinkClassName('/correction-requests')} to="/correction-requests" title="Correction Requests">Corrections</Link>
                 <Link className={getLinkClassName('/reports')} to="/reports" title="Reports">Reports</Link>
               </>
             )}
@@ -742,12 +750,27 @@ function Header() {
                   <Link className="text-[#111418] text-sm sm:text-base font-medium py-2.5 sm:py-3 px-3 sm:px-4 hover:text-theme-gold-500 hover:bg-theme-gold-50 rounded-lg transition-all duration-200 mobile-nav-item" to="/marksheets" onClick={() => setIsMobileMenuOpen(false)}>
                     Marksheets
                   </Link>
+                  <Link className="text-[#111418] text-sm sm:text-base font-medium py-2.5 sm:py-3 px-3 sm:px-4 hover:text-theme-gold-500 hover:bg-theme-gold-50 rounded-lg transition-all duration-200 mobile-nav-item" to="/mark-entry" onClick={() => setIsMobileMenuOpen(false)}>
+                    Mark Entry
+                  </Link>
+                  <Link className="text-[#111418] text-sm sm:text-base font-medium py-2.5 sm:py-3 px-3 sm:px-4 hover:text-theme-gold-500 hover:bg-theme-gold-50 rounded-lg transition-all duration-200 mobile-nav-item" to="/attendance" onClick={() => setIsMobileMenuOpen(false)}>
+                    Attendance
+                  </Link>
                   <Link className="text-[#111418] text-sm sm:text-base font-medium py-2.5 sm:py-3 px-3 sm:px-4 hover:text-theme-gold-500 hover:bg-theme-gold-50 rounded-lg transition-all duration-200 mobile-nav-item" to="/dispatch-requests" onClick={() => setIsMobileMenuOpen(false)}>
                     Dispatch Requests
                   </Link>
+                  <Link className="text-[#111418] text-sm sm:text-base font-medium py-2.5 sm:py-3 px-3 sm:px-4 hover:text-theme-gold-500 hover:bg-theme-gold-50 rounded-lg transition-all duration-200 mobile-nav-item" to="/leave-approvals" onClick={() => setIsMobileMenuOpen(false)}>
+                    Leave Approvals
+                  </Link>
                   <Link className="text-[#111418] text-sm sm:text-base font-medium py-2.5 sm:py-3 px-3 sm:px-4 hover:text-theme-gold-500 hover:bg-theme-gold-50 rounded-lg transition-all duration-200 mobile-nav-item" to="/records" onClick={() => setIsMobileMenuOpen(false)}>
                     Records
                   </Link>
+                  <Link className="text-[#111418] text-sm sm:text-base font-medium py-2.5 sm:py-3 px-3 sm:px-4 hover:text-theme-gold-500 hover:bg-theme-gold-50 rounded-lg transition-all duration-200 mobile-nav-item" to="/roster" onClick={() => setIsMobileMenuOpen(false)}>
+                    Student Roster
+                  </Link>
+                  <Link className="text-[#111418] text-sm sm:text-base font-medium py-2.5 sm:py-3 px-3 sm:px-4 hover:text-theme-gold-500 hover:bg-theme-gold-50 rounded-lg transition-all duration-200 mobile-nav-item" to="/correction-requests" onClick={() => setIsMobileMenuOpen(false)}>
+                    Correction Requests
+                  </Link>
                 </>
               )}
               {isLoggedIn && userRole === 'hod' && (
@@ -758,6 +781,15 @@ function Header() {
                   <Link className="text-[#111418] text-sm sm:text-base font-medium py-2.5 sm:py-3 px-3 sm:px-4 hover:text-theme-gold-500 hover:bg-theme-gold-50 rounded-lg transition-all duration-200 mobile-nav-item" to="/approval-requests" onClick={() => setIsMobileMenuOpen(false)}>
                     Approval Requests
                   </Link>
+                  <Link className="text-[#111418] text-sm sm:text-base font-medium py-2.5 sm:py-3 px-3 sm:px-4 hover:text-theme-gold-500 hover:bg-theme-gold-50 rounded-lg transition-all duration-200 mobile-nav-item" to="/leave-approvals" onClick={() => setIsMobileMenuOpen(false)}>
+                    Leave Approvals
+                  </Link>
+                  <Link className="text-[#111418] text-sm sm:text-base font-medium py-2.5 sm:py-3 px-3 sm:px-4 hover:text-theme-gold-500 hover:bg-theme-gold-50 rounded-lg transition-all duration-200 mobile-nav-item" to="/roster" onClick={() => setIsMobileMenuOpen(false)}>
+                    Student Roster
+                  </Link>
+                  <Link className="text-[#111418] text-sm sm:text-base font-medium py-2.5 sm:py-3 px-3 sm:px-4 hover:text-theme-gold-500 hover:bg-theme-gold-50 rounded-lg transition-all duration-200 mobile-nav-item" to="/correction-requests" onClick={() => setIsMobileMenuOpen(false)}>
+                    Correction Requests
+                  </Link>
                   <Link className="text-[#111418] text-sm sm:text-base font-medium py-2.5 sm:py-3 px-3 sm:px-4 hover:text-theme-gold-500 hover:bg-theme-gold-50 rounded-lg transition-all duration-200 mobile-nav-item" to="/reports" onClick={() => setIsMobileMenuOpen(false)}>
                     Reports
                   </Link>
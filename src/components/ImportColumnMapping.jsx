@@ -0,0 +1,227 @@
+const MAX_HEADER_ROWS = 4
+
+// Columns not mapped to a student field, with the saved subject settings where the mapping has them
+export const subjectRows = (headers = [], mapping = {}) => {
+  const mapped = new Set(Object.values(mapping.fields || {}).filter(Boolean))
+  const saved = new Map((mapping.subjects || []).map((subject) => [subject.column, subject]))
+  return headers
+    .filter((header) => !mapped.has(header.label))
+    .map((header) => saved.get(header.label) || { column: header.label, subjectName: header.leaf, component: null, include: false, maxMarks: header.maxMarks, weight: null })
+}
+
+// Layout rows are 0-based on the server and shown as Excel row numbers here
+const toRowNumber = (index) => (index === null || index === undefined ? '' : index + 1)
+const toRowIndex = (value) => (value === '' ? null : Math.max(0, Number(value) - 1))
+
+/**
+ * Mapping step of an Excel import: which sheet to read, where its headers are,
+ * which column holds each student field and which columns are subjects.
+ */
+function ImportColumnMapping({
+  inspection,
+  mapping,
+  onMappingChange,
+  onReinspect,
+  templates = [],
+  templateName,
+  onTemplateNameChange,
+  disabled = false
+}) {
+  const { sheets = [], sheetName, layout, headers = [], fields = [], template, sampleRows = [] } = inspection
+  const subjects = subjectRows(headers, mapping)
+  const firstRow = sampleRows[0] || {}
+
+  const setField = (key, column) => {
+    onMappingChange({ ...mapping, fields: { ...mapping.fields, [key]: column || null } })
+  }
+
+  const setSubject = (column, changes) => {
+    onMappingChange({
+      ...mapping,
+      subjects: subjects.map((subject) => (subject.column === column ? { ...subject, ...changes } : subject))
+    })
+  }
+
+  const setLayout = (changes) => onReinspect({ sheetName, layout: { ...layout, ...changes } })
+
+  return (
+    <div className="mt-6 p-4 bg-white rounded-xl border border-gray-200 text-left">
+      <div className="flex flex-wrap items-end gap-4 mb-4">
+        <label className="text-sm text-gray-700">
+          Sheet
+          <select
+            value={sheetName}
+            onChange={(e) => onReinspect({ sheetName: e.target.value })}
+            disabled={disabled}
+            className="block mt-1 px-2 py-1 border border-gray-300 rounded"
+          >
+            {sheets.map((name) => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </label>
+        <label className="text-sm text-gray-700">
+          Headers start at row
+          <input
+            type="number"
+            min={1}
+            value={toRowNumber(layout.headerRowIndex)}
+            onChange={(e) => e.target.value && setLayout({ headerRowIndex: toRowIndex(e.target.value) })}
+            disabled={disabled}
+            className="block mt-1 w-24 px-2 py-1 border border-gray-300 rounded"
+          />
+        </label>
+        <label className="text-sm text-gray-700">
+          Header rows
+          <select
+            value={layout.headerRowCount}
+            onChange={(e) => setLayout({ headerRowCount: Number(e.target.value) })}
+            disabled={disabled}
+            className="block mt-1 px-2 py-1 border border-gray-300 rounded"
+          >
+            {Array.from({ length: MAX_HEADER_ROWS }, (_, i) => i + 1).map((count) => (
+              <option key={count} value={count}>{count}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm text-gray-700">
+          Max marks row
+          <input
+            type="number"
+            min={1}
+            placeholder="None"
+            value={toRowNumber(layout.maxMarksRowIndex)}
+            onChange={(e) => setLayout({ maxMarksRowIndex: toRowIndex(e.target.value) })}
+            disabled={disabled}
+            className="block mt-1 w-24 px-2 py-1 border border-gray-300 rounded"
+          />
+        </label>
+        {templates.length > 0 && (
+          <label className="text-sm text-gray-700">
+            Template
+            <select
+              value={template?._id || ''}
+              onChange={(e) => onReinspect({ sheetName, templateId: e.target.value })}
+              disabled={disabled}
+              className="block mt-1 px-2 py-1 border border-gray-300 rounded"
+            >
+              <option value="">Detected columns</option>
+              {templates.map((saved) => <option key={saved._id} value={saved._id}>{saved.name}</option>)}
+            </select>
+          </label>
+        )}
+      </div>
+      {template && (
+        <div className="mb-3 text-sm text-blue-700">Applied saved template “{template.name}”. Adjust anything that changed.</div>
+      )}
+
+      <h4 className="font-semibold text-gray-900 mb-2">Student details</h4>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-5">
+        {fields.map((field) => (
+          <label key={field.key} className="text-sm text-gray-700">
+            {field.label}{field.required && <span className="text-red-600"> *</span>}
+            <select
+              value={mapping.fields?.[field.key] || ''}
+              onChange={(e) => setField(field.key, e.target.value)}
+              disabled={disabled}
+              className="block mt-1 w-full px-2 py-1 border border-gray-300 rounded"
+            >
+              <option value="">{field.required ? 'Choose a column' : 'Not in the sheet'}</option>
+              {headers.map((header) => <option key={header.label} value={header.label}>{header.label}</option>)}
+            </select>
+          </label>
+        ))}
+      </div>
+
+      <h4 className="font-semibold text-gray-900 mb-2">Subject columns</h4>
+      <div className="overflow-x-auto rounded-lg border border-gray-200">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50 text-left text-gray-600">
+            <tr>
+              <th className="px-3 py-2">Import</th>
+              <th className="px-3 py-2">Column</th>
+              <th className="px-3 py-2">Subject</th>
+              <th className="px-3 py-2">Component</th>
+              <th className="px-3 py-2">Max marks</th>
+              <th className="px-3 py-2">Weight</th>
+              <th className="px-3 py-2">First row</th>
+            </tr>
+          </thead>
+          <tbody>
+            {subjects.map((subject) => (
+              <tr key={subject.column} className="border-t border-gray-100">
+                <td className="px-3 py-2">
+                  <input
+                    type="checkbox"
+                    checked={subject.include}
+                    onChange={(e) => setSubject(subject.column, { include: e.target.checked })}
+                    disabled={disabled}
+                  />
+                </td>
+                <td className="px-3 py-2 text-gray-600">{subject.column}</td>
+                <td className="px-3 py-2">
+                  <input
+                    value={subject.subjectName}
+                    onChange={(e) => setSubject(subject.column, { subjectName: e.target.value })}
+                    disabled={disabled || !subject.include}
+                    className="w-full px-2 py-1 border border-gray-300 rounded"
+                  />
+                </td>
+                <td className="px-3 py-2">
+                  <input
+                    value={subject.component || ''}
+                    onChange={(e) => setSubject(subject.column, { component: e.target.value || null })}
+                    placeholder="Whole subject"
+                    disabled={disabled || !subject.include}
+                    className="w-28 px-2 py-1 border border-gray-300 rounded"
+                  />
+                </td>
+                <td className="px-3 py-2">
+                  <input
+                    type="number"
+                    min={1}
+                    placeholder="100"
+                    value={subject.maxMarks ?? ''}
+                    onChange={(e) => setSubject(subject.column, { maxMarks: e.target.value === '' ? null : Number(e.target.value) })}
+                    disabled={disabled || !subject.include}
+                    className="w-20 px-2 py-1 border border-gray-300 rounded"
+                  />
+                </td>
+                <td className="px-3 py-2">
+                  <input
+                    type="number"
+                    min={1}
+                    placeholder={subject.component ? String(subject.maxMarks ?? 100) : ''}
+                    value={subject.weight ?? ''}
+                    onChange={(e) => setSubject(subject.column, { weight: e.target.value === '' ? null : Number(e.target.value) })}
+                    disabled={disabled || !subject.include || !subject.component}
+                    className="w-20 px-2 py-1 border border-gray-300 rounded"
+                  />
+                </td>
+                <td className="px-3 py-2 font-mono text-gray-500">{String(firstRow[subject.column] ?? '')}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="mt-2 text-xs text-gray-500">
+        Marks out of a different maximum are converted to marks out of 100.
+        Columns with the same subject and a component name (CIA1, Model, Assignment...) are combined into one subject;
+        each component counts in proportion to its weight, which defaults to its max marks.
+      </p>
+
+      <label className="block mt-4 text-sm text-gray-700">
+        Save this mapping as a template
+        <input
+          value={templateName}
+          onChange={(e) => onTemplateNameChange(e.target.value)}
+          placeholder="e.g. Internal Test layout"
+          maxLength={80}
+          disabled={disabled}
+          className="block mt-1 w-full sm:w-80 px-2 py-1 border border-gray-300 rounded"
+        />
+        <span className="text-xs text-gray-500">Saved when the upload succeeds and applied to the next upload with the same columns.</span>
+      </label>
+    </div>
+  )
+}
+
+export default ImportColumnMapping
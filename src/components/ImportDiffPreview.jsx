@@ -0,0 +1,153 @@
+import { useMemo, useState } from 'react'
+
+const STATUS_META = {
+  new: { label: 'New', className: 'bg-blue-100 text-blue-800' },
+  unchanged: { label: 'Unchanged', className: 'bg-gray-100 text-gray-700' },
+  'marks-changed': { label: 'Marks changed', className: 'bg-amber-100 text-amber-800' },
+  'phone-changed': { label: 'Phone changed', className: 'bg-purple-100 text-purple-800' }
+}
+
+const ACTION_LABELS = { create: 'Create new', update: 'Update existing', skip: 'Skip' }
+
+const formatMarks = (subject) => (subject?.result === 'Absent' ? 'AB' : (subject?.marks ?? '—'))
+const subjectKey = (subject) => subject.subjectCode || subject.subjectName
+// Audit diff fields read 'subjects.<code or name>[.marks|.result|.components.<name>]'
+const changedSubjectKey = (field) => field.replace(/^subjects\./, '').replace(/\.(marks|result|grade|components\..*)$/, '')
+
+// Actions a row can take: updating needs an existing marksheet that has not been dispatched
+export const allowedImportActions = (row) => (
+  row.existing && !row.locked ? ['create', 'update', 'skip'] : ['create', 'skip']
+)
+
+function SubjectList({ subjects = [], changedKeys, highlightClass }) {
+  if (subjects.length === 0) return <span className="text-gray-400">—</span>
+  return (
+    <ul className="space-y-0.5">
+      {subjects.map((subject) => (
+        <li key={subjectKey(subject)} className={`flex justify-between gap-3 px-1 rounded ${changedKeys.has(subjectKey(subject)) ? highlightClass : ''}`}>
+          <span className="truncate" title={subject.subjectName}>{subject.subjectName}</span>
+          <span className="font-mono">{formatMarks(subject)}</span>
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+/**
+ * Dry-run result of an Excel upload: each student's existing marksheet for the
+ * examination next to the uploaded row, with a create / update / skip choice.
+ */
+function ImportDiffPreview({ preview = [], summary = {}, actions = {}, onActionChange, disabled = false }) {
+  const [statusFilter, setStatusFilter] = useState('')
+  const rows = useMemo(
+    () => (statusFilter ? preview.filter((row) => row.diffStatus === statusFilter) : preview),
+    [preview, statusFilter]
+  )
+
+  const setAll = (status, action) => {
+    preview
+      .filter((row) => row.diffStatus === status && allowedImportActions(row).includes(action))
+      .forEach((row) => onActionChange(row.regNumber, action))
+  }
+
+  return (
+    <div className="mt-6">
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <button
+          type="button"
+          onClick={() => setStatusFilter('')}
+          className={`px-3 py-1 rounded-full text-sm ${statusFilter === '' ? 'bg-gray-900 text-white' : 'bg-white border border-gray-300 text-gray-700'}`}
+        >
+          All ({preview.length})
+        </button>
+        {Object.entries(STATUS_META).map(([status, meta]) => (
+          <button
+            key={status}
+            type="button"
+            onClick={() => setStatusFilter(status)}
+            className={`px-3 py-1 rounded-full text-sm ${statusFilter === status ? 'bg-gray-900 text-white' : meta.className}`}
+          >
+            {meta.label} ({summary[status] || 0})
+          </button>
+        ))}
+        {(summary['marks-changed'] || 0) > 0 && (
+          <button type="button" disabled={disabled} onClick={() => setAll('marks-changed', 'update')} className="ml-auto text-sm text-blue-700 underline">
+            Update all changed
+          </button>
+        )}
+      </div>
+
+      <div className="overflow-x-auto rounded-xl border border-gray-200 bg-white">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50 text-left text-gray-600">
+            <tr>
+              <th className="px-3 py-2">Student</th>
+              <th className="px-3 py-2">Status</th>
+              <th className="px-3 py-2 w-1/3">Existing marksheet</th>
+              <th className="px-3 py-2 w-1/3">Uploaded row</th>
+              <th className="px-3 py-2">Action</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => {
+              const meta = STATUS_META[row.diffStatus] || STATUS_META.new
+              const changedKeys = new Set((row.changes?.marks || []).map((change) => changedSubjectKey(change.field)))
+              const phone = row.changes?.phone
+              return (
+                <tr key={row.regNumber} className="border-t border-gray-100 align-top">
+                  <td className="px-3 py-2">
+                    <div className="font-medium text-gray-900">{row.name}</div>
+                    <div className="font-mono text-xs text-gray-500">{row.regNumber}</div>
+                  </td>
+                  <td className="px-3 py-2">
+                    <span className={`inline-block px-2 py-0.5 rounded-full text-xs font-semibold ${meta.className}`}>{meta.label}</span>
+                    {phone && row.diffStatus !== 'phone-changed' && (
+                      <div className="mt-1 text-xs text-purple-700">Phone changed</div>
+                    )}
+                  </td>
+                  <td className="px-3 py-2">
+                    {row.existing ? (
+                      <>
+                        <div className="text-xs text-gray-500 mb-1">
+                          {row.existing.marksheetId} · {row.existing.status}
+                        </div>
+                        <div className={`text-xs mb-1 ${phone ? 'text-red-700 line-through' : 'text-gray-600'}`}>{row.existing.parentPhoneNumber || '—'}</div>
+                        <SubjectList subjects={row.existing.subjects} changedKeys={changedKeys} highlightClass="bg-red-50 text-red-800" />
+                      </>
+                    ) : (
+                      <span className="text-gray-400">No marksheet for this examination</span>
+                    )}
+                  </td>
+                  <td className="px-3 py-2">
+                    <div className="text-xs text-gray-500 mb-1">Result: {row.incoming.overallResult || '—'}</div>
+                    <div className={`text-xs mb-1 ${phone ? 'text-green-700 font-semibold' : 'text-gray-600'}`}>{row.incoming.parentPhoneNumber || '—'}</div>
+                    <SubjectList subjects={row.incoming.subjects} changedKeys={changedKeys} highlightClass="bg-green-50 text-green-800" />
+                  </td>
+                  <td className="px-3 py-2">
+                    <select
+                      value={actions[row.regNumber] || row.defaultAction}
+                      onChange={(e) => onActionChange(row.regNumber, e.target.value)}
+                      disabled={disabled}
+                      className="px-2 py-1 border border-gray-300 rounded"
+                    >
+                      {allowedImportActions(row).map((action) => (
+                        <option key={action} value={action}>{ACTION_LABELS[action]}</option>
+                      ))}
+                    </select>
+                    {row.locked && (
+                      <div className="mt-1 text-xs text-gray-500 max-w-[12rem]">
+                        {row.existing?.archived ? 'From a closed academic year. It is read-only.' : 'Already dispatched. Use a correction request to change its marks.'}
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+export default ImportDiffPreview
@@ -2,6 +2,9 @@ import { useState, useEffect, memo, useMemo } from 'react'
 import { X, CheckCircle2, Calendar, AlertTriangle, MessageSquare, FileText, TrendingUp, Clock, User } from 'lucide-react'
 import SwipeableCard from './SwipeableCard'
 import { getNotificationConfig } from '../utils/notificationTypes'
+import { LEGACY_LEAVE_CATEGORY, checkLeaveQuota } from '../../shared/leave'
+
+const STEP_STATUS_COLORS = { approved: 'text-green-700', rejected: 'text-red-700', skipped: 'text-gray-400', pending: 'text-amber-600' }
 
 /**
  * Enhanced Leave Request Card Component
@@ -9,7 +12,8 @@ import { getNotificationConfig } from '../utils/notificationTypes'
  * - Leave type color-coding with gradient badges
  * - Calendar visualization
  * - Rejection reason with optional notes
- * - Leave balance estimation
+ * - Semester leave balance for the category, with quota warnings
+ * - Approval chain progress (advisor recommendation, HOD, principal)
  * - Holiday conflict detection
  * - Approval notes dialog
  * - Mobile swipe gestures
@@ -42,12 +46,18 @@ export const LeaveCard = memo(({
       casual: { color: 'from-blue-500 to-blue-600', icon: '🎯', label: 'Casual' },
       emergency: { color: 'from-orange-500 to-orange-600', icon: '🚨', label: 'Emergency' },
       sick: { color: 'from-pink-500 to-pink-600', icon: '🤒', label: 'Sick' },
-      bereavement: { color: 'from-gray-600 to-gray-700', icon: '🪦', label: 'Bereavement' }
+      bereavement: { color: 'from-gray-600 to-gray-700', icon: '🪦', label: 'Bereavement' },
+      on_duty: { color: 'from-indigo-500 to-indigo-600', icon: '🏅', label: 'On Duty' },
+      personal: { color: 'from-blue-500 to-blue-600', icon: '🎯', label: 'Personal' }
     }
-    return typeMap[type?.toLowerCase()] || typeMap.casual
+    return typeMap[type?.toLowerCase()] || { ...typeMap.casual, label: type ? type.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase()) : typeMap.casual.label }
   }
 
-  const leaveTypeInfo = getLeaveTypeInfo(request.data?.type)
+  const approvals = request.data?.approvals || []
+
+  const category = request.data?.category || LEGACY_LEAVE_CATEGORY
+  const balance = (leaveBalance || request.data?.balance || []).find(entry => entry.key === category) || null
+  const leaveTypeInfo = { ...getLeaveTypeInfo(category), ...(balance ? { label: balance.label } : {}) }
 
   // Check if dates are weekends
   const getWeekendCount = () => {
@@ -59,7 +69,9 @@ export const LeaveCard = memo(({
   }
 
   const weekendCount = getWeekendCount()
-  const workingDays = duration - weekendCount
+  // Counted by the server without weekends and holidays when the request was raised
+  const workingDays = Number.isFinite(request.data?.leaveDays) ? request.data.leaveDays : duration - weekendCount
+  const quota = balance ? checkLeaveQuota([balance], category, workingDays) : { exceeded: false }
 
   const handleRejectWithReason = () => {
     onReject({ ...request, rejectReason, notes: rejectReason })
@@ -151,6 +163,60 @@ export const LeaveCard = memo(({
           </div>
         </div>
 
+        {/* Leave Balance - this semester, without this request */}
+        {balance && (
+          <div className={`mb-4 p-3 rounded-lg border ${quota.exceeded ? 'bg-red-50 border-red-300' : 'bg-white/60 border-gray-200'}`}>
+            <p className="text-xs text-gray-600 font-bold mb-2 flex items-center gap-1">
+              <TrendingUp className="w-3.5 h-3.5" />
+              {balance.label} Leave This Semester
+            </p>
+            <div className="grid grid-cols-3 gap-2 text-center">
+              <div>
+                <p className="text-xs text-gray-500 font-semibold">Taken</p>
+                <p className="text-base font-bold text-gray-900">{balance.usedDays}</p>
+              </div>
+              <div>
+                <p className="text-xs text-gray-500 font-semibold">Pending</p>
+                <p className="text-base font-bold text-amber-600">{balance.pendingDays}</p>
+              </div>
+              <div>
+                <p className="text-xs text-gray-500 font-semibold">Left</p>
+                <p className={`text-base font-bold ${quota.exceeded ? 'text-red-600' : 'text-green-600'}`}>
+                  {balance.remainingDays === null ? '∞' : `${balance.remainingDays}/${balance.quotaDays}`}
+                </p>
+              </div>
+            </div>
+            {quota.exceeded && (
+              <p className="text-xs text-red-700 font-semibold mt-2 flex items-start gap-1">
+                <AlertTriangle className="w-3.5 h-3.5 flex-shrink-0 mt-0.5" />
+                {quota.message}
+              </p>
+            )}
+          </div>
+        )}
+
+        {/* Approval Chain - who has signed so far and who is next */}
+        {approvals.length > 1 && (
+          <div className="mb-4 p-3 rounded-lg bg-white/60 border border-gray-200">
+            <p className="text-xs text-gray-600 font-bold mb-2 flex items-center gap-1">
+              <User className="w-3.5 h-3.5" />
+              Approval Chain
+            </p>
+            <ol className="space-y-1">
+              {approvals.map((step, index) => (
+                <li key={index} className="text-xs flex items-start gap-2">
+                  <span className={`font-bold ${STEP_STATUS_COLORS[step.status] || 'text-gray-500'}`}>
+                    {step.status === 'approved' ? '✓' : step.status === 'rejected' ? '✗' : '•'} {step.label}
+                  </span>
+                  <span className="text-gray-600">
+                    {step.status === 'pending' ? 'Pending' : `${step.name || ''}${step.comments ? ` — "${step.comments}"` : ''}`}
+                  </span>
+                </li>
+              ))}
+            </ol>
+          </div>
+        )}
+
         {/* Date Range - Visual Calendar */}
         <div className="mb-4 p-3 rounded-lg bg-white/60 backdrop-blur border border-blue-200">
           <p className="text-xs text-gray-600 font-bold mb-2 flex items-center gap-1">
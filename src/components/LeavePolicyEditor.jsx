@@ -0,0 +1,242 @@
+import { useEffect, useState } from 'react'
+import { CalendarOff, ChevronDown, ChevronUp, Plus, Trash2 } from 'lucide-react'
+import { useAlert } from './AlertContext'
+import ConfirmDialog from './ConfirmDialog'
+import apiClient from '../utils/apiClient'
+import { getUserFriendlyMessage } from '../utils/apiErrorMessages'
+import { DEFAULT_APPROVAL_CHAIN, DEFAULT_LEAVE_POLICY } from '../../shared/leave'
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+
+const inputClass = 'w-full rounded-lg border border-gray-300 px-2 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500'
+
+const toForm = (policy) => ({
+  categories: (policy.categories || []).map(c => ({
+    ...c,
+    quotaDays: c.quotaDays ?? '',
+    approvers: (c.approvers?.length ? c.approvers : DEFAULT_APPROVAL_CHAIN).map(step => ({ ...step }))
+  })),
+  holidays: (policy.holidays || []).map(h => ({ date: String(h.date).slice(0, 10), name: h.name || '' })),
+  enforcement: policy.enforcement || 'warn',
+  semesterStartMonths: policy.semesterStartMonths || [1, 7],
+  lateAlerts: (policy.lateAlerts ?? DEFAULT_LEAVE_POLICY.lateAlerts).map(alert => ({ ...alert }))
+})
+
+const findApprover = (category, role) => category.approvers.find(step => step.role === role)
+
+/**
+ * HOD editor for the department's leave policy (api/leave-policies.js):
+ * leave categories with their semester quotas and approval chains, holidays
+ * left out of leave day counts, whether requests over a quota are warned
+ * about or refused, and how many lates alert the class advisor and parent.
+ */
+export default function LeavePolicyEditor({ department }) {
+  const { showSuccess, showError } = useAlert()
+  const [open, setOpen] = useState(false)
+  const [form, setForm] = useState(null)
+  const [ownPolicy, setOwnPolicy] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [confirmReset, setConfirmReset] = useState(false)
+
+  const load = async () => {
+    try {
+      const data = await apiClient.get('/api/leave-policies', { cache: false, dedupe: false })
+      if (data?.success) {
+        setForm(toForm(data.policy))
+        setOwnPolicy(!data.isDefault && !data.inherited)
+      }
+    } catch (e) {
+      showError('Leave Policy', getUserFriendlyMessage(e, 'Could not load the leave policy.'))
+    }
+  }
+
+  useEffect(() => { if (open && !form) load() }, [open])
+
+  const update = (field, value) => setForm(prev => ({ ...prev, [field]: value }))
+  const updateItem = (field, index, changes) => setForm(prev => ({
+    ...prev,
+    [field]: prev[field].map((item, i) => (i === index ? { ...item, ...changes } : item))
+  }))
+  // aboveDays undefined takes the role out of the category's chain
+  const setApprover = (index, role, aboveDays) => {
+    const approvers = form.categories[index].approvers.filter(step => step.role !== role)
+    if (aboveDays !== undefined) approvers.push({ role, aboveDays })
+    updateItem('categories', index, { approvers })
+  }
+  const removeItem = (field, index) => setForm(prev => ({ ...prev, [field]: prev[field].filter((_, i) => i !== index) }))
+
+  const toggleMonth = (month) => {
+    const months = form.semesterStartMonths.includes(month)
+      ? form.semesterStartMonths.filter(m => m !== month)
+      : [...form.semesterStartMonths, month].sort((a, b) => a - b)
+    if (months.length > 0) update('semesterStartMonths', months)
+  }
+
+  const save = async () => {
+    setSaving(true)
+    try {
+      const data = await apiClient.put('/api/leave-policies', { department, ...form })
+      if (data?.success) {
+        setForm(toForm(data.policy))
+        setOwnPolicy(true)
+        showSuccess('Leave Policy Saved', `Quotas for ${department} apply to new requests`)
+      } else {
+        showError('Save Failed', data?.error || 'Could not save the leave policy.')
+      }
+    } catch (e) {
+      showError('Save Failed', getUserFriendlyMessage(e, 'Could not save the leave policy.'))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const reset = async () => {
+    setConfirmReset(false)
+    try {
+      await apiClient.del('/api/leave-policies', { body: { department } })
+      showSuccess('Leave Policy Reset', 'The institution-wide policy applies again')
+      setForm(null)
+      await load()
+    } catch (e) {
+      showError('Reset Failed', getUserFriendlyMessage(e, 'Could not reset the leave policy.'))
+    }
+  }
+
+  return (
+    <div className="mb-4 bg-white rounded-xl shadow">
+      <button onClick={() => setOpen(!open)} className="w-full p-4 flex items-center justify-between text-left">
+        <span className="font-semibold flex items-center gap-2"><CalendarOff className="w-4 h-4" /> Leave Policy</span>
+        {open ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+      </button>
+      {open && !form && <div className="px-4 pb-4 text-sm text-gray-500">Loading...</div>}
+      {open && form && (
+        <div className="px-4 pb-4 space-y-4">
+          {!ownPolicy && (
+            <p className="text-xs text-amber-700 bg-amber-50 rounded-lg p-2">
+              {department} uses the institution-wide policy. Saving creates a policy for {department} only.
+            </p>
+          )}
+
+          <div>
+            <p className="text-xs font-bold text-gray-700 mb-2">CATEGORIES (working days per semester; empty for no limit)</p>
+            <div className="space-y-2">
+              {form.categories.map((category, index) => (
+                <div key={index} className="grid grid-cols-12 gap-2 items-center border-b border-gray-100 pb-2">
+                  <input className={`${inputClass} col-span-5`} value={category.label} placeholder="Category" onChange={e => updateItem('categories', index, { label: e.target.value })} />
+                  <input className={`${inputClass} col-span-3`} type="number" min="0" value={category.quotaDays} placeholder="No limit" onChange={e => updateItem('categories', index, { quotaDays: e.target.value })} />
+                  <label className="col-span-3 text-xs text-gray-600 flex items-center gap-1">
+                    <input type="checkbox" checked={!!category.requiresAttachment} onChange={e => updateItem('categories', index, { requiresAttachment: e.target.checked })} />
+                    Proof required
+                  </label>
+                  <button onClick={() => removeItem('categories', index)} className="col-span-1 text-red-600" aria-label="Remove category"><Trash2 className="w-4 h-4" /></button>
+                  <div className="col-span-12 flex flex-wrap items-center gap-3 text-xs text-gray-600">
+                    <span className="font-semibold">Signed by:</span>
+                    <label className="flex items-center gap-1">
+                      <input type="checkbox" checked={!!findApprover(category, 'class_advisor')} onChange={e => setApprover(index, 'class_advisor', e.target.checked ? null : undefined)} />
+                      Class Advisor
+                    </label>
+                    <label className="flex items-center gap-1">
+                      <input type="checkbox" checked={!!findApprover(category, 'hod')} onChange={e => setApprover(index, 'hod', e.target.checked ? null : undefined)} />
+                      HOD
+                    </label>
+                    <label className="flex items-center gap-1">
+                      Principal for leaves over
+                      <input
+                        className={`${inputClass} w-16`}
+                        type="number"
+                        min="0"
+                        placeholder="Never"
+                        value={findApprover(category, 'admin') ? (findApprover(category, 'admin').aboveDays ?? 0) : ''}
+                        onChange={e => setApprover(index, 'admin', e.target.value === '' ? undefined : e.target.value)}
+                      />
+                      days
+                    </label>
+                  </div>
+                </div>
+              ))}
+            </div>
+            <button onClick={() => update('categories', [...form.categories, { label: '', quotaDays: '', requiresAttachment: false, approvers: DEFAULT_APPROVAL_CHAIN.map(step => ({ ...step })) }])} className="mt-2 text-xs text-blue-600 flex items-center gap-1">
+              <Plus className="w-3 h-3" /> Add category
+            </button>
+          </div>
+
+          <div>
+            <p className="text-xs font-bold text-gray-700 mb-2">HOLIDAYS (not counted as leave days)</p>
+            <div className="space-y-2">
+              {form.holidays.map((holiday, index) => (
+                <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                  <input className={`${inputClass} col-span-4`} type="date" value={holiday.date} onChange={e => updateItem('holidays', index, { date: e.target.value })} />
+                  <input className={`${inputClass} col-span-7`} value={holiday.name} placeholder="Holiday" onChange={e => updateItem('holidays', index, { name: e.target.value })} />
+                  <button onClick={() => removeItem('holidays', index)} className="col-span-1 text-red-600" aria-label="Remove holiday"><Trash2 className="w-4 h-4" /></button>
+                </div>
+              ))}
+            </div>
+            <button onClick={() => update('holidays', [...form.holidays, { date: '', name: '' }])} className="mt-2 text-xs text-blue-600 flex items-center gap-1">
+              <Plus className="w-3 h-3" /> Add holiday
+            </button>
+          </div>
+
+          <div>
+            <p className="text-xs font-bold text-gray-700 mb-2">REPEAT LATE ALERTS (class advisor notified, parent sent a WhatsApp summary)</p>
+            <div className="space-y-2">
+              {form.lateAlerts.map((alert, index) => (
+                <div key={index} className="flex items-center gap-2 text-sm text-gray-600">
+                  <input className={`${inputClass} w-16`} type="number" min="2" value={alert.count} onChange={e => updateItem('lateAlerts', index, { count: e.target.value })} />
+                  lates within
+                  <input className={`${inputClass} w-16`} type="number" min="1" value={alert.days} onChange={e => updateItem('lateAlerts', index, { days: e.target.value })} />
+                  days
+                  <button onClick={() => removeItem('lateAlerts', index)} className="text-red-600" aria-label="Remove late alert"><Trash2 className="w-4 h-4" /></button>
+                </div>
+              ))}
+              {form.lateAlerts.length === 0 && <p className="text-xs text-gray-500">No alerts: repeat lates are only shown in the late arrivals report.</p>}
+            </div>
+            <button onClick={() => update('lateAlerts', [...form.lateAlerts, { count: 3, days: 14 }])} className="mt-2 text-xs text-blue-600 flex items-center gap-1">
+              <Plus className="w-3 h-3" /> Add alert
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <p className="text-xs font-bold text-gray-700 mb-2">OVER-QUOTA REQUESTS</p>
+              <select className={inputClass} value={form.enforcement} onChange={e => update('enforcement', e.target.value)}>
+                <option value="warn">Allow with a warning</option>
+                <option value="block">Refuse</option>
+              </select>
+            </div>
+            <div>
+              <p className="text-xs font-bold text-gray-700 mb-2">SEMESTERS START IN</p>
+              <div className="flex flex-wrap gap-1">
+                {MONTHS.map((label, index) => (
+                  <button
+                    key={label}
+                    onClick={() => toggleMonth(index + 1)}
+                    className={`px-2 py-1 rounded text-xs border ${form.semesterStartMonths.includes(index + 1) ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-600'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          <div className="flex gap-2 justify-end">
+            {ownPolicy && (
+              <button onClick={() => setConfirmReset(true)} className="px-3 py-2 text-sm rounded-lg border text-red-600">Use Institution Policy</button>
+            )}
+            <button onClick={save} disabled={saving} className="px-3 py-2 text-sm rounded-lg bg-blue-600 text-white disabled:opacity-50">
+              {saving ? 'Saving...' : 'Save Policy'}
+            </button>
+          </div>
+        </div>
+      )}
+      <ConfirmDialog
+        open={confirmReset}
+        title="Use the institution policy?"
+        description={`${department}'s own categories, quotas, holidays and late alerts will be deleted.`}
+        confirmLabel="Delete"
+        onConfirm={reset}
+        onCancel={() => setConfirmReset(false)}
+      />
+    </div>
+  )
+}
@@ -289,9 +289,9 @@ export default function NotificationRequests({ isOpen, onClose, setUnreadCount }
 
         const staffApiUrl = `/api/staff-approval?action=pending&hodId=${hodId}`
         const department = auth?.department || auth.user?.department
-        // Only fetch leave requests that are pending HOD approval.
+        // Only fetch leave requests waiting on the HOD's step of the approval chain.
         // This reduces payload size and makes the modal/badge feel faster.
-        const leaveApiUrl = `/api/leaves?department=${department}&type=leave&status=requested`
+        const leaveApiUrl = `/api/leaves?department=${department}&type=leave&status=requested&awaiting=1&withBalance=1`
 
         try {
           const getOpts = force ? { cache: false, dedupe: false } : {}
@@ -338,6 +338,11 @@ export default function NotificationRequests({ isOpen, onClose, setUnreadCount }
                   startDate: req.startDate,
                   endDate: req.endDate,
                   type: req.type,
+                  category: req.category,
+                  leaveDays: req.leaveDays,
+                  quotaExceeded: !!req.quotaExceeded,
+                  balance: req.balance || null,
+                  approvals: req.approvals || [],
                   attachmentData: req.attachmentData || null,
                   status: 'pending'
                 }
@@ -526,7 +531,7 @@ export default function NotificationRequests({ isOpen, onClose, setUnreadCount }
         setProcessing(null)
       })
     } else if (request.type === 'leave_request') {
-      apiClient.patch(`/api/leaves?id=${request.data.requestId}&action=approve`, { hodId }, { timeout: 60000, retry: 1, dispatch: false }).catch(err => {
+      apiClient.patch(`/api/leaves?id=${request.data.requestId}&action=approve`, { hodId, comments: request.approvalNotes || '' }, { timeout: 60000, retry: 1, dispatch: false }).catch(err => {
         console.error('Error approving leave request in background:', err)
       }).finally(() => {
         setProcessing(null)
@@ -3,6 +3,7 @@ import ReactDOM from 'react-dom'
 import { useNavigate } from 'react-router-dom'
 import { useAlert } from './AlertContext'
 import apiClient from '../utils/apiClient'
+import { saveSessionTokens } from '../utils/auth'
 import {
   requestNotificationPermission,
   subscribeToNotifications,
@@ -348,6 +349,8 @@ function Settings({ isOpen, onClose, userEmail, userRole, isMobile = false }) {
         return
       }
 
+      // Other devices are signed out; keep this one signed in with the new tokens
+      saveSessionTokens(data)
       showSuccess('Success', 'Password changed successfully!')
       closePasswordModal()
     } catch (err) {
@@ -0,0 +1,356 @@
+import { useEffect, useMemo, useState } from 'react';
+import { BookOpen, Plus, RefreshCw, Trash2 } from 'lucide-react';
+import { useAlert } from './AlertContext';
+import ConfirmDialog from './ConfirmDialog';
+import apiClient from '../utils/apiClient';
+import { getUserFriendlyMessage } from '../utils/apiErrorMessages';
+
+const STATUS_STYLES = {
+  draft: 'bg-yellow-100 text-yellow-800',
+  published: 'bg-green-100 text-green-800',
+  archived: 'bg-gray-100 text-gray-600'
+};
+
+const YEAR_ORDER = ['I', 'II', 'III', 'IV'];
+const SEMESTER_ORDER = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII'];
+const byOrder = (order) => (a, b) => order.indexOf(a) - order.indexOf(b);
+
+const inputClass = 'w-full rounded-lg border border-gray-300 px-2 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:bg-gray-50';
+
+/**
+ * Admin screen for the versioned subject catalog (api/subject-catalog.js).
+ * Published versions are read-only; changes are made on a draft and published as a new version.
+ */
+export default function SubjectCatalogManager() {
+  const { showSuccess, showError } = useAlert();
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [newRegulation, setNewRegulation] = useState('');
+  const [catalog, setCatalog] = useState(null);
+  const [subjects, setSubjects] = useState([]);
+  const [electives, setElectives] = useState([]);
+  const [filter, setFilter] = useState({ department: '', year: '', semester: '' });
+  const [saving, setSaving] = useState(false);
+  const [dirty, setDirty] = useState(false);
+  const [confirmDiscard, setConfirmDiscard] = useState(null);
+
+  const fetchVersions = async () => {
+    setLoading(true);
+    try {
+      const data = await apiClient.get('/api/subject-catalog', { cache: false, dedupe: false });
+      if (data?.success) {
+        setVersions(data.versions || []);
+        if (!newRegulation && data.versions?.length) setNewRegulation(data.versions[0].regulation);
+      } else {
+        showError('Catalog Load Failed', data?.error || 'Could not load the subject catalog.');
+      }
+    } catch (e) {
+      showError('Catalog Load Failed', getUserFriendlyMessage(e, 'Could not load the subject catalog.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => { fetchVersions(); }, []);
+
+  const openVersion = async (catalogId) => {
+    try {
+      const data = await apiClient.get(`/api/subject-catalog?action=version&catalogId=${catalogId}`, { cache: false, dedupe: false });
+      if (!data?.success) {
+        showError('Catalog Load Failed', data?.error || 'Could not open this version.');
+        return;
+      }
+      setCatalog(data.catalog);
+      setSubjects(data.catalog.subjects || []);
+      setElectives(data.catalog.electives || []);
+      setDirty(false);
+      const first = data.catalog.subjects?.[0];
+      setFilter({ department: first?.department || '', year: first?.year || '', semester: first?.semester || '' });
+    } catch (e) {
+      showError('Catalog Load Failed', getUserFriendlyMessage(e, 'Could not open this version.'));
+    }
+  };
+
+  const createDraft = async () => {
+    try {
+      const latest = versions.find(v => v.status === 'published');
+      const data = await apiClient.post('/api/subject-catalog?action=create-draft', {
+        regulation: newRegulation,
+        copyFrom: latest?._id
+      });
+      if (data?.success) {
+        showSuccess('Draft Created', `Version ${data.catalog.version} of ${data.catalog.regulation} is ready to edit.`);
+        await fetchVersions();
+        openVersion(data.catalog._id);
+      } else if (data?.catalogId) {
+        openVersion(data.catalogId);
+      } else {
+        showError('Draft Not Created', data?.error || 'Could not create a draft.');
+      }
+    } catch (e) {
+      showError('Draft Not Created', getUserFriendlyMessage(e, 'Could not create a draft.'));
+    }
+  };
+
+  const saveDraft = async () => {
+    setSaving(true);
+    try {
+      const data = await apiClient.put('/api/subject-catalog', { catalogId: catalog._id, subjects, electives });
+      if (data?.success) {
+        setSubjects(data.catalog.subjects);
+        setElectives(data.catalog.electives);
+        setDirty(false);
+        showSuccess('Draft Saved', 'Publish the draft to start using it.');
+        return true;
+      }
+      showError('Save Failed', data?.error || 'Could not save the draft.');
+    } catch (e) {
+      showError('Save Failed', getUserFriendlyMessage(e, 'Could not save the draft.'));
+    } finally {
+      setSaving(false);
+    }
+    return false;
+  };
+
+  const publishDraft = async () => {
+    if (dirty && !(await saveDraft())) return;
+    try {
+      const data = await apiClient.post('/api/subject-catalog?action=publish', { catalogId: catalog._id });
+      if (data?.success) {
+        showSuccess('Catalog Published', `${data.catalog.regulation} version ${data.catalog.version} is now live.`);
+        setCatalog(null);
+        fetchVersions();
+      } else {
+        showError('Publish Failed', data?.error || 'Could not publish the draft.');
+      }
+    } catch (e) {
+      showError('Publish Failed', getUserFriendlyMessage(e, 'Could not publish the draft.'));
+    }
+  };
+
+  const discardDraft = async () => {
+    const target = confirmDiscard;
+    setConfirmDiscard(null);
+    try {
+      const data = await apiClient.del('/api/subject-catalog', { body: { catalogId: target._id } });
+      if (data?.success) {
+        if (catalog?._id === target._id) setCatalog(null);
+        fetchVersions();
+      } else {
+        showError('Discard Failed', data?.error || 'Could not discard the draft.');
+      }
+    } catch (e) {
+      showError('Discard Failed', getUserFriendlyMessage(e, 'Could not discard the draft.'));
+    }
+  };
+
+  const readOnly = catalog?.status !== 'draft';
+  const departments = useMemo(() => [...new Set(subjects.map(s => s.department))].sort(), [subjects]);
+  const years = useMemo(() => [...new Set(subjects.filter(s => s.department === filter.department).map(s => s.year))].sort(byOrder(YEAR_ORDER)), [subjects, filter.department]);
+  const semesters = useMemo(() => [...new Set(subjects.filter(s => s.department === filter.department && s.year === filter.year).map(s => s.semester))].sort(byOrder(SEMESTER_ORDER)), [subjects, filter.department, filter.year]);
+  const matchesFilter = (s) => s.department === filter.department && s.year === filter.year && s.semester === filter.semester;
+  const slots = useMemo(() => [...new Set(subjects.filter(s => s.department === filter.department && s.electiveSlot).map(s => s.electiveSlot))], [subjects, filter.department]);
+
+  const updateSubject = (index, patch) => {
+    setSubjects(prev => prev.map((s, i) => (i === index ? { ...s, ...patch } : s)));
+    setDirty(true);
+  };
+  const removeSubject = (index) => {
+    setSubjects(prev => prev.filter((_, i) => i !== index));
+    setDirty(true);
+  };
+  const addSubject = () => {
+    setSubjects(prev => [...prev, { ...filter, code: '', name: '' }]);
+    setDirty(true);
+  };
+  const updateElective = (index, patch) => {
+    setElectives(prev => prev.map((e, i) => (i === index ? { ...e, ...patch } : e)));
+    setDirty(true);
+  };
+  const removeElective = (index) => {
+    setElectives(prev => prev.filter((_, i) => i !== index));
+    setDirty(true);
+  };
+  const addElective = (slot) => {
+    setElectives(prev => [...prev, { department: filter.department, slot, code: '', name: '' }]);
+    setDirty(true);
+  };
+
+  return (
+    <div className="space-y-5">
+      <div className="flex flex-wrap items-end gap-2 sm:gap-3">
+        <div>
+          <label className="block text-xs font-semibold text-gray-600 mb-1">Regulation</label>
+          <input
+            value={newRegulation}
+            onChange={(e) => setNewRegulation(e.target.value.toUpperCase())}
+            placeholder="R2024"
+            className="w-28 rounded-lg border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          />
+        </div>
+        <button
+          type="button"
+          onClick={createDraft}
+          disabled={!newRegulation}
+          className="inline-flex items-center gap-2 px-4 py-2 rounded-lg bg-indigo-600 text-white text-sm font-semibold hover:bg-indigo-700 disabled:opacity-50"
+        >
+          <Plus className="w-4 h-4" />
+          <span>New Draft</span>
+        </button>
+        <button
+          type="button"
+          onClick={fetchVersions}
+          disabled={loading}
+          className="inline-flex items-center gap-2 px-4 py-2 rounded-lg border border-gray-300 bg-white text-sm font-semibold text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          <span>Reload</span>
+        </button>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b">
+              <th className="py-2 pr-3 font-semibold">Regulation</th>
+              <th className="py-2 pr-3 font-semibold">Version</th>
+              <th className="py-2 pr-3 font-semibold">Status</th>
+              <th className="py-2 pr-3 font-semibold">Subjects</th>
+              <th className="py-2 pr-3 font-semibold">Electives</th>
+              <th className="py-2 pr-3 font-semibold">Published</th>
+              <th className="py-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {versions.map(version => (
+              <tr key={version._id} className="border-b border-gray-100">
+                <td className="py-2 pr-3 font-medium text-gray-900">{version.regulation}</td>
+                <td className="py-2 pr-3">v{version.version}</td>
+                <td className="py-2 pr-3">
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${STATUS_STYLES[version.status]}`}>{version.status}</span>
+                </td>
+                <td className="py-2 pr-3">{version.subjectCount}</td>
+                <td className="py-2 pr-3">{version.electiveCount}</td>
+                <td className="py-2 pr-3 text-gray-500">{version.publishedAt ? new Date(version.publishedAt).toLocaleDateString('en-IN') : '—'}</td>
+                <td className="py-2 text-right whitespace-nowrap">
+                  <button onClick={() => openVersion(version._id)} className="text-indigo-600 font-semibold hover:underline">
+                    {version.status === 'draft' ? 'Edit' : 'View'}
+                  </button>
+                  {version.status === 'draft' && (
+                    <button onClick={() => setConfirmDiscard(version)} className="ml-3 text-red-600 font-semibold hover:underline">Discard</button>
+                  )}
+                </td>
+              </tr>
+            ))}
+            {versions.length === 0 && !loading && (
+              <tr><td colSpan={7} className="py-4 text-center text-gray-500">No catalog versions yet</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {catalog && (
+        <div className="rounded-xl border border-indigo-100 bg-indigo-50/40 p-3 sm:p-4 space-y-4">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <div className="flex items-center gap-2">
+              <BookOpen className="w-5 h-5 text-indigo-600" />
+              <h3 className="font-bold text-gray-900">{catalog.regulation} v{catalog.version}</h3>
+              <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${STATUS_STYLES[catalog.status]}`}>{catalog.status}</span>
+              {dirty && <span className="text-xs text-amber-700">Unsaved changes</span>}
+            </div>
+            <div className="flex gap-2">
+              {!readOnly && (
+                <>
+                  <button onClick={saveDraft} disabled={saving || !dirty} className="px-3 py-1.5 rounded-lg border border-indigo-300 bg-white text-sm font-semibold text-indigo-700 disabled:opacity-50">
+                    {saving ? 'Saving...' : 'Save Draft'}
+                  </button>
+                  <button onClick={publishDraft} disabled={saving} className="px-3 py-1.5 rounded-lg bg-green-600 text-white text-sm font-semibold hover:bg-green-700 disabled:opacity-50">
+                    Publish
+                  </button>
+                </>
+              )}
+              <button onClick={() => setCatalog(null)} className="px-3 py-1.5 rounded-lg border border-gray-300 bg-white text-sm text-gray-700">Close</button>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-3 gap-2 sm:max-w-md">
+            <select value={filter.department} onChange={(e) => setFilter({ department: e.target.value, year: '', semester: '' })} className={inputClass}>
+              <option value="">Department</option>
+              {departments.map(d => <option key={d} value={d}>{d}</option>)}
+            </select>
+            <select value={filter.year} onChange={(e) => setFilter(prev => ({ ...prev, year: e.target.value, semester: '' }))} className={inputClass}>
+              <option value="">Year</option>
+              {years.map(y => <option key={y} value={y}>{y}</option>)}
+            </select>
+            <select value={filter.semester} onChange={(e) => setFilter(prev => ({ ...prev, semester: e.target.value }))} className={inputClass}>
+              <option value="">Semester</option>
+              {semesters.map(s => <option key={s} value={s}>{s}</option>)}
+            </select>
+          </div>
+
+          <div className="space-y-2">
+            {subjects.map((subject, index) => matchesFilter(subject) && (
+              <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                <input value={subject.code} disabled={readOnly} onChange={(e) => updateSubject(index, { code: e.target.value.toUpperCase() })} placeholder="Code" className={`${inputClass} col-span-3`} />
+                <input value={subject.name} disabled={readOnly} onChange={(e) => updateSubject(index, { name: e.target.value, ...(subject.electiveSlot ? { electiveSlot: e.target.value } : {}) })} placeholder="Subject name" className={`${inputClass} col-span-5`} />
+                <input type="number" min="0" value={subject.credits ?? ''} disabled={readOnly} onChange={(e) => updateSubject(index, { credits: e.target.value === '' ? undefined : Number(e.target.value) })} placeholder="Credits" className={`${inputClass} col-span-2`} />
+                <label className="col-span-1 flex items-center gap-1 text-xs text-gray-600" title="Elective slot">
+                  <input type="checkbox" disabled={readOnly} checked={!!subject.electiveSlot} onChange={(e) => updateSubject(index, { electiveSlot: e.target.checked ? subject.name : undefined })} />
+                  Slot
+                </label>
+                {!readOnly && (
+                  <button onClick={() => removeSubject(index)} className="col-span-1 text-red-500 hover:text-red-700 justify-self-end" title="Remove subject">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            ))}
+            {!readOnly && filter.department && filter.year && filter.semester && (
+              <button onClick={addSubject} className="inline-flex items-center gap-1 text-sm font-semibold text-indigo-600 hover:underline">
+                <Plus className="w-4 h-4" /> Add subject
+              </button>
+            )}
+          </div>
+
+          {filter.department && slots.length > 0 && (
+            <div className="space-y-3">
+              <h4 className="text-sm font-bold text-gray-800">{filter.department} elective offerings</h4>
+              {slots.map(slot => (
+                <div key={slot} className="rounded-lg bg-white border border-gray-200 p-3 space-y-2">
+                  <p className="text-sm font-semibold text-gray-700">{slot}</p>
+                  {electives.map((offering, index) => offering.department === filter.department && offering.slot === slot && (
+                    <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                      <input value={offering.code} disabled={readOnly} onChange={(e) => updateElective(index, { code: e.target.value.toUpperCase() })} placeholder="Code" className={`${inputClass} col-span-3`} />
+                      <input value={offering.name} disabled={readOnly} onChange={(e) => updateElective(index, { name: e.target.value })} placeholder="Course name" className={`${inputClass} col-span-6`} />
+                      <input type="number" min="0" value={offering.credits ?? ''} disabled={readOnly} onChange={(e) => updateElective(index, { credits: e.target.value === '' ? undefined : Number(e.target.value) })} placeholder="Credits" className={`${inputClass} col-span-2`} />
+                      {!readOnly && (
+                        <button onClick={() => removeElective(index)} className="col-span-1 text-red-500 hover:text-red-700 justify-self-end" title="Remove offering">
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                  {!readOnly && (
+                    <button onClick={() => addElective(slot)} className="inline-flex items-center gap-1 text-xs font-semibold text-indigo-600 hover:underline">
+                      <Plus className="w-3.5 h-3.5" /> Offer a course
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      <ConfirmDialog
+        open={!!confirmDiscard}
+        title="Discard draft?"
+        description={confirmDiscard ? `Draft v${confirmDiscard.version} of ${confirmDiscard.regulation} and its changes will be deleted.` : ''}
+        confirmLabel="Discard"
+        cancelLabel="Cancel"
+        onConfirm={discardDraft}
+        onCancel={() => setConfirmDiscard(null)}
+      />
+    </div>
+  );
+}
@@ -1,10 +1,12 @@
 import { useState, useEffect } from 'react';
 import apiClient from '../utils/apiClient'
 import { useNavigate } from 'react-router-dom';
-import { Users, RefreshCw, Shield, PhoneCall, KeyRound, Trash2 } from 'lucide-react';
+import { Users, RefreshCw, Shield, PhoneCall, KeyRound, Trash2, BookOpen, FileSignature, CalendarDays } from 'lucide-react';
 import ConfirmDialog from '../components/ConfirmDialog';
 import { useAlert } from '../components/AlertContext';
 import WhatsAppStatus from '../components/WhatsAppStatus';
+import SubjectCatalogManager from '../components/SubjectCatalogManager';
+import AcademicCalendarManager from '../components/AcademicCalendarManager';
 import SWControls from '../components/SWControls';
 import { cacheAccessPolicy } from '../utils/accessPolicy';
 
@@ -404,6 +406,53 @@ export default function AdminDashboard() {
             </div>
           </div>
 
+          {/* Subject Catalog Section */}
+          <div className="bg-white rounded-xl shadow-md border border-gray-200 overflow-hidden">
+            <div className="bg-gradient-to-r from-indigo-50 to-indigo-100 px-4 sm:px-6 py-4 sm:py-5 border-b border-gray-200">
+              <div className="flex items-center gap-2 sm:gap-3">
+                <BookOpen className="w-5 h-5 sm:w-6 sm:h-6 text-indigo-600" />
+                <h2 className="text-base sm:text-lg md:text-xl font-bold text-gray-900">Subject Catalog</h2>
+              </div>
+              <p className="text-xs sm:text-sm text-gray-700 mt-1">Subjects, credits and elective offerings per regulation. Edit a draft and publish it as a new version.</p>
+            </div>
+            <div className="p-4 sm:p-5 md:p-6">
+              <SubjectCatalogManager />
+            </div>
+          </div>
+
+          {/* Academic Calendar Section */}
+          <div className="bg-white rounded-xl shadow-md border border-gray-200 overflow-hidden">
+            <div className="bg-gradient-to-r from-teal-50 to-teal-100 px-4 sm:px-6 py-4 sm:py-5 border-b border-gray-200">
+              <div className="flex items-center gap-2 sm:gap-3">
+                <CalendarDays className="w-5 h-5 sm:w-6 sm:h-6 text-teal-600" />
+                <h2 className="text-base sm:text-lg md:text-xl font-bold text-gray-900">Academic Calendar</h2>
+              </div>
+              <p className="text-xs sm:text-sm text-gray-700 mt-1">Holidays, working-day exceptions, semesters and exam windows. Leave day counts, late-arrival requests and scheduled dispatch follow it.</p>
+            </div>
+            <div className="p-4 sm:p-5 md:p-6">
+              <AcademicCalendarManager />
+            </div>
+          </div>
+
+          {/* Leave Sign-off Section */}
+          <div className="bg-white rounded-xl shadow-md border border-gray-200 overflow-hidden">
+            <div className="bg-gradient-to-r from-emerald-50 to-emerald-100 px-4 sm:px-6 py-4 sm:py-5 border-b border-gray-200">
+              <div className="flex items-center justify-between gap-2 sm:gap-4">
+                <div className="flex items-center gap-2 sm:gap-3 min-w-0">
+                  <FileSignature className="w-5 h-5 sm:w-6 sm:h-6 text-emerald-600 flex-shrink-0" />
+                  <h2 className="text-base sm:text-lg md:text-xl font-bold text-gray-900 truncate">Leave Sign-off</h2>
+                </div>
+                <button
+                  onClick={() => navigate('/leave-approvals')}
+                  className="flex items-center gap-2 px-3 sm:px-4 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 transition-colors text-sm font-medium"
+                >
+                  Open
+                </button>
+              </div>
+              <p className="text-xs sm:text-sm text-gray-700 mt-1">Long leaves that the leave policy sends to the principal after the HOD approves them.</p>
+            </div>
+          </div>
+
           {/* User Management Section */}
           <div className="bg-white rounded-xl shadow-md border border-gray-200 overflow-hidden">
             <div className="bg-gradient-to-r from-blue-50 to-blue-100 px-4 sm:px-6 py-4 sm:py-5 border-b border-gray-200">
@@ -5,6 +5,7 @@ import { useNavigate } from 'react-router-dom'
 import RefreshButton from '../components/RefreshButton'
 import SwipeableCard from '../components/SwipeableCard'
 import { useAlert } from '../components/AlertContext'
+import ConfirmDialog from '../components/ConfirmDialog'
 import { BaseCardSkeleton as CardSkeleton, BaseListSkeleton as ListSkeleton } from '../components/PageSkeletons'
 import { NoPendingRequests } from '../components/EmptyStates'
 import { useConfetti } from '../components/Confetti'
@@ -12,6 +13,7 @@ import { HelpTooltip } from '../components/ContextualHelp'
 import usePullToRefresh, { PullToRefreshIndicator } from '../hooks/usePullToRefresh.jsx'
 import { usePushNotifications, usePageFocus } from '../hooks/usePushNotifications'
 import AnimatedCount from '../components/AnimatedCount'
+import { ifMatch, isVersionConflict } from '../utils/versionConflict'
 
 const departmentDisplay = {
   'AI_DS': 'AI & DS',
@@ -80,6 +82,8 @@ function ApprovalRequests() {
   const [bulkActionLoading, setBulkActionLoading] = useState(false)
   const [refreshing, setRefreshing] = useState(false)
   const [leaveRequests, setLeaveRequests] = useState([])
+  // A decision that hit a marksheet changed since the list was loaded
+  const [staleAction, setStaleAction] = useState(null)
   const navigate = useNavigate()
 
   // Pull-to-refresh functionality
@@ -232,7 +236,7 @@ function ApprovalRequests() {
     setActionError('')
   }, [])
 
-  const processApprovalAction = useCallback(async (marksheet, type, comments = '') => {
+  const processApprovalAction = useCallback(async (marksheet, type, comments = '', scheduledDispatchDate = null) => {
     try {
       setActionLoading(true)
       const latest = await ensureHodSignature()
@@ -246,15 +250,18 @@ function ApprovalRequests() {
         marksheetId: marksheet._id,
         hodId,
         response: type,
-        comments
-      })
+        comments,
+        ...(scheduledDispatchDate ? { scheduledDispatchDate } : {})
+      }, { headers: ifMatch(marksheet) })
       if (!data || !data.success) throw new Error(data?.error || 'Failed to submit response')
-      const actionVerb = type === 'approved' ? 'approved' : 'rejected'
+      const actionVerb = type === 'rescheduled' ? 'scheduled' : type
       const studentName = marksheet?.studentDetails?.name || 'Student'
       setFeedback(`Dispatch request ${actionVerb} successfully.`)
 
       if (type === 'approved') {
         showSuccess('✓ Approved', `Dispatch approved for ${studentName}`)
+      } else if (type === 'rescheduled') {
+        showSuccess('🗓️ Scheduled', `Marksheet for ${studentName} will be sent on ${new Date(scheduledDispatchDate).toLocaleString()}`)
       } else {
         showWarning('Request Rejected', `Dispatch rejected for ${studentName}`)
       }
@@ -268,6 +275,11 @@ function ApprovalRequests() {
       try { window.refreshNotificationCount && window.refreshNotificationCount() } catch (e) { }
       await fetchPendingRequests(true)
     } catch (err) {
+      if (isVersionConflict(err)) {
+        closeModal()
+        setStaleAction({ current: err.data.current, type, comments, scheduledDispatchDate })
+        return
+      }
       const msg = getUserFriendlyMessage(err, 'Could not process the request.')
       setActionError(msg)
       showError('Action Failed', msg)
@@ -277,12 +289,18 @@ function ApprovalRequests() {
   }, [userData, ensureHodSignature, showSuccess, showError, setPendingRequests, fetchPendingRequests])
 
   const handleAction = useCallback((event, marksheet, type) => {
+    // Scheduling needs a date, so it goes through the dialog
+    if (type === 'rescheduled') {
+      setActionError('')
+      setActionModal({ open: true, type, marksheet, anchorRect: event?.currentTarget?.getBoundingClientRect?.() || null })
+      return
+    }
     processApprovalAction(marksheet, type, '')
   }, [processApprovalAction])
 
-  const submitAction = async ({ comments }) => {
+  const submitAction = async ({ comments, scheduledDispatchDate }) => {
     if (!actionModal.marksheet || !actionModal.type) return
-    await processApprovalAction(actionModal.marksheet, actionModal.type, comments)
+    await processApprovalAction(actionModal.marksheet, actionModal.type, comments, scheduledDispatchDate)
   }
 
   const handleBulkAction = async (actionType) => {
@@ -327,7 +345,7 @@ function ApprovalRequests() {
       const withRetries = async (fn, attempts = 2, delayMs = 500) => {
         let lastErr = null
         for (let i = 0; i < attempts; i++) {
-          try { return await fn() } catch (e) { lastErr = e; if (i < attempts - 1) await new Promise(r => setTimeout(r, delayMs * Math.pow(2, i))) }
+          try { return await fn() } catch (e) { lastErr = e; if (isVersionConflict(e)) break; if (i < attempts - 1) await new Promise(r => setTimeout(r, delayMs * Math.pow(2, i))) }
         }
         throw lastErr
       }
@@ -335,7 +353,8 @@ function ApprovalRequests() {
       const worker = async (marksheet) => {
         try {
           const body = { marksheetId: marksheet._id, hodId, response: actionType, comments: '' }
-          const res = await withRetries(() => apiClient.post('/api/marksheets?action=hod-response', body, { timeout: 60000 }), 2, 500)
+          // Requests changed since the list was loaded fail here and come back with the refreshed list
+          const res = await withRetries(() => apiClient.post('/api/marksheets?action=hod-response', body, { timeout: 60000, headers: ifMatch(marksheet) }), 2, 500)
           return res || { success: false }
         } catch (e) {
           return { success: false, error: e && e.message ? e.message : String(e) }
@@ -586,6 +605,31 @@ function ApprovalRequests() {
         error={actionError}
       />
 
+      <ConfirmDialog
+        open={!!staleAction}
+        title="This request has changed"
+        description={staleAction ? (
+          staleAction.current.status === 'dispatch_requested'
+            ? `${staleAction.current.studentDetails?.name || 'This student'}'s marksheet was updated after the list loaded, but it still awaits your decision.\n\nApply your decision to the latest version, or reload the list to review it first.`
+            : `${staleAction.current.studentDetails?.name || 'This student'}'s marksheet was updated after the list loaded and no longer awaits a decision${staleAction.current.hodName ? ` (last handled by ${staleAction.current.hodName})` : ''}.\n\nReload the list to see the latest requests.`
+        ) : ''}
+        confirmLabel={staleAction?.current.status === 'dispatch_requested' ? 'Apply My Decision' : 'Reload'}
+        cancelLabel="Reload List"
+        onConfirm={() => {
+          const { current, type, comments, scheduledDispatchDate } = staleAction
+          setStaleAction(null)
+          if (current.status === 'dispatch_requested') {
+            processApprovalAction(current, type, comments, scheduledDispatchDate)
+          } else {
+            fetchPendingRequests(true)
+          }
+        }}
+        onCancel={() => {
+          setStaleAction(null)
+          fetchPendingRequests(true)
+        }}
+      />
+
       {/* Confetti celebration */}
       <ConfettiContainer />
     </div>
@@ -615,6 +659,12 @@ const MarksheetRequestCard = memo(function MarksheetRequestCard({ marksheet, onA
       className: 'border-red-300 text-red-600 hover:border-red-500 hover:bg-red-50',
       onClick: (e) => onAction(e, marksheet, 'rejected')
     },
+    {
+      label: 'Schedule',
+      icon: 'Schedule',
+      className: 'border-indigo-300 text-indigo-600 hover:border-indigo-500 hover:bg-indigo-50',
+      onClick: (e) => onAction(e, marksheet, 'rescheduled')
+    },
     {
       label: 'Approve',
       icon: 'Approve',
@@ -674,6 +724,12 @@ const MarksheetRequestCard = memo(function MarksheetRequestCard({ marksheet, onA
             >
               Reject Request
             </button>
+            <button
+              onClick={(e) => onAction(e, marksheet, 'rescheduled')}
+              className="px-4 py-2.5 bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-medium rounded-lg transition-all duration-200 shadow-sm hover:shadow focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-1"
+            >
+              Schedule Dispatch
+            </button>
             <button
               onClick={() => onViewDetails(marksheet)}
               className="px-4 py-2.5 bg-white hover:bg-gray-50 text-gray-700 text-sm font-medium rounded-lg border border-gray-300 transition-all duration-200 shadow-sm hover:shadow focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-offset-1"
@@ -695,6 +751,7 @@ const MarksheetRequestCard = memo(function MarksheetRequestCard({ marksheet, onA
 
 function ActionDialog({ open, type, marksheet, anchorRect, onClose, onSubmit, loading, error }) {
   const [comments, setComments] = useState('')
+  const [scheduledAt, setScheduledAt] = useState('')
   const [isMobile, setIsMobile] = useState(() => (typeof window !== 'undefined' ? window.innerWidth < 640 : true))
   const [rendered, setRendered] = useState(open)
 
@@ -715,15 +772,27 @@ function ActionDialog({ open, type, marksheet, anchorRect, onClose, onSubmit, lo
   useEffect(() => {
     if (!open || !marksheet) return
     setComments('')
+    setScheduledAt('')
   }, [open, type, marksheet])
 
   if (!rendered || !marksheet) return null
 
-  const title = type === 'approved' ? 'Approve dispatch request' : 'Reject dispatch request'
+  const titles = { approved: 'Approve dispatch request', rejected: 'Reject dispatch request', rescheduled: 'Schedule dispatch' }
+  const title = titles[type] || titles.rejected
+  // datetime-local wants local time without seconds/zone
+  const minScheduledAt = (() => {
+    const d = new Date(Date.now() + 5 * 60 * 1000)
+    d.setMinutes(d.getMinutes() - d.getTimezoneOffset())
+    return d.toISOString().slice(0, 16)
+  })()
 
   const submit = (e) => {
     e.preventDefault()
     const payload = { comments: comments.trim() || undefined }
+    if (type === 'rescheduled') {
+      if (!scheduledAt) return
+      payload.scheduledDispatchDate = new Date(scheduledAt).toISOString()
+    }
     // Optimistically close the dialog immediately to avoid UI lag
     try { handleClose(true) } catch (err) { /* ignore */ }
     onSubmit(payload)
@@ -745,7 +814,7 @@ function ActionDialog({ open, type, marksheet, anchorRect, onClose, onSubmit, lo
 
     // If this is a type that should be centered (approve/reject),
     // prefer a centered/top absolute modal even on mobile (avoid bottom sheet)
-    const centerTypes = ['rejected', 'approved']
+    const centerTypes = ['rejected', 'approved', 'rescheduled']
     if (centerTypes.includes(type)) {
       const PADDING = 16
       const MODAL_WIDTH = Math.min(420, window.innerWidth - PADDING * 2)
@@ -830,7 +899,7 @@ function ActionDialog({ open, type, marksheet, anchorRect, onClose, onSubmit, lo
   const mobileTransform = open ? 'translate-y-0 rounded-t-2xl' : 'translate-y-full rounded-t-2xl'
   const desktopTransform = open ? 'translate-y-0 scale-100' : 'translate-y-2 scale-95'
   // If this dialog is one of the center types, use desktop transform even on mobile
-  const useDesktopStyle = ['rejected', 'approved'].includes(type)
+  const useDesktopStyle = ['rejected', 'approved', 'rescheduled'].includes(type)
   // Add subtle shadow and softer rounding for centered dialogs on mobile
   const mobileCenteredExtra = isMobile && useDesktopStyle ? 'rounded-xl shadow-lg' : ''
   const innerClasses = `${innerBase} ${mobileCenteredExtra} ${useDesktopStyle ? desktopTransform : (isMobile ? mobileTransform : desktopTransform)}`
@@ -847,6 +916,13 @@ function ActionDialog({ open, type, marksheet, anchorRect, onClose, onSubmit, lo
           <p className="text-sm text-gray-600 mt-1">{marksheet.studentDetails?.name} • {marksheet.studentDetails?.regNumber}</p>
         </div>
         <form onSubmit={submit} className="space-y-4">
+          {type === 'rescheduled' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Send on</label>
+              <input type="datetime-local" required min={minScheduledAt} value={scheduledAt} onChange={(e) => setScheduledAt(e.target.value)} className="w-full rounded-lg border border-gray-200 px-3 py-2 focus:border-blue-500 focus:outline-none" />
+              <p className="text-xs text-gray-500 mt-1">The marksheet is sent to parents over WhatsApp automatically at this time. Staff and you get a reminder beforehand.</p>
+            </div>
+          )}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">Comments (optional)</label>
             <textarea value={comments} onChange={(e) => setComments(e.target.value)} rows={4} className="w-full rounded-lg border border-gray-200 px-3 py-2 focus:border-blue-500 focus:outline-none" placeholder={type === 'rejected' ? 'Let the staff know the reason for rejection' : 'Add any notes for the staff member'} />
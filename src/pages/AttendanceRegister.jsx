@@ -0,0 +1,359 @@
+import { useEffect, useState } from 'react'
+import { CheckCheck, RefreshCw, Save } from 'lucide-react'
+import apiClient from '../utils/apiClient'
+import { getUserFriendlyMessage } from '../utils/apiErrorMessages'
+import { ifMatch, isVersionConflict } from '../utils/versionConflict'
+import { useAlert } from '../components/AlertContext'
+import { ATTENDANCE_CODES, ATTENDANCE_LABELS, ATTENDANCE_STATUSES, DAY_PERIOD, MAX_PERIODS, formatAttendancePercent } from '../../shared/attendance'
+import { campusDayKey } from '../../shared/calendar'
+
+const YEARS = ['I', 'II', 'III', 'IV']
+const PERIODS = Array.from({ length: MAX_PERIODS }, (_, i) => i + 1)
+// Below this a student is shown in red in the summary
+const LOW_ATTENDANCE = 75
+
+const inputClass = 'px-2 py-1 border border-gray-300 rounded'
+
+const STATUS_STYLES = {
+  present: 'bg-green-600 text-white border-green-600',
+  absent: 'bg-red-600 text-white border-red-600',
+  late: 'bg-amber-500 text-white border-amber-500',
+  on_duty: 'bg-blue-600 text-white border-blue-600',
+  leave: 'bg-purple-600 text-white border-purple-600'
+}
+
+const periodLabel = (period) => (period === DAY_PERIOD ? 'Whole day' : `Period ${period}`)
+
+/**
+ * Attendance register of a class (api/attendance.js). Staff mark a day or a
+ * period; students on approved leave or with a recorded late arrival come
+ * filled in. Below, each student's percentage over a range, which the class
+ * advisor can copy onto the marksheets of an examination.
+ */
+function AttendanceRegister() {
+  const { showError, showSuccess, showWarning } = useAlert()
+  const [auth] = useState(() => {
+    try {
+      const raw = localStorage.getItem('auth')
+      return raw ? JSON.parse(raw) : null
+    } catch {
+      return null
+    }
+  })
+  const isStaff = auth?.role === 'staff'
+  const [filters, setFilters] = useState(() => ({
+    department: auth?.department || '',
+    year: (isStaff ? auth?.year : '') || '',
+    section: (isStaff ? auth?.section : '') || '',
+    date: campusDayKey(),
+    period: DAY_PERIOD
+  }))
+  const [sheet, setSheet] = useState(null)
+  const [edits, setEdits] = useState({})
+  const [subjectName, setSubjectName] = useState('')
+  const [loading, setLoading] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [range, setRange] = useState({ from: '', to: '' })
+  const [summary, setSummary] = useState(null)
+  const [summaryLoading, setSummaryLoading] = useState(false)
+  const [examinationName, setExaminationName] = useState('')
+  const [applying, setApplying] = useState(false)
+
+  const ready = filters.department && filters.year && filters.section && filters.date
+  const classParams = () => ({ department: filters.department, year: filters.year, section: filters.section })
+
+  const loadSheet = async () => {
+    if (!ready) return null
+    setLoading(true)
+    try {
+      const params = new URLSearchParams({ action: 'register', ...classParams(), date: filters.date, period: filters.period })
+      const data = await apiClient.get(`/api/attendance?${params}`, { cache: false, dedupe: false })
+      if (data?.success) {
+        setSheet(data.sheet)
+        setSubjectName(data.sheet.subjectName || '')
+        return data.sheet
+      }
+      showError('Register Failed', data?.error || 'Could not load the register.')
+    } catch (e) {
+      showError('Register Failed', getUserFriendlyMessage(e, 'Could not load the register.'))
+    } finally {
+      setLoading(false)
+    }
+    return null
+  }
+
+  useEffect(() => {
+    setEdits({})
+    loadSheet()
+  }, [filters.department, filters.year, filters.section, filters.date, filters.period])
+
+  const loadSummary = async () => {
+    if (!ready) return
+    setSummaryLoading(true)
+    try {
+      const params = { action: 'summary', ...classParams() }
+      if (range.from) params.from = range.from
+      if (range.to) params.to = range.to
+      const data = await apiClient.get(`/api/attendance?${new URLSearchParams(params)}`, { cache: false, dedupe: false })
+      if (data?.success) setSummary(data)
+      else showError('Summary Failed', data?.error || 'Could not load the attendance summary.')
+    } catch (e) {
+      showError('Summary Failed', getUserFriendlyMessage(e, 'Could not load the attendance summary.'))
+    } finally {
+      setSummaryLoading(false)
+    }
+  }
+
+  const setFilter = (field, value) => setFilters((prev) => ({ ...prev, [field]: value }))
+  const statusOf = (row) => edits[row.studentId] || row.status
+  const setStatus = (studentId, status) => setEdits((prev) => ({ ...prev, [studentId]: status }))
+  // Students on leave keep their leave; everyone else is marked present
+  const markAllPresent = () => setEdits(Object.fromEntries(sheet.rows.filter((row) => !row.reconciled?.leave).map((row) => [row.studentId, 'present'])))
+
+  const save = async () => {
+    setSaving(true)
+    try {
+      const data = await apiClient.post('/api/attendance?action=save', {
+        ...classParams(),
+        date: filters.date,
+        period: filters.period,
+        subjectName,
+        statuses: sheet.rows.map((row) => ({ studentId: row.studentId, status: statusOf(row) }))
+      }, { headers: ifMatch(sheet) })
+      if (data?.success) {
+        setSheet(data.sheet)
+        setEdits({})
+        showSuccess('Attendance saved', `${periodLabel(filters.period)} of ${filters.date} is marked`)
+      }
+    } catch (e) {
+      if (isVersionConflict(e)) {
+        // Reload the sheet someone else saved and keep this user's marks on top of it
+        const current = await loadSheet()
+        if (current) setEdits(Object.fromEntries(sheet.rows.map((row) => [row.studentId, statusOf(row)])))
+        showWarning('Changed by someone else', 'This sheet was saved by someone else after you opened it. Your marks are kept on top of theirs; check them and save again.')
+      } else {
+        showError('Attendance not saved', getUserFriendlyMessage(e, 'Nothing was changed.'))
+      }
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const applyToMarksheets = async () => {
+    setApplying(true)
+    try {
+      const body = { ...classParams(), examinationName: examinationName.trim() }
+      if (range.from) body.from = range.from
+      if (range.to) body.to = range.to
+      const data = await apiClient.post('/api/attendance?action=apply-marksheets', body)
+      if (data?.success) {
+        const skipped = data.skipped.length > 0 ? `, ${data.skipped.length} skipped` : ''
+        showSuccess('Marksheets updated', `Attendance from ${data.from} to ${data.to}: ${data.updated} updated, ${data.unchanged} unchanged${skipped}`)
+      }
+    } catch (e) {
+      showError('Marksheets not updated', getUserFriendlyMessage(e, 'Nothing was changed.'))
+    } finally {
+      setApplying(false)
+    }
+  }
+
+  const changed = sheet ? sheet.rows.filter((row) => edits[row.studentId] && edits[row.studentId] !== row.status).length : 0
+  const unsaved = sheet && (!sheet._id || changed > 0)
+  const marked = sheet?.markedPeriods || []
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50">
+      <div className="container mx-auto px-4 sm:px-6 lg:px-8 py-6 sm:py-8 space-y-6">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Attendance Register</h1>
+          <p className="text-sm text-gray-600 mt-1">
+            Mark a class for the whole day or period by period. Students on approved leave and students whose late arrival was recorded are filled in from their requests.
+          </p>
+        </div>
+
+        <div className="glass-card p-4 rounded-2xl flex flex-wrap items-end gap-3">
+          <label className="text-sm text-gray-700">
+            Department
+            <input value={filters.department} onChange={(e) => setFilter('department', e.target.value.toUpperCase())} className={`mt-1 block w-24 ${inputClass}`} />
+          </label>
+          <label className="text-sm text-gray-700">
+            Year
+            <select value={filters.year} onChange={(e) => setFilter('year', e.target.value)} className={`mt-1 block ${inputClass}`}>
+              <option value="">—</option>
+              {YEARS.map((year) => <option key={year} value={year}>{year}</option>)}
+            </select>
+          </label>
+          <label className="text-sm text-gray-700">
+            Section
+            <input value={filters.section} onChange={(e) => setFilter('section', e.target.value.toUpperCase())} className={`mt-1 block w-16 ${inputClass}`} />
+          </label>
+          <label className="text-sm text-gray-700">
+            Date
+            <input type="date" value={filters.date} max={campusDayKey()} onChange={(e) => setFilter('date', e.target.value)} className={`mt-1 block ${inputClass}`} />
+          </label>
+          <label className="text-sm text-gray-700">
+            Sheet
+            <select value={filters.period} onChange={(e) => setFilter('period', Number(e.target.value))} className={`mt-1 block ${inputClass}`}>
+              {[DAY_PERIOD, ...PERIODS].map((period) => (
+                <option key={period} value={period}>{periodLabel(period)}{marked.includes(period) ? ' ✓' : ''}</option>
+              ))}
+            </select>
+          </label>
+          {filters.period !== DAY_PERIOD && (
+            <label className="text-sm text-gray-700">
+              Subject
+              <input value={subjectName} onChange={(e) => setSubjectName(e.target.value)} className={`mt-1 block w-48 ${inputClass}`} placeholder="Optional" />
+            </label>
+          )}
+          <div className="ml-auto flex items-center gap-2">
+            <button type="button" onClick={loadSheet} disabled={!ready || loading} className="flex items-center gap-1 px-3 py-2 rounded-lg bg-white border border-gray-300 text-gray-700 text-sm font-semibold disabled:opacity-60">
+              <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} /> Refresh
+            </button>
+            {isStaff && (
+              <>
+                <button type="button" onClick={markAllPresent} disabled={!sheet || sheet.rows.length === 0} className="flex items-center gap-1 px-3 py-2 rounded-lg bg-white border border-gray-300 text-gray-700 text-sm font-semibold disabled:opacity-60">
+                  <CheckCheck className="w-4 h-4" /> All present
+                </button>
+                <button type="button" onClick={save} disabled={!sheet || sheet.rows.length === 0 || saving} className="flex items-center gap-1 px-3 py-2 rounded-lg bg-indigo-600 text-white text-sm font-semibold disabled:opacity-60">
+                  <Save className="w-4 h-4" /> {saving ? 'Saving...' : 'Save'}
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+
+        {!ready && <div className="glass-card p-6 rounded-2xl text-center text-gray-600">Choose a class and a day to mark attendance.</div>}
+
+        {ready && loading && !sheet && <div className="glass-card p-6 rounded-2xl text-center text-gray-600">Loading the register...</div>}
+
+        {ready && sheet && (
+          sheet.rows.length === 0 ? (
+            <div className="glass-card p-6 rounded-2xl text-center text-gray-600">No active students in this class.</div>
+          ) : (
+            <div className="glass-card p-4 rounded-2xl overflow-x-auto">
+              <p className="text-xs text-gray-500 mb-2">
+                {sheet._id ? `Marked by ${sheet.staffName}${sheet.subjectName ? ` for ${sheet.subjectName}` : ''}` : 'Not marked yet'}
+                {unsaved && isStaff ? ` · ${sheet._id ? `${changed} unsaved change(s)` : 'save to record this sheet'}` : ''}
+              </p>
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-600 border-b">
+                    <th className="py-2 pr-4">Reg No</th>
+                    <th className="py-2 pr-4">Name</th>
+                    <th className="py-2 pr-4">Status</th>
+                    <th className="py-2 pr-4">From requests</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {sheet.rows.map((row) => {
+                    const status = statusOf(row)
+                    return (
+                      <tr key={row.studentId} className="border-b last:border-0">
+                        <td className="py-1 pr-4 whitespace-nowrap">{row.regNumber}</td>
+                        <td className="py-1 pr-4 whitespace-nowrap">{row.name}</td>
+                        <td className="py-1 pr-4 whitespace-nowrap">
+                          <div className="flex gap-1">
+                            {ATTENDANCE_STATUSES.map((option) => (
+                              <button
+                                key={option}
+                                type="button"
+                                title={ATTENDANCE_LABELS[option]}
+                                disabled={!isStaff}
+                                onClick={() => setStatus(row.studentId, option)}
+                                className={`px-2 py-0.5 rounded border text-xs font-semibold ${status === option ? STATUS_STYLES[option] : 'bg-white text-gray-600 border-gray-300'} disabled:cursor-default`}
+                              >
+                                {ATTENDANCE_CODES[option]}
+                              </button>
+                            ))}
+                          </div>
+                        </td>
+                        <td className="py-1 pr-4 whitespace-nowrap text-xs text-gray-600">
+                          {row.reconciled?.leave && <span className="mr-2 px-2 py-0.5 rounded bg-purple-100 text-purple-800">Approved leave ({row.reconciled.leave})</span>}
+                          {row.reconciled?.late && <span className="px-2 py-0.5 rounded bg-amber-100 text-amber-800">Late arrival recorded</span>}
+                        </td>
+                      </tr>
+                    )
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )
+        )}
+
+        {ready && (
+          <div className="glass-card p-4 rounded-2xl space-y-4">
+            <div className="flex flex-wrap items-end gap-3">
+              <h2 className="text-lg font-semibold text-gray-900 mr-auto">Attendance Percentage</h2>
+              <label className="text-sm text-gray-700">
+                From
+                <input type="date" value={range.from} onChange={(e) => setRange((prev) => ({ ...prev, from: e.target.value }))} className={`mt-1 block ${inputClass}`} />
+              </label>
+              <label className="text-sm text-gray-700">
+                To
+                <input type="date" value={range.to} min={range.from} onChange={(e) => setRange((prev) => ({ ...prev, to: e.target.value }))} className={`mt-1 block ${inputClass}`} />
+              </label>
+              <button type="button" onClick={loadSummary} disabled={summaryLoading} className="flex items-center gap-1 px-3 py-2 rounded-lg bg-white border border-gray-300 text-gray-700 text-sm font-semibold disabled:opacity-60">
+                <RefreshCw className={`w-4 h-4 ${summaryLoading ? 'animate-spin' : ''}`} /> {summary ? 'Refresh' : 'Show'}
+              </button>
+            </div>
+            <p className="text-xs text-gray-500">Without a start date the semester so far is counted. Approved leave is left out of the percentage; late and on-duty count as present.</p>
+
+            {summary && (
+              <>
+                <p className="text-sm text-gray-700">{summary.sheets} sheet(s) over {summary.days} day(s), {summary.from} to {summary.to}</p>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-gray-600 border-b">
+                        <th className="py-2 pr-4">Reg No</th>
+                        <th className="py-2 pr-4">Name</th>
+                        <th className="py-2 pr-3 text-center">Conducted</th>
+                        <th className="py-2 pr-3 text-center">Attended</th>
+                        <th className="py-2 pr-3 text-center">Absent</th>
+                        <th className="py-2 pr-3 text-center">Late</th>
+                        <th className="py-2 pr-3 text-center">On Duty</th>
+                        <th className="py-2 pr-3 text-center">Leave</th>
+                        <th className="py-2 pr-4 text-right">Attendance</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {summary.students.map((student) => {
+                        const low = student.percentage !== null && student.percentage < LOW_ATTENDANCE
+                        return (
+                          <tr key={student.studentId} className={`border-b last:border-0 ${low ? 'bg-red-50' : ''}`}>
+                            <td className="py-1 pr-4 whitespace-nowrap">{student.regNumber}</td>
+                            <td className="py-1 pr-4 whitespace-nowrap">{student.name}</td>
+                            <td className="py-1 pr-3 text-center">{student.conducted}</td>
+                            <td className="py-1 pr-3 text-center">{student.attended}</td>
+                            <td className="py-1 pr-3 text-center">{student.absent}</td>
+                            <td className="py-1 pr-3 text-center">{student.late}</td>
+                            <td className="py-1 pr-3 text-center">{student.onDuty}</td>
+                            <td className="py-1 pr-3 text-center">{student.leave}</td>
+                            <td className={`py-1 pr-4 text-right font-semibold ${low ? 'text-red-700' : ''}`}>{formatAttendancePercent(student.percentage) || '—'}</td>
+                          </tr>
+                        )
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+
+                <div className="flex flex-wrap items-end gap-3 border-t pt-4">
+                  <label className="text-sm text-gray-700">
+                    Examination
+                    <input value={examinationName} onChange={(e) => setExaminationName(e.target.value)} className={`mt-1 block w-56 ${inputClass}`} placeholder="e.g. CIA 1" />
+                  </label>
+                  <button type="button" onClick={applyToMarksheets} disabled={!examinationName.trim() || applying} className="px-3 py-2 rounded-lg bg-indigo-600 text-white text-sm font-semibold disabled:opacity-60">
+                    {applying ? 'Updating...' : 'Use on marksheets'}
+                  </button>
+                  <p className="text-xs text-gray-500 basis-full">Class advisors can copy these percentages onto the examination&apos;s marksheets. Dispatched and archived marksheets are left as they are.</p>
+                </div>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default AttendanceRegister
@@ -0,0 +1,227 @@
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import apiClient from '../utils/apiClient'
+import { getUserFriendlyMessage } from '../utils/apiErrorMessages'
+import { useAlert } from '../components/AlertContext'
+import ConfirmDialog from '../components/ConfirmDialog'
+
+const YEARS = ['I', 'II', 'III', 'IV']
+const ROLE_LABELS = { class_advisor: 'Class advisor', subject_teacher: 'Subject teacher' }
+
+const emptyForm = (department) => ({ staffId: '', role: 'subject_teacher', department, year: '', section: '', subjectCode: '', subjectName: '' })
+
+function ClassAssignments() {
+  const { showSuccess, showError } = useAlert()
+  const [auth] = useState(() => {
+    try {
+      const raw = localStorage.getItem('auth')
+      return raw ? JSON.parse(raw) : null
+    } catch {
+      return null
+    }
+  })
+  const canManage = auth?.role === 'hod' || auth?.role === 'admin'
+  const department = auth?.department || ''
+  const [assignments, setAssignments] = useState([])
+  const [academicYear, setAcademicYear] = useState('')
+  const [staff, setStaff] = useState([])
+  const [form, setForm] = useState(() => emptyForm(department))
+  const [loading, setLoading] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [confirm, setConfirm] = useState(null)
+
+  const load = async () => {
+    if (!canManage) return
+    try {
+      setLoading(true)
+      const [assignmentsData, usersData] = await Promise.all([
+        apiClient.get('/api/class-assignments', { cache: false, dedupe: false }),
+        apiClient.get('/api/users?action=list', { cache: false, dedupe: false })
+      ])
+      if (assignmentsData?.success) {
+        setAssignments(assignmentsData.assignments || [])
+        setAcademicYear(assignmentsData.academicYear)
+      }
+      if (usersData?.success) {
+        setStaff((usersData.users || []).filter((user) => user.role === 'staff').sort((a, b) => a.name.localeCompare(b.name)))
+      }
+    } catch (e) {
+      showError('Error', getUserFriendlyMessage(e, 'Could not load class assignments.'))
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => { load() }, [department])
+
+  const setField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }))
+
+  const addAssignment = async (e) => {
+    e.preventDefault()
+    if (!form.staffId || !form.year || !form.section.trim()) {
+      return showError('Missing details', 'Choose a staff member, year and section')
+    }
+    setSaving(true)
+    try {
+      const data = await apiClient.post('/api/class-assignments', { ...form, academicYear })
+      if (data?.success) {
+        showSuccess('Assigned', `${data.assignment.staffName} is now ${ROLE_LABELS[form.role].toLowerCase()} for ${form.year} ${form.section.toUpperCase()}`)
+        setForm((prev) => ({ ...emptyForm(prev.department), year: prev.year, section: prev.section }))
+        await load()
+      } else {
+        showError('Could not assign', data?.error || 'Nothing was changed')
+      }
+    } catch (err) {
+      showError('Could not assign', getUserFriendlyMessage(err, 'Nothing was changed.'))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const removeAssignment = async (assignment) => {
+    setConfirm(null)
+    setSaving(true)
+    try {
+      const data = await apiClient.del(`/api/class-assignments?id=${assignment._id}`)
+      if (data?.success) {
+        showSuccess('Removed', `${assignment.staffName} no longer has this assignment`)
+        await load()
+      } else {
+        showError('Could not remove', data?.error || 'Nothing was changed')
+      }
+    } catch (err) {
+      showError('Could not remove', getUserFriendlyMessage(err, 'Nothing was changed.'))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (!canManage) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="glass-card p-6 rounded-2xl text-center text-gray-600">Only HODs can manage class assignments.</div>
+      </div>
+    )
+  }
+
+  const inputClass = 'px-2 py-1 border border-gray-300 rounded'
+  const classes = assignments.reduce((groups, assignment) => {
+    const key = `${assignment.department} ${assignment.year} ${assignment.section}`
+    groups[key] = [...(groups[key] || []), assignment]
+    return groups
+  }, {})
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50">
+      <div className="container mx-auto px-4 sm:px-6 lg:px-8 py-6 sm:py-8 space-y-6">
+        <div>
+          <Link to="/roster" className="text-sm text-blue-700">← Student Roster</Link>
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mt-1">Class Assignments · {academicYear}</h1>
+          <p className="text-sm text-gray-600 mt-1">
+            Class advisors receive the class&apos;s leave and late-arrival alerts; subject teachers can work on the marksheets of every class they teach.
+          </p>
+        </div>
+
+        <form onSubmit={addAssignment} className="glass-card p-4 rounded-2xl flex flex-wrap items-end gap-3">
+          <label className="text-sm text-gray-700">
+            Staff
+            <select value={form.staffId} onChange={(e) => setField('staffId', e.target.value)} className={`mt-1 block ${inputClass}`}>
+              <option value="">Choose...</option>
+              {staff.map((member) => <option key={member.id} value={member.id}>{member.name}</option>)}
+            </select>
+          </label>
+          <label className="text-sm text-gray-700">
+            Role
+            <select value={form.role} onChange={(e) => setField('role', e.target.value)} className={`mt-1 block ${inputClass}`}>
+              {Object.entries(ROLE_LABELS).map(([value, text]) => <option key={value} value={value}>{text}</option>)}
+            </select>
+          </label>
+          <label className="text-sm text-gray-700">
+            Department
+            <input value={form.department} onChange={(e) => setField('department', e.target.value.toUpperCase())} className={`mt-1 block w-24 ${inputClass}`} />
+          </label>
+          <label className="text-sm text-gray-700">
+            Year
+            <select value={form.year} onChange={(e) => setField('year', e.target.value)} className={`mt-1 block ${inputClass}`}>
+              <option value="">—</option>
+              {YEARS.map((year) => <option key={year} value={year}>{year}</option>)}
+            </select>
+          </label>
+          <label className="text-sm text-gray-700">
+            Section
+            <input value={form.section} onChange={(e) => setField('section', e.target.value.toUpperCase())} className={`mt-1 block w-16 ${inputClass}`} />
+          </label>
+          {form.role === 'subject_teacher' && (
+            <>
+              <label className="text-sm text-gray-700">
+                Subject code
+                <input value={form.subjectCode} onChange={(e) => setField('subjectCode', e.target.value.toUpperCase())} className={`mt-1 block w-28 ${inputClass}`} />
+              </label>
+              <label className="text-sm text-gray-700">
+                Subject name
+                <input value={form.subjectName} onChange={(e) => setField('subjectName', e.target.value)} className={`mt-1 block ${inputClass}`} />
+              </label>
+            </>
+          )}
+          <button type="submit" disabled={saving} className="px-4 py-2 rounded-lg bg-indigo-600 text-white text-sm font-semibold disabled:opacity-60">
+            {saving ? 'Saving...' : 'Assign'}
+          </button>
+        </form>
+
+        {loading && <div className="glass-card p-6 rounded-2xl text-center text-gray-600">Loading assignments...</div>}
+
+        {!loading && Object.keys(classes).length === 0 && (
+          <div className="glass-card p-6 rounded-2xl text-center text-gray-600">
+            No class assignments yet. Until a class has one, its alerts go to the staff whose profile names that class.
+          </div>
+        )}
+
+        {!loading && Object.entries(classes).map(([label, items]) => (
+          <div key={label} className="glass-card p-4 rounded-2xl">
+            <h2 className="font-semibold text-gray-900 mb-2">{label}</h2>
+            {!items.some((item) => item.role === 'class_advisor') && (
+              <p className="text-sm text-yellow-800 mb-2">No class advisor: leave and late-arrival alerts for this class have nobody to go to.</p>
+            )}
+            <table className="min-w-full text-sm">
+              <tbody>
+                {items.map((item) => (
+                  <tr key={item._id} className="border-b last:border-0">
+                    <td className="py-2 pr-4">{item.staffName}</td>
+                    <td className="py-2 pr-4">{ROLE_LABELS[item.role]}</td>
+                    <td className="py-2 pr-4">{item.role === 'subject_teacher' ? [item.subjectCode, item.subjectName].filter(Boolean).join(' · ') : ''}</td>
+                    <td className="py-2 pr-4 text-right">
+                      <button
+                        type="button"
+                        disabled={saving}
+                        onClick={() => setConfirm({
+                          title: 'Remove assignment',
+                          description: `Remove ${item.staffName} as ${ROLE_LABELS[item.role].toLowerCase()} of ${label}?`,
+                          confirmLabel: 'Remove',
+                          onConfirm: () => removeAssignment(item)
+                        })}
+                        className="text-red-700 font-semibold disabled:opacity-60"
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ))}
+      </div>
+
+      <ConfirmDialog
+        open={!!confirm}
+        title={confirm?.title}
+        description={confirm?.description}
+        confirmLabel={confirm?.confirmLabel}
+        onConfirm={() => confirm?.onConfirm()}
+        onCancel={() => setConfirm(null)}
+      />
+    </div>
+  )
+}
+
+export default ClassAssignments
@@ -0,0 +1,210 @@
+import { useEffect, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import apiClient from '../utils/apiClient'
+import { getUserFriendlyMessage } from '../utils/apiErrorMessages'
+import { useAlert } from '../components/AlertContext'
+import { usePullToRefresh } from '../hooks/usePullToRefresh'
+
+const STATUS_FILTERS = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: '', label: 'All' }
+]
+
+const STATUS_META = {
+  pending: { label: 'Awaiting HOD', className: 'bg-yellow-100 text-yellow-800' },
+  approved: { label: 'Approved', className: 'bg-green-100 text-green-800' },
+  rejected: { label: 'Rejected', className: 'bg-red-100 text-red-800' }
+}
+
+const formatMarks = (marks, result) => (result === 'Absent' ? 'Absent' : (marks ?? '—'))
+
+function CorrectionRequests() {
+  const navigate = useNavigate()
+  const { showSuccess, showError } = useAlert()
+  const [auth] = useState(() => {
+    try {
+      const raw = localStorage.getItem('auth')
+      return raw ? JSON.parse(raw) : null
+    } catch {
+      return null
+    }
+  })
+  const isHod = auth?.role === 'hod'
+  const [statusFilter, setStatusFilter] = useState(isHod ? 'pending' : '')
+  const [requests, setRequests] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [comments, setComments] = useState({})
+  const [respondingId, setRespondingId] = useState(null)
+
+  const fetchRequests = async () => {
+    try {
+      setLoading(true)
+      const params = new URLSearchParams()
+      if (statusFilter) params.set('status', statusFilter)
+      const data = await apiClient.get(`/api/marksheet-corrections?${params.toString()}`, { cache: false, dedupe: false })
+      if (data?.success) {
+        setRequests(data.requests || [])
+      } else {
+        showError('Failed to load', data?.error || 'Could not fetch correction requests')
+      }
+    } catch (e) {
+      showError('Error', getUserFriendlyMessage(e, 'Could not load correction requests.'))
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => { fetchRequests() }, [statusFilter])
+  usePullToRefresh(fetchRequests)
+
+  useEffect(() => {
+    const handler = () => fetchRequests()
+    window.addEventListener('notificationsUpdated', handler)
+    return () => window.removeEventListener('notificationsUpdated', handler)
+  }, [statusFilter])
+
+  const respond = async (request, decision) => {
+    const note = (comments[request._id] || '').trim()
+    if (decision === 'rejected' && !note) {
+      showError('Comments required', 'Please give a reason for rejecting the request')
+      return
+    }
+    setRespondingId(request._id)
+    try {
+      const data = await apiClient.post('/api/marksheet-corrections?action=respond', { requestId: request._id, decision, comments: note })
+      if (data?.success) {
+        if (decision === 'approved') {
+          showSuccess('Correction Approved', data.redispatched
+            ? `Revision ${data.request?.revision} created. The revised marksheet is being re-sent to parents.`
+            : `Revision ${data.request?.revision} created.`)
+        } else {
+          showSuccess('Correction Rejected', 'The staff member has been notified')
+        }
+        setComments(prev => ({ ...prev, [request._id]: '' }))
+        try { window.dispatchEvent(new Event('marksheetsUpdated')) } catch {}
+        fetchRequests()
+      } else {
+        showError('Action failed', data?.error || 'Could not update the request')
+      }
+    } catch (e) {
+      showError('Action failed', getUserFriendlyMessage(e, 'Could not update the request'))
+    } finally {
+      setRespondingId(null)
+    }
+  }
+
+  return (
+    <div className="px-4 py-4 w-full max-w-4xl mx-auto">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h1 className="text-2xl font-bold">Correction Requests</h1>
+          <p className="text-sm text-gray-600">
+            {isHod ? 'Approve marks corrections to issue a revised marksheet.' : 'Track corrections raised for your marksheets.'}
+          </p>
+        </div>
+        <button onClick={fetchRequests} className="px-3 py-2 text-sm rounded-lg border bg-white hover:bg-gray-50" disabled={loading}>
+          {loading ? 'Loading...' : 'Refresh'}
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {STATUS_FILTERS.map(filter => (
+          <button
+            key={filter.value || 'all'}
+            onClick={() => setStatusFilter(filter.value)}
+            className={`px-3 py-1.5 text-sm rounded-full border ${statusFilter === filter.value ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+          >
+            {filter.label}
+          </button>
+        ))}
+      </div>
+
+      {loading ? (
+        <div className="p-4 text-gray-500">Loading...</div>
+      ) : requests.length === 0 ? (
+        <div className="p-6 text-center text-gray-500 bg-white rounded-xl shadow">No correction requests</div>
+      ) : (
+        <ul className="divide-y bg-white rounded-xl shadow">
+          {requests.map(request => {
+            const meta = STATUS_META[request.status] || STATUS_META.pending
+            return (
+              <li key={request._id} className="p-4">
+                <div className="flex items-start justify-between gap-3">
+                  <div className="min-w-0">
+                    <button onClick={() => navigate(`/marksheets/${request.marksheetId}`)} className="font-medium text-left text-blue-700 hover:underline break-words">
+                      {request.studentDetails?.name} ({request.studentDetails?.regNumber})
+                    </button>
+                    <div className="text-sm text-gray-600">
+                      {request.examinationName || 'Examination'} • {request.studentDetails?.year}-{request.studentDetails?.section} • {request.studentDetails?.department}
+                    </div>
+                    <div className="text-xs text-gray-500 mt-0.5">
+                      Requested by {request.requestedBy?.name || 'Unknown'} ({request.requestedBy?.role}) on {new Date(request.createdAt).toLocaleString()}
+                    </div>
+                  </div>
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-semibold whitespace-nowrap ${meta.className}`}>
+                    {meta.label}{request.revision ? ` · Rev ${request.revision}` : ''}
+                  </span>
+                </div>
+
+                <table className="mt-3 w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500">
+                      <th className="font-medium py-1">Subject</th>
+                      <th className="font-medium py-1 text-right">Current</th>
+                      <th className="font-medium py-1 text-right">Proposed</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {request.subjects.map(subject => (
+                      <tr key={subject.subjectCode || subject.subjectName} className="border-t border-gray-100">
+                        <td className="py-1 pr-2 break-words">{subject.subjectName}</td>
+                        <td className="py-1 text-right text-gray-500">{formatMarks(subject.currentMarks, subject.currentResult)}</td>
+                        <td className="py-1 text-right font-semibold">{formatMarks(subject.proposedMarks, subject.proposedResult)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                <p className="mt-2 text-sm text-gray-700"><span className="font-medium">Reason:</span> {request.reason}</p>
+                {request.hodComments && (
+                  <p className="mt-1 text-sm text-gray-700"><span className="font-medium">HOD:</span> {request.hodComments}</p>
+                )}
+
+                {isHod && request.status === 'pending' && (
+                  <div className="mt-3 flex flex-col sm:flex-row gap-2">
+                    <input
+                      value={comments[request._id] || ''}
+                      onChange={e => setComments(prev => ({ ...prev, [request._id]: e.target.value }))}
+                      placeholder="Comments (required to reject)"
+                      className="flex-1 border rounded-lg px-3 py-2 text-sm"
+                    />
+                    <div className="flex gap-2">
+                      <button
+                        disabled={respondingId === request._id}
+                        onClick={() => respond(request, 'approved')}
+                        className="px-3 py-2 text-sm rounded-lg bg-green-600 text-white disabled:opacity-60"
+                      >
+                        Approve
+                      </button>
+                      <button
+                        disabled={respondingId === request._id}
+                        onClick={() => respond(request, 'rejected')}
+                        className="px-3 py-2 text-sm rounded-lg bg-red-600 text-white disabled:opacity-60"
+                      >
+                        Reject
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </li>
+            )
+          })}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default CorrectionRequests
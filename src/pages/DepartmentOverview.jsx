@@ -54,6 +54,18 @@ function DepartmentOverview() {
       if (userData.role === 'admin') {
         usersData = await apiClient.get(`/api/users?action=list&userId=${userData.id}`)
       }
+
+      // Who teaches which class comes from the class assignments (already limited to this HOD's classes)
+      const assignmentsData = await apiClient.get('/api/class-assignments').catch(() => ({ success: false }))
+      const assignedClasses = {}
+      if (assignmentsData.success) {
+        assignmentsData.assignments.forEach(a => {
+          const key = String(a.staffId)
+          const classLabel = `${a.department !== userData.department ? `${a.department} ` : ''}${a.year}-${a.section}`
+          if (!assignedClasses[key]) assignedClasses[key] = { staffName: a.staffName, department: a.staffDepartment, labels: [] }
+          assignedClasses[key].labels.push(a.role === 'class_advisor' ? `${classLabel} (Advisor)` : `${classLabel} ${a.subjectCode || a.subjectName}`)
+        })
+      }
       
       if (marksheetsData.success) {
         let marksheets = marksheetsData.marksheets
@@ -218,6 +230,11 @@ function DepartmentOverview() {
           }
         })
         
+        // Assigned staff who have not created any marksheet yet still show up, with zero counts
+        Object.entries(assignedClasses).forEach(([id, assigned]) => {
+          if (!staffStats[id]) staffStats[id] = { total: 0, verified: 0, dispatched: 0, staffName: assigned.staffName, year: null, section: null }
+        })
+
         const staffPerf = Object.entries(staffStats).map(([id, stats]) => {
           // Year is already in Roman numerals (I, II, III, IV)
           const year = stats.year?.toString().trim() || null
@@ -232,6 +249,9 @@ function DepartmentOverview() {
           } else if (section) {
             className = section
           }
+          if (assignedClasses[id]) {
+            className = assignedClasses[id].labels.join(', ')
+          }
           
           // Debug log for first staff
           if (Object.keys(staffStats).indexOf(id) === 0) {
@@ -245,8 +265,8 @@ function DepartmentOverview() {
           }
           
           // Resolve department from the users map if available. Do NOT fall back to HNS (current HOD)
-          let dept = null
-          if (typeof userMap !== 'undefined' && userMap) {
+          let dept = assignedClasses[id]?.department || null
+          if (!dept && typeof userMap !== 'undefined' && userMap) {
             dept = userMap[id]?.department || userMap[id?.toString()]?.department || null
             if (!dept) {
               // try to find by matching id/_id fields in stored users
@@ -268,6 +288,7 @@ function DepartmentOverview() {
             staffName: stats.staffName,
             className: className,
             year: year,
+            assigned: Boolean(assignedClasses[id]),
             department: dept,
             total: stats.total,
             verified: stats.verified,
@@ -278,6 +299,8 @@ function DepartmentOverview() {
         
         // Filter staff based on HOD access level
         const filteredStaffPerf = staffPerf.filter(staff => {
+          // Assignments are only returned for classes this HOD oversees
+          if (staff.assigned) return true
           if (userData.department === 'HNS') {
             // HNS HOD: Show only first-year staff (Year I)
             return staff.year === 'I'
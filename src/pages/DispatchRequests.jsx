@@ -2,6 +2,7 @@ import { useEffect, useMemo, useState, useCallback, memo, useRef } from 'react'
 import { useNavigate } from 'react-router-dom'
 import apiClient from '../utils/apiClient'
 import { getUserFriendlyMessage } from '../utils/apiErrorMessages'
+import { openPdf } from '../utils/pdfLinks'
 import RefreshButton from '../components/RefreshButton'
 import SwipeableCard from '../components/SwipeableCard'
 import AnimatedCount from '../components/AnimatedCount'
@@ -29,6 +30,84 @@ const sortMarksheetsByRegNumber = (items = []) => (
   })
 )
 
+// Bulk sends are queued as a server-side job (see lib/dispatchJobWorker.js); the page only polls it
+const BULK_JOB_OPEN_STATUSES = ['queued', 'running', 'paused']
+const BULK_JOB_POLL_INTERVAL_MS = 3000
+
+// Average pacing of the server worker, for the time-left estimate
+const AVG_MESSAGE_SECONDS = 7.5
+const AVG_COOL_DOWN_SECONDS = 15
+const COOL_DOWN_EVERY_MESSAGES = 10
+
+const formatEta = (seconds) => {
+  const safe = Math.max(0, Math.round(seconds))
+  const mins = Math.floor(safe / 60)
+  const secs = safe % 60
+  return mins > 0 ? `${mins}m ${secs}s` : `${secs}s`
+}
+
+const estimateRemainingSeconds = (job) => {
+  const remaining = Math.max(0, job.total - job.processed)
+  const estimatedFutureCooldowns = Math.floor(Math.max(0, remaining - 1) / COOL_DOWN_EVERY_MESSAGES)
+  return Math.round((remaining * AVG_MESSAGE_SECONDS) + (estimatedFutureCooldowns * AVG_COOL_DOWN_SECONDS))
+}
+
+const getBulkJobPhase = (job) => {
+  if (job.status === 'queued') return 'Queued. Sending will start in a moment...'
+  if (job.status === 'paused') {
+    return job.pauseReason && job.pauseReason !== 'Paused by user'
+      ? `Paused: ${job.pauseReason}. Reconnect WhatsApp, then tap Resume.`
+      : 'Paused by user. Dispatch will resume when you tap Resume.'
+  }
+  const nextInSeconds = Math.ceil((new Date(job.nextRunAt).getTime() - Date.now()) / 1000)
+  return nextInSeconds > 0
+    ? `Sending ${Math.min(job.processed + 1, job.total)}/${job.total}... next message in ${nextInSeconds}s`
+    : `Sending ${Math.min(job.processed + 1, job.total)}/${job.total}...`
+}
+
+const getProgressMessage = ({ job, onPauseToggle, onCancel }) => {
+  const percent = job.total > 0 ? Math.min(100, Math.round((job.processed / job.total) * 100)) : 0
+  return (
+    <span className="block">
+      <span className="block text-xs sm:text-sm font-semibold text-slate-700 mb-2">{getBulkJobPhase(job)}</span>
+      <span className="block h-2 w-full rounded-full bg-white/70 border border-blue-100 overflow-hidden mb-2">
+        <span
+          className="block h-full rounded-full bg-gradient-to-r from-blue-500 to-cyan-500 transition-all duration-700 ease-out"
+          style={{ width: `${percent}%` }}
+        />
+      </span>
+      <span className="block text-[11px] sm:text-xs text-slate-700 mb-0.5">
+        Progress: {job.processed}/{job.total} ({percent}%)
+      </span>
+      <span className="block text-[11px] sm:text-xs text-slate-700 mb-0.5">
+        Sent: {job.sent} • Failed: {job.failed + job.skipped}
+      </span>
+      <span className="block text-[11px] sm:text-xs text-slate-600">
+        Estimated time left: {formatEta(estimateRemainingSeconds(job))}
+      </span>
+      <span className="block text-[11px] sm:text-xs text-slate-500 mt-1">
+        Sending continues on the server even if you close this page.
+      </span>
+      <span className="mt-3 flex items-center gap-2">
+        <button
+          type="button"
+          onClick={onPauseToggle}
+          className="inline-flex items-center justify-center rounded-lg px-3 py-1.5 text-[11px] sm:text-xs font-semibold bg-white/80 border border-blue-200 text-blue-700 hover:bg-white"
+        >
+          {job.status === 'paused' ? '▶ Resume' : '⏸ Pause'}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="inline-flex items-center justify-center rounded-lg px-3 py-1.5 text-[11px] sm:text-xs font-semibold bg-white/80 border border-red-200 text-red-700 hover:bg-white"
+        >
+          ✖ Cancel
+        </button>
+      </span>
+    </span>
+  )
+}
+
 function DispatchRequests() {
   const navigate = useNavigate()
   const { showInfo, showSuccess, showWarning, hideAlert, updateAlert } = useAlert()
@@ -43,7 +122,7 @@ function DispatchRequests() {
   const [regenerating, setRegenerating] = useState(false)
   const [requestingIds, setRequestingIds] = useState([])
   const [dispatchingId, setDispatchingId] = useState(null)
-  const [sendingAll, setSendingAll] = useState(false)
+  const [bulkJob, setBulkJob] = useState(null)
   const [downloadingAll, setDownloadingAll] = useState(false)
   const [statusFilter, setStatusFilter] = useState('all')
   const [feedback, setFeedback] = useState('')
@@ -54,23 +133,19 @@ function DispatchRequests() {
   const activeMarksheetsRef = useRef([])
   const dispatchedMarksheetsRef = useRef([])
   const bulkProgressAlertIdRef = useRef(null)
-  const reopenBulkProgressRef = useRef(null)
-  const sendingAllRef = useRef(false)
-  const bulkProgressCanMinimizeRef = useRef(false)
-  const bulkProgressMinimizedRef = useRef(false)
+  const bulkJobRef = useRef(null)
+  const bulkSentIdsRef = useRef(new Set())
   const batchSplitAlertIdRef = useRef(null)
   const batchSplitResolverRef = useRef(null)
   const [batchSplitPrompt, setBatchSplitPrompt] = useState(null)
   const [batchSplitDraft, setBatchSplitDraft] = useState('2')
   const [bulkProgressMinimized, setBulkProgressMinimized] = useState(false)
 
-  useEffect(() => {
-    bulkProgressMinimizedRef.current = bulkProgressMinimized
-  }, [bulkProgressMinimized])
+  const sendingAll = Boolean(bulkJob && BULK_JOB_OPEN_STATUSES.includes(bulkJob.status))
 
   useEffect(() => {
-    sendingAllRef.current = sendingAll
-  }, [sendingAll])
+    bulkJobRef.current = bulkJob
+  }, [bulkJob])
 
   const clearBulkProgressAlert = useCallback(() => {
     if (!bulkProgressAlertIdRef.current) return
@@ -289,19 +364,9 @@ function DispatchRequests() {
       const staffId = userData?._id || userData?.id || localStorage.getItem('userId')
       // Fetch active (non-dispatched) marksheets only
       const opts = force ? { cache: false, dedupe: false } : undefined
-      const data = await apiClient.get(`/api/marksheets?staffId=${staffId}&status=verified_by_staff,dispatch_requested,approved_by_hod,rejected_by_hod&compact=1`, opts)
+      const data = await apiClient.get(`/api/marksheets?staffId=${staffId}&status=verified_by_staff,dispatch_requested,approved_by_hod,rescheduled_by_hod,rejected_by_hod&compact=1`, opts)
       if (data.success) {
-        const normalizeStatus = (sheet) => {
-          if (sheet?.status === 'rescheduled_by_hod') {
-            return {
-              ...sheet,
-              status: 'dispatch_requested',
-              dispatchRequest: { ...(sheet.dispatchRequest || {}), hodResponse: null }
-            }
-          }
-          return sheet
-        }
-        setMarksheets((data.marksheets || []).map(normalizeStatus))
+        setMarksheets(data.marksheets || [])
       } else {
         setMarksheets([])
       }
@@ -476,6 +541,10 @@ function DispatchRequests() {
     }
   }
 
+  const openMarksheetPdf = (marksheetId) => {
+    openPdf({ marksheetId }).catch((e) => setError(getUserFriendlyMessage(e, 'Could not open the marksheet PDF.')))
+  }
+
   const sendDispatch = useCallback(async (marksheet) => {
     if (!marksheet?._id) return
     setFeedback('')
@@ -532,8 +601,33 @@ function DispatchRequests() {
     }
   }, [fetchVerifiedMarksheets, moveToDispatchHistory])
 
+  const startBulkJob = useCallback(async (marksheetIds) => {
+    setFeedback('')
+    setError('')
+    try {
+      const data = await apiClient.post('/api/whatsapp-dispatch?action=create-job', { marksheetIds })
+      const rejectedCount = data?.rejected?.length || 0
+      if (rejectedCount > 0) {
+        setError(`${rejectedCount} marksheet${rejectedCount > 1 ? 's were' : ' was'} skipped because ${rejectedCount > 1 ? 'they are' : 'it is'} no longer approved for dispatch.`)
+      }
+      bulkSentIdsRef.current = new Set()
+      setBulkProgressMinimized(false)
+      setBulkJob(data.job)
+    } catch (err) {
+      // An earlier job is still open (e.g. started from another tab): show that one instead
+      if (err?.data?.job) {
+        setBulkProgressMinimized(false)
+        setBulkJob(err.data.job)
+        showWarning('📤 Bulk Dispatch In Progress', 'Finish or cancel the current bulk dispatch before starting another.')
+        return
+      }
+      console.error(err)
+      setError(getUserFriendlyMessage(err, 'Could not start bulk dispatch. Please try again.'))
+    }
+  }, [showWarning])
+
   const sendAllApproved = async () => {
-    let approvedMarksheets = sortMarksheetsByRegNumber(
+    const approvedMarksheets = sortMarksheetsByRegNumber(
       marksheets.filter((m) => m.status === 'approved_by_hod')
     )
     if (approvedMarksheets.length === 0) return
@@ -541,359 +635,131 @@ function DispatchRequests() {
     const requestedSplits = await requestBatchSplit(approvedMarksheets.length)
     if (requestedSplits === null) return
 
-    const totalApproved = approvedMarksheets.length
-    const selectedBatchSize = Math.ceil(totalApproved / requestedSplits)
-    const selectedMarksheets = approvedMarksheets.slice(0, selectedBatchSize)
-    approvedMarksheets = selectedMarksheets
-
-    setFeedback('')
-    setError('')
-    setSendingAll(true)
-    bulkProgressCanMinimizeRef.current = true
+    const selectedBatchSize = Math.ceil(approvedMarksheets.length / requestedSplits)
+    await startBulkJob(approvedMarksheets.slice(0, selectedBatchSize).map((m) => m._id))
+  }
 
+  const controlBulkJob = useCallback(async (action) => {
+    const jobId = bulkJobRef.current?.id
+    if (!jobId) return
     try {
-      const origin = getPublicOrigin()
-      const randomBetween = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min
-      const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
-
-      // Anti-spam controls for WhatsApp bulk sends
-      const MESSAGE_DELAY_MIN_MS = 6000    // 6s
-      const MESSAGE_DELAY_MAX_MS = 9000    // 9s
-      const COOL_DOWN_MIN_MS = 10000       // 10s
-      const COOL_DOWN_MAX_MS = 20000       // 20s
-      const COOL_DOWN_EVERY_MESSAGES = 10
-
-      const controlState = {
-        paused: false,
-        cancelled: false
-      }
+      const data = await apiClient.post(`/api/whatsapp-dispatch?action=${action}`, { jobId })
+      if (data?.job) setBulkJob(data.job)
+    } catch (err) {
+      console.error(err)
+      setError(getUserFriendlyMessage(err, 'Could not update the bulk dispatch. Please try again.'))
+    }
+  }, [])
 
-      const minimizeBulkProgress = () => {
-        // Only minimize while bulk sending is actively running.
-        // If not running, close it completely.
-        if (!bulkProgressCanMinimizeRef.current && !sendingAllRef.current) {
-          clearBulkProgressAlert()
-          setBulkProgressMinimized(false)
-          return
+  // Bulk sends run on the server; reattach to one left running before a reload
+  useEffect(() => {
+    if (userData?.role !== 'staff') return
+    let cancelled = false
+    apiClient.get('/api/whatsapp-dispatch?action=jobs')
+      .then((data) => {
+        if (!cancelled && data?.active) {
+          // Sends that happened while the page was closed are already in the fetched history
+          bulkSentIdsRef.current = new Set(data.active.items.filter((i) => i.status === 'sent').map((i) => i.marksheetId))
+          setBulkJob(data.active)
         }
-        clearBulkProgressAlert()
-        setBulkProgressMinimized(true)
-      }
-
-      const progressState = {
-        total: selectedMarksheets.length,
-        processed: 0,
-        successCount: 0,
-        failCount: 0,
-        phase: `Preparing batch 1/${requestedSplits}...`,
-        cooldownSeconds: 0,
-        timerLabel: '',
-        currentBatch: 1,
-        totalBatches: requestedSplits
-      }
+      })
+      .catch(() => {})
+    return () => { cancelled = true }
+  }, [userData])
 
-      const formatEta = (seconds) => {
-        const safe = Math.max(0, Math.round(seconds))
-        const mins = Math.floor(safe / 60)
-        const secs = safe % 60
-        return mins > 0 ? `${mins}m ${secs}s` : `${secs}s`
+  const bulkJobId = bulkJob?.id
+  useEffect(() => {
+    if (!bulkJobId || !sendingAll) return
+    let cancelled = false
+    const timer = setInterval(async () => {
+      try {
+        const data = await apiClient.get(`/api/whatsapp-dispatch?action=job&jobId=${bulkJobId}`)
+        if (!cancelled && data?.job) setBulkJob(data.job)
+      } catch (err) {
+        console.warn('Could not refresh bulk dispatch progress:', err?.message)
       }
+    }, BULK_JOB_POLL_INTERVAL_MS)
+    return () => {
+      cancelled = true
+      clearInterval(timer)
+    }
+  }, [bulkJobId, sendingAll])
 
-      const estimateRemainingSeconds = ({
-        total,
-        processed,
-        cooldownSeconds = 0
-      }) => {
-        const remaining = Math.max(0, total - processed)
-        const avgMessageSeconds = ((MESSAGE_DELAY_MIN_MS + MESSAGE_DELAY_MAX_MS) / 2) / 1000
-        const avgCoolDownSeconds = ((COOL_DOWN_MIN_MS + COOL_DOWN_MAX_MS) / 2) / 1000
-
-        if (remaining === 0) {
-          return Math.round(cooldownSeconds)
-        }
-
-        const remainingBeforeFinal = Math.max(0, remaining - 1)
-        const estimatedFutureCooldowns = Math.floor(remainingBeforeFinal / COOL_DOWN_EVERY_MESSAGES)
-
-        return Math.round((remaining * avgMessageSeconds) + (estimatedFutureCooldowns * avgCoolDownSeconds) + cooldownSeconds)
+  // Move marksheets into history as the server reports them sent
+  useEffect(() => {
+    if (!bulkJob) return
+    const newlySent = bulkJob.items
+      .filter((item) => item.status === 'sent' && !bulkSentIdsRef.current.has(item.marksheetId))
+      .map((item) => item.marksheetId)
+    if (newlySent.length === 0) return
+
+    newlySent.forEach((id) => bulkSentIdsRef.current.add(id))
+    moveToDispatchHistory(newlySent, (current) => ({
+      ...current,
+      status: 'dispatched',
+      dispatchStatus: {
+        ...(current.dispatchStatus || {}),
+        dispatched: true,
+        dispatchedAt: new Date().toISOString(),
+        whatsappStatus: 'sent'
       }
+    }))
+    setFeedback(`Sending marksheets... ${bulkJob.processed}/${bulkJob.total}`)
+  }, [bulkJob, moveToDispatchHistory])
 
-      const getProgressMessage = ({
-        total,
-        processed,
-        successCount,
-        failCount,
-        phase,
-        cooldownSeconds = 0,
-        timerLabel = '',
-        currentBatch = 0,
-        totalBatches = 0,
-        paused = false,
-        onPauseToggle,
-        onCancel
-      }) => {
-        const percent = total > 0 ? Math.min(100, Math.round((processed / total) * 100)) : 0
-        const etaSeconds = estimateRemainingSeconds({ total, processed, cooldownSeconds })
-        return (
-          <span className="block">
-            <span className="block text-xs sm:text-sm font-semibold text-slate-700 mb-2">{phase}</span>
-            {totalBatches > 0 && (
-              <span className="block text-[11px] sm:text-xs text-slate-600 mb-2">
-                Batch {Math.min(currentBatch, totalBatches)}/{totalBatches}
-              </span>
-            )}
-            <span className="block h-2 w-full rounded-full bg-white/70 border border-blue-100 overflow-hidden mb-2">
-              <span
-                className="block h-full rounded-full bg-gradient-to-r from-blue-500 to-cyan-500 transition-all duration-700 ease-out"
-                style={{ width: `${percent}%` }}
-              />
-            </span>
-            <span className="block text-[11px] sm:text-xs text-slate-700 mb-0.5">
-              Progress: {processed}/{total} ({percent}%)
-            </span>
-            <span className="block text-[11px] sm:text-xs text-slate-700 mb-0.5">
-              Sent: {successCount} • Failed: {failCount}
-            </span>
-            <span className="block text-[11px] sm:text-xs text-slate-600">
-              Estimated time left: {formatEta(etaSeconds)}{cooldownSeconds > 0 && timerLabel ? ` \u2022 ${timerLabel} ${cooldownSeconds}s` : ''}
-            </span>
-            <span className="mt-3 flex items-center gap-2">
-              <button
-                type="button"
-                onClick={onPauseToggle}
-                className="inline-flex items-center justify-center rounded-lg px-3 py-1.5 text-[11px] sm:text-xs font-semibold bg-white/80 border border-blue-200 text-blue-700 hover:bg-white"
-              >
-                {paused ? '▶ Resume' : '⏸ Pause'}
-              </button>
-              <button
-                type="button"
-                onClick={onCancel}
-                className="inline-flex items-center justify-center rounded-lg px-3 py-1.5 text-[11px] sm:text-xs font-semibold bg-white/80 border border-red-200 text-red-700 hover:bg-white"
-              >
-                ✖ Cancel
-              </button>
-            </span>
-          </span>
-        )
-      }
+  useEffect(() => {
+    if (!bulkJob || !sendingAll) return
+    if (bulkProgressMinimized) {
+      clearBulkProgressAlert()
+      return
+    }
 
-      const showBulkProgressAlert = (force = false) => {
-        if (bulkProgressMinimizedRef.current && !force) return
-
-        const message = getProgressMessage({
-          ...progressState,
-          paused: controlState.paused,
-          onPauseToggle: () => {
-            controlState.paused = !controlState.paused
-            progressState.phase = controlState.paused ? 'Paused by user. Dispatch will resume when you tap Resume.' : 'Resuming bulk dispatch...'
-            showBulkProgressAlert()
-          },
-          onCancel: () => {
-            controlState.cancelled = true
-            progressState.phase = 'Cancelling bulk dispatch...'
-            showBulkProgressAlert()
-          }
-        })
-
-        if (!bulkProgressAlertIdRef.current) {
-          bulkProgressAlertIdRef.current = showInfo('📤 Bulk Dispatch Running', message, {
-            autoClose: false,
-            duration: 0,
-            position: 'top-right',
-            onClose: minimizeBulkProgress
-          })
-          return
-        }
-        if (typeof updateAlert === 'function') {
-          updateAlert(bulkProgressAlertIdRef.current, {
-            type: 'info',
-            title: '📤 Bulk Dispatch Running',
-            message,
-            autoClose: false,
-            duration: 0,
-            position: 'top-right',
-            onClose: minimizeBulkProgress
-          })
-          return
-        }
+    const message = getProgressMessage({
+      job: bulkJob,
+      onPauseToggle: () => controlBulkJob(bulkJob.status === 'paused' ? 'resume-job' : 'pause-job'),
+      onCancel: () => controlBulkJob('cancel-job')
+    })
+    const options = {
+      autoClose: false,
+      duration: 0,
+      position: 'top-right',
+      onClose: () => {
         clearBulkProgressAlert()
-        bulkProgressAlertIdRef.current = showInfo('📤 Bulk Dispatch Running', message, {
-          autoClose: false,
-          duration: 0,
-          position: 'top-right',
-          onClose: minimizeBulkProgress
-        })
-      }
-
-      reopenBulkProgressRef.current = () => {
-        setBulkProgressMinimized(false)
-        showBulkProgressAlert(true)
-      }
-
-      const updateBulkProgress = (patch = {}) => {
-        Object.assign(progressState, patch)
-        showBulkProgressAlert()
-      }
-
-      const waitWithControls = async (durationMs, onTick = null) => {
-        let remaining = Math.max(0, durationMs)
-        let lastReportedSeconds = null
-        while (remaining > 0) {
-          if (controlState.cancelled) return false
-
-          while (controlState.paused) {
-            if (controlState.cancelled) return false
-            await wait(250)
-          }
-
-          const step = Math.min(250, remaining)
-          await wait(step)
-          remaining -= step
-
-          if (typeof onTick === 'function') {
-            const seconds = Math.ceil(remaining / 1000)
-            if (seconds !== lastReportedSeconds) {
-              lastReportedSeconds = seconds
-              onTick(seconds)
-            }
-          }
-        }
-        return !controlState.cancelled
-      }
-
-      const worker = async (marksheet) => {
-        const marksheetPdfUrl = origin ? `${origin}/api/generate-pdf?marksheetId=${marksheet._id}&t=${Date.now()}` : ''
-        const marksheetImageUrl = origin ? `${origin}/api/generate-pdf?marksheetId=${marksheet._id}&format=jpeg&t=${Date.now()}` : ''
-        try {
-          const responseData = await apiClient.post('/api/whatsapp-dispatch?action=send-marksheet', { marksheetId: marksheet._id, marksheetPdfUrl, marksheetImageUrl }, { timeout: 120000 })
-          if (responseData && responseData.success) {
-            moveToDispatchHistory([marksheet._id], (current) => ({
-              ...current,
-              status: 'dispatched',
-              dispatchStatus: {
-                ...(current.dispatchStatus || {}),
-                dispatched: true,
-                dispatchedAt: new Date().toISOString(),
-                whatsappStatus: 'sent'
-              }
-            }))
-            return { success: true, id: marksheet._id }
-          }
-          return { success: false, id: marksheet._id, error: responseData?.error || 'Unknown API response' }
-        } catch (apiErr) {
-          const errMsg = (apiErr && (apiErr.data?.error || apiErr.data || apiErr.message)) || String(apiErr)
-          return { success: false, id: marksheet._id, error: errMsg }
-        }
-      }
-
-      showBulkProgressAlert()
-
-      const results = []
-
-      for (let itemIndex = 0; itemIndex < approvedMarksheets.length; itemIndex += 1) {
-        if (controlState.cancelled) break
-
-        const marksheet = approvedMarksheets[itemIndex]
-
-        updateBulkProgress({
-          currentBatch: 1,
-          phase: `Sending selected batch ${itemIndex + 1}/${approvedMarksheets.length}...`,
-          cooldownSeconds: 0
-        })
-
-        const result = await worker(marksheet)
-        results.push(result)
-
-        if (result && result.success) {
-          progressState.successCount += 1
-        } else {
-          progressState.failCount += 1
-        }
-
-        progressState.processed = results.length
-        setFeedback(`Sending marksheets... ${progressState.processed}/${progressState.total}`)
-        showBulkProgressAlert()
-
-        if (itemIndex >= approvedMarksheets.length - 1 || controlState.cancelled) {
-          continue
-        }
-
-        const sentCount = itemIndex + 1
-        const isCooldownPoint = sentCount % COOL_DOWN_EVERY_MESSAGES === 0
-
-        if (isCooldownPoint) {
-          const cooldownMs = randomBetween(COOL_DOWN_MIN_MS, COOL_DOWN_MAX_MS)
-          const cooldownSeconds = Math.ceil(cooldownMs / 1000)
-
-          updateBulkProgress({
-            phase: `Cooling down ${cooldownSeconds}s after ${sentCount} sends...`,
-            cooldownSeconds,
-            timerLabel: 'Cooldown'
-          })
-
-          const canContinue = await waitWithControls(cooldownMs, (remainingSeconds) => {
-            updateBulkProgress({
-              phase: `Cooling down to avoid rate limits (${remainingSeconds}s left)...`,
-              cooldownSeconds: remainingSeconds,
-              timerLabel: 'Cooldown'
-            })
-          })
-
-          if (!canContinue) break
-        } else {
-          const jitterMs = randomBetween(MESSAGE_DELAY_MIN_MS, MESSAGE_DELAY_MAX_MS)
-          const jitterSeconds = Math.ceil(jitterMs / 1000)
-
-          updateBulkProgress({
-            phase: `Waiting ${jitterSeconds}s before next send...`,
-            cooldownSeconds: jitterSeconds,
-            timerLabel: 'Delay'
-          })
-
-          const canContinue = await waitWithControls(jitterMs, (remainingSeconds) => {
-            updateBulkProgress({
-              phase: 'Applying message delay...',
-              cooldownSeconds: remainingSeconds,
-              timerLabel: 'Delay'
-            })
-          })
-
-          if (!canContinue) break
-        }
+        setBulkProgressMinimized(true)
       }
+    }
 
-      const successCount = progressState.successCount
-      const failCount = progressState.failCount
-      const wasCancelled = controlState.cancelled
+    if (!bulkProgressAlertIdRef.current) {
+      bulkProgressAlertIdRef.current = showInfo('📤 Bulk Dispatch Running', message, options)
+      return
+    }
+    updateAlert(bulkProgressAlertIdRef.current, { type: 'info', title: '📤 Bulk Dispatch Running', message, ...options })
+  }, [bulkJob, sendingAll, bulkProgressMinimized, clearBulkProgressAlert, controlBulkJob, showInfo, updateAlert])
 
-      clearBulkProgressAlert()
+  // Job finished or was cancelled: report and go back to idle
+  useEffect(() => {
+    if (!bulkJob || sendingAll) return
+    const { status, sent, failed, skipped, processed, total } = bulkJob
 
-      if (wasCancelled) {
-        setFeedback(`Bulk dispatch cancelled. Processed ${progressState.processed}/${progressState.total} marksheets.`)
-        showWarning('⛔ Bulk Dispatch Cancelled', `Processed ${progressState.processed}/${progressState.total}. Sent: ${successCount}, Failed: ${failCount}.`)
-      }
+    clearBulkProgressAlert()
+    setBulkProgressMinimized(false)
+    setBulkJob(null)
 
-      if (!wasCancelled && successCount > 0) {
-        setFeedback(`Successfully sent ${successCount} marksheet${successCount > 1 ? 's' : ''} via WhatsApp.`)
-        showSuccess('✅ Bulk Dispatch Complete', `Sent ${successCount}/${approvedMarksheets.length} marksheets successfully.`)
+    if (status === 'cancelled') {
+      setFeedback(`Bulk dispatch cancelled. Processed ${processed}/${total} marksheets.`)
+      showWarning('⛔ Bulk Dispatch Cancelled', `Processed ${processed}/${total}. Sent: ${sent}, Failed: ${failed + skipped}.`)
+    } else {
+      if (sent > 0) {
+        setFeedback(`Successfully sent ${sent} marksheet${sent > 1 ? 's' : ''} via WhatsApp.`)
+        showSuccess('✅ Bulk Dispatch Complete', `Sent ${sent}/${total} marksheets successfully.`)
       }
-      if (!wasCancelled && failCount > 0) {
-        setError(`Failed to send ${failCount} marksheet${failCount > 1 ? 's' : ''}. Please try sending them individually.`)
-        showWarning('⚠️ Some Dispatches Failed', `${failCount} of ${approvedMarksheets.length} marksheets failed.`)
+      if (failed + skipped > 0) {
+        setError(`Failed to send ${failed + skipped} marksheet${failed + skipped > 1 ? 's' : ''}. Please try sending them individually.`)
+        showWarning('⚠️ Some Dispatches Failed', `${failed + skipped} of ${total} marksheets failed.`)
       }
-    } catch (err) {
-      console.error(err)
-      clearBulkProgressAlert()
-      setError(getUserFriendlyMessage(err, 'Could not send marksheets. Please try again.'))
-    } finally {
-      bulkProgressCanMinimizeRef.current = false
-      clearBulkProgressAlert()
-      setSendingAll(false)
-      setBulkProgressMinimized(false)
-      reopenBulkProgressRef.current = null
-      await fetchVerifiedMarksheets(true)
     }
-  }
+    fetchVerifiedMarksheets(true)
+  }, [bulkJob, sendingAll, clearBulkProgressAlert, fetchVerifiedMarksheets, showSuccess, showWarning])
 
   const statusFilters = useMemo(() => {
     // Use the appropriate list based on current view tab
@@ -903,6 +769,7 @@ function DispatchRequests() {
       { id: 'verified_by_staff', label: 'Ready', count: source.filter(m => m.status === 'verified_by_staff').length },
       { id: 'dispatch_requested', label: 'Pending', count: source.filter(m => m.status === 'dispatch_requested').length },
       { id: 'approved_by_hod', label: 'Approved', count: source.filter(m => m.status === 'approved_by_hod').length },
+      { id: 'rescheduled_by_hod', label: 'Scheduled', count: source.filter(m => m.status === 'rescheduled_by_hod').length },
       { id: 'rejected_by_hod', label: 'Rejected', count: source.filter(m => m.status === 'rejected_by_hod').length },
       { id: 'dispatched', label: 'Dispatched', count: source.filter(m => m.status === 'dispatched').length }
     ]
@@ -924,10 +791,14 @@ function DispatchRequests() {
   // Count of marksheets that are approved by HOD
   const approvedCount = useMemo(() => marksheets.filter(m => m.status === 'approved_by_hod').length, [marksheets])
 
+  // Scheduled marksheets are sent by the server; staff only step in if the automatic send gave up
+  const canSendNow = (m) => m.status === 'approved_by_hod' || (m.status === 'rescheduled_by_hod' && m.dispatchRequest?.autoDispatchFailed)
+
   const statusStyles = {
     verified_by_staff: 'bg-blue-100 text-blue-800',
     dispatch_requested: 'bg-yellow-100 text-yellow-800',
     approved_by_hod: 'bg-green-100 text-green-800',
+    rescheduled_by_hod: 'bg-indigo-100 text-indigo-800',
     rejected_by_hod: 'bg-red-100 text-red-800',
     dispatched: 'bg-purple-100 text-purple-800'
   }
@@ -936,6 +807,7 @@ function DispatchRequests() {
     verified_by_staff: '📋',
     dispatch_requested: '⏳',
     approved_by_hod: '✅',
+    rescheduled_by_hod: '🗓️',
     rejected_by_hod: '⛔',
     dispatched: '📤'
   }
@@ -956,7 +828,7 @@ function DispatchRequests() {
       {sendingAll && bulkProgressMinimized && (
         <button
           type="button"
-          onClick={() => reopenBulkProgressRef.current && reopenBulkProgressRef.current()}
+          onClick={() => setBulkProgressMinimized(false)}
           className="fixed bottom-20 right-4 z-[80] h-12 w-12 rounded-full bg-blue-600 text-white shadow-lg border-2 border-white flex items-center justify-center hover:bg-blue-700"
           title="Show Send All progress"
           aria-label="Show Send All progress"
@@ -1260,29 +1132,7 @@ function DispatchRequests() {
                             onClick={async () => {
                               const candidates = dispatchedMarksheets.filter(m => m.status === 'dispatched')
                               if (candidates.length === 0) return
-
-                              setFeedback('')
-                              setError('')
-                              setSendingAll(true)
-
-                              try {
-                                const results = []
-                                for (const marksheet of candidates) {
-                                  try {
-                                    await sendDispatch(marksheet)
-                                    results.push({ success: true })
-                                  } catch (err) {
-                                    results.push({ success: false, error: err.message })
-                                  }
-                                }
-
-                                const successCount = results.filter(r => r.success).length
-                                setFeedback(`Successfully re-sent ${successCount} marksheet${successCount > 1 ? 's' : ''} via WhatsApp.`)
-                              } catch (err) {
-                                setError(getUserFriendlyMessage(err, 'Could not re-send history. Please try again.'))
-                              } finally {
-                                setSendingAll(false)
-                              }
+                              await startBulkJob(sortMarksheetsByRegNumber(candidates).map((m) => m._id))
                             }}
                             disabled={sendingAll || dispatchedMarksheets.length === 0}
                             className={`inline-flex items-center gap-2 px-4 sm:px-6 py-2 rounded-lg font-semibold whitespace-nowrap ${sendingAll || dispatchedMarksheets.length === 0
@@ -1319,17 +1169,14 @@ function DispatchRequests() {
                           });
                         }
 
-                        if (marksheet.status === 'approved_by_hod') {
+                        if (canSendNow(marksheet)) {
                           swipeActions.push(
                             {
                               label: 'Download',
                               icon: '📥',
                               className: 'border-amber-300 text-amber-600 hover:border-amber-500 hover:bg-amber-50',
                               onClick: async () => {
-                                const ts = Date.now();
-                                const origin = getPublicOrigin();
-                                const url = origin ? `${origin}/api/generate-pdf?marksheetId=${marksheet._id}&t=${ts}` : `/api/generate-pdf?marksheetId=${marksheet._id}&t=${ts}`;
-                                window.open(url, '_blank');
+                                openMarksheetPdf(marksheet._id);
 
                                 try {
                                   await apiClient.put('/api/marksheets', { marksheetId: marksheet._id, status: 'dispatched' });
@@ -1372,7 +1219,7 @@ function DispatchRequests() {
                               label: 'Download',
                               icon: '📥',
                               className: 'border-amber-300 text-amber-600 hover:border-amber-500 hover:bg-amber-50',
-                              onClick: () => window.open(`/api/generate-pdf?marksheetId=${marksheet._id}`, '_blank')
+                              onClick: () => openMarksheetPdf(marksheet._id)
                             },
                             {
                               label: 'Re-send',
@@ -1415,6 +1262,13 @@ function DispatchRequests() {
                                 <div>
                                   <p className="text-gray-500 mb-0.5 font-medium">HOD Decision:</p>
                                   <p className="font-medium text-gray-900">{marksheet.dispatchRequest?.hodResponse ? marksheet.dispatchRequest.hodResponse.toUpperCase() : '—'}</p>
+                                  {marksheet.status === 'rescheduled_by_hod' && marksheet.dispatchRequest?.scheduledDispatchDate && (
+                                    <p className={`text-xs mt-0.5 ${marksheet.dispatchRequest.autoDispatchFailed ? 'text-red-600' : 'text-indigo-700'}`}>
+                                      {marksheet.dispatchRequest.autoDispatchFailed
+                                        ? 'Auto-send failed — send manually'
+                                        : `Sends ${new Date(marksheet.dispatchRequest.scheduledDispatchDate).toLocaleString()}`}
+                                    </p>
+                                  )}
                                 </div>
                               </div>
 
@@ -1436,7 +1290,7 @@ function DispatchRequests() {
                                     </button>
                                   )}
 
-                                  {marksheet.status === 'approved_by_hod' && (
+                                  {canSendNow(marksheet) && (
                                     <>
                                       <button
                                         type="button"
@@ -1450,10 +1304,7 @@ function DispatchRequests() {
                                         type="button"
                                         onClick={async (e) => {
                                           e.preventDefault()
-                                          const ts = Date.now()
-                                          const origin = getPublicOrigin()
-                                          const url = origin ? `${origin}/api/generate-pdf?marksheetId=${marksheet._id}&t=${ts}` : `/api/generate-pdf?marksheetId=${marksheet._id}&t=${ts}`
-                                          window.open(url, '_blank')
+                                          openMarksheetPdf(marksheet._id)
                                           try {
                                             await apiClient.put('/api/marksheets', { marksheetId: marksheet._id, status: 'dispatched' })
                                             moveToDispatchHistory([marksheet._id], (current) => ({
@@ -1495,14 +1346,13 @@ function DispatchRequests() {
                                       >
                                         Re-send
                                       </button>
-                                      <a
-                                        href={`/api/generate-pdf?marksheetId=${marksheet._id}`}
-                                        target="_blank"
-                                        rel="noreferrer"
+                                      <button
+                                        type="button"
+                                        onClick={() => openMarksheetPdf(marksheet._id)}
                                         className="block w-full px-4 py-2 rounded-lg text-sm font-semibold text-yellow-600 border-2 border-yellow-300 bg-white hover:bg-yellow-50 text-center transition-colors duration-200"
                                       >
                                         Download
-                                      </a>
+                                      </button>
                                     </>
                                   )}
                                 </div>
@@ -0,0 +1,313 @@
+import { useEffect, useMemo, useState } from 'react'
+import { useSearchParams } from 'react-router-dom'
+import * as XLSX from 'xlsx'
+import apiClient from '../utils/apiClient'
+import { getUserFriendlyMessage } from '../utils/apiErrorMessages'
+import { useAlert } from '../components/AlertContext'
+import { formatSubjectLabel } from '../../shared/subjectCatalog'
+
+const DEPARTMENTS = ['CSE', 'AI_DS', 'ECE', 'MECH', 'CIVIL', 'EEE', 'IT']
+const SEMESTERS_BY_YEAR = {
+  I: ['I', 'II'],
+  II: ['III', 'IV'],
+  III: ['V', 'VI'],
+  IV: ['VII', 'VIII']
+}
+
+// Value shown in a slot cell: the offered course code, or "CODE - Name" for free-text slots
+const cellValue = (slot, choice) => {
+  if (!choice) return ''
+  return slot.options.length > 0 ? choice.code : formatSubjectLabel(choice)
+}
+
+function ElectiveChoices() {
+  const { showSuccess, showError } = useAlert()
+  const [searchParams] = useSearchParams()
+  const [auth] = useState(() => {
+    try {
+      const raw = localStorage.getItem('auth')
+      return raw ? JSON.parse(raw) : null
+    } catch {
+      return null
+    }
+  })
+  const isStaff = auth?.role === 'staff'
+  // The H&S HOD looks after first-year classes of every department
+  const canPickDepartment = auth?.role === 'admin' || (auth?.role === 'hod' && auth?.department === 'HNS')
+  const [classInfo, setClassInfo] = useState(() => ({
+    department: DEPARTMENTS.includes(auth?.department) ? auth.department : '',
+    year: searchParams.get('year') || (isStaff ? auth?.year : '') || '',
+    section: (isStaff ? auth?.section : searchParams.get('section')) || '',
+    semester: searchParams.get('semester') || ''
+  }))
+  const [slots, setSlots] = useState([])
+  const [rows, setRows] = useState([])
+  const [edits, setEdits] = useState({})
+  const [loading, setLoading] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [uploadErrors, setUploadErrors] = useState([])
+
+  const ready = classInfo.department && classInfo.year && classInfo.section && classInfo.semester
+  const semesterOptions = SEMESTERS_BY_YEAR[classInfo.year] || []
+
+  const fetchChoices = async () => {
+    if (!ready) return
+    try {
+      setLoading(true)
+      const params = new URLSearchParams(classInfo)
+      const data = await apiClient.get(`/api/elective-choices?${params.toString()}`, { cache: false, dedupe: false })
+      if (data?.success) {
+        setSlots(data.slots || [])
+        setRows(data.students || [])
+        setEdits({})
+      } else {
+        showError('Failed to load', data?.error || 'Could not fetch elective choices')
+      }
+    } catch (e) {
+      showError('Error', getUserFriendlyMessage(e, 'Could not load elective choices.'))
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => { fetchChoices() }, [classInfo.department, classInfo.year, classInfo.section, classInfo.semester])
+
+  const updateClass = (field, value) => {
+    setUploadErrors([])
+    setClassInfo((prev) => ({ ...prev, [field]: value, ...(field === 'year' ? { semester: '' } : {}) }))
+  }
+
+  const getCell = (row, slot) => {
+    const edited = edits[row.regNumber]?.[slot.slot]
+    if (edited !== undefined) return edited
+    return cellValue(slot, row.choices.find((choice) => choice.slot === slot.slot))
+  }
+
+  const setCell = (row, slot, value) => {
+    setEdits((prev) => ({ ...prev, [row.regNumber]: { ...prev[row.regNumber], [slot.slot]: value } }))
+  }
+
+  const dirtyCount = useMemo(() => Object.keys(edits).length, [edits])
+
+  const saveEdits = async () => {
+    const entries = rows
+      .filter((row) => edits[row.regNumber])
+      .map((row) => ({
+        regNumber: row.regNumber,
+        name: row.name,
+        choices: slots.map((slot) => ({ slot: slot.slot, course: getCell(row, slot) }))
+      }))
+    if (entries.length === 0) return
+    setSaving(true)
+    try {
+      const data = await apiClient.put('/api/elective-choices', { ...classInfo, entries })
+      if (data?.success) {
+        showSuccess('Saved', `Elective choices updated for ${entries.length} student(s)`)
+        await fetchChoices()
+      } else {
+        showError('Save failed', data?.error || 'Could not save elective choices')
+      }
+    } catch (e) {
+      showError('Save failed', getUserFriendlyMessage(e, 'Could not save elective choices.'))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const downloadTemplate = () => {
+    const headers = ['RegNumber', 'Name', ...slots.map((slot) => slot.slot)]
+    const dataRows = rows.map((row) => [row.regNumber, row.name, ...slots.map((slot) => getCell(row, slot))])
+    const workbook = XLSX.utils.book_new()
+    const worksheet = XLSX.utils.aoa_to_sheet([headers, ...dataRows])
+    worksheet['!cols'] = headers.map(() => ({ wch: 24 }))
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Electives')
+
+    const offerings = slots.flatMap((slot) => slot.options.map((option) => [slot.slot, option.code, option.name]))
+    const offeringsSheet = XLSX.utils.aoa_to_sheet([
+      ['Slot', 'Course Code', 'Course Name'],
+      ...(offerings.length > 0 ? offerings : [['No offerings in the catalog yet', 'Enter courses as', 'CODE - Course name']])
+    ])
+    offeringsSheet['!cols'] = [{ wch: 26 }, { wch: 16 }, { wch: 40 }]
+    XLSX.utils.book_append_sheet(workbook, offeringsSheet, 'Offered Courses')
+
+    XLSX.writeFile(workbook, `electives_${classInfo.department}_${classInfo.year}${classInfo.section}_sem${classInfo.semester}.xlsx`)
+  }
+
+  const handleUpload = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    setUploadErrors([])
+    setSaving(true)
+    try {
+      const form = new FormData()
+      form.append('choicesFile', file)
+      Object.entries(classInfo).forEach(([key, value]) => form.append(key, value))
+      const data = await apiClient.post('/api/elective-choices?action=upload', form)
+      if (data?.success) {
+        showSuccess('Upload complete', `Saved choices for ${data.saved} student(s)`)
+        await fetchChoices()
+      } else {
+        setUploadErrors(data?.errorMessages || [data?.error || 'Upload failed'])
+      }
+    } catch (err) {
+      setUploadErrors(err.data?.errorMessages || [err.data?.error || getUserFriendlyMessage(err, 'Upload failed')])
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50">
+      <div className="container mx-auto px-4 sm:px-6 lg:px-8 py-6 sm:py-8">
+        <div className="mb-6">
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Elective Choices</h1>
+          <p className="text-sm text-gray-600 mt-1">
+            The course each student takes for every elective slot. Excel imports and marksheet PDFs use these to show the real course instead of &quot;Professional Elective I&quot;.
+          </p>
+        </div>
+
+        <div className="glass-card p-4 rounded-2xl mb-6 grid grid-cols-2 sm:grid-cols-4 gap-3">
+          <label className="text-sm text-gray-700">
+            Department
+            <select
+              value={classInfo.department}
+              onChange={(e) => updateClass('department', e.target.value)}
+              disabled={!canPickDepartment}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+            >
+              <option value="">Select</option>
+              {DEPARTMENTS.map((dept) => <option key={dept} value={dept}>{dept}</option>)}
+            </select>
+          </label>
+          <label className="text-sm text-gray-700">
+            Year
+            <select
+              value={classInfo.year}
+              onChange={(e) => updateClass('year', e.target.value)}
+              disabled={isStaff}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+            >
+              <option value="">Select</option>
+              {Object.keys(SEMESTERS_BY_YEAR).map((year) => <option key={year} value={year}>{year}</option>)}
+            </select>
+          </label>
+          <label className="text-sm text-gray-700">
+            Section
+            <input
+              value={classInfo.section}
+              onChange={(e) => updateClass('section', e.target.value.toUpperCase())}
+              disabled={isStaff}
+              placeholder="A"
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            Semester
+            <select
+              value={classInfo.semester}
+              onChange={(e) => updateClass('semester', e.target.value)}
+              disabled={!classInfo.year}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+            >
+              <option value="">Select</option>
+              {semesterOptions.map((sem) => <option key={sem} value={sem}>{sem}</option>)}
+            </select>
+          </label>
+        </div>
+
+        {!ready && (
+          <div className="glass-card p-6 rounded-2xl text-center text-gray-600">Choose a class and semester to manage its electives.</div>
+        )}
+
+        {ready && loading && (
+          <div className="glass-card p-6 rounded-2xl text-center text-gray-600">Loading elective choices...</div>
+        )}
+
+        {ready && !loading && slots.length === 0 && (
+          <div className="glass-card p-6 rounded-2xl text-center text-gray-600">Semester {classInfo.semester} has no elective slots in the subject catalog.</div>
+        )}
+
+        {ready && !loading && slots.length > 0 && (
+          <div className="glass-card p-4 rounded-2xl">
+            <div className="flex flex-wrap items-center gap-2 mb-4">
+              <button type="button" onClick={downloadTemplate} className="px-4 py-2 rounded-lg bg-white border border-gray-300 text-gray-700 text-sm font-semibold">
+                Download Sheet
+              </button>
+              <input type="file" accept=".xlsx,.xls,.csv" onChange={handleUpload} className="hidden" id="electiveChoicesFile" />
+              <label htmlFor="electiveChoicesFile" className={`px-4 py-2 rounded-lg bg-white border border-gray-300 text-green-700 text-sm font-semibold cursor-pointer ${saving ? 'opacity-60 pointer-events-none' : ''}`}>
+                Upload Sheet
+              </label>
+              <button
+                type="button"
+                onClick={saveEdits}
+                disabled={saving || dirtyCount === 0}
+                className={`ml-auto px-4 py-2 rounded-lg text-sm font-semibold ${saving || dirtyCount === 0 ? 'bg-gray-200 text-gray-500' : 'bg-blue-600 text-white'}`}
+              >
+                {saving ? 'Saving...' : `Save${dirtyCount ? ` (${dirtyCount})` : ''}`}
+              </button>
+            </div>
+
+            {uploadErrors.length > 0 && (
+              <div className="mb-4 p-3 bg-red-50 rounded-xl text-red-800 border border-red-200">
+                <div className="font-semibold mb-2">Nothing was saved. Fix these rows and upload again:</div>
+                <ul className="list-disc pl-6 space-y-1 text-sm">
+                  {uploadErrors.map((message, idx) => <li key={idx}>{message}</li>)}
+                </ul>
+              </div>
+            )}
+
+            {rows.length === 0 ? (
+              <div className="p-6 text-center text-gray-600">No students found for this class. Upload a sheet to record their electives before importing marks.</div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-600 border-b">
+                      <th className="py-2 pr-4">Reg. No.</th>
+                      <th className="py-2 pr-4">Name</th>
+                      {slots.map((slot) => <th key={slot.slot} className="py-2 pr-4 whitespace-nowrap">{slot.slot}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map((row) => (
+                      <tr key={row.regNumber} className={`border-b last:border-0 ${edits[row.regNumber] ? 'bg-yellow-50' : ''}`}>
+                        <td className="py-2 pr-4 font-mono">{row.regNumber}</td>
+                        <td className="py-2 pr-4">{row.name || '—'}</td>
+                        {slots.map((slot) => (
+                          <td key={slot.slot} className="py-2 pr-4">
+                            {slot.options.length > 0 ? (
+                              <select
+                                value={getCell(row, slot)}
+                                onChange={(e) => setCell(row, slot, e.target.value)}
+                                className="w-full min-w-[12rem] px-2 py-1 border border-gray-300 rounded"
+                              >
+                                <option value="">Not chosen</option>
+                                {slot.options.map((option) => (
+                                  <option key={option.code} value={option.code}>{formatSubjectLabel(option)}</option>
+                                ))}
+                              </select>
+                            ) : (
+                              <input
+                                value={getCell(row, slot)}
+                                onChange={(e) => setCell(row, slot, e.target.value)}
+                                placeholder="CODE - Course name"
+                                className="w-full min-w-[12rem] px-2 py-1 border border-gray-300 rounded"
+                              />
+                            )}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ElectiveChoices
@@ -1,6 +1,11 @@
-import { useState } from 'react'
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
 import apiClient from '../utils/apiClient'
 import { getUserFriendlyMessage } from '../utils/apiErrorMessages'
+import { downloadRejectedRows } from '../utils/importRejectedRows'
+import ImportDiffPreview from '../components/ImportDiffPreview'
+import ImportColumnMapping, { subjectRows } from '../components/ImportColumnMapping'
+import ConfirmDialog from '../components/ConfirmDialog'
 
 function ImportMarks() {
   const [userData, setUserData] = useState(() => {
@@ -12,10 +17,87 @@ function ImportMarks() {
   const [sessionId, setSessionId] = useState('')
   const [result, setResult] = useState(null)
   const [errors, setErrors] = useState([])
+  const [preview, setPreview] = useState([])
+  const [summary, setSummary] = useState({})
+  const [rowActions, setRowActions] = useState({})
+  const [inspection, setInspection] = useState(null)
+  const [mapping, setMapping] = useState(null)
+  const [templates, setTemplates] = useState([])
+  const [templateName, setTemplateName] = useState('')
+  const [inspecting, setInspecting] = useState(false)
+  const [templateToDelete, setTemplateToDelete] = useState(null)
+  const [allowPartial, setAllowPartial] = useState(false)
+  // Session whose held-back rows can be downloaded, and how many there are
+  const [rejected, setRejected] = useState(null)
+  // Sent with every confirm of the current session so a retry cannot import twice
+  const [confirmKey, setConfirmKey] = useState('')
+
+  const loadTemplates = async () => {
+    try {
+      const data = await apiClient.get(`/api/import-excel?action=templates&department=${encodeURIComponent(userData.department || '')}`)
+      setTemplates(data?.templates || [])
+    } catch (e) {
+      setTemplates([])
+    }
+  }
+
+  useEffect(() => {
+    if (userData?.role === 'staff') loadTemplates()
+  }, [])
+
+  const showMapping = (data) => {
+    setInspection(data)
+    setMapping(data.mapping)
+  }
+
+  // Read the sheet's headers and the suggested (or saved template) mapping
+  const inspectFile = async (selectedFile, options = {}) => {
+    setInspecting(true)
+    setErrors([])
+    try {
+      const form = new FormData()
+      form.append('excelFile', selectedFile)
+      form.append('department', userData.department)
+      if (options.sheetName) form.append('sheetName', options.sheetName)
+      if (options.layout) form.append('layout', JSON.stringify(options.layout))
+      if (options.templateId !== undefined) form.append('templateId', options.templateId)
+      const data = await apiClient.post('/api/import-excel?action=inspect', form)
+      if (data?.success) showMapping(data)
+      else setErrors([data?.error || 'Could not read the file'])
+    } catch (err) {
+      setInspection(null)
+      setErrors([err.data?.error || getUserFriendlyMessage(err, 'Could not read the file')])
+    } finally {
+      setInspecting(false)
+    }
+  }
 
   const handleFileChange = (e) => {
     if (e.target.files && e.target.files[0]) {
       setFile(e.target.files[0])
+      setSessionId('')
+      setPreview([])
+      setResult(null)
+      setRejected(null)
+      inspectFile(e.target.files[0])
+    }
+  }
+
+  const downloadRejected = async () => {
+    try {
+      await downloadRejectedRows(rejected.sessionId, file?.name)
+    } catch (err) {
+      setErrors([getUserFriendlyMessage(err, 'Failed to download the rejected rows')])
+    }
+  }
+
+  const deleteTemplate = async (template) => {
+    setTemplateToDelete(null)
+    try {
+      await apiClient.del(`/api/import-excel?templateId=${template._id}`)
+      setTemplates(prev => prev.filter(t => t._id !== template._id))
+    } catch (err) {
+      setErrors([getUserFriendlyMessage(err, 'Failed to delete template')])
     }
   }
 
@@ -24,13 +106,23 @@ function ImportMarks() {
     setUploading(true)
     setErrors([])
     setResult(null)
+    setPreview([])
+    setRowActions({})
+    setRejected(null)
     try {
       const form = new FormData()
       form.append('excelFile', file)
       form.append('staffId', userData.id)
       form.append('examinationDate', new Date().toISOString())
       form.append('department', userData.department)
-  form.append('year', userData.year)
+      form.append('year', userData.year)
+      if (inspection && mapping) {
+        form.append('sheetName', inspection.sheetName)
+        form.append('layout', JSON.stringify(inspection.layout))
+        form.append('mapping', JSON.stringify({ ...mapping, subjects: subjectRows(inspection.headers, mapping) }))
+      }
+      if (templateName.trim()) form.append('templateName', templateName.trim())
+      if (allowPartial) form.append('partial', 'true')
 
       try {
         const data = await apiClient.post('/api/import-excel?action=upload', form)
@@ -43,9 +135,19 @@ function ImportMarks() {
           }
         } else {
           setSessionId(data.sessionId)
+          setConfirmKey(`${data.sessionId}-${Date.now().toString(36)}`)
+          if (templateName.trim()) {
+            setTemplateName('')
+            loadTemplates()
+          }
+          setPreview(data.preview || [])
+          setSummary(data.summary || {})
           setErrors(data.errorMessages || [])
+          if (data.rejectedCount > 0) setRejected({ sessionId: data.sessionId, count: data.rejectedCount })
         }
       } catch (err) {
+        // The server could not place a required column: show what it detected
+        if (err.data?.needsMapping) showMapping(err.data)
         // Extract detailed error messages from error response
         if (err.data && err.data.errorMessages && err.data.errorMessages.length > 0) {
           setErrors(err.data.errorMessages)
@@ -67,8 +169,8 @@ function ImportMarks() {
     setUploading(true)
     try {
       try {
-        const data = await apiClient.post('/api/import-excel?action=confirm', { sessionId }, { timeout: 120000 })
-        if (!data || !data.success) {
+        const data = await apiClient.post('/api/import-excel?action=confirm', { sessionId, actions: rowActions }, { timeout: 120000, headers: { 'Idempotency-Key': confirmKey } })
+        if (!data || !(data.success || data.partial)) {
           // Show detailed error messages if available
           if (data?.errorMessages && data.errorMessages.length > 0) {
             setErrors(data.errorMessages)
@@ -77,6 +179,9 @@ function ImportMarks() {
           }
         } else {
           setResult(data)
+          setSessionId('')
+          setPreview([])
+          setErrors([])
           // Fire window events to trigger count flips in background pages immediately
           window.dispatchEvent(new CustomEvent('marksheetsUpdated'))
           window.dispatchEvent(new CustomEvent('notificationsUpdated'))
@@ -118,6 +223,9 @@ function ImportMarks() {
             <p className="text-lg text-gray-600 max-w-3xl mx-auto">
               Upload Excel file with student marks data for {userData.department} Department - Year {userData.year}
             </p>
+            <p className="text-sm text-gray-500 mt-2">
+              Teaching one subject? Enter its marks on <Link to="/mark-entry" className="text-blue-700 font-semibold">Mark Entry</Link> and the class advisor consolidates them.
+            </p>
           </div>
           
           <div className="glass-card p-8 rounded-3xl mb-8">
@@ -135,8 +243,25 @@ function ImportMarks() {
               {file && (
                 <div className="mt-4 text-gray-700">Selected: <span className="font-semibold">{file.name}</span></div>
               )}
-              <div className="mt-6">
-                <button disabled={!file || uploading} onClick={handleUpload} className={`px-6 py-3 rounded-xl font-bold ${(!file || uploading) ? 'bg-gray-300 text-gray-500' : 'glass-button text-blue-600'}`}>
+              {inspecting && <div className="mt-4 text-sm text-gray-500">Reading columns...</div>}
+              {file && inspection && mapping && !sessionId && (
+                <ImportColumnMapping
+                  inspection={inspection}
+                  mapping={mapping}
+                  onMappingChange={setMapping}
+                  onReinspect={(options) => inspectFile(file, options)}
+                  templates={templates}
+                  templateName={templateName}
+                  onTemplateNameChange={setTemplateName}
+                  disabled={uploading || inspecting}
+                />
+              )}
+              <label className="mt-6 flex items-center justify-center gap-2 text-sm text-gray-700">
+                <input type="checkbox" checked={allowPartial} onChange={(e) => setAllowPartial(e.target.checked)} disabled={uploading} />
+                Import the valid rows and hold back rows with errors
+              </label>
+              <div className="mt-4">
+                <button disabled={!file || uploading || inspecting} onClick={handleUpload} className={`px-6 py-3 rounded-xl font-bold ${(!file || uploading || inspecting) ? 'bg-gray-300 text-gray-500' : 'glass-button text-blue-600'}`}>
                   {uploading ? 'Uploading...' : 'Upload'}
                 </button>
               </div>
@@ -144,7 +269,14 @@ function ImportMarks() {
 
             {sessionId && (
               <div className="mt-6 p-4 bg-green-50 rounded-xl text-green-800">
-                Temporary session created. Session ID: <span className="font-mono">{sessionId}</span>
+                Review the changes against marksheets already imported for this examination, then confirm.
+                <ImportDiffPreview
+                  preview={preview}
+                  summary={summary}
+                  actions={rowActions}
+                  onActionChange={(regNumber, action) => setRowActions(prev => ({ ...prev, [regNumber]: action }))}
+                  disabled={uploading}
+                />
                 <div className="mt-3">
                   <button onClick={handleConfirm} disabled={uploading} className={`px-5 py-2 rounded-lg font-semibold ${uploading ? 'bg-gray-300 text-gray-500' : 'bg-green-600 text-white'}`}>
                     {uploading ? 'Processing...' : 'Confirm Import'}
@@ -163,14 +295,68 @@ function ImportMarks() {
                     </li>
                   ))}
                 </ul>
-                <div className="mt-3 text-xs text-red-700">Please fix these issues and try uploading again.</div>
+                <div className="mt-3 text-xs text-red-700">
+                  {rejected ? 'These rows were held back. Download them, fix the highlighted cells and upload that file.' : 'Please fix these issues and try uploading again.'}
+                </div>
+              </div>
+            )}
+
+            {rejected && (
+              <div className="mt-4 p-4 bg-amber-50 rounded-xl text-amber-900 border border-amber-200 flex flex-wrap items-center justify-between gap-3">
+                <span>{rejected.count} row{rejected.count === 1 ? '' : 's'} held back with errors.</span>
+                <button onClick={downloadRejected} className="px-4 py-2 rounded-lg font-semibold bg-amber-600 text-white">
+                  Download rejected rows (.xlsx)
+                </button>
               </div>
             )}
 
             {result && (
               <div className="mt-6 p-4 bg-blue-50 rounded-xl text-blue-900">
-                <div className="font-semibold mb-2">Import Completed</div>
+                <div className="font-semibold mb-2">{result.failedCount ? result.message : 'Import Completed'}</div>
                 <div>Created: {result.createdCount}</div>
+                <div>Updated: {result.updatedCount || 0}</div>
+                <div>Skipped: {result.skippedCount || 0}</div>
+                {result.failedCount > 0 && <div className="text-red-700">Failed: {result.failedCount}</div>}
+                {result.failedCount > 0 && (
+                  <table className="mt-3 min-w-full text-sm bg-white rounded-lg">
+                    <thead className="text-left text-gray-600">
+                      <tr>
+                        <th className="px-3 py-2">Row</th>
+                        <th className="px-3 py-2">Register number</th>
+                        <th className="px-3 py-2">Name</th>
+                        <th className="px-3 py-2">Error</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {result.results.filter((row) => row.status === 'failed').map((row) => (
+                        <tr key={row.regNumber} className="border-t border-gray-100">
+                          <td className="px-3 py-2">{row.rowNum ?? '-'}</td>
+                          <td className="px-3 py-2 font-mono">{row.regNumber}</td>
+                          <td className="px-3 py-2">{row.name}</td>
+                          <td className="px-3 py-2 text-red-700">{row.error}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            )}
+
+            {templates.length > 0 && (
+              <div className="mt-8 p-6 bg-white rounded-xl border border-gray-200">
+                <h4 className="text-lg font-semibold text-gray-900 mb-3">Saved import templates</h4>
+                <ul className="divide-y divide-gray-100">
+                  {templates.map(template => (
+                    <li key={template._id} className="flex items-center justify-between py-2 text-sm">
+                      <span>
+                        <span className="font-medium text-gray-900">{template.name}</span>
+                        {template.examinationName && <span className="text-gray-500"> · {template.examinationName}</span>}
+                        {template.sheetName && <span className="text-gray-500"> · sheet {template.sheetName}</span>}
+                      </span>
+                      <button onClick={() => setTemplateToDelete(template)} className="text-red-600 hover:underline">Delete</button>
+                    </li>
+                  ))}
+                </ul>
               </div>
             )}
 
@@ -182,12 +368,22 @@ function ImportMarks() {
                 <li>• <strong>Section</strong> - Class section (A, B, etc.)</li>
                 <li>• <strong>ParentPhone</strong> - Parent WhatsApp number</li>
                 <li>• <strong>Attendance</strong> - Attendance percentage (e.g., 92% or 92)</li>
-                <li>• <strong>Subject Columns</strong> - Each subject with marks (0-100)</li>
+                <li>• <strong>Subject Columns</strong> - Each subject with marks (0-100, or up to the max marks row)</li>
+                <li>• <strong>Assessment Components</strong> - Optional CIA1/CIA2/Model/Assignment columns under a subject heading, combined into the subject total</li>
               </ul>
+              <p className="mt-3 text-sm text-blue-800">Other column names, multi-row headers and a &quot;Max Marks&quot; row are fine: match the columns in the mapping step after choosing the file.</p>
             </div>
           </div>
         </div>
       </div>
+      <ConfirmDialog
+        open={!!templateToDelete}
+        title="Delete import template"
+        description={templateToDelete ? `Delete the template "${templateToDelete.name}"? Later uploads will no longer apply it.` : ''}
+        confirmLabel="Delete"
+        onConfirm={() => deleteTemplate(templateToDelete)}
+        onCancel={() => setTemplateToDelete(null)}
+      />
     </div>
   )
 }
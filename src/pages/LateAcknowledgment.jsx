@@ -1,7 +1,7 @@
 import { useEffect, useState } from 'react'
 import apiClient from '../utils/apiClient'
 import { getUserFriendlyMessage } from '../utils/apiErrorMessages'
-import { Navigate } from 'react-router-dom'
+import { Link, Navigate } from 'react-router-dom'
 import { useAlert } from '../components/AlertContext'
 
 function LateAcknowledgment() {
@@ -58,7 +58,10 @@ function LateAcknowledgment() {
 
   return (
     <div className="px-4 py-4 w-full max-w-4xl mx-auto">
-      <h1 className="text-2xl font-bold mb-4">Late Acknowledgment</h1>
+      <div className="flex items-center justify-between mb-4">
+        <h1 className="text-2xl font-bold">Late Acknowledgment</h1>
+        <Link to="/late-arrivals" className="px-3 py-2 text-sm rounded-lg border bg-white hover:bg-gray-50">Late Arrivals Report</Link>
+      </div>
       {loading ? (
         <div className="p-4 text-gray-500">Loading...</div>
       ) : (
@@ -71,7 +74,11 @@ function LateAcknowledgment() {
                 <div className="text-sm text-gray-600">Reason: {r.reason}</div>
               </div>
               <div className="flex gap-2">
-                <button onClick={() => acknowledge(r._id)} className="px-3 py-2 text-sm rounded-lg bg-theme-gold text-white hover:bg-theme-gold-500 transition-colors">Record Arrival</button>
+                {r.recordedAt ? (
+                  <span className="px-3 py-2 text-sm text-gray-500">Recorded {formatDate(r.recordedAt)}</span>
+                ) : (
+                  <button onClick={() => acknowledge(r._id)} className="px-3 py-2 text-sm rounded-lg bg-theme-gold text-white hover:bg-theme-gold-500 transition-colors">Record Arrival</button>
+                )}
               </div>
             </li>
           ))}
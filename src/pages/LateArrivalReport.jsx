@@ -0,0 +1,216 @@
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { AlertTriangle, Download, RefreshCw } from 'lucide-react'
+import apiClient from '../utils/apiClient'
+import { getUserFriendlyMessage } from '../utils/apiErrorMessages'
+import { useAlert } from '../components/AlertContext'
+
+const YEARS = ['I', 'II', 'III', 'IV']
+
+const inputClass = 'px-2 py-1 border border-gray-300 rounded'
+
+const formatDay = (day) => (day ? new Date(`${day}T00:00:00Z`).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', timeZone: 'UTC' }) : '—')
+const formatDelay = (minutes) => (minutes === null || minutes === undefined ? '—' : `${minutes} min`)
+
+/**
+ * Late arrivals of a class (api/late-arrivals.js): lates per student per week
+ * or month, the average delay against the expected arrival, and the students
+ * over the department's repeat-late alerts, with CSV and Excel export.
+ */
+function LateArrivalReport() {
+  const { showError } = useAlert()
+  const [auth] = useState(() => {
+    try {
+      const raw = localStorage.getItem('auth')
+      return raw ? JSON.parse(raw) : null
+    } catch {
+      return null
+    }
+  })
+  const isStaff = auth?.role === 'staff'
+  const [filters, setFilters] = useState(() => ({
+    department: auth?.department || '',
+    year: (isStaff ? auth?.year : '') || '',
+    section: (isStaff ? auth?.section : '') || '',
+    period: 'week',
+    from: '',
+    to: ''
+  }))
+  const [report, setReport] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [exporting, setExporting] = useState('')
+
+  const ready = filters.department && filters.year && filters.section
+  const query = (extra = {}) => {
+    const params = { department: filters.department, year: filters.year, section: filters.section, period: filters.period, ...extra }
+    if (filters.from) params.from = filters.from
+    if (filters.to) params.to = filters.to
+    return new URLSearchParams(params).toString()
+  }
+
+  const load = async () => {
+    if (!ready) return
+    setLoading(true)
+    try {
+      const data = await apiClient.get(`/api/late-arrivals?${query()}`, { cache: false, dedupe: false })
+      if (data?.success) setReport(data)
+      else showError('Report Failed', data?.error || 'Could not load the late arrivals.')
+    } catch (e) {
+      showError('Report Failed', getUserFriendlyMessage(e, 'Could not load the late arrivals.'))
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => { load() }, [filters.department, filters.year, filters.section, filters.period, filters.from, filters.to])
+
+  const exportReport = async (format) => {
+    setExporting(format)
+    try {
+      const blob = await apiClient.get(`/api/late-arrivals?${query({ format })}`, { responseType: 'blob', cache: false, dedupe: false })
+      const url = window.URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `late-arrivals-${filters.department}-${filters.year}-${filters.section}.${format}`.toLowerCase()
+      document.body.appendChild(link)
+      link.click()
+      document.body.removeChild(link)
+      window.URL.revokeObjectURL(url)
+    } catch (e) {
+      showError('Export Failed', getUserFriendlyMessage(e, 'Could not export the report.'))
+    } finally {
+      setExporting('')
+    }
+  }
+
+  const setFilter = (field, value) => setFilters((prev) => ({ ...prev, [field]: value }))
+  const offenders = report ? report.students.filter((student) => student.overThresholds.length > 0) : []
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50">
+      <div className="container mx-auto px-4 sm:px-6 lg:px-8 py-6 sm:py-8 space-y-6">
+        <div>
+          <Link to="/leave-approvals" className="text-sm text-blue-700">← Leaves</Link>
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mt-1">Late Arrivals</h1>
+          <p className="text-sm text-gray-600 mt-1">
+            How often each student of the class came late, and how far past the time they gave. Students over the department&apos;s repeat-late alerts are flagged; their class advisor and parent were told when the late was recorded.
+          </p>
+        </div>
+
+        <div className="glass-card p-4 rounded-2xl flex flex-wrap items-end gap-3">
+          <label className="text-sm text-gray-700">
+            Department
+            <input value={filters.department} onChange={(e) => setFilter('department', e.target.value.toUpperCase())} className={`mt-1 block w-24 ${inputClass}`} />
+          </label>
+          <label className="text-sm text-gray-700">
+            Year
+            <select value={filters.year} onChange={(e) => setFilter('year', e.target.value)} className={`mt-1 block ${inputClass}`}>
+              <option value="">—</option>
+              {YEARS.map((year) => <option key={year} value={year}>{year}</option>)}
+            </select>
+          </label>
+          <label className="text-sm text-gray-700">
+            Section
+            <input value={filters.section} onChange={(e) => setFilter('section', e.target.value.toUpperCase())} className={`mt-1 block w-16 ${inputClass}`} />
+          </label>
+          <label className="text-sm text-gray-700">
+            Per
+            <select value={filters.period} onChange={(e) => setFilter('period', e.target.value)} className={`mt-1 block ${inputClass}`}>
+              <option value="week">Week</option>
+              <option value="month">Month</option>
+            </select>
+          </label>
+          <label className="text-sm text-gray-700">
+            From
+            <input type="date" value={filters.from} onChange={(e) => setFilter('from', e.target.value)} className={`mt-1 block ${inputClass}`} />
+          </label>
+          <label className="text-sm text-gray-700">
+            To
+            <input type="date" value={filters.to} min={filters.from} onChange={(e) => setFilter('to', e.target.value)} className={`mt-1 block ${inputClass}`} />
+          </label>
+          <div className="ml-auto flex items-center gap-2">
+            <button type="button" onClick={load} disabled={!ready || loading} className="flex items-center gap-1 px-3 py-2 rounded-lg bg-white border border-gray-300 text-gray-700 text-sm font-semibold disabled:opacity-60">
+              <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} /> Refresh
+            </button>
+            <button type="button" onClick={() => exportReport('csv')} disabled={!report || !!exporting} className="flex items-center gap-1 px-3 py-2 rounded-lg bg-white border border-gray-300 text-gray-700 text-sm font-semibold disabled:opacity-60">
+              <Download className="w-4 h-4" /> {exporting === 'csv' ? 'Exporting...' : 'CSV'}
+            </button>
+            <button type="button" onClick={() => exportReport('xlsx')} disabled={!report || !!exporting} className="flex items-center gap-1 px-3 py-2 rounded-lg bg-indigo-600 text-white text-sm font-semibold disabled:opacity-60">
+              <Download className="w-4 h-4" /> {exporting === 'xlsx' ? 'Exporting...' : 'Excel'}
+            </button>
+          </div>
+        </div>
+
+        {!ready && <div className="glass-card p-6 rounded-2xl text-center text-gray-600">Choose a class to see its late arrivals.</div>}
+
+        {ready && loading && !report && <div className="glass-card p-6 rounded-2xl text-center text-gray-600">Loading late arrivals...</div>}
+
+        {ready && report && (
+          <>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div className="glass-card p-4 rounded-2xl">
+                <p className="text-xs text-gray-500">Lates from {formatDay(report.from)} to {formatDay(report.to)}</p>
+                <p className="text-2xl font-bold text-gray-900">{report.total}</p>
+              </div>
+              <div className="glass-card p-4 rounded-2xl">
+                <p className="text-xs text-gray-500">Average delay against expected arrival</p>
+                <p className="text-2xl font-bold text-gray-900">{formatDelay(report.avgDelayMinutes)}</p>
+              </div>
+              <div className="glass-card p-4 rounded-2xl">
+                <p className="text-xs text-gray-500">
+                  Over a repeat-late alert
+                  {report.thresholds.length > 0 ? ` (${report.thresholds.map((t) => `${t.count} in ${t.days} days`).join(', ')})` : ' (alerts are off)'}
+                </p>
+                <p className={`text-2xl font-bold ${offenders.length > 0 ? 'text-red-700' : 'text-gray-900'}`}>{offenders.length}</p>
+              </div>
+            </div>
+
+            {report.students.length === 0 ? (
+              <div className="glass-card p-6 rounded-2xl text-center text-gray-600">No late arrivals in this period.</div>
+            ) : (
+              <div className="glass-card p-4 rounded-2xl overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-600 border-b">
+                      <th className="py-2 pr-4">Reg No</th>
+                      <th className="py-2 pr-4">Name</th>
+                      {report.periods.map((period) => <th key={period.key} className="py-2 pr-3 text-center whitespace-nowrap">{period.label}</th>)}
+                      <th className="py-2 pr-4 text-center">Total</th>
+                      <th className="py-2 pr-4">Avg Delay</th>
+                      <th className="py-2 pr-4">Last Late</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.students.map((student) => (
+                      <tr key={student.studentId} className={`border-b last:border-0 ${student.overThresholds.length > 0 ? 'bg-red-50' : ''}`}>
+                        <td className="py-1 pr-4 whitespace-nowrap">{student.regNumber}</td>
+                        <td className="py-1 pr-4 whitespace-nowrap">
+                          {student.name}
+                          {student.overThresholds.length > 0 && (
+                            <span className="ml-2 inline-flex items-center gap-1 px-2 py-0.5 rounded text-xs font-semibold bg-red-100 text-red-800" title={student.alertsSent > 0 ? 'Advisor and parent were alerted' : 'Not alerted yet: alerts go out when a late is recorded'}>
+                              <AlertTriangle className="w-3 h-3" /> {student.overThresholds.map((t) => `${t.lates} in ${t.days}d`).join(', ')}
+                            </span>
+                          )}
+                        </td>
+                        {report.periods.map((period) => (
+                          <td key={period.key} className={`py-1 pr-3 text-center ${student.counts[period.key] ? 'text-gray-900 font-medium' : 'text-gray-300'}`}>
+                            {student.counts[period.key] || 0}
+                          </td>
+                        ))}
+                        <td className="py-1 pr-4 text-center font-semibold">{student.total}</td>
+                        <td className="py-1 pr-4 whitespace-nowrap">{formatDelay(student.avgDelayMinutes)}</td>
+                        <td className="py-1 pr-4 whitespace-nowrap">{formatDay(student.lastLateDay)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default LateArrivalReport
@@ -1,12 +1,14 @@
 import { useEffect, useMemo, useState } from 'react'
 import apiClient from '../utils/apiClient'
 import { getUserFriendlyMessage } from '../utils/apiErrorMessages'
+import { openPdf } from '../utils/pdfLinks'
 import { Navigate } from 'react-router-dom'
 import { useAlert } from '../components/AlertContext'
 import { useConfetti } from '../components/Confetti'
 import SwipeableCard from '../components/SwipeableCard'
 import ConfirmDialog from '../components/ConfirmDialog'
 import { usePushNotifications, usePageFocus } from '../hooks/usePushNotifications'
+import { checkLeaveQuota, countLeaveDays } from '../../shared/leave'
 
 function Leave() {
   const authStr = localStorage.getItem('auth')
@@ -15,7 +17,7 @@ function Leave() {
     return <Navigate to="/home" replace />
   }
 
-  const { showSuccess, showError } = useAlert()
+  const { showSuccess, showError, showWarning } = useAlert()
   const { celebrate, ConfettiContainer } = useConfetti()
 
   const [type, setType] = useState(() => {
@@ -26,6 +28,9 @@ function Leave() {
   const [reasonTouched, setReasonTouched] = useState(false)
   const [startDate, setStartDate] = useState('')
   const [endDate, setEndDate] = useState('')
+  const [category, setCategory] = useState('')
+  // This semester's balance per category, with the department's categories and holidays
+  const [leavePolicy, setLeavePolicy] = useState(null)
   const [expectedArrivalTime, setExpectedArrivalTime] = useState('')
   const [attachment, setAttachment] = useState(null)
   const [attachmentName, setAttachmentName] = useState('')
@@ -74,8 +79,18 @@ function Leave() {
     }
   }
 
+  const fetchBalance = async () => {
+    try {
+      const data = await apiClient.get('/api/leaves?action=balance', { cache: false, dedupe: false })
+      if (data.success) setLeavePolicy(data)
+    } catch (e) {
+      // silent; the server still checks the quota
+    }
+  }
+
   useEffect(() => { 
     fetchRequests()
+    fetchBalance()
     const handleGlobal = () => fetchRequests(true)
     window.addEventListener('notificationsUpdated', handleGlobal)
     window.addEventListener('marksheetsUpdated', handleGlobal)
@@ -226,6 +241,13 @@ function Leave() {
     return isNaN(diff) || diff < 0 ? 0 : diff
   }, [startDate, endDate])
 
+  // Days that count against the quota: no weekends or holidays
+  const leaveDays = useMemo(() => (
+    startDate && endDate ? countLeaveDays(startDate, endDate, leavePolicy?.holidays || [], leavePolicy?.workingDays || []) : 0
+  ), [startDate, endDate, leavePolicy])
+  const selectedCategory = leavePolicy?.categories.find(c => c.key === category) || null
+  const quota = useMemo(() => checkLeaveQuota(leavePolicy?.balance || [], category, leaveDays), [leavePolicy, category, leaveDays])
+
   useEffect(() => {
     if (startDate && endDate) {
       // Ensure endDate is not before startDate
@@ -255,6 +277,22 @@ function Leave() {
         showError('Invalid dates', 'End date must be the same or after start date.')
         return
       }
+      if (leavePolicy && !selectedCategory) {
+        showError('Missing category', 'Please choose a leave category.')
+        return
+      }
+      if (leavePolicy && leaveDays === 0) {
+        showError('No leave days', 'The selected dates are all weekends or holidays.')
+        return
+      }
+      if (selectedCategory?.requiresAttachment && !attachment) {
+        showError('Proof required', `${selectedCategory.label} leave needs a proof attachment.`)
+        return
+      }
+      if (quota.exceeded && leavePolicy?.enforcement === 'block') {
+        showError('Over quota', quota.message)
+        return
+      }
     } else {
       if (!expectedArrivalTime) {
         showError('Missing time', 'Please provide expected arrival time.')
@@ -272,6 +310,7 @@ function Leave() {
       if (type === 'leave') {
         body.startDate = startDate
         body.endDate = endDate
+        body.category = category
       } else {
         // Combine today's date with the time input
         const today = new Date().toISOString().split('T')[0]
@@ -283,10 +322,12 @@ function Leave() {
       const data = await apiClient.post('/api/leaves?action=create', body)
       if (data && data.success) {
         showSuccess('Request submitted', `${type === 'leave' ? 'Leave' : 'Late'} request created`)
+        if (data.quotaWarning) showWarning('Over quota', `${data.quotaWarning}. Your HOD will see this when reviewing the request.`)
         celebrate()
         setReason('')
         setStartDate('')
         setEndDate('')
+        setCategory('')
         setExpectedArrivalTime('')
         setAttachment(null)
         setAttachmentName('')
@@ -300,6 +341,7 @@ function Leave() {
         }
         // Force-fetch to bypass cached responses so the new request appears immediately
         fetchRequests(true)
+        fetchBalance()
       } else {
         showError('Failed', data.error || 'Could not submit request')
       }
@@ -384,6 +426,10 @@ function Leave() {
     }
   }
 
+  const openLeaveLetter = (leaveId) => {
+    openPdf({ leaveId }).catch((e) => showError('Download failed', getUserFriendlyMessage(e, 'Could not open the leave letter.')))
+  }
+
   const handleDeleteLeave = (request) => {
     setConfirmAction({
       title: 'Delete leave request?',
@@ -488,6 +534,32 @@ function Leave() {
           {/* Leave-specific fields */}
           {type === 'leave' ? (
             <div className="space-y-3">
+              {leavePolicy && (
+                <div>
+                  <label className="block text-xs font-bold mb-1.5 text-gray-700">CATEGORY</label>
+                  <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                    {leavePolicy.categories.map(c => {
+                      const entry = leavePolicy.balance.find(b => b.key === c.key)
+                      return (
+                        <button
+                          key={c.key}
+                          type="button"
+                          onClick={() => setCategory(c.key)}
+                          className={`px-3 py-2 rounded-lg border text-left transition-all ${category === c.key ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:border-gray-300'}`}
+                        >
+                          <p className="text-xs font-bold text-gray-800">{c.label}</p>
+                          <p className="text-xs text-gray-500">
+                            {entry?.remainingDays === null || !entry ? 'No limit' : `${entry.remainingDays} of ${entry.quotaDays} days left`}
+                          </p>
+                        </button>
+                      )
+                    })}
+                  </div>
+                  {selectedCategory?.requiresAttachment && (
+                    <p className="text-xs text-amber-700 mt-1 font-semibold">📎 {selectedCategory.label} leave needs a proof attachment</p>
+                  )}
+                </div>
+              )}
               <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
                 <div className="relative">
                   <label className="block text-xs font-bold mb-1 text-gray-700">Start Date</label>
@@ -536,16 +608,8 @@ function Leave() {
                       </p>
                     </div>
                     <div>
-                      <p className="text-xs text-gray-600 font-semibold">Working</p>
-                      <p className="text-lg font-bold text-green-600">
-                        {(() => {
-                          let weekends = 0
-                          for (let d = new Date(startDate); d <= new Date(endDate); d.setDate(d.getDate() + 1)) {
-                            if (d.getDay() === 0 || d.getDay() === 6) weekends++
-                          }
-                          return daysCount - weekends
-                        })()}
-                      </p>
+                      <p className="text-xs text-gray-600 font-semibold">Leave Days</p>
+                      <p className="text-lg font-bold text-green-600">{leaveDays}</p>
                     </div>
                     <div>
                       <p className="text-xs text-gray-600 font-semibold">Status</p>
@@ -554,6 +618,11 @@ function Leave() {
                       </p>
                     </div>
                   </div>
+                  {quota.exceeded && (
+                    <p className={`text-xs font-semibold mt-2 ${leavePolicy?.enforcement === 'block' ? 'text-red-700' : 'text-amber-700'}`}>
+                      ⚠ {quota.message}{leavePolicy?.enforcement === 'block' ? '. Reduce the dates or choose another category.' : '. You can still submit; your HOD will see it is over quota.'}
+                    </p>
+                  )}
                 </div>
               )}
             </div>
@@ -745,7 +814,12 @@ function Leave() {
                   'rejected_by_hod': { bg: 'bg-red-50', border: 'border-red-200', label: 'Rejected', color: 'text-red-700' },
                   'confirmed': { bg: 'bg-emerald-50', border: 'border-emerald-200', label: 'Confirmed', color: 'text-emerald-700' }
                 }
-                const status = statusConfig[r.status] || { bg: 'bg-gray-50', border: 'border-gray-200', label: r.status, color: 'text-gray-700' }
+                // Pending leaves name the approver they wait on
+                const waitingOn = r.status === 'requested' && (r.approvals || []).find(step => step.status === 'pending')
+                const status = {
+                  ...(statusConfig[r.status] || { bg: 'bg-gray-50', border: 'border-gray-200', label: r.status, color: 'text-gray-700' }),
+                  ...(waitingOn ? { label: `Awaiting ${waitingOn.label}` } : {})
+                }
 
                 const swipeActions = r.type === 'leave' ? [
                   ...(canDelete ? [{
@@ -759,14 +833,7 @@ function Leave() {
                   ...(r.status === 'approved_by_hod' ? [{
                     label: 'Download',
                     icon: '📄',
-                    onClick: () => {
-                      const link = document.createElement('a')
-                      link.href = `/api/generate-pdf?type=leave&leaveId=${r._id}`
-                      link.download = `leave-approval-${r._id}.pdf`
-                      document.body.appendChild(link)
-                      link.click()
-                      document.body.removeChild(link)
-                    },
+                    onClick: () => openLeaveLetter(r._id),
                     className: 'bg-blue-600 hover:bg-blue-700 text-white'
                   }] : [])
                 ] : []
@@ -816,9 +883,9 @@ function Leave() {
                           {/* Right: Actions */}
                           <div className="flex flex-col gap-1.5">
                             {r.type === 'leave' && r.status === 'approved_by_hod' && (
-                              <a href={`/api/generate-pdf?type=leave&leaveId=${r._id}`} className="inline-flex items-center justify-center px-3 py-2 text-xs font-bold rounded-lg bg-gradient-to-r from-blue-600 to-blue-700 hover:from-blue-700 hover:to-blue-800 text-white transition-all shadow-sm hover:shadow-md transform hover:scale-[1.01] active:scale-95">
+                              <button type="button" onClick={() => openLeaveLetter(r._id)} className="inline-flex items-center justify-center px-3 py-2 text-xs font-bold rounded-lg bg-gradient-to-r from-blue-600 to-blue-700 hover:from-blue-700 hover:to-blue-800 text-white transition-all shadow-sm hover:shadow-md transform hover:scale-[1.01] active:scale-95">
                                 Download PDF
-                              </a>
+                              </button>
                             )}
                             {r.type === 'late' && r.status === 'waiting_for_arrival_confirmation' && (
                               <button
@@ -1,31 +1,71 @@
 import { useEffect, useState } from 'react'
 import apiClient from '../utils/apiClient'
 import { getUserFriendlyMessage } from '../utils/apiErrorMessages'
-import { Navigate } from 'react-router-dom'
+import { Link, Navigate } from 'react-router-dom'
 import { useAlert } from '../components/AlertContext'
 import { usePullToRefresh } from '../hooks/usePullToRefresh'
+import { ifMatch, isVersionConflict } from '../utils/versionConflict'
+import { LEGACY_LEAVE_CATEGORY, checkLeaveQuota } from '../../shared/leave'
+import LeavePolicyEditor from '../components/LeavePolicyEditor'
+
+// Category, days and how much of the category the student has already taken this semester
+function LeaveBalanceLine({ request }) {
+  const category = request.category || LEGACY_LEAVE_CATEGORY
+  const balance = (request.balance || []).find(entry => entry.key === category)
+  if (!balance) return null
+  const days = request.leaveDays ?? 0
+  const quota = checkLeaveQuota([balance], category, days)
+  return (
+    <div className={`text-sm ${quota.exceeded ? 'text-red-600 font-semibold' : 'text-gray-600'}`}>
+      {balance.label} · {days} day{days === 1 ? '' : 's'} · taken {balance.usedDays}, pending {balance.pendingDays}
+      {balance.remainingDays !== null && `, ${balance.remainingDays} of ${balance.quotaDays} left this semester`}
+      {quota.exceeded && ' — over quota'}
+    </div>
+  )
+}
+
+// Steps of the request's approval chain, the current one highlighted
+function ApprovalChainLine({ request }) {
+  const approvals = request.approvals || []
+  if (approvals.length < 2) return null
+  return (
+    <div className="text-xs text-gray-500 mt-1 flex flex-wrap gap-1">
+      {approvals.map((step, index) => (
+        <span key={index} className={step.role === request.pendingRole ? 'font-semibold text-blue-700' : step.status === 'approved' ? 'text-green-700' : ''}>
+          {index > 0 && '→ '}{step.label}{step.status === 'approved' && step.name ? ` (${step.name}${step.comments ? `: "${step.comments}"` : ''})` : ''}
+        </span>
+      ))}
+    </div>
+  )
+}
+
+// Class advisors recommend; the last step of the chain approves
+const actionLabel = (request) => (request.pendingRole === 'class_advisor' ? 'Recommend' : 'Approve')
 
 function LeaveApprovals() {
   const authStr = localStorage.getItem('auth')
   const auth = authStr ? JSON.parse(authStr) : null
-  if (!auth || auth.role !== 'hod') {
+  if (!auth || !['hod', 'staff', 'admin'].includes(auth.role)) {
     return <Navigate to="/home" replace />
   }
-  const { showSuccess, showError } = useAlert()
+  const { showSuccess, showError, showWarning } = useAlert()
   const [requests, setRequests] = useState([])
   const [loading, setLoading] = useState(false)
   const [debugInfo, setDebugInfo] = useState(null)
+  const [comments, setComments] = useState({})
 
   const fetchRequests = async () => {
     try {
       setLoading(true)
-      const params = new URLSearchParams({ department: auth.department, type: 'leave', status: 'requested' })
-      console.log('[LeaveApprovals] Fetching with:', { department: auth.department, type: 'leave', status: 'requested' })
+      // Only the requests whose current step is this user's: advisor, HOD or principal
+      const params = new URLSearchParams({ type: 'leave', status: 'requested', awaiting: '1', withBalance: '1' })
+      if (auth.role === 'hod') params.set('department', auth.department)
+      console.log('[LeaveApprovals] Fetching with:', Object.fromEntries(params))
       const data = await apiClient.get(`/api/leaves?${params.toString()}`)
       console.log('[LeaveApprovals] Response:', data)
       if (data.success) {
         setRequests(data.requests || [])
-        setDebugInfo({ filter: data.filter, count: data.requests?.length || 0, hodDept: auth.department })
+        setDebugInfo({ filter: data.filter, count: data.requests?.length || 0, dept: auth.role === 'admin' ? 'All' : auth.department })
         return data
       } else {
         showError('Failed to load', data.error || 'Could not fetch requests')
@@ -53,13 +93,21 @@ function LeaveApprovals() {
     }
   }, [])
 
-  const act = async (id, action) => {
+  const act = async (request, action) => {
+    const id = request._id
     try {
-      const opts = action === 'approve' ? { timeout: 120000 } : {}
-      const data = await apiClient.patch(`/api/leaves?id=${id}&action=${action}`, { hodId: auth.id }, Object.assign({}, opts, { dispatch: false }))
+      const opts = action === 'approve' ? { timeout: 120000, headers: ifMatch(request) } : { headers: ifMatch(request) }
+      const note = (comments[id] || '').trim()
+      const body = action === 'approve' ? { hodId: auth.id, comments: note } : { hodId: auth.id, reason: note }
+      const data = await apiClient.patch(`/api/leaves?id=${id}&action=${action}`, body, Object.assign({}, opts, { dispatch: false }))
       if (data && data.success) {
+        if (data.quotaWarning) showWarning('Over quota', data.quotaWarning)
+        const next = data.request?.status === 'requested' && (data.request.approvals || []).find(step => step.status === 'pending')
+        setComments(prev => ({ ...prev, [id]: '' }))
         // If approve, prefer to show WhatsApp send result if available
-        if (action === 'approve' && data.whatsappResult) {
+        if (next) {
+          showSuccess(request.pendingRole === 'class_advisor' ? 'Recommended' : 'Approved', `Sent on to the ${next.label}`)
+        } else if (action === 'approve' && data.whatsappResult) {
           const wr = data.whatsappResult
           if (wr.sentPdf) {
             showSuccess('Approved & Sent', 'Leave letter PDF sent via WhatsApp')
@@ -81,6 +129,11 @@ function LeaveApprovals() {
         showError('Failed', data?.error || 'Could not update request')
       }
     } catch (err) {
+      if (isVersionConflict(err)) {
+        showWarning('Request changed', `This request is now ${err.data.current?.status || 'updated'}. The list has been refreshed.`)
+        fetchRequests()
+        return
+      }
       // Handle client-side aborts (timeout)
       if (err && (err.name === 'AbortError' || String(err).includes('signal is aborted') || String(err).includes('timeout'))) {
         // Refresh the pending requests to determine if approval actually completed on the server
@@ -105,30 +158,44 @@ function LeaveApprovals() {
     <div className="px-4 py-4 w-full max-w-4xl mx-auto">
       <div className="flex items-center justify-between mb-4">
         <h1 className="text-2xl font-bold">Leave Approvals</h1>
-        <button onClick={fetchRequests} className="px-3 py-2 text-sm rounded-lg border bg-white hover:bg-gray-50" disabled={loading}>
-          {loading ? 'Loading...' : 'Refresh'}
-        </button>
+        <div className="flex gap-2">
+          <Link to="/late-arrivals" className="px-3 py-2 text-sm rounded-lg border bg-white hover:bg-gray-50">Late Arrivals</Link>
+          <button onClick={fetchRequests} className="px-3 py-2 text-sm rounded-lg border bg-white hover:bg-gray-50" disabled={loading}>
+            {loading ? 'Loading...' : 'Refresh'}
+          </button>
+        </div>
       </div>
       {debugInfo && (
         <div className="mb-4 p-3 bg-blue-50 rounded-lg text-xs">
-          <div>HOD Dept: {debugInfo.hodDept}</div>
+          <div>Dept: {debugInfo.dept}</div>
           <div>Found: {debugInfo.count} requests</div>
         </div>
       )}
+      {auth.role === 'hod' && <LeavePolicyEditor department={auth.department} />}
       {loading ? (
         <div className="p-4 text-gray-500">Loading...</div>
       ) : (
         <ul className="divide-y bg-white rounded-xl shadow">
           {requests.map(r => (
-            <li key={r._id} className="p-4 flex items-center justify-between">
+            <li key={r._id} className="p-4 flex flex-col sm:flex-row sm:items-center justify-between gap-3">
               <div>
                 <div className="font-medium">{r.studentDetails?.name} ({r.studentDetails?.regNumber})</div>
                 <div className="text-sm text-gray-600">{new Date(r.startDate).toLocaleDateString()} → {new Date(r.endDate).toLocaleDateString()}</div>
                 <div className="text-sm text-gray-600">Reason: {r.reason}</div>
+                <LeaveBalanceLine request={r} />
+                <ApprovalChainLine request={r} />
               </div>
-              <div className="flex gap-2">
-                <button onClick={() => act(r._id, 'approve')} className="px-3 py-2 text-sm rounded-lg bg-green-600 text-white">Approve</button>
-                <button onClick={() => act(r._id, 'reject')} className="px-3 py-2 text-sm rounded-lg bg-red-600 text-white">Reject</button>
+              <div className="flex flex-col gap-2 sm:w-64">
+                <input
+                  value={comments[r._id] || ''}
+                  onChange={e => setComments(prev => ({ ...prev, [r._id]: e.target.value }))}
+                  placeholder="Comments / reason (optional)"
+                  className="w-full rounded-lg border border-gray-300 px-2 py-1.5 text-sm"
+                />
+                <div className="flex gap-2">
+                  <button onClick={() => act(r, 'approve')} className="flex-1 px-3 py-2 text-sm rounded-lg bg-green-600 text-white">{actionLabel(r)}</button>
+                  <button onClick={() => act(r, 'reject')} className="flex-1 px-3 py-2 text-sm rounded-lg bg-red-600 text-white">Reject</button>
+                </div>
               </div>
             </li>
           ))}
@@ -181,6 +181,10 @@ function Login() {
           phoneNumber: data.user.phoneNumber,
           parentPhoneNumber: data.user.parentPhoneNumber,
           eSignature: data.user.eSignature || null,
+          accessToken: data.accessToken,
+          refreshToken: data.refreshToken,
+          accessTokenExpiresAt: data.accessTokenExpiresAt,
+          refreshTokenExpiresAt: data.refreshTokenExpiresAt,
           loginTime: new Date().toISOString()
         }
         localStorage.setItem('auth', JSON.stringify(authData))
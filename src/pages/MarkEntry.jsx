@@ -0,0 +1,427 @@
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import apiClient from '../utils/apiClient'
+import { getUserFriendlyMessage } from '../utils/apiErrorMessages'
+import { useAlert } from '../components/AlertContext'
+import ConfirmDialog from '../components/ConfirmDialog'
+
+const YEARS = ['I', 'II', 'III', 'IV']
+const SEMESTERS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII']
+
+const STATUS_STYLES = {
+  not_started: 'bg-gray-100 text-gray-700',
+  draft: 'bg-yellow-100 text-yellow-800',
+  locked: 'bg-green-100 text-green-800'
+}
+const STATUS_LABELS = { not_started: 'Not started', draft: 'Draft', locked: 'Locked' }
+
+const CELL_TEXT = { missing: '—', absent: 'AB', not_taking: 'n/a' }
+
+const classKey = (item) => `${item.department}|${item.year}|${item.section}`
+const subjectLabel = (item) => [item.subjectCode, item.subjectName].filter(Boolean).join(' · ')
+
+// Marks as typed in the grid: '' for blank, 'AB' for absent
+const toGrid = (rows = []) => rows.map((row) => ({ ...row, value: row.absent ? 'AB' : (row.marks ?? '').toString() }))
+
+function MarkEntry() {
+  const { showSuccess, showError, showWarning } = useAlert()
+  const [auth] = useState(() => {
+    try {
+      const raw = localStorage.getItem('auth')
+      return raw ? JSON.parse(raw) : null
+    } catch {
+      return null
+    }
+  })
+  const isStaff = auth?.role === 'staff'
+  const [assignments, setAssignments] = useState([])
+  const [exam, setExam] = useState({ semester: '', examinationName: '', examinationDate: '' })
+  const [subjectId, setSubjectId] = useState('')
+  const [sheet, setSheet] = useState(null)
+  const [rowErrors, setRowErrors] = useState({})
+  const [classInfo, setClassInfo] = useState({ department: auth?.department || '', year: '', section: '' })
+  const [matrix, setMatrix] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [confirm, setConfirm] = useState(null)
+
+  useEffect(() => {
+    apiClient.get('/api/class-assignments', { cache: false, dedupe: false })
+      .then((data) => { if (data?.success) setAssignments(data.assignments || []) })
+      .catch((e) => showError('Error', getUserFriendlyMessage(e, 'Could not load your classes.')))
+  }, [])
+
+  const mySubjects = assignments.filter((item) => item.role === 'subject_teacher' && String(item.staffId) === String(auth?.id))
+  const advisedClasses = assignments.filter((item) => item.role === 'class_advisor' && String(item.staffId) === String(auth?.id))
+  const canConsolidate = !isStaff || advisedClasses.length > 0
+  const subject = mySubjects.find((item) => item._id === subjectId)
+  const examReady = exam.semester && exam.examinationName.trim()
+
+  const subjectQuery = (item) => new URLSearchParams({
+    department: item.department,
+    year: item.year,
+    section: item.section,
+    semester: exam.semester,
+    examinationName: exam.examinationName.trim(),
+    subjectCode: item.subjectCode || '',
+    subjectName: item.subjectName || ''
+  }).toString()
+
+  const subjectBody = (item) => ({
+    department: item.department,
+    year: item.year,
+    section: item.section,
+    semester: exam.semester,
+    examinationName: exam.examinationName.trim(),
+    subjectCode: item.subjectCode || '',
+    subjectName: item.subjectName || '',
+    examinationDate: exam.examinationDate || undefined
+  })
+
+  const loadSheet = async () => {
+    if (!subject || !examReady) return showError('Missing details', 'Choose a subject, semester and examination first')
+    try {
+      const data = await apiClient.get(`/api/mark-entry?action=sheet&${subjectQuery(subject)}`, { cache: false, dedupe: false })
+      if (data?.success) {
+        setSheet({ ...data.entry, rows: toGrid(data.entry.rows) })
+        setRowErrors({})
+        if (data.entry.examinationDate) setExam((prev) => ({ ...prev, examinationDate: prev.examinationDate || data.entry.examinationDate.slice(0, 10) }))
+      }
+    } catch (e) {
+      showError('Error', getUserFriendlyMessage(e, 'Could not load the marks.'))
+    }
+  }
+
+  const setMark = (index, value) => {
+    setSheet((prev) => ({ ...prev, rows: prev.rows.map((row, i) => (i === index ? { ...row, value: value.toUpperCase() } : row)) }))
+  }
+
+  // Shared by save, upload and lock: show the saved sheet or the rejected rows
+  const run = async (request, title, describe) => {
+    setSaving(true)
+    try {
+      const data = await request()
+      if (data?.success) {
+        setSheet({ ...data.entry, rows: toGrid(data.entry.rows) })
+        setRowErrors({})
+        showSuccess(title, describe(data.entry))
+      }
+    } catch (e) {
+      const errors = e?.data?.rowErrors || []
+      setRowErrors(Object.fromEntries(errors.map((item) => [item.regNumber, item.error])))
+      if (e?.data?.missing?.length) {
+        setRowErrors(Object.fromEntries(e.data.missing.map((regNumber) => [regNumber, 'Marks needed'])))
+      }
+      showError(`${title} failed`, getUserFriendlyMessage(e, 'Nothing was changed.'))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const saveDraft = () => run(
+    () => apiClient.post('/api/mark-entry?action=save', { ...subjectBody(subject), marks: sheet.rows.map((row) => ({ regNumber: row.regNumber, marks: row.value })) }),
+    'Draft saved',
+    (entry) => (entry.missing ? `${entry.missing} student(s) still need marks` : 'Every student has marks. Lock the subject when you are done.')
+  )
+
+  const uploadSheet = (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+    const body = new FormData()
+    Object.entries(subjectBody(subject)).forEach(([key, value]) => { if (value !== undefined) body.append(key, value) })
+    body.append('marksFile', file)
+    run(() => apiClient.post('/api/mark-entry?action=upload', body), 'Sheet uploaded', (entry) => `Marks saved as a draft${entry.missing ? `; ${entry.missing} student(s) still need marks` : ''}`)
+  }
+
+  const lockSubject = () => {
+    setConfirm(null)
+    run(() => apiClient.post('/api/mark-entry?action=lock', subjectBody(subject)), 'Locked', () => 'The class advisor can now consolidate this subject')
+  }
+
+  const loadMatrix = async (target = classInfo) => {
+    if (!target.department || !target.year || !target.section || !examReady) {
+      return showError('Missing details', 'Choose a class, semester and examination first')
+    }
+    try {
+      const query = new URLSearchParams({ ...target, semester: exam.semester, examinationName: exam.examinationName.trim() }).toString()
+      const data = await apiClient.get(`/api/mark-entry?action=completeness&${query}`, { cache: false, dedupe: false })
+      if (data?.success) setMatrix(data.completeness)
+    } catch (e) {
+      showError('Error', getUserFriendlyMessage(e, 'Could not load the class marks.'))
+    }
+  }
+
+  const unlockSubject = async (item) => {
+    setConfirm(null)
+    setSaving(true)
+    try {
+      const data = await apiClient.post('/api/mark-entry?action=unlock', { ...matrix.exam, subjectCode: item.subjectCode, subjectName: item.subjectName })
+      if (data?.success) {
+        showSuccess('Unlocked', `${item.staffName} can edit ${item.subjectName} again`)
+        await loadMatrix(matrix.exam)
+      }
+    } catch (e) {
+      showError('Unlock failed', getUserFriendlyMessage(e, 'Nothing was changed.'))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const consolidate = async () => {
+    setConfirm(null)
+    setSaving(true)
+    try {
+      const data = await apiClient.post('/api/mark-entry?action=consolidate', { ...matrix.exam, examinationDate: exam.examinationDate || undefined })
+      if (data?.success) {
+        const message = `${data.created} marksheet(s) created, ${data.updated} updated, ${data.unchanged} unchanged`
+        if (data.skipped.length > 0) {
+          showWarning('Consolidated', `${message}. Left alone: ${data.skipped.map((item) => `${item.regNumber} (${item.error})`).join(', ')}`)
+        } else {
+          showSuccess('Consolidated', `${message}. Verify them on the Marksheets page.`)
+        }
+        await loadMatrix(matrix.exam)
+      }
+    } catch (e) {
+      showError('Consolidation failed', getUserFriendlyMessage(e, 'Nothing was changed.'))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const inputClass = 'px-2 py-1 border border-gray-300 rounded'
+  const locked = sheet?.status === 'locked'
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50">
+      <div className="container mx-auto px-4 sm:px-6 lg:px-8 py-6 sm:py-8 space-y-6">
+        <div>
+          <Link to="/marksheets" className="text-sm text-blue-700">← Marksheets</Link>
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mt-1">Subject Mark Entry</h1>
+          <p className="text-sm text-gray-600 mt-1">
+            Subject teachers enter and lock the marks of their subject. Once every subject of a class is locked, the class advisor consolidates them into marksheets for verification and dispatch.
+          </p>
+        </div>
+
+        <div className="glass-card p-4 rounded-2xl flex flex-wrap items-end gap-3">
+          <label className="text-sm text-gray-700">
+            Semester
+            <select value={exam.semester} onChange={(e) => setExam((prev) => ({ ...prev, semester: e.target.value }))} className={`mt-1 block ${inputClass}`}>
+              <option value="">—</option>
+              {SEMESTERS.map((semester) => <option key={semester} value={semester}>{semester}</option>)}
+            </select>
+          </label>
+          <label className="text-sm text-gray-700">
+            Examination
+            <input value={exam.examinationName} onChange={(e) => setExam((prev) => ({ ...prev, examinationName: e.target.value }))} placeholder="CIA 1" className={`mt-1 block ${inputClass}`} />
+          </label>
+          <label className="text-sm text-gray-700">
+            Examination date
+            <input type="date" value={exam.examinationDate} onChange={(e) => setExam((prev) => ({ ...prev, examinationDate: e.target.value }))} className={`mt-1 block ${inputClass}`} />
+          </label>
+        </div>
+
+        {isStaff && (
+          <div className="glass-card p-4 rounded-2xl space-y-4">
+            <div className="flex flex-wrap items-end gap-3">
+              <h2 className="font-semibold text-gray-900 w-full">My subjects</h2>
+              {mySubjects.length === 0 ? (
+                <p className="text-sm text-gray-600">You have no subject assignments. Ask your HOD to assign your subjects on the Class Assignments page.</p>
+              ) : (
+                <>
+                  <select value={subjectId} onChange={(e) => { setSubjectId(e.target.value); setSheet(null) }} className={inputClass}>
+                    <option value="">Choose a subject...</option>
+                    {mySubjects.map((item) => (
+                      <option key={item._id} value={item._id}>{item.department} {item.year} {item.section} · {subjectLabel(item)}</option>
+                    ))}
+                  </select>
+                  <button type="button" onClick={loadSheet} className="px-4 py-2 rounded-lg bg-indigo-600 text-white text-sm font-semibold">Open</button>
+                </>
+              )}
+            </div>
+
+            {sheet && (
+              <>
+                <div className="flex flex-wrap items-center gap-3">
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${STATUS_STYLES[sheet.status]}`}>{STATUS_LABELS[sheet.status]}</span>
+                  <span className="text-sm text-gray-600">{sheet.rows.length} student(s) · {sheet.missing} without marks</span>
+                  {!locked && (
+                    <div className="ml-auto flex flex-wrap gap-2">
+                      <input type="file" accept=".xlsx,.xls,.csv" onChange={uploadSheet} className="hidden" id="marksFile" />
+                      <label htmlFor="marksFile" className={`px-4 py-2 rounded-lg bg-white border border-gray-300 text-green-700 text-sm font-semibold cursor-pointer ${saving ? 'opacity-60 pointer-events-none' : ''}`}>
+                        Upload Sheet
+                      </label>
+                      <button type="button" onClick={saveDraft} disabled={saving} className="px-4 py-2 rounded-lg bg-white border border-gray-300 text-indigo-700 text-sm font-semibold disabled:opacity-60">
+                        Save Draft
+                      </button>
+                      <button
+                        type="button"
+                        disabled={saving || !sheet._id}
+                        onClick={() => setConfirm({
+                          title: `Lock ${subject.subjectName}`,
+                          description: 'Locked marks can only be changed after the class advisor unlocks them. Save your latest changes before locking.',
+                          confirmLabel: 'Lock',
+                          onConfirm: lockSubject
+                        })}
+                        className="px-4 py-2 rounded-lg bg-indigo-600 text-white text-sm font-semibold disabled:opacity-60"
+                      >
+                        Lock
+                      </button>
+                    </div>
+                  )}
+                </div>
+                <p className="text-xs text-gray-500">Uploaded sheets need RegNumber and Marks columns. Enter AB for an absent student.</p>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-gray-600 border-b">
+                        <th className="py-2 pr-4">Reg No</th>
+                        <th className="py-2 pr-4">Name</th>
+                        <th className="py-2 pr-4">Marks</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {sheet.rows.map((row, index) => (
+                        <tr key={row.regNumber} className="border-b last:border-0">
+                          <td className="py-1 pr-4">{row.regNumber}</td>
+                          <td className="py-1 pr-4">{row.name}</td>
+                          <td className="py-1 pr-4">
+                            <input
+                              value={row.value}
+                              onChange={(e) => setMark(index, e.target.value)}
+                              disabled={locked}
+                              className={`w-20 ${inputClass} ${rowErrors[row.regNumber] ? 'border-red-500' : ''}`}
+                            />
+                            {rowErrors[row.regNumber] && <span className="ml-2 text-xs text-red-600">{rowErrors[row.regNumber]}</span>}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+          </div>
+        )}
+
+        {canConsolidate && (
+          <div className="glass-card p-4 rounded-2xl space-y-4">
+            <div className="flex flex-wrap items-end gap-3">
+              <h2 className="font-semibold text-gray-900 w-full">Class completeness</h2>
+              {isStaff ? (
+                <select
+                  value={classKey(classInfo)}
+                  onChange={(e) => {
+                    const item = advisedClasses.find((advised) => classKey(advised) === e.target.value)
+                    if (item) setClassInfo({ department: item.department, year: item.year, section: item.section })
+                  }}
+                  className={inputClass}
+                >
+                  <option value={classKey({ department: auth?.department, year: '', section: '' })}>Choose your class...</option>
+                  {advisedClasses.map((item) => <option key={item._id} value={classKey(item)}>{item.department} {item.year} {item.section}</option>)}
+                </select>
+              ) : (
+                <>
+                  <input value={classInfo.department} onChange={(e) => setClassInfo((prev) => ({ ...prev, department: e.target.value.toUpperCase() }))} placeholder="Department" className={`w-28 ${inputClass}`} />
+                  <select value={classInfo.year} onChange={(e) => setClassInfo((prev) => ({ ...prev, year: e.target.value }))} className={inputClass}>
+                    <option value="">Year</option>
+                    {YEARS.map((year) => <option key={year} value={year}>{year}</option>)}
+                  </select>
+                  <input value={classInfo.section} onChange={(e) => setClassInfo((prev) => ({ ...prev, section: e.target.value.toUpperCase() }))} placeholder="Section" className={`w-20 ${inputClass}`} />
+                </>
+              )}
+              <button type="button" onClick={() => loadMatrix()} className="px-4 py-2 rounded-lg bg-indigo-600 text-white text-sm font-semibold">Show</button>
+              {matrix && (
+                <button
+                  type="button"
+                  disabled={saving || !matrix.ready}
+                  onClick={() => setConfirm({
+                    title: `Consolidate ${matrix.exam.examinationName}`,
+                    description: `Build one marksheet per student of ${matrix.exam.department} ${matrix.exam.year} ${matrix.exam.section} from the ${matrix.subjects.length} locked subject(s)?\n` +
+                      'Existing marksheets for this examination are updated and go back to draft for verification.',
+                    confirmLabel: 'Consolidate',
+                    onConfirm: consolidate
+                  })}
+                  className="ml-auto px-4 py-2 rounded-lg bg-green-600 text-white text-sm font-semibold disabled:opacity-60"
+                  title={matrix.ready ? '' : 'Every subject must be locked first'}
+                >
+                  {saving ? 'Working...' : 'Consolidate Marksheets'}
+                </button>
+              )}
+            </div>
+
+            {matrix && matrix.subjects.length === 0 && (
+              <p className="text-sm text-gray-600">No subjects for this class and examination yet. Subjects appear once they are assigned to subject teachers.</p>
+            )}
+
+            {matrix && matrix.subjects.length > 0 && (
+              <>
+                {matrix.marksheets > 0 && (
+                  <p className="text-sm text-gray-600">{matrix.marksheets} marksheet(s) already exist for this examination.</p>
+                )}
+                <div className="overflow-x-auto">
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-gray-600 border-b align-bottom">
+                        <th className="py-2 pr-4">Student</th>
+                        {matrix.subjects.map((item) => (
+                          <th key={item.subjectKey} className="py-2 pr-4 min-w-[8rem]">
+                            <div className="font-semibold text-gray-900">{item.subjectCode || item.subjectName}</div>
+                            <div className="text-xs font-normal">{item.staffName}</div>
+                            <div className="flex items-center gap-2 mt-1">
+                              <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${STATUS_STYLES[item.status]}`}>{STATUS_LABELS[item.status]}</span>
+                              {item.status === 'locked' && (
+                                <button
+                                  type="button"
+                                  disabled={saving}
+                                  onClick={() => setConfirm({
+                                    title: `Unlock ${item.subjectName}`,
+                                    description: `${item.staffName} will be able to change these marks again. Consolidate again once they re-lock it.`,
+                                    confirmLabel: 'Unlock',
+                                    onConfirm: () => unlockSubject(item)
+                                  })}
+                                  className="text-xs text-red-700 font-semibold disabled:opacity-60"
+                                >
+                                  Unlock
+                                </button>
+                              )}
+                            </div>
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {matrix.students.map((student) => (
+                        <tr key={student.regNumber} className="border-b last:border-0">
+                          <td className="py-1 pr-4 whitespace-nowrap">{student.regNumber} · {student.name}</td>
+                          {matrix.subjects.map((item) => {
+                            const cell = student.cells[item.subjectKey]
+                            return (
+                              <td key={item.subjectKey} className={`py-1 pr-4 ${cell.state === 'missing' ? 'text-red-600' : 'text-gray-900'}`}>
+                                {cell.state === 'entered' ? cell.marks : CELL_TEXT[cell.state]}
+                              </td>
+                            )
+                          })}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+
+      <ConfirmDialog
+        open={!!confirm}
+        title={confirm?.title}
+        description={confirm?.description}
+        confirmLabel={confirm?.confirmLabel}
+        onConfirm={() => confirm?.onConfirm()}
+        onCancel={() => setConfirm(null)}
+      />
+    </div>
+  )
+}
+
+export default MarkEntry
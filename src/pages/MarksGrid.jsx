@@ -0,0 +1,392 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import apiClient from '../utils/apiClient'
+import { getUserFriendlyMessage } from '../utils/apiErrorMessages'
+import { useAlert } from '../components/AlertContext'
+import { DEFAULT_GRADING_SCHEME, calculateResult, parseMarkInput } from '../../shared/grading'
+import { normalizeSubjectKey } from '../../shared/subjectCatalog'
+
+const YEARS = ['I', 'II', 'III', 'IV']
+
+const RESULT_STYLES = {
+  Pass: 'bg-green-100 text-green-800',
+  Fail: 'bg-red-100 text-red-800',
+  Absent: 'bg-gray-200 text-gray-700'
+}
+
+// Same column key as the server (lib/markEntry.js subjectKeyOf)
+const keyOf = (subject) => (subject.subjectCode || '').trim().toUpperCase() || normalizeSubjectKey((subject.subjectName || '').trim())
+const cellKey = (rowId, subjectKey) => `${rowId}:${subjectKey}`
+const cellText = (subject) => (subject?.result === 'Absent' ? 'AB' : (subject?.marks ?? '').toString())
+
+// Tab/newline separated text, as copied from Excel or Google Sheets
+const readClipboardGrid = (text) => {
+  const lines = text.replace(/\r/g, '').split('\n')
+  if (lines[lines.length - 1] === '') lines.pop()
+  return lines.map((line) => line.split('\t'))
+}
+
+function MarksGrid() {
+  const { showSuccess, showError, showWarning } = useAlert()
+  const [searchParams] = useSearchParams()
+  const [auth] = useState(() => {
+    try {
+      const raw = localStorage.getItem('auth')
+      return raw ? JSON.parse(raw) : null
+    } catch {
+      return null
+    }
+  })
+  const isStaff = auth?.role === 'staff'
+  const [filters, setFilters] = useState(() => ({
+    department: searchParams.get('department') || auth?.department || '',
+    year: searchParams.get('year') || (isStaff ? auth?.year : '') || '',
+    section: searchParams.get('section') || (isStaff ? auth?.section : '') || '',
+    examinationName: searchParams.get('examinationName') || ''
+  }))
+  const [examinations, setExaminations] = useState([])
+  const [grid, setGrid] = useState({ columns: [], rows: [], schemes: {} })
+  const [edits, setEdits] = useState({})
+  const [cellErrors, setCellErrors] = useState({})
+  const [conflicted, setConflicted] = useState(() => new Set())
+  const [loading, setLoading] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const inputs = useRef(new Map())
+
+  const changedCount = Object.keys(edits).length
+  const query = (extra = {}) => new URLSearchParams({ action: 'grid', department: filters.department, year: filters.year, section: filters.section, ...extra }).toString()
+
+  useEffect(() => {
+    if (!filters.department || !filters.year) return
+    apiClient.get(`/api/marksheets?${query()}`, { cache: false, dedupe: false })
+      .then((data) => { if (data?.success) setExaminations(data.examinations || []) })
+      .catch((e) => showError('Error', getUserFriendlyMessage(e, 'Could not load the examinations.')))
+  }, [filters.department, filters.year, filters.section])
+
+  const loadGrid = async () => {
+    if (!filters.examinationName) {
+      setGrid({ columns: [], rows: [], schemes: {} })
+      return
+    }
+    setLoading(true)
+    try {
+      const data = await apiClient.get(`/api/marksheets?${query({ examinationName: filters.examinationName })}`, { cache: false, dedupe: false })
+      if (data?.success) {
+        setGrid({ columns: data.columns || [], rows: data.rows || [], schemes: data.schemes || {} })
+        setEdits({})
+        setCellErrors({})
+        setConflicted(new Set())
+      }
+    } catch (e) {
+      showError('Error', getUserFriendlyMessage(e, 'Could not load the marks.'))
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => { loadGrid() }, [filters.examinationName])
+
+  // Unsaved cells would be lost on reload or when leaving the page
+  useEffect(() => {
+    if (changedCount === 0) return undefined
+    const warn = (event) => { event.preventDefault(); event.returnValue = '' }
+    window.addEventListener('beforeunload', warn)
+    return () => window.removeEventListener('beforeunload', warn)
+  }, [changedCount])
+
+  const schemeOf = (row) => grid.schemes[row.regulation] || DEFAULT_GRADING_SCHEME
+  const subjectOf = (row, column) => row.subjects.find((subject) => keyOf(subject) === column.subjectKey)
+  const editable = (row, column) => !row.locked && !column.hasComponents && Boolean(subjectOf(row, column))
+  const valueOf = (row, column) => edits[cellKey(row._id, column.subjectKey)] ?? cellText(subjectOf(row, column))
+
+  const cellProblem = (row, column) => {
+    const key = cellKey(row._id, column.subjectKey)
+    if (cellErrors[key]) return cellErrors[key]
+    if (edits[key] === undefined) return null
+    const parsed = parseMarkInput(edits[key], schemeOf(row).maxMarks)
+    if (parsed.error) return parsed.error
+    return !parsed.absent && parsed.marks === null ? 'Enter marks or AB' : null
+  }
+
+  // Pass/fail of every row with the valid edits applied, graded like the server does
+  const results = useMemo(() => Object.fromEntries(grid.rows.map((row) => {
+    const scheme = grid.schemes[row.regulation] || DEFAULT_GRADING_SCHEME
+    const subjects = row.subjects.map((subject) => {
+      const edit = edits[cellKey(row._id, keyOf(subject))]
+      if (edit === undefined) return subject
+      const parsed = parseMarkInput(edit, scheme.maxMarks)
+      if (parsed.error || (!parsed.absent && parsed.marks === null)) return subject
+      return { ...subject, marks: parsed.marks, result: parsed.absent ? 'Absent' : undefined, grade: undefined }
+    })
+    const result = calculateResult(subjects, scheme)
+    return [row._id, { overallResult: result.overallResult, subjects: new Map(result.subjects.map((subject) => [keyOf(subject), subject.result])) }]
+  })), [grid, edits])
+
+  const setCell = (row, column, value, pending = edits) => {
+    const key = cellKey(row._id, column.subjectKey)
+    const next = { ...pending }
+    if (value.trim().toUpperCase() === cellText(subjectOf(row, column)).toUpperCase()) {
+      delete next[key]
+    } else {
+      next[key] = value
+    }
+    return next
+  }
+
+  const changeCell = (row, column, value) => {
+    setEdits((prev) => setCell(row, column, value, prev))
+    setCellErrors((prev) => {
+      const next = { ...prev }
+      delete next[cellKey(row._id, column.subjectKey)]
+      return next
+    })
+  }
+
+  // Move from a cell, stepping over students who don't take a subject
+  const moveFocus = (rowIndex, columnIndex, rowStep, columnStep) => {
+    let row = rowIndex + rowStep
+    let column = columnIndex + columnStep
+    while (row >= 0 && row < grid.rows.length && column >= 0 && column < grid.columns.length) {
+      const target = inputs.current.get(`${row}:${column}`)
+      if (target) {
+        target.focus()
+        target.select()
+        return
+      }
+      row += rowStep
+      column += columnStep
+    }
+  }
+
+  const handleKeyDown = (event, rowIndex, columnIndex) => {
+    const input = event.target
+    const allSelected = input.selectionStart === 0 && input.selectionEnd === input.value.length
+    const atStart = allSelected || input.selectionEnd === 0
+    const atEnd = allSelected || input.selectionStart === input.value.length
+    if (event.key === 'ArrowDown' || (event.key === 'Enter' && !event.shiftKey)) {
+      event.preventDefault()
+      moveFocus(rowIndex, columnIndex, 1, 0)
+    } else if (event.key === 'ArrowUp' || (event.key === 'Enter' && event.shiftKey)) {
+      event.preventDefault()
+      moveFocus(rowIndex, columnIndex, -1, 0)
+    } else if (event.key === 'ArrowLeft' && atStart) {
+      event.preventDefault()
+      moveFocus(rowIndex, columnIndex, 0, -1)
+    } else if (event.key === 'ArrowRight' && atEnd) {
+      event.preventDefault()
+      moveFocus(rowIndex, columnIndex, 0, 1)
+    } else if (event.key === 'Escape') {
+      const row = grid.rows[rowIndex]
+      const column = grid.columns[columnIndex]
+      changeCell(row, column, cellText(subjectOf(row, column)))
+    }
+  }
+
+  // A block copied from a spreadsheet fills the grid from the focused cell
+  const handlePaste = (event, rowIndex, columnIndex) => {
+    const text = event.clipboardData.getData('text')
+    if (!/[\t\n]/.test(text)) return
+    event.preventDefault()
+    let next = edits
+    let skipped = 0
+    readClipboardGrid(text).forEach((values, i) => {
+      values.forEach((value, j) => {
+        const row = grid.rows[rowIndex + i]
+        const column = grid.columns[columnIndex + j]
+        if (!row || !column || !editable(row, column)) {
+          skipped++
+          return
+        }
+        next = setCell(row, column, value.trim(), next)
+      })
+    })
+    setEdits(next)
+    if (skipped > 0) showWarning('Paste', `${skipped} pasted value(s) fell outside the editable cells and were left out`)
+  }
+
+  const discard = () => {
+    setEdits({})
+    setCellErrors({})
+  }
+
+  const save = async () => {
+    const invalid = grid.rows.flatMap((row) => grid.columns.filter((column) => edits[cellKey(row._id, column.subjectKey)] !== undefined && cellProblem(row, column)))
+    if (invalid.length > 0) {
+      return showError('Check the highlighted cells', 'Marks must be within the allowed range, or AB for absent')
+    }
+    const updates = grid.rows.map((row) => ({
+      marksheetId: row._id,
+      updatedAt: row.updatedAt,
+      cells: grid.columns
+        .filter((column) => edits[cellKey(row._id, column.subjectKey)] !== undefined)
+        .map((column) => ({ subjectKey: column.subjectKey, value: edits[cellKey(row._id, column.subjectKey)] }))
+    })).filter((update) => update.cells.length > 0)
+    if (updates.length === 0) return
+
+    setSaving(true)
+    try {
+      const data = await apiClient.post('/api/marksheets?action=batch-update', { updates })
+      if (data?.success) {
+        const saved = new Map(data.rows.map((row) => [String(row._id), row]))
+        setGrid((prev) => ({ ...prev, rows: prev.rows.map((row) => saved.get(String(row._id)) || row) }))
+        setEdits({})
+        setCellErrors({})
+        setConflicted(new Set())
+        showSuccess('Marks saved', `${data.updated} marksheet(s) updated and moved back to draft for verification`)
+      }
+    } catch (e) {
+      if (e?.data?.conflicts?.length) {
+        // Take the other person's marks and keep this user's edits on top of them
+        const current = new Map(e.data.conflicts.map((conflict) => [String(conflict.marksheetId), conflict.row]))
+        const rows = grid.rows.map((row) => current.get(String(row._id)) || row)
+        setGrid((prev) => ({ ...prev, rows }))
+        setEdits((prev) => {
+          let next = {}
+          for (const row of rows) {
+            for (const column of grid.columns) {
+              const edit = prev[cellKey(row._id, column.subjectKey)]
+              if (edit !== undefined) next = setCell(row, column, edit, next)
+            }
+          }
+          return next
+        })
+        setConflicted(new Set(current.keys()))
+        showWarning('Changed by someone else', `${current.size} student(s) were updated since you loaded the grid. Their rows now show the latest marks with your edits on top; check them and save again.`)
+      } else if (e?.data?.rowErrors?.length) {
+        setCellErrors(Object.fromEntries(e.data.rowErrors.map((item) => [cellKey(item.marksheetId, item.subjectKey || ''), item.error])))
+        showError('Marks not saved', getUserFriendlyMessage(e, 'Nothing was changed.'))
+      } else {
+        showError('Marks not saved', getUserFriendlyMessage(e, 'Nothing was changed. Reload the grid and try again.'))
+      }
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const inputClass = 'px-2 py-1 border border-gray-300 rounded'
+  const setFilter = (field, value) => setFilters((prev) => ({ ...prev, [field]: value, ...(field === 'examinationName' ? {} : { examinationName: '' }) }))
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50">
+      <div className="container mx-auto px-4 sm:px-6 lg:px-8 py-6 sm:py-8 space-y-6">
+        <div>
+          <Link to="/marksheets" className="text-sm text-blue-700">← Marksheets</Link>
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mt-1">Marks Grid</h1>
+          <p className="text-sm text-gray-600 mt-1">
+            Edit an examination&apos;s marks for the whole class. Use the arrow keys or Enter to move, paste a block copied from Excel, and type AB for absent. Edited marksheets go back to draft for verification.
+          </p>
+        </div>
+
+        <div className="glass-card p-4 rounded-2xl flex flex-wrap items-end gap-3">
+          <label className="text-sm text-gray-700">
+            Department
+            <input value={filters.department} disabled={changedCount > 0} onChange={(e) => setFilter('department', e.target.value.toUpperCase())} className={`mt-1 block w-24 ${inputClass}`} />
+          </label>
+          <label className="text-sm text-gray-700">
+            Year
+            <select value={filters.year} disabled={changedCount > 0} onChange={(e) => setFilter('year', e.target.value)} className={`mt-1 block ${inputClass}`}>
+              <option value="">—</option>
+              {YEARS.map((year) => <option key={year} value={year}>{year}</option>)}
+            </select>
+          </label>
+          <label className="text-sm text-gray-700">
+            Section
+            <input value={filters.section} disabled={changedCount > 0} onChange={(e) => setFilter('section', e.target.value.toUpperCase())} placeholder="All" className={`mt-1 block w-16 ${inputClass}`} />
+          </label>
+          <label className="text-sm text-gray-700">
+            Examination
+            <select value={filters.examinationName} disabled={changedCount > 0} onChange={(e) => setFilter('examinationName', e.target.value)} className={`mt-1 block ${inputClass}`}>
+              <option value="">Choose...</option>
+              {examinations.map((name) => <option key={name} value={name}>{name}</option>)}
+            </select>
+          </label>
+          {changedCount > 0 && (
+            <div className="ml-auto flex items-center gap-2">
+              <span className="text-sm text-gray-600">{changedCount} unsaved cell(s)</span>
+              <button type="button" onClick={discard} disabled={saving} className="px-4 py-2 rounded-lg bg-white border border-gray-300 text-gray-700 text-sm font-semibold disabled:opacity-60">
+                Discard
+              </button>
+              <button type="button" onClick={save} disabled={saving} className="px-4 py-2 rounded-lg bg-indigo-600 text-white text-sm font-semibold disabled:opacity-60">
+                {saving ? 'Saving...' : 'Save Changes'}
+              </button>
+            </div>
+          )}
+        </div>
+
+        {loading && <div className="glass-card p-6 rounded-2xl text-center text-gray-600">Loading marks...</div>}
+
+        {!loading && filters.examinationName && grid.rows.length === 0 && (
+          <div className="glass-card p-6 rounded-2xl text-center text-gray-600">No marksheets for this class and examination.</div>
+        )}
+
+        {!loading && grid.rows.length > 0 && (
+          <div className="glass-card p-4 rounded-2xl overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b align-bottom">
+                  <th className="py-2 pr-4">Reg No</th>
+                  <th className="py-2 pr-4">Name</th>
+                  {grid.columns.map((column) => (
+                    <th key={column.subjectKey} className="py-2 pr-2" title={column.hasComponents ? `${column.subjectName}: marks come from assessment components; edit them on the marksheet page` : column.subjectName}>
+                      {column.subjectCode || column.subjectName}
+                    </th>
+                  ))}
+                  <th className="py-2 pr-4">Result</th>
+                </tr>
+              </thead>
+              <tbody>
+                {grid.rows.map((row, rowIndex) => {
+                  const result = results[row._id]
+                  return (
+                    <tr key={row._id} className={`border-b last:border-0 ${conflicted.has(String(row._id)) ? 'bg-yellow-50' : ''}`}>
+                      <td className="py-1 pr-4 whitespace-nowrap">
+                        <Link to={`/marksheets/${row._id}`} className="text-blue-700">{row.regNumber}</Link>
+                      </td>
+                      <td className="py-1 pr-4 whitespace-nowrap" title={row.locked ? 'Dispatched or archived: raise a correction request to change marks' : ''}>
+                        {row.name}{row.locked && <span className="ml-1 text-xs text-gray-500">(locked)</span>}
+                        {cellErrors[cellKey(row._id, '')] && <div className="text-xs text-red-600">{cellErrors[cellKey(row._id, '')]}</div>}
+                      </td>
+                      {grid.columns.map((column, columnIndex) => {
+                        const key = cellKey(row._id, column.subjectKey)
+                        if (!subjectOf(row, column)) {
+                          return <td key={column.subjectKey} className="py-1 pr-2 text-gray-400">—</td>
+                        }
+                        const problem = cellProblem(row, column)
+                        const subjectResult = result?.subjects.get(column.subjectKey)
+                        return (
+                          <td key={column.subjectKey} className="py-1 pr-2">
+                            <input
+                              ref={(node) => {
+                                if (node) inputs.current.set(`${rowIndex}:${columnIndex}`, node)
+                                else inputs.current.delete(`${rowIndex}:${columnIndex}`)
+                              }}
+                              value={valueOf(row, column)}
+                              readOnly={!editable(row, column)}
+                              onChange={(e) => changeCell(row, column, e.target.value.toUpperCase())}
+                              onKeyDown={(e) => handleKeyDown(e, rowIndex, columnIndex)}
+                              onPaste={(e) => handlePaste(e, rowIndex, columnIndex)}
+                              onFocus={(e) => e.target.select()}
+                              title={problem || ''}
+                              className={`w-16 ${inputClass} ${problem ? 'border-red-500 bg-red-50' : edits[key] !== undefined ? 'border-indigo-500 bg-indigo-50' : ''} ${!editable(row, column) ? 'bg-gray-100 text-gray-500' : ''} ${subjectResult === 'Fail' ? 'text-red-700' : ''}`}
+                            />
+                          </td>
+                        )
+                      })}
+                      <td className="py-1 pr-4">
+                        {result?.overallResult && (
+                          <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${RESULT_STYLES[result.overallResult]}`}>{result.overallResult}</span>
+                        )}
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default MarksGrid
@@ -4,6 +4,61 @@ import { getUserFriendlyMessage } from '../utils/apiErrorMessages'
 import { useAlert } from '../components/AlertContext'
 import { useParams, useNavigate, useLocation } from 'react-router-dom'
 import { deriveOverallResult, deriveSubjectResult, isAttendanceSubject } from '../utils/resultUtils'
+import CorrectionRequestForm from '../components/CorrectionRequestForm'
+import ConfirmDialog from '../components/ConfirmDialog'
+import { ifMatch, isVersionConflict, mergeFields } from '../utils/versionConflict'
+import { openPdf } from '../utils/pdfLinks'
+import { computeComponentTotal, formatComponentMarks, getComponentBreakdown, isAbsentValue } from '../../shared/grading'
+
+const STATUS_META = {
+  draft: { label: 'Draft', className: 'bg-gray-100 text-gray-800' },
+  verified_by_staff: { label: 'Verified by Staff', className: 'bg-green-100 text-green-800' },
+  dispatch_requested: { label: 'Dispatch Requested', className: 'bg-yellow-100 text-yellow-800' },
+  approved_by_hod: { label: 'Approved by HOD', className: 'bg-blue-100 text-blue-800' },
+  rescheduled_by_hod: { label: 'Scheduled Dispatch', className: 'bg-indigo-100 text-indigo-800' },
+  rejected_by_hod: { label: 'Rejected by HOD', className: 'bg-red-100 text-red-800' },
+  dispatched: { label: 'Dispatched', className: 'bg-purple-100 text-purple-800' },
+  unknown: { label: 'Unknown', className: 'bg-gray-200 text-gray-700' }
+}
+
+// Editable copy of a marksheet; attendance is not edited here
+const formFromMarksheet = (marksheet) => ({
+  studentDetails: { ...(marksheet.studentDetails || {}) },
+  subjects: Array.isArray(marksheet.subjects)
+    ? marksheet.subjects
+      .filter((subject) => !isAttendanceSubject(subject))
+      .map((subject) => {
+        const normalizedResult = deriveSubjectResult(subject)
+        return {
+          ...subject,
+          result: normalizedResult === '—' ? 'Pass' : normalizedResult
+        }
+      })
+    : []
+})
+
+const subjectKey = (subject) => (subject.subjectCode || subject.subjectName || '').toString().trim().toUpperCase()
+
+/**
+ * The user's edits (`mine`, started from `base`) applied to the marksheet someone
+ * else saved (`theirs`). Returns the merged form and the fields both changed.
+ */
+function mergeMarksheetForm(base, mine, theirs) {
+  const details = mergeFields(base.studentDetails, mine.studentDetails, theirs.studentDetails)
+  const clashes = details.clashes.map((field) => `student ${field}`)
+  const baseSubjects = new Map(base.subjects.map((subject) => [subjectKey(subject), subject]))
+  const theirKeys = new Set(theirs.subjects.map(subjectKey))
+  const subjects = theirs.subjects.map((subject) => {
+    const edited = mine.subjects.find((item) => subjectKey(item) === subjectKey(subject))
+    if (!edited) return subject
+    const merged = mergeFields(baseSubjects.get(subjectKey(subject)), edited, subject)
+    clashes.push(...merged.clashes.map((field) => `${subject.subjectName} ${field}`))
+    return merged.merged
+  })
+  // Subjects the user added while editing
+  subjects.push(...mine.subjects.filter((subject) => !theirKeys.has(subjectKey(subject)) && !baseSubjects.has(subjectKey(subject))))
+  return { form: { ...mine, studentDetails: details.merged, subjects }, clashes }
+}
 
 function MarksheetDetails() {
   const { id } = useParams()
@@ -14,6 +69,8 @@ function MarksheetDetails() {
   const [error, setError] = useState('')
   const [editMode, setEditMode] = useState(false)
   const [form, setForm] = useState({ studentDetails: {}, subjects: [] })
+  const [conflict, setConflict] = useState(null)
+  const { showWarning, showError } = useAlert()
   const [userData] = useState(() => {
     try {
       const auth = localStorage.getItem('auth')
@@ -37,22 +94,7 @@ function MarksheetDetails() {
           setError(data?.error || 'Failed to load marksheet')
         } else {
           setMarksheet(data.marksheet)
-          if (data.marksheet) {
-            setForm({
-              studentDetails: { ...(data.marksheet.studentDetails || {}) },
-              subjects: Array.isArray(data.marksheet.subjects)
-                ? data.marksheet.subjects
-                  .filter((subject) => !isAttendanceSubject(subject))
-                  .map((subject) => {
-                    const normalizedResult = deriveSubjectResult(subject)
-                    return {
-                      ...subject,
-                      result: normalizedResult === '—' ? 'Pass' : normalizedResult
-                    }
-                  })
-                : []
-            })
-          }
+          setForm(formFromMarksheet(data.marksheet))
         }
       } catch (e) {
         setError(getUserFriendlyMessage(e, 'Unexpected error'))
@@ -64,17 +106,8 @@ function MarksheetDetails() {
   }, [id])
 
   const statusMeta = useMemo(() => {
-    const status = marksheet?.status === 'rescheduled_by_hod' ? 'dispatch_requested' : (marksheet?.status || 'unknown')
-    const map = {
-      draft: { label: 'Draft', className: 'bg-gray-100 text-gray-800' },
-      verified_by_staff: { label: 'Verified by Staff', className: 'bg-green-100 text-green-800' },
-      dispatch_requested: { label: 'Dispatch Requested', className: 'bg-yellow-100 text-yellow-800' },
-      approved_by_hod: { label: 'Approved by HOD', className: 'bg-blue-100 text-blue-800' },
-      rejected_by_hod: { label: 'Rejected by HOD', className: 'bg-red-100 text-red-800' },
-      dispatched: { label: 'Dispatched', className: 'bg-purple-100 text-purple-800' },
-      unknown: { label: 'Unknown', className: 'bg-gray-200 text-gray-700' }
-    }
-    return map[status] || map.unknown
+    const status = marksheet?.status || 'unknown'
+    return STATUS_META[status] || STATUS_META.unknown
   }, [marksheet])
 
   const staffMatchesMarksheet = useMemo(() => {
@@ -102,6 +135,8 @@ function MarksheetDetails() {
   }, [marksheet, userData])
 
   const canStaffEdit = userData?.role === 'staff' && staffMatchesMarksheet
+  // Marks parents have already received change only through an approved correction request
+  const isDispatched = marksheet?.status === 'dispatched'
   const overallResult = useMemo(() => deriveOverallResult(marksheet), [marksheet])
   const attendanceValue = useMemo(() => {
     const studentAttendance = marksheet?.studentDetails?.attendance
@@ -185,9 +220,21 @@ function MarksheetDetails() {
           <div className="glass-card p-3 sm:p-8 rounded-2xl sm:rounded-3xl transform transition-all duration-200 hover:-translate-y-0.5 hover:shadow-md hover:border-gray-300">
             <div className="flex items-start sm:items-center justify-between gap-2 sm:gap-3 mb-4 sm:mb-6">
               <h2 className="text-2xl sm:text-3xl font-bold text-gray-900 leading-tight break-words">{marksheet.studentDetails?.name}</h2>
-              <span className={`px-2 py-0.5 sm:px-3 sm:py-1 rounded-full text-[11px] sm:text-xs font-semibold ${statusMeta.className}`}>
-                {statusMeta.label.toUpperCase()}
-              </span>
+              <div className="flex flex-wrap justify-end gap-1.5">
+                {marksheet.revision > 0 && (
+                  <span className="px-2 py-0.5 sm:px-3 sm:py-1 rounded-full text-[11px] sm:text-xs font-semibold bg-rose-100 text-rose-800">
+                    REVISION {marksheet.revision}
+                  </span>
+                )}
+                {marksheet.archivedAt && (
+                  <span className="px-2 py-0.5 sm:px-3 sm:py-1 rounded-full text-[11px] sm:text-xs font-semibold bg-gray-200 text-gray-700" title="From a closed academic year. It is read-only.">
+                    ARCHIVED
+                  </span>
+                )}
+                <span className={`px-2 py-0.5 sm:px-3 sm:py-1 rounded-full text-[11px] sm:text-xs font-semibold ${statusMeta.className}`}>
+                  {statusMeta.label.toUpperCase()}
+                </span>
+              </div>
             </div>
 
             <div className="grid grid-cols-1 md:grid-cols-2 gap-3 sm:gap-6">
@@ -227,7 +274,14 @@ function MarksheetDetails() {
                     <p className="text-sm sm:text-base text-gray-700"><strong>Reg No:</strong> {marksheet.studentDetails?.regNumber}</p>
                     <p className="text-sm sm:text-base text-gray-700"><strong>Year/Sem:</strong> {marksheet.studentDetails?.year}/{marksheet.semester || marksheet.studentDetails?.semester || 'N/A'}</p>
                     <p className="text-sm sm:text-base text-gray-700"><strong>Department:</strong> {marksheet.studentDetails?.department}</p>
-                    <p className="text-sm sm:text-base text-gray-700"><strong>Attendance:</strong> {formattedAttendance}</p>
+                    <p className="text-sm sm:text-base text-gray-700">
+                      <strong>Attendance:</strong> {formattedAttendance}
+                      {marksheet.attendanceRegister?.computedAt && (
+                        <span className="ml-1 text-xs text-gray-500" title={`${marksheet.attendanceRegister.attended} of ${marksheet.attendanceRegister.conducted} attended`}>
+                          (register, {new Date(marksheet.attendanceRegister.from).toLocaleDateString('en-GB', { timeZone: 'UTC' })} – {new Date(marksheet.attendanceRegister.to).toLocaleDateString('en-GB', { timeZone: 'UTC' })})
+                        </span>
+                      )}
+                    </p>
                     <p className="text-sm sm:text-base text-gray-700"><strong>Parent:</strong> {marksheet.studentDetails?.parentPhoneNumber}</p>
                   </>
                 )}
@@ -237,6 +291,12 @@ function MarksheetDetails() {
                 <p className="text-sm sm:text-base text-gray-700"><strong>Examination Name:</strong> {marksheet.examinationName || 'N/A'}</p>
                 <p className="text-sm sm:text-base text-gray-700"><strong>Examination Date:</strong> {marksheet.examinationDate ? new Date(marksheet.examinationDate).toLocaleString('default', { month: 'long', year: 'numeric' }) : 'N/A'}</p>
                 <p className="text-sm sm:text-base text-gray-700"><strong>Overall Result:</strong> {overallResult}</p>
+                {typeof marksheet.sgpa === 'number' && (
+                  <p className="text-sm sm:text-base text-gray-700">
+                    <strong>SGPA:</strong> {marksheet.sgpa.toFixed(2)}
+                    <span className="text-gray-500"> ({marksheet.earnedCredits ?? 0}/{marksheet.totalCredits ?? 0} credits earned)</span>
+                  </p>
+                )}
                 <p className="text-sm sm:text-base text-gray-700"><strong>Staff:</strong> {marksheet.staffName}</p>
                 {marksheet.hodName && (<p className="text-sm sm:text-base text-gray-700"><strong>HOD:</strong> {marksheet.hodName}</p>)}
                 {marksheet.status === 'approved_by_hod' && marksheet.dispatchRequest?.respondedAt && (
@@ -255,6 +315,18 @@ function MarksheetDetails() {
                       <dd className="capitalize">{marksheet.dispatchRequest.hodResponse}</dd>
                     </div>
                   )}
+                  {marksheet.status === 'rescheduled_by_hod' && marksheet.dispatchRequest?.scheduledDispatchDate && (
+                    <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between">
+                      <dt className="font-medium">Scheduled For</dt>
+                      <dd>{new Date(marksheet.dispatchRequest.scheduledDispatchDate).toLocaleString()}</dd>
+                    </div>
+                  )}
+                  {marksheet.dispatchRequest?.autoDispatchFailed && (
+                    <div>
+                      <dt className="font-medium text-red-700">Automatic Dispatch Failed</dt>
+                      <dd className="text-red-700 mt-1">{marksheet.dispatchRequest.dispatchError || 'Unknown error'}</dd>
+                    </div>
+                  )}
                   {marksheet.dispatchRequest?.hodComments && (
                     <div>
                       <dt className="font-medium">Comments</dt>
@@ -269,22 +341,59 @@ function MarksheetDetails() {
               <h2 className="text-base sm:text-lg font-semibold text-gray-900 mb-2 sm:mb-3">Subjects</h2>
               {editMode ? (
                 <div className="space-y-3">
-                  {form.subjects.map((sub, idx) => (
-                    <div key={idx} className="grid grid-cols-3 gap-3 items-center">
-                      <input value={sub.subjectName ?? ''} onChange={e => setForm(prev => { const arr = [...prev.subjects]; arr[idx] = { ...arr[idx], subjectName: e.target.value }; return { ...prev, subjects: arr } })} className="border rounded-lg px-3 py-2" />
-                      <input type="number" value={sub.marks ?? ''} onChange={e => setForm(prev => { const arr = [...prev.subjects]; arr[idx] = { ...arr[idx], marks: e.target.value === '' ? '' : Number(e.target.value) }; return { ...prev, subjects: arr } })} className="border rounded-lg px-3 py-2" />
-                      <select 
-                        value={sub.result || ''}
-                        onChange={e => setForm(prev => { const arr = [...prev.subjects]; arr[idx] = { ...arr[idx], result: e.target.value }; return { ...prev, subjects: arr } })}
-                        className="border rounded-lg px-3 py-2"
-                      >
-                        <option value="">Select Result</option>
-                        <option value="Pass">Pass</option>
-                        <option value="Fail">Fail</option>
-                        <option value="Absent">Absent</option>
-                      </select>
-                    </div>
-                  ))}
+                  {form.subjects.map((sub, idx) => {
+                    // Subjects made of assessment components are edited through their components; the total follows
+                    const componentTotal = computeComponentTotal(sub.components)
+                    const setComponent = (cIdx, value) => setForm(prev => {
+                      const arr = [...prev.subjects]
+                      const components = [...arr[idx].components]
+                      const absent = isAbsentValue(value)
+                      components[cIdx] = { ...components[cIdx], absent, marks: absent || value === '' ? null : Number(value) }
+                      arr[idx] = { ...arr[idx], components }
+                      return { ...prev, subjects: arr }
+                    })
+                    return (
+                      <div key={idx}>
+                        <div className="grid grid-cols-3 gap-3 items-center">
+                          <input value={sub.subjectName ?? ''} onChange={e => setForm(prev => { const arr = [...prev.subjects]; arr[idx] = { ...arr[idx], subjectName: e.target.value }; return { ...prev, subjects: arr } })} className="border rounded-lg px-3 py-2" />
+                          {componentTotal ? (
+                            <input value={componentTotal.absent ? 'AB' : componentTotal.marks} disabled title="Total of the components, out of 100" className="border rounded-lg px-3 py-2 bg-gray-50 text-gray-600" />
+                          ) : (
+                            <input type="number" value={sub.marks ?? ''} onChange={e => setForm(prev => { const arr = [...prev.subjects]; arr[idx] = { ...arr[idx], marks: e.target.value === '' ? '' : Number(e.target.value) }; return { ...prev, subjects: arr } })} className="border rounded-lg px-3 py-2" />
+                          )}
+                          <select 
+                            value={sub.result || ''}
+                            onChange={e => setForm(prev => { const arr = [...prev.subjects]; arr[idx] = { ...arr[idx], result: e.target.value }; return { ...prev, subjects: arr } })}
+                            disabled={!!componentTotal}
+                            className="border rounded-lg px-3 py-2"
+                          >
+                            <option value="">Select Result</option>
+                            <option value="Pass">Pass</option>
+                            <option value="Fail">Fail</option>
+                            <option value="Absent">Absent</option>
+                          </select>
+                        </div>
+                        {componentTotal && (
+                          <div className="mt-2 ml-2 flex flex-wrap gap-3">
+                            {sub.components.map((component, cIdx) => (
+                              <label key={component.name} className="text-xs text-gray-600">
+                                {component.name} (/{component.maxMarks})
+                                <input
+                                  value={component.absent ? 'AB' : (component.marks ?? '')}
+                                  onChange={e => setComponent(cIdx, e.target.value)}
+                                  className="block w-20 border rounded px-2 py-1 text-sm"
+                                />
+                              </label>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    )
+                  })}
+                  <div>
+                    <label className="block text-sm text-gray-600 mb-1">Reason for change (optional)</label>
+                    <input value={form.comments || ''} onChange={e => setForm(prev => ({ ...prev, comments: e.target.value }))} className="w-full border rounded-lg px-3 py-2" placeholder="e.g., Revaluation result" />
+                  </div>
                 </div>
               ) : (
                 <div className="divide-y divide-gray-100">
@@ -293,20 +402,32 @@ function MarksheetDetails() {
                       <span className="text-sm sm:text-base text-gray-800 break-words min-w-0">{sub.subjectName}</span>
                       <div className="flex items-center justify-between sm:justify-end gap-2 text-sm sm:text-base text-gray-700">
                         <span className="font-semibold">{sub.marks ?? '—'}</span>
+                        {sub.grade && <span className="px-2 py-0.5 rounded bg-gray-100 text-gray-800 text-xs font-semibold">{sub.grade}</span>}
                         <span className="whitespace-nowrap">Result: {deriveSubjectResult(sub)}</span>
                       </div>
                     </div>
                   ))}
                 </div>
               )}
+              {!editMode && <ComponentBreakdown subjects={visibleSubjects} />}
             </div>
 
+            {userData?.role !== 'student' && (
+              <CorrectionsPanel marksheet={marksheet} canRequest={canStaffEdit && isDispatched && !editMode} role={userData?.role} />
+            )}
+
+            {userData?.role !== 'student' && (
+              <AuditTimeline marksheetId={marksheet._id} refreshKey={marksheet.updatedAt} />
+            )}
+
             <div className="mt-5 sm:mt-8 flex flex-col sm:flex-row gap-2 sm:gap-3">
               <button onClick={handleBack} className="px-3 sm:px-5 py-1.5 sm:py-2 text-sm sm:text-base bg-gray-100 text-gray-800 rounded-lg transform transition-all duration-200 hover:-translate-y-0.5 hover:shadow-md w-full sm:w-auto">Back</button>
               {!editMode && canStaffEdit && (
                 <>
                   <VerifyButton marksheet={marksheet} onVerified={setMarksheet} />
-                  <button onClick={() => setEditMode(true)} className="px-3 sm:px-5 py-1.5 sm:py-2 text-sm sm:text-base bg-blue-600 text-white rounded-lg transform transition-all duration-200 hover:-translate-y-0.5 hover:shadow-md w-full sm:w-auto">Edit & Regenerate</button>
+                  {!isDispatched && (
+                    <button onClick={() => setEditMode(true)} className="px-3 sm:px-5 py-1.5 sm:py-2 text-sm sm:text-base bg-blue-600 text-white rounded-lg transform transition-all duration-200 hover:-translate-y-0.5 hover:shadow-md w-full sm:w-auto">Edit & Regenerate</button>
+                  )}
                 </>
               )}
               {/* Refresh signatures button (staff or HOD owners) */}
@@ -316,10 +437,7 @@ function MarksheetDetails() {
                         <button
                           onClick={(e) => {
                             e.preventDefault()
-                            const ts = Date.now()
-                            const origin = window.location.origin
-                            const url = origin ? `${origin}/api/generate-pdf?marksheetId=${marksheet._id}&t=${ts}` : `/api/generate-pdf?marksheetId=${marksheet._id}&t=${ts}`
-                            window.open(url, '_blank')
+                            openPdf({ marksheetId: marksheet._id }).catch((err) => showError('Download failed', getUserFriendlyMessage(err, 'Could not open the marksheet.')))
                           }}
                           className="px-3 sm:px-5 py-1.5 sm:py-2 text-sm sm:text-base rounded-lg transform transition-all duration-200 hover:-translate-y-0.5 hover:shadow-md w-full sm:w-auto bg-yellow-600 text-white"
                         >
@@ -330,13 +448,80 @@ function MarksheetDetails() {
               {editMode && canStaffEdit && (
                 <>
                   <button onClick={() => setEditMode(false)} className="px-3 sm:px-5 py-1.5 sm:py-2 text-sm sm:text-base bg-gray-200 text-gray-800 rounded-lg transform transition-all duration-200 hover:-translate-y-0.5 hover:shadow-md w-full sm:w-auto">Cancel</button>
-                  <SaveEditsButton id={marksheet._id} form={form} onSaved={(m) => { setMarksheet(m); setEditMode(false) }} />
+                  <SaveEditsButton
+                    marksheet={marksheet}
+                    form={form}
+                    onSaved={(m) => { setMarksheet(m); setEditMode(false); setForm(prev => ({ ...prev, comments: '' })) }}
+                    onConflict={(current) => setConflict({ current, ...mergeMarksheetForm(formFromMarksheet(marksheet), form, formFromMarksheet(current)) })}
+                  />
                 </>
               )}
             </div>
           </div>
         </div>
       </div>
+
+      <ConfirmDialog
+        open={!!conflict}
+        title="Someone else changed this marksheet"
+        description={conflict ? [
+          `It was saved by someone else after you started editing${conflict.current.status !== marksheet.status ? ` and is now ${STATUS_META[conflict.current.status]?.label || conflict.current.status}` : ''}.`,
+          conflict.clashes.length > 0
+            ? `You both changed: ${conflict.clashes.join(', ')}. Keeping your edits puts your values there.`
+            : 'Your edits don\'t overlap with theirs and can be kept on top of their version.',
+          'Keep your edits to review the merged marksheet and save again, or reload their version and discard yours.'
+        ].join('\n\n') : ''}
+        confirmLabel="Discard Mine & Reload"
+        cancelLabel="Keep My Edits"
+        onConfirm={() => {
+          setMarksheet(conflict.current)
+          setForm(formFromMarksheet(conflict.current))
+          setEditMode(false)
+          setConflict(null)
+        }}
+        onCancel={() => {
+          setMarksheet(conflict.current)
+          setForm(conflict.form)
+          setConflict(null)
+          showWarning('Edits kept', 'Your edits are now on top of the latest version. Review them and save again.')
+        }}
+      />
+    </div>
+  )
+}
+
+// Internal assessment marks behind each subject total (CIA1, CIA2, Model, Assignment...)
+function ComponentBreakdown({ subjects }) {
+  const { columns, rows } = getComponentBreakdown(subjects)
+  if (rows.length === 0) return null
+  return (
+    <div className="mt-4">
+      <h3 className="text-sm font-semibold text-gray-900 mb-2">Assessment breakdown</h3>
+      <div className="overflow-x-auto rounded-lg border border-gray-200">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50 text-left text-gray-600">
+            <tr>
+              <th className="px-3 py-2">Subject</th>
+              {columns.map((name) => <th key={name} className="px-3 py-2 text-center">{name}</th>)}
+              <th className="px-3 py-2 text-center">Total (/100)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(({ subject, cells }) => (
+              <tr key={subject.subjectCode || subject.subjectName} className="border-t border-gray-100">
+                <td className="px-3 py-2 text-gray-800">{subject.subjectName}</td>
+                {columns.map((name) => (
+                  <td key={name} className="px-3 py-2 text-center font-mono text-gray-700">
+                    {cells[name] ? formatComponentMarks(cells[name]) : '—'}
+                    {cells[name]?.weight ? <span className="block text-xs text-gray-400">weight {cells[name].weight}</span> : null}
+                  </td>
+                ))}
+                <td className="px-3 py-2 text-center font-semibold">{subject.result === 'Absent' ? 'AB' : (subject.marks ?? '—')}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
     </div>
   )
 }
@@ -438,7 +623,226 @@ function VerifyButton({ marksheet, onVerified }) {
   )
 }
 
-function SaveEditsButton({ id, form, onSaved }) {
+const AUDIT_ACTION_META = {
+  created: { label: 'Created', dot: 'bg-gray-400' },
+  status_changed: { label: 'Status changed', dot: 'bg-blue-500' },
+  marks_edited: { label: 'Marks edited', dot: 'bg-amber-500' },
+  details_edited: { label: 'Details edited', dot: 'bg-teal-500' },
+  dispatched: { label: 'Sent via WhatsApp', dot: 'bg-purple-500' },
+  deleted: { label: 'Deleted', dot: 'bg-red-500' },
+  correction_requested: { label: 'Correction requested', dot: 'bg-orange-500' },
+  correction_rejected: { label: 'Correction rejected', dot: 'bg-red-400' },
+  revised: { label: 'Revised', dot: 'bg-rose-500' }
+}
+
+const formatAuditValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—'
+  if (typeof value === 'object') {
+    if (value.marks !== undefined || value.result !== undefined) return `${value.marks ?? '—'} (${value.result || '—'})`
+    return JSON.stringify(value)
+  }
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) return new Date(value).toLocaleString()
+  return String(value)
+}
+
+function AuditTimeline({ marksheetId, refreshKey }) {
+  const [events, setEvents] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    let cancelled = false
+    const load = async () => {
+      try {
+        const data = await apiClient.get(`/api/marksheets?action=audit&marksheetId=${encodeURIComponent(marksheetId)}`)
+        if (cancelled) return
+        if (!data || !data.success) {
+          setError(data?.error || 'Could not load history')
+        } else {
+          setEvents(Array.isArray(data.events) ? data.events : [])
+          setError('')
+        }
+      } catch (e) {
+        if (!cancelled) setError(getUserFriendlyMessage(e, 'Could not load history'))
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+    load()
+    return () => { cancelled = true }
+  }, [marksheetId, refreshKey])
+
+  return (
+    <div className="mt-4 sm:mt-8 bg-white p-4 sm:p-6 rounded-xl border border-gray-200">
+      <h2 className="text-base sm:text-lg font-semibold text-gray-900 mb-2 sm:mb-3">History</h2>
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading history...</p>
+      ) : error ? (
+        <p className="text-sm text-red-600">{error}</p>
+      ) : events.length === 0 ? (
+        <p className="text-sm text-gray-500">No recorded changes yet.</p>
+      ) : (
+        <ol className="relative border-l border-gray-200 ml-2">
+          {[...events].reverse().map((event) => {
+            const meta = AUDIT_ACTION_META[event.action] || { label: event.action, dot: 'bg-gray-400' }
+            const statusChanged = event.fromStatus && event.toStatus && event.fromStatus !== event.toStatus
+            return (
+              <li key={event._id} className="mb-4 sm:mb-5 ml-4">
+                <span className={`absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full border-2 border-white ${meta.dot}`} />
+                <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-0.5">
+                  <span className="text-sm sm:text-base font-semibold text-gray-900">{meta.label}</span>
+                  <time className="text-[11px] sm:text-xs text-gray-500">{new Date(event.createdAt).toLocaleString()}</time>
+                </div>
+                <p className="text-xs sm:text-sm text-gray-600">
+                  by {event.actor?.name || 'Unknown'}{event.actor?.role ? ` (${event.actor.role.toUpperCase()})` : ''}
+                </p>
+                {statusChanged && (
+                  <p className="text-xs sm:text-sm text-gray-700 mt-1">
+                    {(STATUS_META[event.fromStatus] || STATUS_META.unknown).label} → {(STATUS_META[event.toStatus] || STATUS_META.unknown).label}
+                  </p>
+                )}
+                {event.changes?.length > 0 && (
+                  <ul className="mt-1 space-y-0.5 text-xs sm:text-sm text-gray-700">
+                    {event.changes.map((change) => (
+                      <li key={change.field}>
+                        <span className="font-medium">{change.label || change.field}:</span>{' '}
+                        <span className="line-through text-gray-400">{formatAuditValue(change.before)}</span>{' '}
+                        → <span>{formatAuditValue(change.after)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {event.comments && (
+                  <p className="mt-1 text-xs sm:text-sm text-gray-600 italic">“{event.comments}”</p>
+                )}
+              </li>
+            )
+          })}
+        </ol>
+      )}
+    </div>
+  )
+}
+
+const CORRECTION_STATUS_META = {
+  pending: { label: 'Awaiting HOD', className: 'bg-yellow-100 text-yellow-800' },
+  approved: { label: 'Approved', className: 'bg-green-100 text-green-800' },
+  rejected: { label: 'Rejected', className: 'bg-red-100 text-red-800' }
+}
+
+const formatProposedMarks = (subject) => (
+  `${subject.currentResult === 'Absent' ? 'Absent' : (subject.currentMarks ?? '—')} → ${subject.proposedResult === 'Absent' ? 'Absent' : subject.proposedMarks}`
+)
+
+function CorrectionsPanel({ marksheet, canRequest, role }) {
+  const navigate = useNavigate()
+  const { showSuccess, showError } = useAlert()
+  const [requests, setRequests] = useState([])
+  const [revisions, setRevisions] = useState([])
+  const [formOpen, setFormOpen] = useState(false)
+  const [reloadKey, setReloadKey] = useState(0)
+
+  useEffect(() => {
+    let cancelled = false
+    const load = async () => {
+      try {
+        const [requestData, revisionData] = await Promise.all([
+          apiClient.get(`/api/marksheet-corrections?marksheetId=${encodeURIComponent(marksheet._id)}`),
+          apiClient.get(`/api/marksheet-corrections?action=revisions&marksheetId=${encodeURIComponent(marksheet._id)}`)
+        ])
+        if (cancelled) return
+        setRequests(Array.isArray(requestData?.requests) ? requestData.requests : [])
+        setRevisions(Array.isArray(revisionData?.revisions) ? revisionData.revisions : [])
+      } catch {
+        // The panel is supplementary; the marksheet itself is already shown
+      }
+    }
+    load()
+    return () => { cancelled = true }
+  }, [marksheet._id, marksheet.updatedAt, reloadKey])
+
+  const pending = requests.find(r => r.status === 'pending')
+  if (!canRequest && requests.length === 0 && revisions.length === 0) return null
+
+  return (
+    <div className="mt-4 sm:mt-8 bg-white p-4 sm:p-6 rounded-xl border border-gray-200">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 mb-2 sm:mb-3">
+        <h2 className="text-base sm:text-lg font-semibold text-gray-900">Corrections & Revisions</h2>
+        {canRequest && !pending && (
+          <button onClick={() => setFormOpen(true)} className="px-3 py-1.5 text-sm bg-orange-600 text-white rounded-lg transform transition-all duration-200 hover:-translate-y-0.5 hover:shadow-md">
+            Request Correction
+          </button>
+        )}
+        {role === 'hod' && pending && (
+          <button onClick={() => navigate('/correction-requests')} className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg transform transition-all duration-200 hover:-translate-y-0.5 hover:shadow-md">
+            Review Request
+          </button>
+        )}
+      </div>
+
+      {revisions.length > 0 && (
+        <div className="mb-3">
+          <p className="text-sm text-gray-600 mb-1.5">Earlier versions stay on record:</p>
+          <div className="flex flex-wrap gap-2">
+            {revisions.map(r => (
+              <button
+                key={r.revision}
+                onClick={() => openPdf({ marksheetId: marksheet._id, revision: r.revision }).catch((err) => showError('Download failed', getUserFriendlyMessage(err, 'Could not open this revision.')))}
+                className="px-3 py-1 text-xs sm:text-sm rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50"
+              >
+                {r.revision === 0 ? 'Original' : `Revision ${r.revision}`} PDF
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {requests.length === 0 ? (
+        <p className="text-sm text-gray-500">No correction requests for this marksheet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {requests.map(request => {
+            const meta = CORRECTION_STATUS_META[request.status] || CORRECTION_STATUS_META.pending
+            return (
+              <li key={request._id} className="py-2.5 text-sm text-gray-700">
+                <div className="flex items-center justify-between gap-2">
+                  <span className="font-medium text-gray-900">
+                    {request.requestedBy?.name || 'Unknown'}{request.requestedBy?.role ? ` (${request.requestedBy.role})` : ''}
+                  </span>
+                  <span className={`px-2 py-0.5 rounded-full text-[11px] font-semibold ${meta.className}`}>
+                    {meta.label}{request.revision ? ` · Rev ${request.revision}` : ''}
+                  </span>
+                </div>
+                <ul className="mt-1 text-xs sm:text-sm">
+                  {request.subjects.map(subject => (
+                    <li key={subject.subjectCode || subject.subjectName}>{subject.subjectName}: {formatProposedMarks(subject)}</li>
+                  ))}
+                </ul>
+                <p className="mt-1 text-xs sm:text-sm text-gray-600 italic">“{request.reason}”</p>
+                {request.hodComments && (
+                  <p className="mt-1 text-xs sm:text-sm text-gray-600">HOD: {request.hodComments}</p>
+                )}
+              </li>
+            )
+          })}
+        </ul>
+      )}
+
+      <CorrectionRequestForm
+        open={formOpen}
+        marksheet={marksheet}
+        onClose={() => setFormOpen(false)}
+        onSubmitted={() => {
+          setFormOpen(false)
+          setReloadKey(k => k + 1)
+          showSuccess('Request Sent', 'The correction request was sent to the HOD for approval')
+        }}
+      />
+    </div>
+  )
+}
+
+function SaveEditsButton({ marksheet, form, onSaved, onConflict }) {
   const [saving, setSaving] = useState(false)
   const [error, setError] = useState('')
   const handleSave = async () => {
@@ -446,14 +850,22 @@ function SaveEditsButton({ id, form, onSaved }) {
     setError('')
     try {
       try {
-        const data = await apiClient.put('/api/marksheets', { marksheetId: id, studentDetails: form.studentDetails, subjects: form.subjects, regenerateSignatures: true })
+        const data = await apiClient.put(
+          '/api/marksheets',
+          { marksheetId: marksheet._id, studentDetails: form.studentDetails, subjects: form.subjects, comments: form.comments, regenerateSignatures: true },
+          { headers: ifMatch(marksheet) }
+        )
         if (!data || !data.success) {
           setError(data?.error || 'Save failed')
         } else {
           onSaved(data.marksheet)
         }
       } catch (e) {
-        setError(getUserFriendlyMessage(e, 'Save failed'))
+        if (isVersionConflict(e)) {
+          onConflict(e.data.current)
+        } else {
+          setError(getUserFriendlyMessage(e, 'Save failed'))
+        }
       }
     } catch (e) {
       setError(getUserFriendlyMessage(e, 'Unexpected error'))
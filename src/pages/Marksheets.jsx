@@ -1,10 +1,12 @@
 import { useState, useEffect, useMemo, useRef, useCallback, memo } from 'react'
 import apiClient from '../utils/apiClient'
 import { getUserFriendlyMessage } from '../utils/apiErrorMessages'
+import { downloadRejectedRows } from '../utils/importRejectedRows'
 import * as XLSX from 'xlsx'
 import { useNavigate, useLocation } from 'react-router-dom'
 import { useAlert } from '../components/AlertContext'
 import ConfirmDialog from '../components/ConfirmDialog'
+import ImportDiffPreview from '../components/ImportDiffPreview'
 import { BaseTableSkeleton as TableSkeleton } from '../components/PageSkeletons'
 import { NoMarksheets, NoSearchResults } from '../components/EmptyStates'
 import { useUndoToast } from '../components/UndoToast'
@@ -20,7 +22,7 @@ import { formatSubjectLabel, getDefaultSubjects } from '../../shared/subjectCata
 function Marksheets() {
   const navigate = useNavigate()
   const location = useLocation()
-  const { showSuccess, showError, showInfo } = useAlert()
+  const { showSuccess, showError, showWarning, showInfo } = useAlert()
   const { showUndo, ToastContainer } = useUndoToast()
   const { celebrate, ConfettiContainer } = useConfetti()
   const [userData, setUserData] = useState(() => {
@@ -32,7 +34,14 @@ function Marksheets() {
   const [file, setFile] = useState(null)
   const [uploading, setUploading] = useState(false)
   const [sessionId, setSessionId] = useState('')
+  const [importPreview, setImportPreview] = useState({ rows: [], summary: {} })
+  const [rowActions, setRowActions] = useState({})
   const [errors, setErrors] = useState([])
+  const [allowPartial, setAllowPartial] = useState(false)
+  // Session whose held-back rows can be downloaded, and how many there are
+  const [rejected, setRejected] = useState(null)
+  // Sent with every confirm of the current session so a retry cannot import twice
+  const [confirmKey, setConfirmKey] = useState('')
   const [verifyingAll, setVerifyingAll] = useState(false)
   const [showCreateForm, setShowCreateForm] = useState(false)
   const [examinationDetails, setExaminationDetails] = useState({
@@ -329,9 +338,21 @@ function Marksheets() {
     }
   }
 
-  const downloadTemplate = () => {
+  // Subjects from the published catalog; the bundled seed catalog if it cannot be reached
+  const fetchTemplateSubjects = async (department, year, semester) => {
+    try {
+      const params = new URLSearchParams({ action: 'subjects', department: department || '', year: year || '', semester: semester || '' })
+      const data = await apiClient.get(`/api/subject-catalog?${params.toString()}`)
+      if (data?.success && Array.isArray(data.subjects)) return data.subjects
+    } catch (e) {
+      console.warn('Subject catalog unavailable, using bundled subjects', e)
+    }
+    return getDefaultSubjects(department, year, semester)
+  }
+
+  const downloadTemplate = async () => {
     const templateExam = createdExamination || examinationDetails
-    const defaultSubjects = getDefaultSubjects(
+    const defaultSubjects = await fetchTemplateSubjects(
       userData?.department,
       templateExam?.year || userData?.year,
       templateExam?.semester
@@ -412,6 +433,8 @@ function Marksheets() {
         return
       }
 
+      if (createResp.calendarWarning) showWarning('Check the exam month', createResp.calendarWarning)
+
       // Store the created examination details
       setCreatedExamination(createResp.examination)
 
@@ -435,6 +458,7 @@ function Marksheets() {
     setUploading(true)
     setErrors([])
     setSessionId('')
+    setRejected(null)
     try {
       const form = new FormData()
       form.append('excelFile', file)
@@ -448,6 +472,7 @@ function Marksheets() {
       form.append('semester', importExam.semester)
       form.append('department', userData.department)
       form.append('year', importExam.year || userData.year)
+      if (allowPartial) form.append('partial', 'true')
 
       try {
         const data = await apiClient.post('/api/import-excel?action=upload', form)
@@ -460,11 +485,17 @@ function Marksheets() {
           }
         } else {
           setSessionId(data.sessionId)
+          setConfirmKey(`${data.sessionId}-${Date.now().toString(36)}`)
+          setImportPreview({ rows: data.preview || [], summary: data.summary || {} })
+          setRowActions({})
           setErrors(data.errorMessages || [])
+          if (data.rejectedCount > 0) setRejected({ sessionId: data.sessionId, count: data.rejectedCount })
         }
       } catch (e) {
         // Extract detailed error messages if available
-        if (e?.data?.errorMessages && e.data.errorMessages.length > 0) {
+        if (e?.data?.needsMapping) {
+          setErrors([e.data.error, 'Open Import Marks to match this sheet\'s columns and save them as a template.'])
+        } else if (e?.data?.errorMessages && e.data.errorMessages.length > 0) {
           setErrors(e.data.errorMessages)
         } else {
           setErrors([getUserFriendlyMessage(e, 'Unexpected error')])
@@ -482,8 +513,8 @@ function Marksheets() {
     setUploading(true)
     try {
       try {
-        const data = await apiClient.post('/api/import-excel?action=confirm', { sessionId }, { timeout: 120000 })
-        if (!data || !data.success) {
+        const data = await apiClient.post('/api/import-excel?action=confirm', { sessionId, actions: rowActions }, { timeout: 120000, headers: { 'Idempotency-Key': confirmKey } })
+        if (!data || !(data.success || data.partial)) {
           // Show detailed error messages if available
           if (data?.errorMessages && data.errorMessages.length > 0) {
             setErrors(data.errorMessages)
@@ -494,7 +525,12 @@ function Marksheets() {
           // Refresh list after import
           await fetchMarksheets()
           setSessionId('')
+          setImportPreview({ rows: [], summary: {} })
           setFile(null)
+          setErrors(data.errorMessages || [])
+          const counts = `${data.createdCount} created, ${data.updatedCount || 0} updated, ${data.skippedCount || 0} skipped`
+          if (data.failedCount > 0) showWarning('Import Partly Completed', `${counts}, ${data.failedCount} failed`)
+          else showSuccess('Import Complete', counts)
         }
       } catch (e) {
         // Extract detailed error messages if available
@@ -618,7 +654,7 @@ function Marksheets() {
       // Remove marksheets belonging to this exam from UI and refresh examinations
       setMarksheets(prev => prev.filter(m => m.examinationName !== confirmExamDoc.examinationName))
       await fetchExaminations()
-      showSuccess('Deleted', `${deleteData.deleted.marksheets || 0} marksheets and ${deleteData.deleted.students || 0} students removed.`)
+      showSuccess('Deleted', `${deleteData.deleted.marksheets || 0} marksheets removed. Students stay on the roster.`)
     } catch (err) {
       console.error('Delete exam error:', err)
       showError('Error', getUserFriendlyMessage(err, 'Failed to delete examination'))
@@ -1005,6 +1041,7 @@ function Marksheets() {
                   <p className="text-xs text-yellow-700 mt-2">
                     • First 6 columns are required student details (includes Attendance)<br />
                     • Remaining columns are subject names with their marks<br />
+                    • Elective columns (e.g. Professional Elective I) are resolved to each student&apos;s course from Elective Choices<br />
                     • Marks should be numeric values (0-100)
                   </p>
                 </div>
@@ -1037,9 +1074,36 @@ function Marksheets() {
                     <span className="sm:hidden">Template</span>
                   </button>
 
+                  {/* Per-student elective courses used to resolve elective columns */}
+                  <button
+                    type="button"
+                    onClick={() => {
+                      const templateExam = createdExamination || examinationDetails
+                      const params = new URLSearchParams({ year: templateExam?.year || userData?.year || '', semester: templateExam?.semester || '' })
+                      navigate(`/elective-choices?${params.toString()}`)
+                    }}
+                    className="glass-button inline-flex items-center gap-2 px-4 sm:px-6 py-2 sm:py-3 text-indigo-600 rounded-xl sm:rounded-2xl font-bold text-sm sm:text-lg transition-colors duration-300 w-full sm:w-auto justify-center"
+                  >
+                    <span className="hidden sm:inline">Elective Choices</span>
+                    <span className="sm:hidden">Electives</span>
+                  </button>
+
+                  {/* Whole-class marks editing for one examination */}
+                  <button
+                    type="button"
+                    onClick={() => {
+                      const templateExam = createdExamination || examinationDetails
+                      const params = new URLSearchParams({ year: templateExam?.year || userData?.year || '', examinationName: templateExam?.examinationName || '' })
+                      navigate(`/marks-grid?${params.toString()}`)
+                    }}
+                    className="glass-button inline-flex items-center gap-2 px-4 sm:px-6 py-2 sm:py-3 text-indigo-600 rounded-xl sm:rounded-2xl font-bold text-sm sm:text-lg transition-colors duration-300 w-full sm:w-auto justify-center"
+                  >
+                    Marks Grid
+                  </button>
+
                   {/* Upload (show when a file is selected) */}
                   {file && (
-                    <div className="w-full sm:w-auto">
+                    <div className="w-full sm:w-auto flex flex-col gap-1">
                       <button
                         disabled={uploading}
                         onClick={handleUpload}
@@ -1047,6 +1111,10 @@ function Marksheets() {
                       >
                         {uploading ? 'Uploading...' : 'Upload'}
                       </button>
+                      <label className="inline-flex items-center gap-2 text-xs text-gray-600">
+                        <input type="checkbox" checked={allowPartial} onChange={(e) => setAllowPartial(e.target.checked)} disabled={uploading} />
+                        Hold back rows with errors
+                      </label>
                     </div>
                   )}
 
@@ -1079,6 +1147,18 @@ function Marksheets() {
               </>
             )}
 
+            {sessionId && importPreview.rows.length > 0 && (
+              <div className="mb-6">
+                <ImportDiffPreview
+                  preview={importPreview.rows}
+                  summary={importPreview.summary}
+                  actions={rowActions}
+                  onActionChange={(regNumber, action) => setRowActions(prev => ({ ...prev, [regNumber]: action }))}
+                  disabled={uploading}
+                />
+              </div>
+            )}
+
             {errors && errors.length > 0 && (
               <div className="mb-6 p-4 bg-red-50 rounded-xl text-red-800 border-2 border-red-200">
                 <div className="font-semibold mb-3 text-lg">⚠️ Issues found ({errors.length}):</div>
@@ -1090,6 +1170,14 @@ function Marksheets() {
                   ))}
                 </ul>
                 <div className="mt-3 text-xs text-red-700">Please fix these issues and try uploading again.</div>
+                {rejected && (
+                  <button
+                    onClick={() => downloadRejectedRows(rejected.sessionId, file?.name).catch((err) => showError('Download Failed', getUserFriendlyMessage(err, 'Failed to download the rejected rows')))}
+                    className="mt-3 px-4 py-2 rounded-lg font-semibold bg-red-600 text-white text-sm"
+                  >
+                    Download {rejected.count} rejected row{rejected.count === 1 ? '' : 's'} (.xlsx)
+                  </button>
+                )}
               </div>
             )}
 
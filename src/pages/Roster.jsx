@@ -0,0 +1,387 @@
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import * as XLSX from 'xlsx'
+import apiClient from '../utils/apiClient'
+import { getUserFriendlyMessage } from '../utils/apiErrorMessages'
+import { useAlert } from '../components/AlertContext'
+import ConfirmDialog from '../components/ConfirmDialog'
+
+const DEPARTMENTS = ['CSE', 'AI_DS', 'ECE', 'MECH', 'CIVIL', 'EEE', 'IT']
+const YEARS = ['I', 'II', 'III', 'IV']
+const STATUSES = ['active', 'discontinued', 'graduated']
+const TEMPLATE_HEADERS = ['RegNumber', 'Name', 'Year', 'Section', 'ParentPhone', 'StudentPhone']
+const EMPTY_FORM = { regNumber: '', name: '', parentPhoneNumber: '', studentPhoneNumber: '' }
+
+const STATUS_STYLES = {
+  active: 'bg-green-100 text-green-800',
+  discontinued: 'bg-red-100 text-red-800',
+  graduated: 'bg-blue-100 text-blue-800'
+}
+
+// Phone numbers are stored as +91XXXXXXXXXX; the form edits the local part
+const localPhone = (value) => (value || '').replace(/^\+91/, '')
+
+function Roster() {
+  const { showSuccess, showError } = useAlert()
+  const [auth] = useState(() => {
+    try {
+      const raw = localStorage.getItem('auth')
+      return raw ? JSON.parse(raw) : null
+    } catch {
+      return null
+    }
+  })
+  const isStaff = auth?.role === 'staff'
+  const canMoveStudents = auth?.role === 'admin' || auth?.role === 'hod'
+  // The H&S HOD looks after first-year classes of every department
+  const canPickDepartment = auth?.role === 'admin' || (auth?.role === 'hod' && auth?.department === 'HNS')
+  const [classInfo, setClassInfo] = useState(() => ({
+    department: DEPARTMENTS.includes(auth?.department) ? auth.department : '',
+    year: (isStaff ? auth?.year : '') || '',
+    section: (isStaff ? auth?.section : '') || ''
+  }))
+  const [status, setStatus] = useState('active')
+  const [search, setSearch] = useState('')
+  const [students, setStudents] = useState([])
+  const [selected, setSelected] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [uploadErrors, setUploadErrors] = useState([])
+  const [form, setForm] = useState(null) // { ...fields, studentId? } while adding or editing
+  const [bulkAction, setBulkAction] = useState({ type: '', section: '', reason: '' })
+  const [confirm, setConfirm] = useState(null)
+
+  const ready = Boolean(classInfo.department)
+  const classReady = ready && classInfo.year && classInfo.section
+
+  const fetchStudents = async () => {
+    if (!ready) return
+    try {
+      setLoading(true)
+      const params = new URLSearchParams({ ...classInfo, status, search: search.trim() })
+      const data = await apiClient.get(`/api/students?${params.toString()}`, { cache: false, dedupe: false })
+      if (data?.success) {
+        setStudents(data.students || [])
+        setSelected([])
+      } else {
+        showError('Failed to load', data?.error || 'Could not fetch the roster')
+      }
+    } catch (e) {
+      showError('Error', getUserFriendlyMessage(e, 'Could not load the roster.'))
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => { fetchStudents() }, [classInfo.department, classInfo.year, classInfo.section, status])
+
+  const updateClass = (field, value) => {
+    setUploadErrors([])
+    setClassInfo((prev) => ({ ...prev, [field]: value }))
+  }
+
+  const toggleSelected = (id) => {
+    setSelected((prev) => (prev.includes(id) ? prev.filter((item) => item !== id) : [...prev, id]))
+  }
+
+  const run = async (request, successTitle, describe) => {
+    setSaving(true)
+    try {
+      const data = await request()
+      if (data?.success) {
+        showSuccess(successTitle, describe(data))
+        await fetchStudents()
+        return true
+      }
+      showError('Failed', data?.error || 'The roster was not changed')
+    } catch (e) {
+      showError('Failed', getUserFriendlyMessage(e, 'The roster was not changed.'))
+    } finally {
+      setSaving(false)
+    }
+    return false
+  }
+
+  const saveForm = async (e) => {
+    e.preventDefault()
+    const { studentId, ...fields } = form
+    const ok = studentId
+      ? await run(() => apiClient.put(`/api/students?studentId=${studentId}`, fields), 'Saved', (data) => (
+        data.changed.length ? `Updated ${data.changed.join(', ')}` : 'Nothing changed'
+      ))
+      : await run(() => apiClient.post('/api/students', { ...classInfo, ...fields }), 'Student added', (data) => `${data.student.regNumber} added to ${classInfo.year} ${classInfo.section}`)
+    if (ok) setForm(null)
+  }
+
+  const applyBulkAction = async () => {
+    const { type, section, reason } = bulkAction
+    setConfirm(null)
+    const ok = type === 'transfer'
+      ? await run(() => apiClient.post('/api/students?action=transfer', { studentIds: selected, section, reason }), 'Transferred', (data) => `${data.transferred} student(s) moved to section ${section.toUpperCase()}`)
+      : await run(() => apiClient.post('/api/students?action=status', { studentIds: selected, status: type, reason }), 'Status updated', (data) => `${data.updated} student(s) marked ${type}`)
+    if (ok) setBulkAction({ type: '', section: '', reason: '' })
+  }
+
+  const downloadTemplate = () => {
+    const rows = students.map((student) => [
+      student.regNumber, student.name, student.year, student.section,
+      localPhone(student.parentPhoneNumber), localPhone(student.studentPhoneNumber)
+    ])
+    const workbook = XLSX.utils.book_new()
+    const worksheet = XLSX.utils.aoa_to_sheet([TEMPLATE_HEADERS, ...rows])
+    worksheet['!cols'] = TEMPLATE_HEADERS.map(() => ({ wch: 18 }))
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Roster')
+    XLSX.writeFile(workbook, `roster_${classInfo.department}_${classInfo.year}${classInfo.section}.xlsx`)
+  }
+
+  const handleUpload = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    setUploadErrors([])
+    setSaving(true)
+    try {
+      const body = new FormData()
+      body.append('rosterFile', file)
+      Object.entries(classInfo).forEach(([key, value]) => body.append(key, value))
+      const data = await apiClient.post('/api/students?action=upload', body)
+      if (data?.success) {
+        showSuccess('Upload complete', `${data.created} added, ${data.updated} updated, ${data.unchanged} unchanged`)
+        await fetchStudents()
+      } else {
+        setUploadErrors(data?.errorMessages || [data?.error || 'Upload failed'])
+      }
+    } catch (err) {
+      setUploadErrors(err.data?.errorMessages || [err.data?.error || getUserFriendlyMessage(err, 'Upload failed')])
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const askBulkAction = () => {
+    const { type, section, reason } = bulkAction
+    if (type === 'transfer' && !section.trim()) return showError('Section needed', 'Enter the section to move the students to')
+    if (type === 'discontinued' && !reason.trim()) return showError('Reason needed', 'Give a reason for marking students discontinued')
+    setConfirm({
+      title: type === 'transfer' ? 'Transfer students' : `Mark students ${type}`,
+      description: type === 'transfer'
+        ? `Move ${selected.length} student(s) to section ${section.toUpperCase()}? Their pending leave requests move with them.`
+        : `Mark ${selected.length} student(s) ${type}?${reason ? `\nReason: ${reason}` : ''}`,
+      confirmLabel: type === 'transfer' ? 'Transfer' : 'Update',
+      onConfirm: applyBulkAction
+    })
+  }
+
+  const inputClass = 'mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg'
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50">
+      <div className="container mx-auto px-4 sm:px-6 lg:px-8 py-6 sm:py-8">
+        <div className="mb-6">
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Student Roster</h1>
+          <p className="text-sm text-gray-600 mt-1">
+            Who is in each class. Marksheets and leave requests are linked to these records, and contact changes made here reach them too.
+          </p>
+        </div>
+
+        <div className="glass-card p-4 rounded-2xl mb-6 grid grid-cols-2 sm:grid-cols-5 gap-3">
+          <label className="text-sm text-gray-700">
+            Department
+            <select value={classInfo.department} onChange={(e) => updateClass('department', e.target.value)} disabled={!canPickDepartment} className={inputClass}>
+              <option value="">Select</option>
+              {DEPARTMENTS.map((dept) => <option key={dept} value={dept}>{dept}</option>)}
+            </select>
+          </label>
+          <label className="text-sm text-gray-700">
+            Year
+            <select value={classInfo.year} onChange={(e) => updateClass('year', e.target.value)} disabled={isStaff} className={inputClass}>
+              <option value="">All</option>
+              {YEARS.map((year) => <option key={year} value={year}>{year}</option>)}
+            </select>
+          </label>
+          <label className="text-sm text-gray-700">
+            Section
+            <input value={classInfo.section} onChange={(e) => updateClass('section', e.target.value.toUpperCase())} disabled={isStaff} placeholder="All" className={inputClass} />
+          </label>
+          <label className="text-sm text-gray-700">
+            Status
+            <select value={status} onChange={(e) => setStatus(e.target.value)} className={inputClass}>
+              {STATUSES.map((item) => <option key={item} value={item}>{item}</option>)}
+              <option value="all">all</option>
+            </select>
+          </label>
+          <form className="text-sm text-gray-700" onSubmit={(e) => { e.preventDefault(); fetchStudents() }}>
+            Search
+            <input value={search} onChange={(e) => setSearch(e.target.value)} placeholder="Name or reg. no." className={inputClass} />
+          </form>
+        </div>
+
+        {!ready && (
+          <div className="glass-card p-6 rounded-2xl text-center text-gray-600">Choose a department to see its students.</div>
+        )}
+
+        {ready && (
+          <div className="glass-card p-4 rounded-2xl">
+            <div className="flex flex-wrap items-center gap-2 mb-4">
+              <button type="button" onClick={() => setForm({ ...EMPTY_FORM })} disabled={!classReady} className={`px-4 py-2 rounded-lg text-sm font-semibold ${classReady ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-500'}`}>
+                Add Student
+              </button>
+              <button type="button" onClick={downloadTemplate} disabled={!classReady} className="px-4 py-2 rounded-lg bg-white border border-gray-300 text-gray-700 text-sm font-semibold disabled:opacity-60">
+                Download Sheet
+              </button>
+              <input type="file" accept=".xlsx,.xls,.csv" onChange={handleUpload} className="hidden" id="rosterFile" />
+              <label htmlFor="rosterFile" className={`px-4 py-2 rounded-lg bg-white border border-gray-300 text-green-700 text-sm font-semibold cursor-pointer ${saving ? 'opacity-60 pointer-events-none' : ''}`}>
+                Upload Sheet
+              </label>
+              {canMoveStudents && (
+                <>
+                  <Link to="/mark-entry" className="ml-auto px-4 py-2 rounded-lg bg-white border border-gray-300 text-indigo-700 text-sm font-semibold">
+                    Mark Entry
+                  </Link>
+                  <Link to="/class-assignments" className=" px-4 py-2 rounded-lg bg-white border border-gray-300 text-indigo-700 text-sm font-semibold">
+                    Class Assignments
+                  </Link>
+                  <Link to="/promotion" className="px-4 py-2 rounded-lg bg-indigo-600 text-white text-sm font-semibold">
+                    Year-end Promotion
+                  </Link>
+                </>
+              )}
+            </div>
+            {!classReady && (
+              <p className="mb-4 text-xs text-gray-500">Pick a year and section to add students or download the class sheet. Uploaded sheets can name each student&apos;s year and section.</p>
+            )}
+
+            {uploadErrors.length > 0 && (
+              <div className="mb-4 p-3 bg-red-50 rounded-xl text-red-800 border border-red-200">
+                <div className="font-semibold mb-2">Nothing was saved. Fix these rows and upload again:</div>
+                <ul className="list-disc pl-6 space-y-1 text-sm">
+                  {uploadErrors.map((message, idx) => <li key={idx}>{message}</li>)}
+                </ul>
+              </div>
+            )}
+
+            {form && (
+              <form onSubmit={saveForm} className="mb-4 p-4 rounded-xl border border-blue-200 bg-blue-50 grid grid-cols-1 sm:grid-cols-4 gap-3">
+                <label className="text-sm text-gray-700">
+                  Reg. No.
+                  <input value={form.regNumber} onChange={(e) => setForm({ ...form, regNumber: e.target.value.toUpperCase() })} disabled={!!form.studentId} required className={inputClass} />
+                </label>
+                <label className="text-sm text-gray-700">
+                  Name
+                  <input value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} required className={inputClass} />
+                </label>
+                <label className="text-sm text-gray-700">
+                  Parent phone
+                  <input value={form.parentPhoneNumber} onChange={(e) => setForm({ ...form, parentPhoneNumber: e.target.value })} required className={inputClass} />
+                </label>
+                <label className="text-sm text-gray-700">
+                  Student phone
+                  <input value={form.studentPhoneNumber} onChange={(e) => setForm({ ...form, studentPhoneNumber: e.target.value })} className={inputClass} />
+                </label>
+                <div className="sm:col-span-4 flex justify-end gap-2">
+                  <button type="button" onClick={() => setForm(null)} className="px-4 py-2 rounded-lg bg-white border border-gray-300 text-sm">Cancel</button>
+                  <button type="submit" disabled={saving} className="px-4 py-2 rounded-lg bg-blue-600 text-white text-sm font-semibold disabled:opacity-60">
+                    {saving ? 'Saving...' : form.studentId ? 'Save' : 'Add'}
+                  </button>
+                </div>
+              </form>
+            )}
+
+            {selected.length > 0 && (
+              <div className="mb-4 p-3 rounded-xl border border-gray-200 bg-white flex flex-wrap items-end gap-2 text-sm">
+                <span className="font-semibold text-gray-700 self-center">{selected.length} selected</span>
+                <select value={bulkAction.type} onChange={(e) => setBulkAction({ ...bulkAction, type: e.target.value })} className="px-3 py-2 border border-gray-300 rounded-lg">
+                  <option value="">Choose action</option>
+                  {canMoveStudents && <option value="transfer">Transfer to section</option>}
+                  {STATUSES.map((item) => <option key={item} value={item}>Mark {item}</option>)}
+                </select>
+                {bulkAction.type === 'transfer' && (
+                  <input value={bulkAction.section} onChange={(e) => setBulkAction({ ...bulkAction, section: e.target.value.toUpperCase() })} placeholder="Section" className="w-24 px-3 py-2 border border-gray-300 rounded-lg" />
+                )}
+                {bulkAction.type && (
+                  <input value={bulkAction.reason} onChange={(e) => setBulkAction({ ...bulkAction, reason: e.target.value })} placeholder="Reason" className="flex-1 min-w-[10rem] px-3 py-2 border border-gray-300 rounded-lg" />
+                )}
+                <button type="button" onClick={askBulkAction} disabled={!bulkAction.type || saving} className="px-4 py-2 rounded-lg bg-blue-600 text-white font-semibold disabled:opacity-60">
+                  Apply
+                </button>
+              </div>
+            )}
+
+            {loading ? (
+              <div className="p-6 text-center text-gray-600">Loading students...</div>
+            ) : students.length === 0 ? (
+              <div className="p-6 text-center text-gray-600">No {status === 'all' ? '' : `${status} `}students found. Add them one by one or upload a sheet.</div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-600 border-b">
+                      <th className="py-2 pr-2">
+                        <input
+                          type="checkbox"
+                          checked={selected.length === students.length}
+                          onChange={(e) => setSelected(e.target.checked ? students.map((student) => student._id) : [])}
+                        />
+                      </th>
+                      <th className="py-2 pr-4">Reg. No.</th>
+                      <th className="py-2 pr-4">Name</th>
+                      <th className="py-2 pr-4">Class</th>
+                      <th className="py-2 pr-4">Parent phone</th>
+                      <th className="py-2 pr-4">Status</th>
+                      <th className="py-2 pr-4"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {students.map((student) => {
+                      const studentStatus = student.status || 'active'
+                      return (
+                        <tr key={student._id} className={`border-b last:border-0 ${selected.includes(student._id) ? 'bg-blue-50' : ''}`}>
+                          <td className="py-2 pr-2">
+                            <input type="checkbox" checked={selected.includes(student._id)} onChange={() => toggleSelected(student._id)} />
+                          </td>
+                          <td className="py-2 pr-4 font-mono">{student.regNumber}</td>
+                          <td className="py-2 pr-4">{student.name}</td>
+                          <td className="py-2 pr-4 whitespace-nowrap">{student.department} {student.year} {student.section}</td>
+                          <td className="py-2 pr-4">{student.parentPhoneNumber}</td>
+                          <td className="py-2 pr-4">
+                            <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${STATUS_STYLES[studentStatus]}`} title={student.statusReason || ''}>{studentStatus}</span>
+                          </td>
+                          <td className="py-2 pr-4 text-right">
+                            <button
+                              type="button"
+                              onClick={() => setForm({
+                                studentId: student._id,
+                                regNumber: student.regNumber,
+                                name: student.name,
+                                parentPhoneNumber: localPhone(student.parentPhoneNumber),
+                                studentPhoneNumber: localPhone(student.studentPhoneNumber)
+                              })}
+                              className="text-blue-700 font-semibold"
+                            >
+                              Edit
+                            </button>
+                          </td>
+                        </tr>
+                      )
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      <ConfirmDialog
+        open={!!confirm}
+        title={confirm?.title}
+        description={confirm?.description}
+        confirmLabel={confirm?.confirmLabel}
+        onConfirm={() => confirm?.onConfirm()}
+        onCancel={() => setConfirm(null)}
+      />
+    </div>
+  )
+}
+
+export default Roster
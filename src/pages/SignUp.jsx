@@ -22,6 +22,8 @@ function SignUp() {
   const [error, setError] = useState('')
   const [success, setSuccess] = useState('')
   const navigate = useNavigate()
+  // HOD accounts can only be created by an admin; self sign-up is staff only
+  const isAdminSession = (getAuthOrNull()?.role || '').toLowerCase() === 'admin'
 
   const handleInputChange = (e) => {
     const { name, value } = e.target
@@ -85,8 +87,8 @@ function SignUp() {
 
     try {
       const auth = getAuthOrNull()
+      // The server identifies an admin creator from the session token
       const isAdminCreating = (auth?.role || '').toLowerCase() === 'admin'
-      const creatorUserId = auth?.id || auth?.userId || auth?._id
 
       // Create user via API
       const userData = {
@@ -98,10 +100,6 @@ function SignUp() {
         phoneNumber: formData.phoneNumber
       }
 
-      if (isAdminCreating && creatorUserId) {
-        userData.creatorUserId = creatorUserId
-      }
-      
       // Add year and section for staff role
       if (formData.role === 'staff') {
         userData.year = formData.year
@@ -213,7 +211,7 @@ function SignUp() {
                 <select name="role" value={formData.role} onChange={handleInputChange} className="w-full px-4 py-4 border-0 rounded-2xl backdrop-blur-sm bg-white/20 border border-white/30 focus:ring-2 focus:ring-blue-300 focus:outline-none transition-all duration-200 text-white" required>
                   <option value="" className="bg-gray-800">Select Role</option>
                   <option value="staff" className="bg-gray-800">Staff</option>
-                  <option value="hod" className="bg-gray-800">HOD</option>
+                  {isAdminSession && <option value="hod" className="bg-gray-800">HOD</option>}
                 </select>
               </div>
 
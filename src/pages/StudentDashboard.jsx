@@ -1,12 +1,25 @@
-import { useEffect, useState } from 'react'
+import { useEffect, useMemo, useState } from 'react'
 import apiClient from '../utils/apiClient'
 import { Link } from 'react-router-dom'
 import SwipeableCard from '../components/SwipeableCard'
+import CorrectionRequestForm from '../components/CorrectionRequestForm'
+import { useAlert } from '../components/AlertContext'
+import { getUserFriendlyMessage } from '../utils/apiErrorMessages'
+import { openPdf } from '../utils/pdfLinks'
+import { calculateCgpa } from '../../shared/grading'
 
 function StudentDashboard() {
   const [student, setStudent] = useState(null)
   const [marksheets, setMarksheets] = useState([])
   const [isLoading, setIsLoading] = useState(true)
+  const [corrections, setCorrections] = useState({})
+  const [correctionTarget, setCorrectionTarget] = useState(null)
+  const { showSuccess, showError } = useAlert()
+
+  const openMarksheetPdf = (target) => {
+    openPdf(target).catch((e) => showError('Download failed', getUserFriendlyMessage(e, 'Could not open the marksheet.')))
+  }
+  const cgpa = useMemo(() => calculateCgpa(marksheets), [marksheets])
 
   useEffect(() => {
     const authRaw = localStorage.getItem('auth')
@@ -102,9 +115,11 @@ function StudentDashboard() {
       const opts = force ? { cache: false, dedupe: false } : {}
       const data = await apiClient.get(`/api/marksheets?${queryParams.toString()}`, opts)
       if (data.success) {
-        const dispatchedOnly = (data.marksheets || []).filter(ms => ms.status === 'dispatched')
-        setMarksheets(dispatchedOnly)
+        // Revised marksheets stay listed while the corrected copy is being re-sent
+        const published = (data.marksheets || []).filter(ms => ms.status === 'dispatched' || ms.revision > 0)
+        setMarksheets(published)
       }
+      fetchCorrections(opts)
     } catch (err) {
       console.error('Failed to load student marksheets', err)
     } finally {
@@ -112,6 +127,21 @@ function StudentDashboard() {
     }
   }
 
+  const fetchCorrections = async (opts = {}) => {
+    try {
+      const data = await apiClient.get('/api/marksheet-corrections', opts)
+      if (!data?.success) return
+      // Newest first, so the first request seen per marksheet is its latest
+      const latest = {}
+      for (const request of data.requests || []) {
+        if (!latest[request.marksheetId]) latest[request.marksheetId] = request
+      }
+      setCorrections(latest)
+    } catch (err) {
+      console.error('Failed to load correction requests', err)
+    }
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50">
       <div className="max-w-5xl mx-auto px-4 py-8">
@@ -139,6 +169,27 @@ function StudentDashboard() {
           </div>
         </div>
 
+        {/* CGPA across semesters */}
+        {cgpa.semesters.length > 0 && (
+          <div className="glass-card p-4 sm:p-8 rounded-3xl mb-8 backdrop-blur-lg border border-white/20 shadow-lg">
+            <div className="flex flex-wrap items-end justify-between gap-4">
+              <div>
+                <p className="text-xs font-semibold text-blue-600 uppercase tracking-wider">CGPA</p>
+                <p className="text-4xl font-bold text-gray-900 mt-1">{cgpa.cgpa?.toFixed(2) ?? '—'}</p>
+                <p className="text-xs sm:text-sm text-gray-500 mt-1">{cgpa.credits} credits over {cgpa.semesters.length} semester{cgpa.semesters.length === 1 ? '' : 's'}</p>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                {cgpa.semesters.map(sem => (
+                  <div key={sem.semester} className="px-3 py-2 rounded-xl bg-white border border-gray-200 text-center min-w-[72px]">
+                    <p className="text-[11px] text-gray-500 font-semibold uppercase">Sem {sem.semester}</p>
+                    <p className="text-base font-bold text-gray-900">{sem.sgpa.toFixed(2)}</p>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Marksheets Section */}
         <div className="glass-card p-4 sm:p-8 rounded-3xl backdrop-blur-lg border border-white/20 shadow-lg">
           <div className="flex items-center justify-between mb-4 sm:mb-8">
@@ -169,15 +220,21 @@ function StudentDashboard() {
           ) : (
             <div className="space-y-3 sm:space-y-4">
               {marksheets.map(ms => {
+                const correction = corrections[ms._id]
+                const canRequestCorrection = ms.status === 'dispatched' && correction?.status !== 'pending'
                 const swipeActions = [
                   {
                     label: 'Download',
                     icon: '📥',
-                    onClick: () => {
-                      window.open(`/api/generate-pdf?marksheetId=${ms._id}`, '_blank')
-                    },
+                    onClick: () => openMarksheetPdf({ marksheetId: ms._id }),
                     className: 'bg-blue-600'
-                  }
+                  },
+                  ...(canRequestCorrection ? [{
+                    label: 'Correct',
+                    icon: '📝',
+                    onClick: () => setCorrectionTarget(ms),
+                    className: 'bg-orange-600'
+                  }] : [])
                 ]
 
                 return (
@@ -199,6 +256,26 @@ function StudentDashboard() {
                           </span>
                         </div>
 
+                        {(ms.revision > 0 || correction?.status === 'pending' || correction?.status === 'rejected') && (
+                          <div className="flex flex-wrap gap-1.5 mb-2 sm:mb-4">
+                            {ms.revision > 0 && (
+                              <span className="px-2 py-0.5 rounded-full text-[11px] sm:text-xs font-semibold bg-rose-100 text-rose-700">
+                                Revised{ms.revisedAt ? ` on ${new Date(ms.revisedAt).toLocaleDateString('en-IN')}` : ''}
+                              </span>
+                            )}
+                            {correction?.status === 'pending' && (
+                              <span className="px-2 py-0.5 rounded-full text-[11px] sm:text-xs font-semibold bg-yellow-100 text-yellow-700">
+                                Correction awaiting HOD approval
+                              </span>
+                            )}
+                            {correction?.status === 'rejected' && (
+                              <span className="px-2 py-0.5 rounded-full text-[11px] sm:text-xs font-semibold bg-red-100 text-red-700" title={correction.hodComments || ''}>
+                                Correction rejected{correction.hodComments ? `: ${correction.hodComments}` : ''}
+                              </span>
+                            )}
+                          </div>
+                        )}
+
                         {/* Details Grid */}
                         <div className="grid grid-cols-2 md:grid-cols-4 gap-2 sm:gap-6 text-xs sm:text-sm items-start">
                           <div>
@@ -214,6 +291,9 @@ function StudentDashboard() {
                             }`}>
                               {ms.overallResult || '—'}
                             </p>
+                            {typeof ms.sgpa === 'number' && (
+                              <p className="text-gray-600 mt-0.5">SGPA <span className="font-semibold text-gray-900">{ms.sgpa.toFixed(2)}</span></p>
+                            )}
                           </div>
                           <div>
                             <p className="text-gray-500 mb-0.5 font-medium">Updated</p>
@@ -227,17 +307,33 @@ function StudentDashboard() {
 
                         {/* Desktop Action Buttons */}
                         <div className="hidden sm:flex gap-3 mt-3 sm:mt-4 justify-end">
-                          <a
-                            href={`/api/generate-pdf?marksheetId=${ms._id}`}
-                            target="_blank"
-                            rel="noreferrer"
+                          {canRequestCorrection && (
+                            <button
+                              onClick={() => setCorrectionTarget(ms)}
+                              className="inline-flex items-center gap-2 px-4 py-2 bg-orange-100 text-orange-700 rounded-lg font-semibold text-sm hover:bg-orange-200 transition-colors"
+                            >
+                              Request Correction
+                            </button>
+                          )}
+                          {ms.revision > 0 && (
+                            <button
+                              type="button"
+                              onClick={() => openMarksheetPdf({ marksheetId: ms._id, revision: 0 })}
+                              className="inline-flex items-center gap-2 px-4 py-2 bg-gray-100 text-gray-700 rounded-lg font-semibold text-sm hover:bg-gray-200 transition-colors"
+                            >
+                              Original PDF
+                            </button>
+                          )}
+                          <button
+                            type="button"
+                            onClick={() => openMarksheetPdf({ marksheetId: ms._id })}
                             className="inline-flex items-center gap-2 px-4 py-2 bg-blue-100 text-blue-700 rounded-lg font-semibold text-sm hover:bg-blue-200 transition-colors"
                           >
                             <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
                             </svg>
                             Download PDF
-                          </a>
+                          </button>
                         </div>
 
                       {/* Mobile: Swipe instruction hint */}
@@ -255,6 +351,17 @@ function StudentDashboard() {
           )}
         </div>
       </div>
+
+      <CorrectionRequestForm
+        open={!!correctionTarget}
+        marksheet={correctionTarget}
+        onClose={() => setCorrectionTarget(null)}
+        onSubmitted={(request) => {
+          setCorrectionTarget(null)
+          if (request) setCorrections(prev => ({ ...prev, [request.marksheetId]: request }))
+          showSuccess('Request Sent', 'Your correction request was sent to the HOD for approval')
+        }}
+      />
     </div>
   )
 }
@@ -0,0 +1,289 @@
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import apiClient from '../utils/apiClient'
+import { getUserFriendlyMessage } from '../utils/apiErrorMessages'
+import { useAlert } from '../components/AlertContext'
+import ConfirmDialog from '../components/ConfirmDialog'
+
+const YEARS = ['I', 'II', 'III', 'IV']
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—')
+
+function YearPromotion() {
+  const { showSuccess, showError, showWarning } = useAlert()
+  const [auth] = useState(() => {
+    try {
+      const raw = localStorage.getItem('auth')
+      return raw ? JSON.parse(raw) : null
+    } catch {
+      return null
+    }
+  })
+  const canPromote = auth?.role === 'hod' || auth?.role === 'admin'
+  const department = auth?.department || ''
+  const [preview, setPreview] = useState(null)
+  const [runs, setRuns] = useState([])
+  const [academicYear, setAcademicYear] = useState('')
+  const [assignments, setAssignments] = useState({})
+  const [loading, setLoading] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [confirm, setConfirm] = useState(null)
+
+  const load = async () => {
+    if (!canPromote || !department) return
+    try {
+      setLoading(true)
+      const query = `department=${encodeURIComponent(department)}`
+      const [previewData, runsData] = await Promise.all([
+        apiClient.get(`/api/students?action=promotion-preview&${query}`, { cache: false, dedupe: false }),
+        apiClient.get(`/api/students?action=promotion-runs&${query}`, { cache: false, dedupe: false })
+      ])
+      if (previewData?.success) {
+        setPreview(previewData.preview)
+        setAcademicYear((current) => current || previewData.preview.academicYear)
+        setAssignments(Object.fromEntries(previewData.preview.staff.map((member) => [member.userId, { year: member.year, section: member.section }])))
+      }
+      if (runsData?.success) setRuns(runsData.runs || [])
+    } catch (e) {
+      showError('Error', getUserFriendlyMessage(e, 'Could not load the promotion preview.'))
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => { load() }, [department])
+
+  const setAssignment = (userId, field, value) => {
+    setAssignments((prev) => ({ ...prev, [userId]: { ...prev[userId], [field]: value } }))
+  }
+
+  // Only staff whose class was changed on this page are sent
+  const changedAssignments = () => (preview?.staff || [])
+    .filter((member) => assignments[member.userId]?.year !== member.year || assignments[member.userId]?.section !== member.section)
+    .map((member) => ({ userId: member.userId, ...assignments[member.userId] }))
+
+  const applyPromotion = async () => {
+    setConfirm(null)
+    setSaving(true)
+    try {
+      const data = await apiClient.post('/api/students?action=promotion-apply', { department, academicYear, staffAssignments: changedAssignments() })
+      if (data?.success) {
+        const { counts } = data.run
+        showSuccess('Promotion applied', `${counts.promoted} promoted, ${counts.graduated} graduated, ${counts.marksheetsArchived} marksheets and ${counts.leavesArchived} leave requests archived, ${counts.advisorsAssigned} class advisors carried into the new year`)
+        await load()
+      } else {
+        showError('Promotion failed', data?.error || 'Nothing was changed')
+      }
+    } catch (e) {
+      showError('Promotion failed', getUserFriendlyMessage(e, 'Nothing was changed.'))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const rollBack = async (run) => {
+    setConfirm(null)
+    setSaving(true)
+    try {
+      const data = await apiClient.post('/api/students?action=promotion-rollback', { runId: run._id })
+      if (data?.success) {
+        const skipped = data.run.rollbackSkipped || []
+        if (skipped.length > 0) {
+          showWarning('Rolled back', `Changed since the promotion and left as they are: ${skipped.join(', ')}`)
+        } else {
+          showSuccess('Rolled back', `The ${run.academicYear} promotion was undone`)
+        }
+        await load()
+      } else {
+        showError('Rollback failed', data?.error || 'Nothing was changed')
+      }
+    } catch (e) {
+      showError('Rollback failed', getUserFriendlyMessage(e, 'Nothing was changed.'))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const askApply = () => {
+    if (!academicYear.trim()) return showError('Academic year needed', 'Enter the academic year being closed, e.g. 2025-26')
+    const staffChanges = changedAssignments().length
+    setConfirm({
+      title: `Promote ${department} for ${academicYear}`,
+      description: `${preview.counts.promoted} student(s) move up a year and ${preview.counts.graduated} graduate.\n` +
+        `${preview.counts.marksheetsArchived} marksheet(s) and ${preview.counts.leavesArchived} leave request(s) become read-only.\n` +
+        `${staffChanges} class advisor(s) move to a new class; subject teacher assignments end and are made afresh for the new year.\nYou can roll this back for a limited time.`,
+      confirmLabel: 'Promote',
+      onConfirm: applyPromotion
+    })
+  }
+
+  const askRollBack = (run) => {
+    setConfirm({
+      title: `Roll back ${run.academicYear}`,
+      description: `Return ${run.counts.promoted + run.counts.graduated} student(s) to their previous year and status, reopen the archived records and restore staff assignments?`,
+      confirmLabel: 'Roll back',
+      onConfirm: () => rollBack(run)
+    })
+  }
+
+  if (!canPromote) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="glass-card p-6 rounded-2xl text-center text-gray-600">Only HODs can run the year-end promotion.</div>
+      </div>
+    )
+  }
+
+  const inputClass = 'px-2 py-1 border border-gray-300 rounded'
+  const activeRun = runs.find((run) => run.status === 'applied' && run.academicYear === academicYear)
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50">
+      <div className="container mx-auto px-4 sm:px-6 lg:px-8 py-6 sm:py-8 space-y-6">
+        <div>
+          <Link to="/roster" className="text-sm text-blue-700">← Student Roster</Link>
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mt-1">Year-end Promotion · {department}</h1>
+          <p className="text-sm text-gray-600 mt-1">
+            Moves every active student up a year, graduates the final year and archives the year&apos;s marksheets and closed leave requests as read-only.
+          </p>
+        </div>
+
+        {loading && <div className="glass-card p-6 rounded-2xl text-center text-gray-600">Loading preview...</div>}
+
+        {!loading && preview && (
+          <div className="glass-card p-4 rounded-2xl space-y-4">
+            <div className="flex flex-wrap items-end gap-3">
+              <label className="text-sm text-gray-700">
+                Academic year being closed
+                <input value={academicYear} onChange={(e) => setAcademicYear(e.target.value)} placeholder="2025-26" className={`mt-1 block ${inputClass}`} />
+              </label>
+              <button
+                type="button"
+                onClick={askApply}
+                disabled={saving || preview.classes.length === 0 || !!activeRun}
+                className="ml-auto px-4 py-2 rounded-lg bg-indigo-600 text-white text-sm font-semibold disabled:opacity-60"
+              >
+                {saving ? 'Working...' : 'Apply Promotion'}
+              </button>
+            </div>
+            {activeRun && (
+              <div className="p-3 rounded-xl bg-yellow-50 border border-yellow-200 text-sm text-yellow-800">
+                {department} was already promoted for {academicYear} on {formatDate(activeRun.appliedAt)}. Roll that run back to promote again.
+              </div>
+            )}
+            {preview.unknownYear.length > 0 && (
+              <div className="p-3 rounded-xl bg-yellow-50 border border-yellow-200 text-sm text-yellow-800">
+                These students have no recognisable year and will be left out: {preview.unknownYear.join(', ')}
+              </div>
+            )}
+
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-600 border-b">
+                    <th className="py-2 pr-4">Class</th>
+                    <th className="py-2 pr-4">Students</th>
+                    <th className="py-2 pr-4">Becomes</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.classes.map((item) => (
+                    <tr key={`${item.year}-${item.section}`} className="border-b last:border-0">
+                      <td className="py-2 pr-4">{item.year} {item.section}</td>
+                      <td className="py-2 pr-4">{item.students}</td>
+                      <td className="py-2 pr-4">{item.toYear ? `${item.toYear} ${item.section}` : 'Graduated'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="text-sm text-gray-600">
+              {preview.counts.marksheetsArchived} marksheet(s) and {preview.counts.leavesArchived} closed leave request(s) will be archived.
+              {preview.counts.marksheetsInFlight > 0 && ` ${preview.counts.marksheetsInFlight} marksheet(s) awaiting dispatch stay open until they are sent.`}
+            </p>
+
+            <div>
+              <h2 className="font-semibold text-gray-900 mb-2">Class advisors for the new year</h2>
+              {preview.staff.length === 0 ? (
+                <p className="text-sm text-gray-600">No staff in this department.</p>
+              ) : (
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-600 border-b">
+                      <th className="py-2 pr-4">Staff</th>
+                      <th className="py-2 pr-4">Advises now</th>
+                      <th className="py-2 pr-4">Year</th>
+                      <th className="py-2 pr-4">Section</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.staff.map((member) => (
+                      <tr key={member.userId} className="border-b last:border-0">
+                        <td className="py-2 pr-4">{member.name}</td>
+                        <td className="py-2 pr-4">{member.year || '—'} {member.section}</td>
+                        <td className="py-2 pr-4">
+                          <select value={assignments[member.userId]?.year || ''} onChange={(e) => setAssignment(member.userId, 'year', e.target.value)} className={inputClass}>
+                            <option value="">None</option>
+                            {YEARS.map((year) => <option key={year} value={year}>{year}</option>)}
+                          </select>
+                        </td>
+                        <td className="py-2 pr-4">
+                          <input value={assignments[member.userId]?.section || ''} onChange={(e) => setAssignment(member.userId, 'section', e.target.value.toUpperCase())} className={`w-20 ${inputClass}`} />
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </div>
+        )}
+
+        {runs.length > 0 && (
+          <div className="glass-card p-4 rounded-2xl">
+            <h2 className="font-semibold text-gray-900 mb-2">Previous promotions</h2>
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b">
+                  <th className="py-2 pr-4">Academic year</th>
+                  <th className="py-2 pr-4">Applied</th>
+                  <th className="py-2 pr-4">Promoted / graduated</th>
+                  <th className="py-2 pr-4">Status</th>
+                  <th className="py-2 pr-4"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {runs.map((run) => (
+                  <tr key={run._id} className="border-b last:border-0">
+                    <td className="py-2 pr-4">{run.academicYear}</td>
+                    <td className="py-2 pr-4">{formatDate(run.appliedAt)} · {run.appliedBy?.name}</td>
+                    <td className="py-2 pr-4">{run.counts.promoted} / {run.counts.graduated}</td>
+                    <td className="py-2 pr-4">
+                      {run.status === 'rolled_back' ? `Rolled back ${formatDate(run.rolledBackAt)}` : `Applied · rollback until ${formatDate(run.rollbackUntil)}`}
+                    </td>
+                    <td className="py-2 pr-4 text-right">
+                      {run.canRollBack && (
+                        <button type="button" onClick={() => askRollBack(run)} disabled={saving} className="text-red-700 font-semibold disabled:opacity-60">Roll back</button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <ConfirmDialog
+        open={!!confirm}
+        title={confirm?.title}
+        description={confirm?.description}
+        confirmLabel={confirm?.confirmLabel}
+        onConfirm={() => confirm?.onConfirm()}
+        onCancel={() => setConfirm(null)}
+      />
+    </div>
+  )
+}
+
+export default YearPromotion
@@ -0,0 +1,119 @@
+import { describe, it, expect, vi } from 'vitest'
+import mongoose from 'mongoose'
+import { calendarSemesterOf, campusDayKey, examWindowsBetween, isWorkingDay, nextWorkingDay, summarizeCalendar } from '../../shared/calendar.js'
+import { countLeaveDays } from '../../shared/leave.js'
+import { parseICal, toICal, validateCalendarEvent } from '../../lib/academicCalendar.js'
+import { AcademicCalendarEvent } from '../../models.js'
+import calendarHandler from '../../api/calendar.js'
+
+const events = [
+  { kind: 'holiday', title: 'Pongal', department: 'ALL', startDate: '2026-01-14', endDate: '2026-01-16' },
+  // CSE runs classes on the last day of Pongal, and everyone works Saturday 17th
+  { kind: 'working_day', title: 'CSE lab day', department: 'CSE', startDate: '2026-01-16', endDate: '2026-01-16' },
+  { kind: 'working_day', title: 'Compensatory Saturday', department: 'ALL', startDate: '2026-01-17', endDate: '2026-01-17' },
+  { kind: 'holiday', title: 'Symposium', department: 'CSE', startDate: '2026-01-17', endDate: '2026-01-17' },
+  { kind: 'semester', title: 'Even Semester', department: 'ALL', startDate: '2026-01-05', endDate: '2026-05-15' },
+  { kind: 'exam', title: 'End Semester Exams', department: 'ALL', startDate: '2026-04-20', endDate: '2026-05-08' }
+]
+
+describe('academic calendar', () => {
+  it('lets department events beat institution ones, then working days beat holidays', () => {
+    const calendar = summarizeCalendar(events)
+    expect(calendar.holidays).toEqual([
+      { date: '2026-01-14', name: 'Pongal' },
+      { date: '2026-01-15', name: 'Pongal' },
+      { date: '2026-01-17', name: 'Symposium' }
+    ])
+    expect(calendar.workingDays).toEqual(['2026-01-16'])
+
+    const institution = summarizeCalendar(events.filter((event) => event.department === 'ALL'))
+    expect(isWorkingDay('2026-01-16', institution)).toBe(false)
+    expect(isWorkingDay('2026-01-17', institution)).toBe(true)
+    expect(nextWorkingDay('2026-01-14', institution)).toEqual(new Date('2026-01-17'))
+  })
+
+  it('counts leave days with holidays and extra working days', () => {
+    const calendar = summarizeCalendar(events.filter((event) => event.department === 'ALL'))
+    // Mon 12 to Sun 18 Jan: 12, 13 and the compensatory Saturday
+    expect(countLeaveDays('2026-01-12', '2026-01-18', calendar.holidays, calendar.workingDays)).toBe(3)
+  })
+
+  it('finds semesters and exam windows', () => {
+    const calendar = summarizeCalendar(events)
+    expect(calendarSemesterOf('2026-05-15', calendar)).toEqual({ title: 'Even Semester', start: new Date('2026-01-05'), end: new Date('2026-05-16') })
+    expect(calendarSemesterOf('2026-06-01', calendar)).toBe(null)
+    expect(examWindowsBetween(calendar, '2026-05-01', '2026-05-31')).toHaveLength(1)
+    expect(examWindowsBetween(calendar, '2026-03-01', '2026-03-31')).toHaveLength(0)
+    expect(campusDayKey('2026-01-16T20:00:00.000Z')).toBe('2026-01-17')
+  })
+
+  it('round-trips events through iCal', () => {
+    const { event } = validateCalendarEvent({ title: 'Pongal, Thai', kind: 'holiday', department: 'cse', startDate: '2026-01-14', endDate: '2026-01-16', notes: 'Three days; no classes' })
+    const ics = toICal([event])
+    expect(ics).toContain('DTEND;VALUE=DATE:20260117')
+    const { events: parsed, errors } = parseICal(ics, { department: 'ALL' })
+    expect(errors).toEqual([])
+    expect(parsed).toEqual([event])
+  })
+
+  it('reads calendars exported elsewhere', () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'DTSTART;VALUE=DATE:20260420',
+      'DTEND;VALUE=DATE:20260509',
+      'SUMMARY:End Semester',
+      '  Exams',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'DTSTART;VALUE=DATE:20260815',
+      'SUMMARY:Independence Day',
+      'RRULE:FREQ=YEARLY',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'SUMMARY:No date',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n')
+    const { events: parsed, errors } = parseICal(ics, { department: 'ECE' })
+    expect(parsed.map(({ kind, title, department }) => ({ kind, title, department }))).toEqual([
+      { kind: 'exam', title: 'End Semester Exams', department: 'ECE' },
+      { kind: 'holiday', title: 'Independence Day', department: 'ECE' }
+    ])
+    expect(parsed[0].endDate).toEqual(new Date('2026-05-08'))
+    // Events without a UID get the same one on every import
+    expect(parseICal(ics, { department: 'ECE' }).events[1].uid).toBe(parsed[1].uid)
+    expect(errors).toHaveLength(2)
+    expect(parseICal('hello').errors[0]).toMatch(/iCalendar/)
+  })
+
+  it('imports events into the department as the calendar reads it', async () => {
+    const connection = global.mongoose.conn
+    global.mongoose.conn = mongoose
+    const bulkWrite = vi.spyOn(AcademicCalendarEvent, 'bulkWrite').mockResolvedValue({ upsertedCount: 2, modifiedCount: 0 })
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT', 'UID:lab@example.edu', 'DTSTART;VALUE=DATE:20260116', 'SUMMARY:Lab day', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:sym@example.edu', 'DTSTART;VALUE=DATE:20260117', 'SUMMARY:Symposium', 'X-MSEC-DEPARTMENT:ece', 'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n')
+
+    const res = { statusCode: 200, body: null }
+    res.status = (code) => { res.statusCode = code; return res }
+    res.json = (body) => { res.body = body; return res }
+    let written
+    try {
+      await calendarHandler({ method: 'POST', query: { action: 'import' }, body: { ics, department: ' civil engg ' }, headers: {}, user: { id: 'u1', role: 'admin' } }, res)
+      written = bulkWrite.mock.calls[0]?.[0] || []
+    } finally {
+      bulkWrite.mockRestore()
+      global.mongoose.conn = connection
+    }
+
+    expect(res.statusCode).toBe(200)
+    expect(written.map(({ updateOne }) => updateOne.filter)).toEqual([
+      { department: 'CIVIL_ENGG', uid: 'lab@example.edu' },
+      { department: 'ECE', uid: 'sym@example.edu' }
+    ])
+  })
+})
@@ -0,0 +1,115 @@
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import { alignSheetRows, applyAttendanceToMarksheets, applyStatuses, buildReconciliation, readSheetKey, tallyAttendance } from '../../lib/attendance.js'
+import { AttendanceRegister, LeaveRequest, Marksheet, Student } from '../../models.js'
+import { formatAttendancePercent, reconcileStatus, summarizeStatuses } from '../../shared/attendance.js'
+
+const students = [
+  { _id: 's1', regNumber: 'REG1', name: 'Asha' },
+  { _id: 's2', regNumber: 'REG2', name: 'Bala' },
+  { _id: 's3', regNumber: 'REG3', name: 'Chitra' }
+]
+
+// Model.find(...) chain resolving to `docs`
+const query = (docs) => {
+  const chain = { select: () => chain, sort: () => chain, lean: async () => docs }
+  return chain
+}
+
+const reconciliation = buildReconciliation(
+  [
+    { studentId: 's1', category: 'medical', startDate: new Date('2026-10-05T00:00:00Z'), endDate: new Date('2026-10-06T00:00:00Z') },
+    { studentId: 's2', category: 'on_duty', startDate: new Date('2026-10-07T00:00:00Z'), endDate: new Date('2026-10-07T00:00:00Z') }
+  ],
+  [{ studentId: 's3', expectedArrivalTime: new Date('2026-10-05T09:30:00+05:30') }]
+)
+
+describe('attendance register', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('fills in leave and late arrivals without overriding what staff marked', () => {
+    expect(reconcileStatus(undefined, {})).toBe('present')
+    expect(reconcileStatus(undefined, { late: true })).toBe('late')
+    expect(reconcileStatus('absent', { leave: 'medical' })).toBe('leave')
+    expect(reconcileStatus(undefined, { leave: 'on_duty' })).toBe('on_duty')
+    // Came in despite the leave
+    expect(reconcileStatus('present', { leave: 'medical' })).toBe('present')
+    expect(reconcileStatus('absent', { late: true })).toBe('absent')
+  })
+
+  it('maps approved leaves and recorded lates to campus days', () => {
+    expect(reconciliation.get('s1').get('2026-10-05')).toEqual({ leave: 'medical', late: false })
+    expect(reconciliation.get('s1').get('2026-10-06')).toEqual({ leave: 'medical', late: false })
+    expect(reconciliation.get('s1').has('2026-10-07')).toBe(false)
+    expect(reconciliation.get('s3').get('2026-10-05')).toEqual({ leave: null, late: true })
+
+    const rows = alignSheetRows([{ studentId: 's2', status: 'absent' }], students, reconciliation, '2026-10-05')
+    expect(rows.map((row) => [row.regNumber, row.status, row.marked])).toEqual([
+      ['REG1', 'leave', false],
+      ['REG2', 'absent', true],
+      ['REG3', 'late', false]
+    ])
+  })
+
+  it('applies statuses by student or register number and rejects the whole sheet on a bad row', () => {
+    const rows = alignSheetRows([], students, reconciliation, '2026-10-08')
+    const { rows: saved } = applyStatuses(rows, [{ studentId: 's1', status: 'absent' }, { regNumber: 'reg3', status: 'on_duty' }])
+    expect(saved.map((row) => row.status)).toEqual(['absent', 'present', 'on_duty'])
+    expect(saved[0]).toEqual({ studentId: 's1', regNumber: 'REG1', name: 'Asha', status: 'absent' })
+
+    const { errors } = applyStatuses(rows, [{ studentId: 's1', status: 'away' }, { regNumber: 'REG9', status: 'present' }])
+    expect(errors).toEqual(['REG1: status must be one of present, absent, late, on_duty, leave', 'REG9: not in this class'])
+  })
+
+  it('computes the percentage leaving out approved leave, including leave approved after marking', () => {
+    expect(summarizeStatuses(['present', 'late', 'absent', 'leave', 'on_duty'])).toEqual({
+      conducted: 5, attended: 3, absent: 1, late: 1, onDuty: 1, leave: 1, percentage: 75
+    })
+    expect(summarizeStatuses(['leave']).percentage).toBeNull()
+    expect(formatAttendancePercent(66.666)).toBe('66.67%')
+
+    const sheets = [
+      { date: new Date('2026-10-05T00:00:00Z'), rows: [{ studentId: 's1', status: 'absent' }, { studentId: 's2', status: 'present' }] },
+      { date: new Date('2026-10-07T00:00:00Z'), rows: [{ studentId: 's1', status: 'present' }, { studentId: 's2', status: 'absent' }] },
+      { date: new Date('2026-10-08T00:00:00Z'), rows: [{ studentId: 's1', status: 'absent' }, { studentId: 's2', status: 'present' }] }
+    ]
+    const tallies = tallyAttendance(sheets, reconciliation)
+    expect(tallies.get('s1')).toMatchObject({ conducted: 3, attended: 1, leave: 1, absent: 1, percentage: 50 })
+    expect(tallies.get('s2')).toMatchObject({ conducted: 3, attended: 3, onDuty: 1, percentage: 100 })
+  })
+
+  it('reads the class, day and period of a sheet', () => {
+    expect(readSheetKey({ department: 'cse', year: '3', section: 'a', date: '2026-10-05' }).sheet)
+      .toEqual({ department: 'CSE', year: 'III', section: 'A', date: new Date('2026-10-05T00:00:00Z'), period: 0 })
+    expect(readSheetKey({ department: 'CSE', year: 'III', section: 'A', date: '2026-10-05', period: '3' }).sheet.period).toBe(3)
+    expect(readSheetKey({ department: 'CSE', year: 'III', section: 'A', date: '2026-10-05', period: 9 }).error).toMatch(/period/)
+    expect(readSheetKey({ department: 'CSE', year: 'III', section: 'A' }).error).toBe('date is required')
+  })
+
+  it('writes the marksheets it can and audits only those when another edit lands midway', async () => {
+    const classInfo = { department: 'CSE', year: 'III', section: 'A' }
+    const stamp = new Date('2026-10-09T08:00:00Z')
+    vi.spyOn(Student, 'find').mockReturnValue(query(students.slice(0, 2)))
+    vi.spyOn(LeaveRequest, 'find').mockReturnValue(query([]))
+    vi.spyOn(AttendanceRegister, 'find').mockReturnValue(query([
+      { date: new Date('2026-10-05T00:00:00Z'), rows: [{ studentId: 's1', status: 'present' }, { studentId: 's2', status: 'absent' }] },
+      { date: new Date('2026-10-06T00:00:00Z'), rows: [{ studentId: 's1', status: 'present' }, { studentId: 's2', status: 'present' }] }
+    ]))
+    vi.spyOn(Marksheet, 'find').mockReturnValue(query([
+      { _id: 'm1', studentId: 's1', studentDetails: { name: 'Asha', regNumber: 'REG1', attendance: '90%' }, status: 'draft', updatedAt: stamp },
+      { _id: 'm2', studentId: 's2', studentDetails: { name: 'Bala', regNumber: 'REG2', attendance: '80%' }, status: 'draft', updatedAt: stamp }
+    ]))
+    // m2 was edited after it was read
+    const updateOne = vi.spyOn(Marksheet, 'updateOne').mockImplementation(async (filter) => ({ matchedCount: filter._id === 'm1' ? 1 : 0 }))
+    vi.spyOn(Student, 'bulkWrite').mockResolvedValue({})
+
+    const { results, auditEvents } = await applyAttendanceToMarksheets(classInfo, 'Model 1', { from: '2026-10-05', to: '2026-10-06' })
+    expect(updateOne).toHaveBeenCalledTimes(2)
+    expect(updateOne.mock.calls[1][0]).toEqual({ _id: 'm2', updatedAt: stamp })
+    expect(results.map((result) => [result.regNumber, result.status])).toEqual([['REG1', 'updated'], ['REG2', 'skipped']])
+    expect(results[1].error).toMatch(/changed while the attendance was applied/)
+    expect(auditEvents).toHaveLength(1)
+    expect(auditEvents[0]).toMatchObject({ marksheetId: 'm1', changes: [{ before: '90%', after: '100%' }] })
+  })
+})
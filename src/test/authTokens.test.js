@@ -0,0 +1,96 @@
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import mongoose from 'mongoose'
+import bcrypt from 'bcryptjs'
+import usersHandler from '../../api/users.js'
+import { assertTokenSecret, issueSessionTokens, signToken, verifyToken } from '../../lib/authTokens.js'
+import { loadPrincipal } from '../../lib/authMiddleware.js'
+import { Student, User } from '../../models.js'
+
+// findById(...).select(...).lean() resolving to `doc`
+const found = (doc) => ({ select: () => ({ lean: async () => doc }) })
+
+const hod = { _id: 'u1', name: 'Dr. Rao', email: 'rao@example.edu', role: 'HOD', department: 'CSE', tokenVersion: 2 }
+const student = { _id: 's1', name: 'Asha', regNumber: 'REG1', department: 'CSE', year: 'III', section: 'A' }
+
+describe('session tokens', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.restoreAllMocks()
+    vi.unstubAllEnvs()
+  })
+
+  it('round-trips a signed token and rejects the wrong type or a tampered body', () => {
+    const token = signToken({ sub: 'u1', typ: 'access', role: 'hod' }, 60)
+    expect(verifyToken(token, 'access')).toMatchObject({ valid: true, payload: { sub: 'u1', role: 'hod' } })
+    expect(verifyToken(token, 'refresh')).toEqual({ valid: false, code: 'INVALID_TOKEN' })
+
+    const [header, , signature] = token.split('.')
+    const forged = Buffer.from(JSON.stringify({ sub: 'u1', typ: 'access', role: 'admin', exp: 9999999999 })).toString('base64url')
+    expect(verifyToken(`${header}.${forged}.${signature}`, 'access')).toEqual({ valid: false, code: 'INVALID_TOKEN' })
+    expect(verifyToken('not-a-token', 'access')).toEqual({ valid: false, code: 'INVALID_TOKEN' })
+  })
+
+  it('expires tokens after their lifetime', () => {
+    vi.useFakeTimers()
+    vi.setSystemTime(new Date('2026-10-19T10:00:00Z'))
+    const token = signToken({ sub: 'u1', typ: 'access' }, 15 * 60)
+    vi.setSystemTime(new Date('2026-10-19T10:14:59Z'))
+    expect(verifyToken(token, 'access').valid).toBe(true)
+    vi.setSystemTime(new Date('2026-10-19T10:15:00Z'))
+    expect(verifyToken(token, 'access')).toEqual({ valid: false, code: 'TOKEN_EXPIRED' })
+  })
+
+  it('issues an access/refresh pair carrying the token version', () => {
+    const { accessToken, refreshToken } = issueSessionTokens(hod, 'user')
+    expect(verifyToken(accessToken, 'access').payload).toMatchObject({ sub: 'u1', role: 'hod', kind: 'user', ver: 2 })
+    expect(verifyToken(refreshToken, 'refresh').payload).toMatchObject({ sub: 'u1', ver: 2 })
+  })
+
+  it('revokes tokens issued before the account\'s token version was bumped', async () => {
+    const { payload } = verifyToken(issueSessionTokens(hod, 'user').accessToken, 'access')
+    vi.spyOn(User, 'findById').mockReturnValue(found(hod))
+    expect(await loadPrincipal(payload)).toMatchObject({ id: 'u1', role: 'hod', department: 'CSE' })
+
+    // A password reset bumps tokenVersion
+    User.findById.mockReturnValue(found({ ...hod, tokenVersion: 3 }))
+    expect(await loadPrincipal(payload)).toBeNull()
+
+    const studentPayload = verifyToken(issueSessionTokens(student, 'student').accessToken, 'access').payload
+    vi.spyOn(Student, 'findById').mockReturnValue(found(student))
+    expect(await loadPrincipal(studentPayload)).toMatchObject({ id: 's1', role: 'student', regNumber: 'REG1' })
+    Student.findById.mockReturnValue(found(null))
+    expect(await loadPrincipal(studentPayload)).toBeNull()
+  })
+
+  it('signs out other sessions when staff change their own password, keeping this one', async () => {
+    const connection = global.mongoose.conn
+    global.mongoose.conn = mongoose
+    vi.spyOn(User, 'findById').mockResolvedValue({ ...hod, password: await bcrypt.hash('old-secret', 4) })
+    const update = vi.spyOn(User, 'findByIdAndUpdate').mockReturnValue({ lean: async () => ({ ...hod, tokenVersion: 3 }) })
+
+    const res = { statusCode: 200, body: null }
+    res.status = (code) => { res.statusCode = code; return res }
+    res.json = (body) => { res.body = body; return res }
+    try {
+      await usersHandler({ method: 'PATCH', query: { action: 'reset-password' }, body: { currentPassword: 'old-secret', newPassword: 'new-secret' }, headers: {}, user: { id: 'u1', role: 'hod' } }, res)
+    } finally {
+      global.mongoose.conn = connection
+    }
+
+    expect(res.statusCode).toBe(200)
+    expect(update.mock.calls[0][1]).toMatchObject({ $inc: { tokenVersion: 1 } })
+    expect(verifyToken(res.body.accessToken, 'access').payload).toMatchObject({ sub: 'u1', ver: 3 })
+    expect(verifyToken(res.body.refreshToken, 'refresh').payload).toMatchObject({ sub: 'u1', ver: 3 })
+  })
+
+  it('refuses to sign without a configured secret in production', () => {
+    vi.stubEnv('AUTH_TOKEN_SECRET', '')
+    vi.stubEnv('JWT_SECRET', '')
+    vi.stubEnv('NODE_ENV', 'production')
+    expect(() => assertTokenSecret()).toThrow(/AUTH_TOKEN_SECRET/)
+    expect(() => signToken({ sub: 'u1', typ: 'access' }, 60)).toThrow(/AUTH_TOKEN_SECRET/)
+
+    vi.stubEnv('AUTH_TOKEN_SECRET', 'a-configured-secret')
+    expect(verifyToken(signToken({ sub: 'u1', typ: 'access' }, 60), 'access').valid).toBe(true)
+  })
+})
@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest'
+import { isStale, requestedVersion, unchangedFilter, versionOf } from '../../lib/concurrency.js'
+import { ifMatch, mergeFields } from '../utils/versionConflict.js'
+
+const doc = { _id: 'l1', status: 'requested', updatedAt: new Date('2026-03-01T10:00:00Z') }
+const version = String(doc.updatedAt.getTime())
+
+describe('version-checked updates', () => {
+  it('reads the version from If-Match or the body', () => {
+    expect(requestedVersion({ headers: { 'if-match': `W/"${version}"` } })).toBe(version)
+    expect(requestedVersion({ headers: {}, body: { version: Number(version) } })).toBe(version)
+    expect(requestedVersion({ headers: { 'if-match': '*' }, body: {} })).toBeNull()
+    expect(ifMatch(doc)).toEqual({ 'If-Match': `"${version}"` })
+  })
+
+  it('only rejects writers that sent an outdated version', () => {
+    expect(versionOf(doc)).toBe(version)
+    expect(isStale(doc, { headers: { 'if-match': ifMatch(doc)['If-Match'] } })).toBe(false)
+    expect(isStale(doc, { headers: {}, body: { version: '1' } })).toBe(true)
+    expect(isStale(doc, { headers: {}, body: {} })).toBe(false)
+    expect(unchangedFilter(doc)).toEqual({ _id: 'l1', updatedAt: doc.updatedAt })
+  })
+
+  it('keeps the user\'s edits over the saved record and lists the clashes', () => {
+    const base = { name: 'Asha', section: 'A', comments: '' }
+    const mine = { name: 'Asha R', section: 'A', comments: '' }
+    const theirs = { name: 'Asha K', section: 'B', comments: '' }
+    expect(mergeFields(base, mine, theirs)).toEqual({ merged: { name: 'Asha R', section: 'B', comments: '' }, clashes: ['name'] })
+  })
+})
@@ -0,0 +1,156 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import mongoose from 'mongoose'
+import { runDispatchJobTick } from '../../lib/dispatchJobWorker.js'
+import dispatchHandler from '../../api/whatsapp-dispatch.js'
+import { markMarksheetDispatched, sendMarksheetWhatsApp } from '../../lib/marksheetDispatch.js'
+import { DispatchJob, Marksheet, SchedulerLock } from '../../models.js'
+import { INSTANCE_ID } from '../../lib/schedulerLock.js'
+
+// Sending goes through the WhatsApp gateway; the worker only sees whether it threw
+vi.mock('../../lib/marksheetDispatch.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  sendMarksheetWhatsApp: vi.fn(),
+  markMarksheetDispatched: vi.fn()
+}))
+
+const job = (item = {}, fields = {}) => ({
+  _id: 'j1',
+  staffId: 'u1',
+  status: 'running',
+  items: [{ _id: 'i1', marksheetId: 'm1', status: 'pending', attempts: 0, ...item }],
+  ...fields
+})
+
+// $set of the updates the worker made to job items
+const itemUpdates = () => DispatchJob.updateOne.mock.calls.filter(([filter]) => filter['items._id']).map(([, update]) => update)
+
+describe('bulk dispatch worker', () => {
+  let leaseOwner
+  let connection
+
+  beforeEach(() => {
+    // Reuse a "connection" so the worker does not dial MongoDB
+    connection = global.mongoose.conn
+    global.mongoose.conn = mongoose
+    leaseOwner = INSTANCE_ID
+    vi.spyOn(SchedulerLock, 'findOneAndUpdate').mockImplementation(() => ({ lean: async () => ({ owner: leaseOwner }) }))
+    vi.spyOn(SchedulerLock, 'updateOne').mockResolvedValue({})
+    vi.spyOn(DispatchJob, 'exists').mockResolvedValue({ _id: 'j1' })
+    vi.spyOn(DispatchJob, 'updateOne').mockResolvedValue({})
+    vi.spyOn(DispatchJob, 'findOneAndUpdate').mockReturnValue({ lean: async () => ({}) })
+    vi.spyOn(Marksheet, 'findById').mockResolvedValue({ _id: 'm1', status: 'approved_by_hod' })
+    vi.spyOn(Marksheet, 'findByIdAndUpdate').mockResolvedValue({})
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    sendMarksheetWhatsApp.mockReset()
+    markMarksheetDispatched.mockReset()
+    global.mongoose.conn = connection
+  })
+
+  const due = (...jobs) => vi.spyOn(DispatchJob, 'find').mockReturnValue({ sort: () => ({ limit: () => ({ lean: async () => jobs }) }) })
+
+  it('only works while holding the lease and claims a queued job before its first send', async () => {
+    due(job({}, { status: 'queued' }))
+    leaseOwner = 'other-instance'
+    await runDispatchJobTick()
+    expect(sendMarksheetWhatsApp).not.toHaveBeenCalled()
+
+    leaseOwner = INSTANCE_ID
+    sendMarksheetWhatsApp.mockResolvedValue({})
+    const before = Date.now()
+    await runDispatchJobTick()
+    expect(DispatchJob.updateOne).toHaveBeenCalledWith({ _id: 'j1', status: 'queued' }, { $set: { status: 'running', startedAt: expect.any(Date) } })
+    // The attempt is counted before the send, so a crash mid-send retries instead of losing the item
+    const [counted, sent] = itemUpdates()
+    expect(counted.$set['items.$.attempts']).toBe(1)
+    expect(sendMarksheetWhatsApp.mock.invocationCallOrder[0]).toBeGreaterThan(DispatchJob.updateOne.mock.invocationCallOrder[1])
+    expect(sent.$set).toMatchObject({ 'items.$.status': 'sent', 'items.$.error': null })
+    expect(sent.$inc).toEqual({ sent: 1, sendsSinceCooldown: 1 })
+    // Paced 6-9 seconds apart
+    const wait = sent.$set.nextRunAt.getTime() - before
+    expect(wait).toBeGreaterThanOrEqual(6000)
+    expect(wait).toBeLessThan(9000 + 1000)
+    expect(SchedulerLock.updateOne).toHaveBeenCalled()
+  })
+
+  it('retries a failed send with a doubling delay and gives up after the third attempt', async () => {
+    sendMarksheetWhatsApp.mockRejectedValue(new Error('gateway timeout'))
+
+    for (const [attempts, delay] of [[0, 30_000], [1, 60_000]]) {
+      DispatchJob.updateOne.mockClear()
+      due(job({ attempts }))
+      const before = Date.now()
+      await runDispatchJobTick()
+      const retry = itemUpdates().at(-1)
+      expect(retry.$set['items.$.error']).toBe('gateway timeout')
+      expect(retry.$set['items.$.status']).toBeUndefined()
+      expect(retry.$set['items.$.nextAttemptAt'].getTime() - before).toBeGreaterThanOrEqual(delay)
+      expect(retry.$set['items.$.nextAttemptAt'].getTime() - before).toBeLessThan(delay + 1000)
+    }
+    expect(Marksheet.findByIdAndUpdate).toHaveBeenCalledWith('m1', expect.objectContaining({ 'dispatchStatus.whatsappStatus': 'failed' }))
+
+    DispatchJob.updateOne.mockClear()
+    due(job({ attempts: 2 }))
+    await runDispatchJobTick()
+    const gaveUp = itemUpdates().at(-1)
+    expect(gaveUp.$set).toMatchObject({ 'items.$.status': 'failed', 'items.$.nextAttemptAt': null })
+    expect(gaveUp.$inc).toEqual({ failed: 1 })
+
+    // Waiting on retries only: the job sleeps until the earliest one
+    DispatchJob.updateOne.mockClear()
+    sendMarksheetWhatsApp.mockClear()
+    const retryAt = new Date(Date.now() + 45_000)
+    due(job({ attempts: 1, nextAttemptAt: retryAt }))
+    await runDispatchJobTick()
+    expect(sendMarksheetWhatsApp).not.toHaveBeenCalled()
+    expect(DispatchJob.updateOne).toHaveBeenCalledWith({ _id: 'j1', status: { $in: ['queued', 'running'] } }, { $set: { nextRunAt: retryAt } })
+  })
+
+  it('pauses the job without using up an attempt when the WhatsApp instance is disconnected', async () => {
+    sendMarksheetWhatsApp.mockRejectedValue(Object.assign(new Error('Instance not connected'), { code: 'INSTANCE_NOT_CONNECTED' }))
+    due(job({ attempts: 1 }))
+    await runDispatchJobTick()
+
+    const restored = itemUpdates().at(-1)
+    expect(restored.$set).toMatchObject({ 'items.$.attempts': 1, 'items.$.error': 'Instance not connected' })
+    expect(restored.$set['items.$.status']).toBeUndefined()
+    expect(DispatchJob.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'j1', status: { $in: ['queued', 'running'] } },
+      { $set: expect.objectContaining({ status: 'paused', pauseReason: 'Instance not connected' }) },
+      { new: true }
+    )
+    expect(Marksheet.findByIdAndUpdate).not.toHaveBeenCalled()
+  })
+
+  it('skips marksheets that are gone or no longer approved for dispatch', async () => {
+    Marksheet.findById.mockResolvedValue({ _id: 'm1', status: 'draft' })
+    due(job())
+    await runDispatchJobTick()
+    expect(sendMarksheetWhatsApp).not.toHaveBeenCalled()
+    expect(itemUpdates()[0]).toMatchObject({ $set: { 'items.$.status': 'skipped' }, $inc: { skipped: 1 } })
+  })
+
+  it('answers 409 when another bulk dispatch was queued after the open-job check', async () => {
+    const staffId = new mongoose.Types.ObjectId()
+    const marksheetId = new mongoose.Types.ObjectId()
+    vi.spyOn(DispatchJob, 'findOne').mockReturnValue({ lean: async () => null })
+    vi.spyOn(Marksheet, 'find').mockReturnValue({ select: () => ({ lean: async () => [{ _id: marksheetId, staffId, status: 'approved_by_hod', studentDetails: { department: 'CSE' } }] }) })
+    vi.spyOn(DispatchJob, 'create').mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }))
+
+    const res = { statusCode: 200, body: null }
+    res.status = (code) => { res.statusCode = code; return res }
+    res.json = (body) => { res.body = body; return res }
+    const user = { id: String(staffId), role: 'staff', kind: 'user', department: 'CSE' }
+    await dispatchHandler({ method: 'POST', query: { action: 'create-job' }, body: { marksheetIds: [String(marksheetId)] }, headers: {}, user }, res)
+
+    expect(res.statusCode).toBe(409)
+    expect(res.body.error).toMatch(/already in progress/)
+    // The database enforces one open job per staff member
+    expect(DispatchJob.schema.indexes()).toContainEqual([
+      { staffId: 1 },
+      expect.objectContaining({ unique: true, partialFilterExpression: { status: { $in: ['queued', 'running', 'paused'] } } })
+    ])
+  })
+})
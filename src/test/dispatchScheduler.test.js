@@ -0,0 +1,134 @@
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import { INSTANCE_ID, acquireLease, releaseLease } from '../../lib/schedulerLock.js'
+import { MAX_ATTEMPTS, deferHolidayDispatches, dispatchDueMarksheets, getRetryDelayMs } from '../../lib/dispatchScheduler.js'
+import { sendMarksheetWhatsApp } from '../../lib/marksheetDispatch.js'
+import { AcademicCalendarEvent, Marksheet, SchedulerLock, User } from '../../models.js'
+
+// Sending goes through the WhatsApp gateway; the scheduler only sees whether it threw
+vi.mock('../../lib/marksheetDispatch.js', () => ({ sendMarksheetWhatsApp: vi.fn(), markMarksheetDispatched: vi.fn() }))
+
+/**
+ * In-memory SchedulerLock collection for the one filter and update
+ * acquireLease sends, with the unique index on `key`.
+ */
+function fakeLocks() {
+  const locks = new Map()
+  const matches = (lock, { $or }) => $or.some((clause) => (clause.owner ? lock.owner === clause.owner : lock.lockedUntil <= clause.lockedUntil.$lte))
+  vi.spyOn(SchedulerLock, 'findOneAndUpdate').mockImplementation((filter, update) => ({
+    lean: async () => {
+      const current = locks.get(filter.key)
+      if (current && !matches(current, filter)) {
+        // The upsert would insert a second document with the same key
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 })
+      }
+      const lock = { ...(current || { key: filter.key, ...update.$setOnInsert }), ...update.$set }
+      locks.set(filter.key, lock)
+      return lock
+    }
+  }))
+  vi.spyOn(SchedulerLock, 'updateOne').mockImplementation(async (filter, update) => {
+    const current = locks.get(filter.key)
+    if (current?.owner === filter.owner) locks.set(filter.key, { ...current, ...update.$set })
+    return {}
+  })
+  return locks
+}
+
+const query = (docs) => {
+  const chain = { select: () => chain, sort: () => chain, limit: () => chain, lean: async () => docs }
+  return chain
+}
+
+describe('scheduled dispatch', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.restoreAllMocks()
+  })
+
+  it('holds the lease until it expires or is released, then lets another instance take over', async () => {
+    vi.useFakeTimers()
+    vi.setSystemTime(new Date('2026-10-19T10:00:00Z'))
+    const locks = fakeLocks()
+
+    expect(await acquireLease('dispatch', 60_000)).toBe(true)
+    expect(locks.get('dispatch').owner).toBe(INSTANCE_ID)
+    expect(await acquireLease('dispatch', 60_000, 'other-instance')).toBe(false)
+    // The holder renews its own lease
+    vi.setSystemTime(new Date('2026-10-19T10:00:50Z'))
+    expect(await acquireLease('dispatch', 60_000)).toBe(true)
+    vi.setSystemTime(new Date('2026-10-19T10:01:30Z'))
+    expect(await acquireLease('dispatch', 60_000, 'other-instance')).toBe(false)
+
+    // A stalled holder loses the lease once it expires
+    vi.setSystemTime(new Date('2026-10-19T10:01:51Z'))
+    expect(await acquireLease('dispatch', 60_000, 'other-instance')).toBe(true)
+    expect(await acquireLease('dispatch', 60_000)).toBe(false)
+
+    // Releasing hands it over straight away; a release by a non-holder changes nothing
+    await releaseLease('dispatch')
+    expect(await acquireLease('dispatch', 60_000)).toBe(false)
+    await releaseLease('dispatch', 'other-instance')
+    expect(await acquireLease('dispatch', 60_000)).toBe(true)
+  })
+
+  it('treats losing the insert race as not acquired and rethrows other errors', async () => {
+    vi.spyOn(SchedulerLock, 'findOneAndUpdate').mockReturnValue({ lean: async () => { throw Object.assign(new Error('E11000'), { code: 11000 }) } })
+    expect(await acquireLease('dispatch', 60_000)).toBe(false)
+    SchedulerLock.findOneAndUpdate.mockReturnValue({ lean: async () => { throw new Error('connection closed') } })
+    await expect(acquireLease('dispatch', 60_000)).rejects.toThrow('connection closed')
+  })
+
+  it('moves a send past a run of holidays to the next day without one', async () => {
+    const scheduled = new Date('2026-10-20T04:30:00Z')
+    vi.spyOn(Marksheet, 'find').mockReturnValue(query([
+      { _id: 'm1', staffId: 'u1', studentDetails: { name: 'Asha', department: 'MECH' }, dispatchRequest: { scheduledDispatchDate: scheduled } }
+    ]))
+    vi.spyOn(AcademicCalendarEvent, 'find').mockReturnValue(query([
+      { department: 'MECH', kind: 'holiday', title: 'Deepavali', startDate: new Date('2026-10-20T00:00:00Z'), endDate: new Date('2026-10-21T00:00:00Z') },
+      { department: 'ALL', kind: 'holiday', title: 'Founders Day', startDate: new Date('2026-10-22T00:00:00Z') }
+    ]))
+    const updateOne = vi.spyOn(Marksheet, 'updateOne').mockResolvedValue({})
+    vi.spyOn(User, 'find').mockReturnValue(query([]))
+
+    expect(await deferHolidayDispatches(new Date('2026-10-20T04:00:00Z'))).toBe(1)
+    const [filter, update] = updateOne.mock.calls[0]
+    // Only if the time was not changed meanwhile
+    expect(filter).toEqual({ _id: 'm1', 'dispatchRequest.scheduledDispatchDate': scheduled })
+    expect(update.$set['dispatchRequest.scheduledDispatchDate']).toEqual(new Date('2026-10-23T04:30:00Z'))
+    expect(update.$set['dispatchRequest.preDispatchNotificationSent']).toBe(false)
+    expect(update.$set.updatedAt).toBeInstanceOf(Date)
+  })
+
+  it('backs off exponentially up to the cap', () => {
+    expect([1, 2, 3, 4].map(getRetryDelayMs)).toEqual([60_000, 120_000, 240_000, 480_000])
+    expect(getRetryDelayMs(7)).toBe(60 * 60 * 1000)
+    expect(getRetryDelayMs(50)).toBe(60 * 60 * 1000)
+  })
+
+  it('schedules a retry after a failed send and gives up after the last attempt', async () => {
+    vi.spyOn(SchedulerLock, 'findOneAndUpdate').mockReturnValue({ lean: async () => ({ owner: INSTANCE_ID }) })
+    vi.spyOn(Marksheet, 'find').mockReturnValue(query([{ _id: 'm1' }]))
+    vi.spyOn(User, 'find').mockReturnValue(query([]))
+    const claimed = (attempts) => ({ _id: 'm1', dispatchRequest: { dispatchAttempts: attempts }, toObject() { return { _id: 'm1' } } })
+    const claim = vi.spyOn(Marksheet, 'findOneAndUpdate').mockResolvedValue(claimed(2))
+    const updateOne = vi.spyOn(Marksheet, 'updateOne').mockResolvedValue({})
+    sendMarksheetWhatsApp.mockRejectedValue(new Error('gateway timeout'))
+
+    const before = Date.now()
+    expect(await dispatchDueMarksheets()).toEqual({ dispatched: 0, retrying: 1, failed: 0 })
+    expect(claim.mock.calls[0][1].$inc).toEqual({ 'dispatchRequest.dispatchAttempts': 1 })
+    let update = updateOne.mock.calls[0][1].$set
+    expect(update['dispatchRequest.nextDispatchAttemptAt'].getTime()).toBeGreaterThanOrEqual(before + getRetryDelayMs(2))
+    expect(update['dispatchRequest.autoDispatchFailed']).toBeUndefined()
+
+    claim.mockResolvedValue(claimed(MAX_ATTEMPTS))
+    expect(await dispatchDueMarksheets()).toEqual({ dispatched: 0, retrying: 0, failed: 1 })
+    update = updateOne.mock.calls[1][1].$set
+    expect(update).toMatchObject({ 'dispatchRequest.autoDispatchFailed': true, 'dispatchRequest.nextDispatchAttemptAt': null, 'dispatchRequest.dispatchError': 'gateway timeout' })
+
+    // A failure that retrying cannot fix gives up on the first attempt
+    claim.mockResolvedValue(claimed(1))
+    sendMarksheetWhatsApp.mockRejectedValue(Object.assign(new Error('Invalid parent phone number'), { retryable: false }))
+    expect(await dispatchDueMarksheets()).toEqual({ dispatched: 0, retrying: 0, failed: 1 })
+  }, 15000)
+})
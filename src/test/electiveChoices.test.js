@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest'
+import { DEFAULT_SUBJECTS, applyElectiveChoice, buildCatalogTree, flattenCatalogTree, getElectiveSlots, normalizeSubject } from '../../shared/subjectCatalog.js'
+import { validateElectiveChoices } from '../../lib/electiveChoices.js'
+
+describe('elective choices', () => {
+  const electives = [{ department: 'CSE', slot: 'Professional Elective I', code: 'U24CS951', name: 'Cloud Computing', credits: 3 }]
+  const tree = buildCatalogTree(flattenCatalogTree(DEFAULT_SUBJECTS), electives)
+  const slots = getElectiveSlots('CSE', 'III', 'V', tree)
+
+  it('keeps numbered elective slot columns apart', () => {
+    expect(normalizeSubject('Professional Elective II', 'CSE', 'III', 'V', tree).subjectName).toBe('Professional Elective II')
+    expect(slots.map(slot => slot.slot)).toContain('Open Elective I')
+  })
+
+  it('replaces a slot placeholder with the chosen course', () => {
+    const choices = [{ slot: 'Professional Elective II', code: 'U24CS962', name: 'Deep Learning' }]
+    const placeholder = { subjectCode: '', subjectName: 'Professional Elective II', marks: 81 }
+    expect(applyElectiveChoice(placeholder, choices)).toEqual({ subjectCode: 'U24CS962', subjectName: 'U24CS962 - Deep Learning', marks: 81 })
+    expect(applyElectiveChoice({ ...placeholder, subjectName: 'Professional Elective I' }, choices).subjectCode).toBe('')
+  })
+
+  it('checks choices against the offered courses', () => {
+    expect(validateElectiveChoices([{ slot: 'Professional Elective I', course: 'cloud computing' }], slots).choices)
+      .toEqual([{ slot: 'Professional Elective I', code: 'U24CS951', name: 'Cloud Computing', credits: 3 }])
+    expect(validateElectiveChoices([{ slot: 'Professional Elective I', course: 'U24CS999' }], slots).error).toMatch(/not offered/)
+    // Slots without offerings in the catalog take the course as "CODE - Name"
+    expect(validateElectiveChoices([{ slot: 'Open Elective I', course: 'U24ME901 - Robotics' }], slots).choices[0].code).toBe('U24ME901')
+    expect(validateElectiveChoices([{ slot: 'Open Elective I', course: 'Robotics' }], slots).error).toMatch(/CODE - Course name/)
+    expect(validateElectiveChoices([{ slot: 'Professional Elective IX', course: 'x' }], slots).error).toMatch(/not an elective slot/)
+  })
+})
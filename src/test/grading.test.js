@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest'
+import { DEFAULT_GRADING_SCHEME, calculateCgpa, calculateResult, computeComponentTotal, gradeSubject } from '../../shared/grading.js'
+import { validateGradingScheme } from '../../lib/gradingSchemes.js'
+
+describe('grading', () => {
+  it('grades subjects against the scheme bands', () => {
+    expect(gradeSubject({ marks: 95 })).toEqual({ result: 'Pass', grade: 'O', gradePoints: 10 })
+    expect(gradeSubject({ marks: 50 })).toEqual({ result: 'Pass', grade: 'C', gradePoints: 5 })
+    expect(gradeSubject({ marks: 49 })).toEqual({ result: 'Fail', grade: 'U', gradePoints: 0 })
+    expect(gradeSubject({ marks: null, result: 'Absent' })).toEqual({ result: 'Absent', grade: 'AB', gradePoints: 0 })
+
+    const lenient = { ...DEFAULT_GRADING_SCHEME, passMarks: 40, gradeBands: [...DEFAULT_GRADING_SCHEME.gradeBands, { grade: 'P', minMarks: 40, gradePoints: 4 }] }
+    expect(gradeSubject({ marks: 45 }, lenient)).toEqual({ result: 'Pass', grade: 'P', gradePoints: 4 })
+  })
+
+  it('computes a credit-weighted SGPA that leaves out non-credit courses', () => {
+    const result = calculateResult([
+      { subjectCode: 'U24CS401', subjectName: 'Algorithms', marks: 92 },
+      { subjectCode: 'U24CS402', subjectName: 'Networks', marks: 40 },
+      { subjectCode: 'U24MC413', subjectName: 'Environmental Science', marks: 30 },
+      { subjectName: 'ATTENDANCE %', marks: 90 }
+    ], { ...DEFAULT_GRADING_SCHEME, subjectCredits: [{ subjectCode: 'U24CS401', credits: 4 }] })
+
+    expect(result.subjects.map(s => [s.grade, s.credits])).toEqual([['O', 4], ['U', 3], ['U', 0], [undefined, undefined]])
+    expect(result.overallResult).toBe('Fail')
+    expect(result.sgpa).toBe(5.71)
+    expect(result.totalCredits).toBe(7)
+    expect(result.earnedCredits).toBe(4)
+  })
+
+  it('converts assessment components to a mark out of 100 before grading', () => {
+    const components = [
+      { name: 'CIA1', marks: 40, maxMarks: 50 },
+      { name: 'CIA2', marks: 45, maxMarks: 50 },
+      { name: 'Model', marks: 70, maxMarks: 100 },
+      { name: 'Assignment', marks: 9, maxMarks: 10 }
+    ]
+    expect(computeComponentTotal(components)).toEqual({ marks: 78.1, absent: false })
+    // Weights replace max marks as each component's share; a missed component counts as zero
+    expect(computeComponentTotal([
+      { name: 'CIA1', marks: null, absent: true, maxMarks: 50, weight: 40 },
+      { name: 'Model', marks: 90, maxMarks: 100, weight: 60 }
+    ]).marks).toBe(54)
+    expect(computeComponentTotal([{ name: 'CIA1', marks: 'AB', maxMarks: 50 }])).toEqual({ marks: null, absent: true })
+
+    const [subject] = calculateResult([{ subjectCode: 'U24CS501', subjectName: 'Compiler Design', marks: 12, result: 'Fail', components }]).subjects
+    expect(subject).toMatchObject({ marks: 78.1, result: 'Pass', grade: 'A' })
+  })
+
+  it('computes CGPA from the latest marksheet of each semester', () => {
+    const { cgpa, semesters } = calculateCgpa([
+      { semester: 'III', sgpa: 6, totalCredits: 20, examinationDate: '2025-11-01' },
+      { semester: 'III', sgpa: 8, totalCredits: 20, examinationDate: '2026-04-01' },
+      { semester: 'IV', sgpa: 9, totalCredits: 20, examinationDate: '2026-05-01' },
+      { semester: 'IV', totalCredits: 20 }
+    ])
+    expect(semesters.map(s => s.sgpa)).toEqual([8, 9])
+    expect(cgpa).toBe(8.5)
+  })
+
+  it('rejects grade bands that do not start at the pass mark', () => {
+    const base = { name: 'CSE R2024', department: 'cse', regulation: 'r2024', passMarks: 50 }
+    expect(validateGradingScheme({ ...base, gradeBands: [{ grade: 'A', minMarks: 60, gradePoints: 8 }] }).error)
+      .toMatch(/lowest grade band/)
+    expect(validateGradingScheme({ ...base, gradeBands: [{ grade: 'C', minMarks: 50, gradePoints: 5 }] }).scheme)
+      .toMatchObject({ department: 'CSE', regulation: 'R2024', failGrade: 'U' })
+  })
+})
@@ -0,0 +1,165 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest'
+import mongoose from 'mongoose'
+import { MongoMemoryServer } from 'mongodb-memory-server'
+import { CONFIRM_STALE_MS, IMPORT_CONFLICT, claimImportSession, commitImportPlan, planImportConfirm } from '../../lib/importConfirm.js'
+import { TRANSACTIONS_UNSUPPORTED } from '../../lib/mongo.js'
+import { GradingScheme, ImportSession, Marksheet, MarksheetAuditEvent, Student, SubjectCatalog } from '../../models.js'
+
+const id = () => new mongoose.Types.ObjectId()
+// Model.find(...) chain resolving to `docs`
+const query = (docs) => ({ lean: async () => docs })
+// A connection whose server answers `hello` as given
+const connectedTo = (hello) => ({ admin: () => ({ command: async () => hello }) })
+
+const staffId = id()
+const staff = { _id: staffId, name: 'Staff A', eSignature: null }
+const user = { id: String(staffId), role: 'staff', department: 'CSE', year: 'II', section: 'A' }
+const subjects = [{ subjectName: 'Maths', subjectCode: 'MA3151', marks: 78 }]
+const row = (regNumber, fields = {}) => ({
+  rowNum: Number(regNumber.slice(-1)) + 1, name: `Student ${regNumber}`, regNumber, year: 'II', section: 'A',
+  parentPhoneNumber: '9000000000', attendance: '90%', examinationName: 'Model 1', examinationDate: new Date('2026-10-01'), subjects, ...fields
+})
+const marksheetOf = (student, fields = {}) => ({
+  _id: id(),
+  studentId: student._id,
+  studentDetails: { name: student.name, regNumber: student.regNumber, department: 'CSE', year: 'II', section: 'A', parentPhoneNumber: '9000000000', attendance: '80%' },
+  subjects: [{ subjectName: 'Maths', subjectCode: 'MA3151', marks: 60, result: 'Pass' }],
+  staffId,
+  status: 'verified_by_staff',
+  updatedAt: new Date('2026-10-02T10:00:00Z'),
+  ...fields
+})
+
+describe('import confirm', () => {
+  const db = mongoose.connection.db
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    mongoose.connection.db = db
+  })
+
+  it('plans creates and updates, and fails rows that cannot be written', async () => {
+    const known = { _id: id(), name: 'Asha', regNumber: 'REG2', department: 'CSE', year: 'II', section: 'A', parentPhoneNumber: '9000000002', status: 'active' }
+    const left = { _id: id(), name: 'Bala', regNumber: 'REG4', department: 'CSE', year: 'II', section: 'A', parentPhoneNumber: '9000000004', status: 'discontinued' }
+    const updatable = marksheetOf(known)
+    const dispatched = marksheetOf({ _id: id(), name: 'Chitra', regNumber: 'REG3' }, { status: 'dispatched' })
+    const otherClass = marksheetOf({ _id: id(), name: 'Devi', regNumber: 'REG5' }, { staffId: id(), studentDetails: { regNumber: 'REG5', department: 'CSE', year: 'II', section: 'B' } })
+    vi.spyOn(Marksheet, 'find').mockReturnValue(query([updatable, dispatched, otherClass]))
+    vi.spyOn(Student, 'find').mockReturnValue(query([known, left]))
+    // Grade with the built-in scheme and subject list
+    vi.spyOn(GradingScheme, 'find').mockReturnValue(query([]))
+    vi.spyOn(SubjectCatalog, 'exists').mockResolvedValue(true)
+    vi.spyOn(SubjectCatalog, 'find').mockReturnValue({ sort: () => query([]) })
+
+    const session = {
+      department: 'CSE', semester: 'III', staffId,
+      studentsData: [
+        row('REG1'),
+        row('REG2', { existingMarksheetId: updatable._id, defaultAction: 'update' }),
+        row('REG3', { existingMarksheetId: dispatched._id, defaultAction: 'update' }),
+        row('REG4'),
+        row('REG5', { existingMarksheetId: otherClass._id, defaultAction: 'update' }),
+        row('REG6')
+      ]
+    }
+    const plan = await planImportConfirm(session, { actions: { REG6: 'skip' }, user, staff })
+
+    expect(plan.results.map((result) => [result.regNumber, result.status])).toEqual([
+      ['REG1', 'created'], ['REG2', 'updated'], ['REG3', 'failed'], ['REG4', 'failed'], ['REG5', 'failed'], ['REG6', 'skipped']
+    ])
+    expect(plan.results[2].error).toMatch(/dispatched/)
+    expect(plan.results[3].error).toBe('the student is discontinued on the roster')
+    expect(plan.results[4].error).toBe('you cannot update this marksheet')
+
+    // A new student and marksheet for REG1; REG2 keeps its roster details and gets its marks updated
+    expect(plan.studentOps.map((op) => Object.keys(op)[0])).toEqual(['insertOne', 'updateOne'])
+    expect(plan.newMarksheets).toHaveLength(1)
+    expect(plan.newMarksheets[0].studentDetails).toMatchObject({ regNumber: 'REG1', department: 'CSE', year: 'II', section: 'A' })
+    expect(plan.marksheetOps).toHaveLength(1)
+    const { filter, update } = plan.marksheetOps[0].updateOne
+    expect(filter).toEqual({ _id: updatable._id, updatedAt: updatable.updatedAt })
+    expect(update.$set).toMatchObject({ 'studentDetails.name': 'Asha', 'studentDetails.attendance': '90%', status: 'draft' })
+    expect(plan.auditEvents.map((event) => event.action)).toEqual(['created', 'marks_edited'])
+  })
+
+  it('writes the plan, its audit events and the processed session in one transaction', async () => {
+    mongoose.connection.db = connectedTo({ setName: 'rs0' })
+    const dbSession = { id: 'txn' }
+    vi.spyOn(mongoose.connection, 'transaction').mockImplementation(async (work) => work(dbSession))
+    const writes = []
+    const record = (name, result) => async (...args) => { writes.push([name, args.at(-1)?.session]); return result }
+    vi.spyOn(Student, 'bulkWrite').mockImplementation(record('students', {}))
+    vi.spyOn(Marksheet, 'insertMany').mockImplementation(record('new marksheets', []))
+    vi.spyOn(Marksheet, 'bulkWrite').mockImplementation(record('marksheet updates', { matchedCount: 1 }))
+    vi.spyOn(MarksheetAuditEvent, 'insertMany').mockImplementation(record('audit', []))
+    vi.spyOn(ImportSession, 'updateOne').mockImplementation(record('session', { matchedCount: 1 }))
+
+    const plan = {
+      studentOps: [{ insertOne: { document: {} } }],
+      newMarksheets: [{}],
+      marksheetOps: [{ updateOne: {} }],
+      auditEvents: [{ marksheetId: id(), action: 'created' }]
+    }
+    const session = { _id: id(), processingStartedAt: new Date() }
+    await commitImportPlan(plan, { session, response: { success: true }, actor: { name: 'System', role: 'system' } })
+    expect(writes).toEqual([
+      ['students', dbSession], ['new marksheets', dbSession], ['marksheet updates', dbSession], ['audit', dbSession], ['session', dbSession]
+    ])
+
+    // A marksheet edited since planning aborts the transaction, audit events included
+    writes.length = 0
+    Marksheet.bulkWrite.mockImplementation(record('marksheet updates', { matchedCount: 0 }))
+    await expect(commitImportPlan(plan, { session, response: {}, actor: null })).rejects.toMatchObject({ code: IMPORT_CONFLICT })
+    expect(writes.map(([name]) => name)).not.toContain('audit')
+  })
+
+  it('refuses to commit on a standalone server before writing anything', async () => {
+    mongoose.connection.db = connectedTo({ isWritablePrimary: true })
+    const transaction = vi.spyOn(mongoose.connection, 'transaction')
+    const bulkWrite = vi.spyOn(Student, 'bulkWrite')
+    const plan = { studentOps: [{ insertOne: { document: {} } }], newMarksheets: [], marksheetOps: [], auditEvents: [] }
+    await expect(commitImportPlan(plan, { session: { _id: id() }, response: {}, actor: null }))
+      .rejects.toMatchObject({ status: 503, code: TRANSACTIONS_UNSUPPORTED })
+    expect(transaction).not.toHaveBeenCalled()
+    expect(bulkWrite).not.toHaveBeenCalled()
+  })
+})
+
+describe('import session claims against MongoDB', () => {
+  let mongod
+
+  beforeAll(async () => {
+    mongod = await MongoMemoryServer.create()
+    await mongoose.connect(mongod.getUri())
+  }, 120000)
+
+  afterAll(async () => {
+    await mongoose.disconnect()
+    if (mongod) await mongod.stop()
+  })
+
+  const importSession = (sessionId, fields = {}) => ImportSession.create({
+    sessionId, staffId, department: 'CSE', year: 'II', examinationDate: new Date(), ...fields
+  })
+
+  it('lets only one confirm take a session', async () => {
+    await importSession('claim-once')
+    const [first, second] = await Promise.all([claimImportSession('claim-once', 'key-1'), claimImportSession('claim-once', 'key-2')])
+    expect([first, second].filter(Boolean)).toHaveLength(1)
+    expect((first || second).status).toBe('processing')
+
+    // A retry of the same confirm does not take it again while it is running
+    expect(await claimImportSession('claim-once', (first || second).idempotencyKey)).toBeNull()
+  })
+
+  it('never claims a processed session, and reclaims one left processing past the stale limit', async () => {
+    await importSession('processed', { status: 'processed', idempotencyKey: 'key-1' })
+    expect(await claimImportSession('processed', 'key-1')).toBeNull()
+
+    await importSession('failed', { status: 'error' })
+    expect(await claimImportSession('failed', 'key-2')).toMatchObject({ status: 'processing', idempotencyKey: 'key-2' })
+
+    await importSession('stuck', { status: 'processing', processingStartedAt: new Date(Date.now() - CONFIRM_STALE_MS - 1000) })
+    expect(await claimImportSession('stuck', 'key-3')).toMatchObject({ status: 'processing', idempotencyKey: 'key-3' })
+  })
+})
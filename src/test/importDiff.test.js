@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest'
+import { diffImportRow } from '../../lib/importDiff.js'
+
+describe('import dry-run diff', () => {
+  const row = {
+    regNumber: '21CSE001',
+    parentPhoneNumber: '+919876543210',
+    subjects: [
+      { subjectCode: 'U24CS401', subjectName: 'Algorithms', marks: 72, result: 'Pass', grade: 'A' },
+      { subjectCode: 'U24MA401', subjectName: 'Probability', marks: null, result: 'Absent' }
+    ]
+  }
+  const marksheet = {
+    _id: 'm1',
+    status: 'verified_by_staff',
+    studentDetails: { parentPhoneNumber: '9876543210' },
+    subjects: [
+      { subjectCode: 'U24CS401', subjectName: 'Algorithms', marks: 72, result: 'Pass', grade: 'B+' },
+      { subjectCode: 'U24MA401', subjectName: 'Probability', marks: null, result: 'Absent' }
+    ]
+  }
+
+  it('creates rows without a marksheet for the examination', () => {
+    expect(diffImportRow(row)).toMatchObject({ diffStatus: 'new', defaultAction: 'create', existingMarksheetId: null })
+  })
+
+  it('skips identical rows and ignores phone formatting and grade letters', () => {
+    expect(diffImportRow(row, { marksheet })).toMatchObject({ diffStatus: 'unchanged', defaultAction: 'skip' })
+  })
+
+  it('suggests updating changed marks or phone numbers in place', () => {
+    const remarked = { ...row, subjects: [{ ...row.subjects[0], marks: 45 }, row.subjects[1]] }
+    const marksDiff = diffImportRow(remarked, { marksheet })
+    expect(marksDiff).toMatchObject({ diffStatus: 'marks-changed', defaultAction: 'update', existingMarksheetId: 'm1' })
+    expect(marksDiff.changes.marks).toEqual([expect.objectContaining({ field: 'subjects.U24CS401.marks', before: 72, after: 45 })])
+
+    expect(diffImportRow({ ...row, parentPhoneNumber: '+919000000000' }, { marksheet }).diffStatus).toBe('phone-changed')
+  })
+
+  it('never suggests updating a dispatched marksheet', () => {
+    const dispatched = { ...marksheet, status: 'dispatched' }
+    expect(diffImportRow({ ...row, subjects: [] }, { marksheet: dispatched })).toMatchObject({ locked: true, defaultAction: 'skip' })
+  })
+
+  it('locks marksheets archived by a year-end promotion', () => {
+    const archived = { ...marksheet, archivedAt: new Date('2026-06-01') }
+    expect(diffImportRow({ ...row, subjects: [] }, { marksheet: archived })).toMatchObject({ locked: true, defaultAction: 'skip' })
+  })
+})
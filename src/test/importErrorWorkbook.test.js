@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest'
+import ExcelJS from 'exceljs'
+import { buildRejectedRowsWorkbook, collectRejectedRows } from '../../lib/importErrorWorkbook.js'
+import { detectSheetLayout, readHeaders, readSheetGrid, readWorkbook, suggestMapping } from '../../lib/importMapping.js'
+
+const grid = [
+  ['Internal Test 1'],
+  ['Name', 'Reg No', 'Section', 'Phone', 'Attendance', 'Compiler Design'],
+  ['Max Marks', '', '', '', '', 50],
+  ['Asha', '21CSE001', 'A', '9876543210', 91, 40],
+  ['Ravi', '21CSE002', 'A', '9876500000', 84, 75],
+  ['', '21CSE003', 'A', '9876511111', 80, 'x']
+]
+
+describe('rejected rows workbook', () => {
+  const layout = detectSheetLayout(grid)
+  const headers = readHeaders(grid, layout)
+  const rejected = new Map([
+    [5, { rowNum: 5, errors: [{ column: 'Compiler Design', message: 'Marks 75 out of valid range (0-50)' }] }],
+    [6, { rowNum: 6, errors: [{ column: 'Name', message: 'Missing required field "Name"' }, { column: null, message: 'Check the row' }] }]
+  ])
+  const stored = collectRejectedRows({ sheetName: 'Marks', grid, layout, headers }, rejected)
+
+  it('keeps the header and max-marks rows with each rejected row and its problem cells', () => {
+    expect(stored.headerRows).toHaveLength(2)
+    expect(stored.rows.map((row) => row.rowNum)).toEqual([5, 6])
+    expect(stored.rows[0].values).toEqual(['Ravi', '21CSE002', 'A', '9876500000', 84, 75])
+    expect(stored.rows[1].issues).toEqual([
+      { column: 'Name', columnIndex: 0, message: 'Missing required field "Name"' },
+      { column: null, columnIndex: null, message: 'Check the row' }
+    ])
+  })
+
+  it('highlights problem cells and can be uploaded again without the Errors column', async () => {
+    const buffer = await buildRejectedRowsWorkbook(stored).xlsx.writeBuffer()
+
+    const workbook = new ExcelJS.Workbook()
+    await workbook.xlsx.load(buffer)
+    const sheet = workbook.getWorksheet('Marks')
+    const marksCell = sheet.getRow(3).getCell(6)
+    expect(marksCell.fill.fgColor.argb).toBe('FFFFC7CE')
+    expect(JSON.stringify(marksCell.note)).toContain('out of valid range')
+    expect(sheet.getRow(4).getCell(7).value).toBe('Row 6: Name: Missing required field "Name"; Check the row')
+
+    const reread = readSheetGrid(readWorkbook(Buffer.from(buffer)))
+    const rereadLayout = detectSheetLayout(reread.grid)
+    expect(rereadLayout).toMatchObject({ headerRowIndex: 0, maxMarksRowIndex: 1 })
+    const mapping = suggestMapping(readHeaders(reread.grid, rereadLayout))
+    expect(mapping.subjects.filter((subject) => subject.include).map((subject) => subject.subjectName)).toEqual(['Compiler Design'])
+  })
+})
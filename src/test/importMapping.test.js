@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest'
+import XLSX from 'xlsx'
+import {
+  applyTemplateMapping,
+  detectSheetLayout,
+  extractRecords,
+  groupSubjectCells,
+  readHeaders,
+  readSheetGrid,
+  scaleMarks,
+  suggestMapping,
+  validateMapping
+} from '../../lib/importMapping.js'
+
+// Title row, two header rows with a merged "Internal Test" group, then a max-marks row
+const buildWorkbook = () => {
+  const sheet = XLSX.utils.aoa_to_sheet([
+    ['CSE III A - Internal Test 1'],
+    ['S.No', 'Student Details', '', 'Mobile', 'Att %', 'Internal Test', ''],
+    ['', 'Name', 'Reg No', '', '', 'U24CS501 - Compiler Design', 'U24CS502 - Networks'],
+    ['Max Marks', '', '', '', '', 50, 60],
+    [1, 'Asha', '21CSE001', '9876543210', 91, 40, 'AB'],
+    [],
+    [2, 'Ravi', '21CSE002', '9876500000', 84, 25, 60]
+  ])
+  sheet['!merges'] = [
+    { s: { r: 0, c: 0 }, e: { r: 0, c: 6 } },
+    { s: { r: 1, c: 1 }, e: { r: 1, c: 2 } },
+    { s: { r: 1, c: 5 }, e: { r: 1, c: 6 } }
+  ]
+  const workbook = XLSX.utils.book_new()
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Notes']]), 'Instructions')
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Marks')
+  return workbook
+}
+
+describe('import column mapping', () => {
+  const { grid } = readSheetGrid(buildWorkbook(), 'Marks')
+  const layout = detectSheetLayout(grid)
+  const headers = readHeaders(grid, layout)
+
+  it('detects multi-row headers below a merged title and the max-marks row', () => {
+    expect(layout).toEqual({ headerRowIndex: 1, headerRowCount: 2, maxMarksRowIndex: 3 })
+    expect(headers.map((header) => header.label)).toContain('Student Details / Reg No')
+    expect(headers.find((header) => header.leaf === 'U24CS502 - Networks')).toMatchObject({ label: 'Internal Test / U24CS502 - Networks', maxMarks: 60 })
+  })
+
+  it('suggests student fields from aliases and leaves the rest as subjects', () => {
+    const mapping = suggestMapping(headers)
+    expect(mapping.fields).toMatchObject({
+      name: 'Student Details / Name',
+      regNumber: 'Student Details / Reg No',
+      parentPhone: 'Mobile',
+      attendance: 'Att %',
+      section: null
+    })
+    expect(mapping.subjects.filter((subject) => subject.include).map((subject) => subject.subjectName))
+      .toEqual(['U24CS501 - Compiler Design', 'U24CS502 - Networks'])
+    // Section is required, so the suggestion alone is not enough here
+    expect(validateMapping(mapping, headers).error).toMatch(/Section/)
+  })
+
+  it('reads data rows through a saved template and scales marks to 100', () => {
+    const template = { fields: { section: 'S.No' }, subjects: [{ column: 'Internal Test / U24CS501 - Compiler Design', subjectName: 'Compiler Design', maxMarks: 40 }] }
+    const { mapping } = validateMapping(applyTemplateMapping(headers, template), headers)
+    expect(mapping.subjects[0]).toMatchObject({ subjectName: 'Compiler Design', maxMarks: 40 })
+
+    const records = extractRecords(grid, layout, headers, mapping)
+    expect(records.map((record) => record.rowNum)).toEqual([5, 7])
+    expect(records[0].fields).toMatchObject({ name: 'Asha', regNumber: '21CSE001', attendance: 91 })
+    expect(records[0].subjects.map((subject) => subject.value)).toEqual([40, 'AB'])
+    expect(scaleMarks(45, 60)).toBe(75)
+    expect(scaleMarks(72)).toBe(72)
+  })
+
+  it('groups component columns under their subject heading', () => {
+    const componentGrid = [
+      ['Name', 'Reg No', 'U24CS501 - Compiler Design', '', 'Probability - CIA1'],
+      ['', '', 'CIA1', 'Model', ''],
+      ['Max Marks', '', 50, 100, 50],
+      ['Asha', '21CSE001', 40, 'AB', 30]
+    ]
+    const componentLayout = detectSheetLayout(componentGrid)
+    const componentHeaders = readHeaders(componentGrid, componentLayout)
+    const { subjects } = suggestMapping(componentHeaders)
+    expect(subjects.map(({ subjectName, component }) => [subjectName, component])).toEqual([
+      ['U24CS501 - Compiler Design', 'CIA1'],
+      ['U24CS501 - Compiler Design', 'Model'],
+      ['Probability', 'CIA1']
+    ])
+
+    const [record] = extractRecords(componentGrid, componentLayout, componentHeaders, { fields: {}, subjects })
+    const groups = groupSubjectCells(record.subjects)
+    expect(groups).toHaveLength(2)
+    expect(groups[0].components.map(({ component, value, maxMarks }) => [component, value, maxMarks]))
+      .toEqual([['CIA1', 40, 50], ['Model', 'AB', 100]])
+  })
+
+  it('rejects mappings that use a column twice or name missing columns', () => {
+    const mapping = suggestMapping(headers)
+    expect(validateMapping({ ...mapping, fields: { ...mapping.fields, section: 'Mobile' } }, headers).error).toMatch(/more than one field/)
+    expect(validateMapping({ ...mapping, fields: { ...mapping.fields, section: 'Class' } }, headers).error).toMatch(/not in the sheet/)
+  })
+})
@@ -0,0 +1,155 @@
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import mongoose from 'mongoose'
+import { RECORDED_LATE_FILTER, alertRepeatLates, crossedThresholds, lateDelayMinutes, lateReportCSV, periodOf, summarizeLates } from '../../lib/lateArrivals.js'
+import { validateLeavePolicy } from '../../lib/leavePolicies.js'
+import { ClassAssignment, LeavePolicy, LeaveRequest, User } from '../../models.js'
+import leavesHandler from '../../api/leaves.js'
+
+// Push notifications to every subscribed browser are out of scope here
+vi.mock('../../lib/broadcastNotification.js', () => ({ sendBroadcastNotification: vi.fn() }))
+
+const late = (studentId, day, { expected = '09:30', arrived, recorded, name = `Student ${studentId}` } = {}) => ({
+  studentId,
+  studentDetails: { name, regNumber: `REG${studentId}` },
+  expectedArrivalTime: `${day}T${expected}:00+05:30`,
+  ...(arrived ? { arrivalConfirmedAt: `${day}T${arrived}:00+05:30` } : {}),
+  ...(recorded ? { recordedAt: `${day}T${recorded}:00+05:30` } : {})
+})
+
+describe('late arrivals', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('measures the delay from the expected arrival to the confirmed or recorded one', () => {
+    expect(lateDelayMinutes(late('1', '2026-10-05', { arrived: '09:50', recorded: '09:45' }))).toBe(20)
+    expect(lateDelayMinutes(late('1', '2026-10-05', { recorded: '09:45' }))).toBe(15)
+    expect(lateDelayMinutes(late('1', '2026-10-05', { arrived: '09:20' }))).toBe(-10)
+    expect(lateDelayMinutes(late('1', '2026-10-05'))).toBeNull()
+  })
+
+  it('groups days into ISO weeks and months', () => {
+    expect(periodOf('2026-10-05')).toEqual({ key: '2026-W41', label: 'Week of 05 Oct' })
+    expect(periodOf('2026-10-11').key).toBe('2026-W41')
+    // Friday 1 Jan 2027 still belongs to the last week of 2026
+    expect(periodOf('2027-01-01').key).toBe('2026-W53')
+    expect(periodOf('2026-10-05', 'month')).toEqual({ key: '2026-10', label: 'Oct 2026' })
+  })
+
+  it('counts the lates of a window ending today', () => {
+    const thresholds = [{ count: 3, days: 14 }, { count: 5, days: 30 }]
+    const now = new Date('2026-10-19T10:00:00+05:30')
+    expect(crossedThresholds(['2026-10-06', '2026-10-12', '2026-10-19'], thresholds, now)).toEqual([{ count: 3, days: 14, lates: 3 }])
+    // 5 Oct is 15 days back, outside two weeks
+    expect(crossedThresholds(['2026-10-05', '2026-10-12', '2026-10-19'], thresholds, now)).toEqual([])
+  })
+
+  it('summarizes a class per student and period, flagging repeat offenders', () => {
+    const lates = [
+      late('1', '2026-09-20', { arrived: '10:30' }),
+      late('1', '2026-10-06', { arrived: '09:40' }),
+      late('1', '2026-10-13', { arrived: '10:00' }),
+      late('1', '2026-10-15'),
+      late('2', '2026-10-14', { arrived: '09:35' })
+    ]
+    const report = summarizeLates(lates, {
+      period: 'week',
+      from: '2026-10-01',
+      to: '2026-10-19',
+      thresholds: [{ count: 3, days: 14 }],
+      now: new Date('2026-10-19T12:00:00+05:30')
+    })
+    expect(report.periods.map((p) => p.key)).toEqual(['2026-W41', '2026-W42'])
+    expect(report.total).toBe(4)
+    expect(report.avgDelayMinutes).toBe(15)
+    expect(report.students[0]).toMatchObject({
+      studentId: '1',
+      total: 3,
+      counts: { '2026-W41': 1, '2026-W42': 2 },
+      avgDelayMinutes: 20,
+      lastLateDay: '2026-10-15',
+      overThresholds: [{ count: 3, days: 14, lates: 3 }]
+    })
+    expect(report.students[1]).toMatchObject({ studentId: '2', total: 1, avgDelayMinutes: 5, overThresholds: [] })
+
+    const csv = lateReportCSV(report, { title: 'CSE III A' }).split('\n')
+    expect(csv[2]).toBe('Reg No,Name,Week of 05 Oct,Week of 12 Oct,Total Lates,Average Delay (min),Last Late,Repeat Alerts')
+    expect(csv[3]).toBe('REG1,Student 1,1,2,3,20,2026-10-15,3 in 14 days')
+  })
+
+  it('validates the repeat-late alerts of a leave policy', () => {
+    const base = { department: 'CSE', categories: [{ label: 'Medical' }] }
+    expect(validateLeavePolicy(base).policy.lateAlerts).toEqual([{ count: 3, days: 14 }])
+    expect(validateLeavePolicy({ ...base, lateAlerts: [] }).policy.lateAlerts).toEqual([])
+    expect(validateLeavePolicy({ ...base, lateAlerts: [{ count: '5', days: '30' }, { count: 3, days: 7 }] }).policy.lateAlerts)
+      .toEqual([{ count: 3, days: 7 }, { count: 5, days: 30 }])
+    expect(validateLeavePolicy({ ...base, lateAlerts: [{ count: 1, days: 7 }] }).error).toMatch(/between 2 and 31/)
+  })
+
+  it('alerts on repeat lates counting only the ones staff recorded', async () => {
+    const now = new Date('2026-10-19T10:00:00+05:30')
+    const recorded = [late('1', '2026-10-06', { recorded: '09:40' }), late('1', '2026-10-12', { recorded: '09:40' })]
+    const today = { ...late('1', '2026-10-19', { recorded: '09:40' }), _id: 'l3', studentDetails: { name: 'Asha', regNumber: 'REG1', department: 'CSE', year: 'II', section: 'A' } }
+    vi.spyOn(LeavePolicy, 'find').mockReturnValue({ lean: async () => [] })
+    vi.spyOn(ClassAssignment, 'find').mockReturnValue({ select: () => ({ lean: async () => [] }) })
+    vi.spyOn(User, 'find').mockReturnValue({ lean: async () => [] })
+    const find = vi.spyOn(LeaveRequest, 'find').mockReturnValue({ select: () => ({ sort: () => ({ lean: async () => [...recorded, today] }) }) })
+    const stored = vi.spyOn(LeaveRequest, 'updateOne').mockResolvedValue({})
+
+    const alerts = await alertRepeatLates(today, { now })
+    // Lates raised but never recorded are left out by the query
+    expect(find.mock.calls[0][0]).toMatchObject({ studentId: '1', type: 'late', ...RECORDED_LATE_FILTER })
+    expect(RECORDED_LATE_FILTER).toEqual({ recordedAt: { $ne: null } })
+    expect(alerts).toEqual([expect.objectContaining({ count: 3, days: 14, lates: 3, parentNotified: false })])
+    expect(stored).toHaveBeenCalledWith({ _id: 'l3' }, { $push: { repeatAlerts: { $each: alerts } } })
+
+    // Two recorded lates are below the threshold
+    LeaveRequest.find.mockReturnValue({ select: () => ({ sort: () => ({ lean: async () => [recorded[1], today] }) }) })
+    expect(await alertRepeatLates(today, { now })).toEqual([])
+  })
+
+  it('records a freshly raised late once and checks it for repeat alerts', async () => {
+    const connection = global.mongoose.conn
+    global.mongoose.conn = mongoose
+    const staff = { _id: new mongoose.Types.ObjectId(), name: 'Staff A', role: 'staff', department: 'CSE', year: 'II', section: 'A' }
+    // As POST /api/leaves creates it
+    const request = new LeaveRequest({
+      type: 'late',
+      status: 'waiting_for_arrival_confirmation',
+      studentId: new mongoose.Types.ObjectId(),
+      studentDetails: { name: 'Asha', regNumber: 'REG1', department: 'CSE', year: 'II', section: 'A' },
+      reason: 'Bus breakdown',
+      expectedArrivalTime: new Date()
+    })
+    vi.spyOn(LeaveRequest, 'findById').mockResolvedValue(request)
+    const save = vi.spyOn(request, 'save').mockResolvedValue(request)
+    vi.spyOn(User, 'findById').mockResolvedValue(staff)
+    vi.spyOn(LeavePolicy, 'find').mockReturnValue({ lean: async () => [] })
+    const history = vi.spyOn(LeaveRequest, 'find').mockReturnValue({ select: () => ({ sort: () => ({ lean: async () => [request.toObject()] }) }) })
+
+    const record = async () => {
+      const res = { statusCode: 200, body: null }
+      res.status = (code) => { res.statusCode = code; return res }
+      res.json = (body) => { res.body = body; return res }
+      const user = { id: String(staff._id), role: 'staff', kind: 'user', name: staff.name, department: 'CSE', year: 'II', section: 'A' }
+      await leavesHandler({ method: 'PATCH', query: { id: String(request._id), action: 'acknowledge' }, body: {}, headers: {}, user }, res)
+      return res
+    }
+    try {
+      const first = await record()
+      expect(first.statusCode).toBe(200)
+      expect(save).toHaveBeenCalledTimes(1)
+      expect(request.recordedAt).toBeInstanceOf(Date)
+      expect(request.staffName).toBe('Staff A')
+      // The student still has to confirm
+      expect(request.status).toBe('waiting_for_arrival_confirmation')
+      expect(history.mock.calls[0][0]).toMatchObject({ studentId: request.studentId, type: 'late', recordedAt: { $ne: null } })
+
+      const second = await record()
+      expect(second.statusCode).toBe(409)
+      expect(save).toHaveBeenCalledTimes(1)
+    } finally {
+      global.mongoose.conn = connection
+    }
+  })
+})
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest'
+import { buildApprovalChain } from '../../shared/leave.js'
+import { canActOnStep, currentStep, recordDecision } from '../../lib/leaveApprovals.js'
+import { validateLeavePolicy } from '../../lib/leavePolicies.js'
+
+const studentDetails = { department: 'CSE', year: 'III', section: 'A' }
+const advisor = { id: 's1', role: 'staff', department: 'CSE', classes: [{ department: 'CSE', year: 'III', section: 'A', role: 'class_advisor' }] }
+const hod = { id: 'h1', role: 'hod', department: 'CSE' }
+
+describe('leave approval chain', () => {
+  it('adds the principal only to long leaves and skips a missing advisor', () => {
+    expect(buildApprovalChain(undefined, 3).map((step) => step.role)).toEqual(['class_advisor', 'hod'])
+    expect(buildApprovalChain(undefined, 6).map((step) => step.label)).toEqual(['Class Advisor', 'HOD', 'Principal'])
+    expect(buildApprovalChain(undefined, 3, { hasAdvisor: false }).map((step) => step.role)).toEqual(['hod'])
+    expect(buildApprovalChain([{ role: 'class_advisor', aboveDays: null }], 2, { hasAdvisor: false }).map((step) => step.role)).toEqual(['hod'])
+  })
+
+  it('walks the steps in order and records each approver', () => {
+    const request = { status: 'requested', studentDetails, approvals: buildApprovalChain(undefined, 6) }
+    expect(canActOnStep(hod, request, currentStep(request))).toBe(true)
+    expect(canActOnStep({ ...advisor, classes: [] }, request, currentStep(request))).toBe(false)
+
+    const first = recordDecision(request, { _id: 's1', name: 'Advisor', eSignature: 'sig-a' }, 'approved', ' Fine ')
+    expect(first).toMatchObject({ done: false, step: { status: 'approved', name: 'Advisor', signature: 'sig-a', comments: 'Fine' } })
+    expect(request.pendingRole).toBe('hod')
+    expect(canActOnStep(advisor, request, currentStep(request))).toBe(false)
+
+    recordDecision(request, { _id: 'h1', name: 'Head' }, 'approved')
+    expect(canActOnStep(hod, request, currentStep(request))).toBe(false)
+    expect(recordDecision(request, { _id: 'a1', name: 'Principal' }, 'approved').done).toBe(true)
+    expect(request.pendingRole).toBe(null)
+  })
+
+  it('skips the remaining steps after a rejection', () => {
+    const request = { status: 'requested', studentDetails, approvals: buildApprovalChain(undefined, 6) }
+    const { done } = recordDecision(request, { _id: 's1', name: 'Advisor', eSignature: 'sig-a' }, 'rejected', 'No proof')
+    expect(done).toBe(true)
+    expect(request.approvals.map((step) => step.status)).toEqual(['rejected', 'skipped', 'skipped'])
+    expect(request.approvals[0].signature).toBe(null)
+  })
+
+  it('treats requests raised before chains as waiting on the HOD', () => {
+    expect(currentStep({ status: 'requested' })).toMatchObject({ role: 'hod', status: 'pending' })
+    expect(currentStep({ status: 'approved_by_hod' })).toBe(null)
+  })
+
+  it('validates category approvers', () => {
+    const categories = (approvers) => [{ label: 'Medical', approvers }]
+    const { policy } = validateLeavePolicy({ department: 'CSE', categories: categories([{ role: 'admin', aboveDays: '3' }, { role: 'hod' }]) })
+    expect(policy.categories[0].approvers).toEqual([{ role: 'hod', aboveDays: null }, { role: 'admin', aboveDays: 3 }])
+    expect(validateLeavePolicy({ department: 'CSE', categories: categories([{ role: 'admin', aboveDays: 3 }]) }).error).toMatch(/every request/)
+    expect(validateLeavePolicy({ department: 'CSE', categories: categories([{ role: 'hod' }, { role: 'hod' }]) }).error).toMatch(/once/)
+    expect(validateLeavePolicy({ department: 'CSE', categories: categories([{ role: 'dean' }]) }).error).toBeTruthy()
+  })
+})
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest'
+import { DEFAULT_APPROVAL_CHAIN, DEFAULT_LEAVE_POLICY, checkLeaveQuota, countLeaveDays, semesterWindow, summarizeLeaveBalance } from '../../shared/leave.js'
+import { validateLeavePolicy } from '../../lib/leavePolicies.js'
+
+describe('leave balance', () => {
+  it('counts working days without weekends and holidays', () => {
+    // Fri 6 Mar 2026 to Tue 10 Mar 2026, with Monday a holiday
+    expect(countLeaveDays('2026-03-06', '2026-03-10')).toBe(3)
+    expect(countLeaveDays('2026-03-06', '2026-03-10', [{ date: '2026-03-09', name: 'Holi' }])).toBe(2)
+    expect(countLeaveDays('2026-03-07', '2026-03-08')).toBe(0)
+  })
+
+  it('finds the semester a date falls in', () => {
+    expect(semesterWindow('2026-03-15', [1, 7])).toEqual({ start: new Date('2026-01-01'), end: new Date('2026-07-01') })
+    expect(semesterWindow('2026-01-10', [6, 12])).toEqual({ start: new Date('2025-12-01'), end: new Date('2026-06-01') })
+  })
+
+  it('adds up taken and pending days per category against the quota', () => {
+    const requests = [
+      { _id: 'a', type: 'leave', category: 'medical', status: 'approved_by_hod', leaveDays: 6 },
+      { _id: 'b', type: 'leave', category: 'medical', status: 'requested', leaveDays: 3 },
+      { _id: 'c', type: 'leave', category: 'medical', status: 'rejected_by_hod', leaveDays: 4 },
+      { _id: 'd', type: 'leave', status: 'approved_by_hod', startDate: '2026-03-06', endDate: '2026-03-06' }
+    ]
+    const balance = summarizeLeaveBalance(requests, DEFAULT_LEAVE_POLICY)
+    expect(balance.find((entry) => entry.key === 'medical')).toMatchObject({ usedDays: 6, pendingDays: 3, remainingDays: 1 })
+    expect(balance.find((entry) => entry.key === 'personal')).toMatchObject({ usedDays: 1, remainingDays: 4 })
+    expect(summarizeLeaveBalance(requests, DEFAULT_LEAVE_POLICY, { excludeId: 'b' })[0].remainingDays).toBe(4)
+
+    expect(checkLeaveQuota(balance, 'medical', 1).exceeded).toBe(false)
+    expect(checkLeaveQuota(balance, 'medical', 2).message).toMatch(/exceeds the 10-day semester quota \(1 left\)/)
+  })
+
+  it('validates a policy and keys categories by name', () => {
+    const { policy } = validateLeavePolicy({
+      department: 'cse',
+      categories: [{ label: 'On Duty', quotaDays: '15' }, { label: 'Medical', quotaDays: '' }],
+      holidays: [{ date: '2026-01-26', name: 'Republic Day' }],
+      enforcement: 'block'
+    })
+    expect(policy.categories).toEqual([
+      { key: 'on_duty', label: 'On Duty', quotaDays: 15, requiresAttachment: false, approvers: [...DEFAULT_APPROVAL_CHAIN] },
+      { key: 'medical', label: 'Medical', quotaDays: null, requiresAttachment: false, approvers: [...DEFAULT_APPROVAL_CHAIN] }
+    ])
+    expect(policy).toMatchObject({ department: 'CSE', enforcement: 'block', semesterStartMonths: [1, 7] })
+    expect(validateLeavePolicy({ department: 'CSE', categories: [{ label: 'A' }, { label: 'a' }] }).error).toMatch(/unique/)
+    expect(validateLeavePolicy({ department: 'CSE', categories: [{ label: 'A', quotaDays: -1 }] }).error).toBeTruthy()
+  })
+})
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest'
+import { alignRows, applyMarks, missingRows, readMarkRows, subjectKeyOf } from '../../lib/markEntry.js'
+import { advisesClass, teachesSubject } from '../../lib/permissions.js'
+
+const students = [
+  { _id: 's1', regNumber: '21CSE001', name: 'Asha' },
+  { _id: 's2', regNumber: '21CSE002', name: 'Ravi' }
+]
+
+describe('subject mark entry', () => {
+  it('keys subjects by code, or by name when there is none', () => {
+    expect(subjectKeyOf({ subjectCode: ' u24cs302 ', subjectName: 'Data Structures' })).toBe('U24CS302')
+    expect(subjectKeyOf({ subjectName: 'Soft Skills & Aptitude' })).toBe('softskillsandaptitude')
+  })
+
+  it('keeps entered marks when the class list changes', () => {
+    const rows = alignRows([{ studentId: 's1', regNumber: '21CSE001', marks: 78 }, { studentId: 'gone', regNumber: '21CSE009', marks: 50 }], students)
+    expect(rows).toEqual([
+      { studentId: 's1', regNumber: '21CSE001', name: 'Asha', marks: 78, absent: false },
+      { studentId: 's2', regNumber: '21CSE002', name: 'Ravi', marks: null, absent: false }
+    ])
+    expect(missingRows(rows).map((row) => row.regNumber)).toEqual(['21CSE002'])
+  })
+
+  it('applies marks, absences and blanks and rejects bad values', () => {
+    const { rows, errors } = applyMarks(alignRows([], students), [
+      { regNumber: '21cse001', marks: '91' },
+      { regNumber: '21CSE002', marks: 'AB' },
+      { regNumber: '21CSE003', marks: '40' }
+    ])
+    expect(rows.map(({ marks, absent }) => ({ marks, absent }))).toEqual([{ marks: 91, absent: false }, { marks: null, absent: true }])
+    expect(errors).toEqual([{ regNumber: '21CSE003', error: 'Not a student of this class for the subject' }])
+    expect(missingRows(rows)).toEqual([])
+
+    expect(applyMarks(rows, [{ regNumber: '21CSE001', marks: 120 }]).errors[0].error).toBe('Marks must be between 0 and 100, or AB')
+    expect(applyMarks(rows, [{ regNumber: '21CSE001', marks: '' }]).rows[0].marks).toBeNull()
+  })
+
+  it('reads register numbers and marks from an uploaded sheet', () => {
+    expect(readMarkRows([['Data Structures'], ['Reg No', 'Name', 'Marks'], ['21CSE001', 'Asha', 78], ['', '', '']]).rows)
+      .toEqual([{ regNumber: '21CSE001', marks: 78 }])
+    expect(readMarkRows([['Reg No', 'Name']]).error).toBe('Missing a Marks column')
+  })
+
+  it('lets only the assigned teacher enter a subject and the advisor or HOD consolidate', () => {
+    const cseSecondA = { department: 'CSE', year: 'II', section: 'A' }
+    const teacher = { role: 'staff', classes: [{ ...cseSecondA, role: 'subject_teacher', subjectCode: 'U24CS302' }] }
+    expect(teachesSubject(teacher, cseSecondA, { subjectCode: 'u24cs302' })).toBe(true)
+    expect(teachesSubject(teacher, cseSecondA, { subjectCode: 'U24CS303' })).toBe(false)
+    expect(teachesSubject(teacher, { ...cseSecondA, section: 'B' }, { subjectCode: 'U24CS302' })).toBe(false)
+    expect(advisesClass(teacher, cseSecondA)).toBe(false)
+    expect(advisesClass({ role: 'staff', classes: [{ ...cseSecondA, role: 'class_advisor' }] }, cseSecondA)).toBe(true)
+    expect(advisesClass({ role: 'hod', department: 'CSE' }, cseSecondA)).toBe(true)
+  })
+})
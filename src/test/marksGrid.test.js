@@ -0,0 +1,98 @@
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import mongoose from 'mongoose'
+import { MARKS_CONFLICT, applyGridCells, commitGridSave, gridColumns, gridRow, readGridFilter } from '../../lib/marksGrid.js'
+import { TRANSACTIONS_UNSUPPORTED } from '../../lib/mongo.js'
+import { Marksheet, MarksheetAuditEvent } from '../../models.js'
+import { DEFAULT_GRADING_SCHEME, calculateResult, parseMarkInput } from '../../shared/grading.js'
+
+const marksheet = {
+  _id: 'm1',
+  studentDetails: { regNumber: '21CSE001', name: 'Asha', section: 'A', department: 'CSE' },
+  status: 'verified_by_staff',
+  updatedAt: new Date('2026-03-01T10:00:00Z'),
+  subjects: [
+    { subjectCode: 'U24CS301', subjectName: 'Data Structures', marks: 42, result: 'Fail', grade: 'U', gradePoints: 0 },
+    { subjectCode: 'U24CS302', subjectName: 'Operating Systems', marks: null, result: 'Absent', grade: 'AB' },
+    { subjectCode: 'U24CS303', subjectName: 'Networks Lab', components: [{ name: 'CIA1', marks: 40, maxMarks: 50 }] },
+    { subjectName: 'Attendance', marks: 92 }
+  ]
+}
+
+describe('marks grid', () => {
+  const db = mongoose.connection.db
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    mongoose.connection.db = db
+  })
+
+  it('reads typed marks, AB and blanks', () => {
+    expect(parseMarkInput(' 78 ')).toEqual({ marks: 78, absent: false })
+    expect(parseMarkInput('ab')).toEqual({ marks: null, absent: true })
+    expect(parseMarkInput('')).toEqual({ marks: null, absent: false })
+    expect(parseMarkInput('101').error).toMatch(/between 0 and 100/)
+    expect(parseMarkInput('x').error).toBeTruthy()
+  })
+
+  it('lists subject columns without attendance and flags component subjects', () => {
+    expect(gridColumns([marksheet]).map((column) => [column.subjectKey, column.hasComponents])).toEqual([
+      ['U24CS301', false],
+      ['U24CS302', false],
+      ['U24CS303', true]
+    ])
+    expect(gridRow(marksheet)).toMatchObject({ regNumber: '21CSE001', locked: false, updatedAt: marksheet.updatedAt })
+    expect(gridRow({ ...marksheet, status: 'dispatched' }).locked).toBe(true)
+  })
+
+  it('applies cells so grading starts afresh and rejects what the grid cannot edit', () => {
+    const { subjects, errors } = applyGridCells(marksheet.subjects, [
+      { subjectKey: 'U24CS301', value: '71' },
+      { subjectKey: 'U24CS302', value: '55' },
+      { subjectKey: 'U24CS303', value: '60' },
+      { subjectKey: 'U24MA101', value: '60' }
+    ])
+    expect(errors.map((error) => error.subjectKey)).toEqual(['U24CS303', 'U24MA101'])
+    expect(subjects[0]).toMatchObject({ marks: 71, result: undefined, grade: undefined })
+    const graded = calculateResult(subjects, DEFAULT_GRADING_SCHEME)
+    expect(graded.subjects.slice(0, 2).map((subject) => subject.result)).toEqual(['Pass', 'Pass'])
+
+    expect(applyGridCells(marksheet.subjects, [{ subjectKey: 'U24CS301', value: '' }]).errors[0].error).toMatch(/Enter marks or AB/)
+    expect(applyGridCells(marksheet.subjects, [{ subjectKey: 'U24CS301', value: 'AB' }]).subjects[0]).toMatchObject({ marks: null, result: 'Absent' })
+  })
+
+  it('needs a class and leaves out archived marksheets', () => {
+    expect(readGridFilter({ department: 'cse' }).error).toBeTruthy()
+    expect(readGridFilter({ department: 'cse', year: 'ii', section: 'a', examinationName: ' CIA 1 ' })).toEqual({
+      filter: { 'studentDetails.department': 'CSE', 'studentDetails.year': { $in: ['2', '02', 'SECOND', 'II'] }, 'studentDetails.section': 'A', archivedAt: null },
+      examinationName: 'CIA 1'
+    })
+  })
+
+  it('saves a batch with its audit events in one transaction, and refuses on a standalone server', async () => {
+    const plan = {
+      marksheetOps: [{ updateOne: { filter: { _id: 'm1', updatedAt: marksheet.updatedAt }, update: { $set: {} } } }],
+      auditEvents: [{ marksheetId: 'm1', action: 'marks_edited', changes: [] }]
+    }
+    const actor = { name: 'System', role: 'system' }
+    const session = { id: 'txn' }
+    const hello = (reply) => ({ admin: () => ({ command: async () => reply }) })
+    const transaction = vi.spyOn(mongoose.connection, 'transaction').mockImplementation(async (work) => work(session))
+    const bulkWrite = vi.spyOn(Marksheet, 'bulkWrite').mockResolvedValue({ matchedCount: 1 })
+    const audit = vi.spyOn(MarksheetAuditEvent, 'insertMany').mockResolvedValue([])
+
+    mongoose.connection.db = hello({ setName: 'rs0' })
+    await commitGridSave(plan, { actor })
+    expect(bulkWrite).toHaveBeenCalledWith(plan.marksheetOps, { session })
+    expect(audit).toHaveBeenCalledWith([expect.objectContaining({ marksheetId: 'm1', action: 'marks_edited' })], { session })
+
+    audit.mockClear()
+    bulkWrite.mockResolvedValue({ matchedCount: 0 })
+    await expect(commitGridSave(plan, { actor })).rejects.toMatchObject({ status: 409, code: MARKS_CONFLICT })
+    expect(audit).not.toHaveBeenCalled()
+
+    transaction.mockClear()
+    mongoose.connection.db = hello({ isWritablePrimary: true })
+    await expect(commitGridSave(plan, { actor })).rejects.toMatchObject({ status: 503, code: TRANSACTIONS_UNSUPPORTED })
+    expect(transaction).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest'
+import { diffMarksheet, diffSubjects } from '../../lib/marksheetAudit.js'
+
+describe('marksheet audit diff', () => {
+  const before = {
+    studentDetails: { name: 'Asha', regNumber: '911', parentPhoneNumber: '9876543210' },
+    subjects: [
+      { subjectCode: 'CS3401', subjectName: 'Algorithms', marks: 38, result: 'Fail' },
+      { subjectCode: 'CS3452', subjectName: 'Theory of Computation', marks: 72, result: 'Pass' }
+    ],
+    overallResult: 'Fail'
+  }
+
+  it('records before/after for edited marks and the overall result', () => {
+    const after = {
+      ...before,
+      subjects: [
+        { subjectCode: 'CS3401', subjectName: 'Algorithms', marks: 45, result: 'Pass' },
+        before.subjects[1]
+      ],
+      overallResult: 'Pass'
+    }
+
+    expect(diffMarksheet(before, after)).toEqual([
+      { field: 'subjects.CS3401.marks', label: 'Algorithms marks', before: 38, after: 45 },
+      { field: 'subjects.CS3401.result', label: 'Algorithms result', before: 'Fail', after: 'Pass' },
+      { field: 'overallResult', label: 'Overall result', before: 'Fail', after: 'Pass' }
+    ])
+  })
+
+  it('reports added and removed subjects and ignores unchanged ones', () => {
+    const changes = diffSubjects(before.subjects, [
+      before.subjects[1],
+      { subjectCode: 'CS3491', subjectName: 'AI and ML', marks: 60, result: 'Pass' }
+    ])
+
+    expect(changes.map(c => c.field)).toEqual(['subjects.CS3491', 'subjects.CS3401'])
+    expect(changes[0]).toMatchObject({ before: null, after: { marks: 60, result: 'Pass' } })
+    expect(changes[1]).toMatchObject({ before: { marks: 38, result: 'Fail' }, after: null })
+  })
+
+  it('treats missing and empty student details as equal', () => {
+    const after = { ...before, studentDetails: { ...before.studentDetails, section: '' } }
+    expect(diffMarksheet(before, after)).toEqual([])
+  })
+})
@@ -0,0 +1,142 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import mongoose from 'mongoose'
+import correctionsHandler, { buildRequestedSubjects, applyCorrection } from '../../api/marksheet-corrections.js'
+import { calculateResult } from '../../shared/grading.js'
+import { VERSION_CONFLICT } from '../../lib/concurrency.js'
+import { TRANSACTIONS_UNSUPPORTED } from '../../lib/mongo.js'
+import { CorrectionRequest, Marksheet, MarksheetAuditEvent, MarksheetRevision, User } from '../../models.js'
+
+// Grade with the built-in scheme instead of looking up the department's
+vi.mock('../../lib/gradingSchemes.js', async () => {
+  const { calculateResult } = await import('../../shared/grading.js')
+  return { gradeMarksheetSubjects: async (subjects) => ({ subjects: calculateResult(subjects).subjects }) }
+})
+
+describe('marksheet correction requests', () => {
+  const subjects = [
+    { subjectCode: 'CS3401', subjectName: 'Algorithms', marks: 38, result: 'Fail' },
+    { subjectCode: 'CS3452', subjectName: 'Theory of Computation', marks: 72, result: 'Pass' }
+  ]
+
+  it('validates proposed marks against the marksheet subjects', () => {
+    expect(buildRequestedSubjects(subjects, [])).toEqual({ error: 'Select at least one subject to correct' })
+    expect(buildRequestedSubjects(subjects, [{ subjectCode: 'MA3351', proposedMarks: 50 }]).error).toMatch(/not on this marksheet/)
+    expect(buildRequestedSubjects(subjects, [{ subjectCode: 'CS3401', proposedMarks: 120 }]).error).toMatch(/between 0 and 100/)
+    expect(buildRequestedSubjects(subjects, [{ subjectCode: 'CS3452', proposedMarks: '72' }]).error).toMatch(/same as the current/)
+
+    expect(buildRequestedSubjects(subjects, [{ subjectCode: 'CS3401', proposedMarks: '45' }])).toEqual({
+      subjects: [{
+        subjectCode: 'CS3401', subjectName: 'Algorithms', currentMarks: 38, currentResult: 'Fail',
+        proposedMarks: 45, proposedResult: undefined
+      }]
+    })
+  })
+
+  it('applies approved marks and recomputes results', () => {
+    const revised = calculateResult(applyCorrection(subjects, [
+      { subjectCode: 'CS3401', proposedMarks: 55 },
+      { subjectCode: 'CS3452', proposedResult: 'Absent' }
+    ])).subjects
+    expect(revised).toEqual([
+      { subjectCode: 'CS3401', subjectName: 'Algorithms', marks: 55, result: 'Pass', grade: 'C', gradePoints: 5, credits: 3 },
+      { subjectCode: 'CS3452', subjectName: 'Theory of Computation', marks: null, result: 'Absent', grade: 'AB', gradePoints: 0, credits: 3 }
+    ])
+  })
+})
+
+describe('approving a correction request', () => {
+  const db = mongoose.connection.db
+  let connection
+
+  beforeEach(() => {
+    connection = global.mongoose.conn
+    global.mongoose.conn = mongoose
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    mongoose.connection.db = db
+    global.mongoose.conn = connection
+  })
+
+  const hello = (reply) => ({ admin: () => ({ command: async () => reply }) })
+  const lean = (value) => ({ lean: async () => value, select: () => ({ lean: async () => value }) })
+  const hod = { _id: new mongoose.Types.ObjectId(), name: 'HOD CSE' }
+  const updatedAt = new Date('2026-10-01T10:00:00Z')
+  const marksheet = {
+    _id: new mongoose.Types.ObjectId(),
+    status: 'approved_by_hod',
+    revision: 0,
+    updatedAt,
+    studentDetails: { name: 'Asha', regNumber: 'REG1', department: 'CSE', year: 'II', section: 'A' },
+    subjects: [{ subjectCode: 'CS3401', subjectName: 'Algorithms', marks: 38, result: 'Fail' }]
+  }
+  const request = {
+    _id: new mongoose.Types.ObjectId(),
+    marksheetId: marksheet._id,
+    status: 'pending',
+    reason: 'Totalling error',
+    subjects: [{ subjectCode: 'CS3401', subjectName: 'Algorithms', currentMarks: 38, proposedMarks: 55 }]
+  }
+
+  const respond = async () => {
+    const res = { statusCode: 200, body: null }
+    res.status = (code) => { res.statusCode = code; return res }
+    res.json = (body) => { res.body = body; return res }
+    const user = { id: String(hod._id), role: 'hod', kind: 'user', name: hod.name, department: 'CSE' }
+    await correctionsHandler({ method: 'POST', query: { action: 'respond' }, body: { requestId: String(request._id), decision: 'approved' }, headers: {}, user }, res)
+    return res
+  }
+
+  const stubApproval = ({ revised }) => {
+    const session = { id: 'session' }
+    vi.spyOn(CorrectionRequest, 'findById').mockReturnValue(lean(request))
+    vi.spyOn(Marksheet, 'findById').mockReturnValue(lean(marksheet))
+    vi.spyOn(User, 'findById').mockReturnValue(lean(hod))
+    return {
+      session,
+      transaction: vi.spyOn(mongoose.connection, 'transaction').mockImplementation(async (work) => work(session)),
+      claim: vi.spyOn(CorrectionRequest, 'findOneAndUpdate').mockReturnValue(lean({ ...request, status: 'approved', revision: 1 })),
+      snapshot: vi.spyOn(MarksheetRevision, 'create').mockResolvedValue([]),
+      revise: vi.spyOn(Marksheet, 'findOneAndUpdate').mockReturnValue(lean(revised)),
+      audit: vi.spyOn(MarksheetAuditEvent, 'insertMany').mockResolvedValue([])
+    }
+  }
+
+  it('claims the request, snapshots and revises the marksheet and audits it in one transaction', async () => {
+    mongoose.connection.db = hello({ setName: 'rs0' })
+    const { session, transaction, claim, snapshot, revise, audit } = stubApproval({ revised: { ...marksheet, revision: 1 } })
+
+    const res = await respond()
+    expect(res.statusCode).toBe(200)
+    expect(transaction).toHaveBeenCalledTimes(1)
+    expect(claim.mock.calls[0][0]).toEqual({ _id: String(request._id), status: 'pending' })
+    expect(claim.mock.calls[0][2]).toMatchObject({ session })
+    expect(snapshot.mock.calls[0][1]).toEqual({ session })
+    // Only the marksheet as it was read is revised
+    expect(revise.mock.calls[0][0]).toEqual({ _id: marksheet._id, updatedAt })
+    expect(revise.mock.calls[0][1]).toMatchObject({ revision: 1, subjects: [expect.objectContaining({ marks: 55 })] })
+    expect(revise.mock.calls[0][2]).toMatchObject({ session })
+    expect(audit.mock.calls[0][0]).toEqual([expect.objectContaining({ action: 'revised', marksheetId: marksheet._id })])
+    expect(audit.mock.calls[0][1]).toEqual({ session })
+  })
+
+  it('rolls the approval back when the marksheet changed, and refuses on a standalone server', async () => {
+    mongoose.connection.db = hello({ setName: 'rs0' })
+    const { revise, audit } = stubApproval({ revised: null })
+    const conflict = await respond()
+    expect(conflict.statusCode).toBe(409)
+    expect(conflict.body.code).toBe(VERSION_CONFLICT)
+    expect(revise).toHaveBeenCalledTimes(1)
+    expect(audit).not.toHaveBeenCalled()
+
+    vi.restoreAllMocks()
+    mongoose.connection.db = hello({ isWritablePrimary: true })
+    const { transaction, claim } = stubApproval({ revised: marksheet })
+    const standalone = await respond()
+    expect(standalone.statusCode).toBe(503)
+    expect(standalone.body.code).toBe(TRANSACTIONS_UNSUPPORTED)
+    expect(transaction).not.toHaveBeenCalled()
+    expect(claim).not.toHaveBeenCalled()
+  })
+})
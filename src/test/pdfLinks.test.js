@@ -0,0 +1,67 @@
+import { describe, it, expect, vi } from 'vitest'
+import { DISPATCH_LINK_TTL_SECONDS, signPdfToken, signedPdfPath, verifyPdfToken, withPdfToken } from '../../lib/pdfLinks.js'
+import { buildMarksheetPdfUrl } from '../../lib/marksheetDispatch.js'
+import { signToken, verifyToken } from '../../lib/authTokens.js'
+import { requireAuth } from '../../lib/authMiddleware.js'
+
+const mockRes = () => {
+  const res = { statusCode: 200, body: null }
+  res.status = (code) => { res.statusCode = code; return res }
+  res.json = (body) => { res.body = body; return res }
+  return res
+}
+
+// Run requireAuth for an anonymous GET and report whether it let the request through
+const passes = (url, query) => {
+  const next = vi.fn()
+  requireAuth({ method: 'GET', originalUrl: url, query, headers: {} }, mockRes(), next)
+  return next.mock.calls.length === 1
+}
+
+describe('signed PDF links', () => {
+  it('opens only the document it was signed for', () => {
+    const token = signPdfToken({ marksheetId: 'm1' })
+    expect(verifyPdfToken(token, { marksheetId: 'm1' })).toBe(true)
+    expect(verifyPdfToken(token, { marksheetId: 'm2' })).toBe(false)
+    expect(verifyPdfToken(token, { leaveId: 'm1' })).toBe(false)
+    expect(verifyPdfToken(token, {})).toBe(false)
+    // A session token is not a download link
+    expect(verifyPdfToken(signToken({ sub: 'marksheet:m1', typ: 'access' }, 60), { marksheetId: 'm1' })).toBe(false)
+    expect(() => signPdfToken({})).toThrow(/required/)
+  })
+
+  it('builds signed paths and adds tokens to existing URLs', () => {
+    const url = new URL(signedPdfPath({ leaveId: 'l1', format: 'jpeg' }), 'https://example.edu')
+    expect(url.pathname).toBe('/api/generate-pdf')
+    expect(url.searchParams.get('type')).toBe('leave')
+    expect(url.searchParams.get('format')).toBe('jpeg')
+    expect(verifyPdfToken(url.searchParams.get('token'), { leaveId: 'l1' })).toBe(true)
+
+    const revision = new URL(signedPdfPath({ marksheetId: 'm1', revision: 0 }), 'https://example.edu')
+    expect(revision.searchParams.get('revision')).toBe('0')
+
+    const signed = new URL(withPdfToken('https://example.edu/api/generate-pdf?marksheetId=m1&format=jpeg', { marksheetId: 'm1' }))
+    expect(signed.searchParams.get('format')).toBe('jpeg')
+    expect(verifyPdfToken(signed.searchParams.get('token'), { marksheetId: 'm1' })).toBe(true)
+  })
+
+  it('keeps links sent to parents open far longer than in-app links', () => {
+    const lifetime = (url) => {
+      const { payload } = verifyToken(new URL(url, 'https://example.edu').searchParams.get('token'), 'pdf')
+      return payload.exp - payload.iat
+    }
+    expect(lifetime(signedPdfPath({ marksheetId: 'm1' }))).toBe(24 * 60 * 60)
+    expect(DISPATCH_LINK_TTL_SECONDS).toBe(180 * 24 * 60 * 60)
+    expect(lifetime(buildMarksheetPdfUrl('https://example.edu', 'm1'))).toBe(DISPATCH_LINK_TTL_SECONDS)
+    expect(lifetime(signedPdfPath({ leaveId: 'l1', expiresIn: DISPATCH_LINK_TTL_SECONDS }))).toBe(DISPATCH_LINK_TTL_SECONDS)
+    expect(lifetime(withPdfToken('/api/generate-pdf?marksheetId=m1', { marksheetId: 'm1' }, DISPATCH_LINK_TTL_SECONDS))).toBe(DISPATCH_LINK_TTL_SECONDS)
+  })
+
+  it('lets anonymous requests reach generate-pdf only with a token or for health checks', () => {
+    expect(passes('/api/generate-pdf?marksheetId=m1', { marksheetId: 'm1' })).toBe(false)
+    expect(passes('/api/generate-pdf?marksheetId=m1&token=', { marksheetId: 'm1', token: '' })).toBe(false)
+    expect(passes('/api/generate-pdf?marksheetId=m1&token=x', { marksheetId: 'm1', token: 'x' })).toBe(true)
+    expect(passes('/api/generate-pdf?health=1', { health: '1' })).toBe(true)
+    expect(passes('/api/generate-pdf?action=link&marksheetId=m1', { action: 'link', marksheetId: 'm1' })).toBe(false)
+  })
+})
@@ -0,0 +1,318 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import mongoose from 'mongoose'
+import { MongoMemoryServer } from 'mongodb-memory-server'
+import { POLICY, ROLES, isAllowed, canAccessClass, scopeFilter } from '../../lib/permissions.js'
+import { User, Student, Marksheet, LeaveRequest, StaffApprovalRequest } from '../../models.js'
+import marksheetsHandler from '../../api/marksheets.js'
+import leavesHandler from '../../api/leaves.js'
+import usersHandler from '../../api/users.js'
+import staffApprovalHandler from '../../api/staff-approval.js'
+import examinationsHandler from '../../api/examinations.js'
+import whatsappDispatchHandler from '../../api/whatsapp-dispatch.js'
+import generatePdfHandler from '../../api/generate-pdf.js'
+import { signPdfToken } from '../../lib/pdfLinks.js'
+
+// Expected role matrix. Kept separate from POLICY so an accidental edit to the
+// policy shows up as a failing test instead of silently widening access.
+const A = 'admin', H = 'hod', S = 'staff', ST = 'student'
+const EXPECTED = {
+  marksheets: {
+    list: [A, H, S, ST], view: [A, H, S, ST], create: [S], update: [A, H, S], delete: [A, H, S],
+    verify: [S], 'mark-visited': [A, H, S, ST], 'request-dispatch': [S],
+    'batch-verify-and-dispatch': [S], 'hod-response': [H], audit: [A, H, S], grid: [A, H, S], 'batch-update': [A, H, S]
+  },
+  'marksheet-corrections': { list: [A, H, S, ST], revisions: [A, H, S, ST], create: [S, ST], respond: [H] },
+  'grading-schemes': { list: [A, H, S], resolve: [A, H, S], create: [A, H], update: [A, H], delete: [A, H] },
+  'subject-catalog': {
+    subjects: [A, H, S], versions: [A], 'create-draft': [A], 'update-draft': [A], publish: [A], 'discard-draft': [A]
+  },
+  'elective-choices': { list: [A, H, S], save: [A, H, S], upload: [A, H, S] },
+  students: {
+    list: [A, H, S], view: [A, H, S], create: [A, H, S], update: [A, H, S], upload: [A, H, S],
+    status: [A, H, S], transfer: [A, H], 'promotion-preview': [A, H], 'promotion-runs': [A, H],
+    'promotion-apply': [A, H], 'promotion-rollback': [A, H]
+  },
+  'class-assignments': { list: [A, H, S], create: [A, H], delete: [A, H] },
+  'mark-entry': {
+    list: [A, H, S], sheet: [A, H, S], completeness: [A, H, S], save: [S], upload: [S], lock: [S], unlock: [A, H, S], consolidate: [A, H, S]
+  },
+  examinations: { list: [A, H, S], create: [S], delete: [A, H, S] },
+  'import-excel': { inspect: [S], upload: [S], confirm: [S], session: [S], 'rejected-rows': [S], templates: [S], 'delete-template': [S] },
+  leaves: {
+    list: [A, H, S, ST], create: [ST], approve: [A, H, S], reject: [A, H, S], acknowledge: [S],
+    'confirm-arrival': [ST], delete: [A, H, S, ST], balance: [A, H, S, ST]
+  },
+  'late-arrivals': { report: [A, H, S], export: [A, H, S] },
+  attendance: { register: [A, H, S], save: [S], summary: [A, H, S, ST], 'apply-marksheets': [A, H, S] },
+  'leave-policies': { view: [A, H, S, ST], save: [A, H], delete: [A, H] },
+  calendar: { list: [A, H, S, ST], export: [A, H, S, ST], create: [A], update: [A], delete: [A], import: [A] },
+  users: {
+    'student-lookup': [A, H, S, ST], profile: [A, H, S], list: [A, H], create: [A], delete: [A],
+    'access-policy': [A], 'admin-reset-password': [A], 'update-signature': [A, H, S],
+    'update-profile': [A, H, S], 'reset-password': [A, H, S]
+  },
+  'staff-approval': { pending: [A, H], details: [A, H], approve: [A, H], reject: [A, H] },
+  'whatsapp-dispatch': {
+    status: [A, H, S], diagnostics: [A, H, S], 'manage-instance': [A, H, S],
+    'manage-global-instance': [A], 'send-marksheet': [A, H, S], 'send-bulk': [A, H, S],
+    'dispatch-status': [A, H, S], 'create-job': [A, H, S], 'job-status': [A, H, S], 'control-job': [A, H, S]
+  },
+  notifications: { inbox: [A, H, S, ST], subscribe: [A, H, S, ST], send: [A, H], broadcast: [A], 'approve-staff': [A, H] },
+  'generate-pdf': { export: [A, H, S], render: [A, H, S, ST] }
+}
+
+describe('permission policy', () => {
+  it('covers exactly the expected resources and actions', () => {
+    expect(Object.keys(POLICY).sort()).toEqual(Object.keys(EXPECTED).sort())
+    for (const resource of Object.keys(EXPECTED)) {
+      expect(Object.keys(POLICY[resource]).sort()).toEqual(Object.keys(EXPECTED[resource]).sort())
+    }
+  })
+
+  for (const [resource, actions] of Object.entries(EXPECTED)) {
+    for (const [action, roles] of Object.entries(actions)) {
+      it(`${resource}:${action}`, () => {
+        for (const role of ROLES) {
+          expect(isAllowed({ role }, resource, action), `${role} on ${resource}:${action}`).toBe(roles.includes(role))
+        }
+      })
+    }
+  }
+
+  it('denies anonymous callers and unknown actions', () => {
+    expect(isAllowed(null, 'marksheets', 'list')).toBe(false)
+    expect(isAllowed({ role: 'admin' }, 'marksheets', 'no-such-action')).toBe(false)
+  })
+
+  it('scopes classes by department, year and section', () => {
+    const cseSecondA = { department: 'CSE', year: 'II', section: 'A' }
+    expect(canAccessClass({ role: 'admin' }, cseSecondA)).toBe(true)
+    expect(canAccessClass({ role: 'hod', department: 'CSE' }, cseSecondA)).toBe(true)
+    expect(canAccessClass({ role: 'hod', department: 'ECE' }, cseSecondA)).toBe(false)
+    expect(canAccessClass({ role: 'hod', department: 'HNS' }, cseSecondA)).toBe(false)
+    expect(canAccessClass({ role: 'hod', department: 'HNS' }, { department: 'CSE', year: '1' })).toBe(true)
+    expect(canAccessClass({ role: 'staff', department: 'CSE', year: '2', section: 'a' }, cseSecondA)).toBe(true)
+    expect(canAccessClass({ role: 'staff', department: 'CSE', year: 'II', section: 'B' }, cseSecondA)).toBe(false)
+    expect(canAccessClass({ role: 'student', department: 'CSE', year: 'II', section: 'A' }, cseSecondA)).toBe(false)
+  })
+
+  it('scopes staff to every class they are assigned to', () => {
+    const teacher = {
+      role: 'staff',
+      id: 'x',
+      department: 'HNS',
+      classes: [
+        { department: 'CSE', year: 'I', section: 'A', role: 'class_advisor' },
+        { department: 'ECE', year: 'I', section: 'B', role: 'subject_teacher', subjectCode: 'MA101' }
+      ]
+    }
+    expect(canAccessClass(teacher, { department: 'ECE', year: '1', section: 'b' })).toBe(true)
+    expect(canAccessClass(teacher, { department: 'ECE', year: 'I', section: 'A' })).toBe(false)
+    expect(scopeFilter(teacher, { ownerField: 'staffId' }).$or).toHaveLength(3)
+
+    // A profile class still counts until an advisor assignment replaces it
+    const legacy = { role: 'staff', department: 'CSE', year: 'II', section: 'A', classes: [teacher.classes[1]] }
+    expect(canAccessClass(legacy, { department: 'CSE', year: 'II', section: 'A' })).toBe(true)
+    expect(canAccessClass({ ...legacy, classes: teacher.classes }, { department: 'CSE', year: 'II', section: 'A' })).toBe(false)
+  })
+
+  it('never produces an unrestricted filter for non-admins', () => {
+    expect(scopeFilter({ role: 'admin' })).toEqual({})
+    expect(scopeFilter(null)).toEqual({ _id: null })
+    for (const role of ['hod', 'staff', 'student']) {
+      expect(Object.keys(scopeFilter({ role, id: 'x', department: 'CSE', year: 'II', section: 'A' })).length).toBeGreaterThan(0)
+    }
+  })
+})
+
+const mockRes = () => {
+  const res = { statusCode: 200, body: null }
+  res.status = (code) => { res.statusCode = code; return res }
+  res.json = (body) => { res.body = body; return res }
+  res.end = () => res
+  res.setHeader = () => res
+  return res
+}
+
+const call = async (handler, user, { method = 'GET', query = {}, body = {} } = {}) => {
+  const res = mockRes()
+  await handler({ method, query, body, headers: {}, user }, res)
+  return res
+}
+
+const asPrincipal = (doc, role = doc.role) => ({
+  id: String(doc._id),
+  role,
+  kind: role === 'student' ? 'student' : 'user',
+  name: doc.name,
+  email: doc.email,
+  regNumber: doc.regNumber,
+  department: doc.department,
+  year: doc.year,
+  section: doc.section
+})
+
+describe('handler scoping against MongoDB', () => {
+  let mongod
+  const p = {}
+  const docs = {}
+
+  beforeAll(async () => {
+    mongod = await MongoMemoryServer.create()
+    await mongoose.connect(mongod.getUri())
+    // Let the handlers' connectToDatabase() reuse this connection
+    global.mongoose.conn = mongoose
+
+    const user = (fields) => User.create({ password: 'x', ...fields })
+    docs.admin = await user({ email: 'admin@test', role: 'admin', name: 'Admin', department: 'ADMIN' })
+    docs.cseHod = await user({ email: 'cse-hod@test', role: 'hod', name: 'CSE HOD', department: 'CSE' })
+    docs.eceHod = await user({ email: 'ece-hod@test', role: 'hod', name: 'ECE HOD', department: 'ECE' })
+    docs.hnsHod = await user({ email: 'hns-hod@test', role: 'hod', name: 'HNS HOD', department: 'HNS' })
+    docs.staffA = await user({ email: 'staff-a@test', role: 'staff', name: 'Staff A', department: 'CSE', year: 'II', section: 'A' })
+    docs.staffB = await user({ email: 'staff-b@test', role: 'staff', name: 'Staff B', department: 'CSE', year: 'II', section: 'B' })
+    docs.student = await Student.create({
+      name: 'Student', regNumber: 'REG001', department: 'CSE', year: 'II', section: 'A', parentPhoneNumber: '9000000000'
+    })
+    const freshman = await Student.create({
+      name: 'Freshman', regNumber: 'REG101', department: 'CSE', year: 'I', section: 'A', parentPhoneNumber: '9000000001'
+    })
+
+    for (const key of ['admin', 'cseHod', 'eceHod', 'hnsHod', 'staffA', 'staffB']) p[key] = asPrincipal(docs[key])
+    p.student = asPrincipal(docs.student, 'student')
+
+    const marksheet = (student, staff, marksheetId) => Marksheet.create({
+      marksheetId,
+      studentId: student._id,
+      studentDetails: {
+        name: student.name, regNumber: student.regNumber, department: student.department,
+        year: student.year, section: student.section, parentPhoneNumber: student.parentPhoneNumber
+      },
+      examinationDate: new Date(),
+      subjects: [{ subjectName: 'Maths', marks: 80, result: 'Pass' }],
+      staffId: staff._id,
+      staffName: staff.name,
+      status: 'dispatch_requested'
+    })
+    docs.cseMarksheet = await marksheet(docs.student, docs.staffA, 'MS-CSE-II-A')
+    docs.firstYearMarksheet = await marksheet(freshman, docs.staffB, 'MS-CSE-I-A')
+
+    docs.leave = await LeaveRequest.create({
+      type: 'leave',
+      studentId: docs.student._id,
+      studentDetails: { name: 'Student', regNumber: 'REG001', department: 'CSE', year: 'II', section: 'A' },
+      reason: 'Fever'
+    })
+    // The Examination model is registered by api/examinations.js
+    docs.exam = await mongoose.model('Examination').create({
+      examinationName: 'Unit Test', semester: 'III', academicYear: '2025-26', examinationMonth: '1', examinationYear: '2026',
+      department: 'CSE', year: 'II', section: 'A', staffId: docs.staffA._id
+    })
+    docs.approval = await StaffApprovalRequest.create({
+      email: 'new-staff@test', name: 'New Staff', password: 'x', department: 'CSE', year: 'III', section: 'A',
+      approvalHodId: docs.cseHod._id
+    })
+  }, 120000)
+
+  afterAll(async () => {
+    await mongoose.disconnect()
+    if (mongod) await mongod.stop()
+  })
+
+  const listedIds = (res) => res.body.marksheets.map(m => m.marksheetId).sort()
+
+  it('scopes marksheet lists to the caller', async () => {
+    expect(listedIds(await call(marksheetsHandler, p.admin))).toEqual(['MS-CSE-I-A', 'MS-CSE-II-A'])
+    expect(listedIds(await call(marksheetsHandler, p.cseHod))).toEqual(['MS-CSE-I-A', 'MS-CSE-II-A'])
+    expect(listedIds(await call(marksheetsHandler, p.hnsHod))).toEqual(['MS-CSE-I-A'])
+    expect(listedIds(await call(marksheetsHandler, p.eceHod))).toEqual([])
+    expect(listedIds(await call(marksheetsHandler, p.staffA))).toEqual(['MS-CSE-II-A'])
+    // Staff B owns the first-year marksheet it imported but not section A's
+    expect(listedIds(await call(marksheetsHandler, p.staffB))).toEqual(['MS-CSE-I-A'])
+    expect(listedIds(await call(marksheetsHandler, p.student))).toEqual(['MS-CSE-II-A'])
+  })
+
+  it('ignores a spoofed department filter', async () => {
+    const res = await call(marksheetsHandler, p.eceHod, { query: { department: 'CSE' } })
+    expect(listedIds(res)).toEqual([])
+  })
+
+  it('blocks single-marksheet reads outside scope', async () => {
+    const id = String(docs.cseMarksheet._id)
+    expect((await call(marksheetsHandler, p.staffA, { query: { id } })).statusCode).toBe(200)
+    expect((await call(marksheetsHandler, p.staffB, { query: { id } })).statusCode).toBe(403)
+    expect((await call(marksheetsHandler, p.eceHod, { query: { id } })).statusCode).toBe(403)
+  })
+
+  it('rejects verify from another section and hod-response from another department', async () => {
+    const marksheetId = String(docs.cseMarksheet._id)
+    const verify = await call(marksheetsHandler, p.staffB, { method: 'POST', query: { action: 'verify' }, body: { marksheetId } })
+    expect(verify.statusCode).toBe(403)
+
+    const hodResponse = { method: 'POST', query: { action: 'hod-response' }, body: { marksheetId, response: 'approved' } }
+    expect((await call(marksheetsHandler, p.eceHod, hodResponse)).statusCode).toBe(403)
+    expect((await call(marksheetsHandler, p.staffA, hodResponse)).statusCode).toBe(403)
+    expect((await call(marksheetsHandler, p.cseHod, hodResponse)).statusCode).toBe(200)
+    const updated = await Marksheet.findById(marksheetId).lean()
+    expect(String(updated.hodId)).toBe(p.cseHod.id)
+  })
+
+  it('only lets the class HOD act on a leave', async () => {
+    const query = { id: String(docs.leave._id), action: 'approve' }
+    expect((await call(leavesHandler, p.eceHod, { method: 'PATCH', query })).statusCode).toBe(403)
+    expect((await call(leavesHandler, p.staffA, { method: 'PATCH', query })).statusCode).toBe(403)
+    expect((await call(leavesHandler, p.student, { method: 'PATCH', query })).statusCode).toBe(403)
+
+    const listed = await call(leavesHandler, p.eceHod)
+    expect(listed.body.requests).toHaveLength(0)
+  })
+
+  it('restricts admin-reset-password to admins', async () => {
+    const body = { targetUserId: String(docs.staffA._id), newPassword: 'secret123' }
+    const query = { action: 'admin-reset-password' }
+    expect((await call(usersHandler, p.cseHod, { method: 'PATCH', query, body })).statusCode).toBe(403)
+    expect((await call(usersHandler, p.staffA, { method: 'PATCH', query, body })).statusCode).toBe(403)
+  })
+
+  it('only lets the assigned HOD decide a staff approval', async () => {
+    const body = { requestId: String(docs.approval._id), action: 'reject', rejectionReason: 'n/a' }
+    expect((await call(staffApprovalHandler, p.eceHod, { method: 'PATCH', body })).statusCode).toBe(403)
+    expect((await call(staffApprovalHandler, p.staffA, { method: 'PATCH', body })).statusCode).toBe(403)
+
+    const pending = await call(staffApprovalHandler, p.eceHod, { query: { action: 'pending' } })
+    expect(pending.statusCode).toBe(200)
+    expect(JSON.stringify(pending.body)).not.toContain('new-staff@test')
+  })
+
+  it('only lets the owner or the department HOD delete an examination', async () => {
+    const body = { examinationId: String(docs.exam._id) }
+    expect((await call(examinationsHandler, p.staffB, { method: 'DELETE', body })).statusCode).toBe(403)
+    expect((await call(examinationsHandler, p.eceHod, { method: 'DELETE', body })).statusCode).toBe(403)
+  })
+
+  it('serves marksheet PDFs and leave letters only in scope or through a signed link', async () => {
+    const marksheetId = String(docs.cseMarksheet._id)
+    const leaveId = String(docs.leave._id)
+    expect((await call(generatePdfHandler, null, { query: { marksheetId } })).statusCode).toBe(401)
+    expect((await call(generatePdfHandler, p.staffB, { query: { marksheetId } })).statusCode).toBe(403)
+    expect((await call(generatePdfHandler, p.eceHod, { query: { marksheetId, revision: '0' } })).statusCode).toBe(403)
+    expect((await call(generatePdfHandler, p.eceHod, { query: { type: 'leave', leaveId } })).statusCode).toBe(403)
+
+    // A link signed for one document does not open another
+    const otherToken = signPdfToken({ marksheetId: String(docs.firstYearMarksheet._id) })
+    expect((await call(generatePdfHandler, null, { query: { marksheetId, token: otherToken } })).statusCode).toBe(401)
+    expect((await call(generatePdfHandler, null, { query: { type: 'leave', leaveId, token: signPdfToken({ marksheetId }) } })).statusCode).toBe(401)
+
+    const link = await call(generatePdfHandler, p.staffA, { query: { action: 'link', marksheetId } })
+    expect(link.statusCode).toBe(200)
+    expect(link.body.url).toMatch(/token=/)
+    expect((await call(generatePdfHandler, p.staffB, { query: { action: 'link', marksheetId } })).statusCode).toBe(403)
+    expect((await call(generatePdfHandler, p.student, { query: { action: 'link', type: 'leave', leaveId } })).statusCode).toBe(200)
+  })
+
+  it('does not let students dispatch over WhatsApp', async () => {
+    const res = await call(whatsappDispatchHandler, p.student, {
+      method: 'POST', query: { action: 'send-bulk' }, body: { marksheetIds: [String(docs.cseMarksheet._id)] }
+    })
+    expect(res.statusCode).toBe(403)
+  })
+})
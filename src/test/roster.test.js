@@ -0,0 +1,127 @@
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import mongoose from 'mongoose'
+import { nextYear, readRosterRows, syncRosterDetails, validateStudentInput } from '../../lib/roster.js'
+import { LeaveRequest, Marksheet, MarksheetAuditEvent, PromotionRun, Student, User } from '../../models.js'
+import { IN_FLIGHT_MARKSHEET_STATUSES, applyPromotion, currentAcademicYear, previewPromotion, rollbackPromotion } from '../../lib/promotion.js'
+import { TRANSACTIONS_UNSUPPORTED } from '../../lib/mongo.js'
+
+describe('student roster', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('promotes through the years and stops after the final year', () => {
+    expect(nextYear('I')).toBe('II')
+    expect(nextYear('3')).toBe('IV')
+    expect(nextYear('IV')).toBeNull()
+    expect(nextYear('')).toBeNull()
+  })
+
+  it('validates a student, taking the class from the form when the row has none', () => {
+    const { student } = validateStudentInput(
+      { regNumber: ' 21cse001 ', name: 'Asha', parentPhoneNumber: '98765 43210' },
+      { department: 'cse', year: '2', section: 'a' }
+    )
+    expect(student).toEqual({
+      regNumber: '21CSE001', name: 'Asha', department: 'CSE', year: 'II', section: 'A', parentPhoneNumber: '+919876543210'
+    })
+
+    expect(validateStudentInput({ regNumber: '21CSE002', name: 'Ravi', parentPhoneNumber: '123' }, { department: 'CSE', year: 'II', section: 'A' }).error)
+      .toBe('Parent phone must be a 10-digit number')
+    expect(validateStudentInput({ regNumber: '21CSE002', name: 'Ravi', parentPhoneNumber: '9876543210', year: 'V', section: 'A' }, { department: 'CSE' }).error)
+      .toBe('Year must be one of I, II, III, IV')
+  })
+
+  it('reads roster rows under the header, skipping blank rows', () => {
+    const { rows } = readRosterRows([
+      ['Class roster'],
+      ['Reg No', 'Student Name', 'Section', 'Parent Mobile'],
+      ['21CSE001', 'Asha', 'A', '9876543210'],
+      [],
+      ['21CSE002', 'Ravi', 'B', '9876500000']
+    ])
+    expect(rows).toEqual([
+      { rowNum: 3, input: { regNumber: '21CSE001', name: 'Asha', section: 'A', parentPhoneNumber: '9876543210' } },
+      { rowNum: 5, input: { regNumber: '21CSE002', name: 'Ravi', section: 'B', parentPhoneNumber: '9876500000' } }
+    ])
+    expect(readRosterRows([['RegNumber', 'Name']]).error).toBe('Missing a ParentPhone column')
+  })
+})
+
+describe('year-end promotion', () => {
+  const db = mongoose.connection.db
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    mongoose.connection.db = db
+  })
+
+  const query = (value) => {
+    const chain = { lean: async () => value }
+    for (const method of ['select', 'session', 'sort']) chain[method] = () => chain
+    return chain
+  }
+
+  it('leaves marksheets awaiting dispatch out of the archive', async () => {
+    vi.spyOn(Student, 'find').mockReturnValue(query([{ _id: 's1', regNumber: 'REG1', year: 'II', section: 'A', status: 'active' }]))
+    const counted = vi.spyOn(Marksheet, 'countDocuments').mockImplementation(async (filter) => (filter.status.$in ? 1 : 4))
+    vi.spyOn(LeaveRequest, 'countDocuments').mockResolvedValue(0)
+    vi.spyOn(User, 'find').mockReturnValue(query([]))
+    vi.spyOn(PromotionRun, 'findOne').mockReturnValue(query(null))
+
+    const preview = await previewPromotion('CSE')
+    expect(counted.mock.calls[0][0]).toEqual({ studentId: { $in: ['s1'] }, status: { $nin: IN_FLIGHT_MARKSHEET_STATUSES }, archivedAt: null })
+    expect(IN_FLIGHT_MARKSHEET_STATUSES).toEqual(['dispatch_requested', 'rescheduled_by_hod'])
+    expect(preview.counts).toMatchObject({ marksheetsArchived: 4, marksheetsInFlight: 1 })
+  })
+
+  it('refuses to promote or roll back on a standalone server', async () => {
+    mongoose.connection.db = { admin: () => ({ command: async () => ({ isWritablePrimary: true }) }) }
+    const transaction = vi.spyOn(mongoose.connection, 'transaction')
+    const user = { id: 'u1', name: 'HOD CSE' }
+
+    await expect(applyPromotion({ department: 'CSE', academicYear: '2025-26', user })).rejects.toMatchObject({ status: 503, code: TRANSACTIONS_UNSUPPORTED })
+    await expect(rollbackPromotion('run1', user)).rejects.toMatchObject({ status: 503, code: TRANSACTIONS_UNSUPPORTED })
+    expect(transaction).not.toHaveBeenCalled()
+  })
+
+  it('names the academic year running June to May', () => {
+    expect(currentAcademicYear(new Date(2026, 4, 31))).toBe('2025-26')
+    expect(currentAcademicYear(new Date(2026, 5, 1))).toBe('2026-27')
+    expect(currentAcademicYear(new Date(2099, 8, 1))).toBe('2099-00')
+  })
+
+  it('syncs a renamed student to their records and audit trail in the caller\'s transaction', async () => {
+    const session = { id: 'txn' }
+    const student = { _id: 's1', name: 'Asha K', parentPhoneNumber: '+919876543210' }
+    const marksheets = [
+      { _id: 'm1', status: 'verified_by_staff', studentDetails: { name: 'Asha', parentPhoneNumber: '+919876543210', year: 'II', section: 'A' } },
+      { _id: 'm2', status: 'draft', studentDetails: { name: 'Asha K', parentPhoneNumber: '+919876543210', year: 'III', section: 'A' } }
+    ]
+    let findSession
+    const find = vi.spyOn(Marksheet, 'find').mockReturnValue({
+      select() { return this },
+      session(value) { findSession = value; return this },
+      lean: async () => marksheets
+    })
+    const updateMany = vi.spyOn(Marksheet, 'updateMany').mockResolvedValue({})
+    const audit = vi.spyOn(MarksheetAuditEvent, 'insertMany').mockResolvedValue([])
+    const leaves = vi.spyOn(LeaveRequest, 'updateMany').mockResolvedValue({})
+
+    await syncRosterDetails(student, { actor: { name: 'System', role: 'system' }, session })
+
+    // Dispatched and archived marksheets keep what parents were sent
+    expect(find.mock.calls[0][0]).toEqual({ studentId: 's1', status: { $ne: 'dispatched' }, archivedAt: null })
+    expect(findSession).toBe(session)
+    expect(updateMany.mock.calls[0][0]).toEqual({ _id: { $in: ['m1'] } })
+    expect(updateMany.mock.calls[0][1].$set).toMatchObject({ 'studentDetails.name': 'Asha K' })
+    expect(updateMany.mock.calls[0][2]).toEqual({ session })
+    const [[events, options]] = audit.mock.calls
+    expect(events).toHaveLength(1)
+    expect(events[0]).toMatchObject({ marksheetId: 'm1', action: 'details_edited', changes: [{ before: 'Asha', after: 'Asha K' }] })
+    expect(options).toEqual({ session })
+    // The leave keeps its class; only the name and parent phone follow the roster
+    expect(leaves.mock.calls[0][1]).toEqual({ $set: { 'studentDetails.name': 'Asha K', 'studentDetails.parentPhoneNumber': '+919876543210' } })
+    expect(leaves.mock.calls[0][2]).toEqual({ session })
+  })
+})
@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest'
+import { DEFAULT_SUBJECTS, buildCatalogTree, flattenCatalogTree, findCatalogSubject, getDefaultSubjects, normalizeSubject } from '../../shared/subjectCatalog.js'
+import { validateCatalogContent } from '../../lib/subjectCatalog.js'
+
+describe('subject catalog', () => {
+  const rows = flattenCatalogTree(DEFAULT_SUBJECTS)
+  const electives = [{ department: 'CSE', slot: 'Professional Elective I', code: 'U24CS951', name: 'Cloud Computing', credits: 3 }]
+  const tree = buildCatalogTree(rows, electives)
+
+  it('round-trips the seed data and marks elective slots', () => {
+    expect(getDefaultSubjects('cse', '2', '4', tree)).toEqual(getDefaultSubjects('cse', '2', '4'))
+    expect(rows.find(row => row.name === 'Professional Elective I' && row.department === 'CSE').electiveSlot).toBe('Professional Elective I')
+  })
+
+  it('resolves offered electives to their course code', () => {
+    expect(normalizeSubject('Cloud Computing', 'CSE', 'III', 'V', tree)).toEqual({ subjectCode: 'U24CS951', subjectName: 'U24CS951 - Cloud Computing' })
+    expect(normalizeSubject('Professional Elective I', 'CSE', 'III', 'V', tree).subjectName).toBe('Professional Elective I')
+    expect(findCatalogSubject('u24cs951', tree)).toEqual({ code: 'U24CS951', name: 'Cloud Computing', credits: 3 })
+  })
+
+  it('only accepts offerings for slots the department has', () => {
+    expect(validateCatalogContent({ subjects: rows, electives }).electives).toHaveLength(1)
+    expect(validateCatalogContent({ subjects: rows, electives: [{ ...electives[0], slot: 'Professional Elective IX' }] }).error)
+      .toMatch(/has no "Professional Elective IX" slot/)
+    expect(validateCatalogContent({ subjects: [...rows, { ...rows[0] }] }).error).toMatch(/listed twice/)
+  })
+})
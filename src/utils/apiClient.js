@@ -1,5 +1,5 @@
 import { getUserFriendlyMessage } from './apiErrorMessages'
-import { getAuthOrNull } from './auth'
+import { getAuthOrNull, saveSessionTokens, clearStoredSession } from './auth'
 
 const inFlight = new Map();
 const cache = new Map();
@@ -12,17 +12,64 @@ function buildUrl(url) {
   return `${origin}${path}`;
 }
 
+// Refresh the access token this long before it expires
+const REFRESH_LEEWAY_MS = 60 * 1000;
+const SESSION_ERROR_CODES = ['AUTH_REQUIRED', 'INVALID_TOKEN', 'TOKEN_EXPIRED'];
+let refreshInFlight = null;
+
 function getAuthHeaders() {
   const auth = getAuthOrNull();
-  if (!auth) return {};
-  
+  if (!auth?.accessToken) return {};
+
   return {
-    'Authorization': `Bearer ${auth.token || auth.id || ''}`,
-    'X-User-Id': auth.id || '',
-    'X-User-Role': auth.role || ''
+    'Authorization': `Bearer ${auth.accessToken}`
   };
 }
 
+function isAuthEndpoint(url) {
+  return buildUrl(url).split('?')[0].replace(/\/$/, '').endsWith('/api/auth');
+}
+
+// Exchange the stored refresh token for a new pair. Concurrent callers share one request.
+function refreshSession() {
+  if (refreshInFlight) return refreshInFlight;
+
+  refreshInFlight = (async () => {
+    const auth = getAuthOrNull();
+    if (!auth?.refreshToken) return false;
+    try {
+      const res = await fetch(buildUrl('/api/auth?action=refresh'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken: auth.refreshToken }),
+      });
+      const data = await res.json().catch(() => null);
+      if (res.ok && data?.accessToken) {
+        saveSessionTokens(data);
+        return true;
+      }
+      // Refresh token rejected (expired, revoked or outside the login window) - sign out
+      if (res.status === 401 || res.status === 403) clearStoredSession();
+      return false;
+    } catch (e) {
+      // Network failure: keep the session, the request itself will surface the error
+      return false;
+    }
+  })();
+
+  refreshInFlight.finally(() => { refreshInFlight = null; });
+  return refreshInFlight;
+}
+
+async function ensureFreshAccessToken() {
+  const auth = getAuthOrNull();
+  if (!auth?.refreshToken) return;
+  const expiresAt = auth.accessTokenExpiresAt ? new Date(auth.accessTokenExpiresAt).getTime() : 0;
+  if (!auth.accessToken || !expiresAt || expiresAt - Date.now() < REFRESH_LEEWAY_MS) {
+    await refreshSession();
+  }
+}
+
 async function request(method, url, opts = {}) {
   const {
     cache: useCache = true,
@@ -71,7 +118,11 @@ async function request(method, url, opts = {}) {
 
   const p = (async () => {
     let attempt = 0;
+    let refreshedAfter401 = false;
+    const authEndpoint = isAuthEndpoint(url);
     while (true) {
+      if (!authEndpoint) await ensureFreshAccessToken();
+
       const controller = new AbortController();
       const timer = setTimeout(() => {
         try {
@@ -105,6 +156,16 @@ async function request(method, url, opts = {}) {
 
         if (!res.ok) {
           const errData = await res.json().catch(() => null);
+
+          if (res.status === 401 && !authEndpoint && SESSION_ERROR_CODES.includes(errData?.code)) {
+            // Access token expired mid-flight: refresh once and replay the request
+            if (errData.code === 'TOKEN_EXPIRED' && !refreshedAfter401) {
+              refreshedAfter401 = true;
+              if (await refreshSession()) continue;
+            }
+            if (getAuthOrNull()) clearStoredSession();
+          }
+
           const e = new Error();
           e.status = res.status;
           e.data = errData;
@@ -18,3 +18,32 @@ export function getAuthOrNull() {
     return null
   }
 }
+
+/**
+ * Merge a fresh access/refresh token pair into the stored auth object.
+ */
+export function saveSessionTokens(tokens) {
+  const auth = getAuthOrNull()
+  if (!auth || !tokens?.accessToken) return null
+  const updated = {
+    ...auth,
+    accessToken: tokens.accessToken,
+    refreshToken: tokens.refreshToken || auth.refreshToken,
+    accessTokenExpiresAt: tokens.accessTokenExpiresAt || null,
+    refreshTokenExpiresAt: tokens.refreshTokenExpiresAt || auth.refreshTokenExpiresAt || null
+  }
+  localStorage.setItem('auth', JSON.stringify(updated))
+  return updated
+}
+
+/**
+ * Drop the stored session (e.g. after the refresh token expires) and notify listeners.
+ */
+export function clearStoredSession() {
+  localStorage.removeItem('auth')
+  localStorage.removeItem('isLoggedIn')
+  localStorage.removeItem('userEmail')
+  localStorage.removeItem('userRole')
+  localStorage.removeItem('userId')
+  try { window.dispatchEvent(new Event('authStateChanged')) } catch (e) { /* ignore */ }
+}
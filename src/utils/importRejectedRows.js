@@ -0,0 +1,19 @@
+import apiClient from './apiClient'
+
+/**
+ * Download the annotated workbook of rows a partial Excel import held back.
+ * @param {string} sessionId - Import session returned by the upload
+ * @param {string} [sourceName] - Uploaded file name, used to name the download
+ */
+export async function downloadRejectedRows(sessionId, sourceName) {
+  const blob = await apiClient.get(`/api/import-excel?action=rejected-rows&sessionId=${encodeURIComponent(sessionId)}`, { responseType: 'blob', timeout: 30000 })
+  if (!blob) throw new Error('Download failed: empty response')
+  const url = window.URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = `rejected-rows-${sourceName ? sourceName.replace(/\.[^.]+$/, '') : sessionId}.xlsx`
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  window.URL.revokeObjectURL(url)
+}
@@ -20,6 +20,7 @@ export const NOTIFICATION_TYPES = {
   LATE_CONFIRMATION: 'late_confirmation_needed',
   LATE_CONFIRMED: 'late_arrival_confirmed',
   LATE_REACHED: 'student_late_reached',
+  LATE_REPEAT: 'late_repeat_alert',
 
   // Leave requests
   LEAVE_REQUEST: 'leave_request',
@@ -166,6 +167,21 @@ export const NOTIFICATION_CONFIG = {
     hideNewBadge: false
   },
 
+  [NOTIFICATION_TYPES.LATE_REPEAT]: {
+    category: 'late-arrival',
+    autoDismiss: 0,
+    icon: '🚨',
+    bgColor: 'bg-red-50',
+    borderColor: 'border-red-300',
+    badgeBg: 'bg-red-100',
+    badgeText: 'text-red-700',
+    badgeLabel: 'Repeat Late',
+    titleClass: 'text-red-900',
+    bodyClass: 'text-red-800',
+    dismissable: true,
+    hideNewBadge: false
+  },
+
   // Leave requests
   [NOTIFICATION_TYPES.LEAVE_REQUEST]: {
     category: 'leave',
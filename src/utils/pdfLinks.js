@@ -0,0 +1,29 @@
+import apiClient from './apiClient'
+
+// Marksheet PDFs and leave letters need a session or a signed link
+// (lib/pdfLinks.js). Tabs and downloads cannot send the bearer token, so
+// they open a signed link asked for with the session.
+
+export async function getPdfLink({ marksheetId, leaveId, revision, format } = {}) {
+  const params = new URLSearchParams(leaveId ? { action: 'link', type: 'leave', leaveId } : { action: 'link', marksheetId })
+  if (revision !== undefined && revision !== null) params.set('revision', revision)
+  if (format) params.set('format', format)
+  const data = await apiClient.get(`/api/generate-pdf?${params}`, { cache: false, dedupe: false })
+  return data.url
+}
+
+/**
+ * Open a marksheet PDF or leave letter in a new tab. The tab is opened before
+ * the link is fetched so popup blockers let it through.
+ */
+export async function openPdf(target) {
+  const tab = window.open('', '_blank')
+  try {
+    const url = await getPdfLink(target)
+    if (tab) tab.location.href = url
+    else window.location.assign(url)
+  } catch (e) {
+    if (tab) tab.close()
+    throw e
+  }
+}
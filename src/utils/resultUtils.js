@@ -1,36 +1,22 @@
-const PASS_THRESHOLD = 50
-const ABSENT_TOKENS = ['AB', 'ABS', 'ABSENT']
-const ATTENDANCE_ALIASES = ['ATTENDANCE', 'ATTENDANCE %', 'ATTENDANCE%']
+import {
+  ABSENT_TOKENS,
+  DEFAULT_GRADING_SCHEME,
+  gradeSubject,
+  isAttendanceSubject as isAttendanceColumn,
+  normalizeResultToken
+} from '../../shared/grading'
 
-const normalizeString = (value) => {
-  if (typeof value === 'number') return value.toString().trim().toUpperCase()
-  if (typeof value === 'string') return value.trim().toUpperCase()
-  return ''
-}
+// Display helpers. Stored results come from the server's grading scheme and
+// are trusted; the default scheme only covers marksheets saved without one.
+const PASS_THRESHOLD = DEFAULT_GRADING_SCHEME.passMarks
 
-const normalizeResultToken = (value) => {
-  const normalized = normalizeString(value)
-  if (!normalized) return null
-  if (ABSENT_TOKENS.includes(normalized)) return 'Absent'
-  if (normalized === 'FAIL' || normalized === 'F') return 'Fail'
-  if (normalized === 'PASS' || normalized === 'P') return 'Pass'
-  return null
-}
-
-const isAttendanceSubject = (subject = {}) => {
-  const name = normalizeString(subject?.subjectName)
-  if (!name) return false
-  return ATTENDANCE_ALIASES.includes(name)
-}
+const isAttendanceSubject = (subject = {}) => isAttendanceColumn(subject)
 
 export const deriveResultFromGrade = (grade) => {
   const normalized = normalizeResultToken(grade)
   if (normalized) return normalized
-  const gradeToken = normalizeString(grade)
-  if (!gradeToken) return null
-  if (ABSENT_TOKENS.includes(gradeToken)) return 'Absent'
-  if (gradeToken.includes('F')) return 'Fail'
-  return 'Pass'
+  if (grade === undefined || grade === null || grade === '') return null
+  return gradeSubject({ grade }).result
 }
 
 export const deriveResultFromMarks = (marks) => {
@@ -0,0 +1,27 @@
+// Client side of version-checked updates (lib/concurrency.js): the If-Match
+// header to send with an update, and a three-way merge of the user's edits
+// onto the record someone else saved in the meantime.
+
+export const VERSION_CONFLICT = 'VERSION_CONFLICT'
+
+export const ifMatch = (doc) => (doc?.updatedAt ? { 'If-Match': `"${new Date(doc.updatedAt).getTime()}"` } : {})
+
+export const isVersionConflict = (e) => e?.status === 409 && e?.data?.code === VERSION_CONFLICT
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null)
+
+/**
+ * Merge flat objects: fields the user changed from `base` keep the user's value,
+ * the rest take `theirs`. `clashes` lists the fields both sides changed differently
+ * (the user's value wins there too, so they can review it before saving again).
+ */
+export function mergeFields(base = {}, mine = {}, theirs = {}) {
+  const merged = { ...theirs }
+  const clashes = []
+  for (const field of new Set([...Object.keys(mine), ...Object.keys(theirs)])) {
+    if (same(mine[field], base[field])) continue
+    merged[field] = mine[field]
+    if (!same(theirs[field], base[field]) && !same(theirs[field], mine[field])) clashes.push(field)
+  }
+  return { merged, clashes }
+}